@@ -0,0 +1,327 @@
+/**
+ * CourseWorx Migration Runner
+ *
+ * This module runs the migrations of the core (backend/migrations) and of
+ * each plugin (plugins/<name>/migrations). Migration files export
+ * up/down(queryInterface, Sequelize), run in file name order, each inside
+ * its own transaction, and are recorded in the plugin_migrations table.
+ * Migrations applied by the same run form a batch that is rolled back together.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const { Sequelize } = require('sequelize');
+const { sequelize } = require('../config/database');
+const PluginMigration = require('../models/PluginMigration');
+
+const CORE_SCOPE = 'core';
+const CORE_MIGRATIONS_DIR = path.join(__dirname, '..', 'migrations');
+
+// Position of the options argument of the queryInterface methods migrations use
+const OPTIONS_ARGUMENT = {
+  createTable: 2,
+  dropTable: 1,
+  renameTable: 2,
+  addColumn: 3,
+  removeColumn: 2,
+  changeColumn: 3,
+  renameColumn: 3,
+  addIndex: 2,
+  removeIndex: 2,
+  addConstraint: 1,
+  removeConstraint: 2,
+  describeTable: 1,
+  bulkInsert: 2,
+  bulkUpdate: 3,
+  bulkDelete: 2
+};
+
+// Postgres errors raised when a table, column, index or type already exists
+const EXISTING_SCHEMA_ERRORS = ['42P07', '42701', '42710'];
+
+const getErrorCode = error => error.original?.code || error.parent?.code;
+
+const withOptions = (args, index, transaction) => {
+  const result = [...args];
+  result[index] = { ...(result[index] || {}), transaction };
+  return result;
+};
+
+class MigrationRunner {
+  constructor() {
+    this.tableReady = false;
+  }
+
+  /**
+   * Create the plugin_migrations table if it does not exist yet
+   */
+  async ensureTable() {
+    if (!this.tableReady) {
+      await PluginMigration.sync();
+      this.tableReady = true;
+    }
+  }
+
+  /**
+   * List the migration files of a directory in the order they run
+   * @param {string} migrationsDir - Directory with migration files
+   * @returns {Promise<Array>} File names (empty if the directory does not exist)
+   */
+  async listFiles(migrationsDir) {
+    try {
+      const files = await fs.readdir(migrationsDir);
+      return files.filter(file => file.endsWith('.js')).sort();
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return [];
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Load a migration file
+   * @param {string} migrationsDir - Directory with migration files
+   * @param {string} name - File name
+   * @returns {Object|null} Migration module, or null if it has no up function (e.g. an empty file)
+   */
+  loadMigration(migrationsDir, name) {
+    const migration = require(path.join(migrationsDir, name));
+    return typeof migration.up === 'function' ? migration : null;
+  }
+
+  /**
+   * A queryInterface whose calls all run inside the given transaction.
+   * When adopting, each call runs in its own savepoint and a call that fails
+   * because its table, column, index or type already exists is skipped, so
+   * the following steps of the migration still run.
+   * @param {Object} transaction - Sequelize transaction
+   * @param {Array|null} skipped - Collects the errors of skipped calls; null when not adopting
+   */
+  transactionalQueryInterface(transaction, skipped = null) {
+    const queryInterface = sequelize.getQueryInterface();
+    const run = async (statement) => {
+      if (!skipped) {
+        return statement(transaction);
+      }
+      try {
+        return await sequelize.transaction({ transaction }, savepoint => statement(savepoint));
+      } catch (error) {
+        if (!EXISTING_SCHEMA_ERRORS.includes(getErrorCode(error))) {
+          throw error;
+        }
+        skipped.push(error.message);
+        return undefined;
+      }
+    };
+
+    const transactionalSequelize = new Proxy(sequelize, {
+      get(target, property) {
+        if (property === 'query') {
+          return (sql, options = {}) => run(current => target.query(sql, { ...options, transaction: current }));
+        }
+        const value = target[property];
+        return typeof value === 'function' ? value.bind(target) : value;
+      }
+    });
+
+    return new Proxy(queryInterface, {
+      get(target, property) {
+        if (property === 'sequelize') {
+          return transactionalSequelize;
+        }
+        const value = target[property];
+        if (typeof value !== 'function') {
+          return value;
+        }
+        if (!(property in OPTIONS_ARGUMENT)) {
+          return value.bind(target);
+        }
+        return (...args) => {
+          // addIndex(table, { fields, ... }) takes its options as the second argument
+          const index = property === 'addIndex' && args[1] && !Array.isArray(args[1])
+            ? 1
+            : OPTIONS_ARGUMENT[property];
+          return run(current => value.apply(target, withOptions(args, index, current)));
+        };
+      }
+    });
+  }
+
+  /**
+   * Get the migration status of a scope
+   * @param {string} scope - 'core' or a plugin name
+   * @param {string} migrationsDir - Directory with migration files
+   * @returns {Promise<Array>} { name, status: 'applied'|'pending'|'missing', batch, baselined, executedAt }
+   */
+  async getStatus(scope, migrationsDir) {
+    await this.ensureTable();
+
+    const files = await this.listFiles(migrationsDir);
+    const applied = await PluginMigration.findAll({ where: { plugin: scope } });
+    const appliedByName = new Map(applied.map(row => [row.name, row]));
+
+    const status = files
+      .filter(name => this.loadMigration(migrationsDir, name))
+      .map(name => {
+        const row = appliedByName.get(name);
+        return {
+          name,
+          status: row ? 'applied' : 'pending',
+          batch: row ? row.batch : null,
+          baselined: row ? row.baselined : false,
+          executedAt: row ? row.executedAt : null
+        };
+      });
+
+    // Applied migrations whose file has been removed
+    applied
+      .filter(row => !files.includes(row.name))
+      .forEach(row => {
+        status.push({
+          name: row.name,
+          status: 'missing',
+          batch: row.batch,
+          baselined: row.baselined,
+          executedAt: row.executedAt
+        });
+      });
+
+    return status;
+  }
+
+  /**
+   * Run the pending migrations of a scope in order.
+   * On the first run of a scope, steps whose tables or columns already exist
+   * (databases created with sequelize.sync) are skipped, and migrations with
+   * skipped steps are recorded as baselined.
+   * @param {string} scope - 'core' or a plugin name
+   * @param {string} migrationsDir - Directory with migration files
+   * @returns {Promise<Array>} Names of the migrations applied
+   */
+  async runPending(scope, migrationsDir) {
+    await this.ensureTable();
+
+    const files = await this.listFiles(migrationsDir);
+    if (files.length === 0) {
+      return [];
+    }
+
+    const applied = await PluginMigration.findAll({ where: { plugin: scope } });
+    const appliedNames = new Set(applied.map(row => row.name));
+    const adopting = applied.length === 0;
+    const batch = (await PluginMigration.max('batch', { where: { plugin: scope } }) || 0) + 1;
+    const ran = [];
+
+    for (const name of files) {
+      if (appliedNames.has(name)) {
+        continue;
+      }
+
+      const migration = this.loadMigration(migrationsDir, name);
+      if (!migration) {
+        console.warn(`⚠️  Skipping migration without an up function: ${scope}/${name}`);
+        continue;
+      }
+
+      const skipped = adopting ? [] : null;
+      try {
+        await sequelize.transaction(async (transaction) => {
+          await migration.up(this.transactionalQueryInterface(transaction, skipped), Sequelize);
+          const baselined = Boolean(skipped && skipped.length > 0);
+          await PluginMigration.create({ plugin: scope, name, batch, baselined }, { transaction });
+        });
+      } catch (error) {
+        throw new Error(`Migration ${scope}/${name} failed: ${error.message}`);
+      }
+
+      if (skipped && skipped.length > 0) {
+        console.log(`✓ Migration baselined (${skipped.length} steps already existed): ${scope}/${name}`);
+      } else {
+        console.log(`✓ Migration applied: ${scope}/${name}`);
+      }
+
+      ran.push(name);
+    }
+
+    return ran;
+  }
+
+  /**
+   * Roll back the latest batches of a scope, newest migration first.
+   * Baselined migrations are refused: their down() would drop tables and
+   * data that existed before the migration runner.
+   * @param {string} scope - 'core' or a plugin name
+   * @param {string} migrationsDir - Directory with migration files
+   * @param {Object} options - { steps: number of batches (default 1), all: roll back everything }
+   * @returns {Promise<Array>} Names of the migrations rolled back
+   */
+  async rollback(scope, migrationsDir, { steps = 1, all = false } = {}) {
+    await this.ensureTable();
+
+    const applied = await PluginMigration.findAll({
+      where: { plugin: scope },
+      order: [['batch', 'DESC'], ['name', 'DESC']]
+    });
+    const batches = [...new Set(applied.map(row => row.batch))];
+    const rollbackBatches = all ? batches : batches.slice(0, steps);
+    const rows = applied.filter(candidate => rollbackBatches.includes(candidate.batch));
+    const rolledBack = [];
+
+    const baselined = rows.filter(row => row.baselined).map(row => row.name);
+    if (baselined.length > 0) {
+      throw new Error(`Cannot roll back ${scope}: baselined migrations (${baselined.join(', ')}) adopted a schema that existed before the migration runner`);
+    }
+
+    for (const row of rows) {
+      let migration;
+      try {
+        migration = this.loadMigration(migrationsDir, row.name);
+      } catch (error) {
+        throw new Error(`Cannot roll back ${scope}/${row.name}: ${error.message}`);
+      }
+
+      if (!migration || typeof migration.down !== 'function') {
+        throw new Error(`Cannot roll back ${scope}/${row.name}: migration has no down function`);
+      }
+
+      await sequelize.transaction(async (transaction) => {
+        await migration.down(this.transactionalQueryInterface(transaction), Sequelize);
+        await row.destroy({ transaction });
+      });
+      console.log(`✓ Migration rolled back: ${scope}/${row.name}`);
+      rolledBack.push(row.name);
+    }
+
+    return rolledBack;
+  }
+
+  /**
+   * Run the core migrations. A new database first gets the tables of the
+   * core models, then every migration is baselined against them.
+   * @returns {Promise<Array>} Names of the migrations applied
+   */
+  async runCoreMigrations() {
+    await this.ensureTable();
+
+    const coreRuns = await PluginMigration.count({ where: { plugin: CORE_SCOPE } });
+    if (coreRuns === 0) {
+      const tables = await sequelize.getQueryInterface().showAllTables();
+      if (!tables.includes('users')) {
+        console.log('🗄️  New database: creating tables from the core models...');
+        await sequelize.sync();
+      }
+    }
+
+    const ran = await this.runPending(CORE_SCOPE, CORE_MIGRATIONS_DIR);
+    console.log(`✅ Core migrations up to date (${ran.length} applied).`);
+    return ran;
+  }
+}
+
+// Create and export a singleton instance
+const migrationRunner = new MigrationRunner();
+migrationRunner.CORE_SCOPE = CORE_SCOPE;
+migrationRunner.CORE_MIGRATIONS_DIR = CORE_MIGRATIONS_DIR;
+
+module.exports = migrationRunner;
@@ -0,0 +1,353 @@
+/**
+ * CourseWorx Permission Manager
+ *
+ * This module maps roles to permission strings such as 'financial:refund'.
+ * Plugins add permissions to the catalogue with registry.registerPermissions;
+ * super admins hold every permission and grant permissions to other roles,
+ * which are saved in the role_permissions table. Routes check them with the
+ * requirePermission middleware.
+ *
+ * Besides the built-in roles, super admins define custom roles (roles table)
+ * and assign them to users, either everywhere or on a single course
+ * (user_roles table). A user holds the permissions of their built-in role
+ * plus those of their custom roles that apply to the course being accessed.
+ */
+
+const { sequelize } = require('../config/database');
+const RolePermission = require('../models/RolePermission');
+const Role = require('../models/Role');
+const UserRole = require('../models/UserRole');
+const pluginRegistry = require('./plugin-registry');
+
+const SUPER_ADMIN_ROLE = 'super_admin';
+const BUILT_IN_ROLES = ['super_admin', 'trainer', 'trainee'];
+const GRANTABLE_BUILT_IN_ROLES = ['trainer', 'trainee'];
+
+// Permissions checked by the core routes, on top of what course staff may do (utils/courseStaff.js)
+const CORE_PERMISSIONS = [
+  { name: 'course:view', plugin: 'core', description: 'View course content without enrolling' },
+  { name: 'course:manage', plugin: 'core', description: 'Edit course settings and pricing, manage enrollments and staff' },
+  { name: 'course:edit-content', plugin: 'core', description: 'Edit course sections, lessons and assignments' },
+  { name: 'course:grade', plugin: 'core', description: 'Grade assignments and quizzes' },
+  { name: 'course:attendance', plugin: 'core', description: 'Run classroom sessions and take attendance' },
+  { name: 'course:earnings', plugin: 'core', description: 'See course earnings' }
+];
+
+class PermissionManager {
+  constructor() {
+    this.grants = new Map(); // Set of granted permissions by role
+    this.customRoles = new Map(); // Custom roles by name
+  }
+
+  /**
+   * Load the custom roles and the saved grants of all roles
+   */
+  async load() {
+    try {
+      const rows = await RolePermission.findAll();
+      this.grants.clear();
+      rows.forEach(row => {
+        if (!this.grants.has(row.role)) {
+          this.grants.set(row.role, new Set());
+        }
+        this.grants.get(row.role).add(row.permission);
+      });
+
+      const roles = await Role.findAll();
+      this.customRoles.clear();
+      roles.forEach(role => this.customRoles.set(role.name, this.toRoleInfo(role)));
+
+      console.log(`✓ Role permissions loaded: ${rows.length} grants, ${roles.length} custom roles`);
+    } catch (error) {
+      // Without the tables only super admins pass permission checks
+      console.warn('⚠️  Could not load role permissions:', error.message);
+    }
+  }
+
+  /**
+   * Plain description of a custom role
+   * @param {Object} role - Role instance
+   */
+  toRoleInfo(role) {
+    return {
+      id: role.id,
+      name: role.name,
+      displayName: role.displayName,
+      description: role.description,
+      baseRole: role.baseRole
+    };
+  }
+
+  /**
+   * Load the custom roles assigned to a user (set as req.user.customRoles by the auth middleware)
+   * @param {string} userId - User ID
+   * @returns {Promise<Array>} { id, role, displayName, baseRole, courseId }
+   */
+  async loadUserRoles(userId) {
+    const assignments = await UserRole.findAll({ where: { userId } });
+    const rolesById = new Map(this.getCustomRoles().map(role => [role.id, role]));
+    return assignments
+      .map(assignment => {
+        const role = rolesById.get(assignment.roleId);
+        return role && {
+          id: assignment.id,
+          role: role.name,
+          displayName: role.displayName,
+          baseRole: role.baseRole,
+          courseId: assignment.courseId
+        };
+      })
+      .filter(Boolean);
+  }
+
+  /**
+   * Custom role assignments of a user that apply to a course
+   * @param {Object} user - User with customRoles loaded
+   * @param {string|null} courseId - Course ID, or null for assignments that apply everywhere
+   */
+  getApplicableRoles(user, courseId = null) {
+    return (user.customRoles || []).filter(assignment => (
+      !assignment.courseId || (courseId && assignment.courseId === courseId)
+    ));
+  }
+
+  /**
+   * Check whether a user has one of the given roles, directly or through a
+   * custom role named in the list or based on a listed built-in role.
+   * Only custom roles that apply everywhere count; roles scoped to a course
+   * are checked with hasPermission(user, permission, courseId).
+   * @param {Object} user - User (req.user)
+   * @param {Array} roles - Role names
+   * @returns {boolean} True if the user has one of the roles
+   */
+  hasRole(user, roles) {
+    if (!user) {
+      return false;
+    }
+    if (roles.includes(user.role)) {
+      return true;
+    }
+    return this.getApplicableRoles(user).some(assignment => (
+      roles.includes(assignment.role) || roles.includes(assignment.baseRole)
+    ));
+  }
+
+  /**
+   * Check whether a role has been granted a permission
+   * @param {string} role - Role name
+   * @param {string} permission - Permission name
+   */
+  roleHasPermission(role, permission) {
+    return this.grants.has(role) && this.grants.get(role).has(permission);
+  }
+
+  /**
+   * Check whether a user holds a permission
+   * @param {Object} user - User (req.user)
+   * @param {string} permission - Permission name
+   * @param {string|null} courseId - Course being accessed; custom roles scoped to it count as well
+   * @returns {boolean} True if one of the user's roles holds the permission
+   */
+  hasPermission(user, permission, courseId = null) {
+    if (!user) {
+      return false;
+    }
+    if (user.role === SUPER_ADMIN_ROLE || this.roleHasPermission(user.role, permission)) {
+      return true;
+    }
+    return this.getApplicableRoles(user, courseId)
+      .some(assignment => this.roleHasPermission(assignment.role, permission));
+  }
+
+  /**
+   * Get the courses on which a user holds a permission
+   * @param {Object} user - User (req.user)
+   * @param {string} permission - Permission name
+   * @returns {Object} { all: true } if it applies to every course, otherwise { all: false, courseIds }
+   */
+  getPermissionCourses(user, permission) {
+    if (this.hasPermission(user, permission)) {
+      return { all: true, courseIds: [] };
+    }
+    const courseIds = (user.customRoles || [])
+      .filter(assignment => assignment.courseId && this.roleHasPermission(assignment.role, permission))
+      .map(assignment => assignment.courseId);
+    return { all: false, courseIds: [...new Set(courseIds)] };
+  }
+
+  /**
+   * Get the permissions a user holds everywhere (built-in role and unscoped custom roles)
+   * @param {Object} user - User (req.user)
+   * @returns {Array} Permission names
+   */
+  getUserPermissions(user) {
+    if (user.role === SUPER_ADMIN_ROLE) {
+      return this.getRolePermissions(SUPER_ADMIN_ROLE);
+    }
+    const permissions = new Set(this.getRolePermissions(user.role));
+    this.getApplicableRoles(user).forEach(assignment => {
+      this.getRolePermissions(assignment.role).forEach(permission => permissions.add(permission));
+    });
+    return Array.from(permissions);
+  }
+
+  /**
+   * Get the permissions a role holds
+   * @param {string} role - Role name
+   * @returns {Array} Permission names
+   */
+  getRolePermissions(role) {
+    if (role === SUPER_ADMIN_ROLE) {
+      return this.getCatalogue().map(permission => permission.name);
+    }
+    return Array.from(this.grants.get(role) || []);
+  }
+
+  /**
+   * Get every known permission
+   * @returns {Array} { name, plugin, description }
+   */
+  getCatalogue() {
+    return [...CORE_PERMISSIONS, ...pluginRegistry.getPermissionCatalogue()];
+  }
+
+  /**
+   * Get the roles super admins can grant permissions to: trainer, trainee and the custom roles
+   */
+  getGrantableRoles() {
+    return [...GRANTABLE_BUILT_IN_ROLES, ...this.customRoles.keys()];
+  }
+
+  /**
+   * Get the custom roles
+   * @returns {Array} { id, name, displayName, description, baseRole }
+   */
+  getCustomRoles() {
+    return Array.from(this.customRoles.values());
+  }
+
+  /**
+   * Get a custom role by name
+   * @param {string} name - Role name
+   * @returns {Object|undefined} { id, name, displayName, description, baseRole }
+   */
+  getCustomRole(name) {
+    return this.customRoles.get(name);
+  }
+
+  /**
+   * Check whether a name is taken by a built-in or custom role
+   * @param {string} name - Role name
+   */
+  isRoleName(name) {
+    return BUILT_IN_ROLES.includes(name) || this.customRoles.has(name);
+  }
+
+  /**
+   * Create a custom role with its permissions
+   * @param {Object} data - { name, displayName, description, baseRole, permissions }
+   * @param {string} createdBy - ID of the creating user
+   * @returns {Promise<Object>} Role info with its permissions
+   */
+  async createRole({ name, displayName, description, baseRole, permissions = [] }, createdBy) {
+    if (this.isRoleName(name)) {
+      throw new Error(`Role '${name}' already exists`);
+    }
+
+    const role = await sequelize.transaction(async (transaction) => {
+      const created = await Role.create({ name, displayName, description, baseRole, createdBy }, { transaction });
+      if (permissions.length > 0) {
+        await RolePermission.bulkCreate(
+          [...new Set(permissions)].map(permission => ({ role: name, permission, grantedBy: createdBy })),
+          { transaction }
+        );
+      }
+      return created;
+    });
+
+    this.customRoles.set(name, this.toRoleInfo(role));
+    this.grants.set(name, new Set(permissions));
+    console.log(`✓ Custom role created: ${name}`);
+    return { ...this.toRoleInfo(role), permissions: this.getRolePermissions(name) };
+  }
+
+  /**
+   * Update the details of a custom role (the name cannot change, grants are stored under it)
+   * @param {string} name - Role name
+   * @param {Object} changes - { displayName, description, baseRole }
+   * @returns {Promise<Object>} Role info
+   */
+  async updateRole(name, changes) {
+    const role = await Role.findOne({ where: { name } });
+    if (!role) {
+      throw new Error(`Role '${name}' not found`);
+    }
+
+    await role.update(changes);
+    this.customRoles.set(name, this.toRoleInfo(role));
+    return this.toRoleInfo(role);
+  }
+
+  /**
+   * Delete a custom role with its grants and assignments
+   * @param {string} name - Role name
+   */
+  async deleteRole(name) {
+    const role = this.customRoles.get(name);
+    if (!role) {
+      throw new Error(`Role '${name}' not found`);
+    }
+
+    await sequelize.transaction(async (transaction) => {
+      await UserRole.destroy({ where: { roleId: role.id }, transaction });
+      await RolePermission.destroy({ where: { role: name }, transaction });
+      await Role.destroy({ where: { id: role.id }, transaction });
+    });
+
+    this.customRoles.delete(name);
+    this.grants.delete(name);
+    console.log(`✓ Custom role deleted: ${name}`);
+  }
+
+  /**
+   * Replace the permissions granted to a role. Grants of plugins that are
+   * not loaded right now are kept, since they are not in the catalogue.
+   * @param {string} role - Role name
+   * @param {Array} permissions - Permission names
+   * @param {string} grantedBy - ID of the granting user
+   * @returns {Promise<Array>} Permissions the role now holds
+   */
+  async setRolePermissions(role, permissions, grantedBy) {
+    if (!this.getGrantableRoles().includes(role)) {
+      throw new Error(`Permissions cannot be granted to role '${role}'`);
+    }
+
+    const known = new Set(this.getCatalogue().map(permission => permission.name));
+    const current = new Set(this.grants.get(role) || []);
+    const added = [...new Set(permissions)].filter(permission => !current.has(permission));
+    const removed = [...current].filter(permission => known.has(permission) && !permissions.includes(permission));
+
+    await sequelize.transaction(async (transaction) => {
+      if (removed.length > 0) {
+        await RolePermission.destroy({ where: { role, permission: removed }, transaction });
+      }
+      if (added.length > 0) {
+        await RolePermission.bulkCreate(
+          added.map(permission => ({ role, permission, grantedBy })),
+          { transaction }
+        );
+      }
+    });
+
+    const granted = new Set([...current, ...added]);
+    removed.forEach(permission => granted.delete(permission));
+    this.grants.set(role, granted);
+    console.log(`✓ Permissions of role ${role} updated: +${added.length} -${removed.length}`);
+    return Array.from(granted);
+  }
+}
+
+// Create and export a singleton instance
+const permissionManager = new PermissionManager();
+
+module.exports = permissionManager;
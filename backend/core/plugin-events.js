@@ -8,6 +8,19 @@
 
 const EventEmitter = require('events');
 const pluginRegistry = require('./plugin-registry');
+const pluginHealthMonitor = require('./plugin-health');
+
+/**
+ * Thrown by a hook or filter (through context.veto(reason)) to stop the
+ * core action it runs before. Unlike other hook errors it is not swallowed.
+ */
+class HookVetoError extends Error {
+  constructor(message, pluginName) {
+    super(message || 'Action rejected by plugin');
+    this.name = 'HookVetoError';
+    this.pluginName = pluginName;
+  }
+}
 
 class PluginEventSystem extends EventEmitter {
   constructor() {
@@ -78,8 +91,8 @@ class PluginEventSystem extends EventEmitter {
         error: (message) => console.error(`[${pluginName}] ${message}`)
       };
       
-      // Execute the listener
-      const result = await listener(executionContext);
+      // Execute the listener in the sandbox
+      const result = await this.runSandboxed(pluginName, `listener ${eventType}`, () => listener(executionContext));
       
       // Log successful execution
       console.log(`✅ Plugin ${pluginName} processed event ${eventType}`);
@@ -92,6 +105,36 @@ class PluginEventSystem extends EventEmitter {
     }
   }
 
+  /**
+   * Run plugin code with a time limit and health tracking (see plugin-health.js).
+   * Vetoes are not failures; a plugin disabled by its circuit breaker is
+   * announced with a plugin:disabled event.
+   * @param {string} pluginName - Plugin name
+   * @param {string} target - What is called (e.g. 'hook before:user:create')
+   * @param {Function} fn - The plugin call
+   * @returns {Promise<*>} The plugin's result
+   */
+  async runSandboxed(pluginName, target, fn) {
+    try {
+      const { result } = await pluginHealthMonitor.run(pluginName, target, fn, {
+        isExpectedError: (error) => error instanceof HookVetoError
+      });
+      return result;
+    } catch (error) {
+      if (error.tripped) {
+        this.emitEvent(PluginEventSystem.CORE_EVENTS.PLUGIN_DISABLED, {
+          pluginName,
+          plugin: pluginRegistry.getPlugin(pluginName),
+          reason: 'circuit_breaker',
+          error: error.message
+        }).catch(emitError => {
+          console.error(`❌ Failed to announce disabled plugin ${pluginName}:`, emitError);
+        });
+      }
+      throw error;
+    }
+  }
+
   /**
    * Register a hook point
    * @param {string} hookPoint - Hook point name (e.g., 'before:user:create')
@@ -131,6 +174,9 @@ class PluginEventSystem extends EventEmitter {
             modifiedData = result;
           }
         } catch (error) {
+          if (error instanceof HookVetoError) {
+            throw error;
+          }
           console.error(`❌ Error in plugin hook ${hookInfo.plugin}:`, error);
           // Continue with other hooks
         }
@@ -153,7 +199,11 @@ class PluginEventSystem extends EventEmitter {
       return modifiedData;
       
     } catch (error) {
-      console.error(`❌ Error executing hooks ${hookPoint}:`, error);
+      if (error instanceof HookVetoError) {
+        console.log(`🚫 Hook ${hookPoint} vetoed by ${error.pluginName}: ${error.message}`);
+      } else {
+        console.error(`❌ Error executing hooks ${hookPoint}:`, error);
+      }
       throw error;
     }
   }
@@ -185,17 +235,24 @@ class PluginEventSystem extends EventEmitter {
           return data;
         },
         getData: (key) => data[key],
-        hasData: (key) => key in data
+        hasData: (key) => key in data,
+        // Stop the core action this hook runs before
+        veto: (reason) => {
+          throw new HookVetoError(reason, pluginName);
+        }
       };
       
-      // Execute the hook
-      const result = await hook(executionContext);
+      // Execute the hook in the sandbox
+      const result = await this.runSandboxed(pluginName, `hook ${hookPoint}`, () => hook(executionContext));
       
       console.log(`✅ Plugin ${pluginName} executed hook ${hookPoint}`);
       
       return result;
       
     } catch (error) {
+      if (error instanceof HookVetoError) {
+        throw error;
+      }
       console.error(`❌ Plugin ${pluginName} failed to execute hook ${hookPoint}:`, error);
       throw error;
     }
@@ -236,6 +293,9 @@ class PluginEventSystem extends EventEmitter {
         try {
           filteredData = await this.executeFilter(filterInfo, filterName, filteredData, context);
         } catch (error) {
+          if (error instanceof HookVetoError) {
+            throw error;
+          }
           console.error(`❌ Error in plugin filter ${filterInfo.plugin}:`, error);
           // Continue with other filters
         }
@@ -255,6 +315,9 @@ class PluginEventSystem extends EventEmitter {
       return filteredData;
       
     } catch (error) {
+      if (error instanceof HookVetoError) {
+        throw error;
+      }
       console.error(`❌ Error applying filters ${filterName}:`, error);
       throw error;
     }
@@ -280,17 +343,23 @@ class PluginEventSystem extends EventEmitter {
         timestamp: new Date(),
         // Add utility methods
         log: (message) => console.log(`[${pluginName}] ${message}`),
-        error: (message) => console.error(`[${pluginName}] ${message}`)
+        error: (message) => console.error(`[${pluginName}] ${message}`),
+        veto: (reason) => {
+          throw new HookVetoError(reason, pluginName);
+        }
       };
       
-      // Execute the filter
-      const result = await filter(executionContext);
+      // Execute the filter in the sandbox
+      const result = await this.runSandboxed(pluginName, `filter ${filterName}`, () => filter(executionContext));
       
       console.log(`✅ Plugin ${pluginName} applied filter ${filterName}`);
       
       return result;
       
     } catch (error) {
+      if (error instanceof HookVetoError) {
+        throw error;
+      }
       console.error(`❌ Plugin ${pluginName} failed to apply filter ${filterName}:`, error);
       throw error;
     }
@@ -389,27 +458,42 @@ class PluginEventSystem extends EventEmitter {
   }
 
   /**
-   * Predefined core events
+   * Predefined core events. Events are emitted after the action succeeded;
+   * listeners receive the payload noted next to each event as context.data
+   * and the acting user (id, role) as context.context.user.
    */
   static get CORE_EVENTS() {
     return {
       // User events
-      USER_CREATED: 'user:created',
-      USER_UPDATED: 'user:updated',
-      USER_DELETED: 'user:deleted',
-      USER_LOGIN: 'user:login',
+      USER_CREATED: 'user:created', // { userId, email, role, source: 'setup'|'register'|'import' }
+      USER_UPDATED: 'user:updated', // { userId, changes: [field names] }
+      USER_DELETED: 'user:deleted', // { userId, email, role }
+      USER_LOGIN: 'user:login', // { userId, role, method: 'password'|'trainee' }
       USER_LOGOUT: 'user:logout',
       
       // Course events
-      COURSE_CREATED: 'course:created',
-      COURSE_UPDATED: 'course:updated',
-      COURSE_DELETED: 'course:deleted',
-      COURSE_PUBLISHED: 'course:published',
+      COURSE_CREATED: 'course:created', // { courseId, title, trainerId, price, isPublished }
+      COURSE_UPDATED: 'course:updated', // { courseId, title, trainerId, changes: [field names] }
+      COURSE_DELETED: 'course:deleted', // { courseId, title, trainerId }
+      COURSE_PUBLISHED: 'course:published', // { courseId, title, trainerId, isPublished }
       
       // Enrollment events
-      ENROLLMENT_CREATED: 'enrollment:created',
-      ENROLLMENT_CANCELLED: 'enrollment:cancelled',
-      ENROLLMENT_COMPLETED: 'enrollment:completed',
+      ENROLLMENT_CREATED: 'enrollment:created', // { enrollmentId, userId, courseId, status, coursePrice }
+      ENROLLMENT_UPDATED: 'enrollment:updated', // { enrollmentId, userId, courseId, status, previousStatus }
+      ENROLLMENT_CANCELLED: 'enrollment:cancelled', // { enrollmentId, userId, courseId }
+      ENROLLMENT_COMPLETED: 'enrollment:completed', // { enrollmentId, userId, courseId }
+      
+      // Learning events
+      LESSON_COMPLETED: 'lesson:completed', // { completionId, userId, courseId, contentId, timeSpent }
+      LESSON_UNCOMPLETED: 'lesson:uncompleted', // { userId, courseId, contentId }
+      
+      // Attendance events
+      ATTENDANCE_CHECKED_IN: 'attendance:checked_in', // { attendanceId, sessionId, userId, courseId, status, method }
+      ATTENDANCE_CHECKED_OUT: 'attendance:checked_out', // { attendanceId, sessionId, userId, courseId, status, method, duration }
+      ATTENDANCE_MISSED: 'attendance:missed', // { attendanceId, sessionId, userId, courseId } when a trainee is recorded absent
+      
+      // Certificate events
+      CERTIFICATE_ISSUED: 'certificate:issued', // { certificateId, serial, enrollmentId, userId, courseId }
       
       // Content events
       CONTENT_CREATED: 'content:created',
@@ -432,19 +516,23 @@ class PluginEventSystem extends EventEmitter {
   }
 
   /**
-   * Predefined core hook points
+   * Predefined core hook points. "before" hooks run before the action and
+   * may return a modified payload or call context.veto(reason) to reject it
+   * (the request fails with 403); "after" hooks run once it succeeded.
    */
   static get CORE_HOOKS() {
     return {
       // User hooks
-      BEFORE_USER_CREATE: 'before:user:create',
-      AFTER_USER_CREATE: 'after:user:create',
+      BEFORE_USER_CREATE: 'before:user:create', // { firstName, lastName, email, phone, role, isActive }
+      AFTER_USER_CREATE: 'after:user:create', // Same payload as user:created
       BEFORE_USER_UPDATE: 'before:user:update',
       AFTER_USER_UPDATE: 'after:user:update',
       BEFORE_USER_DELETE: 'before:user:delete',
       AFTER_USER_DELETE: 'after:user:delete',
       
-      // Course hooks
+      // Course hooks (save covers create and update; data.id is set on update)
+      BEFORE_COURSE_SAVE: 'before:course:save', // Course fields from the request
+      AFTER_COURSE_SAVE: 'after:course:save', // Same payload as course:created / course:updated
       BEFORE_COURSE_CREATE: 'before:course:create',
       AFTER_COURSE_CREATE: 'after:course:create',
       BEFORE_COURSE_UPDATE: 'before:course:update',
@@ -452,6 +540,15 @@ class PluginEventSystem extends EventEmitter {
       BEFORE_COURSE_DELETE: 'before:course:delete',
       AFTER_COURSE_DELETE: 'after:course:delete',
       
+      // Enrollment hooks
+      BEFORE_ENROLLMENT_CREATE: 'before:enrollment:create', // { userId, courseId, status, paymentStatus, paymentAmount, notes }
+      
+      // Learning hooks
+      BEFORE_LESSON_COMPLETE: 'before:lesson:complete', // { userId, courseId, contentId, timeSpent }
+      
+      // Attendance hooks
+      BEFORE_ATTENDANCE_CHECKIN: 'before:attendance:checkin', // { sessionId, userId, courseId, method, status }
+      
       // Content hooks
       BEFORE_CONTENT_SAVE: 'before:content:save',
       AFTER_CONTENT_SAVE: 'after:content:save',
@@ -465,9 +562,19 @@ class PluginEventSystem extends EventEmitter {
       AFTER_PAYMENT_REFUND: 'after:payment:refund'
     };
   }
+
+  // Instance access to the catalogues (the module exports an instance)
+  get CORE_EVENTS() {
+    return PluginEventSystem.CORE_EVENTS;
+  }
+
+  get CORE_HOOKS() {
+    return PluginEventSystem.CORE_HOOKS;
+  }
 }
 
 // Create and export a singleton instance
 const pluginEventSystem = new PluginEventSystem();
+pluginEventSystem.HookVetoError = HookVetoError;
 
 module.exports = pluginEventSystem;
@@ -0,0 +1,222 @@
+/**
+ * CourseWorx Plugin Health Monitor
+ *
+ * This module runs plugin listeners, hooks and filters in a sandbox: each
+ * call is given a time limit, and its outcome and latency are recorded per
+ * plugin. A plugin that fails (throws or times out) too many times in a row
+ * trips its circuit breaker and is disabled until a Super Admin enables it
+ * again, so a broken plugin cannot keep slowing down core requests.
+ *
+ * A timed-out call cannot be cancelled; the core just stops waiting for it.
+ */
+
+const pluginRegistry = require('./plugin-registry');
+const pluginStateStore = require('./plugin-state');
+
+const CALL_TIMEOUT = parseInt(process.env.PLUGIN_CALL_TIMEOUT_MS) || 5000;
+const FAILURE_THRESHOLD = parseInt(process.env.PLUGIN_FAILURE_THRESHOLD) || 5;
+
+/**
+ * Thrown when a plugin call does not settle within the time limit
+ */
+class PluginTimeoutError extends Error {
+  constructor(pluginName, target, timeout) {
+    super(`${target} did not finish within ${timeout}ms`);
+    this.name = 'PluginTimeoutError';
+    this.pluginName = pluginName;
+    this.target = target;
+  }
+}
+
+class PluginHealthMonitor {
+  constructor() {
+    this.metrics = new Map(); // Call metrics by plugin name
+    this.timeout = CALL_TIMEOUT;
+    this.failureThreshold = FAILURE_THRESHOLD;
+  }
+
+  /**
+   * Get (or create) the metrics of a plugin
+   * @param {string} pluginName - Plugin name
+   * @returns {Object} Mutable metrics record
+   */
+  getMetrics(pluginName) {
+    if (!this.metrics.has(pluginName)) {
+      this.metrics.set(pluginName, {
+        status: 'healthy', // healthy | degraded | tripped
+        calls: 0,
+        failures: 0,
+        timeouts: 0,
+        consecutiveFailures: 0,
+        totalDuration: 0,
+        maxDuration: 0,
+        lastDuration: null,
+        lastCallAt: null,
+        lastError: null, // { message, target, at }
+        trippedAt: null
+      });
+    }
+    return this.metrics.get(pluginName);
+  }
+
+  /**
+   * Run a plugin call with a time limit and record its outcome
+   * @param {string} pluginName - Plugin name
+   * @param {string} target - What is called (e.g. 'listener enrollment:created')
+   * @param {Function} fn - The plugin call
+   * @param {Object} options - { isExpectedError(error) } for errors that are not failures, such as vetoes
+   * @returns {Promise<Object>} { result, tripped } where tripped is true if this call disabled the plugin
+   */
+  async run(pluginName, target, fn, options = {}) {
+    const metrics = this.getMetrics(pluginName);
+    const startedAt = Date.now();
+    let timer;
+
+    const timeout = new Promise((resolve, reject) => {
+      timer = setTimeout(() => reject(new PluginTimeoutError(pluginName, target, this.timeout)), this.timeout);
+    });
+
+    try {
+      const result = await Promise.race([Promise.resolve().then(fn), timeout]);
+      this.recordCall(metrics, startedAt);
+      this.recordSuccess(metrics);
+      return { result, tripped: false };
+    } catch (error) {
+      this.recordCall(metrics, startedAt);
+      if (options.isExpectedError && options.isExpectedError(error)) {
+        this.recordSuccess(metrics);
+        throw error;
+      }
+
+      const tripped = await this.recordFailure(pluginName, metrics, target, error);
+      error.tripped = tripped;
+      throw error;
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  /**
+   * Record the latency of a finished call
+   * @param {Object} metrics - Plugin metrics
+   * @param {number} startedAt - Call start time in ms
+   */
+  recordCall(metrics, startedAt) {
+    const duration = Date.now() - startedAt;
+    metrics.calls++;
+    metrics.totalDuration += duration;
+    metrics.maxDuration = Math.max(metrics.maxDuration, duration);
+    metrics.lastDuration = duration;
+    metrics.lastCallAt = new Date();
+  }
+
+  /**
+   * Record a successful call
+   * @param {Object} metrics - Plugin metrics
+   */
+  recordSuccess(metrics) {
+    metrics.consecutiveFailures = 0;
+    if (metrics.status === 'degraded') {
+      metrics.status = 'healthy';
+    }
+  }
+
+  /**
+   * Record a failed call and trip the circuit breaker when the threshold is reached
+   * @param {string} pluginName - Plugin name
+   * @param {Object} metrics - Plugin metrics
+   * @param {string} target - What was called
+   * @param {Error} error - The failure
+   * @returns {Promise<boolean>} True if the plugin was disabled by this failure
+   */
+  async recordFailure(pluginName, metrics, target, error) {
+    metrics.failures++;
+    metrics.consecutiveFailures++;
+    if (error instanceof PluginTimeoutError) {
+      metrics.timeouts++;
+    }
+    metrics.lastError = { message: error.message, target, at: new Date() };
+
+    if (metrics.status === 'tripped') {
+      return false;
+    }
+    if (metrics.consecutiveFailures < this.failureThreshold) {
+      metrics.status = 'degraded';
+      return false;
+    }
+
+    return this.trip(pluginName, metrics);
+  }
+
+  /**
+   * Disable a plugin after repeated failures and save why
+   * @param {string} pluginName - Plugin name
+   * @param {Object} metrics - Plugin metrics
+   * @returns {Promise<boolean>} True if the plugin was enabled and is now disabled
+   */
+  async trip(pluginName, metrics) {
+    metrics.status = 'tripped';
+    metrics.trippedAt = new Date();
+
+    if (!pluginRegistry.isPluginEnabled(pluginName)) {
+      return false;
+    }
+
+    pluginRegistry.disablePlugin(pluginName);
+    const reason = `Disabled after ${metrics.consecutiveFailures} consecutive failures. Last error in ${metrics.lastError.target}: ${metrics.lastError.message}`;
+    console.error(`🔌 Circuit breaker tripped for plugin ${pluginName}: ${reason}`);
+
+    await pluginStateStore.saveEnabled(pluginName, false);
+    await pluginStateStore.recordError(pluginName, new Error(reason));
+    return true;
+  }
+
+  /**
+   * Close a plugin's circuit breaker, e.g. when it is enabled again
+   * @param {string} pluginName - Plugin name
+   */
+  reset(pluginName) {
+    const metrics = this.metrics.get(pluginName);
+    if (metrics) {
+      metrics.status = 'healthy';
+      metrics.consecutiveFailures = 0;
+      metrics.trippedAt = null;
+    }
+  }
+
+  /**
+   * Get the health of a plugin
+   * @param {string} pluginName - Plugin name
+   * @returns {Object} Status, error counts and latency in ms
+   */
+  getHealth(pluginName) {
+    const { totalDuration, ...metrics } = this.getMetrics(pluginName);
+    return {
+      ...metrics,
+      averageDuration: metrics.calls > 0 ? Math.round(totalDuration / metrics.calls) : null
+    };
+  }
+
+  /**
+   * Get sandbox settings and the health of every registered plugin
+   * @returns {Object} Statistics object
+   */
+  getStats() {
+    const plugins = {};
+    pluginRegistry.getAllPlugins().forEach(plugin => {
+      plugins[plugin.name] = this.getHealth(plugin.name);
+    });
+
+    return {
+      timeout: this.timeout,
+      failureThreshold: this.failureThreshold,
+      plugins
+    };
+  }
+}
+
+// Create and export a singleton instance
+const pluginHealthMonitor = new PluginHealthMonitor();
+pluginHealthMonitor.PluginTimeoutError = PluginTimeoutError;
+
+module.exports = pluginHealthMonitor;
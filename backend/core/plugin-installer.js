@@ -0,0 +1,310 @@
+/**
+ * CourseWorx Plugin Installer
+ *
+ * This module installs plugins uploaded as zip packages. A package is
+ * unpacked into a staging folder and validated first; the validation
+ * report is returned to the admin, and only a confirmed, valid package
+ * is moved into the plugins directory and hot-loaded.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+const AdmZip = require('adm-zip');
+const pluginRegistry = require('./plugin-registry');
+const pluginValidator = require('./plugin-validator');
+const pluginLoader = require('./plugin-loader');
+
+const STAGING_TTL = 60 * 60 * 1000; // Staged packages are discarded after an hour
+const MAX_ENTRIES = 500;
+const MAX_UNPACKED_SIZE = 20 * 1024 * 1024; // 20MB
+const PLUGIN_NAME_PATTERN = /^[a-z0-9][a-z0-9-]{0,63}$/;
+
+/**
+ * Checks whether an npm module can be required from a plugin folder
+ * (its own node_modules or the backend's)
+ * @param {string} moduleName - Module name, e.g. 'stripe'
+ * @param {string} pluginPath - Plugin folder
+ * @returns {boolean}
+ */
+const canResolveModule = (moduleName, pluginPath) => {
+  // Modules whose exports hide the main entry or package.json resolve through one of the two
+  for (const request of [moduleName, `${moduleName}/package.json`]) {
+    try {
+      require.resolve(request, { paths: [pluginPath] });
+      return true;
+    } catch (error) {
+      // Try the next form
+    }
+  }
+  return false;
+};
+
+/**
+ * Error caused by the uploaded package rather than by the server
+ */
+class PluginPackageError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'PluginPackageError';
+    this.statusCode = statusCode;
+  }
+}
+
+const pathExists = async (target) => {
+  try {
+    await fs.access(target);
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+class PluginInstaller {
+  constructor() {
+    this.stagingDir = path.join(__dirname, '..', 'plugin-staging');
+    this.uploadDir = path.join(this.stagingDir, 'uploads');
+    this.staged = new Map(); // Staged packages by staging ID
+  }
+
+  /**
+   * Unpack an uploaded package into a staging folder and validate it
+   * @param {string} zipPath - Path of the uploaded zip file
+   * @param {string} stagedBy - ID of the uploading user
+   * @returns {Promise<Object>} Validation report with the staging ID
+   */
+  async stage(zipPath, stagedBy) {
+    await this.discardExpired();
+
+    const stagingId = crypto.randomBytes(16).toString('hex');
+    const stagingPath = path.join(this.stagingDir, stagingId);
+    await fs.mkdir(stagingPath, { recursive: true });
+
+    try {
+      await this.extract(zipPath, stagingPath);
+      const pluginPath = await this.findPluginRoot(stagingPath);
+      const report = await this.buildReport(pluginPath);
+
+      this.staged.set(stagingId, {
+        stagingPath,
+        pluginPath,
+        stagedBy,
+        stagedAt: Date.now()
+      });
+
+      console.log(`📦 Plugin package staged: ${report.plugin.name} (${stagingId})`);
+      return { stagingId, ...report };
+    } catch (error) {
+      await fs.rm(stagingPath, { recursive: true, force: true });
+      throw error;
+    }
+  }
+
+  /**
+   * Unpack a zip file, refusing entries that would land outside the target folder
+   * @param {string} zipPath - Path of the zip file
+   * @param {string} targetPath - Folder to unpack into
+   */
+  async extract(zipPath, targetPath) {
+    let zip;
+    try {
+      zip = new AdmZip(zipPath);
+    } catch (error) {
+      throw new PluginPackageError('File is not a valid zip archive');
+    }
+
+    const entries = zip.getEntries();
+    if (entries.length === 0) {
+      throw new PluginPackageError('Zip archive is empty');
+    }
+    if (entries.length > MAX_ENTRIES) {
+      throw new PluginPackageError(`Zip archive has too many files (max: ${MAX_ENTRIES})`);
+    }
+
+    let unpackedSize = 0;
+    for (const entry of entries) {
+      const entryPath = path.resolve(targetPath, entry.entryName);
+      if (!entryPath.startsWith(targetPath + path.sep)) {
+        throw new PluginPackageError(`Zip entry points outside the plugin folder: ${entry.entryName}`);
+      }
+
+      unpackedSize += entry.header.size;
+      if (unpackedSize > MAX_UNPACKED_SIZE) {
+        throw new PluginPackageError(`Unpacked plugin is too large (max: ${MAX_UNPACKED_SIZE} bytes)`);
+      }
+    }
+
+    for (const entry of entries) {
+      const entryPath = path.resolve(targetPath, entry.entryName);
+      if (entry.isDirectory) {
+        await fs.mkdir(entryPath, { recursive: true });
+      } else {
+        await fs.mkdir(path.dirname(entryPath), { recursive: true });
+        await fs.writeFile(entryPath, entry.getData());
+      }
+    }
+  }
+
+  /**
+   * Find the folder holding package.json: the archive root, or its single top-level folder
+   * @param {string} stagingPath - Folder the package was unpacked into
+   * @returns {Promise<string>} Plugin folder
+   */
+  async findPluginRoot(stagingPath) {
+    if (await pathExists(path.join(stagingPath, 'package.json'))) {
+      return stagingPath;
+    }
+
+    const entries = await fs.readdir(stagingPath, { withFileTypes: true });
+    const folders = entries.filter(entry => entry.isDirectory() && entry.name !== '__MACOSX');
+    if (folders.length === 1) {
+      const folderPath = path.join(stagingPath, folders[0].name);
+      if (await pathExists(path.join(folderPath, 'package.json'))) {
+        return folderPath;
+      }
+    }
+
+    throw new PluginPackageError('package.json not found at the root of the zip archive');
+  }
+
+  /**
+   * Validate an unpacked plugin
+   * @param {string} pluginPath - Plugin folder
+   * @returns {Promise<Object>} Validation report
+   */
+  async buildReport(pluginPath) {
+    let packageJson;
+    try {
+      packageJson = JSON.parse(await fs.readFile(path.join(pluginPath, 'package.json'), 'utf8'));
+    } catch (error) {
+      throw new PluginPackageError('package.json is not valid JSON');
+    }
+
+    const validation = await pluginValidator.validatePlugin(pluginPath, packageJson);
+    const errors = [...validation.errors];
+
+    if (typeof packageJson.name !== 'string' || !PLUGIN_NAME_PATTERN.test(packageJson.name)) {
+      errors.push('Plugin name may only contain lowercase letters, numbers and dashes');
+    }
+    if (!(await pathExists(path.join(pluginPath, 'index.js')))) {
+      errors.push('Missing index.js file');
+    }
+
+    // npm modules listed in courseworx.dependencies must be installed with the package or the backend
+    const dependencies = Array.isArray(packageJson.courseworx?.dependencies)
+      ? packageJson.courseworx.dependencies.filter(dependency => typeof dependency === 'string')
+      : [];
+    const missingDependencies = dependencies.filter(dependency => !canResolveModule(dependency, pluginPath));
+
+    const installed = typeof packageJson.name === 'string' ? pluginRegistry.getPlugin(packageJson.name) : null;
+
+    return {
+      plugin: {
+        name: packageJson.name,
+        version: packageJson.version,
+        description: packageJson.description,
+        author: packageJson.author,
+        license: packageJson.license,
+        permissions: packageJson.courseworx?.permissions || [],
+        dependencies
+      },
+      isValid: errors.length === 0,
+      errors,
+      warnings: validation.warnings,
+      missingDependencies,
+      installedVersion: installed ? installed.version : null,
+      canInstall: errors.length === 0 && missingDependencies.length === 0
+    };
+  }
+
+  /**
+   * Install a staged package and hot-load it. An installed version of the
+   * plugin is replaced, and restored if the new version fails to load.
+   * @param {string} stagingId - Staging ID returned by stage()
+   * @param {Object} app - Express application instance
+   * @returns {Promise<Object>} Installed plugin info
+   */
+  async install(stagingId, app) {
+    const staged = this.staged.get(stagingId);
+    if (!staged) {
+      throw new PluginPackageError('Staged plugin not found or expired. Upload it again.', 404);
+    }
+
+    // Validate again: other plugins may have changed since the report was shown
+    const report = await this.buildReport(staged.pluginPath);
+    if (!report.canInstall) {
+      const reasons = [
+        ...report.errors,
+        ...report.missingDependencies.map(dependency => `Missing dependency: ${dependency}`)
+      ];
+      throw new PluginPackageError(`Plugin cannot be installed: ${reasons.join(', ')}`, 422);
+    }
+
+    const { name } = report.plugin;
+    const targetPath = path.join(pluginLoader.pluginsDir, name);
+    const previousPath = path.join(this.stagingDir, `${stagingId}-previous`);
+    const hasPrevious = await pathExists(targetPath);
+
+    if (hasPrevious) {
+      await fs.rename(targetPath, previousPath);
+    }
+    await fs.rename(staged.pluginPath, targetPath);
+
+    await pluginLoader.reloadPlugin(name, app);
+
+    const loadError = pluginLoader.getLoadError(name);
+    if (loadError) {
+      await fs.rm(targetPath, { recursive: true, force: true });
+      if (hasPrevious) {
+        await fs.rename(previousPath, targetPath);
+        await pluginLoader.reloadPlugin(name, app);
+      } else {
+        // Remove whatever the failed plugin registered before it threw
+        await pluginLoader.unloadPlugin(name);
+      }
+      await this.discard(stagingId);
+      throw new PluginPackageError(`Plugin failed to load: ${loadError.message}`, 422);
+    }
+
+    await fs.rm(previousPath, { recursive: true, force: true });
+    await this.discard(stagingId);
+
+    console.log(`✅ Plugin installed: ${name} v${report.plugin.version}`);
+    return pluginRegistry.getPlugin(name);
+  }
+
+  /**
+   * Remove a staged package
+   * @param {string} stagingId - Staging ID returned by stage()
+   * @returns {Promise<boolean>} True if the package was staged
+   */
+  async discard(stagingId) {
+    const staged = this.staged.get(stagingId);
+    if (!staged) {
+      return false;
+    }
+
+    this.staged.delete(stagingId);
+    await fs.rm(staged.stagingPath, { recursive: true, force: true });
+    return true;
+  }
+
+  /**
+   * Remove staged packages older than STAGING_TTL
+   */
+  async discardExpired() {
+    const expiredIds = Array.from(this.staged.entries())
+      .filter(([, staged]) => Date.now() - staged.stagedAt > STAGING_TTL)
+      .map(([stagingId]) => stagingId);
+
+    for (const stagingId of expiredIds) {
+      await this.discard(stagingId);
+    }
+  }
+}
+
+// Create and export a singleton instance
+const pluginInstaller = new PluginInstaller();
+pluginInstaller.PluginPackageError = PluginPackageError;
+
+module.exports = pluginInstaller;
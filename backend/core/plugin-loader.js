@@ -8,14 +8,19 @@
 
 const fs = require('fs').promises;
 const path = require('path');
+const express = require('express');
 const pluginRegistry = require('./plugin-registry');
 const pluginValidator = require('./plugin-validator');
+const pluginStateStore = require('./plugin-state');
+const migrationRunner = require('./migration-runner');
 
 class PluginLoader {
   constructor() {
     this.pluginsDir = path.join(__dirname, '..', 'plugins');
     this.loadedPlugins = new Map();
     this.loadErrors = new Map();
+    this.apiRouter = null; // Router all plugin API routes are mounted on
+    this.mountedRoutePaths = new Set(); // API paths already mounted on apiRouter
   }
 
   /**
@@ -29,6 +34,9 @@ class PluginLoader {
       // Ensure plugins directory exists
       await this.ensurePluginsDirectory();
       
+      // Load saved enablement and settings
+      await pluginStateStore.load();
+      
       // Load all plugins
       await this.loadAllPlugins(app);
       
@@ -93,9 +101,15 @@ class PluginLoader {
    * @param {Object} app - Express application instance
    */
   async loadPlugin(pluginName, pluginPath, app) {
+    let pluginModule = null;
     try {
       console.log(`📦 Loading plugin: ${pluginName}`);
       
+      // The core migrations are recorded under this name in plugin_migrations
+      if (pluginName === migrationRunner.CORE_SCOPE) {
+        throw new Error(`Plugin name "${pluginName}" is reserved`);
+      }
+      
       // Check if plugin has required files
       const packageJsonPath = path.join(pluginPath, 'package.json');
       const indexJsPath = path.join(pluginPath, 'index.js');
@@ -122,8 +136,14 @@ class PluginLoader {
         throw new Error(`Package.json validation failed: ${validationResult.errors.join(', ')}`);
       }
       
+      // Run pending migrations before the plugin's models are used
+      const applied = await migrationRunner.runPending(pluginName, this.getMigrationsDir(pluginName));
+      if (applied.length > 0) {
+        console.log(`🗄️  Applied ${applied.length} migrations for plugin: ${pluginName}`);
+      }
+      
       // Load the plugin module
-      const pluginModule = require(pluginPath);
+      pluginModule = require(pluginPath);
       
       if (typeof pluginModule.register !== 'function') {
         throw new Error('Plugin must export a register function');
@@ -132,6 +152,12 @@ class PluginLoader {
       // Register the plugin in the registry
       const pluginInfo = pluginRegistry.registerPlugin(pluginName, packageJson);
       
+      // Restore saved settings before register() so plugins can merge their defaults under them
+      const savedState = pluginStateStore.get(pluginName);
+      if (savedState && savedState.settings) {
+        pluginRegistry.restorePluginSettings(pluginName, savedState.settings);
+      }
+      
       // Call the plugin's register function
       const registerContext = {
         app,
@@ -143,11 +169,21 @@ class PluginLoader {
       
       await pluginModule.register(registerContext);
       
-      // Enable the plugin by default (unless specified otherwise)
-      if (packageJson.courseworx?.autoEnable !== false) {
+      // Register UI slot entries declared in the manifest
+      if (Array.isArray(packageJson.courseworx?.uiSlots)) {
+        pluginRegistry.registerUiSlots(pluginName, packageJson.courseworx.uiSlots);
+      }
+      
+      // Use the saved enabled flag; new plugins are enabled by default (unless specified otherwise)
+      const shouldEnable = savedState
+        ? savedState.enabled
+        : packageJson.courseworx?.autoEnable !== false;
+      if (shouldEnable) {
         pluginRegistry.enablePlugin(pluginName);
       }
       
+      await pluginStateStore.recordLoaded(pluginName, packageJson.version, shouldEnable);
+      
       // Store the loaded plugin info
       this.loadedPlugins.set(pluginName, {
         path: pluginPath,
@@ -162,22 +198,52 @@ class PluginLoader {
       console.error(`❌ Failed to load plugin ${pluginName}:`, error.message);
       this.loadErrors.set(pluginName, error);
       
+      // Stop timers a plugin may have started before it failed
+      if (pluginModule && typeof pluginModule.cleanup === 'function') {
+        try {
+          await pluginModule.cleanup();
+        } catch (cleanupError) {
+          console.error(`❌ Cleanup failed for plugin ${pluginName}:`, cleanupError.message);
+        }
+      }
+      await pluginStateStore.recordError(pluginName, error);
+      
       // Don't throw here, continue loading other plugins
     }
   }
 
   /**
-   * Register API routes for enabled plugins
+   * Register API routes for all plugins. Each path is mounted once on a router
+   * that sits before the 404 handler and dispatches to the router the plugin
+   * currently registers, so enabling, reloading or installing a plugin does
+   * not need a restart. Routes of disabled plugins answer 404.
    * @param {Object} app - Express application instance
    */
   registerApiRoutes(app) {
-    const apiRoutes = pluginRegistry.getApiRoutes();
+    if (!this.apiRouter) {
+      this.apiRouter = express.Router();
+      app.use(this.apiRouter);
+    }
+    
+    const apiRoutes = pluginRegistry.getAllApiRoutes();
     console.log(`🔗 Found ${apiRoutes.length} API routes to register:`, apiRoutes.map(r => r.path));
     
     for (const routeInfo of apiRoutes) {
+      if (this.mountedRoutePaths.has(routeInfo.path)) {
+        continue;
+      }
+      
       try {
         console.log(`🔗 Registering API routes: ${routeInfo.path} for plugin: ${routeInfo.plugin}`);
-        app.use(routeInfo.path, routeInfo.router);
+        const dispatch = (req, res, next) => {
+          const current = pluginRegistry.getAllApiRoutes().find(route => route.path === routeInfo.path);
+          if (!current || !pluginRegistry.isPluginEnabled(current.plugin)) {
+            return res.status(404).json({ error: 'Route not found' });
+          }
+          current.router(req, res, next);
+        };
+        this.apiRouter.use(routeInfo.path, dispatch);
+        this.mountedRoutePaths.add(routeInfo.path);
         console.log(`✅ Successfully registered API routes: ${routeInfo.path}`);
       } catch (error) {
         console.error(`❌ Failed to register API routes for ${routeInfo.plugin}:`, error);
@@ -185,6 +251,46 @@ class PluginLoader {
     }
   }
 
+  /**
+   * Call a loaded plugin's optional cleanup() so it stops its timers and
+   * releases its resources; errors are logged, never thrown
+   * @param {string} pluginName - Plugin name
+   */
+  async cleanupPlugin(pluginName) {
+    const loaded = this.loadedPlugins.get(pluginName);
+    if (!loaded || typeof loaded.module.cleanup !== 'function') {
+      return;
+    }
+
+    try {
+      await loaded.module.cleanup();
+    } catch (error) {
+      console.error(`❌ Cleanup failed for plugin ${pluginName}:`, error.message);
+    }
+  }
+
+  /**
+   * Unload a plugin: let it clean up, remove everything it registered (also
+   * after a failed load) and forget its cached modules so its files can be
+   * loaded again
+   * @param {string} pluginName - Plugin name
+   */
+  async unloadPlugin(pluginName) {
+    await this.cleanupPlugin(pluginName);
+
+    if (pluginRegistry.getPlugin(pluginName)) {
+      pluginRegistry.unregisterPlugin(pluginName);
+    }
+    
+    this.loadedPlugins.delete(pluginName);
+    this.loadErrors.delete(pluginName);
+    
+    const pluginPath = path.join(this.pluginsDir, pluginName);
+    Object.keys(require.cache)
+      .filter(modulePath => modulePath.startsWith(pluginPath + path.sep))
+      .forEach(modulePath => delete require.cache[modulePath]);
+  }
+
   /**
    * Reload a specific plugin
    * @param {string} pluginName - Plugin name
@@ -194,18 +300,13 @@ class PluginLoader {
     try {
       console.log(`🔄 Reloading plugin: ${pluginName}`);
       
-      // Unregister the plugin from registry
-      if (pluginRegistry.getPlugin(pluginName)) {
-        pluginRegistry.unregisterPlugin(pluginName);
-      }
-      
-      // Remove from loaded plugins
-      this.loadedPlugins.delete(pluginName);
-      this.loadErrors.delete(pluginName);
+      // Remove the running version; cached modules are forgotten so changed files are picked up
+      await this.unloadPlugin(pluginName);
       
-      // Reload the plugin
+      // Reload the plugin and mount any new API routes
       const pluginPath = path.join(this.pluginsDir, pluginName);
       await this.loadPlugin(pluginName, pluginPath, app);
+      this.registerApiRoutes(app);
       
       console.log(`✅ Plugin reloaded: ${pluginName}`);
       
@@ -222,6 +323,11 @@ class PluginLoader {
   async reloadAllPlugins(app) {
     console.log('🔄 Reloading all plugins...');
     
+    // Stop the running plugins' timers before they are registered again
+    for (const pluginName of this.loadedPlugins.keys()) {
+      await this.cleanupPlugin(pluginName);
+    }
+    
     // Clear the registry
     pluginRegistry.clear();
     
@@ -253,6 +359,14 @@ class PluginLoader {
     }));
   }
 
+  /**
+   * Get the migrations directory of a plugin
+   * @param {string} pluginName - Plugin folder name
+   */
+  getMigrationsDir(pluginName) {
+    return path.join(this.pluginsDir, pluginName, 'migrations');
+  }
+
   /**
    * Get plugin load errors
    */
@@ -264,6 +378,23 @@ class PluginLoader {
     }));
   }
 
+  /**
+   * Get the load error of a plugin
+   * @param {string} pluginName - Plugin name
+   * @returns {Error|null} Load error, or null if the plugin loaded
+   */
+  getLoadError(pluginName) {
+    return this.loadErrors.get(pluginName) || null;
+  }
+
+  /**
+   * Forget the load error of a plugin whose folder was removed
+   * @param {string} pluginName - Plugin name
+   */
+  clearLoadError(pluginName) {
+    this.loadErrors.delete(pluginName);
+  }
+
   /**
    * Check if a plugin is loaded
    * @param {string} pluginName - Plugin name
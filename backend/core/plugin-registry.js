@@ -6,15 +6,27 @@
  * central hub for plugin management and discovery.
  */
 
+const pluginStateStore = require('./plugin-state');
+
+// Named places in the frontend where plugins can render components or iframe panels
+const UI_SLOTS = [
+  'header-actions',        // Layout header, next to the notification bell
+  'dashboard-widgets',     // Dashboard, below the role's dashboard
+  'course-detail-sidebar', // Course detail page sidebar ({ courseId })
+  'course-editor-toolbar', // Course editor header, edit mode only ({ courseId })
+  'trainee-details-tabs'   // Extra tabs on the trainee details page ({ courseId, traineeId })
+];
+
 class PluginRegistry {
   constructor() {
     // Initialize the registry with empty collections
     this.plugins = new Map(); // Plugin metadata by name
     this.apiRoutes = new Map(); // API routes by plugin name
     this.adminMenuItems = []; // Menu items for admin dashboard
+    this.uiSlotEntries = []; // Components and iframe panels for frontend UI slots
     this.eventListeners = new Map(); // Event listeners by event type
     this.hooks = new Map(); // Hook functions by hook point
-    this.permissions = new Set(); // Custom permissions
+    this.permissions = new Map(); // Custom permissions by name ({ name, plugin, description })
     this.settings = new Map(); // Plugin settings by plugin name
     this.enabledPlugins = new Set(); // Set of enabled plugin names
   }
@@ -100,6 +112,16 @@ class PluginRegistry {
     // Remove menu items for this plugin
     this.adminMenuItems = this.adminMenuItems.filter(item => item.plugin !== name);
 
+    // Remove permissions of this plugin (grants stay saved for when it comes back)
+    for (const [permissionName, permission] of this.permissions) {
+      if (permission.plugin === name) {
+        this.permissions.delete(permissionName);
+      }
+    }
+
+    // Remove UI slot entries for this plugin
+    this.uiSlotEntries = this.uiSlotEntries.filter(entry => entry.plugin !== name);
+
     // Remove event listeners for this plugin
     for (const [eventType, listeners] of this.eventListeners) {
       this.eventListeners.set(eventType, listeners.filter(listener => listener.plugin !== name));
@@ -155,6 +177,33 @@ class PluginRegistry {
     console.log(`✓ Menu items registered for ${pluginName}: ${menuItems.length} items`);
   }
 
+  /**
+   * Register components or iframe panels for frontend UI slots
+   * @param {string} pluginName - Plugin name
+   * @param {Array} entries - Slot entries ({ slot, type: 'component'|'iframe', component|url, title, roles, order, height })
+   */
+  registerUiSlots(pluginName, entries) {
+    if (!this.plugins.has(pluginName)) {
+      throw new Error(`Plugin '${pluginName}' is not registered`);
+    }
+
+    const entriesWithPlugin = entries.map((entry, index) => {
+      if (!UI_SLOTS.includes(entry.slot)) {
+        throw new Error(`Unknown UI slot '${entry.slot}'. Available slots: ${UI_SLOTS.join(', ')}`);
+      }
+
+      return {
+        ...entry,
+        id: entry.id || `${pluginName}-${entry.slot}-${index}`,
+        plugin: pluginName,
+        order: entry.order || 0
+      };
+    });
+
+    this.uiSlotEntries.push(...entriesWithPlugin);
+    console.log(`✓ UI slots registered for ${pluginName}: ${entries.length} entries`);
+  }
+
   /**
    * Register event listeners for a plugin
    * @param {string} pluginName - Plugin name
@@ -208,7 +257,7 @@ class PluginRegistry {
   /**
    * Register custom permissions for a plugin
    * @param {string} pluginName - Plugin name
-   * @param {Array} permissions - Array of permission strings
+   * @param {Array} permissions - Permission strings or { name, description } objects
    */
   registerPermissions(pluginName, permissions) {
     if (!this.plugins.has(pluginName)) {
@@ -216,26 +265,44 @@ class PluginRegistry {
     }
 
     permissions.forEach(permission => {
-      this.permissions.add(permission);
+      const { name, description = '' } = typeof permission === 'string' ? { name: permission } : permission;
+      this.permissions.set(name, { name, plugin: pluginName, description });
     });
 
     console.log(`✓ Permissions registered for ${pluginName}: ${permissions.length} permissions`);
   }
 
   /**
-   * Set plugin settings
+   * Set plugin settings and persist them
    * @param {string} pluginName - Plugin name
    * @param {Object} settings - Plugin settings
+   * @returns {Promise} Resolves once the settings are saved
    */
   setPluginSettings(pluginName, settings) {
     if (!this.plugins.has(pluginName)) {
       throw new Error(`Plugin '${pluginName}' is not registered`);
     }
 
-    this.settings.set(pluginName, {
+    const updated = {
       ...settings,
       updatedAt: new Date()
-    });
+    };
+    this.settings.set(pluginName, updated);
+
+    return pluginStateStore.saveSettings(pluginName, updated);
+  }
+
+  /**
+   * Restore saved plugin settings without persisting them again
+   * @param {string} pluginName - Plugin name
+   * @param {Object} settings - Saved plugin settings
+   */
+  restorePluginSettings(pluginName, settings) {
+    if (!this.plugins.has(pluginName)) {
+      throw new Error(`Plugin '${pluginName}' is not registered`);
+    }
+
+    this.settings.set(pluginName, { ...settings });
   }
 
   /**
@@ -268,6 +335,13 @@ class PluginRegistry {
     return this.plugins.get(name);
   }
 
+  /**
+   * Get API routes for all registered plugins, enabled or not
+   */
+  getAllApiRoutes() {
+    return Array.from(this.apiRoutes.values());
+  }
+
   /**
    * Get API routes for enabled plugins
    */
@@ -301,6 +375,26 @@ class PluginRegistry {
     });
   }
 
+  /**
+   * Get UI slot entries visible to a role, grouped by slot name
+   * @param {string} userRole - User role
+   * @returns {Object} Entries by slot name, sorted by order
+   */
+  getUiSlots(userRole) {
+    const slots = {};
+
+    this.uiSlotEntries
+      .filter(entry => this.enabledPlugins.has(entry.plugin))
+      .filter(entry => !Array.isArray(entry.roles) || entry.roles.includes(userRole))
+      .sort((a, b) => a.order - b.order)
+      .forEach(entry => {
+        slots[entry.slot] = slots[entry.slot] || [];
+        slots[entry.slot].push(entry);
+      });
+
+    return slots;
+  }
+
   /**
    * Get event listeners for a specific event type
    * @param {string} eventType - Event type
@@ -325,7 +419,15 @@ class PluginRegistry {
    * Get all custom permissions
    */
   getPermissions() {
-    return Array.from(this.permissions);
+    return Array.from(this.permissions.keys());
+  }
+
+  /**
+   * Get all custom permissions with the plugin that registered them
+   * @returns {Array} { name, plugin, description }
+   */
+  getPermissionCatalogue() {
+    return Array.from(this.permissions.values());
   }
 
   /**
@@ -345,6 +447,7 @@ class PluginRegistry {
       enabledPlugins: this.enabledPlugins.size,
       apiRoutes: this.apiRoutes.size,
       menuItems: this.adminMenuItems.length,
+      uiSlotEntries: this.uiSlotEntries.length,
       eventTypes: this.eventListeners.size,
       hookPoints: this.hooks.size,
       permissions: this.permissions.size
@@ -358,6 +461,7 @@ class PluginRegistry {
     this.plugins.clear();
     this.apiRoutes.clear();
     this.adminMenuItems.length = 0;
+    this.uiSlotEntries.length = 0;
     this.eventListeners.clear();
     this.hooks.clear();
     this.permissions.clear();
@@ -368,5 +472,6 @@ class PluginRegistry {
 
 // Create and export a singleton instance
 const pluginRegistry = new PluginRegistry();
+pluginRegistry.UI_SLOTS = UI_SLOTS;
 
 module.exports = pluginRegistry;
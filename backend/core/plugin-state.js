@@ -0,0 +1,132 @@
+/**
+ * CourseWorx Plugin State Store
+ *
+ * This module persists per-plugin enablement, settings, version and the
+ * last load error in the plugin_state table, so that admin choices survive
+ * restarts. State is loaded once when the plugin system initializes and
+ * kept in memory; every change is written through to the database.
+ */
+
+const PluginState = require('../models/PluginState');
+
+class PluginStateStore {
+  constructor() {
+    this.states = new Map(); // Saved state by plugin name
+    this.available = false; // False when the plugin_state table could not be read
+  }
+
+  /**
+   * Load the saved state of all plugins
+   */
+  async load() {
+    try {
+      const rows = await PluginState.findAll();
+      this.states.clear();
+      rows.forEach(row => {
+        this.states.set(row.name, row.get({ plain: true }));
+      });
+      this.available = true;
+      console.log(`✓ Plugin state loaded for ${rows.length} plugins`);
+    } catch (error) {
+      // Without the table plugins fall back to their package.json defaults
+      this.available = false;
+      console.warn('⚠️  Could not load plugin state, using defaults:', error.message);
+    }
+  }
+
+  /**
+   * Get the saved state of a plugin
+   * @param {string} name - Plugin name
+   * @returns {Object|null} Saved state, or null if the plugin has never been saved
+   */
+  get(name) {
+    return this.states.get(name) || null;
+  }
+
+  /**
+   * Merge changes into a plugin's state and write them through
+   * @param {string} name - Plugin name
+   * @param {Object} changes - Fields to update
+   */
+  async save(name, changes) {
+    const state = {
+      name,
+      enabled: true,
+      settings: {},
+      version: null,
+      lastError: null,
+      lastErrorAt: null,
+      ...this.states.get(name),
+      ...changes
+    };
+    this.states.set(name, state);
+
+    if (!this.available) {
+      return state;
+    }
+
+    try {
+      await PluginState.upsert({
+        name,
+        enabled: state.enabled,
+        settings: state.settings,
+        version: state.version,
+        lastError: state.lastError,
+        lastErrorAt: state.lastErrorAt
+      });
+    } catch (error) {
+      console.error(`❌ Failed to save plugin state for ${name}:`, error.message);
+    }
+
+    return state;
+  }
+
+  /**
+   * Save whether a plugin is enabled
+   * @param {string} name - Plugin name
+   * @param {boolean} enabled - Enabled flag
+   */
+  saveEnabled(name, enabled) {
+    return this.save(name, { enabled });
+  }
+
+  /**
+   * Save a plugin's settings
+   * @param {string} name - Plugin name
+   * @param {Object} settings - Plugin settings
+   */
+  saveSettings(name, settings) {
+    return this.save(name, { settings });
+  }
+
+  /**
+   * Record a successful load (clears the last error)
+   * @param {string} name - Plugin name
+   * @param {string} version - Loaded version
+   * @param {boolean} enabled - Enabled flag after loading
+   */
+  recordLoaded(name, version, enabled) {
+    return this.save(name, { version, enabled, lastError: null, lastErrorAt: null });
+  }
+
+  /**
+   * Record a load error
+   * @param {string} name - Plugin name
+   * @param {Error} error - Load error
+   */
+  recordError(name, error) {
+    return this.save(name, { lastError: error.message, lastErrorAt: new Date() });
+  }
+
+  /**
+   * Get the saved state of all plugins
+   */
+  getAll() {
+    return Array.from(this.states.values());
+  }
+}
+
+// Create and export a singleton instance
+const pluginStateStore = new PluginStateStore();
+
+module.exports = pluginStateStore;
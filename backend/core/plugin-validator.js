@@ -7,6 +7,15 @@
 
 const path = require('path');
 const fs = require('fs').promises;
+const { UI_SLOTS } = require('./plugin-registry');
+
+const BACKEND_DIR = path.join(__dirname, '..');
+const PLUGINS_DIR = path.join(BACKEND_DIR, 'plugins');
+// Core folders a plugin may import from with relative paths (e.g. ../../../models)
+const CORE_MODULE_DIRS = ['config', 'core', 'middleware', 'models', 'utils'];
+
+// Names a plugin cannot take: 'core' is the migration scope of the core tables
+const RESERVED_PLUGIN_NAMES = ['core'];
 
 class PluginValidator {
   constructor() {
@@ -27,14 +36,14 @@ class PluginValidator {
     
     // Forbidden patterns in code (basic security check)
     this.forbiddenPatterns = [
-      /eval\s*\(/,
-      /Function\s*\(/,
-      /setTimeout\s*\(/,
-      /setInterval\s*\(/,
-      /process\.env/,
-      /require\s*\(\s*['"]\.\./,
-      /__dirname/,
-      /__filename/
+      /\beval\s*\(/,
+      /\bFunction\s*\(/
+    ];
+
+    // Patterns legitimate plugins use, reported as warnings for the admin to review
+    this.cautionPatterns = [
+      { pattern: /\bset(Timeout|Interval)\s*\(/, message: 'starts timers (they must be cleared in cleanup())' },
+      { pattern: /process\.env/, message: 'reads environment variables' }
     ];
     
     // Maximum file sizes
@@ -61,6 +70,10 @@ class PluginValidator {
       }
     }
 
+    if (RESERVED_PLUGIN_NAMES.includes(packageJson.name)) {
+      errors.push(`Plugin name "${packageJson.name}" is reserved`);
+    }
+
     // Check courseworx section
     if (!packageJson.courseworx) {
       errors.push('Missing courseworx configuration section');
@@ -81,7 +94,7 @@ class PluginValidator {
 
       // Validate permissions
       if (packageJson.courseworx.permissions) {
-        const permissionErrors = this.validatePermissions(packageJson.courseworx.permissions);
+        const permissionErrors = this.validatePermissions(packageJson.courseworx.permissions, packageJson.name);
         errors.push(...permissionErrors);
       }
 
@@ -90,6 +103,12 @@ class PluginValidator {
         const settingErrors = this.validateSettings(packageJson.courseworx.settings);
         errors.push(...settingErrors);
       }
+
+      // Validate UI slot entries
+      if (packageJson.courseworx.uiSlots) {
+        const uiSlotErrors = this.validateUiSlots(packageJson.courseworx.uiSlots);
+        errors.push(...uiSlotErrors);
+      }
     }
 
     // Check for suspicious patterns in description
@@ -118,10 +137,12 @@ class PluginValidator {
   /**
    * Validate plugin permissions
    * @param {Array} permissions - Array of permission strings
+   * @param {string} pluginName - Plugin name; 'financial-plugin' may also declare 'financial:*' permissions
    * @returns {Array} Array of error messages
    */
-  validatePermissions(permissions) {
+  validatePermissions(permissions, pluginName = '') {
     const errors = [];
+    const namespace = typeof pluginName === 'string' ? pluginName.replace(/-plugin$/, '') : '';
 
     if (!Array.isArray(permissions)) {
       errors.push('Permissions must be an array');
@@ -135,9 +156,10 @@ class PluginValidator {
       }
 
       // Check if permission matches allowed patterns
-      const isAllowed = this.allowedPermissionPatterns.some(pattern => pattern.test(permission));
+      const isAllowed = this.allowedPermissionPatterns.some(pattern => pattern.test(permission))
+        || (namespace && permission.startsWith(`${namespace}:`));
       if (!isAllowed) {
-        errors.push(`Invalid permission format: ${permission}. Must start with read:, write:, delete:, admin:, or plugin:`);
+        errors.push(`Invalid permission format: ${permission}. Must start with read:, write:, delete:, admin:, plugin:${namespace ? ` or ${namespace}:` : ''}`);
       }
 
       // Check for potentially dangerous permissions
@@ -198,6 +220,58 @@ class PluginValidator {
     return errors;
   }
 
+  /**
+   * Validate UI slot entries declared in the manifest
+   * @param {Array} uiSlots - Array of slot entries
+   * @returns {Array} Array of error messages
+   */
+  validateUiSlots(uiSlots) {
+    const errors = [];
+
+    if (!Array.isArray(uiSlots)) {
+      errors.push('uiSlots must be an array');
+      return errors;
+    }
+
+    uiSlots.forEach((entry, index) => {
+      if (typeof entry !== 'object' || entry === null) {
+        errors.push(`UI slot entry ${index} must be an object`);
+        return;
+      }
+
+      if (!UI_SLOTS.includes(entry.slot)) {
+        errors.push(`UI slot entry ${index} has unknown slot: ${entry.slot}`);
+      }
+
+      if (entry.type === 'component') {
+        // Components are looked up by name in the frontend's bundled plugin components
+        if (typeof entry.component !== 'string' || !/^[A-Za-z][A-Za-z0-9]*$/.test(entry.component)) {
+          errors.push(`UI slot entry ${index} must name its component`);
+        }
+      } else if (entry.type === 'iframe') {
+        // Iframes load plugin pages served by the backend or external HTTPS pages
+        const isPluginPath = typeof entry.url === 'string' && entry.url.startsWith('/') && !entry.url.startsWith('//');
+        const isHttpsUrl = typeof entry.url === 'string' && entry.url.startsWith('https://');
+        if (!isPluginPath && !isHttpsUrl) {
+          errors.push(`UI slot entry ${index} iframe url must be a path starting with / or an https:// URL`);
+        }
+      } else {
+        errors.push(`UI slot entry ${index} has invalid type: ${entry.type}. Must be component or iframe`);
+      }
+
+      if (entry.slot === 'trainee-details-tabs' && !entry.title) {
+        errors.push(`UI slot entry ${index} needs a title to be shown as a tab`);
+      }
+
+      if (entry.roles !== undefined && (!Array.isArray(entry.roles)
+        || entry.roles.some(role => !['super_admin', 'trainer', 'trainee'].includes(role)))) {
+        errors.push(`UI slot entry ${index} roles must be an array of super_admin, trainer or trainee`);
+      }
+    });
+
+    return errors;
+  }
+
   /**
    * Validate plugin dependencies
    * @param {Array} dependencies - Array of dependency strings
@@ -264,7 +338,7 @@ class PluginValidator {
    * @param {string} pluginPath - Path to plugin directory
    * @returns {Object} Security validation result
    */
-  async validatePluginFiles(pluginPath) {
+  async validatePluginFiles(pluginPath, installPath = pluginPath) {
     const errors = [];
     const warnings = [];
 
@@ -281,8 +355,9 @@ class PluginValidator {
         
         // Check file content for suspicious patterns
         if (file.endsWith('.js')) {
-          const contentErrors = await this.validateFileContent(filePath);
-          errors.push(...contentErrors);
+          const contentResult = await this.validateFileContent(filePath, path.join(installPath, file), installPath);
+          errors.push(...contentResult.errors);
+          warnings.push(...contentResult.warnings);
         }
       }
       
@@ -351,39 +426,72 @@ class PluginValidator {
   }
 
   /**
-   * Validate file content for suspicious patterns
+   * Check where a relative import points once the plugin is installed: files
+   * of the plugin itself and the core folders in CORE_MODULE_DIRS are allowed
+   * @param {string} moduleName - Relative module path, e.g. '../../../models'
+   * @param {string} installedFilePath - Path the importing file will have once installed
+   * @param {string} installPath - Folder the plugin will be installed into
+   * @returns {boolean} True if the import is allowed
+   */
+  isAllowedRelativeImport(moduleName, installedFilePath, installPath) {
+    const target = path.resolve(path.dirname(installedFilePath), moduleName);
+    if (target === installPath || target.startsWith(installPath + path.sep)) {
+      return true;
+    }
+
+    const relativeToBackend = path.relative(BACKEND_DIR, target);
+    const [topFolder] = relativeToBackend.split(path.sep);
+    return !relativeToBackend.startsWith('..') && !path.isAbsolute(relativeToBackend)
+      && CORE_MODULE_DIRS.includes(topFolder);
+  }
+
+  /**
+   * Validate file content for suspicious patterns and imports
    * @param {string} filePath - Path to file
-   * @returns {Array} Array of error messages
+   * @param {string} installedFilePath - Path the file will have once installed (relative imports are resolved from there)
+   * @param {string} installPath - Folder the plugin will be installed into
+   * @returns {Object} { errors, warnings }
    */
-  async validateFileContent(filePath) {
+  async validateFileContent(filePath, installedFilePath = filePath, installPath = path.dirname(filePath)) {
     const errors = [];
+    const warnings = [];
+    const fileName = path.relative(installPath, installedFilePath) || path.basename(filePath);
     
     try {
       const content = await fs.readFile(filePath, 'utf8');
       
       for (const pattern of this.forbiddenPatterns) {
         if (pattern.test(content)) {
-          const patternName = pattern.source.replace(/[\\^$.*+?()[\]{}|]/g, '');
-          errors.push(`Forbidden pattern found in ${path.basename(filePath)}: ${patternName}`);
+          const patternName = pattern.source.replace(/\\[bs]|[\\^$.*+?()[\]{}|]/g, '');
+          errors.push(`Forbidden pattern found in ${fileName}: ${patternName}`);
+        }
+      }
+
+      for (const { pattern, message } of this.cautionPatterns) {
+        if (pattern.test(content)) {
+          warnings.push(`${fileName} ${message}`);
         }
       }
       
-      // Check for suspicious imports
+      // Relative imports must stay inside the plugin or point at core modules
       const importMatches = content.match(/require\s*\(\s*['"]([^'"]+)['"]\s*\)/g);
       if (importMatches) {
         for (const match of importMatches) {
           const moduleName = match.match(/['"]([^'"]+)['"]/)[1];
-          if (moduleName.startsWith('..') || moduleName.startsWith('./')) {
-            errors.push(`Relative import found in ${path.basename(filePath)}: ${moduleName}`);
+          if (path.isAbsolute(moduleName)) {
+            errors.push(`Absolute import found in ${fileName}: ${moduleName}`);
+          } else if ((moduleName === '.' || moduleName === '..' || moduleName.startsWith('./') || moduleName.startsWith('../'))
+            && !this.isAllowedRelativeImport(moduleName, installedFilePath, installPath)) {
+            errors.push(`Import outside the plugin and core modules found in ${fileName}: ${moduleName}`);
           }
         }
       }
       
     } catch (error) {
-      errors.push(`Error reading file ${path.basename(filePath)}: ${error.message}`);
+      errors.push(`Error reading file ${fileName}: ${error.message}`);
     }
     
-    return errors;
+    return { errors, warnings };
   }
 
   /**
@@ -394,7 +502,11 @@ class PluginValidator {
    */
   async validatePlugin(pluginPath, packageJson) {
     const packageValidation = this.validatePackageJson(packageJson);
-    const fileValidation = await this.validatePluginFiles(pluginPath);
+    // Staged packages are checked as if they were already in the plugins directory
+    const installPath = typeof packageJson.name === 'string' && packageJson.name
+      ? path.join(PLUGINS_DIR, path.basename(packageJson.name))
+      : pluginPath;
+    const fileValidation = await this.validatePluginFiles(pluginPath, installPath);
     
     const allErrors = [
       ...packageValidation.errors,
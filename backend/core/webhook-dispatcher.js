@@ -0,0 +1,309 @@
+/**
+ * CourseWorx Webhook Dispatcher
+ *
+ * This module sends core events (see CORE_EVENTS in plugin-events.js) to the
+ * outgoing webhooks Super Admins configure, so external systems such as an
+ * HR system learn about enrollments, completions, certificates and missed
+ * sessions. Each delivery is stored in the webhook_deliveries table and
+ * POSTed as JSON with these headers:
+ *
+ *   X-CourseWorx-Event: enrollment:created
+ *   X-CourseWorx-Delivery: <delivery id>
+ *   X-CourseWorx-Timestamp: <unix seconds>
+ *   X-CourseWorx-Signature: sha256=<hex HMAC-SHA256 of "<timestamp>.<body>" keyed with the webhook secret>
+ *
+ * A 2xx response marks the delivery as succeeded. Anything else is retried
+ * with exponential backoff until the attempts run out; Super Admins can
+ * redeliver any delivery from the log.
+ */
+
+const crypto = require('crypto');
+const http = require('http');
+const https = require('https');
+const { v4: uuidv4 } = require('uuid');
+const { Op } = require('sequelize');
+const Webhook = require('../models/Webhook');
+const WebhookDelivery = require('../models/WebhookDelivery');
+const pluginEventSystem = require('./plugin-events');
+
+const MAX_ATTEMPTS = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS) || 6;
+const REQUEST_TIMEOUT = parseInt(process.env.WEBHOOK_TIMEOUT_MS) || 10000;
+const RETRY_BASE_DELAY = 30 * 1000; // 30s, 1m, 2m, 4m, 8m...
+const RETRY_POLL_INTERVAL = 30 * 1000;
+const RETRY_BATCH_SIZE = 50;
+const MAX_RESPONSE_BODY = 2000;
+const TEST_EVENT = 'webhook:test';
+
+class WebhookDispatcher {
+  constructor() {
+    this.started = false;
+    this.retryTimer = null;
+    this.inFlight = new Set(); // IDs of deliveries being sent
+  }
+
+  /**
+   * Start listening to core events and retrying failed deliveries
+   */
+  start() {
+    if (this.started) {
+      return;
+    }
+
+    const eventTypes = this.getEventTypes();
+    eventTypes.forEach(eventType => {
+      pluginEventSystem.on(eventType, (data, context) => {
+        this.dispatch(eventType, data, context).catch(error => {
+          console.error(`❌ Webhook dispatch of ${eventType} failed:`, error.message);
+        });
+      });
+    });
+
+    this.retryTimer = setInterval(() => {
+      this.processRetries().catch(error => {
+        console.error('❌ Webhook retry run failed:', error.message);
+      });
+    }, RETRY_POLL_INTERVAL);
+    // Retries must not keep the process alive on shutdown
+    this.retryTimer.unref();
+
+    this.started = true;
+    console.log(`✓ Webhook dispatcher listening to ${eventTypes.length} event types`);
+  }
+
+  /**
+   * Get the event types webhooks can subscribe to
+   * @returns {Array} Event type names
+   */
+  getEventTypes() {
+    return Object.values(pluginEventSystem.CORE_EVENTS);
+  }
+
+  /**
+   * Generate a new signing secret
+   * @returns {string} Secret
+   */
+  generateSecret() {
+    return `whsec_${crypto.randomBytes(24).toString('hex')}`;
+  }
+
+  /**
+   * Sign a payload the way receivers verify it
+   * @param {string} secret - Webhook secret
+   * @param {string} timestamp - Unix timestamp in seconds
+   * @param {string} body - JSON body as sent
+   * @returns {string} Hex HMAC-SHA256 digest
+   */
+  sign(secret, timestamp, body) {
+    return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  }
+
+  /**
+   * Send an event to every active webhook subscribed to it
+   * @param {string} eventType - Event type
+   * @param {Object} data - Event payload
+   * @param {Object} context - Event context (context.user is the acting user)
+   * @returns {Promise<Array>} Created deliveries
+   */
+  async dispatch(eventType, data = {}, context = {}) {
+    const webhooks = await Webhook.findAll({
+      where: {
+        isActive: true,
+        events: { [Op.contains]: [eventType] }
+      }
+    });
+    if (webhooks.length === 0) {
+      return [];
+    }
+
+    const eventId = uuidv4();
+    const payload = {
+      id: eventId,
+      event: eventType,
+      createdAt: new Date().toISOString(),
+      actor: context.user ? { id: context.user.id, role: context.user.role } : null,
+      data
+    };
+
+    const deliveries = await Promise.all(webhooks.map(webhook => WebhookDelivery.create({
+      webhookId: webhook.id,
+      eventType,
+      eventId,
+      payload,
+      nextAttemptAt: new Date()
+    })));
+
+    await Promise.all(deliveries.map((delivery, index) => this.attempt(delivery, webhooks[index])));
+    return deliveries;
+  }
+
+  /**
+   * Send a delivery once and record the outcome, scheduling a retry on failure
+   * @param {Object} delivery - WebhookDelivery instance
+   * @param {Object} webhook - Webhook instance
+   * @returns {Promise<Object>} The updated delivery
+   */
+  async attempt(delivery, webhook) {
+    if (this.inFlight.has(delivery.id)) {
+      return delivery;
+    }
+    this.inFlight.add(delivery.id);
+
+    try {
+      const body = JSON.stringify(delivery.payload);
+      const timestamp = Math.floor(Date.now() / 1000).toString();
+      const headers = {
+        'Content-Type': 'application/json',
+        'User-Agent': 'CourseWorx-Webhooks/1.0',
+        'X-CourseWorx-Event': delivery.eventType,
+        'X-CourseWorx-Delivery': delivery.id,
+        'X-CourseWorx-Timestamp': timestamp,
+        'X-CourseWorx-Signature': `sha256=${this.sign(webhook.secret, timestamp, body)}`
+      };
+
+      const startedAt = new Date();
+      let result;
+      try {
+        result = await this.post(webhook.url, body, headers);
+      } catch (error) {
+        result = { error: error.message };
+      }
+
+      const attempts = delivery.attempts + 1;
+      const succeeded = result.statusCode >= 200 && result.statusCode < 300;
+      let status = 'succeeded';
+      let nextAttemptAt = null;
+      if (!succeeded) {
+        status = attempts >= MAX_ATTEMPTS ? 'failed' : 'pending';
+        if (status === 'pending') {
+          nextAttemptAt = new Date(Date.now() + RETRY_BASE_DELAY * 2 ** (attempts - 1));
+        }
+      }
+
+      await delivery.update({
+        status,
+        attempts,
+        nextAttemptAt,
+        lastAttemptAt: startedAt,
+        responseStatus: result.statusCode || null,
+        responseBody: result.body ? result.body.slice(0, MAX_RESPONSE_BODY) : null,
+        error: result.error || (succeeded ? null : `Receiver responded with HTTP ${result.statusCode}`),
+        duration: Date.now() - startedAt.getTime()
+      });
+
+      if (!succeeded) {
+        console.warn(`⚠️  Webhook ${webhook.name} delivery ${delivery.id} failed (attempt ${attempts}/${MAX_ATTEMPTS}): ${delivery.error}`);
+      }
+      return delivery;
+    } finally {
+      this.inFlight.delete(delivery.id);
+    }
+  }
+
+  /**
+   * POST a body to a URL
+   * @param {string} url - Receiver URL
+   * @param {string} body - JSON body
+   * @param {Object} headers - Request headers
+   * @returns {Promise<Object>} { statusCode, body }
+   */
+  post(url, body, headers) {
+    return new Promise((resolve, reject) => {
+      const target = new URL(url);
+      const client = target.protocol === 'https:' ? https : http;
+
+      const request = client.request(target, {
+        method: 'POST',
+        headers: { ...headers, 'Content-Length': Buffer.byteLength(body) }
+      }, (response) => {
+        let responseBody = '';
+        response.setEncoding('utf8');
+        response.on('data', chunk => {
+          if (responseBody.length < MAX_RESPONSE_BODY) {
+            responseBody += chunk;
+          }
+        });
+        response.on('end', () => resolve({ statusCode: response.statusCode, body: responseBody }));
+      });
+
+      request.setTimeout(REQUEST_TIMEOUT, () => {
+        request.destroy(new Error(`No response within ${REQUEST_TIMEOUT}ms`));
+      });
+      request.on('error', reject);
+      request.end(body);
+    });
+  }
+
+  /**
+   * Retry the pending deliveries that are due, for webhooks that are still active
+   */
+  async processRetries() {
+    const due = await WebhookDelivery.findAll({
+      where: {
+        status: 'pending',
+        nextAttemptAt: { [Op.lte]: new Date() }
+      },
+      include: [{ model: Webhook, as: 'webhook', where: { isActive: true } }],
+      order: [['nextAttemptAt', 'ASC']],
+      limit: RETRY_BATCH_SIZE
+    });
+
+    for (const delivery of due) {
+      await this.attempt(delivery, delivery.webhook);
+    }
+  }
+
+  /**
+   * Send a delivery's payload again as a new delivery
+   * @param {string} deliveryId - Delivery to redeliver
+   * @returns {Promise<Object|null>} The new delivery, or null if the delivery does not exist
+   */
+  async redeliver(deliveryId) {
+    const original = await WebhookDelivery.findByPk(deliveryId, {
+      include: [{ model: Webhook, as: 'webhook' }]
+    });
+    if (!original) {
+      return null;
+    }
+
+    const delivery = await WebhookDelivery.create({
+      webhookId: original.webhookId,
+      eventType: original.eventType,
+      eventId: original.eventId,
+      payload: original.payload,
+      nextAttemptAt: new Date(),
+      redeliveryOf: original.id
+    });
+
+    return this.attempt(delivery, original.webhook);
+  }
+
+  /**
+   * Send a test event to a webhook, whatever it subscribes to
+   * @param {Object} webhook - Webhook instance
+   * @param {Object} user - Acting user { id, role }
+   * @returns {Promise<Object>} The delivery
+   */
+  async sendTest(webhook, user) {
+    const eventId = uuidv4();
+    const delivery = await WebhookDelivery.create({
+      webhookId: webhook.id,
+      eventType: TEST_EVENT,
+      eventId,
+      payload: {
+        id: eventId,
+        event: TEST_EVENT,
+        createdAt: new Date().toISOString(),
+        actor: user ? { id: user.id, role: user.role } : null,
+        data: { webhookId: webhook.id, message: 'Test delivery from CourseWorx' }
+      },
+      nextAttemptAt: new Date()
+    });
+
+    return this.attempt(delivery, webhook);
+  }
+}
+
+// Create and export a singleton instance
+const webhookDispatcher = new WebhookDispatcher();
+
+module.exports = webhookDispatcher;
@@ -1,5 +1,7 @@
 const jwt = require('jsonwebtoken');
 const { User } = require('../models');
+const permissionManager = require('../core/permission-manager');
+const { loadStaffMemberships } = require('../utils/courseStaff');
 
 const auth = async (req, res, next) => {
   try {
@@ -16,6 +18,11 @@ const auth = async (req, res, next) => {
       return res.status(401).json({ error: 'Invalid token or user inactive.' });
     }
 
+    // Custom roles (teaching assistant etc.) assigned to the user, see core/permission-manager.js
+    user.customRoles = await permissionManager.loadUserRoles(user.id);
+    // Courses the user teaches as lead, co-trainer or assistant, see utils/courseStaff.js
+    user.courseStaff = await loadStaffMemberships(user.id);
+
     req.user = user;
     next();
   } catch (error) {
@@ -29,7 +36,8 @@ const requireRole = (roles) => {
       return res.status(401).json({ error: 'Authentication required.' });
     }
 
-    if (!roles.includes(req.user.role)) {
+    // Custom roles pass when they are listed or based on a listed built-in role
+    if (!permissionManager.hasRole(req.user, roles)) {
       return res.status(403).json({ error: 'Insufficient permissions.' });
     }
 
@@ -37,6 +45,24 @@ const requireRole = (roles) => {
   };
 };
 
+// Checks a permission from the role/permission model (core/permission-manager.js);
+// with a courseId, custom roles assigned on that course count as well
+const hasPermission = (user, permission, courseId = null) => permissionManager.hasPermission(user, permission, courseId);
+
+const requirePermission = (permission) => {
+  return (req, res, next) => {
+    if (!req.user) {
+      return res.status(401).json({ error: 'Authentication required.' });
+    }
+
+    if (!hasPermission(req.user, permission)) {
+      return res.status(403).json({ error: 'Insufficient permissions.', permission });
+    }
+
+    next();
+  };
+};
+
 const requireSuperAdmin = requireRole(['super_admin']);
 const requireTrainer = requireRole(['super_admin', 'trainer']);
 const requireTrainee = requireRole(['super_admin', 'trainer', 'trainee']);
@@ -44,6 +70,8 @@ const requireTrainee = requireRole(['super_admin', 'trainer', 'trainee']);
 module.exports = {
   auth,
   requireRole,
+  requirePermission,
+  hasPermission,
   requireSuperAdmin,
   requireTrainer,
   requireTrainee
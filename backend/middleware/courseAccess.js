@@ -6,6 +6,37 @@
  */
 
 const { Enrollment, Course } = require('../models');
+const permissionManager = require('../core/permission-manager');
+const { isCourseStaff, hasStaffCapability } = require('../utils/courseStaff');
+
+/**
+ * Check whether a user may act on a course: Super Admins, course staff whose
+ * staff role has the capability, and users holding the permission on the
+ * course through their role or a custom role
+ * @param {Object} user - User (req.user)
+ * @param {Object} course - Course with id and trainerId
+ * @param {string} permission - Permission name, e.g. 'course:attendance'
+ * @returns {boolean} True if the user may act on the course
+ */
+const hasCoursePermission = (user, course, permission) => (
+  user.role === 'super_admin' ||
+  hasStaffCapability(user, course, permission) ||
+  permissionManager.hasPermission(user, permission, course.id)
+);
+
+/**
+ * Send the 403 response for an enrollment whose access is suspended
+ * (e.g. an installment overdue past its grace period)
+ * @param {Object} res - Express response object
+ * @param {Object} enrollment - Suspended enrollment
+ */
+const sendSuspendedResponse = (res, enrollment) => res.status(403).json({
+  error: 'Access suspended',
+  message: enrollment.suspensionReason || 'Your access to this course is suspended',
+  accessSuspended: true,
+  suspendedAt: enrollment.suspendedAt,
+  enrollmentId: enrollment.id
+});
 
 /**
  * Middleware to check if user has paid for a course
@@ -39,8 +70,14 @@ const requirePaidEnrollment = async (req, res, next) => {
       return next();
     }
 
-    // Allow Trainers to access courses they are assigned to teach
-    if (req.user.role === 'trainer' && course.trainerId === req.user.id) {
+    // Allow course staff (lead, co-trainers and assistants) to access courses they teach
+    if (isCourseStaff(req.user, course)) {
+      req.course = course;
+      return next();
+    }
+
+    // Allow roles granted course:view on this course (e.g. a teaching assistant)
+    if (permissionManager.hasPermission(req.user, 'course:view', course.id)) {
       req.course = course;
       return next();
     }
@@ -79,8 +116,12 @@ const requirePaidEnrollment = async (req, res, next) => {
       });
     }
 
-    // Check enrollment status
-    if (enrollment.status !== 'active') {
+    if (enrollment.suspendedAt) {
+      return sendSuspendedResponse(res, enrollment);
+    }
+
+    // Check enrollment status (trainees keep access after completing the course)
+    if (!['active', 'completed'].includes(enrollment.status)) {
       return res.status(403).json({
         error: 'Enrollment not active',
         message: 'Your enrollment is not currently active',
@@ -135,8 +176,14 @@ const requireEnrollment = async (req, res, next) => {
       return next();
     }
 
-    // Allow Trainers to access courses they are assigned to teach
-    if (req.user.role === 'trainer' && course.trainerId === req.user.id) {
+    // Allow course staff (lead, co-trainers and assistants) to access courses they teach
+    if (isCourseStaff(req.user, course)) {
+      req.course = course;
+      return next();
+    }
+
+    // Allow roles granted course:view on this course (e.g. a teaching assistant)
+    if (permissionManager.hasPermission(req.user, 'course:view', course.id)) {
       req.course = course;
       return next();
     }
@@ -158,6 +205,10 @@ const requireEnrollment = async (req, res, next) => {
       });
     }
 
+    if (enrollment.suspendedAt) {
+      return sendSuspendedResponse(res, enrollment);
+    }
+
     // User is enrolled, allow access
     req.enrollment = enrollment;
     req.course = course;
@@ -204,15 +255,28 @@ const requireCourseAccess = async (req, res, next) => {
       return next();
     }
 
-    // Allow Trainers to access courses they are assigned to teach
-    if (req.user.role === 'trainer' && course.trainerId === req.user.id) {
+    // Allow course staff (lead, co-trainers and assistants) to access courses they teach
+    if (isCourseStaff(req.user, course)) {
+      req.course = course;
+      return next();
+    }
+
+    // Allow roles granted course:view on this course (e.g. a teaching assistant)
+    if (permissionManager.hasPermission(req.user, 'course:view', course.id)) {
       req.course = course;
       return next();
     }
 
     // For trainees, if they can access this API, they should be able to see content
-    // This is more permissive than requiring formal enrollment
+    // This is more permissive than requiring formal enrollment, but suspended access is still blocked
     if (req.user.role === 'trainee') {
+      const traineeEnrollment = await Enrollment.findOne({
+        where: { userId: req.user.id, courseId }
+      });
+      if (traineeEnrollment && traineeEnrollment.suspendedAt) {
+        return sendSuspendedResponse(res, traineeEnrollment);
+      }
+
       req.course = course;
       return next();
     }
@@ -234,6 +298,10 @@ const requireCourseAccess = async (req, res, next) => {
       });
     }
 
+    if (enrollment.suspendedAt) {
+      return sendSuspendedResponse(res, enrollment);
+    }
+
     // User is enrolled, allow access
     req.enrollment = enrollment;
     req.course = course;
@@ -249,6 +317,7 @@ const requireCourseAccess = async (req, res, next) => {
 };
 
 module.exports = {
+  hasCoursePermission,
   requirePaidEnrollment,
   requireEnrollment,
   requireCourseAccess
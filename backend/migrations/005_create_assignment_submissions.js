@@ -0,0 +1,107 @@
+'use strict';
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.createTable('assignment_submissions', {
+      id: {
+        type: Sequelize.UUID,
+        defaultValue: Sequelize.UUIDV4,
+        primaryKey: true
+      },
+      assignmentId: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        references: {
+          model: 'assignments',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      userId: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        references: {
+          model: 'users',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      content: {
+        type: Sequelize.TEXT,
+        allowNull: true
+      },
+      attachments: {
+        type: Sequelize.JSONB,
+        allowNull: true,
+        defaultValue: []
+      },
+      status: {
+        type: Sequelize.ENUM('submitted', 'graded'),
+        allowNull: false,
+        defaultValue: 'submitted'
+      },
+      submittedAt: {
+        type: Sequelize.DATE,
+        allowNull: false
+      },
+      isLate: {
+        type: Sequelize.BOOLEAN,
+        defaultValue: false
+      },
+      score: {
+        type: Sequelize.DECIMAL(7, 2),
+        allowNull: true
+      },
+      latePenaltyApplied: {
+        type: Sequelize.DECIMAL(5, 2),
+        allowNull: false,
+        defaultValue: 0
+      },
+      finalScore: {
+        type: Sequelize.DECIMAL(7, 2),
+        allowNull: true
+      },
+      feedback: {
+        type: Sequelize.TEXT,
+        allowNull: true
+      },
+      rubricScores: {
+        type: Sequelize.JSONB,
+        allowNull: true
+      },
+      gradedBy: {
+        type: Sequelize.UUID,
+        allowNull: true,
+        references: {
+          model: 'users',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL'
+      },
+      gradedAt: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      createdAt: {
+        type: Sequelize.DATE,
+        allowNull: false
+      },
+      updatedAt: {
+        type: Sequelize.DATE,
+        allowNull: false
+      }
+    });
+
+    await queryInterface.addIndex('assignment_submissions', ['assignmentId', 'userId'], { unique: true });
+    await queryInterface.addIndex('assignment_submissions', ['userId']);
+    await queryInterface.addIndex('assignment_submissions', ['status']);
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    await queryInterface.dropTable('assignment_submissions');
+    await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_assignment_submissions_status";');
+  }
+};
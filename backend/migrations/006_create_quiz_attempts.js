@@ -0,0 +1,118 @@
+'use strict';
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.createTable('quiz_attempts', {
+      id: {
+        type: Sequelize.UUID,
+        defaultValue: Sequelize.UUIDV4,
+        primaryKey: true
+      },
+      userId: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        references: {
+          model: 'users',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      courseId: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        references: {
+          model: 'courses',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      contentId: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        references: {
+          model: 'course_contents',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      attemptNumber: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        defaultValue: 1
+      },
+      status: {
+        type: Sequelize.ENUM('pending_review', 'graded'),
+        allowNull: false,
+        defaultValue: 'graded'
+      },
+      answers: {
+        type: Sequelize.JSONB,
+        allowNull: false,
+        defaultValue: {}
+      },
+      results: {
+        type: Sequelize.JSONB,
+        allowNull: false,
+        defaultValue: []
+      },
+      earnedPoints: {
+        type: Sequelize.DECIMAL(7, 2),
+        allowNull: false,
+        defaultValue: 0
+      },
+      totalPoints: {
+        type: Sequelize.DECIMAL(7, 2),
+        allowNull: false,
+        defaultValue: 0
+      },
+      score: {
+        type: Sequelize.DECIMAL(5, 2),
+        allowNull: false,
+        defaultValue: 0
+      },
+      correctCount: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        defaultValue: 0
+      },
+      totalQuestions: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        defaultValue: 0
+      },
+      passed: {
+        type: Sequelize.BOOLEAN,
+        allowNull: false,
+        defaultValue: false
+      },
+      startedAt: {
+        type: Sequelize.DATE,
+        allowNull: false
+      },
+      submittedAt: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      createdAt: {
+        type: Sequelize.DATE,
+        allowNull: false
+      },
+      updatedAt: {
+        type: Sequelize.DATE,
+        allowNull: false
+      }
+    });
+
+    await queryInterface.addIndex('quiz_attempts', ['userId', 'contentId']);
+    await queryInterface.addIndex('quiz_attempts', ['courseId']);
+    await queryInterface.addIndex('quiz_attempts', ['status']);
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    await queryInterface.dropTable('quiz_attempts');
+    await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_quiz_attempts_status";');
+  }
+};
@@ -0,0 +1,28 @@
+'use strict';
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    // Attempts are now started before they are submitted (timed quizzes)
+    await queryInterface.sequelize.query(`ALTER TYPE "enum_quiz_attempts_status" ADD VALUE IF NOT EXISTS 'in_progress';`);
+    await queryInterface.sequelize.query(`ALTER TYPE "enum_quiz_attempts_status" ADD VALUE IF NOT EXISTS 'expired';`);
+
+    // Stores the shuffled question/option order for an attempt
+    await queryInterface.addColumn('quiz_attempts', 'questionOrder', {
+      type: Sequelize.JSONB,
+      allowNull: true
+    });
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    await queryInterface.removeColumn('quiz_attempts', 'questionOrder');
+
+    // PostgreSQL cannot drop ENUM values; remove rows using them and recreate the type
+    await queryInterface.sequelize.query(`DELETE FROM quiz_attempts WHERE status IN ('in_progress', 'expired');`);
+    await queryInterface.sequelize.query(`ALTER TABLE quiz_attempts ALTER COLUMN status DROP DEFAULT;`);
+    await queryInterface.sequelize.query(`ALTER TYPE "enum_quiz_attempts_status" RENAME TO "enum_quiz_attempts_status_old";`);
+    await queryInterface.sequelize.query(`CREATE TYPE "enum_quiz_attempts_status" AS ENUM ('pending_review', 'graded');`);
+    await queryInterface.sequelize.query(`ALTER TABLE quiz_attempts ALTER COLUMN status TYPE "enum_quiz_attempts_status" USING status::text::"enum_quiz_attempts_status";`);
+    await queryInterface.sequelize.query(`ALTER TABLE quiz_attempts ALTER COLUMN status SET DEFAULT 'graded';`);
+    await queryInterface.sequelize.query(`DROP TYPE "enum_quiz_attempts_status_old";`);
+  }
+};
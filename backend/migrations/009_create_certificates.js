@@ -0,0 +1,98 @@
+'use strict';
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.createTable('certificates', {
+      id: {
+        type: Sequelize.UUID,
+        defaultValue: Sequelize.UUIDV4,
+        primaryKey: true
+      },
+      serial: {
+        type: Sequelize.STRING(40),
+        allowNull: false,
+        unique: true
+      },
+      enrollmentId: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        unique: true,
+        references: {
+          model: 'enrollments',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      userId: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        references: {
+          model: 'users',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      courseId: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        references: {
+          model: 'courses',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      contentId: {
+        type: Sequelize.UUID,
+        allowNull: true,
+        references: {
+          model: 'course_contents',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL'
+      },
+      traineeName: {
+        type: Sequelize.STRING(200),
+        allowNull: false
+      },
+      courseTitle: {
+        type: Sequelize.STRING(200),
+        allowNull: false
+      },
+      trainerName: {
+        type: Sequelize.STRING(200),
+        allowNull: true
+      },
+      completionDate: {
+        type: Sequelize.DATE,
+        allowNull: false
+      },
+      issuedAt: {
+        type: Sequelize.DATE,
+        allowNull: false
+      },
+      templateSnapshot: {
+        type: Sequelize.JSONB,
+        allowNull: true
+      },
+      createdAt: {
+        type: Sequelize.DATE,
+        allowNull: false
+      },
+      updatedAt: {
+        type: Sequelize.DATE,
+        allowNull: false
+      }
+    });
+
+    await queryInterface.addIndex('certificates', ['userId']);
+    await queryInterface.addIndex('certificates', ['courseId']);
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    await queryInterface.dropTable('certificates');
+  }
+};
@@ -0,0 +1,20 @@
+'use strict';
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    // Set while course access is suspended (e.g. an overdue installment)
+    await queryInterface.addColumn('enrollments', 'suspendedAt', {
+      type: Sequelize.DATE,
+      allowNull: true
+    });
+    await queryInterface.addColumn('enrollments', 'suspensionReason', {
+      type: Sequelize.STRING(255),
+      allowNull: true
+    });
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    await queryInterface.removeColumn('enrollments', 'suspensionReason');
+    await queryInterface.removeColumn('enrollments', 'suspendedAt');
+  }
+};
@@ -0,0 +1,90 @@
+'use strict';
+
+const { v4: uuidv4 } = require('uuid');
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.createTable('course_staff', {
+      id: {
+        type: Sequelize.UUID,
+        defaultValue: Sequelize.UUIDV4,
+        primaryKey: true
+      },
+      courseId: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        references: {
+          model: 'courses',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      userId: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        references: {
+          model: 'users',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      role: {
+        type: Sequelize.ENUM('lead', 'co_trainer', 'assistant'),
+        allowNull: false,
+        defaultValue: 'assistant'
+      },
+      revenueShare: {
+        type: Sequelize.DECIMAL(5, 2),
+        allowNull: true
+      },
+      addedBy: {
+        type: Sequelize.UUID,
+        allowNull: true,
+        references: {
+          model: 'users',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL'
+      },
+      createdAt: {
+        type: Sequelize.DATE,
+        allowNull: false
+      },
+      updatedAt: {
+        type: Sequelize.DATE,
+        allowNull: false
+      }
+    });
+
+    await queryInterface.addIndex('course_staff', ['userId']);
+    await queryInterface.addIndex('course_staff', ['courseId', 'userId'], {
+      unique: true,
+      name: 'course_staff_course_user'
+    });
+
+    // Every existing course trainer becomes the lead of their course
+    const [courses] = await queryInterface.sequelize.query(
+      'SELECT "id", "trainerId" FROM "courses" WHERE "trainerId" IS NOT NULL'
+    );
+    if (courses.length > 0) {
+      const now = new Date();
+      await queryInterface.bulkInsert('course_staff', courses.map(course => ({
+        id: uuidv4(),
+        courseId: course.id,
+        userId: course.trainerId,
+        role: 'lead',
+        revenueShare: null,
+        createdAt: now,
+        updatedAt: now
+      })));
+    }
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    await queryInterface.dropTable('course_staff');
+    await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_course_staff_role";');
+  }
+};
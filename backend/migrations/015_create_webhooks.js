@@ -0,0 +1,142 @@
+'use strict';
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.createTable('webhooks', {
+      id: {
+        type: Sequelize.UUID,
+        defaultValue: Sequelize.UUIDV4,
+        primaryKey: true
+      },
+      name: {
+        type: Sequelize.STRING(100),
+        allowNull: false
+      },
+      url: {
+        type: Sequelize.STRING(500),
+        allowNull: false
+      },
+      secret: {
+        type: Sequelize.STRING(100),
+        allowNull: false
+      },
+      events: {
+        type: Sequelize.JSONB,
+        allowNull: false,
+        defaultValue: []
+      },
+      description: {
+        type: Sequelize.TEXT,
+        allowNull: true
+      },
+      isActive: {
+        type: Sequelize.BOOLEAN,
+        allowNull: false,
+        defaultValue: true
+      },
+      createdBy: {
+        type: Sequelize.UUID,
+        allowNull: true,
+        references: {
+          model: 'users',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL'
+      },
+      createdAt: {
+        type: Sequelize.DATE,
+        allowNull: false
+      },
+      updatedAt: {
+        type: Sequelize.DATE,
+        allowNull: false
+      }
+    });
+
+    await queryInterface.createTable('webhook_deliveries', {
+      id: {
+        type: Sequelize.UUID,
+        defaultValue: Sequelize.UUIDV4,
+        primaryKey: true
+      },
+      webhookId: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        references: {
+          model: 'webhooks',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      eventType: {
+        type: Sequelize.STRING(100),
+        allowNull: false
+      },
+      eventId: {
+        type: Sequelize.UUID,
+        allowNull: false
+      },
+      payload: {
+        type: Sequelize.JSONB,
+        allowNull: false
+      },
+      status: {
+        type: Sequelize.ENUM('pending', 'succeeded', 'failed'),
+        allowNull: false,
+        defaultValue: 'pending'
+      },
+      attempts: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        defaultValue: 0
+      },
+      nextAttemptAt: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      lastAttemptAt: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      responseStatus: {
+        type: Sequelize.INTEGER,
+        allowNull: true
+      },
+      responseBody: {
+        type: Sequelize.TEXT,
+        allowNull: true
+      },
+      error: {
+        type: Sequelize.TEXT,
+        allowNull: true
+      },
+      duration: {
+        type: Sequelize.INTEGER,
+        allowNull: true
+      },
+      redeliveryOf: {
+        type: Sequelize.UUID,
+        allowNull: true
+      },
+      createdAt: {
+        type: Sequelize.DATE,
+        allowNull: false
+      },
+      updatedAt: {
+        type: Sequelize.DATE,
+        allowNull: false
+      }
+    });
+
+    await queryInterface.addIndex('webhook_deliveries', ['webhookId', 'createdAt']);
+    await queryInterface.addIndex('webhook_deliveries', ['status', 'nextAttemptAt']);
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    await queryInterface.dropTable('webhook_deliveries');
+    await queryInterface.dropTable('webhooks');
+    await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_webhook_deliveries_status";');
+  }
+};
@@ -0,0 +1,37 @@
+'use strict';
+
+const crypto = require('crypto');
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    // Secret the rotating check-in codes are signed with
+    await queryInterface.addColumn('classroom_sessions', 'qrSecret', {
+      type: Sequelize.STRING(64),
+      allowNull: true
+    });
+    await queryInterface.addColumn('classroom_sessions', 'qrRotationSeconds', {
+      type: Sequelize.INTEGER,
+      allowNull: false,
+      defaultValue: 30
+    });
+
+    // Every existing session gets its own secret
+    const [sessions] = await queryInterface.sequelize.query('SELECT "id" FROM "classroom_sessions"');
+    for (const session of sessions) {
+      await queryInterface.bulkUpdate('classroom_sessions',
+        { qrSecret: crypto.randomBytes(32).toString('hex') },
+        { id: session.id }
+      );
+    }
+
+    await queryInterface.changeColumn('classroom_sessions', 'qrSecret', {
+      type: Sequelize.STRING(64),
+      allowNull: false
+    });
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    await queryInterface.removeColumn('classroom_sessions', 'qrRotationSeconds');
+    await queryInterface.removeColumn('classroom_sessions', 'qrSecret');
+  }
+};
@@ -0,0 +1,99 @@
+'use strict';
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    // Where a session's trainees are allowed to check in from
+    await queryInterface.addColumn('classroom_sessions', 'geofenceLatitude', {
+      type: Sequelize.DECIMAL(9, 6),
+      allowNull: true
+    });
+    await queryInterface.addColumn('classroom_sessions', 'geofenceLongitude', {
+      type: Sequelize.DECIMAL(9, 6),
+      allowNull: true
+    });
+    await queryInterface.addColumn('classroom_sessions', 'geofenceRadius', {
+      type: Sequelize.INTEGER,
+      allowNull: true
+    });
+    await queryInterface.addColumn('classroom_sessions', 'allowedIpRanges', {
+      type: Sequelize.JSONB,
+      allowNull: false,
+      defaultValue: []
+    });
+    await queryInterface.addColumn('classroom_sessions', 'locationPolicy', {
+      type: Sequelize.ENUM('flag', 'reject'),
+      allowNull: false,
+      defaultValue: 'flag'
+    });
+
+    // Where each check-in came from, and the trainer's review of flagged ones
+    await queryInterface.addColumn('attendance_records', 'latitude', {
+      type: Sequelize.DECIMAL(9, 6),
+      allowNull: true
+    });
+    await queryInterface.addColumn('attendance_records', 'longitude', {
+      type: Sequelize.DECIMAL(9, 6),
+      allowNull: true
+    });
+    await queryInterface.addColumn('attendance_records', 'locationAccuracy', {
+      type: Sequelize.INTEGER,
+      allowNull: true
+    });
+    await queryInterface.addColumn('attendance_records', 'distanceFromVenue', {
+      type: Sequelize.INTEGER,
+      allowNull: true
+    });
+    await queryInterface.addColumn('attendance_records', 'ipAddress', {
+      type: Sequelize.STRING(45),
+      allowNull: true
+    });
+    await queryInterface.addColumn('attendance_records', 'deviceInfo', {
+      type: Sequelize.STRING(500),
+      allowNull: true
+    });
+    await queryInterface.addColumn('attendance_records', 'isFlagged', {
+      type: Sequelize.BOOLEAN,
+      allowNull: false,
+      defaultValue: false
+    });
+    await queryInterface.addColumn('attendance_records', 'flagReasons', {
+      type: Sequelize.JSONB,
+      allowNull: false,
+      defaultValue: []
+    });
+    await queryInterface.addColumn('attendance_records', 'reviewDecision', {
+      type: Sequelize.ENUM('accepted', 'rejected'),
+      allowNull: true
+    });
+    await queryInterface.addColumn('attendance_records', 'reviewedBy', {
+      type: Sequelize.UUID,
+      allowNull: true,
+      references: {
+        model: 'users',
+        key: 'id'
+      },
+      onUpdate: 'CASCADE',
+      onDelete: 'SET NULL'
+    });
+    await queryInterface.addColumn('attendance_records', 'reviewedAt', {
+      type: Sequelize.DATE,
+      allowNull: true
+    });
+
+    await queryInterface.addIndex('attendance_records', ['isFlagged']);
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    await queryInterface.removeIndex('attendance_records', ['isFlagged']);
+    for (const column of ['latitude', 'longitude', 'locationAccuracy', 'distanceFromVenue', 'ipAddress',
+      'deviceInfo', 'isFlagged', 'flagReasons', 'reviewDecision', 'reviewedBy', 'reviewedAt']) {
+      await queryInterface.removeColumn('attendance_records', column);
+    }
+    for (const column of ['geofenceLatitude', 'geofenceLongitude', 'geofenceRadius', 'allowedIpRanges', 'locationPolicy']) {
+      await queryInterface.removeColumn('classroom_sessions', column);
+    }
+
+    await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_attendance_records_reviewDecision";');
+    await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_classroom_sessions_locationPolicy";');
+  }
+};
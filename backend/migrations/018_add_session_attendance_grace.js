@@ -0,0 +1,22 @@
+'use strict';
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    // Grace periods used to mark trainees late or left early
+    await queryInterface.addColumn('classroom_sessions', 'lateGraceMinutes', {
+      type: Sequelize.INTEGER,
+      allowNull: false,
+      defaultValue: 10
+    });
+    await queryInterface.addColumn('classroom_sessions', 'earlyLeaveGraceMinutes', {
+      type: Sequelize.INTEGER,
+      allowNull: false,
+      defaultValue: 10
+    });
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    await queryInterface.removeColumn('classroom_sessions', 'earlyLeaveGraceMinutes');
+    await queryInterface.removeColumn('classroom_sessions', 'lateGraceMinutes');
+  }
+};
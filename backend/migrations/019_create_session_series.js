@@ -0,0 +1,100 @@
+'use strict';
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.createTable('session_series', {
+      id: {
+        type: Sequelize.UUID,
+        defaultValue: Sequelize.UUIDV4,
+        primaryKey: true
+      },
+      courseId: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        references: {
+          model: 'courses',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      frequency: {
+        type: Sequelize.ENUM('daily', 'weekly'),
+        allowNull: false
+      },
+      interval: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        defaultValue: 1
+      },
+      daysOfWeek: {
+        type: Sequelize.JSONB,
+        allowNull: false,
+        defaultValue: []
+      },
+      startDate: {
+        type: Sequelize.DATEONLY,
+        allowNull: false
+      },
+      endDate: {
+        type: Sequelize.DATEONLY,
+        allowNull: true
+      },
+      occurrenceCount: {
+        type: Sequelize.INTEGER,
+        allowNull: true
+      },
+      excludedDates: {
+        type: Sequelize.JSONB,
+        allowNull: false,
+        defaultValue: []
+      },
+      createdBy: {
+        type: Sequelize.UUID,
+        allowNull: true,
+        references: {
+          model: 'users',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL'
+      },
+      createdAt: {
+        type: Sequelize.DATE,
+        allowNull: false
+      },
+      updatedAt: {
+        type: Sequelize.DATE,
+        allowNull: false
+      }
+    });
+
+    await queryInterface.addIndex('session_series', ['courseId']);
+
+    // Sessions generated from a series, and why a session was cancelled
+    await queryInterface.addColumn('classroom_sessions', 'seriesId', {
+      type: Sequelize.UUID,
+      allowNull: true,
+      references: {
+        model: 'session_series',
+        key: 'id'
+      },
+      onUpdate: 'CASCADE',
+      onDelete: 'SET NULL'
+    });
+    await queryInterface.addColumn('classroom_sessions', 'cancellationReason', {
+      type: Sequelize.TEXT,
+      allowNull: true
+    });
+
+    await queryInterface.addIndex('classroom_sessions', ['seriesId']);
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    await queryInterface.removeIndex('classroom_sessions', ['seriesId']);
+    await queryInterface.removeColumn('classroom_sessions', 'cancellationReason');
+    await queryInterface.removeColumn('classroom_sessions', 'seriesId');
+    await queryInterface.dropTable('session_series');
+    await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_session_series_frequency";');
+  }
+};
@@ -0,0 +1,91 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+const AssignmentSubmission = sequelize.define('AssignmentSubmission', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  assignmentId: {
+    type: DataTypes.UUID,
+    allowNull: false
+  },
+  userId: {
+    type: DataTypes.UUID,
+    allowNull: false
+  },
+  content: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  attachments: {
+    type: DataTypes.JSONB, // [{ fileName, fileUrl, fileSize, fileType }]
+    allowNull: true,
+    defaultValue: []
+  },
+  status: {
+    type: DataTypes.ENUM('submitted', 'graded'),
+    allowNull: false,
+    defaultValue: 'submitted'
+  },
+  submittedAt: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    defaultValue: DataTypes.NOW
+  },
+  isLate: {
+    type: DataTypes.BOOLEAN,
+    defaultValue: false
+  },
+  // Score awarded by the trainer before any late penalty
+  score: {
+    type: DataTypes.DECIMAL(7, 2),
+    allowNull: true,
+    validate: {
+      min: 0
+    }
+  },
+  // Late penalty percentage applied to the score (copied from the assignment at grading time)
+  latePenaltyApplied: {
+    type: DataTypes.DECIMAL(5, 2),
+    allowNull: false,
+    defaultValue: 0
+  },
+  finalScore: {
+    type: DataTypes.DECIMAL(7, 2),
+    allowNull: true
+  },
+  feedback: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  rubricScores: {
+    type: DataTypes.JSONB,
+    allowNull: true
+  },
+  gradedBy: {
+    type: DataTypes.UUID,
+    allowNull: true
+  },
+  gradedAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  }
+}, {
+  tableName: 'assignment_submissions',
+  indexes: [
+    {
+      unique: true,
+      fields: ['assignmentId', 'userId']
+    },
+    {
+      fields: ['userId']
+    },
+    {
+      fields: ['status']
+    }
+  ]
+});
+
+module.exports = AssignmentSubmission;
@@ -59,6 +59,57 @@ const AttendanceRecord = sequelize.define('AttendanceRecord', {
   duration: {
     type: DataTypes.INTEGER, // in minutes
     allowNull: true
+  },
+  latitude: {
+    type: DataTypes.DECIMAL(9, 6),
+    allowNull: true
+  },
+  longitude: {
+    type: DataTypes.DECIMAL(9, 6),
+    allowNull: true
+  },
+  locationAccuracy: {
+    type: DataTypes.INTEGER, // in meters
+    allowNull: true
+  },
+  distanceFromVenue: {
+    type: DataTypes.INTEGER, // in meters
+    allowNull: true
+  },
+  ipAddress: {
+    type: DataTypes.STRING(45),
+    allowNull: true
+  },
+  deviceInfo: {
+    type: DataTypes.STRING(500),
+    allowNull: true
+  },
+  // Set when the check-in broke the session's geofence or network restrictions
+  isFlagged: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: false
+  },
+  flagReasons: {
+    type: DataTypes.JSONB,
+    allowNull: false,
+    defaultValue: [] // [{ code, message }]
+  },
+  reviewDecision: {
+    type: DataTypes.ENUM('accepted', 'rejected'),
+    allowNull: true
+  },
+  reviewedBy: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  },
+  reviewedAt: {
+    type: DataTypes.DATE,
+    allowNull: true
   }
 }, {
   tableName: 'attendance_records',
@@ -75,6 +126,9 @@ const AttendanceRecord = sequelize.define('AttendanceRecord', {
     {
       fields: ['status']
     },
+    {
+      fields: ['isFlagged']
+    },
     {
       unique: true,
       fields: ['sessionId', 'traineeId'],
@@ -0,0 +1,33 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+// A user's private iCalendar subscription; the token in the feed URL is its only credential
+const CalendarFeed = sequelize.define('CalendarFeed', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  userId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    unique: true,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  },
+  token: {
+    type: DataTypes.STRING(64),
+    allowNull: false,
+    unique: true
+  },
+  lastAccessedAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  }
+}, {
+  tableName: 'calendar_feeds'
+});
+
+module.exports = CalendarFeed;
@@ -0,0 +1,80 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+const Certificate = sequelize.define('Certificate', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  // Public identifier printed on the certificate and used for verification
+  serial: {
+    type: DataTypes.STRING(40),
+    allowNull: false,
+    unique: true
+  },
+  enrollmentId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    unique: true
+  },
+  userId: {
+    type: DataTypes.UUID,
+    allowNull: false
+  },
+  courseId: {
+    type: DataTypes.UUID,
+    allowNull: false
+  },
+  // Certificate content item whose template was used (null = default layout)
+  contentId: {
+    type: DataTypes.UUID,
+    allowNull: true
+  },
+  // Names are captured at issue time so the certificate doesn't change if the user or course is renamed
+  traineeName: {
+    type: DataTypes.STRING(200),
+    allowNull: false
+  },
+  courseTitle: {
+    type: DataTypes.STRING(200),
+    allowNull: false
+  },
+  trainerName: {
+    type: DataTypes.STRING(200),
+    allowNull: true
+  },
+  completionDate: {
+    type: DataTypes.DATE,
+    allowNull: false
+  },
+  issuedAt: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    defaultValue: DataTypes.NOW
+  },
+  templateSnapshot: {
+    type: DataTypes.JSONB,
+    allowNull: true
+  }
+}, {
+  tableName: 'certificates',
+  indexes: [
+    {
+      unique: true,
+      fields: ['serial']
+    },
+    {
+      unique: true,
+      fields: ['enrollmentId']
+    },
+    {
+      fields: ['userId']
+    },
+    {
+      fields: ['courseId']
+    }
+  ]
+});
+
+module.exports = Certificate;
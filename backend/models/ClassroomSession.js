@@ -15,6 +15,15 @@ const ClassroomSession = sequelize.define('ClassroomSession', {
       key: 'id'
     }
   },
+  // Set for sessions generated from a recurrence rule
+  seriesId: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    references: {
+      model: 'session_series',
+      key: 'id'
+    }
+  },
   sessionDate: {
     type: DataTypes.DATEONLY,
     allowNull: false
@@ -44,6 +53,60 @@ const ClassroomSession = sequelize.define('ClassroomSession', {
     type: DataTypes.DATE,
     allowNull: false
   },
+  // Signs the rotating check-in codes shown on the kiosk (see utils/attendanceQr.js)
+  qrSecret: {
+    type: DataTypes.STRING(64),
+    allowNull: false
+  },
+  qrRotationSeconds: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 30
+  },
+  // Optional check-in restrictions (see utils/attendanceLocation.js)
+  geofenceLatitude: {
+    type: DataTypes.DECIMAL(9, 6),
+    allowNull: true,
+    validate: {
+      min: -90,
+      max: 90
+    }
+  },
+  geofenceLongitude: {
+    type: DataTypes.DECIMAL(9, 6),
+    allowNull: true,
+    validate: {
+      min: -180,
+      max: 180
+    }
+  },
+  geofenceRadius: {
+    type: DataTypes.INTEGER, // in meters
+    allowNull: true
+  },
+  allowedIpRanges: {
+    type: DataTypes.JSONB,
+    allowNull: false,
+    defaultValue: [],
+    comment: 'Addresses or CIDR ranges of the venue network'
+  },
+  locationPolicy: {
+    type: DataTypes.ENUM('flag', 'reject'),
+    allowNull: false,
+    defaultValue: 'flag',
+    comment: 'What happens to check-ins that break the restrictions'
+  },
+  // Check-ins this long after the start still count as on time, check-outs this long before the end are not early
+  lateGraceMinutes: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 10
+  },
+  earlyLeaveGraceMinutes: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 10
+  },
   isActive: {
     type: DataTypes.BOOLEAN,
     defaultValue: true
@@ -59,6 +122,10 @@ const ClassroomSession = sequelize.define('ClassroomSession', {
   status: {
     type: DataTypes.ENUM('scheduled', 'in_progress', 'completed', 'cancelled'),
     defaultValue: 'scheduled'
+  },
+  cancellationReason: {
+    type: DataTypes.TEXT,
+    allowNull: true
   }
 }, {
   tableName: 'classroom_sessions',
@@ -66,6 +133,9 @@ const ClassroomSession = sequelize.define('ClassroomSession', {
     {
       fields: ['courseId']
     },
+    {
+      fields: ['seriesId']
+    },
     {
       fields: ['sessionDate']
     },
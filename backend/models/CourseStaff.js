@@ -0,0 +1,63 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+// Trainers and assistants teaching a course; what each staff role may do is in utils/courseStaff.js
+const CourseStaff = sequelize.define('CourseStaff', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  courseId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'courses',
+      key: 'id'
+    }
+  },
+  userId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  },
+  // The lead is the course's trainerId and gets the revenue the other members don't
+  role: {
+    type: DataTypes.ENUM('lead', 'co_trainer', 'assistant'),
+    allowNull: false,
+    defaultValue: 'assistant'
+  },
+  // Percentage of the course revenue paid to this member (null for the lead)
+  revenueShare: {
+    type: DataTypes.DECIMAL(5, 2),
+    allowNull: true,
+    validate: {
+      min: 0,
+      max: 100
+    }
+  },
+  addedBy: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  }
+}, {
+  tableName: 'course_staff',
+  indexes: [
+    {
+      fields: ['userId']
+    },
+    {
+      unique: true,
+      fields: ['courseId', 'userId']
+    }
+  ]
+});
+
+module.exports = CourseStaff;
@@ -63,6 +63,15 @@ const Enrollment = sequelize.define('Enrollment', {
   notes: {
     type: DataTypes.TEXT,
     allowNull: true
+  },
+  // Set while course access is suspended (e.g. an overdue installment)
+  suspendedAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  suspensionReason: {
+    type: DataTypes.STRING(255),
+    allowNull: true
   }
 }, {
   tableName: 'enrollments',
@@ -0,0 +1,57 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+const Notification = sequelize.define('Notification', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  userId: {
+    type: DataTypes.UUID,
+    allowNull: false
+  },
+  type: {
+    type: DataTypes.STRING(50), // e.g. 'quiz_graded'
+    allowNull: false
+  },
+  title: {
+    type: DataTypes.STRING(200),
+    allowNull: false
+  },
+  message: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  // In-app route the notification points to, e.g. /courses/:id/learn
+  link: {
+    type: DataTypes.STRING(500),
+    allowNull: true
+  },
+  data: {
+    type: DataTypes.JSONB,
+    allowNull: true,
+    defaultValue: {}
+  },
+  isRead: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: false
+  },
+  readAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  }
+}, {
+  tableName: 'notifications',
+  indexes: [
+    {
+      fields: ['userId', 'isRead']
+    },
+    {
+      fields: ['createdAt']
+    }
+  ]
+});
+
+module.exports = Notification;
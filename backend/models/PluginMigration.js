@@ -0,0 +1,44 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+// Applied migrations of the core ('core') and of each plugin (see core/migration-runner.js)
+const PluginMigration = sequelize.define('PluginMigration', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  plugin: {
+    type: DataTypes.STRING(100), // 'core' or the plugin name
+    allowNull: false
+  },
+  name: {
+    type: DataTypes.STRING(255), // Migration file name
+    allowNull: false
+  },
+  batch: {
+    type: DataTypes.INTEGER, // Migrations applied by the same run share a batch and are rolled back together
+    allowNull: false
+  },
+  // True when the schema already existed (created by sequelize.sync) and the migration was only recorded
+  baselined: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: false
+  },
+  executedAt: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    defaultValue: DataTypes.NOW
+  }
+}, {
+  tableName: 'plugin_migrations',
+  indexes: [
+    {
+      unique: true,
+      fields: ['plugin', 'name']
+    }
+  ]
+});
+
+module.exports = PluginMigration;
@@ -0,0 +1,36 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+// Persisted plugin state so admin choices survive restarts (see core/plugin-state.js)
+const PluginState = sequelize.define('PluginState', {
+  name: {
+    type: DataTypes.STRING(100), // Plugin folder name
+    primaryKey: true
+  },
+  enabled: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: true
+  },
+  settings: {
+    type: DataTypes.JSONB,
+    allowNull: false,
+    defaultValue: {}
+  },
+  version: {
+    type: DataTypes.STRING(50),
+    allowNull: true
+  },
+  lastError: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  lastErrorAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  }
+}, {
+  tableName: 'plugin_state'
+});
+
+module.exports = PluginState;
@@ -0,0 +1,103 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+const QuizAttempt = sequelize.define('QuizAttempt', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  userId: {
+    type: DataTypes.UUID,
+    allowNull: false
+  },
+  courseId: {
+    type: DataTypes.UUID,
+    allowNull: false
+  },
+  contentId: {
+    type: DataTypes.UUID,
+    allowNull: false
+  },
+  attemptNumber: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 1
+  },
+  status: {
+    type: DataTypes.ENUM('in_progress', 'pending_review', 'graded', 'expired'),
+    allowNull: false,
+    defaultValue: 'graded'
+  },
+  // Raw answers keyed by question ID
+  answers: {
+    type: DataTypes.JSONB,
+    allowNull: false,
+    defaultValue: {}
+  },
+  // Question and option order shown for this attempt (when shuffling is enabled)
+  questionOrder: {
+    type: DataTypes.JSONB,
+    allowNull: true
+  },
+  // Per-question grading results
+  results: {
+    type: DataTypes.JSONB,
+    allowNull: false,
+    defaultValue: []
+  },
+  earnedPoints: {
+    type: DataTypes.DECIMAL(7, 2),
+    allowNull: false,
+    defaultValue: 0
+  },
+  totalPoints: {
+    type: DataTypes.DECIMAL(7, 2),
+    allowNull: false,
+    defaultValue: 0
+  },
+  score: {
+    type: DataTypes.DECIMAL(5, 2), // percentage
+    allowNull: false,
+    defaultValue: 0
+  },
+  correctCount: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0
+  },
+  totalQuestions: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0
+  },
+  passed: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: false
+  },
+  startedAt: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    defaultValue: DataTypes.NOW
+  },
+  submittedAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  }
+}, {
+  tableName: 'quiz_attempts',
+  indexes: [
+    {
+      fields: ['userId', 'contentId']
+    },
+    {
+      fields: ['courseId']
+    },
+    {
+      fields: ['status']
+    }
+  ]
+});
+
+module.exports = QuizAttempt;
@@ -0,0 +1,45 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+// Admin-defined role (e.g. teaching assistant) whose permissions live in role_permissions under its name
+const Role = sequelize.define('Role', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  name: {
+    type: DataTypes.STRING(50), // e.g. 'teaching_assistant'
+    allowNull: false,
+    unique: true,
+    validate: {
+      is: /^[a-z][a-z0-9_]*$/
+    }
+  },
+  displayName: {
+    type: DataTypes.STRING(100),
+    allowNull: false
+  },
+  description: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  // Built-in role whose role checks (requireTrainer, PrivateRoute allowedRoles) the role passes
+  baseRole: {
+    type: DataTypes.ENUM('trainer', 'trainee'),
+    allowNull: false,
+    defaultValue: 'trainee'
+  },
+  createdBy: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  }
+}, {
+  tableName: 'roles'
+});
+
+module.exports = Role;
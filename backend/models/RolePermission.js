@@ -0,0 +1,37 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+// Permissions granted to a role (see core/permission-manager.js); super admins hold every permission
+const RolePermission = sequelize.define('RolePermission', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  role: {
+    type: DataTypes.STRING(50),
+    allowNull: false
+  },
+  permission: {
+    type: DataTypes.STRING(150), // e.g. 'financial:refund'
+    allowNull: false
+  },
+  grantedBy: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  }
+}, {
+  tableName: 'role_permissions',
+  indexes: [
+    {
+      unique: true,
+      fields: ['role', 'permission']
+    }
+  ]
+});
+
+module.exports = RolePermission;
@@ -0,0 +1,67 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+// Recurrence rule a set of classroom sessions was generated from (see utils/sessionRecurrence.js)
+const SessionSeries = sequelize.define('SessionSeries', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  courseId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'courses',
+      key: 'id'
+    }
+  },
+  frequency: {
+    type: DataTypes.ENUM('daily', 'weekly'),
+    allowNull: false
+  },
+  interval: {
+    type: DataTypes.INTEGER, // every N days or weeks
+    allowNull: false,
+    defaultValue: 1
+  },
+  daysOfWeek: {
+    type: DataTypes.JSONB,
+    allowNull: false,
+    defaultValue: [] // 0 = Sunday ... 6 = Saturday, weekly only
+  },
+  startDate: {
+    type: DataTypes.DATEONLY,
+    allowNull: false
+  },
+  endDate: {
+    type: DataTypes.DATEONLY,
+    allowNull: true
+  },
+  occurrenceCount: {
+    type: DataTypes.INTEGER,
+    allowNull: true
+  },
+  excludedDates: {
+    type: DataTypes.JSONB,
+    allowNull: false,
+    defaultValue: [] // ['YYYY-MM-DD'], e.g. holidays
+  },
+  createdBy: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  }
+}, {
+  tableName: 'session_series',
+  indexes: [
+    {
+      fields: ['courseId']
+    }
+  ]
+});
+
+module.exports = SessionSeries;
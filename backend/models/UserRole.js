@@ -0,0 +1,56 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+// Custom role assigned to a user, either everywhere or on a single course
+const UserRole = sequelize.define('UserRole', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  userId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  },
+  roleId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'roles',
+      key: 'id'
+    }
+  },
+  courseId: {
+    type: DataTypes.UUID,
+    allowNull: true, // null = the role applies to every course
+    references: {
+      model: 'courses',
+      key: 'id'
+    }
+  },
+  assignedBy: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  }
+}, {
+  tableName: 'user_roles',
+  indexes: [
+    {
+      fields: ['userId']
+    },
+    {
+      unique: true,
+      fields: ['userId', 'roleId', 'courseId']
+    }
+  ]
+});
+
+module.exports = UserRole;
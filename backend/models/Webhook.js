@@ -0,0 +1,57 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+// Outgoing webhook configured by a Super Admin; deliveries are sent by core/webhook-dispatcher.js
+const Webhook = sequelize.define('Webhook', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  name: {
+    type: DataTypes.STRING(100),
+    allowNull: false
+  },
+  url: {
+    type: DataTypes.STRING(500),
+    allowNull: false,
+    validate: {
+      isUrl: {
+        require_tld: false,
+        protocols: ['http', 'https']
+      }
+    }
+  },
+  // Key for the HMAC-SHA256 signature of every payload
+  secret: {
+    type: DataTypes.STRING(100),
+    allowNull: false
+  },
+  // Event types from the plugin event catalogue, e.g. ['enrollment:created']
+  events: {
+    type: DataTypes.JSONB,
+    allowNull: false,
+    defaultValue: []
+  },
+  description: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  isActive: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: true
+  },
+  createdBy: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  }
+}, {
+  tableName: 'webhooks'
+});
+
+module.exports = Webhook;
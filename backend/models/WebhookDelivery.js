@@ -0,0 +1,87 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+// One event sent to one webhook, with the outcome of its latest attempt
+const WebhookDelivery = sequelize.define('WebhookDelivery', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  webhookId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'webhooks',
+      key: 'id'
+    }
+  },
+  eventType: {
+    type: DataTypes.STRING(100),
+    allowNull: false
+  },
+  // Shared by the deliveries of the same event to different webhooks
+  eventId: {
+    type: DataTypes.UUID,
+    allowNull: false
+  },
+  // JSON body as sent, so redeliveries carry the same payload
+  payload: {
+    type: DataTypes.JSONB,
+    allowNull: false
+  },
+  // pending: waiting for its first attempt or a retry; failed: gave up after the last attempt
+  status: {
+    type: DataTypes.ENUM('pending', 'succeeded', 'failed'),
+    allowNull: false,
+    defaultValue: 'pending'
+  },
+  attempts: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0
+  },
+  nextAttemptAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  lastAttemptAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  responseStatus: {
+    type: DataTypes.INTEGER,
+    allowNull: true
+  },
+  // First 2000 characters of the receiver's response
+  responseBody: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  error: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  // Duration of the latest attempt in milliseconds
+  duration: {
+    type: DataTypes.INTEGER,
+    allowNull: true
+  },
+  // Delivery this one was manually redelivered from
+  redeliveryOf: {
+    type: DataTypes.UUID,
+    allowNull: true
+  }
+}, {
+  tableName: 'webhook_deliveries',
+  indexes: [
+    {
+      fields: ['webhookId', 'createdAt']
+    },
+    {
+      fields: ['status', 'nextAttemptAt']
+    }
+  ]
+});
+
+module.exports = WebhookDelivery;
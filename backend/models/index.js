@@ -3,12 +3,26 @@ const Course = require('./Course');
 const Enrollment = require('./Enrollment');
 const Attendance = require('./Attendance');
 const Assignment = require('./Assignment');
+const AssignmentSubmission = require('./AssignmentSubmission');
 const CourseContent = require('./CourseContent');
 const CourseSection = require('./CourseSection');
 const QuizQuestion = require('./QuizQuestion');
+const QuizAttempt = require('./QuizAttempt');
 const LessonCompletion = require('./LessonCompletion');
 const ClassroomSession = require('./ClassroomSession');
 const AttendanceRecord = require('./AttendanceRecord');
+const SessionSeries = require('./SessionSeries');
+const Notification = require('./Notification');
+const Certificate = require('./Certificate');
+const PluginState = require('./PluginState');
+const PluginMigration = require('./PluginMigration');
+const RolePermission = require('./RolePermission');
+const Role = require('./Role');
+const UserRole = require('./UserRole');
+const CourseStaff = require('./CourseStaff');
+const Webhook = require('./Webhook');
+const WebhookDelivery = require('./WebhookDelivery');
+const CalendarFeed = require('./CalendarFeed');
 
 // Initialize models that use the factory pattern
 const { sequelize } = require('../config/database');
@@ -48,6 +62,13 @@ Attendance.belongsTo(Course, { as: 'course', foreignKey: 'courseId' });
 // Assignment associations
 Assignment.belongsTo(User, { as: 'trainer', foreignKey: 'trainerId' });
 Assignment.belongsTo(Course, { as: 'course', foreignKey: 'courseId' });
+Assignment.hasMany(AssignmentSubmission, { as: 'submissions', foreignKey: 'assignmentId' });
+
+// Assignment Submission associations
+AssignmentSubmission.belongsTo(Assignment, { as: 'assignment', foreignKey: 'assignmentId' });
+AssignmentSubmission.belongsTo(User, { as: 'user', foreignKey: 'userId' });
+AssignmentSubmission.belongsTo(User, { as: 'grader', foreignKey: 'gradedBy' });
+User.hasMany(AssignmentSubmission, { as: 'assignmentSubmissions', foreignKey: 'userId' });
 
 // Course Content associations
 Course.hasMany(CourseContent, { as: 'contents', foreignKey: 'courseId' });
@@ -59,6 +80,13 @@ CourseContent.hasMany(LessonCompletion, { as: 'lessonCompletions', foreignKey: '
 CourseContent.hasMany(QuizQuestion, { as: 'questions', foreignKey: 'contentId' });
 QuizQuestion.belongsTo(CourseContent, { as: 'content', foreignKey: 'contentId' });
 
+// Quiz Attempt associations
+CourseContent.hasMany(QuizAttempt, { as: 'attempts', foreignKey: 'contentId' });
+QuizAttempt.belongsTo(CourseContent, { as: 'content', foreignKey: 'contentId' });
+QuizAttempt.belongsTo(User, { as: 'user', foreignKey: 'userId' });
+QuizAttempt.belongsTo(Course, { as: 'course', foreignKey: 'courseId' });
+User.hasMany(QuizAttempt, { as: 'quizAttempts', foreignKey: 'userId' });
+
 // Lesson Completion associations
 LessonCompletion.belongsTo(User, { as: 'user', foreignKey: 'userId' });
 LessonCompletion.belongsTo(Course, { as: 'course', foreignKey: 'courseId' });
@@ -75,12 +103,48 @@ UserNotes.belongsTo(CourseContent, { as: 'content', foreignKey: 'contentId' });
 // Classroom Session associations
 ClassroomSession.belongsTo(Course, { as: 'Course', foreignKey: 'courseId' });
 Course.hasMany(ClassroomSession, { as: 'sessions', foreignKey: 'courseId' });
+ClassroomSession.belongsTo(SessionSeries, { as: 'series', foreignKey: 'seriesId' });
+SessionSeries.hasMany(ClassroomSession, { as: 'sessions', foreignKey: 'seriesId' });
+SessionSeries.belongsTo(Course, { as: 'course', foreignKey: 'courseId' });
 
 // Attendance Record associations
 AttendanceRecord.belongsTo(ClassroomSession, { as: 'ClassroomSession', foreignKey: 'sessionId' });
 AttendanceRecord.belongsTo(User, { as: 'User', foreignKey: 'traineeId' });
 ClassroomSession.hasMany(AttendanceRecord, { as: 'attendance', foreignKey: 'sessionId' });
 User.hasMany(AttendanceRecord, { as: 'attendanceRecords', foreignKey: 'traineeId' });
+AttendanceRecord.belongsTo(User, { as: 'reviewer', foreignKey: 'reviewedBy' });
+
+// Notification associations
+Notification.belongsTo(User, { as: 'user', foreignKey: 'userId' });
+User.hasMany(Notification, { as: 'notifications', foreignKey: 'userId' });
+
+// Certificate associations
+Certificate.belongsTo(Enrollment, { as: 'enrollment', foreignKey: 'enrollmentId' });
+Certificate.belongsTo(User, { as: 'user', foreignKey: 'userId' });
+Certificate.belongsTo(Course, { as: 'course', foreignKey: 'courseId' });
+Enrollment.hasOne(Certificate, { as: 'certificate', foreignKey: 'enrollmentId' });
+User.hasMany(Certificate, { as: 'certificates', foreignKey: 'userId' });
+
+// Custom role associations
+UserRole.belongsTo(User, { as: 'user', foreignKey: 'userId', onDelete: 'CASCADE' });
+UserRole.belongsTo(Role, { as: 'role', foreignKey: 'roleId', onDelete: 'CASCADE' });
+UserRole.belongsTo(Course, { as: 'course', foreignKey: 'courseId', onDelete: 'CASCADE' });
+Role.hasMany(UserRole, { as: 'assignments', foreignKey: 'roleId' });
+User.hasMany(UserRole, { as: 'roleAssignments', foreignKey: 'userId' });
+
+// Course staff associations
+CourseStaff.belongsTo(Course, { as: 'course', foreignKey: 'courseId', onDelete: 'CASCADE' });
+CourseStaff.belongsTo(User, { as: 'user', foreignKey: 'userId', onDelete: 'CASCADE' });
+Course.hasMany(CourseStaff, { as: 'staff', foreignKey: 'courseId' });
+User.hasMany(CourseStaff, { as: 'courseStaff', foreignKey: 'userId' });
+
+// Webhook associations
+WebhookDelivery.belongsTo(Webhook, { as: 'webhook', foreignKey: 'webhookId', onDelete: 'CASCADE' });
+Webhook.hasMany(WebhookDelivery, { as: 'deliveries', foreignKey: 'webhookId' });
+
+// Calendar feed associations
+CalendarFeed.belongsTo(User, { as: 'user', foreignKey: 'userId', onDelete: 'CASCADE' });
+User.hasOne(CalendarFeed, { as: 'calendarFeed', foreignKey: 'userId' });
 
 module.exports = {
   User,
@@ -88,12 +152,26 @@ module.exports = {
   Enrollment,
   Attendance,
   Assignment,
+  AssignmentSubmission,
   CourseContent,
   CourseSection,
   QuizQuestion,
+  QuizAttempt,
   LessonCompletion,
   CourseStats,
   UserNotes,
   ClassroomSession,
-  AttendanceRecord
+  AttendanceRecord,
+  SessionSeries,
+  Notification,
+  Certificate,
+  PluginState,
+  PluginMigration,
+  RolePermission,
+  Role,
+  UserRole,
+  CourseStaff,
+  Webhook,
+  WebhookDelivery,
+  CalendarFeed
 }; 
\ No newline at end of file
@@ -53,10 +53,34 @@ module.exports = {
     autoEnrollOnPayment: true
   },
   
+  // Invoice Configuration
+  invoice: {
+    numberPadding: 6, // INV-000001
+    sellerName: process.env.INVOICE_SELLER_NAME || 'CourseWorx',
+    sellerAddress: process.env.INVOICE_SELLER_ADDRESS || '',
+    sellerTaxId: process.env.INVOICE_SELLER_TAX_ID || '',
+    maxExportInvoices: 1000
+  },
+  
+  // Bank Transfer / Pay at Center Configuration
+  bankTransfer: {
+    instructions: process.env.BANK_TRANSFER_INSTRUCTIONS || '',
+    maxReceiptSize: 10 * 1024 * 1024, // 10MB
+    receiptTypes: ['application/pdf', 'image/jpeg', 'image/png', 'image/webp']
+  },
+  
+  // Installment Plan Configuration
+  installments: {
+    maxInstallments: 24,
+    defaultIntervalDays: 30,
+    defaultGracePeriodDays: 7,
+    overdueCheckInterval: 60 * 60 * 1000 // Check for overdue installments every hour
+  },
+  
   // Payment Methods
   paymentMethods: {
     card: true,
-    bankTransfer: false,
+    bankTransfer: process.env.BANK_TRANSFER_ENABLED !== 'false',
     paypal: false,
     applePay: false,
     googlePay: false
@@ -0,0 +1,146 @@
+/**
+ * Mock (Offline) Payment Gateway for Financial Plugin
+ *
+ * Simulates card payments without any network access so checkout can be run
+ * end-to-end in development and tests. The outcome is chosen by the payment
+ * method (or the matching test card number on the checkout page):
+ *
+ *   pm_mock_success   - payment succeeds on confirm (default for any other card)
+ *   pm_mock_declined  - payment is declined on confirm
+ *   pm_mock_3ds       - confirm returns requires_action; confirming again with
+ *                       { authenticated: true } succeeds, false fails
+ *
+ * The scenario and amount are encoded in the intent ID, so no state is kept between requests.
+ * Webhooks are signed with HMAC-SHA256 of the raw body in the x-mock-signature header,
+ * using MOCK_GATEWAY_WEBHOOK_SECRET; without a secret every webhook is rejected.
+ */
+
+const crypto = require('crypto');
+const PaymentGateway = require('./PaymentGateway');
+
+const SCENARIOS = {
+  pm_mock_success: 'success',
+  pm_mock_declined: 'declined',
+  pm_mock_3ds: '3ds'
+};
+
+const TEST_CARDS = [
+  { number: '4242424242424242', paymentMethodId: 'pm_mock_success', description: 'Payment succeeds' },
+  { number: '4000000000000002', paymentMethodId: 'pm_mock_declined', description: 'Card is declined' },
+  { number: '4000002760003184', paymentMethodId: 'pm_mock_3ds', description: 'Requires 3D Secure authentication' }
+];
+
+const randomId = () => crypto.randomBytes(8).toString('hex');
+
+class MockGateway extends PaymentGateway {
+  constructor(settings = {}) {
+    super('mock', settings);
+    this.webhookSecret = settings.mockWebhookSecret || process.env.MOCK_GATEWAY_WEBHOOK_SECRET;
+    this.currency = settings.currency || 'usd';
+  }
+
+  static getScenario(intentId) {
+    const match = /^mock_pi_(success|declined|3ds)_/.exec(intentId || '');
+    return match ? match[1] : null;
+  }
+
+  // Amount in cents from intents created as mock_pi_<scenario>_<cents>_<random>
+  static getAmount(intentId) {
+    const match = /^mock_pi_[a-z0-9]+_(\d+)_[0-9a-f]+$/.exec(intentId || '');
+    return match ? parseInt(match[1], 10) / 100 : undefined;
+  }
+
+  static signPayload(payload, secret) {
+    return crypto.createHmac('sha256', secret).update(payload).digest('hex');
+  }
+
+  buildIntent(intentId, status, extra = {}) {
+    return {
+      id: intentId,
+      clientSecret: `${intentId}_secret`,
+      status,
+      amount: extra.amount,
+      currency: extra.currency,
+      nextAction: extra.nextAction || null,
+      error: extra.error || null
+    };
+  }
+
+  async createIntent(order, options = {}) {
+    const scenario = SCENARIOS[options.paymentMethodId] || 'success';
+    const intentId = `mock_pi_${scenario}_${Math.round(parseFloat(order.finalAmount) * 100)}_${randomId()}`;
+
+    return this.buildIntent(intentId, 'requires_confirmation', {
+      amount: parseFloat(order.finalAmount),
+      currency: (options.currency || this.currency).toLowerCase()
+    });
+  }
+
+  async confirmIntent(intentId, options = {}) {
+    const scenario = MockGateway.getScenario(intentId);
+    if (!scenario) {
+      throw new Error(`Unknown mock payment intent ${intentId}`);
+    }
+    const amount = MockGateway.getAmount(intentId);
+
+    if (scenario === 'declined') {
+      return this.buildIntent(intentId, 'failed', { amount, error: 'Your card was declined.' });
+    }
+
+    if (scenario === '3ds') {
+      if (options.authenticated === undefined || options.authenticated === null) {
+        return this.buildIntent(intentId, 'requires_action', {
+          amount,
+          nextAction: { type: 'mock_3ds_challenge', redirectUrl: null }
+        });
+      }
+      if (!options.authenticated) {
+        return this.buildIntent(intentId, 'failed', { amount, error: 'Card authentication failed.' });
+      }
+    }
+
+    return this.buildIntent(intentId, 'succeeded', { amount });
+  }
+
+  async refund(intentId, options = {}) {
+    return {
+      id: `mock_re_${randomId()}`,
+      status: 'succeeded',
+      amount: options.amount
+    };
+  }
+
+  verifyWebhook(rawBody, headers) {
+    if (!this.webhookSecret) {
+      throw new Error('Mock webhook secret is not configured');
+    }
+
+    const payload = Buffer.isBuffer(rawBody) ? rawBody : Buffer.from(String(rawBody || ''));
+    const signature = String(headers['x-mock-signature'] || '');
+    const expected = MockGateway.signPayload(payload, this.webhookSecret);
+
+    if (signature.length !== expected.length ||
+        !crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected))) {
+      throw new Error('Invalid mock webhook signature');
+    }
+
+    const event = JSON.parse(payload.toString('utf8'));
+    return {
+      type: ['payment.succeeded', 'payment.failed'].includes(event.type) ? event.type : 'ignored',
+      originalType: event.type,
+      intentId: event.intentId,
+      orderId: event.orderId,
+      amount: MockGateway.getAmount(event.intentId)
+    };
+  }
+
+  getClientConfig() {
+    return {
+      testCards: TEST_CARDS
+    };
+  }
+}
+
+MockGateway.TEST_CARDS = TEST_CARDS;
+
+module.exports = MockGateway;
@@ -0,0 +1,74 @@
+/**
+ * Payment Gateway Interface for Financial Plugin
+ *
+ * Every gateway (Stripe, mock, ...) extends this class so checkout, refunds
+ * and webhooks can work with any of them. Gateways return normalized objects:
+ *
+ * Payment intent:
+ *   { id, clientSecret, status, amount, currency, nextAction, error }
+ *   status: 'requires_payment_method' | 'requires_confirmation' | 'requires_action' |
+ *           'processing' | 'succeeded' | 'failed' | 'canceled'
+ *
+ * Refund:
+ *   { id, status, amount }
+ *
+ * Webhook event:
+ *   { type: 'payment.succeeded' | 'payment.failed' | 'ignored', intentId, orderId, originalType }
+ */
+
+class PaymentGateway {
+  constructor(name, settings = {}) {
+    this.name = name;
+    this.settings = settings;
+  }
+
+  /**
+   * Create a payment intent for an order
+   * @param {Object} order - FinancialOrder instance
+   * @param {Object} options - { paymentMethodId, currency }
+   * @returns {Promise<Object>} Normalized payment intent
+   */
+  async createIntent(order, options = {}) {
+    throw new Error(`${this.name} gateway does not implement createIntent`);
+  }
+
+  /**
+   * Confirm a payment intent
+   * @param {string} intentId - Payment intent ID returned by createIntent
+   * @param {Object} options - { paymentMethodId, authenticated }
+   * @returns {Promise<Object>} Normalized payment intent
+   */
+  async confirmIntent(intentId, options = {}) {
+    throw new Error(`${this.name} gateway does not implement confirmIntent`);
+  }
+
+  /**
+   * Refund a payment
+   * @param {string} intentId - Payment intent ID of the paid order
+   * @param {Object} options - { amount, reason, metadata }
+   * @returns {Promise<Object>} Normalized refund
+   */
+  async refund(intentId, options = {}) {
+    throw new Error(`${this.name} gateway does not implement refund`);
+  }
+
+  /**
+   * Verify a webhook request and return the normalized event
+   * @param {Buffer|string} rawBody - Raw request body
+   * @param {Object} headers - Request headers
+   * @returns {Object} Normalized webhook event (throws if the signature is invalid)
+   */
+  verifyWebhook(rawBody, headers) {
+    throw new Error(`${this.name} gateway does not support webhooks`);
+  }
+
+  /**
+   * Public configuration the checkout page needs (never include secrets)
+   * @returns {Object}
+   */
+  getClientConfig() {
+    return {};
+  }
+}
+
+module.exports = PaymentGateway;
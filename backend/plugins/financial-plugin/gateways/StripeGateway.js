@@ -0,0 +1,111 @@
+/**
+ * Stripe Payment Gateway for Financial Plugin
+ */
+
+const PaymentGateway = require('./PaymentGateway');
+const { formatAmountForStripe, formatAmountFromStripe } = require('../utils/stripe');
+
+const createStripeClient = (secretKey) => require('stripe')(secretKey);
+
+class StripeGateway extends PaymentGateway {
+  constructor(settings = {}) {
+    super('stripe', settings);
+    this.secretKey = settings.stripeApiKey || process.env.STRIPE_SECRET_KEY;
+    this.webhookSecret = settings.stripeWebhookSecret || process.env.STRIPE_WEBHOOK_SECRET;
+    this.publishableKey = settings.stripePublishableKey || process.env.STRIPE_PUBLISHABLE_KEY || '';
+    this.currency = settings.currency || process.env.STRIPE_CURRENCY || 'usd';
+
+    if (!this.secretKey) {
+      const error = new Error('Stripe is selected as the payment gateway but no Stripe secret key is configured');
+      error.code = 'GATEWAY_UNAVAILABLE';
+      throw error;
+    }
+
+    this.stripe = createStripeClient(this.secretKey);
+  }
+
+  normalizeIntent(paymentIntent) {
+    let status = paymentIntent.status;
+    // Stripe returns a failed attempt to requires_payment_method with the error attached
+    if (status === 'requires_payment_method' && paymentIntent.last_payment_error) {
+      status = 'failed';
+    }
+
+    return {
+      id: paymentIntent.id,
+      clientSecret: paymentIntent.client_secret,
+      status,
+      amount: formatAmountFromStripe(paymentIntent.amount),
+      currency: paymentIntent.currency,
+      nextAction: paymentIntent.next_action ? {
+        type: paymentIntent.next_action.type,
+        redirectUrl: paymentIntent.next_action.redirect_to_url?.url || null
+      } : null,
+      error: paymentIntent.last_payment_error?.message || null
+    };
+  }
+
+  async createIntent(order, options = {}) {
+    const paymentIntent = await this.stripe.paymentIntents.create({
+      amount: formatAmountForStripe(order.finalAmount),
+      currency: (options.currency || this.currency).toLowerCase(),
+      metadata: {
+        orderId: order.id,
+        orderNumber: order.orderNumber,
+        userId: order.userId
+      },
+      payment_method: options.paymentMethodId,
+      confirmation_method: 'manual',
+      confirm: false
+    });
+
+    return this.normalizeIntent(paymentIntent);
+  }
+
+  async confirmIntent(intentId, options = {}) {
+    const params = options.paymentMethodId ? { payment_method: options.paymentMethodId } : {};
+    const paymentIntent = await this.stripe.paymentIntents.confirm(intentId, params);
+    return this.normalizeIntent(paymentIntent);
+  }
+
+  async refund(intentId, options = {}) {
+    const refund = await this.stripe.refunds.create({
+      payment_intent: intentId,
+      amount: options.amount ? formatAmountForStripe(options.amount) : undefined,
+      reason: 'requested_by_customer',
+      metadata: options.metadata || {}
+    });
+
+    return {
+      id: refund.id,
+      status: refund.status,
+      amount: formatAmountFromStripe(refund.amount)
+    };
+  }
+
+  verifyWebhook(rawBody, headers) {
+    const event = this.stripe.webhooks.constructEvent(rawBody, headers['stripe-signature'], this.webhookSecret);
+    const paymentIntent = event.data.object;
+
+    const types = {
+      'payment_intent.succeeded': 'payment.succeeded',
+      'payment_intent.payment_failed': 'payment.failed'
+    };
+
+    return {
+      type: types[event.type] || 'ignored',
+      originalType: event.type,
+      intentId: paymentIntent.id,
+      orderId: paymentIntent.metadata ? paymentIntent.metadata.orderId : null,
+      amount: formatAmountFromStripe(paymentIntent.amount)
+    };
+  }
+
+  getClientConfig() {
+    return {
+      publishableKey: this.publishableKey
+    };
+  }
+}
+
+module.exports = StripeGateway;
@@ -0,0 +1,77 @@
+/**
+ * Payment Gateway Registry for Financial Plugin
+ *
+ * Resolves the active payment gateway from the plugin settings
+ * (`paymentGateway`, managed at /api/financial/settings). Without a setting,
+ * PAYMENT_GATEWAY is used, then Stripe when a secret key is present, then the mock gateway.
+ */
+
+const pluginRegistry = require('../../../core/plugin-registry');
+const StripeGateway = require('./StripeGateway');
+const MockGateway = require('./MockGateway');
+
+const PLUGIN_NAME = 'financial-plugin';
+
+const gateways = new Map([
+  ['stripe', StripeGateway],
+  ['mock', MockGateway]
+]);
+
+/**
+ * Register an additional gateway implementation
+ * @param {string} name - Gateway name used in settings
+ * @param {Function} GatewayClass - Class extending PaymentGateway
+ */
+function registerGateway(name, GatewayClass) {
+  gateways.set(name, GatewayClass);
+}
+
+/**
+ * Names of all available gateways
+ * @returns {Array<string>}
+ */
+function getAvailableGateways() {
+  return Array.from(gateways.keys());
+}
+
+/**
+ * Name of the gateway new payments should use
+ * @returns {string}
+ */
+function getActiveGatewayName() {
+  const settings = pluginRegistry.getPluginSettings(PLUGIN_NAME);
+  return settings.paymentGateway ||
+    process.env.PAYMENT_GATEWAY ||
+    (process.env.STRIPE_SECRET_KEY ? 'stripe' : 'mock');
+}
+
+/**
+ * Create a gateway instance
+ * @param {string} name - Gateway name (defaults to the active gateway)
+ * @returns {PaymentGateway}
+ */
+function getPaymentGateway(name = getActiveGatewayName()) {
+  const GatewayClass = gateways.get(name);
+
+  if (!GatewayClass) {
+    const error = new Error(`Unknown payment gateway '${name}'`);
+    error.code = 'GATEWAY_UNAVAILABLE';
+    throw error;
+  }
+
+  // Simulated payments must never unlock paid courses on a live site
+  if (name === 'mock' && process.env.NODE_ENV === 'production') {
+    const error = new Error('The mock payment gateway cannot be used in production');
+    error.code = 'GATEWAY_UNAVAILABLE';
+    throw error;
+  }
+
+  return new GatewayClass(pluginRegistry.getPluginSettings(PLUGIN_NAME));
+}
+
+module.exports = {
+  registerGateway,
+  getAvailableGateways,
+  getActiveGatewayName,
+  getPaymentGateway
+};
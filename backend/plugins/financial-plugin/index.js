@@ -9,6 +9,11 @@
  */
 
 const pluginEventSystem = require('../../core/plugin-events');
+const paymentConfig = require('./config/payment');
+
+// Timers for the overdue installment check, cleared in cleanup()
+let overdueInstallmentTimer = null;
+let firstOverdueCheckTimer = null;
 
 /**
  * Plugin registration function
@@ -27,12 +32,14 @@ async function register(context) {
     const ordersRouter = require('./routes/orders');
     const couponsRouter = require('./routes/coupons');
     const currenciesRouter = require('./routes/currencies');
+    const installmentsRouter = require('./routes/installments');
     registry.registerApiRoutes(pluginName, '/api/financial', financialRouter);
     registry.registerApiRoutes(pluginName, '/api/financial/cart', cartRouter);
     registry.registerApiRoutes(pluginName, '/api/financial/checkout', checkoutRouter);
     registry.registerApiRoutes(pluginName, '/api/financial/orders', ordersRouter);
     registry.registerApiRoutes(pluginName, '/api/financial/coupons', couponsRouter);
     registry.registerApiRoutes(pluginName, '/api/financial', currenciesRouter);
+    registry.registerApiRoutes(pluginName, '/api/financial/installments', installmentsRouter);
     
     console.log(`✅ Financial Plugin routes registered successfully`);
   } catch (error) {
@@ -187,23 +194,17 @@ async function register(context) {
     return data;
   });
   
-  // 5. Register Custom Permissions
+  // 5. Register Custom Permissions (checked with requirePermission; super admins grant them to other roles)
   const permissions = [
-    'read:payments',
-    'write:payments',
-    'read:revenue',
-    'write:revenue',
-    'read:payouts',
-    'write:payouts',
-    'admin:financial',
-    'read:cart',
-    'write:cart',
-    'read:orders',
-    'write:orders',
-    'read:coupons',
-    'write:coupons',
-    'read:invoices',
-    'write:invoices'
+    { name: 'financial:settings', description: 'Change financial plugin settings' },
+    { name: 'financial:payments', description: 'View all payments' },
+    { name: 'financial:payouts', description: 'View payouts of all trainers' },
+    { name: 'financial:revenue', description: 'View revenue reports' },
+    { name: 'financial:orders', description: 'View all orders and export invoices' },
+    { name: 'financial:refund', description: 'Refund any paid order' },
+    { name: 'financial:bank-transfers', description: 'Approve or reject bank transfer payments' },
+    { name: 'financial:coupons', description: 'Manage coupons' },
+    { name: 'financial:currencies', description: 'Manage currencies and exchange rates' }
   ];
   
   registry.registerPermissions(pluginName, permissions);
@@ -225,9 +226,37 @@ async function register(context) {
     enableAutomaticPayouts: true
   };
   
-  registry.setPluginSettings(pluginName, defaultSettings);
+  // Settings saved by an admin (restored by the loader) take precedence over the defaults
+  registry.setPluginSettings(pluginName, {
+    ...defaultSettings,
+    ...registry.getPluginSettings(pluginName)
+  });
+  
+  // 7. Suspend course access for installments overdue past their grace period
+  const InstallmentService = require('./utils/installmentService');
+  const checkOverdueInstallments = async () => {
+    // A disabled plugin keeps its timer but must not suspend enrollments
+    if (!registry.isPluginEnabled(pluginName)) {
+      return;
+    }
+    
+    try {
+      const suspended = await InstallmentService.enforceOverdue();
+      if (suspended > 0) {
+        console.log(`💰 Suspended course access for ${suspended} enrollment(s) with overdue installments`);
+      }
+    } catch (error) {
+      console.error('Overdue installment check failed:', error.message);
+    }
+  };
+  
+  // First check right after the loader has enabled the plugin
+  firstOverdueCheckTimer = setTimeout(checkOverdueInstallments, 0);
+  firstOverdueCheckTimer.unref();
+  overdueInstallmentTimer = setInterval(checkOverdueInstallments, paymentConfig.installments.overdueCheckInterval);
+  overdueInstallmentTimer.unref();
   
-  // 7. Emit plugin loaded event
+  // 8. Emit plugin loaded event
   await pluginEventSystem.emitEvent('plugin:loaded', {
     pluginName,
     version: packageJson.version,
@@ -244,6 +273,14 @@ async function cleanup() {
   console.log('🧹 Cleaning up Financial Plugin...');
   
   // Cleanup any resources, close connections, etc.
+  if (firstOverdueCheckTimer) {
+    clearTimeout(firstOverdueCheckTimer);
+    firstOverdueCheckTimer = null;
+  }
+  if (overdueInstallmentTimer) {
+    clearInterval(overdueInstallmentTimer);
+    overdueInstallmentTimer = null;
+  }
   
   console.log('✅ Financial Plugin cleanup completed');
 }
@@ -0,0 +1,217 @@
+/**
+ * Migration: Create Installment Tables
+ *
+ * This migration creates the tables for course installment plans, the
+ * schedules created when a course is bought in installments, and the
+ * individual installments of each schedule.
+ */
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.createTable('financial_installment_plans', {
+      id: {
+        type: Sequelize.UUID,
+        defaultValue: Sequelize.UUIDV4,
+        primaryKey: true
+      },
+      courseId: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        references: {
+          model: 'courses',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      name: {
+        type: Sequelize.STRING(100),
+        allowNull: false
+      },
+      numberOfInstallments: {
+        type: Sequelize.INTEGER,
+        allowNull: false
+      },
+      intervalDays: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        defaultValue: 30
+      },
+      gracePeriodDays: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        defaultValue: 7
+      },
+      isActive: {
+        type: Sequelize.BOOLEAN,
+        allowNull: false,
+        defaultValue: true
+      },
+      createdBy: {
+        type: Sequelize.UUID,
+        allowNull: true,
+        references: {
+          model: 'users',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL'
+      },
+      createdAt: {
+        type: Sequelize.DATE,
+        allowNull: false
+      },
+      updatedAt: {
+        type: Sequelize.DATE,
+        allowNull: false
+      }
+    });
+
+    await queryInterface.addIndex('financial_installment_plans', ['courseId']);
+    await queryInterface.addIndex('financial_installment_plans', ['isActive']);
+
+    await queryInterface.createTable('financial_installment_schedules', {
+      id: {
+        type: Sequelize.UUID,
+        defaultValue: Sequelize.UUIDV4,
+        primaryKey: true
+      },
+      planId: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        references: {
+          model: 'financial_installment_plans',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'RESTRICT'
+      },
+      userId: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        references: {
+          model: 'users',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      courseId: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        references: {
+          model: 'courses',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      status: {
+        type: Sequelize.ENUM('pending', 'active', 'completed', 'cancelled'),
+        allowNull: false,
+        defaultValue: 'pending'
+      },
+      totalAmount: {
+        type: Sequelize.DECIMAL(10, 2),
+        allowNull: false
+      },
+      numberOfInstallments: {
+        type: Sequelize.INTEGER,
+        allowNull: false
+      },
+      intervalDays: {
+        type: Sequelize.INTEGER,
+        allowNull: false
+      },
+      gracePeriodDays: {
+        type: Sequelize.INTEGER,
+        allowNull: false
+      },
+      completedAt: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      createdAt: {
+        type: Sequelize.DATE,
+        allowNull: false
+      },
+      updatedAt: {
+        type: Sequelize.DATE,
+        allowNull: false
+      }
+    });
+
+    await queryInterface.addIndex('financial_installment_schedules', ['userId']);
+    await queryInterface.addIndex('financial_installment_schedules', ['courseId']);
+    await queryInterface.addIndex('financial_installment_schedules', ['status']);
+
+    await queryInterface.createTable('financial_installments', {
+      id: {
+        type: Sequelize.UUID,
+        defaultValue: Sequelize.UUIDV4,
+        primaryKey: true
+      },
+      scheduleId: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        references: {
+          model: 'financial_installment_schedules',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      sequenceNumber: {
+        type: Sequelize.INTEGER,
+        allowNull: false
+      },
+      amount: {
+        type: Sequelize.DECIMAL(10, 2),
+        allowNull: false
+      },
+      dueDate: {
+        type: Sequelize.DATE,
+        allowNull: false
+      },
+      status: {
+        type: Sequelize.ENUM('scheduled', 'paid', 'cancelled'),
+        allowNull: false,
+        defaultValue: 'scheduled'
+      },
+      orderId: {
+        type: Sequelize.UUID,
+        allowNull: true,
+        references: {
+          model: 'financial_orders',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL'
+      },
+      paidAt: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      createdAt: {
+        type: Sequelize.DATE,
+        allowNull: false
+      },
+      updatedAt: {
+        type: Sequelize.DATE,
+        allowNull: false
+      }
+    });
+
+    await queryInterface.addIndex('financial_installments', ['scheduleId']);
+    await queryInterface.addIndex('financial_installments', ['status', 'dueDate']);
+    await queryInterface.addIndex('financial_installments', ['scheduleId', 'sequenceNumber'], { unique: true });
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    await queryInterface.dropTable('financial_installments');
+    await queryInterface.dropTable('financial_installment_schedules');
+    await queryInterface.dropTable('financial_installment_plans');
+    await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_financial_installments_status";');
+    await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_financial_installment_schedules_status";');
+  }
+};
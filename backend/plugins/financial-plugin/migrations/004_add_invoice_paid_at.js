@@ -0,0 +1,26 @@
+/**
+ * Migration: Add Payment Date to Invoices
+ *
+ * Invoices are dated when they are issued so their numbers stay in
+ * chronological order; the payment date of the order is kept separately.
+ */
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.addColumn('financial_invoices', 'paidAt', {
+      type: Sequelize.DATE,
+      allowNull: true
+    });
+
+    await queryInterface.sequelize.query(`
+      UPDATE financial_invoices AS invoice
+      SET "paidAt" = orders."paidAt"
+      FROM financial_orders AS orders
+      WHERE orders.id = invoice."orderId"
+    `);
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    await queryInterface.removeColumn('financial_invoices', 'paidAt');
+  }
+};
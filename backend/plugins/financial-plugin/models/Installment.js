@@ -0,0 +1,90 @@
+/**
+ * Installment Model for Financial Plugin
+ *
+ * This model stores each payment of an installment schedule. Every installment
+ * is paid through its own order, so checkout, bank transfers and invoices work
+ * the same as for one-time purchases.
+ */
+
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+  const Installment = sequelize.define('FinancialInstallment', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    scheduleId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'financial_installment_schedules',
+        key: 'id'
+      }
+    },
+    sequenceNumber: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      validate: {
+        min: 1
+      }
+    },
+    amount: {
+      type: DataTypes.DECIMAL(10, 2),
+      allowNull: false,
+      validate: {
+        min: 0
+      }
+    },
+    dueDate: {
+      type: DataTypes.DATE,
+      allowNull: false
+    },
+    status: {
+      type: DataTypes.ENUM('scheduled', 'paid', 'cancelled'),
+      allowNull: false,
+      defaultValue: 'scheduled'
+    },
+    // Latest order created to pay this installment
+    orderId: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: 'financial_orders',
+        key: 'id'
+      }
+    },
+    paidAt: {
+      type: DataTypes.DATE,
+      allowNull: true
+    }
+  }, {
+    tableName: 'financial_installments',
+    timestamps: true,
+    indexes: [
+      {
+        fields: ['scheduleId']
+      },
+      {
+        fields: ['status', 'dueDate']
+      },
+      {
+        unique: true,
+        fields: ['scheduleId', 'sequenceNumber']
+      }
+    ]
+  });
+
+  // Instance methods
+  Installment.prototype.isOverdue = function(gracePeriodDays = 0, now = new Date()) {
+    if (this.status !== 'scheduled') {
+      return false;
+    }
+    const deadline = new Date(this.dueDate);
+    deadline.setDate(deadline.getDate() + gracePeriodDays);
+    return now > deadline;
+  };
+
+  return Installment;
+};
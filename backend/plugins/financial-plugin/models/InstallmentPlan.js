@@ -0,0 +1,100 @@
+/**
+ * Installment Plan Model for Financial Plugin
+ *
+ * This model stores the installment plans trainers and admins offer for a
+ * course (e.g. 3 payments, one every 30 days).
+ */
+
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+  const InstallmentPlan = sequelize.define('FinancialInstallmentPlan', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    courseId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'courses',
+        key: 'id'
+      }
+    },
+    name: {
+      type: DataTypes.STRING(100),
+      allowNull: false
+    },
+    numberOfInstallments: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      validate: {
+        min: 2,
+        max: 24
+      }
+    },
+    intervalDays: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 30,
+      validate: {
+        min: 1,
+        max: 365
+      }
+    },
+    gracePeriodDays: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 7,
+      validate: {
+        min: 0,
+        max: 90
+      }
+    },
+    isActive: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: true
+    },
+    createdBy: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: 'users',
+        key: 'id'
+      }
+    }
+  }, {
+    tableName: 'financial_installment_plans',
+    timestamps: true,
+    indexes: [
+      {
+        fields: ['courseId']
+      },
+      {
+        fields: ['isActive']
+      }
+    ]
+  });
+
+  // Instance methods
+  // Splits a price into installment amounts; the first one absorbs the rounding
+  InstallmentPlan.prototype.splitAmount = function(totalAmount) {
+    const totalCents = Math.round(parseFloat(totalAmount) * 100);
+    const baseCents = Math.floor(totalCents / this.numberOfInstallments);
+    const amounts = Array(this.numberOfInstallments).fill(baseCents);
+    amounts[0] += totalCents - baseCents * this.numberOfInstallments;
+    return amounts.map(cents => cents / 100);
+  };
+
+  // Static methods
+  InstallmentPlan.findActiveByCourse = function(courseId) {
+    return this.findAll({
+      where: { courseId, isActive: true },
+      order: [['numberOfInstallments', 'ASC']]
+    });
+  };
+
+  return InstallmentPlan;
+};
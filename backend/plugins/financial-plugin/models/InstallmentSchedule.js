@@ -0,0 +1,87 @@
+/**
+ * Installment Schedule Model for Financial Plugin
+ *
+ * One schedule per installment purchase of a course. The plan terms are copied
+ * when the course is bought so later plan changes don't affect it.
+ */
+
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+  const InstallmentSchedule = sequelize.define('FinancialInstallmentSchedule', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    planId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'financial_installment_plans',
+        key: 'id'
+      }
+    },
+    userId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'users',
+        key: 'id'
+      }
+    },
+    courseId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'courses',
+        key: 'id'
+      }
+    },
+    // pending until the first installment is paid
+    status: {
+      type: DataTypes.ENUM('pending', 'active', 'completed', 'cancelled'),
+      allowNull: false,
+      defaultValue: 'pending'
+    },
+    totalAmount: {
+      type: DataTypes.DECIMAL(10, 2),
+      allowNull: false,
+      validate: {
+        min: 0
+      }
+    },
+    numberOfInstallments: {
+      type: DataTypes.INTEGER,
+      allowNull: false
+    },
+    intervalDays: {
+      type: DataTypes.INTEGER,
+      allowNull: false
+    },
+    gracePeriodDays: {
+      type: DataTypes.INTEGER,
+      allowNull: false
+    },
+    completedAt: {
+      type: DataTypes.DATE,
+      allowNull: true
+    }
+  }, {
+    tableName: 'financial_installment_schedules',
+    timestamps: true,
+    indexes: [
+      {
+        fields: ['userId']
+      },
+      {
+        fields: ['courseId']
+      },
+      {
+        fields: ['status']
+      }
+    ]
+  });
+
+  return InstallmentSchedule;
+};
@@ -0,0 +1,103 @@
+/**
+ * Invoice Model for Financial Plugin
+ *
+ * This model stores issued invoices. Invoice numbers come from a gap-free
+ * sequence, and buyer, line item and currency details are captured when the
+ * invoice is issued so later changes to users or courses don't alter it.
+ */
+
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+  const Invoice = sequelize.define('FinancialInvoice', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    invoiceNumber: {
+      type: DataTypes.STRING(50),
+      allowNull: false,
+      unique: true
+    },
+    sequenceNumber: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      unique: true
+    },
+    orderId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      unique: true,
+      references: {
+        model: 'financial_orders',
+        key: 'id'
+      }
+    },
+    userId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'users',
+        key: 'id'
+      }
+    },
+    issuedAt: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: DataTypes.NOW
+    },
+    paidAt: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    billingDetails: {
+      type: DataTypes.JSONB,
+      allowNull: false,
+      defaultValue: {}
+    },
+    lineItems: {
+      type: DataTypes.JSONB,
+      allowNull: false,
+      defaultValue: []
+    },
+    currency: {
+      type: DataTypes.JSONB,
+      allowNull: false,
+      defaultValue: {}
+    },
+    subtotal: {
+      type: DataTypes.DECIMAL(10, 2),
+      allowNull: false,
+      defaultValue: 0.00
+    },
+    discountAmount: {
+      type: DataTypes.DECIMAL(10, 2),
+      allowNull: false,
+      defaultValue: 0.00
+    },
+    taxAmount: {
+      type: DataTypes.DECIMAL(10, 2),
+      allowNull: false,
+      defaultValue: 0.00
+    },
+    totalAmount: {
+      type: DataTypes.DECIMAL(10, 2),
+      allowNull: false,
+      defaultValue: 0.00
+    }
+  }, {
+    tableName: 'financial_invoices',
+    timestamps: true,
+    indexes: [
+      {
+        fields: ['userId']
+      },
+      {
+        fields: ['issuedAt']
+      }
+    ]
+  });
+
+  return Invoice;
+};
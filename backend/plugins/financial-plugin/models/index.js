@@ -15,6 +15,10 @@ const OrderItem = require('./OrderItem')(sequelize);
 const Coupon = require('./Coupon')(sequelize);
 const Transaction = require('./Transaction')(sequelize);
 const Payout = require('./Payout')(sequelize);
+const Invoice = require('./Invoice')(sequelize);
+const InstallmentPlan = require('./InstallmentPlan')(sequelize);
+const InstallmentSchedule = require('./InstallmentSchedule')(sequelize);
+const Installment = require('./Installment')(sequelize);
 
 // Currency and exchange rate models
 const Currency = require('./Currency');
@@ -32,6 +36,7 @@ Order.belongsTo(Coupon, { as: 'coupon', foreignKey: 'couponId' });
 Order.hasMany(OrderItem, { as: 'items', foreignKey: 'orderId' });
 Order.hasMany(Transaction, { as: 'transactions', foreignKey: 'orderId' });
 Order.hasMany(Payout, { as: 'payouts', foreignKey: 'orderId' });
+Order.hasOne(Invoice, { as: 'invoice', foreignKey: 'orderId' });
 
 // OrderItem associations
 OrderItem.belongsTo(Order, { as: 'order', foreignKey: 'orderId' });
@@ -47,6 +52,20 @@ Transaction.belongsTo(Order, { as: 'order', foreignKey: 'orderId' });
 Payout.belongsTo(User, { as: 'trainer', foreignKey: 'trainerId' });
 Payout.belongsTo(Order, { as: 'order', foreignKey: 'orderId' });
 
+// Invoice associations
+Invoice.belongsTo(Order, { as: 'order', foreignKey: 'orderId' });
+Invoice.belongsTo(User, { as: 'user', foreignKey: 'userId' });
+
+// Installment associations
+InstallmentPlan.belongsTo(Course, { as: 'course', foreignKey: 'courseId' });
+InstallmentPlan.belongsTo(User, { as: 'creator', foreignKey: 'createdBy' });
+InstallmentSchedule.belongsTo(InstallmentPlan, { as: 'plan', foreignKey: 'planId' });
+InstallmentSchedule.belongsTo(User, { as: 'user', foreignKey: 'userId' });
+InstallmentSchedule.belongsTo(Course, { as: 'course', foreignKey: 'courseId' });
+InstallmentSchedule.hasMany(Installment, { as: 'installments', foreignKey: 'scheduleId' });
+Installment.belongsTo(InstallmentSchedule, { as: 'schedule', foreignKey: 'scheduleId' });
+Installment.belongsTo(Order, { as: 'order', foreignKey: 'orderId' });
+
 // Currency associations
 ExchangeRate.belongsTo(Currency, { as: 'fromCurrency', foreignKey: 'fromCurrencyId' });
 ExchangeRate.belongsTo(Currency, { as: 'toCurrency', foreignKey: 'toCurrencyId' });
@@ -69,6 +88,10 @@ module.exports = {
   Coupon,
   Transaction,
   Payout,
+  Invoice,
+  InstallmentPlan,
+  InstallmentSchedule,
+  Installment,
   Currency,
   ExchangeRate,
   ExchangeRateHistory,
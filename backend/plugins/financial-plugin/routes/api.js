@@ -7,8 +7,9 @@
 
 const express = require('express');
 const router = express.Router();
-const { auth } = require('../../../middleware/auth');
+const { auth, requirePermission, hasPermission } = require('../../../middleware/auth');
 const pluginRegistry = require('../../../core/plugin-registry');
+const { getAvailableGateways, getActiveGatewayName } = require('../gateways');
 
 // Import currency models
 const { Currency, ExchangeRate, ExchangeRateHistory, CourseCurrency } = require('../models');
@@ -67,18 +68,10 @@ router.get('/dashboard', /* auth, */ async (req, res) => {
 
 /**
  * GET /api/financial/payments
- * Get list of payments (Super Admin only)
+ * Get list of payments (financial:payments permission)
  */
-router.get('/payments', auth, async (req, res) => {
+router.get('/payments', auth, requirePermission('financial:payments'), async (req, res) => {
   try {
-    // Check if user is Super Admin
-    if (req.user.role !== 'sa') {
-      return res.status(403).json({
-        success: false,
-        error: 'Access denied. Super Admin privileges required.'
-      });
-    }
-    
     const { page = 1, limit = 20, status } = req.query;
     
     // Simulate payments data
@@ -137,7 +130,7 @@ router.get('/payments/:id', auth, async (req, res) => {
     const { id } = req.params;
     
     // Check permissions
-    if (req.user.role !== 'sa' && !req.user.permissions?.includes('read:payments')) {
+    if (!hasPermission(req.user, 'financial:payments')) {
       return res.status(403).json({
         success: false,
         error: 'Access denied. Payment read permission required.'
@@ -180,17 +173,17 @@ router.get('/payments/:id', auth, async (req, res) => {
 
 /**
  * GET /api/financial/payouts
- * Get list of payouts (Trainers and Super Admin)
+ * Get list of payouts (Trainers and financial:payouts permission)
  */
 router.get('/payouts', auth, async (req, res) => {
   try {
     const { page = 1, limit = 20, status } = req.query;
     
     // Check permissions
-    if (req.user.role !== 'sa' && req.user.role !== 'trainer') {
+    if (req.user.role !== 'trainer' && !hasPermission(req.user, 'financial:payouts')) {
       return res.status(403).json({
         success: false,
-        error: 'Access denied. Trainer or Super Admin privileges required.'
+        error: 'Access denied. Trainer role or financial:payouts permission required.'
       });
     }
     
@@ -252,18 +245,10 @@ router.get('/payouts', auth, async (req, res) => {
 
 /**
  * GET /api/financial/revenue
- * Get revenue reports (Super Admin only)
+ * Get revenue reports (financial:revenue permission)
  */
-router.get('/revenue', auth, async (req, res) => {
+router.get('/revenue', auth, requirePermission('financial:revenue'), async (req, res) => {
   try {
-    // Check if user is Super Admin
-    if (req.user.role !== 'sa') {
-      return res.status(403).json({
-        success: false,
-        error: 'Access denied. Super Admin privileges required.'
-      });
-    }
-    
     const { period = 'monthly', startDate, endDate } = req.query;
     
     // Simulate revenue data
@@ -380,22 +365,46 @@ router.get('/earnings', auth, async (req, res) => {
 
 /**
  * POST /api/financial/settings
- * Update plugin settings (Super Admin only)
+ * Update plugin settings (financial:settings permission)
  */
-router.post('/settings', auth, async (req, res) => {
+router.post('/settings', auth, requirePermission('financial:settings'), async (req, res) => {
   try {
-    // Check if user is Super Admin
-    if (req.user.role !== 'sa') {
-      return res.status(403).json({
+    const { settings } = req.body;
+    
+    if (!settings || typeof settings !== 'object') {
+      return res.status(400).json({
         success: false,
-        error: 'Access denied. Super Admin privileges required.'
+        error: 'Settings object is required'
       });
     }
     
-    const { settings } = req.body;
+    if (settings.paymentGateway !== undefined && !getAvailableGateways().includes(settings.paymentGateway)) {
+      return res.status(400).json({
+        success: false,
+        error: `Payment gateway must be one of: ${getAvailableGateways().join(', ')}`
+      });
+    }
+    
+    if (settings.paymentGateway === 'mock' && process.env.NODE_ENV === 'production') {
+      return res.status(400).json({
+        success: false,
+        error: 'The mock payment gateway cannot be used in production'
+      });
+    }
     
-    // Update plugin settings
-    pluginRegistry.setPluginSettings('financial-plugin', settings);
+    if (settings.bankTransferEnabled !== undefined && typeof settings.bankTransferEnabled !== 'boolean') {
+      return res.status(400).json({
+        success: false,
+        error: 'bankTransferEnabled must be true or false'
+      });
+    }
+
+    // Update plugin settings (keys not sent keep their current values)
+    const { availablePaymentGateways, ...newSettings } = settings;
+    await pluginRegistry.setPluginSettings('financial-plugin', {
+      ...pluginRegistry.getPluginSettings('financial-plugin'),
+      ...newSettings
+    });
     
     res.json({
       success: true,
@@ -413,23 +422,19 @@ router.post('/settings', auth, async (req, res) => {
 
 /**
  * GET /api/financial/settings
- * Get plugin settings (Super Admin only)
+ * Get plugin settings (financial:settings permission)
  */
-router.get('/settings', auth, async (req, res) => {
+router.get('/settings', auth, requirePermission('financial:settings'), async (req, res) => {
   try {
-    // Check if user is Super Admin
-    if (req.user.role !== 'sa') {
-      return res.status(403).json({
-        success: false,
-        error: 'Access denied. Super Admin privileges required.'
-      });
-    }
-    
     const settings = pluginRegistry.getPluginSettings('financial-plugin');
     
     res.json({
       success: true,
-      data: settings
+      data: {
+        ...settings,
+        paymentGateway: getActiveGatewayName(),
+        availablePaymentGateways: getAvailableGateways()
+      }
     });
     
   } catch (error) {
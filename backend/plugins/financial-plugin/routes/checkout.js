@@ -9,16 +9,9 @@ const express = require('express');
 const { body, validationResult } = require('express-validator');
 const { auth } = require('../../../middleware/auth');
 const { Cart, Order, OrderItem, Coupon } = require('../models');
-// Initialize Stripe only if API key is available
-let stripe = null;
-try {
-  if (process.env.STRIPE_SECRET_KEY) {
-    stripe = require('stripe')(process.env.STRIPE_SECRET_KEY);
-  }
-} catch (error) {
-  console.warn('Stripe not configured, payment processing will be simulated');
-}
-const { v4: uuidv4 } = require('uuid');
+const OrderFulfillmentService = require('../utils/orderFulfillment');
+const BankTransferService = require('../utils/bankTransferService');
+const { getPaymentGateway, getActiveGatewayName } = require('../gateways');
 
 const router = express.Router();
 
@@ -51,6 +44,84 @@ const getCart = async (req, res, next) => {
   }
 };
 
+// Responds with 503 when the configured gateway can't be used, 500 otherwise
+const handleGatewayError = (res, error, message) => {
+  if (error.code === 'GATEWAY_UNAVAILABLE') {
+    return res.status(503).json({ error: error.message });
+  }
+  return res.status(500).json({ error: message });
+};
+
+// Creates a pending order with its items from the cart
+const createOrderFromCart = async (cart, userId, fields) => {
+  const order = await Order.create({
+    userId,
+    orderNumber: Order.generateOrderNumber(),
+    status: 'pending',
+    totalAmount: cart.totalAmount,
+    discountAmount: cart.discountAmount,
+    taxAmount: cart.taxAmount,
+    finalAmount: cart.finalAmount,
+    couponId: cart.couponCode ? await Coupon.findByCode(cart.couponCode).then(c => c?.id) : null,
+    paymentMethod: fields.paymentMethod || null,
+    metadata: {
+      cartId: cart.id,
+      items: cart.items,
+      ...fields.metadata
+    }
+  });
+  
+  for (const item of cart.items) {
+    await OrderItem.create({
+      orderId: order.id,
+      courseId: item.courseId,
+      courseType: item.type,
+      enrollmentType: 'one-time',
+      originalPrice: item.price,
+      finalPrice: item.price,
+      quantity: item.quantity,
+      metadata: {
+        addedAt: item.addedAt
+      }
+    });
+  }
+  
+  return order;
+};
+
+// @route   GET /api/financial/checkout/gateway
+// @desc    Get the active payment gateway and its public checkout configuration
+// @access  Private
+router.get('/gateway', auth, async (req, res) => {
+  try {
+    let gateway = null;
+    let gatewayError = null;
+    
+    try {
+      gateway = getPaymentGateway();
+    } catch (error) {
+      // Sites that only take offline payments can still check out by bank transfer
+      if (error.code !== 'GATEWAY_UNAVAILABLE' || !BankTransferService.isEnabled()) {
+        throw error;
+      }
+      gatewayError = error.message;
+    }
+    
+    res.json({
+      gateway: gateway ? gateway.name : null,
+      gatewayError,
+      config: gateway ? gateway.getClientConfig() : {},
+      bankTransfer: {
+        enabled: BankTransferService.isEnabled(),
+        instructions: BankTransferService.getInstructions()
+      }
+    });
+  } catch (error) {
+    console.error('Get payment gateway error:', error);
+    handleGatewayError(res, error, 'Failed to get payment gateway');
+  }
+});
+
 // @route   POST /api/financial/checkout/create-intent
 // @desc    Create payment intent for checkout
 // @access  Private
@@ -67,65 +138,18 @@ router.post('/create-intent', [
 
     const { paymentMethodId } = req.body;
     const cart = req.cart;
-    const { userId } = req.user;
+    const userId = req.user.id;
+    const gateway = getPaymentGateway();
     
-    // Create order
-    const order = await Order.create({
-      userId,
-      orderNumber: Order.generateOrderNumber(),
-      status: 'pending',
-      totalAmount: cart.totalAmount,
-      discountAmount: cart.discountAmount,
-      taxAmount: cart.taxAmount,
-      finalAmount: cart.finalAmount,
-      couponId: cart.couponCode ? await Coupon.findByCode(cart.couponCode).then(c => c?.id) : null,
-      metadata: {
-        cartId: cart.id,
-        items: cart.items
-      }
+    const order = await createOrderFromCart(cart, userId, {
+      metadata: { paymentGateway: gateway.name }
     });
     
-    // Create order items
-    for (const item of cart.items) {
-      await OrderItem.create({
-        orderId: order.id,
-        courseId: item.courseId,
-        courseType: item.type,
-        enrollmentType: 'one-time',
-        originalPrice: item.price,
-        finalPrice: item.price,
-        quantity: item.quantity,
-        metadata: {
-          addedAt: item.addedAt
-        }
-      });
-    }
-    
-    // Create payment intent (Stripe or simulated)
-    let paymentIntent;
-    if (stripe) {
-      paymentIntent = await stripe.paymentIntents.create({
-        amount: Math.round(cart.finalAmount * 100), // Convert to cents
-        currency: 'usd', // This should come from plugin settings
-        metadata: {
-          orderId: order.id,
-          orderNumber: order.orderNumber,
-          userId: userId
-        },
-        payment_method: paymentMethodId,
-        confirmation_method: 'manual',
-        confirm: !!paymentMethodId
-      });
-    } else {
-      // Simulate payment intent when Stripe is not configured
-      paymentIntent = {
-        id: `pi_simulated_${Date.now()}`,
-        client_secret: `pi_simulated_${Date.now()}_secret`,
-        status: 'requires_confirmation'
-      };
-    }
+    const paymentIntent = await gateway.createIntent(order, { paymentMethodId });
+    await OrderFulfillmentService.recordPaymentIntent(order, paymentIntent);
     
     res.json({
+      gateway: gateway.name,
       order: {
         id: order.id,
         orderNumber: order.orderNumber,
@@ -135,13 +159,53 @@ router.post('/create-intent', [
       },
       paymentIntent: {
         id: paymentIntent.id,
-        clientSecret: paymentIntent.client_secret,
-        status: paymentIntent.status
+        clientSecret: paymentIntent.clientSecret,
+        status: paymentIntent.status,
+        nextAction: paymentIntent.nextAction
       }
     });
   } catch (error) {
     console.error('Create payment intent error:', error);
-    res.status(500).json({ error: 'Failed to create payment intent' });
+    handleGatewayError(res, error, 'Failed to create payment intent');
+  }
+});
+
+// @route   POST /api/financial/checkout/bank-transfer
+// @desc    Place a pending order to be paid by bank transfer or at the training center
+// @access  Private
+router.post('/bank-transfer', [
+  auth,
+  getCart
+], async (req, res) => {
+  try {
+    if (!BankTransferService.isEnabled()) {
+      return res.status(400).json({ 
+        error: 'Bank transfer payments are not available' 
+      });
+    }
+    
+    const order = await createOrderFromCart(req.cart, req.user.id, {
+      paymentMethod: BankTransferService.PAYMENT_METHOD
+    });
+    await BankTransferService.updateDetails(order, BankTransferService.buildDetails(order));
+    // The order now holds the items; the cart is not needed while the transfer is reviewed
+    await req.cart.destroy();
+    
+    res.status(201).json({
+      message: 'Order placed. Complete the transfer and upload your receipt to activate your courses.',
+      order: {
+        id: order.id,
+        orderNumber: order.orderNumber,
+        status: order.status,
+        paymentMethod: order.paymentMethod,
+        totalAmount: parseFloat(order.totalAmount),
+        finalAmount: parseFloat(order.finalAmount),
+        bankTransfer: BankTransferService.serialize(order)
+      }
+    });
+  } catch (error) {
+    console.error('Create bank transfer order error:', error);
+    res.status(500).json({ error: 'Failed to place bank transfer order' });
   }
 });
 
@@ -151,7 +215,9 @@ router.post('/create-intent', [
 router.post('/confirm', [
   auth,
   body('paymentIntentId').isString().withMessage('Payment intent ID is required'),
-  body('orderId').isUUID().withMessage('Order ID is required')
+  body('orderId').isUUID().withMessage('Order ID is required'),
+  body('paymentMethodId').optional().isString().withMessage('Valid payment method ID is required'),
+  body('authenticated').optional().isBoolean().withMessage('Authenticated must be true or false')
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -159,12 +225,11 @@ router.post('/confirm', [
       return res.status(400).json({ errors: errors.array() });
     }
 
-    const { paymentIntentId, orderId } = req.body;
-    const { userId } = req.user;
+    const { paymentIntentId, orderId, paymentMethodId, authenticated } = req.body;
     
     // Get order
-    const order = await Order.findByPk(orderId, {
-      where: { userId }
+    const order = await Order.findOne({
+      where: { id: orderId, userId: req.user.id }
     });
     
     if (!order) {
@@ -179,35 +244,30 @@ router.post('/confirm', [
       });
     }
     
-    // Confirm payment intent (Stripe or simulated)
-    let paymentIntent;
-    if (stripe) {
-      paymentIntent = await stripe.paymentIntents.confirm(paymentIntentId);
-    } else {
-      // Simulate payment confirmation when Stripe is not configured
-      paymentIntent = {
-        id: paymentIntentId,
-        status: 'succeeded'
-      };
+    if (BankTransferService.isBankTransferOrder(order)) {
+      return res.status(400).json({ 
+        error: 'Bank transfer orders are confirmed by an administrator' 
+      });
+    }
+    
+    // Only the intent created for this order can pay it
+    const intentError = OrderFulfillmentService.getPaymentIntentMismatch(order, { id: paymentIntentId });
+    if (intentError) {
+      return res.status(400).json({ error: intentError });
+    }
+    
+    // Confirm with the gateway that created the payment, even if the setting changed since
+    const gateway = getPaymentGateway(order.metadata?.paymentGateway || getActiveGatewayName());
+    const paymentIntent = await gateway.confirmIntent(paymentIntentId, { paymentMethodId, authenticated });
+    
+    const amountError = OrderFulfillmentService.getPaymentIntentMismatch(order, paymentIntent);
+    if (amountError) {
+      console.error(`Order ${order.orderNumber}: ${amountError} (intent ${paymentIntent.id})`);
+      return res.status(400).json({ error: amountError });
     }
     
     if (paymentIntent.status === 'succeeded') {
-      // Mark order as paid
-      await order.markAsPaid(paymentIntent.id, 'card');
-      
-      // Get order items
-      const orderItems = await OrderItem.findByOrder(orderId);
-      
-      // Mark items as enrolled (this will trigger course enrollment)
-      for (const item of orderItems) {
-        await item.markAsEnrolled();
-      }
-      
-      // Clear cart
-      const cart = await Cart.findByUserOrSession(userId, req.headers['x-session-id']);
-      if (cart) {
-        await cart.destroy();
-      }
+      await OrderFulfillmentService.completePaidOrder(order, paymentIntent.id, 'card');
       
       res.json({
         success: true,
@@ -221,13 +281,30 @@ router.post('/confirm', [
           paidAt: order.paidAt
         }
       });
+    } else if (['requires_action', 'processing'].includes(paymentIntent.status)) {
+      // Payment needs customer authentication (e.g. 3D Secure) or is still being processed
+      res.json({
+        success: false,
+        requiresAction: paymentIntent.status === 'requires_action',
+        paymentIntent: {
+          id: paymentIntent.id,
+          clientSecret: paymentIntent.clientSecret,
+          status: paymentIntent.status,
+          nextAction: paymentIntent.nextAction
+        },
+        order: {
+          id: order.id,
+          orderNumber: order.orderNumber,
+          status: order.status
+        }
+      });
     } else {
       // Payment failed
       await order.markAsFailed();
       
       res.status(400).json({
         success: false,
-        error: 'Payment failed',
+        error: paymentIntent.error || 'Payment failed',
         order: {
           id: order.id,
           orderNumber: order.orderNumber,
@@ -237,34 +314,22 @@ router.post('/confirm', [
     }
   } catch (error) {
     console.error('Confirm payment error:', error);
-    res.status(500).json({ error: 'Failed to confirm payment' });
+    handleGatewayError(res, error, 'Failed to confirm payment');
   }
 });
 
-// @route   POST /api/financial/checkout/webhook
-// @desc    Handle Stripe webhooks
+// @route   POST /api/financial/checkout/webhook/:gatewayName?
+// @desc    Handle payment gateway webhooks (Stripe when no gateway is given)
 // @access  Public (but secured with webhook signature)
-router.post('/webhook', express.raw({ type: 'application/json' }), async (req, res) => {
-  const sig = req.headers['stripe-signature'];
-  const webhookSecret = process.env.STRIPE_WEBHOOK_SECRET;
-  
+router.post('/webhook/:gatewayName?', express.raw({ type: 'application/json' }), async (req, res) => {
   let event;
+  let gateway;
   
   try {
-    if (stripe) {
-      event = stripe.webhooks.constructEvent(req.body, sig, webhookSecret);
-    } else {
-      // Simulate webhook event when Stripe is not configured
-      event = {
-        type: 'payment_intent.succeeded',
-        data: {
-          object: {
-            id: 'pi_simulated_webhook',
-            status: 'succeeded'
-          }
-        }
-      };
-    }
+    gateway = getPaymentGateway(req.params.gatewayName || 'stripe');
+    // express.json() runs first for JSON bodies, so use the raw body it kept for signatures
+    const rawBody = req.rawBody || req.body;
+    event = gateway.verifyWebhook(rawBody, req.headers);
   } catch (err) {
     console.error('Webhook signature verification failed:', err.message);
     return res.status(400).send(`Webhook Error: ${err.message}`);
@@ -273,14 +338,14 @@ router.post('/webhook', express.raw({ type: 'application/json' }), async (req, r
   try {
     // Handle the event
     switch (event.type) {
-      case 'payment_intent.succeeded':
-        await handlePaymentSucceeded(event.data.object);
+      case 'payment.succeeded':
+        await handlePaymentSucceeded(event, gateway);
         break;
-      case 'payment_intent.payment_failed':
-        await handlePaymentFailed(event.data.object);
+      case 'payment.failed':
+        await handlePaymentFailed(event, gateway);
         break;
       default:
-        console.log(`Unhandled event type ${event.type}`);
+        console.log(`Unhandled event type ${event.originalType}`);
     }
     
     res.json({ received: true });
@@ -291,33 +356,46 @@ router.post('/webhook', express.raw({ type: 'application/json' }), async (req, r
 });
 
 // Webhook handlers
-async function handlePaymentSucceeded(paymentIntent) {
+
+// A webhook only counts for the order's own gateway and payment intent
+const getWebhookMismatch = (order, event, gateway, status) => {
+  if (order.metadata?.paymentGateway !== gateway.name) {
+    return `Webhook from gateway '${gateway.name}' for an order paid via '${order.metadata?.paymentGateway}'`;
+  }
+  return OrderFulfillmentService.getPaymentIntentMismatch(order, {
+    id: event.intentId,
+    status,
+    amount: event.amount
+  });
+};
+
+async function handlePaymentSucceeded(event, gateway) {
   try {
-    const orderId = paymentIntent.metadata.orderId;
-    const order = await Order.findByPk(orderId);
+    const order = event.orderId ? await Order.findByPk(event.orderId) : null;
     
     if (order && order.status === 'pending') {
-      await order.markAsPaid(paymentIntent.id, 'card');
-      
-      // Get order items and mark as enrolled
-      const orderItems = await OrderItem.findByOrder(orderId);
-      for (const item of orderItems) {
-        await item.markAsEnrolled();
+      const intentError = getWebhookMismatch(order, event, gateway, 'succeeded');
+      if (intentError) {
+        console.error(`Order ${order.orderNumber}: ${intentError} (webhook intent ${event.intentId})`);
+        return;
       }
-      
-      console.log(`Order ${order.orderNumber} payment confirmed via webhook`);
+      await OrderFulfillmentService.completePaidOrder(order, event.intentId, 'card');
     }
   } catch (error) {
     console.error('Handle payment succeeded error:', error);
   }
 }
 
-async function handlePaymentFailed(paymentIntent) {
+async function handlePaymentFailed(event, gateway) {
   try {
-    const orderId = paymentIntent.metadata.orderId;
-    const order = await Order.findByPk(orderId);
+    const order = event.orderId ? await Order.findByPk(event.orderId) : null;
     
     if (order && order.status === 'pending') {
+      const intentError = getWebhookMismatch(order, event, gateway, 'failed');
+      if (intentError) {
+        console.error(`Order ${order.orderNumber}: ${intentError} (webhook intent ${event.intentId})`);
+        return;
+      }
       await order.markAsFailed();
       console.log(`Order ${order.orderNumber} payment failed via webhook`);
     }
@@ -334,10 +412,9 @@ router.get('/session/:orderId', [
 ], async (req, res) => {
   try {
     const { orderId } = req.params;
-    const { userId } = req.user;
     
-    const order = await Order.findByPk(orderId, {
-      where: { userId },
+    const order = await Order.findOne({
+      where: { id: orderId, userId: req.user.id },
       include: [
         {
           model: OrderItem,
@@ -364,7 +441,8 @@ router.get('/session/:orderId', [
         paymentMethod: order.paymentMethod,
         createdAt: order.createdAt,
         paidAt: order.paidAt,
-        items: order.items
+        items: order.items,
+        bankTransfer: BankTransferService.serialize(order)
       }
     });
   } catch (error) {
@@ -7,17 +7,17 @@
 
 const express = require('express');
 const { body, validationResult } = require('express-validator');
-const { auth, requireSuperAdmin } = require('../../../middleware/auth');
+const { auth, requirePermission } = require('../../../middleware/auth');
 const { Coupon } = require('../models');
 
 const router = express.Router();
 
 // @route   POST /api/financial/coupons
 // @desc    Create new coupon
-// @access  Private (Super Admin)
+// @access  Private (financial:coupons)
 router.post('/', [
   auth,
-  requireSuperAdmin,
+  requirePermission('financial:coupons'),
   body('name').isLength({ min: 3, max: 100 }).withMessage('Name must be between 3 and 100 characters'),
   body('code').optional().isLength({ min: 3, max: 50 }).withMessage('Code must be between 3 and 50 characters'),
   body('type').isIn(['percentage', 'fixed', 'free_shipping']).withMessage('Type must be percentage, fixed, or free_shipping'),
@@ -112,8 +112,8 @@ router.post('/', [
 
 // @route   GET /api/financial/coupons
 // @desc    Get all coupons
-// @access  Private (Super Admin)
-router.get('/', auth, requireSuperAdmin, async (req, res) => {
+// @access  Private (financial:coupons)
+router.get('/', auth, requirePermission('financial:coupons'), async (req, res) => {
   try {
     const { page = 1, limit = 20, isActive, type } = req.query;
     
@@ -167,8 +167,8 @@ router.get('/', auth, requireSuperAdmin, async (req, res) => {
 
 // @route   GET /api/financial/coupons/:id
 // @desc    Get coupon details
-// @access  Private (Super Admin)
-router.get('/:id', auth, requireSuperAdmin, async (req, res) => {
+// @access  Private (financial:coupons)
+router.get('/:id', auth, requirePermission('financial:coupons'), async (req, res) => {
   try {
     const { id } = req.params;
     
@@ -206,10 +206,10 @@ router.get('/:id', auth, requireSuperAdmin, async (req, res) => {
 
 // @route   PUT /api/financial/coupons/:id
 // @desc    Update coupon
-// @access  Private (Super Admin)
+// @access  Private (financial:coupons)
 router.put('/:id', [
   auth,
-  requireSuperAdmin,
+  requirePermission('financial:coupons'),
   body('name').optional().isLength({ min: 3, max: 100 }).withMessage('Name must be between 3 and 100 characters'),
   body('type').optional().isIn(['percentage', 'fixed', 'free_shipping']).withMessage('Type must be percentage, fixed, or free_shipping'),
   body('value').optional().isFloat({ min: 0 }).withMessage('Value must be a positive number'),
@@ -276,8 +276,8 @@ router.put('/:id', [
 
 // @route   DELETE /api/financial/coupons/:id
 // @desc    Delete coupon
-// @access  Private (Super Admin)
-router.delete('/:id', auth, requireSuperAdmin, async (req, res) => {
+// @access  Private (financial:coupons)
+router.delete('/:id', auth, requirePermission('financial:coupons'), async (req, res) => {
   try {
     const { id } = req.params;
     
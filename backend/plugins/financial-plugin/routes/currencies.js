@@ -11,7 +11,8 @@ const { Currency, ExchangeRate, ExchangeRateHistory, CourseCurrency, Course } =
 const { Op } = require('sequelize');
 
 // Middleware for authentication and authorization
-const { auth } = require('../../../middleware/auth');
+const { auth, requirePermission } = require('../../../middleware/auth');
+const { hasCoursePermission } = require('../../../middleware/courseAccess');
 
 /**
  * GET /api/financial/currencies
@@ -75,18 +76,10 @@ router.get('/currencies/:id', async (req, res) => {
 
 /**
  * POST /api/financial/currencies
- * Create a new currency (Admin only)
+ * Create a new currency (financial:currencies permission)
  */
-router.post('/currencies', auth, async (req, res) => {
+router.post('/currencies', auth, requirePermission('financial:currencies'), async (req, res) => {
   try {
-    // Check if user has admin permissions
-    if (req.user.role !== 'super_admin') {
-      return res.status(403).json({
-        success: false,
-        message: 'Insufficient permissions'
-      });
-    }
-    
     const currencyData = req.body;
     
     // Validate required fields
@@ -131,18 +124,10 @@ router.post('/currencies', auth, async (req, res) => {
 
 /**
  * PUT /api/financial/currencies/:id
- * Update a currency (Admin only)
+ * Update a currency (financial:currencies permission)
  */
-router.put('/currencies/:id', auth, async (req, res) => {
+router.put('/currencies/:id', auth, requirePermission('financial:currencies'), async (req, res) => {
   try {
-    // Check if user has admin permissions
-    if (req.user.role !== 'super_admin') {
-      return res.status(403).json({
-        success: false,
-        message: 'Insufficient permissions'
-      });
-    }
-    
     const { id } = req.params;
     const updateData = req.body;
     
@@ -240,18 +225,10 @@ router.get('/exchange-rates', async (req, res) => {
 
 /**
  * POST /api/financial/exchange-rates
- * Create or update exchange rate (Admin only)
+ * Create or update exchange rate (financial:currencies permission)
  */
-router.post('/exchange-rates', auth, async (req, res) => {
+router.post('/exchange-rates', auth, requirePermission('financial:currencies'), async (req, res) => {
   try {
-    // Check if user has admin permissions
-    if (req.user.role !== 'super_admin') {
-      return res.status(403).json({
-        success: false,
-        message: 'Insufficient permissions'
-      });
-    }
-    
     const { fromCurrencyId, toCurrencyId, rate, effectiveDate, notes } = req.body;
     
     // Validate required fields
@@ -415,18 +392,10 @@ router.post('/exchange-rates', auth, async (req, res) => {
 
 /**
  * PUT /api/financial/exchange-rates/:id
- * Update exchange rate (Admin only)
+ * Update exchange rate (financial:currencies permission)
  */
-router.put('/exchange-rates/:id', auth, async (req, res) => {
+router.put('/exchange-rates/:id', auth, requirePermission('financial:currencies'), async (req, res) => {
   try {
-    // Check if user has admin permissions
-    if (req.user.role !== 'super_admin') {
-      return res.status(403).json({
-        success: false,
-        message: 'Insufficient permissions'
-      });
-    }
-    
     const { id } = req.params;
     const { rate, effectiveDate, notes } = req.body;
     
@@ -540,18 +509,10 @@ router.put('/exchange-rates/:id', auth, async (req, res) => {
 
 /**
  * DELETE /api/financial/exchange-rates/:id
- * Delete exchange rate (Admin only)
+ * Delete exchange rate (financial:currencies permission)
  */
-router.delete('/exchange-rates/:id', auth, async (req, res) => {
+router.delete('/exchange-rates/:id', auth, requirePermission('financial:currencies'), async (req, res) => {
   try {
-    // Check if user has admin permissions
-    if (req.user.role !== 'super_admin') {
-      return res.status(403).json({
-        success: false,
-        message: 'Insufficient permissions'
-      });
-    }
-    
     const { id } = req.params;
     
     // Find existing exchange rate
@@ -720,8 +681,8 @@ router.post('/courses/:courseId/currency', auth, async (req, res) => {
       });
     }
     
-    // Check if user is the trainer or super admin
-    if (req.user.role !== 'super_admin' && course.trainerId !== req.user.id) {
+    // Check if user manages the course (its lead trainer) or is super admin
+    if (!hasCoursePermission(req.user, course, 'course:manage')) {
       return res.status(403).json({
         success: false,
         message: 'Insufficient permissions'
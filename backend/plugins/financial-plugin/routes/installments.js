@@ -0,0 +1,438 @@
+/**
+ * Installment Plan Routes for Financial Plugin
+ *
+ * This file handles installment plans per course (managed by the course
+ * trainer or super admins), buying a course in installments and paying
+ * each installment by card or bank transfer.
+ */
+
+const express = require('express');
+const { body, param, validationResult } = require('express-validator');
+const { auth, requireTrainer } = require('../../../middleware/auth');
+const { hasCoursePermission } = require('../../../middleware/courseAccess');
+const { Course, Enrollment } = require('../../../models');
+const { Order, InstallmentPlan, InstallmentSchedule, Installment } = require('../models');
+const InstallmentService = require('../utils/installmentService');
+const BankTransferService = require('../utils/bankTransferService');
+const OrderFulfillmentService = require('../utils/orderFulfillment');
+const paymentConfig = require('../config/payment');
+const { getPaymentGateway } = require('../gateways');
+
+const router = express.Router();
+
+const { maxInstallments } = paymentConfig.installments;
+
+const planValidators = (optional) => {
+  const field = (name) => (optional ? body(name).optional() : body(name));
+  return [
+    field('name').trim().isLength({ min: 1, max: 100 }).withMessage('Name is required (max 100 characters)'),
+    field('numberOfInstallments').isInt({ min: 2, max: maxInstallments }).withMessage(`Number of installments must be between 2 and ${maxInstallments}`),
+    body('intervalDays').optional().isInt({ min: 1, max: 365 }).withMessage('Interval must be between 1 and 365 days'),
+    body('gracePeriodDays').optional().isInt({ min: 0, max: 90 }).withMessage('Grace period must be between 0 and 90 days'),
+    body('isActive').optional().isBoolean().withMessage('isActive must be true or false')
+  ];
+};
+
+const canManageCourse = (user, course) => hasCoursePermission(user, course, 'course:manage');
+
+const serializePlan = (plan, coursePrice) => ({
+  id: plan.id,
+  courseId: plan.courseId,
+  name: plan.name,
+  numberOfInstallments: plan.numberOfInstallments,
+  intervalDays: plan.intervalDays,
+  gracePeriodDays: plan.gracePeriodDays,
+  isActive: plan.isActive,
+  amounts: coursePrice !== undefined ? plan.splitAmount(coursePrice) : undefined
+});
+
+// Loads an installment of the current user with its schedule
+const findUserInstallment = (id, userId) => Installment.findOne({
+  where: { id },
+  include: [{
+    model: InstallmentSchedule,
+    as: 'schedule',
+    where: { userId },
+    include: [{ model: Course, as: 'course', attributes: ['id', 'title', 'price'] }]
+  }]
+});
+
+// @route   GET /api/financial/installments/plans/course/:courseId
+// @desc    Get installment plans for a course (inactive plans only for its managers)
+// @access  Private
+router.get('/plans/course/:courseId', [
+  auth,
+  param('courseId').isUUID().withMessage('Valid course ID is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const course = await Course.findByPk(req.params.courseId);
+    if (!course) {
+      return res.status(404).json({ error: 'Course not found' });
+    }
+
+    const plans = canManageCourse(req.user, course)
+      ? await InstallmentPlan.findAll({
+        where: { courseId: course.id },
+        order: [['isActive', 'DESC'], ['numberOfInstallments', 'ASC']]
+      })
+      : await InstallmentPlan.findActiveByCourse(course.id);
+
+    res.json({
+      plans: plans.map(plan => serializePlan(plan, course.price))
+    });
+  } catch (error) {
+    console.error('Get installment plans error:', error);
+    res.status(500).json({ error: 'Failed to get installment plans' });
+  }
+});
+
+// @route   POST /api/financial/installments/plans
+// @desc    Create an installment plan for a course
+// @access  Private (Course trainer or Super Admin)
+router.post('/plans', [
+  auth,
+  requireTrainer,
+  body('courseId').isUUID().withMessage('Valid course ID is required'),
+  ...planValidators(false)
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { courseId, name, numberOfInstallments, intervalDays, gracePeriodDays } = req.body;
+    const course = await Course.findByPk(courseId);
+
+    if (!course) {
+      return res.status(404).json({ error: 'Course not found' });
+    }
+
+    if (!canManageCourse(req.user, course)) {
+      return res.status(403).json({ error: 'Not authorized to manage installment plans for this course' });
+    }
+
+    if (parseFloat(course.price) <= 0) {
+      return res.status(400).json({ error: 'Installment plans are only available for paid courses' });
+    }
+
+    const plan = await InstallmentPlan.create({
+      courseId,
+      name,
+      numberOfInstallments,
+      intervalDays: intervalDays || paymentConfig.installments.defaultIntervalDays,
+      gracePeriodDays: gracePeriodDays !== undefined ? gracePeriodDays : paymentConfig.installments.defaultGracePeriodDays,
+      createdBy: req.user.id
+    });
+
+    res.status(201).json({
+      message: 'Installment plan created',
+      plan: serializePlan(plan, course.price)
+    });
+  } catch (error) {
+    console.error('Create installment plan error:', error);
+    res.status(500).json({ error: 'Failed to create installment plan' });
+  }
+});
+
+// @route   PUT /api/financial/installments/plans/:id
+// @desc    Update an installment plan (existing schedules keep their terms)
+// @access  Private (Course trainer or Super Admin)
+router.put('/plans/:id', [
+  auth,
+  requireTrainer,
+  param('id').isUUID().withMessage('Valid plan ID is required'),
+  ...planValidators(true)
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const plan = await InstallmentPlan.findByPk(req.params.id, {
+      include: [{ model: Course, as: 'course' }]
+    });
+
+    if (!plan) {
+      return res.status(404).json({ error: 'Installment plan not found' });
+    }
+
+    if (!canManageCourse(req.user, plan.course)) {
+      return res.status(403).json({ error: 'Not authorized to manage installment plans for this course' });
+    }
+
+    const { name, numberOfInstallments, intervalDays, gracePeriodDays, isActive } = req.body;
+    await plan.update({
+      ...(name !== undefined && { name }),
+      ...(numberOfInstallments !== undefined && { numberOfInstallments }),
+      ...(intervalDays !== undefined && { intervalDays }),
+      ...(gracePeriodDays !== undefined && { gracePeriodDays }),
+      ...(isActive !== undefined && { isActive })
+    });
+
+    res.json({
+      message: 'Installment plan updated',
+      plan: serializePlan(plan, plan.course.price)
+    });
+  } catch (error) {
+    console.error('Update installment plan error:', error);
+    res.status(500).json({ error: 'Failed to update installment plan' });
+  }
+});
+
+// @route   DELETE /api/financial/installments/plans/:id
+// @desc    Deactivate an installment plan (schedules already bought continue)
+// @access  Private (Course trainer or Super Admin)
+router.delete('/plans/:id', [
+  auth,
+  requireTrainer,
+  param('id').isUUID().withMessage('Valid plan ID is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const plan = await InstallmentPlan.findByPk(req.params.id, {
+      include: [{ model: Course, as: 'course' }]
+    });
+
+    if (!plan) {
+      return res.status(404).json({ error: 'Installment plan not found' });
+    }
+
+    if (!canManageCourse(req.user, plan.course)) {
+      return res.status(403).json({ error: 'Not authorized to manage installment plans for this course' });
+    }
+
+    await plan.update({ isActive: false });
+
+    res.json({ message: 'Installment plan deactivated' });
+  } catch (error) {
+    console.error('Delete installment plan error:', error);
+    res.status(500).json({ error: 'Failed to deactivate installment plan' });
+  }
+});
+
+// @route   POST /api/financial/installments/plans/:id/purchase
+// @desc    Buy a course with an installment plan; returns the first installment to pay at checkout
+// @access  Private
+router.post('/plans/:id/purchase', [
+  auth,
+  param('id').isUUID().withMessage('Valid plan ID is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const plan = await InstallmentPlan.findOne({
+      where: { id: req.params.id, isActive: true },
+      include: [{ model: Course, as: 'course' }]
+    });
+
+    if (!plan) {
+      return res.status(404).json({ error: 'Installment plan not found' });
+    }
+
+    const { course } = plan;
+    if (!course.isPublished || parseFloat(course.price) <= 0) {
+      return res.status(400).json({ error: 'This course cannot be bought in installments' });
+    }
+
+    const enrollment = await Enrollment.findOne({
+      where: { userId: req.user.id, courseId: course.id }
+    });
+    if (enrollment && enrollment.paymentStatus === 'paid') {
+      return res.status(400).json({ error: 'You have already paid for this course' });
+    }
+
+    const activeSchedule = await InstallmentSchedule.findOne({
+      where: { userId: req.user.id, courseId: course.id, status: 'active' }
+    });
+    if (activeSchedule) {
+      return res.status(400).json({ error: 'You already have an installment plan for this course' });
+    }
+
+    const schedule = await InstallmentService.createSchedule(plan, course, req.user.id);
+    schedule.course = course;
+
+    res.status(201).json({
+      message: 'Installment plan started. Pay the first installment to get access.',
+      schedule: InstallmentService.serializeSchedule(schedule),
+      firstInstallmentId: schedule.installments.find(installment => installment.sequenceNumber === 1).id
+    });
+  } catch (error) {
+    console.error('Purchase installment plan error:', error);
+    res.status(500).json({ error: 'Failed to start installment plan' });
+  }
+});
+
+// @route   GET /api/financial/installments/my
+// @desc    Get the current user's installment schedules
+// @access  Private
+router.get('/my', auth, async (req, res) => {
+  try {
+    const schedules = await InstallmentSchedule.findAll({
+      where: { userId: req.user.id, status: ['pending', 'active', 'completed'] },
+      include: [
+        { model: Installment, as: 'installments' },
+        { model: Course, as: 'course', attributes: ['id', 'title'] }
+      ],
+      order: [['createdAt', 'DESC']]
+    });
+
+    res.json({
+      schedules: schedules.map(schedule => InstallmentService.serializeSchedule(schedule))
+    });
+  } catch (error) {
+    console.error('Get installment schedules error:', error);
+    res.status(500).json({ error: 'Failed to get installment schedules' });
+  }
+});
+
+// @route   GET /api/financial/installments/:id
+// @desc    Get an installment of the current user (checkout summary)
+// @access  Private
+router.get('/:id', [
+  auth,
+  param('id').isUUID().withMessage('Valid installment ID is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const installment = await findUserInstallment(req.params.id, req.user.id);
+    if (!installment) {
+      return res.status(404).json({ error: 'Installment not found' });
+    }
+
+    const { schedule } = installment;
+    res.json({
+      installment: {
+        id: installment.id,
+        sequenceNumber: installment.sequenceNumber,
+        numberOfInstallments: schedule.numberOfInstallments,
+        amount: parseFloat(installment.amount),
+        dueDate: installment.dueDate,
+        status: installment.status,
+        course: schedule.course ? { id: schedule.course.id, title: schedule.course.title } : null,
+        scheduleStatus: schedule.status,
+        totalAmount: parseFloat(schedule.totalAmount)
+      }
+    });
+  } catch (error) {
+    console.error('Get installment error:', error);
+    res.status(500).json({ error: 'Failed to get installment' });
+  }
+});
+
+// @route   POST /api/financial/installments/:id/pay
+// @desc    Create the order for an installment and start its payment (card intent or bank transfer)
+// @access  Private
+router.post('/:id/pay', [
+  auth,
+  param('id').isUUID().withMessage('Valid installment ID is required'),
+  body('paymentMethod').isIn(['card', 'bank_transfer']).withMessage('Payment method must be card or bank_transfer'),
+  body('paymentMethodId').optional().isString().withMessage('Valid payment method ID is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { paymentMethod, paymentMethodId } = req.body;
+    const installment = await findUserInstallment(req.params.id, req.user.id);
+
+    if (!installment) {
+      return res.status(404).json({ error: 'Installment not found' });
+    }
+
+    const { schedule } = installment;
+    if (installment.status !== 'scheduled' || !['pending', 'active'].includes(schedule.status)) {
+      return res.status(400).json({ error: 'This installment cannot be paid' });
+    }
+
+    const nextDue = await InstallmentService.findNextDue(schedule.id);
+    if (!nextDue || nextDue.id !== installment.id) {
+      return res.status(400).json({ error: 'Please pay the earlier installments first' });
+    }
+
+    // A previous payment attempt is replaced, unless a bank transfer receipt is being reviewed
+    if (installment.orderId) {
+      const previousOrder = await Order.findByPk(installment.orderId);
+      if (previousOrder && previousOrder.status === 'pending') {
+        if (previousOrder.metadata?.bankTransfer?.status === 'under_review') {
+          return res.status(400).json({ error: 'A bank transfer for this installment is already being reviewed' });
+        }
+        await previousOrder.markAsCancelled();
+      }
+    }
+
+    if (paymentMethod === 'bank_transfer') {
+      if (!BankTransferService.isEnabled()) {
+        return res.status(400).json({ error: 'Bank transfer payments are not available' });
+      }
+
+      const order = await InstallmentService.createInstallmentOrder(installment, {
+        paymentMethod: BankTransferService.PAYMENT_METHOD
+      });
+      await BankTransferService.updateDetails(order, BankTransferService.buildDetails(order));
+
+      return res.status(201).json({
+        message: 'Order placed. Complete the transfer and upload your receipt.',
+        order: {
+          id: order.id,
+          orderNumber: order.orderNumber,
+          status: order.status,
+          paymentMethod: order.paymentMethod,
+          finalAmount: parseFloat(order.finalAmount),
+          bankTransfer: BankTransferService.serialize(order)
+        }
+      });
+    }
+
+    const gateway = getPaymentGateway();
+    const order = await InstallmentService.createInstallmentOrder(installment, {
+      metadata: { paymentGateway: gateway.name }
+    });
+    const paymentIntent = await gateway.createIntent(order, { paymentMethodId });
+    await OrderFulfillmentService.recordPaymentIntent(order, paymentIntent);
+
+    res.json({
+      gateway: gateway.name,
+      order: {
+        id: order.id,
+        orderNumber: order.orderNumber,
+        status: order.status,
+        totalAmount: parseFloat(order.totalAmount),
+        finalAmount: parseFloat(order.finalAmount)
+      },
+      paymentIntent: {
+        id: paymentIntent.id,
+        clientSecret: paymentIntent.clientSecret,
+        status: paymentIntent.status,
+        nextAction: paymentIntent.nextAction
+      }
+    });
+  } catch (error) {
+    console.error('Pay installment error:', error);
+    if (error.code === 'GATEWAY_UNAVAILABLE') {
+      return res.status(503).json({ error: error.message });
+    }
+    res.status(500).json({ error: 'Failed to start installment payment' });
+  }
+});
+
+module.exports = router;
@@ -6,27 +6,80 @@
  */
 
 const express = require('express');
-const { body, validationResult } = require('express-validator');
-const { auth, requireSuperAdmin } = require('../../../middleware/auth');
-const { Order, OrderItem, Coupon } = require('../models');
-// Initialize Stripe only if API key is available
-let stripe = null;
-try {
-  if (process.env.STRIPE_SECRET_KEY) {
-    stripe = require('stripe')(process.env.STRIPE_SECRET_KEY);
-  }
-} catch (error) {
-  console.warn('Stripe not configured, payment processing will be simulated');
-}
+const multer = require('multer');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { Op } = require('sequelize');
+const { body, param, query, validationResult } = require('express-validator');
+const { auth, requirePermission, hasPermission } = require('../../../middleware/auth');
+const { User } = require('../../../models');
+const { Order, OrderItem, Coupon, Invoice } = require('../models');
+const InvoiceService = require('../utils/invoiceService');
+const BankTransferService = require('../utils/bankTransferService');
+const paymentConfig = require('../config/payment');
+const { getPaymentGateway, getActiveGatewayName } = require('../gateways');
 
 const router = express.Router();
 
+// Multer storage for transfer receipts: uploads/payment-receipts/<orderId>/
+// Random file names keep receipts from being guessed; they are served through /:id/receipt
+const receiptStorage = multer.diskStorage({
+  destination: function (req, file, cb) {
+    try {
+      const dir = BankTransferService.getReceiptDir(req.params.id);
+      fs.mkdirSync(dir, { recursive: true });
+      cb(null, dir);
+    } catch (error) {
+      cb(error, null);
+    }
+  },
+  filename: function (req, file, cb) {
+    const extension = path.extname(file.originalname).toLowerCase();
+    cb(null, `${Date.now()}_${crypto.randomBytes(8).toString('hex')}${extension}`);
+  }
+});
+
+const uploadReceipt = multer({
+  storage: receiptStorage,
+  fileFilter: (req, file, cb) => {
+    if (paymentConfig.bankTransfer.receiptTypes.includes(file.mimetype)) {
+      cb(null, true);
+    } else {
+      cb(new Error('Receipt must be a PDF or an image (JPEG, PNG, WebP)'), false);
+    }
+  },
+  limits: { fileSize: paymentConfig.bankTransfer.maxReceiptSize, files: 1 }
+});
+
+// Wrap multer so upload errors come back as 400 instead of hitting the global 500 handler.
+// The order ID is validated first because it becomes part of the upload path.
+const handleReceiptUpload = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  uploadReceipt.single('receipt')(req, res, (error) => {
+    if (error) {
+      return res.status(400).json({ error: error.message });
+    }
+    next();
+  });
+};
+
+const removeUploadedFile = (file) => {
+  if (file && file.path && fs.existsSync(file.path)) {
+    fs.unlinkSync(file.path);
+  }
+};
+
 // @route   GET /api/financial/orders
 // @desc    Get user's order history
 // @access  Private
 router.get('/', auth, async (req, res) => {
   try {
-    const { userId } = req.user;
+    const userId = req.user.id;
     const { page = 1, limit = 20, status } = req.query;
     
     const offset = (page - 1) * limit;
@@ -67,7 +120,8 @@ router.get('/', auth, async (req, res) => {
         createdAt: order.createdAt,
         paidAt: order.paidAt,
         items: order.items,
-        coupon: order.coupon
+        coupon: order.coupon,
+        bankTransfer: BankTransferService.serialize(order)
       })),
       pagination: {
         currentPage: parseInt(page),
@@ -88,10 +142,9 @@ router.get('/', auth, async (req, res) => {
 router.get('/:id', auth, async (req, res) => {
   try {
     const { id } = req.params;
-    const { userId } = req.user;
     
-    const order = await Order.findByPk(id, {
-      where: { userId },
+    const order = await Order.findOne({
+      where: { id, userId: req.user.id },
       include: [
         {
           model: OrderItem,
@@ -128,6 +181,7 @@ router.get('/:id', auth, async (req, res) => {
         refundAmount: parseFloat(order.refundAmount || 0),
         items: order.items,
         coupon: order.coupon,
+        bankTransfer: BankTransferService.serialize(order),
         metadata: order.metadata
       }
     });
@@ -139,7 +193,7 @@ router.get('/:id', auth, async (req, res) => {
 
 // @route   POST /api/financial/orders/:id/refund
 // @desc    Request refund for order
-// @access  Private
+// @access  Private (Order owner or financial:refund)
 router.post('/:id/refund', [
   auth,
   body('amount').optional().isFloat({ min: 0 }).withMessage('Refund amount must be positive'),
@@ -153,11 +207,14 @@ router.post('/:id/refund', [
 
     const { id } = req.params;
     const { amount, reason } = req.body;
-    const { userId } = req.user;
     
-    const order = await Order.findByPk(id, {
-      where: { userId }
-    });
+    // Users with the financial:refund permission may refund any order
+    const whereClause = { id };
+    if (!hasPermission(req.user, 'financial:refund')) {
+      whereClause.userId = req.user.id;
+    }
+
+    const order = await Order.findOne({ where: whereClause });
     
     if (!order) {
       return res.status(404).json({ 
@@ -177,6 +234,12 @@ router.post('/:id/refund', [
       });
     }
     
+    if (BankTransferService.isBankTransferOrder(order)) {
+      return res.status(400).json({ 
+        error: 'Bank transfer payments are refunded offline. Please contact support.' 
+      });
+    }
+    
     const refundAmount = amount || order.finalAmount;
     
     if (refundAmount > order.finalAmount) {
@@ -185,27 +248,17 @@ router.post('/:id/refund', [
       });
     }
     
-    // Process refund (Stripe or simulated)
-    let refund;
-    if (stripe) {
-      refund = await stripe.refunds.create({
-        payment_intent: order.gatewayTransactionId,
-        amount: Math.round(refundAmount * 100), // Convert to cents
-        reason: 'requested_by_customer',
-        metadata: {
-          orderId: order.id,
-          orderNumber: order.orderNumber,
-          reason: reason || 'No reason provided'
-        }
-      });
-    } else {
-      // Simulate refund when Stripe is not configured
-      refund = {
-        id: `re_simulated_${Date.now()}`,
-        amount: Math.round(refundAmount * 100),
-        status: 'succeeded'
-      };
-    }
+    // Refund through the gateway that took the payment
+    const gateway = getPaymentGateway(order.metadata?.paymentGateway || getActiveGatewayName());
+    const refund = await gateway.refund(order.gatewayTransactionId, {
+      amount: parseFloat(refundAmount),
+      reason,
+      metadata: {
+        orderId: order.id,
+        orderNumber: order.orderNumber,
+        reason: reason || 'No reason provided'
+      }
+    });
     
     // Update order status
     await order.markAsRefunded(refundAmount);
@@ -227,85 +280,395 @@ router.post('/:id/refund', [
     });
   } catch (error) {
     console.error('Process refund error:', error);
+    if (error.code === 'GATEWAY_UNAVAILABLE') {
+      return res.status(503).json({ error: error.message });
+    }
     res.status(500).json({ error: 'Failed to process refund' });
   }
 });
 
 // @route   GET /api/financial/orders/:id/invoice
-// @desc    Download order invoice
-// @access  Private
-router.get('/:id/invoice', auth, async (req, res) => {
+// @desc    Download order invoice as PDF
+// @access  Private (Order owner or financial:orders)
+router.get('/:id/invoice', [
+  auth,
+  param('id').isUUID().withMessage('Valid order ID is required')
+], async (req, res) => {
   try {
-    const { id } = req.params;
-    const { userId } = req.user;
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const whereClause = { id: req.params.id };
+    if (!hasPermission(req.user, 'financial:orders')) {
+      whereClause.userId = req.user.id;
+    }
+
+    const order = await Order.findOne({ where: whereClause });
+    
+    if (!order) {
+      return res.status(404).json({ 
+        error: 'Order not found' 
+      });
+    }
+    
+    if (!InvoiceService.isInvoiceable(order)) {
+      return res.status(400).json({ 
+        error: 'Invoices are only available for paid orders' 
+      });
+    }
+    
+    const invoice = await InvoiceService.issueInvoice(order.id);
+    const pdf = await InvoiceService.renderPdf([{ invoice, order }]);
+    
+    res.set({
+      'Content-Type': 'application/pdf',
+      'Content-Disposition': `attachment; filename="${invoice.invoiceNumber}.pdf"`,
+      'Content-Length': pdf.length
+    });
+    res.send(pdf);
+  } catch (error) {
+    console.error('Get invoice error:', error);
+    res.status(500).json({ error: 'Failed to generate invoice' });
+  }
+});
+
+// @route   POST /api/financial/orders/:id/receipt
+// @desc    Upload the transfer receipt for a pending bank transfer order
+// @access  Private (Order owner)
+router.post('/:id/receipt', [
+  auth,
+  param('id').isUUID().withMessage('Valid order ID is required'),
+  handleReceiptUpload
+], async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({ 
+        error: 'Receipt file is required' 
+      });
+    }
+
+    const order = await Order.findOne({
+      where: { id: req.params.id, userId: req.user.id }
+    });
+    
+    if (!order || !BankTransferService.isBankTransferOrder(order)) {
+      removeUploadedFile(req.file);
+      return res.status(404).json({ 
+        error: 'Bank transfer order not found' 
+      });
+    }
+    
+    if (order.status !== 'pending') {
+      removeUploadedFile(req.file);
+      return res.status(400).json({ 
+        error: 'Receipts can only be uploaded for pending orders' 
+      });
+    }
+    
+    await BankTransferService.attachReceipt(order, req.file);
+    
+    res.json({
+      message: 'Receipt uploaded. Your payment will be reviewed shortly.',
+      order: {
+        id: order.id,
+        orderNumber: order.orderNumber,
+        status: order.status,
+        bankTransfer: BankTransferService.serialize(order)
+      }
+    });
+  } catch (error) {
+    console.error('Upload receipt error:', error);
+    removeUploadedFile(req.file);
+    res.status(500).json({ error: 'Failed to upload receipt' });
+  }
+});
+
+// @route   GET /api/financial/orders/:id/receipt
+// @desc    Download the transfer receipt of a bank transfer order
+// @access  Private (Order owner or financial:orders)
+router.get('/:id/receipt', [
+  auth,
+  param('id').isUUID().withMessage('Valid order ID is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const whereClause = { id: req.params.id };
+    if (!hasPermission(req.user, 'financial:orders')) {
+      whereClause.userId = req.user.id;
+    }
+
+    const order = await Order.findOne({ where: whereClause });
+    const receiptPath = order ? BankTransferService.getReceiptPath(order) : null;
+    
+    if (!receiptPath || !fs.existsSync(receiptPath)) {
+      return res.status(404).json({ 
+        error: 'Receipt not found' 
+      });
+    }
+    
+    const { mimeType, originalName } = order.metadata.bankTransfer.receipt;
+    res.set({
+      'Content-Type': mimeType,
+      'Content-Disposition': `inline; filename="${originalName.replace(/["\\\r\n]/g, '_')}"`
+    });
+    res.sendFile(receiptPath);
+  } catch (error) {
+    console.error('Get receipt error:', error);
+    res.status(500).json({ error: 'Failed to get receipt' });
+  }
+});
+
+// @route   GET /api/financial/orders/admin/bank-transfers
+// @desc    Get pending bank transfer orders for review
+// @access  Private (financial:bank-transfers)
+router.get('/admin/bank-transfers', [
+  auth,
+  requirePermission('financial:bank-transfers'),
+  query('status').optional().isIn(['under_review', 'awaiting_receipt', 'all']).withMessage('Invalid status filter')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { status = 'under_review' } = req.query;
+    const whereClause = {
+      status: 'pending',
+      paymentMethod: BankTransferService.PAYMENT_METHOD
+    };
     
-    const order = await Order.findByPk(id, {
-      where: { userId },
+    if (status !== 'all') {
+      whereClause.metadata = { bankTransfer: { status } };
+    }
+    
+    const orders = await Order.findAll({
+      where: whereClause,
       include: [
         {
           model: OrderItem,
           as: 'items'
         },
         {
-          model: Coupon,
-          as: 'coupon',
-          attributes: ['code', 'name', 'type', 'value']
+          model: User,
+          as: 'user',
+          attributes: ['id', 'firstName', 'lastName', 'email', 'phone']
         }
-      ]
+      ],
+      order: [['createdAt', 'ASC']]
     });
     
+    res.json({
+      orders: orders.map(order => ({
+        id: order.id,
+        orderNumber: order.orderNumber,
+        status: order.status,
+        finalAmount: parseFloat(order.finalAmount),
+        createdAt: order.createdAt,
+        user: order.user,
+        items: order.items,
+        bankTransfer: BankTransferService.serialize(order)
+      }))
+    });
+  } catch (error) {
+    console.error('Get bank transfers error:', error);
+    res.status(500).json({ error: 'Failed to get bank transfers' });
+  }
+});
+
+// Loads a pending bank transfer order for the review routes
+const findPendingTransfer = async (req, res) => {
+  const order = await Order.findByPk(req.params.id);
+  
+  if (!order || !BankTransferService.isBankTransferOrder(order)) {
+    res.status(404).json({ error: 'Bank transfer order not found' });
+    return null;
+  }
+  
+  if (order.status !== 'pending') {
+    res.status(400).json({ error: 'This bank transfer has already been reviewed' });
+    return null;
+  }
+  
+  return order;
+};
+
+// @route   POST /api/financial/orders/admin/bank-transfers/:id/approve
+// @desc    Approve a bank transfer: mark the order paid and activate its enrollments
+// @access  Private (financial:bank-transfers)
+router.post('/admin/bank-transfers/:id/approve', [
+  auth,
+  requirePermission('financial:bank-transfers'),
+  param('id').isUUID().withMessage('Valid order ID is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const order = await findPendingTransfer(req, res);
     if (!order) {
-      return res.status(404).json({ 
-        error: 'Order not found' 
+      return;
+    }
+    
+    await BankTransferService.approve(order, req.user);
+    
+    res.json({
+      message: 'Bank transfer approved',
+      order: {
+        id: order.id,
+        orderNumber: order.orderNumber,
+        status: order.status,
+        paidAt: order.paidAt,
+        bankTransfer: BankTransferService.serialize(order)
+      }
+    });
+  } catch (error) {
+    console.error('Approve bank transfer error:', error);
+    res.status(500).json({ error: 'Failed to approve bank transfer' });
+  }
+});
+
+// @route   POST /api/financial/orders/admin/bank-transfers/:id/reject
+// @desc    Reject a bank transfer
+// @access  Private (financial:bank-transfers)
+router.post('/admin/bank-transfers/:id/reject', [
+  auth,
+  requirePermission('financial:bank-transfers'),
+  param('id').isUUID().withMessage('Valid order ID is required'),
+  body('reason').trim().isLength({ min: 5, max: 500 }).withMessage('Reason must be between 5 and 500 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const order = await findPendingTransfer(req, res);
+    if (!order) {
+      return;
+    }
+    
+    await BankTransferService.reject(order, req.user, req.body.reason);
+    
+    res.json({
+      message: 'Bank transfer rejected',
+      order: {
+        id: order.id,
+        orderNumber: order.orderNumber,
+        status: order.status,
+        bankTransfer: BankTransferService.serialize(order)
+      }
+    });
+  } catch (error) {
+    console.error('Reject bank transfer error:', error);
+    res.status(500).json({ error: 'Failed to reject bank transfer' });
+  }
+});
+
+// @route   GET /api/financial/orders/admin/invoices/export
+// @desc    Export all invoices dated within a range as one PDF or CSV
+// @access  Private (financial:orders)
+router.get('/admin/invoices/export', [
+  auth,
+  requirePermission('financial:orders'),
+  query('startDate').isISO8601().withMessage('Valid start date is required'),
+  query('endDate').isISO8601().withMessage('Valid end date is required'),
+  query('format').optional().isIn(['pdf', 'csv']).withMessage('Format must be pdf or csv')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { startDate, endDate, format = 'pdf' } = req.query;
+    const rangeStart = new Date(startDate);
+    const rangeEnd = new Date(endDate);
+    // Date-only end dates include the whole day
+    if (/^\d{4}-\d{2}-\d{2}$/.test(endDate)) {
+      rangeEnd.setUTCHours(23, 59, 59, 999);
+    }
+    
+    if (rangeStart > rangeEnd) {
+      return res.status(400).json({ 
+        error: 'Start date must be before end date' 
       });
     }
     
-    // Generate invoice data
-    const invoiceData = {
-      invoiceNumber: `INV-${order.orderNumber}`,
-      orderNumber: order.orderNumber,
-      date: order.createdAt,
-      status: order.status,
-      customer: {
-        // This would come from user data
-        name: 'Customer Name', // Placeholder
-        email: 'customer@example.com' // Placeholder
+    // Issue invoices for orders paid in the range that don't have one yet
+    // (e.g. orders paid before invoicing was enabled)
+    const uninvoicedOrders = await Order.findAll({
+      where: {
+        status: ['paid', 'refunded'],
+        paidAt: { [Op.between]: [rangeStart, rangeEnd] }
       },
-      items: order.items.map(item => ({
-        courseId: item.courseId,
-        courseType: item.courseType,
-        quantity: item.quantity,
-        originalPrice: parseFloat(item.originalPrice),
-        finalPrice: parseFloat(item.finalPrice),
-        discount: parseFloat(item.discountAmount || 0)
-      })),
-      totals: {
-        subtotal: parseFloat(order.totalAmount),
-        discount: parseFloat(order.discountAmount),
-        tax: parseFloat(order.taxAmount),
-        total: parseFloat(order.finalAmount)
+      include: [{ model: Invoice, as: 'invoice', attributes: ['id'], required: false }],
+      order: [['paidAt', 'ASC']]
+    });
+    
+    for (const order of uninvoicedOrders.filter(order => !order.invoice)) {
+      await InvoiceService.issueInvoice(order.id);
+    }
+    
+    const { maxExportInvoices } = paymentConfig.invoice;
+    const invoices = await Invoice.findAll({
+      where: {
+        issuedAt: { [Op.between]: [rangeStart, rangeEnd] }
       },
-      payment: {
-        method: order.paymentMethod,
-        transactionId: order.gatewayTransactionId,
-        paidAt: order.paidAt
-      }
-    };
+      include: [{ model: Order, as: 'order' }],
+      order: [['sequenceNumber', 'ASC']],
+      limit: maxExportInvoices + 1
+    });
     
-    // For now, return JSON. In production, you'd generate a PDF
-    res.json({
-      invoice: invoiceData
+    if (invoices.length === 0) {
+      return res.status(404).json({ 
+        error: 'No invoices found in this date range' 
+      });
+    }
+    
+    if (invoices.length > maxExportInvoices) {
+      return res.status(400).json({ 
+        error: `More than ${maxExportInvoices} invoices in this date range. Please choose a shorter range.` 
+      });
+    }
+    
+    const entries = invoices.map(invoice => ({ invoice, order: invoice.order }));
+    const filename = `invoices-${startDate.slice(0, 10)}-to-${endDate.slice(0, 10)}`;
+    
+    if (format === 'csv') {
+      const csv = InvoiceService.renderCsv(entries);
+      res.set({
+        'Content-Type': 'text/csv; charset=utf-8',
+        'Content-Disposition': `attachment; filename="${filename}.csv"`
+      });
+      return res.send(csv);
+    }
+    
+    const pdf = await InvoiceService.renderPdf(entries);
+    res.set({
+      'Content-Type': 'application/pdf',
+      'Content-Disposition': `attachment; filename="${filename}.pdf"`,
+      'Content-Length': pdf.length
     });
+    res.send(pdf);
   } catch (error) {
-    console.error('Get invoice error:', error);
-    res.status(500).json({ error: 'Failed to generate invoice' });
+    console.error('Export invoices error:', error);
+    res.status(500).json({ error: 'Failed to export invoices' });
   }
 });
 
 // @route   GET /api/financial/orders/admin/all
 // @desc    Get all orders (admin only)
-// @access  Private (Super Admin)
-router.get('/admin/all', auth, requireSuperAdmin, async (req, res) => {
+// @access  Private (financial:orders)
+router.get('/admin/all', auth, requirePermission('financial:orders'), async (req, res) => {
   try {
     const { page = 1, limit = 20, status, userId, startDate, endDate } = req.query;
     
@@ -0,0 +1,48 @@
+/**
+ * Installment Plan Tests
+ *
+ * This test suite validates how installment plans split a course price
+ * and when an installment counts as overdue.
+ */
+
+const { InstallmentPlan, Installment } = require('../models');
+
+describe('Installment Plans', () => {
+  describe('Amount split', () => {
+    test('should split evenly when possible', () => {
+      const plan = InstallmentPlan.build({ numberOfInstallments: 4 });
+
+      expect(plan.splitAmount('200.00')).toEqual([50, 50, 50, 50]);
+    });
+
+    test('should add the rounding remainder to the first installment', () => {
+      const plan = InstallmentPlan.build({ numberOfInstallments: 3 });
+      const amounts = plan.splitAmount('100.00');
+
+      expect(amounts).toEqual([33.34, 33.33, 33.33]);
+      expect(amounts.reduce((total, amount) => total + amount, 0)).toBeCloseTo(100, 2);
+    });
+  });
+
+  describe('Overdue check', () => {
+    const now = new Date('2026-03-20T12:00:00Z');
+
+    test('should not be overdue within the grace period', () => {
+      const installment = Installment.build({ status: 'scheduled', dueDate: new Date('2026-03-15T12:00:00Z') });
+
+      expect(installment.isOverdue(7, now)).toBe(false);
+    });
+
+    test('should be overdue after the grace period', () => {
+      const installment = Installment.build({ status: 'scheduled', dueDate: new Date('2026-03-10T12:00:00Z') });
+
+      expect(installment.isOverdue(7, now)).toBe(true);
+    });
+
+    test('should never be overdue once paid', () => {
+      const installment = Installment.build({ status: 'paid', dueDate: new Date('2026-01-01T12:00:00Z') });
+
+      expect(installment.isOverdue(0, now)).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,101 @@
+/**
+ * Payment Gateway Tests
+ *
+ * This test suite validates the mock payment gateway used for offline
+ * checkout flows and the gateway selection from plugin settings.
+ */
+
+const MockGateway = require('../gateways/MockGateway');
+const { getPaymentGateway, getAvailableGateways } = require('../gateways');
+
+describe('Payment Gateways', () => {
+  const order = { id: 'order-1', orderNumber: 'ORD-TEST', userId: 'user-1', finalAmount: '49.99' };
+  const webhookSecret = 'test_webhook_secret';
+  let gateway;
+
+  beforeEach(() => {
+    gateway = new MockGateway({ mockWebhookSecret: webhookSecret });
+  });
+
+  describe('Gateway selection', () => {
+    test('should list the built-in gateways', () => {
+      expect(getAvailableGateways()).toEqual(expect.arrayContaining(['stripe', 'mock']));
+    });
+
+    test('should reject unknown gateways', () => {
+      expect(() => getPaymentGateway('unknown')).toThrow("Unknown payment gateway 'unknown'");
+    });
+  });
+
+  describe('Mock gateway', () => {
+    test('should create intents that need confirmation', async () => {
+      const intent = await gateway.createIntent(order, { paymentMethodId: 'pm_mock_success' });
+
+      expect(intent.status).toBe('requires_confirmation');
+      expect(intent.amount).toBe(49.99);
+      expect(intent.clientSecret).toBeDefined();
+    });
+
+    test('should succeed for the success payment method', async () => {
+      const intent = await gateway.createIntent(order, { paymentMethodId: 'pm_mock_success' });
+      const confirmed = await gateway.confirmIntent(intent.id);
+
+      expect(confirmed.status).toBe('succeeded');
+      expect(confirmed.amount).toBe(49.99);
+    });
+
+    test('should decline for the declined payment method', async () => {
+      const intent = await gateway.createIntent(order, { paymentMethodId: 'pm_mock_declined' });
+      const confirmed = await gateway.confirmIntent(intent.id);
+
+      expect(confirmed.status).toBe('failed');
+      expect(confirmed.error).toBe('Your card was declined.');
+    });
+
+    test('should require authentication for the 3DS payment method', async () => {
+      const intent = await gateway.createIntent(order, { paymentMethodId: 'pm_mock_3ds' });
+
+      const pending = await gateway.confirmIntent(intent.id);
+      expect(pending.status).toBe('requires_action');
+      expect(pending.nextAction.type).toBe('mock_3ds_challenge');
+
+      expect((await gateway.confirmIntent(intent.id, { authenticated: true })).status).toBe('succeeded');
+      expect((await gateway.confirmIntent(intent.id, { authenticated: false })).status).toBe('failed');
+    });
+
+    test('should refund payments', async () => {
+      const refund = await gateway.refund('mock_pi_success_abc', { amount: 20 });
+
+      expect(refund.status).toBe('succeeded');
+      expect(refund.amount).toBe(20);
+    });
+
+    test('should verify signed webhooks', () => {
+      const payload = JSON.stringify({ type: 'payment.succeeded', intentId: 'mock_pi_success_4999_abc', orderId: order.id });
+      const event = gateway.verifyWebhook(Buffer.from(payload), {
+        'x-mock-signature': MockGateway.signPayload(payload, webhookSecret)
+      });
+
+      expect(event.type).toBe('payment.succeeded');
+      expect(event.orderId).toBe(order.id);
+      expect(event.amount).toBe(49.99);
+    });
+
+    test('should reject webhooks when no secret is configured', () => {
+      const unconfigured = new MockGateway();
+      unconfigured.webhookSecret = undefined;
+      const payload = JSON.stringify({ type: 'payment.succeeded', orderId: order.id });
+
+      expect(() => unconfigured.verifyWebhook(Buffer.from(payload), {
+        'x-mock-signature': MockGateway.signPayload(payload, webhookSecret)
+      })).toThrow('Mock webhook secret is not configured');
+    });
+
+    test('should reject webhooks with an invalid signature', () => {
+      const payload = JSON.stringify({ type: 'payment.succeeded', orderId: order.id });
+
+      expect(() => gateway.verifyWebhook(Buffer.from(payload), { 'x-mock-signature': 'invalid' }))
+        .toThrow('Invalid mock webhook signature');
+    });
+  });
+});
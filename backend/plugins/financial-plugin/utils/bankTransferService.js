@@ -0,0 +1,204 @@
+/**
+ * Bank Transfer Service
+ *
+ * Offline payments (bank transfer or cash at the training center). The order
+ * stays pending while the trainee uploads a receipt, and a super admin then
+ * approves or rejects it. The review state lives in order.metadata.bankTransfer:
+ *
+ *   { reference, instructions, status, receipt, reviewedBy, reviewedAt, rejectionReason }
+ *   status: 'awaiting_receipt' | 'under_review' | 'approved' | 'rejected'
+ */
+
+const fs = require('fs');
+const path = require('path');
+const pluginRegistry = require('../../../core/plugin-registry');
+const { createNotification } = require('../../../utils/notifications');
+const OrderFulfillmentService = require('./orderFulfillment');
+const paymentConfig = require('../config/payment');
+
+const PLUGIN_NAME = 'financial-plugin';
+const PAYMENT_METHOD = 'bank_transfer';
+const RECEIPTS_DIR = path.join(__dirname, '../../../uploads/payment-receipts');
+
+class BankTransferService {
+  /**
+   * Whether checkout offers bank transfer (plugin setting, then config)
+   * @returns {boolean}
+   */
+  static isEnabled() {
+    const settings = pluginRegistry.getPluginSettings(PLUGIN_NAME);
+    if (typeof settings.bankTransferEnabled === 'boolean') {
+      return settings.bankTransferEnabled;
+    }
+    return paymentConfig.paymentMethods.bankTransfer;
+  }
+
+  /**
+   * Payment instructions shown to the trainee (plugin setting, then config)
+   * @returns {string}
+   */
+  static getInstructions() {
+    const settings = pluginRegistry.getPluginSettings(PLUGIN_NAME);
+    return settings.bankTransferInstructions || paymentConfig.bankTransfer.instructions;
+  }
+
+  /**
+   * Initial bank transfer state for a new order
+   * @param {Object} order - FinancialOrder instance
+   * @returns {Object}
+   */
+  static buildDetails(order) {
+    return {
+      reference: order.orderNumber,
+      instructions: this.getInstructions(),
+      status: 'awaiting_receipt',
+      receipt: null,
+      reviewedBy: null,
+      reviewedAt: null,
+      rejectionReason: null
+    };
+  }
+
+  static isBankTransferOrder(order) {
+    return order.paymentMethod === PAYMENT_METHOD && Boolean(order.metadata?.bankTransfer);
+  }
+
+  /**
+   * Directory receipts for an order are stored in
+   * @param {string} orderId
+   * @returns {string}
+   */
+  static getReceiptDir(orderId) {
+    return path.join(RECEIPTS_DIR, orderId);
+  }
+
+  static getReceiptPath(order) {
+    const receipt = order.metadata?.bankTransfer?.receipt;
+    return receipt ? path.join(this.getReceiptDir(order.id), receipt.fileName) : null;
+  }
+
+  static async updateDetails(order, changes) {
+    order.metadata = {
+      ...order.metadata,
+      bankTransfer: {
+        ...order.metadata.bankTransfer,
+        ...changes
+      }
+    };
+    return order.save();
+  }
+
+  /**
+   * Attach an uploaded receipt and send the order to the review queue.
+   * A previous receipt for the same order is replaced.
+   * @param {Object} order - Pending bank transfer order
+   * @param {Object} file - Multer file
+   * @returns {Promise<Object>} Updated order
+   */
+  static async attachReceipt(order, file) {
+    const previousPath = this.getReceiptPath(order);
+
+    await this.updateDetails(order, {
+      status: 'under_review',
+      receipt: {
+        fileName: file.filename,
+        originalName: file.originalname,
+        mimeType: file.mimetype,
+        size: file.size,
+        uploadedAt: new Date()
+      },
+      rejectionReason: null
+    });
+
+    if (previousPath && previousPath !== file.path && fs.existsSync(previousPath)) {
+      fs.unlinkSync(previousPath);
+    }
+
+    return order;
+  }
+
+  /**
+   * Approve a transfer: the order is paid and its enrollments are activated
+   * @param {Object} order - Pending bank transfer order
+   * @param {Object} reviewer - Super admin user
+   * @returns {Promise<Object>} Paid order
+   */
+  static async approve(order, reviewer) {
+    await OrderFulfillmentService.completePaidOrder(order, order.metadata.bankTransfer.reference, PAYMENT_METHOD);
+    await this.updateDetails(order, {
+      status: 'approved',
+      reviewedBy: reviewer.id,
+      reviewedAt: new Date(),
+      rejectionReason: null
+    });
+
+    await createNotification({
+      userId: order.userId,
+      type: 'payment_approved',
+      title: `Payment approved: ${order.orderNumber}`,
+      message: 'Your bank transfer has been confirmed and your courses are now available.',
+      link: '/orders',
+      data: { orderId: order.id }
+    });
+
+    return order;
+  }
+
+  /**
+   * Reject a transfer: the order fails and the trainee is told why
+   * @param {Object} order - Pending bank transfer order
+   * @param {Object} reviewer - Super admin user
+   * @param {string} reason - Reason shown to the trainee
+   * @returns {Promise<Object>} Failed order
+   */
+  static async reject(order, reviewer, reason) {
+    order.status = 'failed';
+    await this.updateDetails(order, {
+      status: 'rejected',
+      reviewedBy: reviewer.id,
+      reviewedAt: new Date(),
+      rejectionReason: reason
+    });
+
+    await createNotification({
+      userId: order.userId,
+      type: 'payment_rejected',
+      title: `Payment rejected: ${order.orderNumber}`,
+      message: reason,
+      link: '/orders',
+      data: { orderId: order.id }
+    });
+
+    return order;
+  }
+
+  /**
+   * Bank transfer details safe to send to the client
+   * @param {Object} order - FinancialOrder instance
+   * @returns {Object|null}
+   */
+  static serialize(order) {
+    const details = order.metadata?.bankTransfer;
+    if (!details) {
+      return null;
+    }
+
+    return {
+      reference: details.reference,
+      instructions: details.instructions,
+      status: details.status,
+      receipt: details.receipt ? {
+        originalName: details.receipt.originalName,
+        mimeType: details.receipt.mimeType,
+        size: details.receipt.size,
+        uploadedAt: details.receipt.uploadedAt
+      } : null,
+      reviewedAt: details.reviewedAt,
+      rejectionReason: details.rejectionReason
+    };
+  }
+}
+
+BankTransferService.PAYMENT_METHOD = PAYMENT_METHOD;
+
+module.exports = BankTransferService;
@@ -0,0 +1,307 @@
+/**
+ * Installment Service
+ *
+ * Buying a course with an installment plan creates a schedule of installments.
+ * Each installment is paid through its own order (card or bank transfer); the
+ * first payment activates the schedule and the enrollment. When an installment
+ * is overdue past the plan's grace period, course access is suspended through
+ * the enrollment until it is paid.
+ */
+
+const { Op } = require('sequelize');
+const { sequelize } = require('../../../config/database');
+const { Enrollment, Course } = require('../../../models');
+const { createNotification } = require('../../../utils/notifications');
+const { Order, OrderItem, InstallmentSchedule, Installment } = require('../models');
+
+// Only suspensions with this reason are lifted when installments are paid
+const SUSPENSION_REASON_PREFIX = 'Overdue installment';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const addDays = (date, days) => new Date(new Date(date).getTime() + days * DAY_MS);
+
+class InstallmentService {
+  /**
+   * Create the schedule for buying a course with an installment plan.
+   * Unpaid schedules the user started earlier for the same course are cancelled.
+   * @param {Object} plan - Active InstallmentPlan
+   * @param {Object} course - Course being bought
+   * @param {string} userId - Buyer
+   * @returns {Promise<Object>} Schedule with its installments
+   */
+  static async createSchedule(plan, course, userId) {
+    const amounts = plan.splitAmount(course.price);
+    const now = new Date();
+
+    return sequelize.transaction(async (transaction) => {
+      const abandoned = await InstallmentSchedule.findAll({
+        where: { userId, courseId: course.id, status: 'pending' },
+        transaction
+      });
+      for (const schedule of abandoned) {
+        await schedule.update({ status: 'cancelled' }, { transaction });
+        await Installment.update(
+          { status: 'cancelled' },
+          { where: { scheduleId: schedule.id, status: 'scheduled' }, transaction }
+        );
+      }
+
+      const schedule = await InstallmentSchedule.create({
+        planId: plan.id,
+        userId,
+        courseId: course.id,
+        status: 'pending',
+        totalAmount: course.price,
+        numberOfInstallments: plan.numberOfInstallments,
+        intervalDays: plan.intervalDays,
+        gracePeriodDays: plan.gracePeriodDays
+      }, { transaction });
+
+      // Due dates are provisional until the first installment is paid
+      const installments = await Installment.bulkCreate(amounts.map((amount, index) => ({
+        scheduleId: schedule.id,
+        sequenceNumber: index + 1,
+        amount,
+        dueDate: addDays(now, index * plan.intervalDays)
+      })), { transaction });
+
+      schedule.installments = installments;
+      return schedule;
+    });
+  }
+
+  /**
+   * The installment of a schedule that has to be paid next
+   * @param {string} scheduleId
+   * @returns {Promise<Object|null>}
+   */
+  static findNextDue(scheduleId) {
+    return Installment.findOne({
+      where: { scheduleId, status: 'scheduled' },
+      order: [['sequenceNumber', 'ASC']]
+    });
+  }
+
+  /**
+   * Create the pending order that pays one installment
+   * @param {Object} installment - Installment with its schedule loaded
+   * @param {Object} fields - { paymentMethod, metadata }
+   * @returns {Promise<Object>} Pending order
+   */
+  static async createInstallmentOrder(installment, fields = {}) {
+    const { schedule } = installment;
+    const course = await Course.findByPk(schedule.courseId, { attributes: ['id', 'courseType'] });
+
+    const order = await Order.create({
+      userId: schedule.userId,
+      orderNumber: Order.generateOrderNumber(),
+      status: 'pending',
+      totalAmount: installment.amount,
+      discountAmount: 0,
+      taxAmount: 0,
+      finalAmount: installment.amount,
+      paymentMethod: fields.paymentMethod || null,
+      metadata: {
+        installmentId: installment.id,
+        scheduleId: schedule.id,
+        ...fields.metadata
+      }
+    });
+
+    await OrderItem.create({
+      orderId: order.id,
+      courseId: schedule.courseId,
+      courseType: course ? course.courseType : 'online',
+      enrollmentType: 'installment',
+      originalPrice: installment.amount,
+      finalPrice: installment.amount,
+      quantity: 1,
+      metadata: {
+        installmentId: installment.id,
+        sequenceNumber: installment.sequenceNumber,
+        numberOfInstallments: schedule.numberOfInstallments
+      }
+    });
+
+    await installment.update({ orderId: order.id });
+    return order;
+  }
+
+  /**
+   * Record the installments paid by an order. Called for every paid order;
+   * orders without installment items are ignored.
+   * @param {Object} order - Paid FinancialOrder instance
+   * @returns {Promise<void>}
+   */
+  static async handlePaidOrder(order) {
+    const items = await OrderItem.findAll({
+      where: { orderId: order.id, enrollmentType: 'installment' }
+    });
+    const paidAt = order.paidAt || new Date();
+
+    for (const item of items) {
+      const installment = item.metadata?.installmentId
+        ? await Installment.findByPk(item.metadata.installmentId, {
+          include: [{ model: InstallmentSchedule, as: 'schedule' }]
+        })
+        : null;
+
+      if (!installment || installment.status === 'paid') {
+        continue;
+      }
+
+      const { schedule } = installment;
+      await installment.update({ status: 'paid', paidAt, orderId: order.id });
+
+      // The schedule starts with the first payment: later installments are due every interval from then
+      if (schedule.status === 'pending') {
+        const remaining = await Installment.findAll({
+          where: { scheduleId: schedule.id, status: 'scheduled' }
+        });
+        for (const next of remaining) {
+          await next.update({
+            dueDate: addDays(paidAt, (next.sequenceNumber - 1) * schedule.intervalDays)
+          });
+        }
+        await schedule.update({ status: 'active' });
+      }
+
+      const paidInstallments = await Installment.findAll({
+        where: { scheduleId: schedule.id, status: 'paid' }
+      });
+      if (paidInstallments.length >= schedule.numberOfInstallments) {
+        await schedule.update({ status: 'completed', completedAt: paidAt });
+      }
+
+      const paidAmount = paidInstallments.reduce((total, paid) => total + parseFloat(paid.amount), 0);
+      await Enrollment.update(
+        { paymentAmount: paidAmount },
+        { where: { userId: schedule.userId, courseId: schedule.courseId } }
+      );
+
+      await this.refreshAccess(schedule.userId, schedule.courseId);
+    }
+  }
+
+  /**
+   * Suspend or restore course access depending on overdue installments
+   * @param {string} userId
+   * @param {string} courseId
+   * @param {Date} now
+   * @returns {Promise<string|null>} 'suspended', 'restored' or null when nothing changed
+   */
+  static async refreshAccess(userId, courseId, now = new Date()) {
+    const enrollment = await Enrollment.findOne({ where: { userId, courseId } });
+    if (!enrollment) {
+      return null;
+    }
+
+    const schedules = await InstallmentSchedule.findAll({
+      where: { userId, courseId, status: 'active' },
+      include: [{ model: Installment, as: 'installments', where: { status: 'scheduled' }, required: false }]
+    });
+
+    let overdue = null;
+    for (const schedule of schedules) {
+      const installment = schedule.installments
+        .sort((a, b) => a.sequenceNumber - b.sequenceNumber)
+        .find(candidate => candidate.isOverdue(schedule.gracePeriodDays, now));
+      if (installment) {
+        overdue = { installment, schedule };
+        break;
+      }
+    }
+
+    if (overdue && !enrollment.suspendedAt) {
+      const { installment, schedule } = overdue;
+      await enrollment.update({
+        suspendedAt: now,
+        suspensionReason: `${SUSPENSION_REASON_PREFIX} ${installment.sequenceNumber} of ${schedule.numberOfInstallments} was due on ${new Date(installment.dueDate).toISOString().slice(0, 10)}. Pay it to restore access.`
+      });
+
+      const course = await Course.findByPk(courseId, { attributes: ['id', 'title'] });
+      await createNotification({
+        userId,
+        type: 'course_access_suspended',
+        title: `Access suspended: ${course ? course.title : 'Course'}`,
+        message: `Installment ${installment.sequenceNumber} of ${schedule.numberOfInstallments} is overdue. Pay it to restore your access.`,
+        link: '/orders',
+        data: { courseId, installmentId: installment.id }
+      });
+      return 'suspended';
+    }
+
+    if (!overdue && enrollment.suspendedAt && (enrollment.suspensionReason || '').startsWith(SUSPENSION_REASON_PREFIX)) {
+      await enrollment.update({ suspendedAt: null, suspensionReason: null });
+      return 'restored';
+    }
+
+    return null;
+  }
+
+  /**
+   * Suspend access for every enrollment with an installment overdue past its grace period
+   * @param {Date} now
+   * @returns {Promise<number>} Number of enrollments suspended
+   */
+  static async enforceOverdue(now = new Date()) {
+    const installments = await Installment.findAll({
+      where: { status: 'scheduled', dueDate: { [Op.lt]: now } },
+      include: [{ model: InstallmentSchedule, as: 'schedule', where: { status: 'active' } }]
+    });
+
+    const enrollments = new Map();
+    installments
+      .filter(installment => installment.isOverdue(installment.schedule.gracePeriodDays, now))
+      .forEach(({ schedule }) => {
+        enrollments.set(`${schedule.userId}:${schedule.courseId}`, schedule);
+      });
+
+    let suspended = 0;
+    for (const schedule of enrollments.values()) {
+      if (await this.refreshAccess(schedule.userId, schedule.courseId, now) === 'suspended') {
+        suspended++;
+      }
+    }
+
+    return suspended;
+  }
+
+  /**
+   * Schedule details for the client
+   * @param {Object} schedule - Schedule with installments (and optionally course) loaded
+   * @param {Date} now
+   * @returns {Object}
+   */
+  static serializeSchedule(schedule, now = new Date()) {
+    const installments = [...(schedule.installments || [])]
+      .sort((a, b) => a.sequenceNumber - b.sequenceNumber);
+    const nextDue = installments.find(installment => installment.status === 'scheduled');
+
+    return {
+      id: schedule.id,
+      status: schedule.status,
+      course: schedule.course ? { id: schedule.course.id, title: schedule.course.title } : null,
+      totalAmount: parseFloat(schedule.totalAmount),
+      numberOfInstallments: schedule.numberOfInstallments,
+      intervalDays: schedule.intervalDays,
+      gracePeriodDays: schedule.gracePeriodDays,
+      createdAt: schedule.createdAt,
+      installments: installments.map(installment => ({
+        id: installment.id,
+        sequenceNumber: installment.sequenceNumber,
+        amount: parseFloat(installment.amount),
+        dueDate: installment.dueDate,
+        status: installment.status,
+        paidAt: installment.paidAt,
+        overdue: installment.isOverdue(0, now),
+        payable: Boolean(nextDue) && nextDue.id === installment.id && ['pending', 'active'].includes(schedule.status)
+      }))
+    };
+  }
+}
+
+InstallmentService.SUSPENSION_REASON_PREFIX = SUSPENSION_REASON_PREFIX;
+
+module.exports = InstallmentService;
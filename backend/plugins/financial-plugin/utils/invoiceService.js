@@ -0,0 +1,382 @@
+/**
+ * Invoice Service
+ *
+ * This service issues invoices for paid orders with gap-free sequential
+ * numbering and renders them as PDF or CSV.
+ */
+
+const PDFDocument = require('pdfkit');
+const { User, Course } = require('../../../models');
+const { Order, OrderItem, Invoice } = require('../models');
+const CurrencyService = require('./currencyService');
+const paymentConfig = require('../config/payment');
+
+// Orders that have been paid at some point can be invoiced
+const INVOICEABLE_STATUSES = ['paid', 'refunded'];
+
+const formatDate = (date) => {
+  if (!date) {
+    return '';
+  }
+  return new Date(date).toLocaleDateString('en-US', {
+    year: 'numeric',
+    month: 'long',
+    day: 'numeric'
+  });
+};
+
+class InvoiceService {
+  /**
+   * Format an invoice number from its sequence number (e.g. INV-000042)
+   */
+  static formatInvoiceNumber(sequenceNumber) {
+    const { invoiceNumberPrefix } = paymentConfig.order;
+    const { numberPadding } = paymentConfig.invoice;
+    return `${invoiceNumberPrefix}${String(sequenceNumber).padStart(numberPadding, '0')}`;
+  }
+
+  /**
+   * Check whether an order can be invoiced
+   */
+  static isInvoiceable(order) {
+    return !!order && INVOICEABLE_STATUSES.includes(order.status);
+  }
+
+  /**
+   * Resolve the currency an order was charged in.
+   * Orders store an optional currency code in metadata; otherwise the base currency is used.
+   */
+  static async getOrderCurrency(order) {
+    let currency = null;
+
+    if (order.metadata && order.metadata.currency) {
+      currency = await CurrencyService.getCurrencyByCode(order.metadata.currency);
+    }
+    if (!currency) {
+      currency = await CurrencyService.getBaseCurrency();
+    }
+
+    if (!currency) {
+      return {
+        code: paymentConfig.stripe.currency.toUpperCase(),
+        symbol: '',
+        decimalPlaces: 2
+      };
+    }
+
+    return {
+      code: currency.code,
+      symbol: currency.symbol,
+      decimalPlaces: currency.decimalPlaces
+    };
+  }
+
+  /**
+   * Issue the invoice for a paid order, or return the existing one.
+   * The sequence number is taken while holding a table lock in the same transaction
+   * that inserts the invoice, so numbers are never skipped or reused.
+   */
+  static async issueInvoice(orderId) {
+    const existing = await Invoice.findOne({ where: { orderId } });
+    if (existing) {
+      return existing;
+    }
+
+    const order = await Order.findByPk(orderId, {
+      include: [
+        {
+          model: OrderItem,
+          as: 'items',
+          include: [{ model: Course, as: 'course', attributes: ['id', 'title'] }]
+        },
+        {
+          model: User,
+          as: 'user',
+          attributes: ['id', 'firstName', 'lastName', 'email', 'phone']
+        }
+      ],
+      order: [[{ model: OrderItem, as: 'items' }, 'createdAt', 'ASC']]
+    });
+
+    if (!order) {
+      throw new Error(`Order ${orderId} not found`);
+    }
+    if (!this.isInvoiceable(order)) {
+      throw new Error(`Order ${order.orderNumber} has not been paid`);
+    }
+
+    const currency = await this.getOrderCurrency(order);
+
+    const billingDetails = {
+      name: order.user ? `${order.user.firstName} ${order.user.lastName}`.trim() : '',
+      email: order.user ? order.user.email : '',
+      phone: order.user ? order.user.phone || '' : ''
+    };
+
+    const lineItems = order.items.map(item => ({
+      courseId: item.courseId,
+      description: item.course ? item.course.title : 'Course no longer available',
+      courseType: item.courseType,
+      quantity: item.quantity,
+      unitPrice: parseFloat(item.originalPrice),
+      discount: parseFloat(item.discountAmount || 0),
+      amount: parseFloat(item.finalPrice) * item.quantity
+    }));
+
+    const sequelize = Invoice.sequelize;
+
+    return sequelize.transaction(async (transaction) => {
+      await sequelize.query('LOCK TABLE financial_invoices IN EXCLUSIVE MODE', { transaction });
+
+      // Another request may have issued it while we waited for the lock
+      const issued = await Invoice.findOne({ where: { orderId }, transaction });
+      if (issued) {
+        return issued;
+      }
+
+      const lastSequenceNumber = await Invoice.max('sequenceNumber', { transaction });
+      const sequenceNumber = (lastSequenceNumber || 0) + 1;
+
+      return Invoice.create({
+        invoiceNumber: this.formatInvoiceNumber(sequenceNumber),
+        sequenceNumber,
+        orderId: order.id,
+        userId: order.userId,
+        // Dated when issued so later numbers never carry earlier dates
+        issuedAt: new Date(),
+        paidAt: order.paidAt,
+        billingDetails,
+        lineItems,
+        currency,
+        subtotal: order.totalAmount,
+        discountAmount: order.discountAmount,
+        taxAmount: order.taxAmount,
+        totalAmount: order.finalAmount
+      }, { transaction });
+    });
+  }
+
+  /**
+   * Issue an invoice after a payment without failing the payment flow
+   */
+  static async issueInvoiceSafely(orderId) {
+    try {
+      return await this.issueInvoice(orderId);
+    } catch (error) {
+      console.error('Issue invoice error:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Format an amount for the PDF. The built-in PDF fonts only cover Latin characters,
+   * so currencies with other symbols are shown with their ISO code instead.
+   */
+  static formatAmount(amount, currency) {
+    const formatted = CurrencyService.formatCurrency(parseFloat(amount) || 0, currency);
+    if (/^[\x20-\x7E\u00A0-\u00FF\u20AC]*$/.test(formatted)) {
+      return formatted;
+    }
+    return `${currency.code} ${(parseFloat(amount) || 0).toFixed(currency.decimalPlaces)}`;
+  }
+
+  /**
+   * Draw one invoice on the current PDF page
+   */
+  static drawInvoice(doc, invoice, order) {
+    const { sellerName, sellerAddress, sellerTaxId } = paymentConfig.invoice;
+    const currency = invoice.currency || {};
+    const left = doc.page.margins.left;
+    const right = doc.page.width - doc.page.margins.right;
+    const contentWidth = right - left;
+    const money = (amount) => this.formatAmount(amount, currency);
+
+    // Header
+    doc.font('Helvetica-Bold').fontSize(20).fillColor('#111827').text(sellerName, left, 50, { width: contentWidth / 2 });
+    doc.font('Helvetica').fontSize(9).fillColor('#4b5563');
+    if (sellerAddress) {
+      doc.text(sellerAddress, { width: contentWidth / 2 });
+    }
+    if (sellerTaxId) {
+      doc.text(`Tax ID: ${sellerTaxId}`, { width: contentWidth / 2 });
+    }
+
+    doc.font('Helvetica-Bold').fontSize(24).fillColor('#1e3a8a')
+      .text('INVOICE', left, 50, { width: contentWidth, align: 'right' });
+
+    // Invoice details
+    const details = [
+      ['Invoice No.', invoice.invoiceNumber],
+      ['Invoice Date', formatDate(invoice.issuedAt)],
+      ['Order No.', order ? order.orderNumber : ''],
+      ['Payment Method', order && order.paymentMethod ? order.paymentMethod : ''],
+      ['Paid On', formatDate(invoice.paidAt || (order && order.paidAt))]
+    ].filter(([, value]) => value);
+
+    let y = 90;
+    details.forEach(([label, value]) => {
+      doc.font('Helvetica').fontSize(9).fillColor('#6b7280')
+        .text(label, right - 220, y, { width: 90 });
+      doc.font('Helvetica-Bold').fillColor('#111827')
+        .text(value, right - 130, y, { width: 130, align: 'right' });
+      y += 14;
+    });
+
+    // Buyer
+    y = Math.max(y, doc.y) + 20;
+    const billing = invoice.billingDetails || {};
+    doc.font('Helvetica-Bold').fontSize(10).fillColor('#6b7280').text('BILL TO', left, y);
+    doc.font('Helvetica-Bold').fontSize(11).fillColor('#111827').text(billing.name || '', left, doc.y + 4);
+    doc.font('Helvetica').fontSize(10).fillColor('#374151');
+    if (billing.email) {
+      doc.text(billing.email);
+    }
+    if (billing.phone) {
+      doc.text(billing.phone);
+    }
+
+    // Line items
+    const columns = [
+      { label: 'Description', width: contentWidth - 320, align: 'left' },
+      { label: 'Qty', width: 40, align: 'right' },
+      { label: 'Unit Price', width: 95, align: 'right' },
+      { label: 'Discount', width: 85, align: 'right' },
+      { label: 'Amount', width: 100, align: 'right' }
+    ];
+
+    const drawRow = (values, rowY, font) => {
+      let x = left;
+      let rowHeight = 0;
+      values.forEach((value, index) => {
+        const column = columns[index];
+        doc.font(font).fontSize(10).fillColor('#111827')
+          .text(value, x, rowY, { width: column.width, align: column.align });
+        rowHeight = Math.max(rowHeight, doc.heightOfString(value, { width: column.width }));
+        x += column.width;
+      });
+      return rowY + rowHeight;
+    };
+
+    y = doc.y + 25;
+    doc.rect(left, y - 6, contentWidth, 22).fill('#f3f4f6');
+    y = drawRow(columns.map(column => column.label), y, 'Helvetica-Bold') + 12;
+
+    (invoice.lineItems || []).forEach(item => {
+      const description = item.courseType ? `${item.description} (${item.courseType})` : item.description;
+      y = drawRow([
+        description,
+        String(item.quantity),
+        money(item.unitPrice),
+        item.discount > 0 ? `-${money(item.discount)}` : '-',
+        money(item.amount)
+      ], y, 'Helvetica') + 8;
+      doc.moveTo(left, y - 4).lineTo(right, y - 4).lineWidth(0.5).strokeColor('#e5e7eb').stroke();
+    });
+
+    // Totals
+    const subtotal = parseFloat(invoice.subtotal) || 0;
+    const discount = parseFloat(invoice.discountAmount) || 0;
+    const tax = parseFloat(invoice.taxAmount) || 0;
+    const taxableAmount = subtotal - discount;
+    const taxLabel = tax > 0 && taxableAmount > 0
+      ? `Tax (${Math.round((tax / taxableAmount) * 10000) / 100}%)`
+      : 'Tax';
+
+    const totals = [['Subtotal', money(subtotal)]];
+    if (discount > 0) {
+      totals.push(['Discount', `-${money(discount)}`]);
+    }
+    totals.push([taxLabel, money(tax)]);
+
+    y += 10;
+    totals.forEach(([label, value]) => {
+      doc.font('Helvetica').fontSize(10).fillColor('#374151')
+        .text(label, right - 240, y, { width: 130 });
+      doc.text(value, right - 110, y, { width: 110, align: 'right' });
+      y += 16;
+    });
+
+    doc.moveTo(right - 240, y).lineTo(right, y).lineWidth(1).strokeColor('#111827').stroke();
+    y += 8;
+    doc.font('Helvetica-Bold').fontSize(12).fillColor('#111827')
+      .text(`Total (${currency.code || ''})`, right - 240, y, { width: 130 });
+    doc.text(money(invoice.totalAmount), right - 110, y, { width: 110, align: 'right' });
+
+    // Footer
+    doc.font('Helvetica').fontSize(9).fillColor('#6b7280')
+      .text('Thank you for your purchase.', left, doc.page.height - doc.page.margins.bottom - 20, { width: contentWidth, align: 'center' });
+  }
+
+  /**
+   * Render one or more invoices into a single PDF (one invoice per page)
+   * @param {Array} entries - [{ invoice, order }]
+   * @returns {Promise<Buffer>} - PDF file contents
+   */
+  static renderPdf(entries) {
+    return new Promise((resolve, reject) => {
+      try {
+        const doc = new PDFDocument({
+          size: 'A4',
+          margin: 50,
+          info: {
+            Title: entries.length === 1 ? `Invoice ${entries[0].invoice.invoiceNumber}` : 'Invoices',
+            Author: paymentConfig.invoice.sellerName
+          }
+        });
+
+        const chunks = [];
+        doc.on('data', chunk => chunks.push(chunk));
+        doc.on('end', () => resolve(Buffer.concat(chunks)));
+        doc.on('error', reject);
+
+        entries.forEach(({ invoice, order }, index) => {
+          if (index > 0) {
+            doc.addPage();
+          }
+          this.drawInvoice(doc, invoice, order);
+        });
+
+        doc.end();
+      } catch (error) {
+        reject(error);
+      }
+    });
+  }
+
+  /**
+   * Render invoices as CSV for accounting exports
+   * @param {Array} entries - [{ invoice, order }]
+   * @returns {string} - CSV file contents
+   */
+  static renderCsv(entries) {
+    const escape = (value) => {
+      const text = value === null || value === undefined ? '' : String(value);
+      return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+
+    const header = [
+      'Invoice Number', 'Invoice Date', 'Paid Date', 'Order Number', 'Order Status', 'Customer Name', 'Customer Email',
+      'Items', 'Currency', 'Subtotal', 'Discount', 'Tax', 'Total'
+    ];
+
+    const rows = entries.map(({ invoice, order }) => [
+      invoice.invoiceNumber,
+      new Date(invoice.issuedAt).toISOString().slice(0, 10),
+      invoice.paidAt ? new Date(invoice.paidAt).toISOString().slice(0, 10) : '',
+      order ? order.orderNumber : '',
+      order ? order.status : '',
+      invoice.billingDetails?.name,
+      invoice.billingDetails?.email,
+      (invoice.lineItems || []).map(item => item.description).join('; '),
+      invoice.currency?.code,
+      parseFloat(invoice.subtotal).toFixed(2),
+      parseFloat(invoice.discountAmount).toFixed(2),
+      parseFloat(invoice.taxAmount).toFixed(2),
+      parseFloat(invoice.totalAmount).toFixed(2)
+    ]);
+
+    return [header, ...rows].map(row => row.map(escape).join(',')).join('\n');
+  }
+}
+
+module.exports = InvoiceService;
@@ -0,0 +1,118 @@
+/**
+ * Order Fulfillment Service
+ *
+ * Applies a successful payment to an order. Every payment path (gateway
+ * confirmation, gateway webhooks and approved bank transfers) goes through
+ * here so paid orders always unlock their courses the same way.
+ */
+
+const { Enrollment } = require('../../../models');
+const { CORE_EVENTS, emitCoreEvent } = require('../../../utils/coreEvents');
+const { Cart, OrderItem } = require('../models');
+const InvoiceService = require('./invoiceService');
+const InstallmentService = require('./installmentService');
+
+class OrderFulfillmentService {
+  /**
+   * Activate the enrollments for every course in a paid order.
+   * Existing enrollments (e.g. created as pending before payment) are marked paid.
+   * @param {Object} order - Paid FinancialOrder instance
+   * @returns {Promise<void>}
+   */
+  static async activateEnrollments(order) {
+    const orderItems = await OrderItem.findByOrder(order.id);
+    const paymentDate = order.paidAt || new Date();
+
+    for (const item of orderItems) {
+      const enrollment = await Enrollment.findOne({
+        where: { userId: order.userId, courseId: item.courseId }
+      });
+
+      if (enrollment) {
+        await enrollment.update({
+          status: enrollment.status === 'completed' ? 'completed' : 'active',
+          paymentStatus: 'paid',
+          paymentAmount: item.finalPrice,
+          paymentDate
+        });
+      } else {
+        const created = await Enrollment.create({
+          userId: order.userId,
+          courseId: item.courseId,
+          status: 'active',
+          paymentStatus: 'paid',
+          paymentAmount: item.finalPrice,
+          paymentDate
+        });
+        emitCoreEvent(CORE_EVENTS.ENROLLMENT_CREATED, {
+          enrollmentId: created.id,
+          userId: created.userId,
+          courseId: created.courseId,
+          status: created.status,
+          coursePrice: parseFloat(item.finalPrice)
+        });
+      }
+
+      await item.markAsEnrolled();
+    }
+  }
+
+  /**
+   * Remember the gateway payment intent created for an order; only that
+   * intent can pay the order afterwards
+   * @param {Object} order - Pending FinancialOrder instance
+   * @param {Object} paymentIntent - Normalized payment intent
+   * @returns {Promise<Object>} The order
+   */
+  static async recordPaymentIntent(order, paymentIntent) {
+    order.metadata = { ...order.metadata, paymentIntentId: paymentIntent.id };
+    await order.save();
+    return order;
+  }
+
+  /**
+   * Check a payment intent against the order it is said to pay: it must be
+   * the intent created for the order, and a succeeded intent must cover the
+   * order's final amount
+   * @param {Object} order - FinancialOrder instance
+   * @param {Object} paymentIntent - Normalized payment intent (or { id } before confirming)
+   * @returns {string|null} Error message, or null when the intent matches
+   */
+  static getPaymentIntentMismatch(order, paymentIntent) {
+    if (!order.metadata?.paymentIntentId || order.metadata.paymentIntentId !== paymentIntent.id) {
+      return 'This payment does not belong to the order';
+    }
+
+    if (paymentIntent.status === 'succeeded' &&
+        (typeof paymentIntent.amount !== 'number' ||
+         Math.abs(paymentIntent.amount - parseFloat(order.finalAmount)) >= 0.01)) {
+      return 'The payment amount does not match the order';
+    }
+
+    return null;
+  }
+
+  /**
+   * Mark an order paid, activate its enrollments, record paid installments,
+   * issue the invoice and clear the cart it was created from
+   * @param {Object} order - Pending FinancialOrder instance
+   * @param {string} transactionId - Gateway payment ID or bank transfer reference
+   * @param {string} paymentMethod - 'card' or 'bank_transfer'
+   * @returns {Promise<Object>} The paid order
+   */
+  static async completePaidOrder(order, transactionId, paymentMethod) {
+    await order.markAsPaid(transactionId, paymentMethod);
+    await this.activateEnrollments(order);
+    await InstallmentService.handlePaidOrder(order);
+    await InvoiceService.issueInvoiceSafely(order.id);
+
+    if (order.metadata?.cartId) {
+      await Cart.destroy({ where: { id: order.metadata.cartId } });
+    }
+
+    console.log(`Order ${order.orderNumber} paid via ${order.metadata?.paymentGateway || paymentMethod}`);
+    return order;
+  }
+}
+
+module.exports = OrderFulfillmentService;
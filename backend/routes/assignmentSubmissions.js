@@ -0,0 +1,411 @@
+const express = require('express');
+const { body, param, validationResult } = require('express-validator');
+const multer = require('multer');
+const path = require('path');
+const fs = require('fs');
+const { Assignment, AssignmentSubmission, Course, Enrollment, User } = require('../models');
+const { auth, requireTrainer, hasPermission } = require('../middleware/auth');
+const { hasStaffCapability } = require('../utils/courseStaff');
+const { getPrivateDir, createPrivateFileName, isPrivateFileName, sendPrivateFile } = require('../utils/privateFiles');
+
+// Mounted at /api/assignments/:id/submissions
+const router = express.Router({ mergeParams: true });
+
+// Multer storage for submission files: private-uploads/assignments/<assignmentId>/<userId>/
+// (served only to the trainee and graders through the files route)
+const submissionFileStorage = multer.diskStorage({
+  destination: function (req, file, cb) {
+    try {
+      const dir = getPrivateDir('assignments', req.params.id, req.user.id);
+      fs.mkdirSync(dir, { recursive: true });
+      cb(null, dir);
+    } catch (error) {
+      cb(error, null);
+    }
+  },
+  filename: function (req, file, cb) {
+    cb(null, createPrivateFileName(file.originalname));
+  }
+});
+
+// Stored path of a submission attachment
+const getAttachmentPath = (assignmentId, userId, attachment) => (
+  path.join(getPrivateDir('assignments', assignmentId, userId), path.basename(attachment.fileUrl))
+);
+
+const uploadSubmissionFiles = multer({
+  storage: submissionFileStorage,
+  fileFilter: (req, file, cb) => {
+    const allowedTypes = [
+      'application/pdf',
+      'application/msword',
+      'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+      'application/vnd.ms-excel',
+      'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+      'application/vnd.ms-powerpoint',
+      'application/vnd.openxmlformats-officedocument.presentationml.presentation',
+      'application/zip',
+      'application/x-zip-compressed',
+      'text/plain',
+      'image/jpeg',
+      'image/png',
+      'image/gif',
+      'image/webp'
+    ];
+
+    if (allowedTypes.includes(file.mimetype)) {
+      cb(null, true);
+    } else {
+      cb(new Error(`Invalid file type: ${file.mimetype}`), false);
+    }
+  },
+  limits: { fileSize: 25 * 1024 * 1024, files: 5 } // 25MB per file, 5 files max
+});
+
+// Wrap multer so upload errors come back as 400 instead of hitting the global 500 handler.
+// The assignment ID is validated first because it becomes part of the upload path.
+const handleSubmissionUpload = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  uploadSubmissionFiles.array('files', 5)(req, res, (error) => {
+    if (error) {
+      return res.status(400).json({ error: error.message });
+    }
+    next();
+  });
+};
+
+const removeUploadedFiles = (files = []) => {
+  files.forEach(file => {
+    if (file.path && fs.existsSync(file.path)) {
+      fs.unlinkSync(file.path);
+    }
+  });
+};
+
+// Trainers can manage submissions for assignments they created, course staff who grade
+// for the courses they teach, as can roles granted course:grade on the course
+const canManageSubmissions = (user, assignment) => {
+  return user.role === 'super_admin' ||
+    assignment.trainerId === user.id ||
+    (assignment.course && hasStaffCapability(user, assignment.course, 'course:grade')) ||
+    hasPermission(user, 'course:grade', assignment.courseId);
+};
+
+// Apply the assignment's late penalty (a percentage) to a raw score
+const calculateFinalScore = (score, latePenalty) => {
+  const penalty = parseFloat(latePenalty) || 0;
+  return Math.round(score * (100 - penalty)) / 100;
+};
+
+const submissionIncludes = [
+  {
+    model: User,
+    as: 'user',
+    attributes: ['id', 'firstName', 'lastName', 'email']
+  },
+  {
+    model: User,
+    as: 'grader',
+    attributes: ['id', 'firstName', 'lastName']
+  }
+];
+
+// @route   POST /api/assignments/:id/submissions
+// @desc    Submit (or resubmit) an assignment with text and/or files
+// @access  Private (Enrolled trainees)
+router.post('/', [
+  auth,
+  param('id').isUUID(),
+  handleSubmissionUpload,
+  body('content').optional().isString()
+], async (req, res) => {
+  const files = req.files || [];
+
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      removeUploadedFiles(files);
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const assignment = await Assignment.findByPk(req.params.id);
+    if (!assignment || !assignment.isPublished) {
+      removeUploadedFiles(files);
+      return res.status(404).json({ error: 'Assignment not found.' });
+    }
+
+    const enrollment = await Enrollment.findOne({
+      where: { userId: req.user.id, courseId: assignment.courseId, status: ['active', 'completed'] }
+    });
+    if (!enrollment) {
+      removeUploadedFiles(files);
+      return res.status(403).json({ error: 'You must be enrolled in this course to submit assignments.' });
+    }
+
+    const content = req.body.content?.trim();
+    if (!content && files.length === 0) {
+      removeUploadedFiles(files);
+      return res.status(400).json({ error: 'Submission must include text or at least one file.' });
+    }
+
+    const submittedAt = new Date();
+    const isLate = !!assignment.dueDate && submittedAt > new Date(assignment.dueDate);
+    if (isLate && !assignment.allowLateSubmission) {
+      removeUploadedFiles(files);
+      return res.status(400).json({ error: 'The due date for this assignment has passed and late submissions are not allowed.' });
+    }
+
+    const attachments = files.map(file => ({
+      fileName: file.originalname,
+      fileUrl: `/api/assignments/${assignment.id}/submissions/files/${req.user.id}/${file.filename}`,
+      fileSize: file.size,
+      fileType: file.mimetype
+    }));
+
+    let submission = await AssignmentSubmission.findOne({
+      where: { assignmentId: assignment.id, userId: req.user.id }
+    });
+
+    if (submission && submission.status === 'graded') {
+      removeUploadedFiles(files);
+      return res.status(400).json({ error: 'This submission has already been graded and can no longer be changed.' });
+    }
+
+    const isResubmission = !!submission;
+    if (isResubmission) {
+      // Replaced files are removed from disk so stale uploads don't pile up
+      if (attachments.length > 0) {
+        (submission.attachments || []).forEach(attachment => {
+          const oldPath = getAttachmentPath(assignment.id, req.user.id, attachment);
+          if (fs.existsSync(oldPath)) {
+            fs.unlinkSync(oldPath);
+          }
+        });
+      }
+
+      await submission.update({
+        content: content || null,
+        // Keep previously uploaded files unless new ones replace them
+        attachments: attachments.length > 0 ? attachments : submission.attachments,
+        submittedAt,
+        isLate
+      });
+    } else {
+      submission = await AssignmentSubmission.create({
+        assignmentId: assignment.id,
+        userId: req.user.id,
+        content: content || null,
+        attachments,
+        submittedAt,
+        isLate
+      });
+    }
+
+    res.status(isResubmission ? 200 : 201).json({
+      message: isLate ? 'Assignment submitted late. A late penalty will be applied.' : 'Assignment submitted successfully.',
+      submission
+    });
+  } catch (error) {
+    removeUploadedFiles(files);
+    console.error('Submit assignment error:', error);
+    res.status(500).json({ error: 'Server error.' });
+  }
+});
+
+// @route   GET /api/assignments/:id/submissions
+// @desc    Get submissions for an assignment (all for trainers, own for trainees)
+// @access  Private
+router.get('/', [
+  auth,
+  param('id').isUUID()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const assignment = await Assignment.findByPk(req.params.id, {
+      include: [{ model: Course, as: 'course', attributes: ['id', 'title', 'trainerId'] }]
+    });
+    if (!assignment) {
+      return res.status(404).json({ error: 'Assignment not found.' });
+    }
+
+    const whereClause = { assignmentId: assignment.id };
+    if (!canManageSubmissions(req.user, assignment)) {
+      whereClause.userId = req.user.id;
+    }
+
+    const submissions = await AssignmentSubmission.findAll({
+      where: whereClause,
+      include: submissionIncludes,
+      order: [['submittedAt', 'DESC']]
+    });
+
+    res.json({ submissions });
+  } catch (error) {
+    console.error('Get submissions error:', error);
+    res.status(500).json({ error: 'Server error.' });
+  }
+});
+
+// @route   GET /api/assignments/:id/submissions/files/:userId/:fileName
+// @desc    Download a file attached to a submission
+// @access  Private (Submission owner, course trainer or Super Admin)
+router.get('/files/:userId/:fileName', [
+  auth,
+  param('id').isUUID(),
+  param('userId').isUUID(),
+  param('fileName').custom(isPrivateFileName)
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { userId, fileName } = req.params;
+    const assignment = await Assignment.findByPk(req.params.id, {
+      include: [{ model: Course, as: 'course', attributes: ['id', 'title', 'trainerId'] }]
+    });
+    if (!assignment) {
+      return res.status(404).json({ error: 'Assignment not found.' });
+    }
+
+    if (userId !== req.user.id && !canManageSubmissions(req.user, assignment)) {
+      return res.status(403).json({ error: 'Not authorized to view this file.' });
+    }
+
+    // Only files still attached to the submission are served
+    const submission = await AssignmentSubmission.findOne({
+      where: { assignmentId: assignment.id, userId }
+    });
+    const attachment = (submission?.attachments || [])
+      .find(candidate => path.basename(candidate.fileUrl) === fileName);
+    const filePath = attachment && getAttachmentPath(assignment.id, userId, attachment);
+    if (!filePath || !fs.existsSync(filePath)) {
+      return res.status(404).json({ error: 'File not found.' });
+    }
+
+    sendPrivateFile(res, filePath, attachment);
+  } catch (error) {
+    console.error('Download submission file error:', error);
+    res.status(500).json({ error: 'Server error.' });
+  }
+});
+
+// @route   GET /api/assignments/:id/submissions/:submissionId
+// @desc    Get a single submission
+// @access  Private (Submission owner, course trainer or Super Admin)
+router.get('/:submissionId', [
+  auth,
+  param('id').isUUID(),
+  param('submissionId').isUUID()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const submission = await AssignmentSubmission.findOne({
+      where: { id: req.params.submissionId, assignmentId: req.params.id },
+      include: [
+        ...submissionIncludes,
+        {
+          model: Assignment,
+          as: 'assignment',
+          include: [{ model: Course, as: 'course', attributes: ['id', 'title', 'trainerId'] }]
+        }
+      ]
+    });
+
+    if (!submission) {
+      return res.status(404).json({ error: 'Submission not found.' });
+    }
+
+    if (submission.userId !== req.user.id && !canManageSubmissions(req.user, submission.assignment)) {
+      return res.status(403).json({ error: 'Not authorized to view this submission.' });
+    }
+
+    res.json({ submission });
+  } catch (error) {
+    console.error('Get submission error:', error);
+    res.status(500).json({ error: 'Server error.' });
+  }
+});
+
+// @route   PUT /api/assignments/:id/submissions/:submissionId/grade
+// @desc    Grade a submission against the assignment maxScore (late penalty applied automatically)
+// @access  Private (Course trainer or Super Admin)
+router.put('/:submissionId/grade', [
+  auth,
+  requireTrainer,
+  param('id').isUUID(),
+  param('submissionId').isUUID(),
+  body('score').isFloat({ min: 0 }),
+  body('feedback').optional({ nullable: true }).isString(),
+  body('rubricScores').optional({ nullable: true }).isObject()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const submission = await AssignmentSubmission.findOne({
+      where: { id: req.params.submissionId, assignmentId: req.params.id },
+      include: [{
+        model: Assignment,
+        as: 'assignment',
+        include: [{ model: Course, as: 'course', attributes: ['id', 'title', 'trainerId'] }]
+      }]
+    });
+
+    if (!submission) {
+      return res.status(404).json({ error: 'Submission not found.' });
+    }
+
+    const { assignment } = submission;
+    if (!canManageSubmissions(req.user, assignment)) {
+      return res.status(403).json({ error: 'Not authorized to grade this submission.' });
+    }
+
+    const score = parseFloat(req.body.score);
+    if (score > assignment.maxScore) {
+      return res.status(400).json({ error: `Score cannot exceed the maximum score of ${assignment.maxScore}.` });
+    }
+
+    const latePenaltyApplied = submission.isLate ? (parseFloat(assignment.latePenalty) || 0) : 0;
+
+    await submission.update({
+      score,
+      latePenaltyApplied,
+      finalScore: calculateFinalScore(score, latePenaltyApplied),
+      feedback: req.body.feedback !== undefined ? req.body.feedback : submission.feedback,
+      rubricScores: req.body.rubricScores !== undefined ? req.body.rubricScores : submission.rubricScores,
+      status: 'graded',
+      gradedBy: req.user.id,
+      gradedAt: new Date()
+    });
+
+    const gradedSubmission = await AssignmentSubmission.findByPk(submission.id, {
+      include: submissionIncludes
+    });
+
+    res.json({
+      message: 'Submission graded successfully.',
+      submission: gradedSubmission
+    });
+  } catch (error) {
+    console.error('Grade submission error:', error);
+    res.status(500).json({ error: 'Server error.' });
+  }
+});
+
+module.exports = router;
@@ -2,9 +2,16 @@ const express = require('express');
 const { body, validationResult } = require('express-validator');
 const { Assignment, Course, User } = require('../models');
 const { auth, requireTrainer } = require('../middleware/auth');
+const { hasCoursePermission } = require('../middleware/courseAccess');
 
 const router = express.Router();
 
+// The author of an assignment and course staff who edit content may change it
+const canEditAssignment = (user, assignment) => (
+  assignment.trainerId === user.id ||
+  hasCoursePermission(user, assignment.course, 'course:edit-content')
+);
+
 // @route   POST /api/assignments
 // @desc    Create new assignment (Trainer or Super Admin)
 // @access  Private
@@ -47,7 +54,7 @@ router.post('/', [
       return res.status(404).json({ error: 'Course not found.' });
     }
 
-    if (req.user.role !== 'super_admin' && course.trainerId !== req.user.id) {
+    if (!hasCoursePermission(req.user, course, 'course:edit-content')) {
       return res.status(403).json({ error: 'Not authorized to create assignments for this course.' });
     }
 
@@ -109,8 +116,7 @@ router.get('/course/:courseId', auth, async (req, res) => {
       return res.status(404).json({ error: 'Course not found.' });
     }
 
-    const canAccess = req.user.role === 'super_admin' || 
-                     course.trainerId === req.user.id ||
+    const canAccess = hasCoursePermission(req.user, course, 'course:view') ||
                      await course.hasEnrollment(req.user.id);
 
     if (!canAccess) {
@@ -181,8 +187,8 @@ router.get('/:id', auth, async (req, res) => {
     }
 
     // Check if user can access this assignment
-    const canAccess = req.user.role === 'super_admin' || 
-                     assignment.trainerId === req.user.id ||
+    const canAccess = assignment.trainerId === req.user.id ||
+                     hasCoursePermission(req.user, assignment.course, 'course:view') ||
                      await assignment.course.hasEnrollment(req.user.id);
 
     if (!canAccess) {
@@ -214,13 +220,15 @@ router.put('/:id', [
       return res.status(400).json({ errors: errors.array() });
     }
 
-    const assignment = await Assignment.findByPk(req.params.id);
+    const assignment = await Assignment.findByPk(req.params.id, {
+      include: [{ model: Course, as: 'course', attributes: ['id', 'trainerId'] }]
+    });
     if (!assignment) {
       return res.status(404).json({ error: 'Assignment not found.' });
     }
 
     // Check permissions
-    if (req.user.role !== 'super_admin' && assignment.trainerId !== req.user.id) {
+    if (!canEditAssignment(req.user, assignment)) {
       return res.status(403).json({ error: 'Not authorized to update this assignment.' });
     }
 
@@ -257,13 +265,15 @@ router.put('/:id', [
 // @access  Private
 router.delete('/:id', auth, async (req, res) => {
   try {
-    const assignment = await Assignment.findByPk(req.params.id);
+    const assignment = await Assignment.findByPk(req.params.id, {
+      include: [{ model: Course, as: 'course', attributes: ['id', 'trainerId'] }]
+    });
     if (!assignment) {
       return res.status(404).json({ error: 'Assignment not found.' });
     }
 
     // Check permissions
-    if (req.user.role !== 'super_admin' && assignment.trainerId !== req.user.id) {
+    if (!canEditAssignment(req.user, assignment)) {
       return res.status(403).json({ error: 'Not authorized to delete this assignment.' });
     }
 
@@ -289,13 +299,15 @@ router.put('/:id/publish', [
       return res.status(400).json({ errors: errors.array() });
     }
 
-    const assignment = await Assignment.findByPk(req.params.id);
+    const assignment = await Assignment.findByPk(req.params.id, {
+      include: [{ model: Course, as: 'course', attributes: ['id', 'trainerId'] }]
+    });
     if (!assignment) {
       return res.status(404).json({ error: 'Assignment not found.' });
     }
 
     // Check permissions
-    if (req.user.role !== 'super_admin' && assignment.trainerId !== req.user.id) {
+    if (!canEditAssignment(req.user, assignment)) {
       return res.status(403).json({ error: 'Not authorized to update this assignment.' });
     }
 
@@ -325,7 +337,7 @@ router.get('/my', auth, async (req, res) => {
     
     // Get courses where user is enrolled
     const enrollments = await require('../models').Enrollment.findAll({
-      where: { userId: req.user.id, status: 'active' },
+      where: { userId: req.user.id, status: ['active', 'completed'] },
       include: [
         {
           model: Course,
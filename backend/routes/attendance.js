@@ -5,12 +5,82 @@ const AttendanceRecord = require('../models/AttendanceRecord');
 const ClassroomSession = require('../models/ClassroomSession');
 const Course = require('../models/Course');
 const User = require('../models/User');
+const Enrollment = require('../models/Enrollment');
+const { hasCoursePermission } = require('../middleware/courseAccess');
+const { parseQrCodeData, verifyCode } = require('../utils/attendanceQr');
+const { assessCheckIn, getRejectionMessage } = require('../utils/attendanceLocation');
+const { getArrivalStatus, hasLeftEarly, getDuration } = require('../utils/attendanceStatus');
+const { CORE_EVENTS, CORE_HOOKS, runBeforeHook, emitCoreEvent, sendVetoResponse } = require('../utils/coreEvents');
 const router = express.Router();
 
+const attendanceEventData = (attendanceRecord, session, extra = {}) => ({
+  attendanceId: attendanceRecord.id,
+  sessionId: session.id,
+  userId: attendanceRecord.traineeId,
+  courseId: session.courseId,
+  status: attendanceRecord.status,
+  ...extra
+});
+
+// A scan is either the raw QR data or the session ID and code from the join page URL
+const scanValidators = [
+  body('qrCodeData').if(body('sessionId').not().exists()).isString().withMessage('QR code data is required'),
+  body('sessionId').optional().isUUID().withMessage('Invalid session ID'),
+  body('code').if(body('sessionId').exists()).isString().withMessage('QR code is required')
+];
+
+// Browser geolocation, checked against the session's geofence
+const locationValidators = [
+  body('latitude').optional({ nullable: true }).isFloat({ min: -90, max: 90 }).toFloat().withMessage('Invalid latitude'),
+  body('longitude').optional({ nullable: true }).isFloat({ min: -180, max: 180 }).toFloat().withMessage('Invalid longitude'),
+  body('accuracy').optional({ nullable: true }).isFloat({ min: 0 }).toFloat().withMessage('Invalid location accuracy')
+];
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+/**
+ * Finds the session of a scan and checks its rotating code
+ * @param {Object} scan - Request body ({ qrCodeData } or { sessionId, code })
+ * @returns {Promise<Object>} - { session } or { status, error }
+ */
+const resolveScannedSession = async ({ qrCodeData, sessionId, code }) => {
+  const scanned = qrCodeData ? parseQrCodeData(qrCodeData) : { sessionId, code };
+  if (!scanned || !UUID_PATTERN.test(scanned.sessionId || '')) {
+    return { status: 400, error: 'Invalid QR code format' };
+  }
+
+  const session = await ClassroomSession.findByPk(scanned.sessionId, {
+    include: [
+      {
+        model: Course,
+        as: 'Course',
+        attributes: ['id', 'title', 'courseType', 'trainerId']
+      }
+    ]
+  });
+
+  if (!session) {
+    return { status: 404, error: 'Session not found or QR code expired' };
+  }
+
+  // Check if QR code is still valid
+  if (new Date() > session.qrCodeExpiry) {
+    return { status: 400, error: 'QR code has expired' };
+  }
+
+  // Only the code on the screen right now (or the one just before it) is accepted
+  if (!verifyCode(session, scanned.code)) {
+    return { status: 400, error: 'This QR code is no longer valid. Scan the code currently shown in the classroom.' };
+  }
+
+  return { session };
+};
+
 // Check in using QR code
 router.post('/checkin', [
   auth,
-  body('qrCodeData').isString().withMessage('QR code data is required')
+  ...scanValidators,
+  ...locationValidators
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -18,51 +88,16 @@ router.post('/checkin', [
       return res.status(400).json({ errors: errors.array() });
     }
 
-    const { qrCodeData } = req.body;
     const traineeId = req.user.id;
 
-    // Parse QR code data
-    let qrData;
-    try {
-      qrData = JSON.parse(qrCodeData);
-    } catch (error) {
-      return res.status(400).json({ error: 'Invalid QR code format' });
-    }
-
-    // Find session by QR code
-    const session = await ClassroomSession.findOne({
-      where: { qrCode: qrCodeData },
-      include: [
-        {
-          model: Course,
-          as: 'Course',
-          attributes: ['id', 'title', 'courseType', 'trainerId']
-        }
-      ]
-    });
-
+    const { session, status: scanStatus, error: scanError } = await resolveScannedSession(req.body);
     if (!session) {
-      return res.status(404).json({ error: 'Session not found or QR code expired' });
-    }
-
-    // Check if QR code is still valid
-    if (new Date() > session.qrCodeExpiry) {
-      return res.status(400).json({ error: 'QR code has expired' });
+      return res.status(scanStatus).json({ error: scanError });
     }
 
     // Check if trainee is enrolled in the course
-    const enrollment = await Course.findOne({
-      where: {
-        id: session.courseId,
-        '$Enrollments.traineeId$': traineeId
-      },
-      include: [
-        {
-          model: require('../models/Enrollment'),
-          where: { traineeId },
-          required: true
-        }
-      ]
+    const enrollment = await Enrollment.findOne({
+      where: { userId: traineeId, courseId: session.courseId }
     });
 
     if (!enrollment) {
@@ -81,9 +116,23 @@ router.post('/checkin', [
       return res.status(400).json({ error: 'You have already checked in for this session' });
     }
 
-    // Determine if late
-    const sessionStartTime = new Date(`${session.sessionDate}T${session.startTime}`);
-    const isLate = new Date() > sessionStartTime;
+    // Check-ins from outside the venue are rejected or flagged for the trainer
+    const location = assessCheckIn(session, req);
+    if (location.rejected) {
+      return res.status(403).json({ error: getRejectionMessage(location.reasons), reasons: location.reasons });
+    }
+
+    // Determine if late (after the session's grace period)
+    const isLate = getArrivalStatus(session, new Date()) === 'late';
+
+    // Plugins may change the status or veto the check-in
+    const checkInData = await runBeforeHook(CORE_HOOKS.BEFORE_ATTENDANCE_CHECKIN, {
+      sessionId: session.id,
+      userId: traineeId,
+      courseId: session.courseId,
+      method: 'qr_code',
+      status: isLate ? 'late' : 'present'
+    }, req);
 
     // Create or update attendance record
     const attendanceData = {
@@ -91,18 +140,26 @@ router.post('/checkin', [
       traineeId,
       checkInTime: new Date(),
       checkInMethod: 'qr_code',
-      status: isLate ? 'late' : 'present',
-      isPresent: true
+      status: checkInData.status,
+      isPresent: true,
+      ...location.fields
     };
 
-    if (existingRecord) {
-      await existingRecord.update(attendanceData);
-    } else {
-      await AttendanceRecord.create(attendanceData);
+    const attendanceRecord = existingRecord
+      ? await existingRecord.update(attendanceData)
+      : await AttendanceRecord.create(attendanceData);
+
+    emitCoreEvent(CORE_EVENTS.ATTENDANCE_CHECKED_IN, attendanceEventData(attendanceRecord, session, {
+      method: 'qr_code'
+    }), req);
+
+    let message = isLate ? 'Checked in successfully (marked as late)' : 'Checked in successfully';
+    if (attendanceRecord.isFlagged) {
+      message += '. Your location could not be verified, so your trainer will review this check-in.';
     }
 
     res.json({
-      message: isLate ? 'Checked in successfully (marked as late)' : 'Checked in successfully',
+      message,
       attendance: {
         sessionId: session.id,
         courseTitle: session.Course.title,
@@ -111,10 +168,15 @@ router.post('/checkin', [
         endTime: session.endTime,
         location: session.location,
         checkInTime: attendanceData.checkInTime,
-        status: attendanceData.status
+        status: attendanceData.status,
+        isFlagged: attendanceRecord.isFlagged,
+        flagReasons: attendanceRecord.flagReasons
       }
     });
   } catch (error) {
+    if (sendVetoResponse(res, error)) {
+      return;
+    }
     console.error('Error during check-in:', error);
     res.status(500).json({ error: 'Internal server error' });
   }
@@ -123,7 +185,7 @@ router.post('/checkin', [
 // Check out using QR code
 router.post('/checkout', [
   auth,
-  body('qrCodeData').isString().withMessage('QR code data is required')
+  ...scanValidators
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -131,36 +193,11 @@ router.post('/checkout', [
       return res.status(400).json({ errors: errors.array() });
     }
 
-    const { qrCodeData } = req.body;
     const traineeId = req.user.id;
 
-    // Parse QR code data
-    let qrData;
-    try {
-      qrData = JSON.parse(qrCodeData);
-    } catch (error) {
-      return res.status(400).json({ error: 'Invalid QR code format' });
-    }
-
-    // Find session by QR code
-    const session = await ClassroomSession.findOne({
-      where: { qrCode: qrCodeData },
-      include: [
-        {
-          model: Course,
-          as: 'Course',
-          attributes: ['id', 'title', 'courseType', 'trainerId']
-        }
-      ]
-    });
-
+    const { session, status: scanStatus, error: scanError } = await resolveScannedSession(req.body);
     if (!session) {
-      return res.status(404).json({ error: 'Session not found or QR code expired' });
-    }
-
-    // Check if QR code is still valid
-    if (new Date() > session.qrCodeExpiry) {
-      return res.status(400).json({ error: 'QR code has expired' });
+      return res.status(scanStatus).json({ error: scanError });
     }
 
     // Find attendance record
@@ -181,11 +218,10 @@ router.post('/checkout', [
 
     // Calculate duration
     const checkOutTime = new Date();
-    const duration = Math.round((checkOutTime - attendanceRecord.checkInTime) / (1000 * 60)); // in minutes
+    const duration = getDuration(attendanceRecord.checkInTime, checkOutTime); // in minutes
 
-    // Determine if left early
-    const sessionEndTime = new Date(`${session.sessionDate}T${session.endTime}`);
-    const leftEarly = checkOutTime < sessionEndTime;
+    // Determine if left early (before the session's grace period)
+    const leftEarly = hasLeftEarly(session, checkOutTime);
 
     // Update attendance record
     await attendanceRecord.update({
@@ -195,6 +231,11 @@ router.post('/checkout', [
       duration
     });
 
+    emitCoreEvent(CORE_EVENTS.ATTENDANCE_CHECKED_OUT, attendanceEventData(attendanceRecord, session, {
+      method: 'qr_code',
+      duration
+    }), req);
+
     res.json({
       message: leftEarly ? 'Checked out successfully (marked as left early)' : 'Checked out successfully',
       attendance: {
@@ -246,7 +287,7 @@ router.post('/manual', [
       return res.status(404).json({ error: 'Session not found' });
     }
 
-    if (req.user.role !== 'super_admin' && session.Course.trainerId !== req.user.id) {
+    if (!hasCoursePermission(req.user, session.Course, 'course:attendance')) {
       return res.status(403).json({ error: 'Access denied' });
     }
 
@@ -289,17 +330,28 @@ router.post('/manual', [
         return res.status(400).json({ error: 'Trainee has already checked in' });
       }
 
-      const sessionStartTime = new Date(`${session.sessionDate}T${session.startTime}`);
-      const isLate = new Date() > sessionStartTime;
+      const isLate = getArrivalStatus(session, new Date()) === 'late';
+
+      const checkInData = await runBeforeHook(CORE_HOOKS.BEFORE_ATTENDANCE_CHECKIN, {
+        sessionId,
+        userId: traineeId,
+        courseId: session.courseId,
+        method: 'manual',
+        status: isLate ? 'late' : 'present'
+      }, req);
 
       await attendanceRecord.update({
         checkInTime: new Date(),
         checkInMethod: 'manual',
-        status: isLate ? 'late' : 'present',
+        status: checkInData.status,
         isPresent: true,
         notes: notes || attendanceRecord.notes
       });
 
+      emitCoreEvent(CORE_EVENTS.ATTENDANCE_CHECKED_IN, attendanceEventData(attendanceRecord, session, {
+        method: 'manual'
+      }), req);
+
       res.json({
         message: 'Manual check-in recorded successfully',
         attendance: attendanceRecord
@@ -314,9 +366,8 @@ router.post('/manual', [
       }
 
       const checkOutTime = new Date();
-      const duration = Math.round((checkOutTime - attendanceRecord.checkInTime) / (1000 * 60));
-      const sessionEndTime = new Date(`${session.sessionDate}T${session.endTime}`);
-      const leftEarly = checkOutTime < sessionEndTime;
+      const duration = getDuration(attendanceRecord.checkInTime, checkOutTime);
+      const leftEarly = hasLeftEarly(session, checkOutTime);
 
       await attendanceRecord.update({
         checkOutTime,
@@ -326,12 +377,20 @@ router.post('/manual', [
         notes: notes || attendanceRecord.notes
       });
 
+      emitCoreEvent(CORE_EVENTS.ATTENDANCE_CHECKED_OUT, attendanceEventData(attendanceRecord, session, {
+        method: 'manual',
+        duration
+      }), req);
+
       res.json({
         message: 'Manual check-out recorded successfully',
         attendance: attendanceRecord
       });
     }
   } catch (error) {
+    if (sendVetoResponse(res, error)) {
+      return;
+    }
     console.error('Error in manual attendance:', error);
     res.status(500).json({ error: 'Internal server error' });
   }
@@ -363,6 +422,7 @@ router.get('/trainee/:traineeId', [
         {
           model: ClassroomSession,
           as: 'ClassroomSession',
+          attributes: { exclude: ['qrSecret'] },
           include: [
             {
           model: Course,
@@ -4,6 +4,8 @@ const bcrypt = require('bcryptjs');
 const { body, validationResult } = require('express-validator');
 const { User } = require('../models');
 const { auth, requireSuperAdmin } = require('../middleware/auth');
+const permissionManager = require('../core/permission-manager');
+const { CORE_EVENTS, CORE_HOOKS, runBeforeHook, emitCoreEvent, sendVetoResponse } = require('../utils/coreEvents');
 
 const router = express.Router();
 
@@ -107,6 +109,13 @@ router.post('/setup', [
       role: superAdmin.role
     });
 
+    emitCoreEvent(CORE_EVENTS.USER_CREATED, {
+      userId: superAdmin.id,
+      email: superAdmin.email,
+      role: superAdmin.role,
+      source: 'setup'
+    }, req);
+
     // Generate token for immediate login
     const token = generateToken(superAdmin.id);
 
@@ -187,6 +196,7 @@ router.post('/login', [
 
     const token = generateToken(user.id);
     console.log('Login successful:', { userId: user.id, role: user.role });
+    emitCoreEvent(CORE_EVENTS.USER_LOGIN, { userId: user.id, role: user.role, method: 'password' });
     
     res.json({
       token,
@@ -197,6 +207,7 @@ router.post('/login', [
         email: user.email,
         phone: user.phone,
         role: user.role,
+        customRoles: await permissionManager.loadUserRoles(user.id),
         avatar: user.avatar,
         requiresPasswordChange: user.requiresPasswordChange
       }
@@ -242,14 +253,24 @@ router.post('/register', [
       }
     }
 
-    const user = await User.create({
+    // Plugins may adjust the new user's fields or reject the registration
+    const userData = await runBeforeHook(CORE_HOOKS.BEFORE_USER_CREATE, {
       firstName,
       lastName,
       email,
-      password,
-      role,
       phone,
+      role,
       isActive
+    }, req);
+
+    const user = await User.create({
+      firstName: userData.firstName,
+      lastName: userData.lastName,
+      email: userData.email,
+      password,
+      role: userData.role,
+      phone: userData.phone,
+      isActive: userData.isActive
     });
 
     console.log('User created successfully:', {
@@ -259,6 +280,13 @@ router.post('/register', [
       isActive: user.isActive
     });
 
+    emitCoreEvent(CORE_EVENTS.USER_CREATED, {
+      userId: user.id,
+      email: user.email,
+      role: user.role,
+      source: 'register'
+    }, req, CORE_HOOKS.AFTER_USER_CREATE);
+
     res.status(201).json({
       message: 'User created successfully.',
       user: {
@@ -272,6 +300,9 @@ router.post('/register', [
       }
     });
   } catch (error) {
+    if (sendVetoResponse(res, error)) {
+      return;
+    }
     console.error('Registration error:', error);
     res.status(500).json({ error: 'Server error.' });
   }
@@ -289,6 +320,7 @@ router.get('/me', auth, async (req, res) => {
         lastName: req.user.lastName,
         email: req.user.email,
         role: req.user.role,
+        customRoles: req.user.customRoles,
         avatar: req.user.avatar,
         phone: req.user.phone,
         lastLogin: req.user.lastLogin
@@ -324,6 +356,11 @@ router.put('/profile', [
 
     await req.user.update(updateData);
 
+    emitCoreEvent(CORE_EVENTS.USER_UPDATED, {
+      userId: req.user.id,
+      changes: Object.keys(updateData)
+    }, req);
+
     res.json({
       message: 'Profile updated successfully.',
       user: {
@@ -332,6 +369,7 @@ router.put('/profile', [
         lastName: req.user.lastName,
         email: req.user.email,
         role: req.user.role,
+        customRoles: req.user.customRoles,
         avatar: req.user.avatar,
         phone: req.user.phone
       }
@@ -405,6 +443,7 @@ router.put('/first-password-change', [
         lastName: req.user.lastName,
         email: req.user.email,
         role: req.user.role,
+        customRoles: req.user.customRoles,
         avatar: req.user.avatar,
         phone: req.user.phone,
         requiresPasswordChange: false
@@ -457,6 +496,7 @@ router.post('/trainee-login', [
     await user.update({ lastLogin: new Date() });
 
     const token = generateToken(user.id);
+    emitCoreEvent(CORE_EVENTS.USER_LOGIN, { userId: user.id, role: user.role, method: 'trainee' });
     
     res.json({
       token,
@@ -467,6 +507,7 @@ router.post('/trainee-login', [
         email: user.email,
         phone: user.phone,
         role: user.role,
+        customRoles: await permissionManager.loadUserRoles(user.id),
         avatar: user.avatar,
         requiresPasswordChange: user.requiresPasswordChange
       }
@@ -0,0 +1,101 @@
+const express = require('express');
+const { param, validationResult } = require('express-validator');
+const { CalendarFeed, User } = require('../models');
+const { auth } = require('../middleware/auth');
+const { generateFeedToken, buildUserCalendar } = require('../utils/calendarFeed');
+
+const router = express.Router();
+
+// The feed is served by the API, so its URL uses the host the request came in on
+// (behind a reverse proxy set TRUST_PROXY for the right protocol)
+const serializeFeed = (feed, req) => ({
+  url: `${req.protocol}://${req.get('host')}${req.baseUrl}/feed/${feed.token}.ics`,
+  createdAt: feed.createdAt,
+  updatedAt: feed.updatedAt,
+  lastAccessedAt: feed.lastAccessedAt
+});
+
+// @route   GET /api/calendar/feed
+// @desc    Get the current user's calendar feed link, if they created one
+// @access  Private
+router.get('/feed', auth, async (req, res) => {
+  try {
+    const feed = await CalendarFeed.findOne({ where: { userId: req.user.id } });
+    res.json({ feed: feed ? serializeFeed(feed, req) : null });
+  } catch (error) {
+    console.error('Get calendar feed error:', error);
+    res.status(500).json({ error: 'Server error.' });
+  }
+});
+
+// @route   POST /api/calendar/feed
+// @desc    Create the current user's calendar feed link, or replace it with a new one
+// @access  Private
+router.post('/feed', auth, async (req, res) => {
+  try {
+    const existing = await CalendarFeed.findOne({ where: { userId: req.user.id } });
+    const feed = existing
+      ? await existing.update({ token: generateFeedToken(), lastAccessedAt: null })
+      : await CalendarFeed.create({ userId: req.user.id, token: generateFeedToken() });
+
+    res.status(existing ? 200 : 201).json({
+      message: existing
+        ? 'Calendar link reset. The previous link no longer works.'
+        : 'Calendar link created',
+      feed: serializeFeed(feed, req)
+    });
+  } catch (error) {
+    console.error('Create calendar feed error:', error);
+    res.status(500).json({ error: 'Server error.' });
+  }
+});
+
+// @route   DELETE /api/calendar/feed
+// @desc    Turn off the current user's calendar feed
+// @access  Private
+router.delete('/feed', auth, async (req, res) => {
+  try {
+    await CalendarFeed.destroy({ where: { userId: req.user.id } });
+    res.json({ message: 'Calendar link turned off' });
+  } catch (error) {
+    console.error('Delete calendar feed error:', error);
+    res.status(500).json({ error: 'Server error.' });
+  }
+});
+
+// @route   GET /api/calendar/feed/:token.ics
+// @desc    The iCalendar feed; calendar apps cannot log in, so the secret token is the credential
+// @access  Public (token)
+router.get('/feed/:token.ics', [
+  param('token').matches(/^[0-9a-f]{64}$/)
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(404).json({ error: 'Calendar not found.' });
+    }
+
+    const feed = await CalendarFeed.findOne({
+      where: { token: req.params.token },
+      include: [{ model: User, as: 'user' }]
+    });
+    if (!feed || !feed.user || !feed.user.isActive) {
+      return res.status(404).json({ error: 'Calendar not found.' });
+    }
+
+    const calendar = await buildUserCalendar(feed.user);
+    await feed.update({ lastAccessedAt: new Date() }, { silent: true });
+
+    res.set({
+      'Content-Type': 'text/calendar; charset=utf-8',
+      'Content-Disposition': 'inline; filename="courseworx.ics"',
+      'Cache-Control': 'private, no-cache'
+    });
+    res.send(calendar);
+  } catch (error) {
+    console.error('Calendar feed error:', error);
+    res.status(500).json({ error: 'Server error.' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,162 @@
+const express = require('express');
+const { param, query, validationResult } = require('express-validator');
+const { Certificate, Course, Enrollment } = require('../models');
+const { auth, requireTrainer } = require('../middleware/auth');
+const { hasCoursePermission } = require('../middleware/courseAccess');
+const { issueCertificate, renderIssuedCertificate } = require('../utils/certificates');
+
+const router = express.Router();
+
+// Fields safe to show publicly when verifying a certificate
+const publicCertificateFields = ['serial', 'traineeName', 'courseTitle', 'trainerName', 'completionDate', 'issuedAt'];
+
+// @route   GET /api/certificates/verify/:serial
+// @desc    Verify that a certificate serial is genuine
+// @access  Public
+router.get('/verify/:serial', [
+  param('serial').matches(/^[A-Za-z0-9-]{6,40}$/)
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ valid: false, error: 'Invalid certificate number.' });
+    }
+
+    const certificate = await Certificate.findOne({
+      where: { serial: req.params.serial.toUpperCase() },
+      attributes: publicCertificateFields
+    });
+
+    if (!certificate) {
+      return res.status(404).json({ valid: false, error: 'No certificate was found with this number.' });
+    }
+
+    res.json({ valid: true, certificate });
+  } catch (error) {
+    console.error('Verify certificate error:', error);
+    res.status(500).json({ error: 'Server error.' });
+  }
+});
+
+// @route   GET /api/certificates/my
+// @desc    Get the current user's certificates (optionally for one course)
+// @access  Private
+router.get('/my', [
+  auth,
+  query('courseId').optional().isUUID()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const whereClause = { userId: req.user.id };
+    if (req.query.courseId) {
+      whereClause.courseId = req.query.courseId;
+    }
+
+    const certificates = await Certificate.findAll({
+      where: whereClause,
+      attributes: { exclude: ['templateSnapshot'] },
+      order: [['issuedAt', 'DESC']]
+    });
+
+    res.json({ certificates });
+  } catch (error) {
+    console.error('Get my certificates error:', error);
+    res.status(500).json({ error: 'Server error.' });
+  }
+});
+
+// @route   GET /api/certificates/:id/download
+// @desc    Download a certificate as PDF
+// @access  Private (Certificate owner, course trainer or Super Admin)
+router.get('/:id/download', [
+  auth,
+  param('id').isUUID()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const certificate = await Certificate.findByPk(req.params.id, {
+      include: [{ model: Course, as: 'course', attributes: ['id', 'trainerId'] }]
+    });
+
+    if (!certificate) {
+      return res.status(404).json({ error: 'Certificate not found.' });
+    }
+
+    const canDownload = certificate.userId === req.user.id ||
+      req.user.role === 'super_admin' ||
+      (certificate.course && hasCoursePermission(req.user, certificate.course, 'course:view'));
+
+    if (!canDownload) {
+      return res.status(403).json({ error: 'Not authorized to download this certificate.' });
+    }
+
+    const pdf = await renderIssuedCertificate(certificate);
+
+    res.set({
+      'Content-Type': 'application/pdf',
+      'Content-Disposition': `attachment; filename="certificate-${certificate.serial}.pdf"`,
+      'Content-Length': pdf.length
+    });
+    res.send(pdf);
+  } catch (error) {
+    console.error('Download certificate error:', error);
+    res.status(500).json({ error: 'Server error.' });
+  }
+});
+
+// @route   POST /api/certificates/issue/:enrollmentId
+// @desc    Issue a certificate for a completed enrollment (e.g. one that reached 100% before certificates existed)
+// @access  Private (Course trainer or Super Admin)
+router.post('/issue/:enrollmentId', [
+  auth,
+  requireTrainer,
+  param('enrollmentId').isUUID()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const enrollment = await Enrollment.findByPk(req.params.enrollmentId, {
+      include: [{ model: Course, as: 'course', attributes: ['id', 'trainerId'] }]
+    });
+
+    if (!enrollment) {
+      return res.status(404).json({ error: 'Enrollment not found.' });
+    }
+
+    if (req.user.role !== 'super_admin' && !(enrollment.course && hasCoursePermission(req.user, enrollment.course, 'course:grade'))) {
+      return res.status(403).json({ error: 'Not authorized to issue certificates for this course.' });
+    }
+
+    if (enrollment.progress < 100) {
+      return res.status(400).json({ error: 'Certificates can only be issued once the course is 100% complete.' });
+    }
+
+    const alreadyIssued = enrollment.certificateIssued;
+    const certificate = await issueCertificate(enrollment);
+
+    res.status(alreadyIssued ? 200 : 201).json({
+      message: alreadyIssued ? 'Certificate was already issued.' : 'Certificate issued successfully.',
+      certificate: {
+        id: certificate.id,
+        serial: certificate.serial,
+        issuedAt: certificate.issuedAt
+      }
+    });
+  } catch (error) {
+    console.error('Issue certificate error:', error);
+    res.status(500).json({ error: 'Server error.' });
+  }
+});
+
+module.exports = router;
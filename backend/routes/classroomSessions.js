@@ -1,15 +1,192 @@
 const express = require('express');
 const { body, param, query, validationResult } = require('express-validator');
+const { Op } = require('sequelize');
+const { sequelize } = require('../config/database');
 const { auth, requireTrainer, requireSuperAdmin } = require('../middleware/auth');
 const ClassroomSession = require('../models/ClassroomSession');
 const Course = require('../models/Course');
 const User = require('../models/User');
 const AttendanceRecord = require('../models/AttendanceRecord');
+const Enrollment = require('../models/Enrollment');
+const SessionSeries = require('../models/SessionSeries');
 const { v4: uuidv4 } = require('uuid');
-const QRCode = require('qrcode');
-const { getFrontendURL } = require('../utils/getServerIP');
+const { hasCoursePermission } = require('../middleware/courseAccess');
+const { isCourseStaff } = require('../utils/courseStaff');
+const { generateQrSecret, getJoinUrl, renderCurrentQrCode } = require('../utils/attendanceQr');
+const { parseIpRange } = require('../utils/attendanceLocation');
+const { closeOutSession } = require('../utils/attendanceStatus');
+const { MAX_OCCURRENCES, expandRecurrence } = require('../utils/sessionRecurrence');
+const { createNotification } = require('../utils/notifications');
 const router = express.Router();
 
+// The QR secret never leaves the server
+const serializeSession = (session) => {
+  const { qrSecret, ...data } = session.toJSON();
+  return data;
+};
+
+// Optional restrictions on where trainees can check in from
+const locationRuleValidators = [
+  body('geofenceLatitude').optional({ nullable: true }).isFloat({ min: -90, max: 90 }).withMessage('Invalid geofence latitude'),
+  body('geofenceLongitude').optional({ nullable: true }).isFloat({ min: -180, max: 180 }).withMessage('Invalid geofence longitude'),
+  body('geofenceRadius').optional({ nullable: true }).isInt({ min: 10, max: 10000 }).withMessage('Geofence radius must be between 10 and 10000 meters'),
+  body('allowedIpRanges').optional().isArray().withMessage('Allowed IP ranges must be a list'),
+  body('allowedIpRanges.*').custom(range => parseIpRange(range) !== null).withMessage('Invalid IP address or CIDR range'),
+  body('locationPolicy').optional().isIn(['flag', 'reject']).withMessage('Location policy must be flag or reject')
+];
+
+/**
+ * Reads the location rules of a session from a request body
+ * @param {Object} data - Request body
+ * @returns {Object} - { rules } or { error } when the geofence is incomplete
+ */
+const getLocationRules = ({ geofenceLatitude, geofenceLongitude, geofenceRadius, allowedIpRanges, locationPolicy }) => {
+  const geofenceValues = [geofenceLatitude, geofenceLongitude, geofenceRadius];
+  const givenValues = geofenceValues.filter(value => value !== undefined && value !== null && value !== '');
+  if (givenValues.length > 0 && givenValues.length < geofenceValues.length) {
+    return { error: 'A geofence needs a latitude, a longitude and a radius' };
+  }
+
+  const hasGeofence = givenValues.length === geofenceValues.length;
+  return {
+    rules: {
+      geofenceLatitude: hasGeofence ? geofenceLatitude : null,
+      geofenceLongitude: hasGeofence ? geofenceLongitude : null,
+      geofenceRadius: hasGeofence ? parseInt(geofenceRadius) : null,
+      allowedIpRanges: (allowedIpRanges || []).map(range => range.trim()),
+      locationPolicy: locationPolicy || 'flag'
+    }
+  };
+};
+
+const TIME_PATTERN = /^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// Fields every session has, whether created on its own or from a series
+const sessionFieldValidators = [
+  body('startTime').matches(TIME_PATTERN).withMessage('Invalid start time format'),
+  body('endTime').matches(TIME_PATTERN).withMessage('Invalid end time format'),
+  body('location').optional().isString().isLength({ max: 500 }),
+  body('roomNumber').optional().isString().isLength({ max: 50 }),
+  body('maxCapacity').optional().isInt({ min: 1 }),
+  body('qrRotationSeconds').optional().isInt({ min: 10, max: 300 }).withMessage('QR rotation must be between 10 and 300 seconds'),
+  body('notes').optional().isString(),
+  body('lateGraceMinutes').optional().isInt({ min: 0, max: 120 }).withMessage('Late grace must be between 0 and 120 minutes'),
+  body('earlyLeaveGraceMinutes').optional().isInt({ min: 0, max: 120 }).withMessage('Early leave grace must be between 0 and 120 minutes'),
+  ...locationRuleValidators
+];
+
+// Fields that can be changed on scheduled sessions
+const EDITABLE_FIELDS = [
+  'startTime', 'endTime', 'location', 'roomNumber', 'maxCapacity', 'qrRotationSeconds', 'notes',
+  'lateGraceMinutes', 'earlyLeaveGraceMinutes'
+];
+const LOCATION_RULE_FIELDS = ['geofenceLatitude', 'geofenceLongitude', 'geofenceRadius', 'allowedIpRanges', 'locationPolicy'];
+
+/**
+ * Loads the course a session is created for and checks the user may schedule it
+ * @param {string} courseId - Course ID
+ * @param {Object} user - Requesting user
+ * @returns {Promise<Object>} - { course } or { status, error }
+ */
+const loadSchedulableCourse = async (courseId, user) => {
+  const course = await Course.findByPk(courseId);
+  if (!course) {
+    return { status: 404, error: 'Course not found' };
+  }
+
+  if (!hasCoursePermission(user, course, 'course:attendance')) {
+    return { status: 403, error: 'Access denied' };
+  }
+
+  // Check if course is classroom type
+  if (course.courseType !== 'classroom' && course.courseType !== 'hybrid') {
+    return { status: 400, error: 'Course must be classroom or hybrid type' };
+  }
+
+  return { course };
+};
+
+// QR codes stop working at the end of the day after the session
+const getQrCodeExpiry = (sessionDate) => {
+  const qrCodeExpiry = new Date(sessionDate);
+  qrCodeExpiry.setDate(qrCodeExpiry.getDate() + 1);
+  qrCodeExpiry.setHours(23, 59, 59, 999);
+  return qrCodeExpiry;
+};
+
+/**
+ * Builds a new session on a date. Every session gets its own join URL and QR
+ * secret, including each session of a series.
+ * @param {Object} course - Course
+ * @param {string} sessionDate - Date (YYYY-MM-DD)
+ * @param {Object} fields - Validated request body
+ * @param {Object} locationRules - From getLocationRules
+ * @param {string} seriesId - Series the session belongs to, if any
+ * @returns {Object} - Attributes for ClassroomSession.create
+ */
+const buildSession = (course, sessionDate, fields, locationRules, seriesId = null) => {
+  // The join URL identifies the session; check-in also needs the rotating code
+  const sessionId = uuidv4();
+
+  return {
+    id: sessionId,
+    courseId: course.id,
+    seriesId,
+    sessionDate,
+    startTime: fields.startTime,
+    endTime: fields.endTime,
+    location: fields.location || course.location,
+    roomNumber: fields.roomNumber,
+    qrCode: getJoinUrl(sessionId),
+    qrCodeExpiry: getQrCodeExpiry(sessionDate),
+    qrSecret: generateQrSecret(),
+    qrRotationSeconds: fields.qrRotationSeconds || undefined,
+    maxCapacity: fields.maxCapacity,
+    notes: fields.notes,
+    lateGraceMinutes: fields.lateGraceMinutes,
+    earlyLeaveGraceMinutes: fields.earlyLeaveGraceMinutes,
+    ...locationRules
+  };
+};
+
+/**
+ * Tells the course's active trainees that sessions were cancelled
+ * @param {Object} course - Course with id and title
+ * @param {Array} sessions - Cancelled sessions
+ * @param {string} reason - Optional reason
+ * @returns {Promise<number>} - Number of trainees notified
+ */
+const notifySessionsCancelled = async (course, sessions, reason) => {
+  const enrollments = await Enrollment.findAll({
+    where: { courseId: course.id, status: ['active', 'completed'] },
+    attributes: ['userId']
+  });
+
+  const listedSessions = sessions.slice(0, 10)
+    .map(session => `${session.sessionDate} ${session.startTime.slice(0, 5)}`)
+    .join(', ');
+  const moreSessions = sessions.length > 10 ? ` and ${sessions.length - 10} more` : '';
+  const title = sessions.length === 1
+    ? `Classroom session cancelled: ${course.title}`
+    : `${sessions.length} classroom sessions cancelled: ${course.title}`;
+
+  await Promise.all(enrollments.map(({ userId }) => createNotification({
+    userId,
+    type: 'sessions_cancelled',
+    title,
+    message: `Cancelled: ${listedSessions}${moreSessions}.${reason ? ` Reason: ${reason}` : ''}`,
+    link: `/courses/${course.id}`,
+    data: {
+      courseId: course.id,
+      sessionIds: sessions.map(session => session.id),
+      reason: reason || null
+    }
+  })));
+
+  return enrollments.length;
+};
+
 // Get all classroom sessions for a course
 router.get('/course/:courseId', [
   auth,
@@ -31,7 +208,7 @@ router.get('/course/:courseId', [
       return res.status(404).json({ error: 'Course not found' });
     }
 
-    if (req.user.role !== 'super_admin' && course.trainerId !== req.user.id) {
+    if (!hasCoursePermission(req.user, course, 'course:attendance')) {
       return res.status(403).json({ error: 'Access denied' });
     }
 
@@ -42,6 +219,7 @@ router.get('/course/:courseId', [
 
     const sessions = await ClassroomSession.findAndCountAll({
       where: whereClause,
+      attributes: { exclude: ['qrSecret'] },
       include: [
         {
           model: Course,
@@ -71,13 +249,8 @@ router.post('/', [
   auth,
   requireTrainer,
   body('courseId').isUUID().withMessage('Invalid course ID'),
-  body('sessionDate').isISO8601().withMessage('Invalid session date'),
-  body('startTime').matches(/^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/).withMessage('Invalid start time format'),
-  body('endTime').matches(/^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/).withMessage('Invalid end time format'),
-  body('location').optional().isString().isLength({ max: 500 }),
-  body('roomNumber').optional().isString().isLength({ max: 50 }),
-  body('maxCapacity').optional().isInt({ min: 1 }),
-  body('notes').optional().isString()
+  body('sessionDate').matches(DATE_PATTERN).isISO8601().withMessage('Invalid session date'),
+  ...sessionFieldValidators
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -85,62 +258,352 @@ router.post('/', [
       return res.status(400).json({ errors: errors.array() });
     }
 
-    const { courseId, sessionDate, startTime, endTime, location, roomNumber, maxCapacity, notes } = req.body;
+    const { courseId, sessionDate } = req.body;
+
+    const { rules: locationRules, error: locationError } = getLocationRules(req.body);
+    if (locationError) {
+      return res.status(400).json({ error: locationError });
+    }
 
     // Check if course exists and user has access
-    const course = await Course.findByPk(courseId);
+    const { course, status: courseStatus, error: courseError } = await loadSchedulableCourse(courseId, req.user);
     if (!course) {
-      return res.status(404).json({ error: 'Course not found' });
+      return res.status(courseStatus).json({ error: courseError });
     }
 
-    if (req.user.role !== 'super_admin' && course.trainerId !== req.user.id) {
-      return res.status(403).json({ error: 'Access denied' });
+    const session = await ClassroomSession.create(buildSession(course, sessionDate, req.body, locationRules));
+
+    const { qrCodeImage } = await renderCurrentQrCode(session);
+
+    res.status(201).json({
+      session: serializeSession(session),
+      qrCodeImage
+    });
+  } catch (error) {
+    console.error('Error creating classroom session:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Create recurring sessions (weekly on chosen days or every N days, until a date or for a number of sessions)
+router.post('/series', [
+  auth,
+  requireTrainer,
+  body('courseId').isUUID().withMessage('Invalid course ID'),
+  body('startDate').matches(DATE_PATTERN).isISO8601().withMessage('Invalid start date'),
+  body('frequency').isIn(['daily', 'weekly']).withMessage('Frequency must be daily or weekly'),
+  body('interval').optional().isInt({ min: 1, max: 52 }).withMessage('Interval must be between 1 and 52'),
+  body('daysOfWeek').optional().isArray().withMessage('Days of week must be a list'),
+  body('daysOfWeek.*').isInt({ min: 0, max: 6 }).withMessage('Days of week must be 0 (Sunday) to 6 (Saturday)'),
+  body('endDate').optional({ nullable: true }).matches(DATE_PATTERN).isISO8601().withMessage('Invalid end date'),
+  body('count').optional({ nullable: true }).isInt({ min: 1, max: MAX_OCCURRENCES }).withMessage(`Number of sessions must be between 1 and ${MAX_OCCURRENCES}`),
+  body('excludedDates').optional().isArray().withMessage('Excluded dates must be a list'),
+  body('excludedDates.*').matches(DATE_PATTERN).isISO8601().withMessage('Invalid excluded date'),
+  ...sessionFieldValidators
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
     }
 
-    // Check if course is classroom type
-    if (course.courseType !== 'classroom' && course.courseType !== 'hybrid') {
-      return res.status(400).json({ error: 'Course must be classroom or hybrid type' });
+    const { courseId, startDate, frequency, endDate, count } = req.body;
+    const interval = parseInt(req.body.interval) || 1;
+    const daysOfWeek = frequency === 'weekly' ? [...new Set((req.body.daysOfWeek || []).map(Number))].sort() : [];
+    const excludedDates = [...new Set(req.body.excludedDates || [])].sort();
+
+    if (!endDate && !count) {
+      return res.status(400).json({ error: 'A series needs an end date or a number of sessions' });
     }
 
-    // Generate unique QR code
-    const sessionId = uuidv4();
-    
-    // Create QR code URL using server IP for network access
-    const baseUrl = process.env.FRONTEND_URL || getFrontendURL(3000);
-    const qrCodeUrl = `${baseUrl}/attendance/join/${sessionId}`;
-    
-    const qrCode = await QRCode.toDataURL(qrCodeUrl);
-
-    // Set QR code expiry to end of session day + 1 day
-    const qrCodeExpiry = new Date(sessionDate);
-    qrCodeExpiry.setDate(qrCodeExpiry.getDate() + 1);
-    qrCodeExpiry.setHours(23, 59, 59, 999);
-
-    const session = await ClassroomSession.create({
-      id: sessionId,
-      courseId,
-      sessionDate,
-      startTime,
-      endTime,
-      location: location || course.location,
-      roomNumber,
-      qrCode: qrCodeUrl,
-      qrCodeExpiry,
-      maxCapacity,
-      notes
+    if (endDate && endDate < startDate) {
+      return res.status(400).json({ error: 'The end date must be on or after the start date' });
+    }
+
+    const { rules: locationRules, error: locationError } = getLocationRules(req.body);
+    if (locationError) {
+      return res.status(400).json({ error: locationError });
+    }
+
+    const { course, status: courseStatus, error: courseError } = await loadSchedulableCourse(courseId, req.user);
+    if (!course) {
+      return res.status(courseStatus).json({ error: courseError });
+    }
+
+    const dates = expandRecurrence({
+      startDate,
+      frequency,
+      interval,
+      daysOfWeek,
+      endDate: endDate || null,
+      count: count ? parseInt(count) : null,
+      excludedDates
+    });
+
+    if (dates.length === 0) {
+      return res.status(400).json({ error: 'This schedule does not produce any sessions' });
+    }
+
+    if (dates.length > MAX_OCCURRENCES) {
+      return res.status(400).json({ error: `A series can have at most ${MAX_OCCURRENCES} sessions` });
+    }
+
+    const { series, sessions } = await sequelize.transaction(async (transaction) => {
+      const createdSeries = await SessionSeries.create({
+        courseId,
+        frequency,
+        interval,
+        daysOfWeek,
+        startDate,
+        endDate: endDate || null,
+        occurrenceCount: count ? parseInt(count) : null,
+        excludedDates,
+        createdBy: req.user.id
+      }, { transaction });
+
+      const createdSessions = await ClassroomSession.bulkCreate(
+        dates.map(date => buildSession(course, date, req.body, locationRules, createdSeries.id)),
+        { transaction }
+      );
+
+      return { series: createdSeries, sessions: createdSessions };
     });
 
     res.status(201).json({
-      session,
-      qrCodeImage: qrCode
+      message: `${sessions.length} sessions created`,
+      series,
+      sessions: sessions.map(serializeSession)
     });
   } catch (error) {
-    console.error('Error creating classroom session:', error);
+    console.error('Error creating session series:', error);
     res.status(500).json({ error: 'Internal server error' });
   }
 });
 
-// Get QR code for a session
+// Edit a scheduled session, or it and the following sessions of its series
+router.put('/:sessionId', [
+  auth,
+  requireTrainer,
+  param('sessionId').isUUID().withMessage('Invalid session ID'),
+  body('scope').optional().isIn(['this', 'following']).withMessage('Scope must be this or following'),
+  body('sessionDate').optional().matches(DATE_PATTERN).isISO8601().withMessage('Invalid session date'),
+  body('startTime').optional().matches(TIME_PATTERN).withMessage('Invalid start time format'),
+  body('endTime').optional().matches(TIME_PATTERN).withMessage('Invalid end time format'),
+  body('location').optional({ nullable: true }).isString().isLength({ max: 500 }),
+  body('roomNumber').optional({ nullable: true }).isString().isLength({ max: 50 }),
+  body('maxCapacity').optional({ nullable: true }).isInt({ min: 1 }),
+  body('qrRotationSeconds').optional().isInt({ min: 10, max: 300 }).withMessage('QR rotation must be between 10 and 300 seconds'),
+  body('notes').optional({ nullable: true }).isString(),
+  body('lateGraceMinutes').optional().isInt({ min: 0, max: 120 }).withMessage('Late grace must be between 0 and 120 minutes'),
+  body('earlyLeaveGraceMinutes').optional().isInt({ min: 0, max: 120 }).withMessage('Early leave grace must be between 0 and 120 minutes'),
+  ...locationRuleValidators
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { sessionId } = req.params;
+    const { scope = 'this', sessionDate } = req.body;
+
+    const session = await ClassroomSession.findByPk(sessionId, {
+      include: [
+        {
+          model: Course,
+          as: 'Course',
+          attributes: ['id', 'trainerId']
+        }
+      ]
+    });
+
+    if (!session) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+
+    // Check access
+    if (!hasCoursePermission(req.user, session.Course, 'course:attendance')) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    if (session.status !== 'scheduled') {
+      return res.status(400).json({ error: 'Only scheduled sessions can be edited' });
+    }
+
+    if (scope === 'following' && !session.seriesId) {
+      return res.status(400).json({ error: 'This session is not part of a series' });
+    }
+
+    if (scope === 'following' && sessionDate) {
+      return res.status(400).json({ error: 'The date can only be changed for a single session' });
+    }
+
+    const updates = {};
+    EDITABLE_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) {
+        updates[field] = req.body[field];
+      }
+    });
+
+    if (LOCATION_RULE_FIELDS.some(field => req.body[field] !== undefined)) {
+      const { rules: locationRules, error: locationError } = getLocationRules(req.body);
+      if (locationError) {
+        return res.status(400).json({ error: locationError });
+      }
+      Object.assign(updates, locationRules);
+    }
+
+    if (scope === 'this') {
+      if (sessionDate) {
+        updates.sessionDate = sessionDate;
+        updates.qrCodeExpiry = getQrCodeExpiry(sessionDate);
+      }
+      await session.update(updates);
+
+      return res.json({
+        message: 'Session updated successfully',
+        updatedCount: 1,
+        session: serializeSession(session)
+      });
+    }
+
+    // This session and the later scheduled ones of the series
+    const [updatedCount] = await ClassroomSession.update(updates, {
+      where: {
+        seriesId: session.seriesId,
+        sessionDate: { [Op.gte]: session.sessionDate },
+        status: 'scheduled'
+      }
+    });
+
+    res.json({
+      message: `${updatedCount} sessions updated successfully`,
+      updatedCount
+    });
+  } catch (error) {
+    console.error('Error updating session:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Cancel a scheduled session, or it and the following sessions of its series, and notify enrolled trainees
+router.post('/:sessionId/cancel', [
+  auth,
+  requireTrainer,
+  param('sessionId').isUUID().withMessage('Invalid session ID'),
+  body('scope').optional().isIn(['this', 'following']).withMessage('Scope must be this or following'),
+  body('reason').optional({ nullable: true }).isString().isLength({ max: 500 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { sessionId } = req.params;
+    const { scope = 'this', reason } = req.body;
+
+    const session = await ClassroomSession.findByPk(sessionId, {
+      include: [
+        {
+          model: Course,
+          as: 'Course',
+          attributes: ['id', 'title', 'trainerId']
+        }
+      ]
+    });
+
+    if (!session) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+
+    // Check access
+    if (!hasCoursePermission(req.user, session.Course, 'course:attendance')) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    if (session.status !== 'scheduled') {
+      return res.status(400).json({ error: 'Only scheduled sessions can be cancelled' });
+    }
+
+    if (scope === 'following' && !session.seriesId) {
+      return res.status(400).json({ error: 'This session is not part of a series' });
+    }
+
+    const sessions = scope === 'following'
+      ? await ClassroomSession.findAll({
+        where: {
+          seriesId: session.seriesId,
+          sessionDate: { [Op.gte]: session.sessionDate },
+          status: 'scheduled'
+        },
+        attributes: ['id', 'sessionDate', 'startTime'],
+        order: [['sessionDate', 'ASC']]
+      })
+      : [session];
+
+    await ClassroomSession.update(
+      { status: 'cancelled', cancellationReason: reason || null },
+      { where: { id: sessions.map(cancelled => cancelled.id) } }
+    );
+
+    const notifiedCount = await notifySessionsCancelled(session.Course, sessions, reason);
+
+    res.json({
+      message: sessions.length === 1 ? 'Session cancelled' : `${sessions.length} sessions cancelled`,
+      cancelledCount: sessions.length,
+      notifiedCount
+    });
+  } catch (error) {
+    console.error('Error cancelling sessions:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Get a session for its join page (course staff and enrolled trainees)
+router.get('/:sessionId', [
+  auth,
+  param('sessionId').isUUID().withMessage('Invalid session ID')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const session = await ClassroomSession.findByPk(req.params.sessionId, {
+      attributes: { exclude: ['qrSecret'] },
+      include: [
+        {
+          model: Course,
+          as: 'Course',
+          attributes: ['id', 'title', 'trainerId']
+        }
+      ]
+    });
+
+    if (!session) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+
+    const isStaff = req.user.role === 'super_admin' || isCourseStaff(req.user, session.Course);
+    if (!isStaff) {
+      const enrollment = await Enrollment.findOne({
+        where: { userId: req.user.id, courseId: session.courseId }
+      });
+      if (!enrollment) {
+        return res.status(403).json({ error: 'You are not enrolled in this course' });
+      }
+    }
+
+    res.json({ session });
+  } catch (error) {
+    console.error('Error fetching classroom session:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Get the current rotating QR code for a session (polled by the kiosk display)
 router.get('/:sessionId/qr-code', [
   auth,
   requireTrainer,
@@ -169,25 +632,30 @@ router.get('/:sessionId/qr-code', [
     }
 
     // Check access
-    if (req.user.role !== 'super_admin' && session.Course.trainerId !== req.user.id) {
+    if (!hasCoursePermission(req.user, session.Course, 'course:attendance')) {
       return res.status(403).json({ error: 'Access denied' });
     }
 
-    // Generate QR code image from URL
-    const qrCodeImage = await QRCode.toDataURL(session.qrCode);
+    // Only the current and the previous code are accepted at check-in
+    const { code, rotatesAt, qrCodeImage } = await renderCurrentQrCode(session);
 
     res.json({
       session: {
         id: session.id,
         courseId: session.courseId,
+        courseTitle: session.Course.title,
         sessionDate: session.sessionDate,
         startTime: session.startTime,
         endTime: session.endTime,
         location: session.location,
         roomNumber: session.roomNumber,
         status: session.status,
-        qrCodeExpiry: session.qrCodeExpiry
+        qrCodeExpiry: session.qrCodeExpiry,
+        qrRotationSeconds: session.qrRotationSeconds
       },
+      code,
+      rotatesAt,
+      serverTime: new Date(),
       qrCodeImage
     });
   } catch (error) {
@@ -227,13 +695,24 @@ router.patch('/:sessionId/status', [
     }
 
     // Check access
-    if (req.user.role !== 'super_admin' && session.Course.trainerId !== req.user.id) {
+    if (!hasCoursePermission(req.user, session.Course, 'course:attendance')) {
       return res.status(403).json({ error: 'Access denied' });
     }
 
+    // Completing a session settles its attendance and records absentees
+    if (status === 'completed' && session.status !== 'completed') {
+      const attendanceSummary = await closeOutSession(session, req);
+      return res.json({
+        message: `Session completed: ${attendanceSummary.present} present, ${attendanceSummary.late} late, ` +
+          `${attendanceSummary.leftEarly} left early, ${attendanceSummary.absent} absent`,
+        session: serializeSession(session),
+        attendanceSummary
+      });
+    }
+
     await session.update({ status });
 
-    res.json({ message: 'Session status updated successfully', session });
+    res.json({ message: 'Session status updated successfully', session: serializeSession(session) });
   } catch (error) {
     console.error('Error updating session status:', error);
     res.status(500).json({ error: 'Internal server error' });
@@ -269,7 +748,7 @@ router.get('/:sessionId/attendance', [
     }
 
     // Check access
-    if (req.user.role !== 'super_admin' && session.Course.trainerId !== req.user.id) {
+    if (!hasCoursePermission(req.user, session.Course, 'course:attendance')) {
       return res.status(403).json({ error: 'Access denied' });
     }
 
@@ -280,6 +759,11 @@ router.get('/:sessionId/attendance', [
           model: User,
           as: 'User',
           attributes: ['id', 'firstName', 'lastName', 'email', 'phone']
+        },
+        {
+          model: User,
+          as: 'reviewer',
+          attributes: ['id', 'firstName', 'lastName']
         }
       ],
       order: [['checkInTime', 'ASC']]
@@ -294,7 +778,10 @@ router.get('/:sessionId/attendance', [
         endTime: session.endTime,
         location: session.location,
         roomNumber: session.roomNumber,
-        status: session.status
+        status: session.status,
+        geofenceRadius: session.geofenceRadius,
+        allowedIpRanges: session.allowedIpRanges,
+        locationPolicy: session.locationPolicy
       },
       attendance
     });
@@ -304,6 +791,80 @@ router.get('/:sessionId/attendance', [
   }
 });
 
+// Review a check-in flagged for its location: accept it, or reject it and mark the trainee absent
+router.patch('/:sessionId/attendance/:recordId/review', [
+  auth,
+  requireTrainer,
+  param('sessionId').isUUID().withMessage('Invalid session ID'),
+  param('recordId').isUUID().withMessage('Invalid attendance record ID'),
+  body('decision').isIn(['accepted', 'rejected']).withMessage('Decision must be accepted or rejected')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { sessionId, recordId } = req.params;
+    const { decision } = req.body;
+
+    const session = await ClassroomSession.findByPk(sessionId, {
+      include: [
+        {
+          model: Course,
+          as: 'Course',
+          attributes: ['id', 'trainerId']
+        }
+      ]
+    });
+
+    if (!session) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+
+    // Check access
+    if (!hasCoursePermission(req.user, session.Course, 'course:attendance')) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    const attendanceRecord = await AttendanceRecord.findOne({
+      where: { id: recordId, sessionId }
+    });
+
+    if (!attendanceRecord) {
+      return res.status(404).json({ error: 'Attendance record not found' });
+    }
+
+    if (!attendanceRecord.isFlagged) {
+      return res.status(400).json({ error: 'Only flagged check-ins can be reviewed' });
+    }
+
+    if (attendanceRecord.reviewDecision) {
+      return res.status(400).json({ error: 'This check-in has already been reviewed' });
+    }
+
+    const review = {
+      reviewDecision: decision,
+      reviewedBy: req.user.id,
+      reviewedAt: new Date()
+    };
+    if (decision === 'rejected') {
+      review.status = 'absent';
+      review.isPresent = false;
+    }
+
+    await attendanceRecord.update(review);
+
+    res.json({
+      message: decision === 'accepted' ? 'Check-in accepted' : 'Check-in rejected and marked absent',
+      attendance: attendanceRecord
+    });
+  } catch (error) {
+    console.error('Error reviewing attendance:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
 // Delete a session
 router.delete('/:sessionId', [
   auth,
@@ -333,7 +894,7 @@ router.delete('/:sessionId', [
     }
 
     // Check access
-    if (req.user.role !== 'super_admin' && session.Course.trainerId !== req.user.id) {
+    if (!hasCoursePermission(req.user, session.Course, 'course:attendance')) {
       return res.status(403).json({ error: 'Access denied' });
     }
 
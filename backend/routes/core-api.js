@@ -7,11 +7,38 @@
  */
 
 const express = require('express');
+const multer = require('multer');
+const path = require('path');
+const fs = require('fs').promises;
 const router = express.Router();
 const pluginRegistry = require('../core/plugin-registry');
 const pluginLoader = require('../core/plugin-loader');
 const pluginEventSystem = require('../core/plugin-events');
+const pluginStateStore = require('../core/plugin-state');
+const pluginHealthMonitor = require('../core/plugin-health');
+const migrationRunner = require('../core/migration-runner');
+const pluginInstaller = require('../core/plugin-installer');
+const permissionManager = require('../core/permission-manager');
 const { auth } = require('../middleware/auth');
+const { buildContext } = require('../utils/coreEvents');
+
+const { PluginPackageError } = pluginInstaller;
+
+// Multer for plugin packages; uploads are removed once the package is staged
+const uploadPluginPackage = multer({
+  dest: pluginInstaller.uploadDir,
+  fileFilter: (req, file, cb) => {
+    if (path.extname(file.originalname).toLowerCase() === '.zip') {
+      cb(null, true);
+    } else {
+      cb(new Error('Plugin package must be a .zip file'), false);
+    }
+  },
+  limits: {
+    fileSize: 10 * 1024 * 1024, // 10MB limit
+    files: 1
+  }
+});
 
 /**
  * GET /api/core/ui-config
@@ -24,10 +51,11 @@ router.get('/ui-config', auth, async (req, res) => {
     // Get menu items for the user's role
     const menuItems = pluginRegistry.getMenuItems(userRole);
     
-    // Get user permissions
-    const userPermissions = req.user.permissions || [];
-    const pluginPermissions = pluginRegistry.getPermissions();
-    const allPermissions = [...userPermissions, ...pluginPermissions];
+    // Get UI slot entries (components and iframe panels) for the user's role
+    const slots = pluginRegistry.getUiSlots(userRole);
+    
+    // Get the permissions the user holds everywhere (built-in role and unscoped custom roles)
+    const permissions = permissionManager.getUserPermissions(req.user);
     
     // Get enabled plugins
     const enabledPlugins = pluginRegistry.getEnabledPlugins();
@@ -40,7 +68,8 @@ router.get('/ui-config', auth, async (req, res) => {
     
     const uiConfig = {
       menuItems,
-      permissions: allPermissions,
+      slots,
+      permissions,
       enabledPlugins: enabledPlugins.map(plugin => ({
         name: plugin.name,
         version: plugin.version,
@@ -73,7 +102,7 @@ router.get('/ui-config', auth, async (req, res) => {
 router.get('/plugins', /* auth, */ async (req, res) => {
   try {
     // Check if user is Super Admin
-    // if (req.user.role !== 'sa') {
+    // if (req.user.role !== 'super_admin') {
     //   return res.status(403).json({
     //     success: false,
     //     error: 'Access denied. Super Admin privileges required.'
@@ -105,7 +134,7 @@ router.get('/plugins/:name', auth, async (req, res) => {
     const { name } = req.params;
     
     // Check if user is Super Admin
-    if (req.user.role !== 'sa') {
+    if (req.user.role !== 'super_admin') {
       return res.status(403).json({
         success: false,
         error: 'Access denied. Super Admin privileges required.'
@@ -123,12 +152,16 @@ router.get('/plugins/:name', auth, async (req, res) => {
     const settings = pluginRegistry.getPluginSettings(name);
     const isEnabled = pluginRegistry.isPluginEnabled(name);
     const isLoaded = pluginLoader.isPluginLoaded(name);
+    const savedState = pluginStateStore.get(name);
     
     const pluginDetails = {
       ...plugin,
       settings,
       isEnabled,
       isLoaded,
+      lastError: savedState ? savedState.lastError : null,
+      lastErrorAt: savedState ? savedState.lastErrorAt : null,
+      health: pluginHealthMonitor.getHealth(name),
       apiRoutes: pluginRegistry.getApiRoutes().filter(route => route.plugin === name),
       menuItems: pluginRegistry.adminMenuItems.filter(item => item.plugin === name),
       eventListeners: Array.from(pluginRegistry.eventListeners.entries())
@@ -161,14 +194,14 @@ router.get('/plugins/:name', auth, async (req, res) => {
 
 /**
  * POST /api/core/plugins/:name/enable
- * Enable a plugin (Super Admin only)
+ * Enable a plugin and save the choice (Super Admin only)
  */
 router.post('/plugins/:name/enable', auth, async (req, res) => {
   try {
     const { name } = req.params;
     
     // Check if user is Super Admin
-    if (req.user.role !== 'sa') {
+    if (req.user.role !== 'super_admin') {
       return res.status(403).json({
         success: false,
         error: 'Access denied. Super Admin privileges required.'
@@ -176,12 +209,15 @@ router.post('/plugins/:name/enable', auth, async (req, res) => {
     }
     
     const plugin = pluginRegistry.enablePlugin(name);
+    await pluginStateStore.saveEnabled(name, true);
+    // Give a plugin disabled by its circuit breaker a fresh start
+    pluginHealthMonitor.reset(name);
     
     // Emit plugin enabled event
     await pluginEventSystem.emitEvent(pluginEventSystem.CORE_EVENTS.PLUGIN_ENABLED, {
       pluginName: name,
       plugin
-    }, { user: req.user });
+    }, buildContext(req));
     
     res.json({
       success: true,
@@ -200,14 +236,14 @@ router.post('/plugins/:name/enable', auth, async (req, res) => {
 
 /**
  * POST /api/core/plugins/:name/disable
- * Disable a plugin (Super Admin only)
+ * Disable a plugin and save the choice (Super Admin only)
  */
 router.post('/plugins/:name/disable', auth, async (req, res) => {
   try {
     const { name } = req.params;
     
     // Check if user is Super Admin
-    if (req.user.role !== 'sa') {
+    if (req.user.role !== 'super_admin') {
       return res.status(403).json({
         success: false,
         error: 'Access denied. Super Admin privileges required.'
@@ -215,12 +251,13 @@ router.post('/plugins/:name/disable', auth, async (req, res) => {
     }
     
     const plugin = pluginRegistry.disablePlugin(name);
+    await pluginStateStore.saveEnabled(name, false);
     
     // Emit plugin disabled event
     await pluginEventSystem.emitEvent(pluginEventSystem.CORE_EVENTS.PLUGIN_DISABLED, {
       pluginName: name,
       plugin
-    }, { user: req.user });
+    }, buildContext(req));
     
     res.json({
       success: true,
@@ -246,19 +283,27 @@ router.delete('/plugins/:name', auth, async (req, res) => {
     const { name } = req.params;
     
     // Check if user is Super Admin
-    if (req.user.role !== 'sa') {
+    if (req.user.role !== 'super_admin') {
       return res.status(403).json({
         success: false,
         error: 'Access denied. Super Admin privileges required.'
       });
     }
     
+    if (!pluginRegistry.getPlugin(name)) {
+      return res.status(404).json({
+        success: false,
+        error: `Plugin '${name}' is not registered`
+      });
+    }
+    
     // Emit plugin unloaded event before unregistering
     await pluginEventSystem.emitEvent(pluginEventSystem.CORE_EVENTS.PLUGIN_UNLOADED, {
       pluginName: name
-    }, { user: req.user });
+    }, buildContext(req));
     
-    pluginRegistry.unregisterPlugin(name);
+    // Unload so the plugin's cleanup() stops its timers
+    await pluginLoader.unloadPlugin(name);
     
     res.json({
       success: true,
@@ -283,7 +328,7 @@ router.post('/plugins/:name/reload', auth, async (req, res) => {
     const { name } = req.params;
     
     // Check if user is Super Admin
-    if (req.user.role !== 'sa') {
+    if (req.user.role !== 'super_admin') {
       return res.status(403).json({
         success: false,
         error: 'Access denied. Super Admin privileges required.'
@@ -306,6 +351,289 @@ router.post('/plugins/:name/reload', auth, async (req, res) => {
   }
 });
 
+/**
+ * POST /api/core/plugins/install
+ * Upload a zipped plugin, unpack it into staging and return the validation report (Super Admin only)
+ */
+router.post('/plugins/install', auth, (req, res, next) => {
+  // Check if user is Super Admin before accepting the upload
+  if (req.user.role !== 'super_admin') {
+    return res.status(403).json({
+      success: false,
+      error: 'Access denied. Super Admin privileges required.'
+    });
+  }
+  
+  uploadPluginPackage.single('plugin')(req, res, (error) => {
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: error.message
+      });
+    }
+    next();
+  });
+}, async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        error: 'No plugin package uploaded'
+      });
+    }
+    
+    const report = await pluginInstaller.stage(req.file.path, req.user.id);
+    
+    res.json({
+      success: true,
+      data: report
+    });
+    
+  } catch (error) {
+    if (error instanceof PluginPackageError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        error: error.message
+      });
+    }
+    console.error('Error staging plugin package:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to process plugin package'
+    });
+  } finally {
+    if (req.file) {
+      fs.rm(req.file.path, { force: true }).catch(() => {});
+    }
+  }
+});
+
+/**
+ * POST /api/core/plugins/install/:stagingId/confirm
+ * Install a staged plugin and load it without a restart (Super Admin only)
+ */
+router.post('/plugins/install/:stagingId/confirm', auth, async (req, res) => {
+  try {
+    const { stagingId } = req.params;
+    
+    // Check if user is Super Admin
+    if (req.user.role !== 'super_admin') {
+      return res.status(403).json({
+        success: false,
+        error: 'Access denied. Super Admin privileges required.'
+      });
+    }
+    
+    const plugin = await pluginInstaller.install(stagingId, req.app);
+    
+    // Emit plugin loaded event
+    await pluginEventSystem.emitEvent(pluginEventSystem.CORE_EVENTS.PLUGIN_LOADED, {
+      pluginName: plugin.name,
+      plugin
+    }, buildContext(req));
+    
+    res.json({
+      success: true,
+      message: `Plugin '${plugin.name}' installed successfully`,
+      data: plugin
+    });
+    
+  } catch (error) {
+    if (error instanceof PluginPackageError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        error: error.message
+      });
+    }
+    console.error('Error installing plugin:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to install plugin'
+    });
+  }
+});
+
+/**
+ * DELETE /api/core/plugins/install/:stagingId
+ * Discard a staged plugin package (Super Admin only)
+ */
+router.delete('/plugins/install/:stagingId', auth, async (req, res) => {
+  try {
+    const { stagingId } = req.params;
+    
+    // Check if user is Super Admin
+    if (req.user.role !== 'super_admin') {
+      return res.status(403).json({
+        success: false,
+        error: 'Access denied. Super Admin privileges required.'
+      });
+    }
+    
+    const discarded = await pluginInstaller.discard(stagingId);
+    if (!discarded) {
+      return res.status(404).json({
+        success: false,
+        error: 'Staged plugin not found or expired'
+      });
+    }
+    
+    res.json({
+      success: true,
+      message: 'Staged plugin discarded'
+    });
+    
+  } catch (error) {
+    console.error('Error discarding staged plugin:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to discard staged plugin'
+    });
+  }
+});
+
+// Plugins whose migrations can be managed: registered ones and ones that failed to load
+const isKnownPlugin = (name) => !!pluginRegistry.getPlugin(name)
+  || pluginLoader.getLoadErrors().some(loadError => loadError.name === name);
+
+/**
+ * GET /api/core/plugins/:name/migrations
+ * Get the migration status of a plugin (Super Admin only)
+ */
+router.get('/plugins/:name/migrations', auth, async (req, res) => {
+  try {
+    const { name } = req.params;
+    
+    // Check if user is Super Admin
+    if (req.user.role !== 'super_admin') {
+      return res.status(403).json({
+        success: false,
+        error: 'Access denied. Super Admin privileges required.'
+      });
+    }
+    
+    if (!isKnownPlugin(name)) {
+      return res.status(404).json({
+        success: false,
+        error: 'Plugin not found'
+      });
+    }
+    
+    const migrations = await migrationRunner.getStatus(name, pluginLoader.getMigrationsDir(name));
+    
+    res.json({
+      success: true,
+      data: migrations
+    });
+    
+  } catch (error) {
+    console.error('Error getting plugin migrations:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message || 'Failed to get plugin migrations'
+    });
+  }
+});
+
+/**
+ * POST /api/core/plugins/:name/migrations/run
+ * Run the pending migrations of a plugin (Super Admin only)
+ */
+router.post('/plugins/:name/migrations/run', auth, async (req, res) => {
+  try {
+    const { name } = req.params;
+    
+    // Check if user is Super Admin
+    if (req.user.role !== 'super_admin') {
+      return res.status(403).json({
+        success: false,
+        error: 'Access denied. Super Admin privileges required.'
+      });
+    }
+    
+    if (!isKnownPlugin(name)) {
+      return res.status(404).json({
+        success: false,
+        error: 'Plugin not found'
+      });
+    }
+    
+    const applied = await migrationRunner.runPending(name, pluginLoader.getMigrationsDir(name));
+    
+    res.json({
+      success: true,
+      message: `Applied ${applied.length} migrations for plugin '${name}'`,
+      data: { applied }
+    });
+    
+  } catch (error) {
+    console.error('Error running plugin migrations:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message || 'Failed to run plugin migrations'
+    });
+  }
+});
+
+/**
+ * POST /api/core/plugins/:name/migrations/rollback
+ * Roll back the latest migration batch of a disabled plugin (Super Admin only).
+ * Body: { steps: number of batches (default 1), all: true to roll back every migration }
+ */
+router.post('/plugins/:name/migrations/rollback', auth, async (req, res) => {
+  try {
+    const { name } = req.params;
+    const { steps = 1, all = false } = req.body || {};
+    
+    // Check if user is Super Admin
+    if (req.user.role !== 'super_admin') {
+      return res.status(403).json({
+        success: false,
+        error: 'Access denied. Super Admin privileges required.'
+      });
+    }
+    
+    if (!isKnownPlugin(name)) {
+      return res.status(404).json({
+        success: false,
+        error: 'Plugin not found'
+      });
+    }
+    
+    // Dropping tables under a running plugin would break its routes
+    if (pluginRegistry.isPluginEnabled(name)) {
+      return res.status(409).json({
+        success: false,
+        error: 'Disable the plugin before rolling back its migrations'
+      });
+    }
+    
+    if (!Number.isInteger(steps) || steps < 1) {
+      return res.status(400).json({
+        success: false,
+        error: 'steps must be a positive integer'
+      });
+    }
+    
+    const rolledBack = await migrationRunner.rollback(name, pluginLoader.getMigrationsDir(name), {
+      steps,
+      all: all === true
+    });
+    
+    res.json({
+      success: true,
+      message: `Rolled back ${rolledBack.length} migrations for plugin '${name}'`,
+      data: { rolledBack }
+    });
+    
+  } catch (error) {
+    console.error('Error rolling back plugin migrations:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message || 'Failed to roll back plugin migrations'
+    });
+  }
+});
+
 /**
  * POST /api/core/plugins/reload-all
  * Reload all plugins (Super Admin only)
@@ -313,7 +641,7 @@ router.post('/plugins/:name/reload', auth, async (req, res) => {
 router.post('/plugins/reload-all', auth, async (req, res) => {
   try {
     // Check if user is Super Admin
-    if (req.user.role !== 'sa') {
+    if (req.user.role !== 'super_admin') {
       return res.status(403).json({
         success: false,
         error: 'Access denied. Super Admin privileges required.'
@@ -336,6 +664,99 @@ router.post('/plugins/reload-all', auth, async (req, res) => {
   }
 });
 
+/**
+ * GET /api/core/permissions
+ * Get the permission catalogue and the permissions granted to each role (Super Admin only)
+ */
+router.get('/permissions', auth, async (req, res) => {
+  try {
+    // Check if user is Super Admin
+    if (req.user.role !== 'super_admin') {
+      return res.status(403).json({
+        success: false,
+        error: 'Access denied. Super Admin privileges required.'
+      });
+    }
+    
+    res.json({
+      success: true,
+      data: {
+        permissions: permissionManager.getCatalogue(),
+        roles: permissionManager.getGrantableRoles().map(role => ({
+          role,
+          displayName: permissionManager.getCustomRole(role)?.displayName,
+          permissions: permissionManager.getRolePermissions(role)
+        }))
+      }
+    });
+    
+  } catch (error) {
+    console.error('Error getting permissions:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get permissions'
+    });
+  }
+});
+
+/**
+ * PUT /api/core/permissions/roles/:role
+ * Replace the permissions granted to a role (Super Admin only)
+ * Body: { permissions: ['financial:refund', ...] }
+ */
+router.put('/permissions/roles/:role', auth, async (req, res) => {
+  try {
+    const { role } = req.params;
+    const { permissions } = req.body || {};
+    
+    // Check if user is Super Admin
+    if (req.user.role !== 'super_admin') {
+      return res.status(403).json({
+        success: false,
+        error: 'Access denied. Super Admin privileges required.'
+      });
+    }
+    
+    if (!permissionManager.getGrantableRoles().includes(role)) {
+      return res.status(400).json({
+        success: false,
+        error: `Permissions cannot be granted to role '${role}'`
+      });
+    }
+    
+    if (!Array.isArray(permissions)) {
+      return res.status(400).json({
+        success: false,
+        error: 'permissions must be an array'
+      });
+    }
+    
+    const known = new Set(permissionManager.getCatalogue().map(permission => permission.name));
+    const unknown = permissions.filter(permission => !known.has(permission));
+    if (unknown.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: `Unknown permissions: ${unknown.join(', ')}`
+      });
+    }
+    
+    const granted = await permissionManager.setRolePermissions(role, permissions, req.user.id);
+    
+    res.json({
+      success: true,
+      message: `Permissions of role '${role}' updated`,
+      data: { role, permissions: granted }
+    });
+    
+  } catch (error) {
+    console.error('Error updating role permissions:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update role permissions'
+    });
+  }
+});
+
 /**
  * GET /api/core/events
  * Returns event system information (Super Admin only)
@@ -343,7 +764,7 @@ router.post('/plugins/reload-all', auth, async (req, res) => {
 router.get('/events', auth, async (req, res) => {
   try {
     // Check if user is Super Admin
-    if (req.user.role !== 'sa') {
+    if (req.user.role !== 'super_admin') {
       return res.status(403).json({
         success: false,
         error: 'Access denied. Super Admin privileges required.'
@@ -380,19 +801,20 @@ router.get('/events', auth, async (req, res) => {
  * GET /api/core/stats
  * Returns system statistics (Super Admin only)
  */
-router.get('/stats', /* auth, */ async (req, res) => {
+router.get('/stats', auth, async (req, res) => {
   try {
-    // Check if user is Super Admin
-    // if (req.user.role !== 'sa') {
-    //   return res.status(403).json({
-    //     success: false,
-    //     error: 'Access denied. Super Admin privileges required.'
-    //   });
-    // }
+    // Check if user is Super Admin (plugin health includes internal error messages)
+    if (req.user.role !== 'super_admin') {
+      return res.status(403).json({
+        success: false,
+        error: 'Access denied. Super Admin privileges required.'
+      });
+    }
     
     const registryStats = pluginRegistry.getStats();
     const loaderStats = pluginLoader.getStats();
     const eventStats = pluginEventSystem.getStats();
+    const healthStats = pluginHealthMonitor.getStats();
     
     res.json({
       success: true,
@@ -400,6 +822,11 @@ router.get('/stats', /* auth, */ async (req, res) => {
         registry: registryStats,
         loader: loaderStats,
         events: eventStats,
+        sandbox: {
+          timeout: healthStats.timeout,
+          failureThreshold: healthStats.failureThreshold
+        },
+        plugins: healthStats.plugins,
         timestamp: new Date().toISOString()
       }
     });
@@ -420,7 +847,7 @@ router.get('/stats', /* auth, */ async (req, res) => {
 router.post('/events/clear-history', auth, async (req, res) => {
   try {
     // Check if user is Super Admin
-    if (req.user.role !== 'sa') {
+    if (req.user.role !== 'super_admin') {
       return res.status(403).json({
         success: false,
         error: 'Access denied. Super Admin privileges required.'
@@ -1,12 +1,25 @@
 const express = require('express');
-const { body, validationResult } = require('express-validator');
-const { CourseContent, QuizQuestion, Course } = require('../models');
+const { body, param, validationResult } = require('express-validator');
+const { CourseContent, QuizQuestion, QuizAttempt, Course, User } = require('../models');
 const { auth, requireTrainer } = require('../middleware/auth');
-const { requirePaidEnrollment, requireEnrollment, requireCourseAccess } = require('../middleware/courseAccess');
+const { requirePaidEnrollment, requireEnrollment, requireCourseAccess, hasCoursePermission } = require('../middleware/courseAccess');
 const multer = require('multer');
 const path = require('path');
 const fs = require('fs');
 const { createSafeDirectoryName } = require('../utils/folderNaming');
+const {
+  gradeQuiz,
+  getQuizSettings,
+  buildAttemptLayout,
+  applyAttemptLayout,
+  getAttemptExpiry,
+  isAttemptExpired
+} = require('../utils/quizGrading');
+const { markLessonCompleted } = require('../utils/courseProgress');
+const { sanitizeCertificateTemplate, renderCertificatePdf } = require('../utils/certificateTemplate');
+const { getVerificationUrl } = require('../utils/certificates');
+const { setLeadTrainer } = require('../utils/courseStaff');
+const { getPrivateDir, createPrivateFileName, isPrivateFileName, sendPrivateFile } = require('../utils/privateFiles');
 const ffprobe = require('ffprobe-static');
 const { spawn } = require('child_process');
 
@@ -104,6 +117,63 @@ const uploadContentFile = multer({
   limits: { fileSize: 100 * 1024 * 1024 } // 100MB limit
 });
 
+// Multer storage for quiz file_upload answers: private-uploads/quiz-answers/<contentId>/<userId>/
+// (served only to the trainee and graders through the answer-files route)
+const quizAnswerFileStorage = multer.diskStorage({
+  destination: function (req, file, cb) {
+    try {
+      const dir = getPrivateDir('quiz-answers', req.params.contentId, req.user.id);
+      fs.mkdirSync(dir, { recursive: true });
+      cb(null, dir);
+    } catch (error) {
+      cb(error, null);
+    }
+  },
+  filename: function (req, file, cb) {
+    cb(null, createPrivateFileName(file.originalname));
+  }
+});
+
+const uploadQuizAnswerFile = multer({
+  storage: quizAnswerFileStorage,
+  fileFilter: (req, file, cb) => {
+    const allowedTypes = [
+      'application/pdf',
+      'application/msword',
+      'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+      'application/zip',
+      'application/x-zip-compressed',
+      'text/plain',
+      'image/jpeg',
+      'image/png',
+      'image/gif',
+      'image/webp'
+    ];
+
+    if (allowedTypes.includes(file.mimetype)) {
+      cb(null, true);
+    } else {
+      cb(new Error(`Invalid file type: ${file.mimetype}`), false);
+    }
+  },
+  limits: { fileSize: 25 * 1024 * 1024 } // 25MB limit
+});
+
+// Validation for the per-quiz rules stored in quizData
+const quizSettingsValidators = [
+  body('quizData.maxAttempts').optional({ nullable: true, checkFalsy: true }).isInt({ min: 0, max: 100 }),
+  body('quizData.timeLimit').optional({ nullable: true, checkFalsy: true }).isInt({ min: 0, max: 1440 }),
+  body('quizData.passingScore').optional({ nullable: true, checkFalsy: true }).isFloat({ min: 0, max: 100 }),
+  body('quizData.shuffleQuestions').optional().isBoolean(),
+  body('quizData.shuffleOptions').optional().isBoolean()
+];
+
+// Validation for layouts saved by the certificate designer
+const certificateTemplateValidators = [
+  body('certificateTemplate').optional({ nullable: true }).isObject(),
+  body('certificateTemplate.elements').optional().isArray({ max: 50 })
+];
+
 // @route   GET /api/courses/:courseId/content
 // @desc    Get all content for a course
 // @access  Private (Course owner or enrolled students who have paid)
@@ -124,7 +194,7 @@ router.get('/:courseId/content', auth, requireCourseAccess, async (req, res) =>
         {
           model: QuizQuestion,
           as: 'questions',
-          attributes: ['id', 'question', 'questionType', 'points', 'order']
+          attributes: ['id', 'question', 'questionType', 'options', 'points', 'order', 'isRequired']
         }
       ],
       order: [['order', 'ASC']]
@@ -158,6 +228,13 @@ router.get('/:courseId/content/:contentId', auth, requireCourseAccess, async (re
       return res.status(404).json({ error: 'Content not found.' });
     }
 
+    // Trainees must not see the answer key before submitting
+    if (req.user.role === 'trainee') {
+      const contentData = content.toJSON();
+      contentData.questions = (contentData.questions || []).map(({ correctAnswer, explanation, ...question }) => question);
+      return res.json({ content: contentData });
+    }
+
     res.json({ content });
   } catch (error) {
     console.error('Get content error:', error);
@@ -177,7 +254,9 @@ router.post('/:courseId/content', [
   body('order').optional().isInt({ min: 0 }),
   body('points').optional().isInt({ min: 0 }),
   body('isRequired').optional().isBoolean(),
-  body('sectionId').optional().isUUID()
+  body('sectionId').optional().isUUID(),
+  ...quizSettingsValidators,
+  ...certificateTemplateValidators
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -206,15 +285,16 @@ router.post('/:courseId/content', [
       return res.status(404).json({ error: 'Course not found.' });
     }
     
-    // Allow super admins and course trainers to add content
+    // Allow super admins and course staff who edit content to add content
     // If trainerId is not set, allow the user to add content (they might be the creator)
-    if (course.trainerId && course.trainerId !== req.user.id && req.user.role !== 'super_admin') {
+    if (course.trainerId && !hasCoursePermission(req.user, course, 'course:edit-content')) {
       return res.status(403).json({ error: 'Not authorized to add content to this course.' });
     }
     
     // If course doesn't have a trainer assigned, assign the current user as trainer
     if (!course.trainerId && req.user.role === 'trainer') {
       await course.update({ trainerId: req.user.id });
+      await setLeadTrainer(course.id, req.user.id, { addedBy: req.user.id });
     }
 
     const courseContent = await CourseContent.create({
@@ -229,7 +309,7 @@ router.post('/:courseId/content', [
       isRequired: isRequired !== undefined ? isRequired : true,
       articleContent,
       quizData,
-      certificateTemplate
+      certificateTemplate: certificateTemplate ? sanitizeCertificateTemplate(certificateTemplate) : certificateTemplate
     });
 
     res.status(201).json({
@@ -254,7 +334,9 @@ router.put('/:courseId/content/:contentId', [
   body('points').optional().isInt({ min: 0 }),
   body('isRequired').optional().isBoolean(),
   body('isPublished').optional().isBoolean(),
-  body('sectionId').optional().isUUID()
+  body('sectionId').optional().isUUID(),
+  ...quizSettingsValidators,
+  ...certificateTemplateValidators
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -277,15 +359,16 @@ router.put('/:courseId/content/:contentId', [
     }
 
     // Verify course ownership
-    // Allow super admins and course trainers to update content
+    // Allow super admins and course staff who edit content to update content
     // If trainerId is not set, allow the user to update content (they might be the creator)
-    if (course.trainerId && course.trainerId !== req.user.id && req.user.role !== 'super_admin') {
+    if (course.trainerId && !hasCoursePermission(req.user, course, 'course:edit-content')) {
       return res.status(403).json({ error: 'Not authorized to update this content.' });
     }
     
     // If course doesn't have a trainer assigned, assign the current user as trainer
     if (!course.trainerId && req.user.role === 'trainer') {
       await course.update({ trainerId: req.user.id });
+      await setLeadTrainer(course.id, req.user.id, { addedBy: req.user.id });
     }
 
     const updateData = { ...req.body };
@@ -298,6 +381,10 @@ router.put('/:courseId/content/:contentId', [
       // If it's already a string, keep it as is
     }
     
+    if (updateData.certificateTemplate) {
+      updateData.certificateTemplate = sanitizeCertificateTemplate(updateData.certificateTemplate);
+    }
+    
     // Handle content field transformation
     if (updateData.content && typeof updateData.content === 'string') {
       try {
@@ -337,15 +424,16 @@ router.delete('/:courseId/content/:contentId', auth, requireTrainer, async (req,
     }
 
     // Verify course ownership
-    // Allow super admins and course trainers to delete content
+    // Allow super admins and course staff who edit content to delete content
     // If trainerId is not set, allow the user to delete content (they might be the creator)
-    if (content.course.trainerId && content.course.trainerId !== req.user.id && req.user.role !== 'super_admin') {
+    if (content.course.trainerId && !hasCoursePermission(req.user, content.course, 'course:edit-content')) {
       return res.status(403).json({ error: 'Not authorized to delete this content.' });
     }
     
     // If course doesn't have a trainer assigned, assign the current user as trainer
     if (!content.course.trainerId && req.user.role === 'trainer') {
       await content.course.update({ trainerId: req.user.id });
+      await setLeadTrainer(content.course.id, req.user.id, { addedBy: req.user.id });
     }
 
     // Delete associated file if exists
@@ -395,15 +483,16 @@ router.post('/:courseId/content/:contentType/upload', [
     if (!course) {
       return res.status(404).json({ error: 'Course not found.' });
     }
-    // Allow super admins and course trainers to upload content
+    // Allow super admins and course staff who edit content to upload content
     // If trainerId is not set, allow the user to upload content (they might be the creator)
-    if (course.trainerId && course.trainerId !== req.user.id && req.user.role !== 'super_admin') {
+    if (course.trainerId && !hasCoursePermission(req.user, course, 'course:edit-content')) {
       return res.status(403).json({ error: 'Not authorized to upload content to this course.' });
     }
     
     // If course doesn't have a trainer assigned, assign the current user as trainer
     if (!course.trainerId && req.user.role === 'trainer') {
       await course.update({ trainerId: req.user.id });
+      await setLeadTrainer(course.id, req.user.id, { addedBy: req.user.id });
     }
 
     // Use consistent folder naming based on course title
@@ -459,6 +548,53 @@ router.post('/:courseId/content/:contentType/upload', [
   }
 });
 
+// @route   POST /api/course-content/:courseId/certificate-preview
+// @desc    Render a certificate template as a PDF with sample data (for the certificate designer)
+// @access  Private (Course owner only)
+router.post('/:courseId/certificate-preview', [
+  auth,
+  requireTrainer,
+  ...certificateTemplateValidators
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const course = await Course.findByPk(req.params.courseId, {
+      include: [{ model: User, as: 'trainer', attributes: ['firstName', 'lastName'] }]
+    });
+    if (!course) {
+      return res.status(404).json({ error: 'Course not found.' });
+    }
+
+    if (course.trainerId && !hasCoursePermission(req.user, course, 'course:edit-content')) {
+      return res.status(403).json({ error: 'Not authorized to preview certificates for this course.' });
+    }
+
+    const sampleSerial = 'CX-PREVIEW';
+    const pdf = await renderCertificatePdf(sanitizeCertificateTemplate(req.body.certificateTemplate), {
+      traineeName: `${req.user.firstName} ${req.user.lastName}`,
+      courseTitle: course.title,
+      trainerName: course.trainer ? `${course.trainer.firstName} ${course.trainer.lastName}` : '',
+      completionDate: new Date().toLocaleDateString('en-US', { year: 'numeric', month: 'long', day: 'numeric' }),
+      serial: sampleSerial,
+      verificationUrl: getVerificationUrl(sampleSerial)
+    });
+
+    res.set({
+      'Content-Type': 'application/pdf',
+      'Content-Disposition': 'inline; filename="certificate-preview.pdf"',
+      'Content-Length': pdf.length
+    });
+    res.send(pdf);
+  } catch (error) {
+    console.error('Certificate preview error:', error);
+    res.status(500).json({ error: 'Server error.' });
+  }
+});
+
 // @route   POST /api/courses/:courseId/content/:contentId/questions
 // @desc    Add quiz questions to content
 // @access  Private (Course owner only)
@@ -489,15 +625,16 @@ router.post('/:courseId/content/:contentId/questions', [
     }
 
     // Verify course ownership
-    // Allow super admins and course trainers to add questions
+    // Allow super admins and course staff who edit content to add questions
     // If trainerId is not set, allow the user to add questions (they might be the creator)
-    if (content.course.trainerId && content.course.trainerId !== req.user.id && req.user.role !== 'super_admin') {
+    if (content.course.trainerId && !hasCoursePermission(req.user, content.course, 'course:edit-content')) {
       return res.status(403).json({ error: 'Not authorized to add questions to this content.' });
     }
     
     // If course doesn't have a trainer assigned, assign the current user as trainer
     if (!content.course.trainerId && req.user.role === 'trainer') {
       await content.course.update({ trainerId: req.user.id });
+      await setLeadTrainer(content.course.id, req.user.id, { addedBy: req.user.id });
     }
 
     const createdQuestions = await QuizQuestion.bulkCreate(
@@ -518,4 +655,395 @@ router.post('/:courseId/content/:contentId/questions', [
   }
 });
 
+// @route   POST /api/course-content/:courseId/content/:contentId/answer-files
+// @desc    Upload a file answer for a file_upload quiz question; the returned file goes into the submitted answers
+// @access  Private (Enrolled trainees)
+router.post('/:courseId/content/:contentId/answer-files', [
+  auth,
+  param('contentId').isUUID(),
+  requireEnrollment
+], (req, res, next) => {
+  // The content ID is validated first because it becomes part of the upload path
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  uploadQuizAnswerFile.single('file')(req, res, (error) => {
+    if (error) {
+      return res.status(400).json({ error: error.message });
+    }
+    next();
+  });
+}, async (req, res) => {
+  const removeUploadedFile = () => {
+    if (req.file && fs.existsSync(req.file.path)) {
+      fs.unlinkSync(req.file.path);
+    }
+  };
+
+  try {
+    if (!req.file) {
+      return res.status(400).json({ error: 'No file uploaded.' });
+    }
+
+    if (!req.enrollment) {
+      removeUploadedFile();
+      return res.status(403).json({ error: 'Only enrolled trainees can upload quiz answers.' });
+    }
+
+    const content = await CourseContent.findOne({
+      where: { id: req.params.contentId, courseId: req.params.courseId, type: 'quiz', isPublished: true }
+    });
+    if (!content) {
+      removeUploadedFile();
+      return res.status(404).json({ error: 'Quiz not found.' });
+    }
+
+    res.status(201).json({
+      file: {
+        fileName: req.file.originalname,
+        fileUrl: `/api/course-content/${req.params.courseId}/content/${content.id}/answer-files/${req.user.id}/${req.file.filename}`,
+        fileSize: req.file.size,
+        fileType: req.file.mimetype
+      }
+    });
+  } catch (error) {
+    removeUploadedFile();
+    console.error('Upload quiz answer file error:', error);
+    res.status(500).json({ error: 'Server error.' });
+  }
+});
+
+// @route   GET /api/course-content/:courseId/content/:contentId/answer-files/:userId/:fileName
+// @desc    Download a quiz file answer
+// @access  Private (The trainee who uploaded it, or course:grade on the course)
+router.get('/:courseId/content/:contentId/answer-files/:userId/:fileName', [
+  auth,
+  param('courseId').isUUID(),
+  param('contentId').isUUID(),
+  param('userId').isUUID(),
+  param('fileName').custom(isPrivateFileName)
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { courseId, contentId, userId, fileName } = req.params;
+    const content = await CourseContent.findOne({
+      where: { id: contentId, courseId, type: 'quiz' },
+      include: [{ model: Course, as: 'course' }]
+    });
+    if (!content) {
+      return res.status(404).json({ error: 'File not found.' });
+    }
+
+    if (userId !== req.user.id && !hasCoursePermission(req.user, content.course, 'course:grade')) {
+      return res.status(403).json({ error: 'Not authorized to view this file.' });
+    }
+
+    const filePath = path.join(getPrivateDir('quiz-answers', contentId, userId), fileName);
+    if (!fs.existsSync(filePath)) {
+      return res.status(404).json({ error: 'File not found.' });
+    }
+
+    sendPrivateFile(res, filePath);
+  } catch (error) {
+    console.error('Download quiz answer file error:', error);
+    res.status(500).json({ error: 'Server error.' });
+  }
+});
+
+// Loads a published quiz with its questions in authored order
+const findPublishedQuiz = (courseId, contentId) => {
+  return CourseContent.findOne({
+    where: { id: contentId, courseId, type: 'quiz', isPublished: true },
+    include: [{ model: QuizQuestion, as: 'questions' }],
+    order: [[{ model: QuizQuestion, as: 'questions' }, 'order', 'ASC']]
+  });
+};
+
+// Summarizes a trainee's standing against the quiz rules
+const getAttemptRules = (settings, attemptsUsed) => ({
+  ...settings,
+  attemptsUsed,
+  remainingAttempts: settings.maxAttempts ? Math.max(settings.maxAttempts - attemptsUsed, 0) : null
+});
+
+// Marks a timed attempt as expired if its deadline has passed; returns true when it was expired
+const expireAttemptIfOverdue = async (attempt, settings) => {
+  if (attempt.status === 'in_progress' && isAttemptExpired(attempt, settings)) {
+    await attempt.update({ status: 'expired', submittedAt: new Date() });
+    return true;
+  }
+  return false;
+};
+
+// @route   POST /api/course-content/:courseId/content/:contentId/start
+// @desc    Start (or resume) a quiz attempt; starts the server-side timer for timed quizzes
+// @access  Private (Enrolled trainees)
+router.post('/:courseId/content/:contentId/start', auth, requireEnrollment, async (req, res) => {
+  try {
+    const { courseId, contentId } = req.params;
+
+    if (!req.enrollment || !['active', 'completed'].includes(req.enrollment.status)) {
+      return res.status(403).json({ error: 'Only enrolled trainees can take quizzes.' });
+    }
+
+    const content = await findPublishedQuiz(courseId, contentId);
+    if (!content) {
+      return res.status(404).json({ error: 'Quiz not found.' });
+    }
+
+    if (!content.questions || content.questions.length === 0) {
+      return res.status(400).json({ error: 'This quiz has no questions.' });
+    }
+
+    const settings = getQuizSettings(content);
+
+    // Resume an unfinished attempt rather than burning another one
+    let attempt = await QuizAttempt.findOne({
+      where: { userId: req.user.id, contentId, status: 'in_progress' },
+      order: [['startedAt', 'DESC']]
+    });
+
+    if (attempt && await expireAttemptIfOverdue(attempt, settings)) {
+      attempt = null;
+    }
+
+    const attemptsUsed = await QuizAttempt.count({
+      where: { userId: req.user.id, contentId }
+    });
+
+    const isNewAttempt = !attempt;
+    if (isNewAttempt) {
+      if (settings.maxAttempts && attemptsUsed >= settings.maxAttempts) {
+        return res.status(403).json({
+          error: 'You have used all attempts for this quiz.',
+          rules: getAttemptRules(settings, attemptsUsed)
+        });
+      }
+
+      attempt = await QuizAttempt.create({
+        userId: req.user.id,
+        courseId,
+        contentId,
+        attemptNumber: attemptsUsed + 1,
+        status: 'in_progress',
+        questionOrder: buildAttemptLayout(content.questions, settings),
+        totalQuestions: content.questions.length,
+        startedAt: new Date()
+      });
+    }
+
+    const expiresAt = getAttemptExpiry(attempt, settings);
+
+    res.status(isNewAttempt ? 201 : 200).json({
+      attempt: {
+        id: attempt.id,
+        attemptNumber: attempt.attemptNumber,
+        startedAt: attempt.startedAt,
+        expiresAt,
+        secondsRemaining: expiresAt ? Math.max(Math.floor((expiresAt.getTime() - Date.now()) / 1000), 0) : null
+      },
+      questions: applyAttemptLayout(content.questions, attempt.questionOrder),
+      rules: getAttemptRules(settings, attemptsUsed + (isNewAttempt ? 1 : 0))
+    });
+  } catch (error) {
+    console.error('Start quiz error:', error);
+    res.status(500).json({ error: 'Server error.' });
+  }
+});
+
+// @route   POST /api/course-content/:courseId/content/:contentId/submit
+// @desc    Submit a quiz attempt and auto-grade it
+// @access  Private (Enrolled trainees)
+router.post('/:courseId/content/:contentId/submit', [
+  auth,
+  requireEnrollment,
+  body('answers').isObject(),
+  body('attemptId').optional().isUUID()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { courseId, contentId } = req.params;
+    const { answers, attemptId } = req.body;
+
+    // Only enrolled trainees have attempts recorded against them
+    if (!req.enrollment || !['active', 'completed'].includes(req.enrollment.status)) {
+      return res.status(403).json({ error: 'Only enrolled trainees can submit quizzes.' });
+    }
+
+    const content = await findPublishedQuiz(courseId, contentId);
+
+    if (!content) {
+      return res.status(404).json({ error: 'Quiz not found.' });
+    }
+
+    if (!content.questions || content.questions.length === 0) {
+      return res.status(400).json({ error: 'This quiz has no questions.' });
+    }
+
+    const settings = getQuizSettings(content);
+
+    let attempt = await QuizAttempt.findOne({
+      where: attemptId
+        ? { id: attemptId, userId: req.user.id, contentId }
+        : { userId: req.user.id, contentId, status: 'in_progress' },
+      order: [['startedAt', 'DESC']]
+    });
+
+    if (attemptId && !attempt) {
+      return res.status(404).json({ error: 'Quiz attempt not found.' });
+    }
+
+    if (attempt && attempt.status !== 'in_progress') {
+      return res.status(400).json({ error: 'This attempt has already been submitted.' });
+    }
+
+    if (attempt && await expireAttemptIfOverdue(attempt, settings)) {
+      return res.status(400).json({
+        error: 'The time limit for this attempt has passed. The submission was not accepted.',
+        expired: true
+      });
+    }
+
+    const attemptsUsed = await QuizAttempt.count({
+      where: { userId: req.user.id, contentId }
+    });
+
+    if (!attempt) {
+      // Timed quizzes must be started first so the server knows when the clock began
+      if (settings.timeLimit) {
+        return res.status(400).json({ error: 'This quiz is timed. Start an attempt before submitting.' });
+      }
+
+      if (settings.maxAttempts && attemptsUsed >= settings.maxAttempts) {
+        return res.status(403).json({
+          error: 'You have used all attempts for this quiz.',
+          rules: getAttemptRules(settings, attemptsUsed)
+        });
+      }
+    }
+
+    const grading = gradeQuiz(content.questions, answers);
+    const passingScore = settings.passingScore;
+    const passed = grading.pendingCount === 0 && grading.score >= passingScore;
+
+    const gradedData = {
+      status: grading.pendingCount > 0 ? 'pending_review' : 'graded',
+      answers,
+      results: grading.results,
+      earnedPoints: grading.earnedPoints,
+      totalPoints: grading.totalPoints,
+      score: grading.score,
+      correctCount: grading.correctCount,
+      totalQuestions: grading.totalQuestions,
+      passed,
+      submittedAt: new Date()
+    };
+
+    if (attempt) {
+      await attempt.update(gradedData);
+    } else {
+      attempt = await QuizAttempt.create({
+        userId: req.user.id,
+        courseId,
+        contentId,
+        attemptNumber: attemptsUsed + 1,
+        startedAt: gradedData.submittedAt,
+        ...gradedData
+      });
+    }
+
+    let overallProgress = req.enrollment.progress;
+    if (passed) {
+      ({ overallProgress } = await markLessonCompleted(req.enrollment, contentId, req));
+    }
+
+    const totalAttempts = await QuizAttempt.count({
+      where: { userId: req.user.id, contentId }
+    });
+
+    res.status(201).json({
+      message: passed ? 'Quiz passed.' : 'Quiz submitted.',
+      attemptId: attempt.id,
+      attemptNumber: attempt.attemptNumber,
+      status: attempt.status,
+      score: grading.score,
+      earnedPoints: grading.earnedPoints,
+      totalPoints: grading.totalPoints,
+      correctAnswers: grading.correctCount,
+      totalQuestions: grading.totalQuestions,
+      pendingReview: grading.pendingCount,
+      passingScore,
+      passed,
+      overallProgress,
+      rules: getAttemptRules(settings, totalAttempts),
+      results: grading.results.map(({ questionId, status, isCorrect, points, pointsAwarded, explanation }) => ({
+        questionId,
+        status,
+        isCorrect,
+        points,
+        pointsAwarded,
+        explanation
+      }))
+    });
+  } catch (error) {
+    console.error('Submit quiz error:', error);
+    res.status(500).json({ error: 'Server error.' });
+  }
+});
+
+// @route   GET /api/course-content/:courseId/content/:contentId/attempts
+// @desc    Get the current user's attempts for a quiz along with the quiz rules
+// @access  Private (Enrolled trainees)
+router.get('/:courseId/content/:contentId/attempts', auth, requireEnrollment, async (req, res) => {
+  try {
+    const { courseId, contentId } = req.params;
+
+    const content = await CourseContent.findOne({
+      where: { id: contentId, courseId, type: 'quiz' }
+    });
+
+    if (!content) {
+      return res.status(404).json({ error: 'Quiz not found.' });
+    }
+
+    const settings = getQuizSettings(content);
+
+    const attempts = await QuizAttempt.findAll({
+      where: { userId: req.user.id, courseId, contentId },
+      attributes: { exclude: ['answers', 'questionOrder'] },
+      order: [['attemptNumber', 'DESC']]
+    });
+
+    for (const attempt of attempts) {
+      await expireAttemptIfOverdue(attempt, settings);
+    }
+
+    const inProgressAttempt = attempts.find(attempt => attempt.status === 'in_progress');
+
+    res.json({
+      attempts,
+      rules: getAttemptRules(settings, attempts.length),
+      inProgressAttempt: inProgressAttempt ? {
+        id: inProgressAttempt.id,
+        attemptNumber: inProgressAttempt.attemptNumber,
+        startedAt: inProgressAttempt.startedAt,
+        expiresAt: getAttemptExpiry(inProgressAttempt, settings)
+      } : null
+    });
+  } catch (error) {
+    console.error('Get quiz attempts error:', error);
+    res.status(500).json({ error: 'Server error.' });
+  }
+});
+
 module.exports = router; 
\ No newline at end of file
@@ -2,7 +2,7 @@ const express = require('express');
 const { body, validationResult } = require('express-validator');
 const { CourseSection, CourseContent, Course } = require('../models');
 const { auth, requireTrainer } = require('../middleware/auth');
-const { requirePaidEnrollment, requireEnrollment, requireCourseAccess } = require('../middleware/courseAccess');
+const { requirePaidEnrollment, requireEnrollment, requireCourseAccess, hasCoursePermission } = require('../middleware/courseAccess');
 
 const router = express.Router();
 
@@ -41,7 +41,7 @@ router.get('/:courseId', auth, requireCourseAccess, async (req, res) => {
 
 // @route   POST /api/course-sections/:courseId
 // @desc    Create a new section for a course
-// @access  Private (Course trainer or Super Admin)
+// @access  Private (Course staff or Super Admin)
 router.post('/:courseId', [
   auth,
   requireTrainer,
@@ -58,13 +58,13 @@ router.post('/:courseId', [
     const { courseId } = req.params;
     const { title, description, order } = req.body;
 
-    // Check if course exists and user is the trainer
+    // Check if course exists and user may edit its content
     const course = await Course.findByPk(courseId);
     if (!course) {
       return res.status(404).json({ error: 'Course not found.' });
     }
 
-    if (course.trainerId !== req.user.id && req.user.role !== 'super_admin') {
+    if (!hasCoursePermission(req.user, course, 'course:edit-content')) {
       return res.status(403).json({ error: 'Not authorized to create sections for this course.' });
     }
 
@@ -97,7 +97,7 @@ router.post('/:courseId', [
 
 // @route   PUT /api/course-sections/:sectionId
 // @desc    Update a course section
-// @access  Private (Course trainer or Super Admin)
+// @access  Private (Course staff or Super Admin)
 router.put('/:sectionId', [
   auth,
   requireTrainer,
@@ -130,7 +130,7 @@ router.put('/:sectionId', [
       return res.status(404).json({ error: 'Section not found.' });
     }
 
-    if (section.course.trainerId !== req.user.id && req.user.role !== 'super_admin') {
+    if (!hasCoursePermission(req.user, section.course, 'course:edit-content')) {
       return res.status(403).json({ error: 'Not authorized to update this section.' });
     }
 
@@ -148,7 +148,7 @@ router.put('/:sectionId', [
 
 // @route   DELETE /api/course-sections/:sectionId
 // @desc    Delete a course section
-// @access  Private (Course trainer or Super Admin)
+// @access  Private (Course staff or Super Admin)
 router.delete('/:sectionId', [
   auth,
   requireTrainer
@@ -169,7 +169,7 @@ router.delete('/:sectionId', [
       return res.status(404).json({ error: 'Section not found.' });
     }
 
-    if (section.course.trainerId !== req.user.id && req.user.role !== 'super_admin') {
+    if (!hasCoursePermission(req.user, section.course, 'course:edit-content')) {
       return res.status(403).json({ error: 'Not authorized to delete this section.' });
     }
 
@@ -197,7 +197,7 @@ router.delete('/:sectionId', [
 
 // @route   PUT /api/course-sections/:sectionId/reorder
 // @desc    Reorder sections
-// @access  Private (Course trainer or Super Admin)
+// @access  Private (Course staff or Super Admin)
 router.put('/:sectionId/reorder', [
   auth,
   requireTrainer,
@@ -225,7 +225,7 @@ router.put('/:sectionId/reorder', [
       return res.status(404).json({ error: 'Section not found.' });
     }
 
-    if (section.course.trainerId !== req.user.id && req.user.role !== 'super_admin') {
+    if (!hasCoursePermission(req.user, section.course, 'course:edit-content')) {
       return res.status(403).json({ error: 'Not authorized to reorder this section.' });
     }
 
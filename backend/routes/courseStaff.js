@@ -0,0 +1,314 @@
+const express = require('express');
+const { body, param, query, validationResult } = require('express-validator');
+const { Op } = require('sequelize');
+const { CourseStaff, Course, User } = require('../models');
+const { auth } = require('../middleware/auth');
+const { hasCoursePermission } = require('../middleware/courseAccess');
+const { STAFF_CAPABILITIES, getRevenueShares } = require('../utils/courseStaff');
+
+// Mounted at /api/courses/:id/staff
+const router = express.Router({ mergeParams: true });
+
+const staffIncludes = [
+  { model: User, as: 'user', attributes: ['id', 'firstName', 'lastName', 'email', 'avatar'] }
+];
+
+// Only staff roles that see earnings take part in the revenue split
+const canReceiveShare = (role) => STAFF_CAPABILITIES[role].includes('course:earnings');
+
+const serializeMember = (member, shares) => ({
+  id: member.id,
+  userId: member.userId,
+  role: member.role,
+  // The lead's share is whatever the other members leave over
+  revenueShare: shares.get(member.userId) || 0,
+  capabilities: STAFF_CAPABILITIES[member.role],
+  user: member.user,
+  createdAt: member.createdAt
+});
+
+// Sum of the revenue shares of the non-lead members, leaving one member out when it is being edited
+const getOtherSharesTotal = async (courseId, excludeId = null) => {
+  const members = await CourseStaff.findAll({ where: { courseId, role: { [Op.ne]: 'lead' } } });
+  return members
+    .filter(member => member.id !== excludeId)
+    .reduce((total, member) => total + (parseFloat(member.revenueShare) || 0), 0);
+};
+
+// Check the requested share against the role and what the other members already hold
+const validateRevenueShare = async (courseId, role, revenueShare, excludeId = null) => {
+  if (!revenueShare) {
+    return null;
+  }
+  if (!canReceiveShare(role)) {
+    return 'Only co-trainers can receive a revenue share.';
+  }
+  const othersTotal = await getOtherSharesTotal(courseId, excludeId);
+  if (othersTotal + revenueShare > 100) {
+    return `Revenue shares cannot exceed 100%. ${Math.max(0, 100 - othersTotal)}% is left to assign.`;
+  }
+  return null;
+};
+
+// @route   GET /api/courses/:id/staff
+// @desc    Get the staff of a course with their capabilities and revenue shares
+// @access  Private (Course staff or Super Admin)
+router.get('/', [
+  auth,
+  param('id').isUUID()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const course = await Course.findByPk(req.params.id);
+    if (!course) {
+      return res.status(404).json({ error: 'Course not found.' });
+    }
+
+    if (!hasCoursePermission(req.user, course, 'course:view')) {
+      return res.status(403).json({ error: 'Not authorized to view the staff of this course.' });
+    }
+
+    const [members, shares] = await Promise.all([
+      CourseStaff.findAll({
+        where: { courseId: course.id },
+        include: staffIncludes,
+        order: [['createdAt', 'ASC']]
+      }),
+      getRevenueShares(course)
+    ]);
+
+    res.json({
+      staff: members.map(member => serializeMember(member, shares)),
+      capabilities: STAFF_CAPABILITIES,
+      canManage: hasCoursePermission(req.user, course, 'course:manage')
+    });
+  } catch (error) {
+    console.error('Get course staff error:', error);
+    res.status(500).json({ error: 'Server error.' });
+  }
+});
+
+// @route   GET /api/courses/:id/staff/candidates
+// @desc    Search active trainers who are not yet staff of the course
+// @access  Private (Course lead or Super Admin)
+router.get('/candidates', [
+  auth,
+  param('id').isUUID(),
+  query('search').optional().isString()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const course = await Course.findByPk(req.params.id);
+    if (!course) {
+      return res.status(404).json({ error: 'Course not found.' });
+    }
+
+    if (!hasCoursePermission(req.user, course, 'course:manage')) {
+      return res.status(403).json({ error: 'Not authorized to manage the staff of this course.' });
+    }
+
+    const members = await CourseStaff.findAll({ where: { courseId: course.id }, attributes: ['userId'] });
+    const excludedIds = [...members.map(member => member.userId), course.trainerId].filter(Boolean);
+
+    const whereClause = {
+      role: 'trainer',
+      isActive: true,
+      id: { [Op.notIn]: excludedIds }
+    };
+    if (req.query.search) {
+      whereClause[Op.or] = [
+        { firstName: { [Op.iLike]: `%${req.query.search}%` } },
+        { lastName: { [Op.iLike]: `%${req.query.search}%` } },
+        { email: { [Op.iLike]: `%${req.query.search}%` } }
+      ];
+    }
+
+    const candidates = await User.findAll({
+      where: whereClause,
+      attributes: ['id', 'firstName', 'lastName', 'email'],
+      order: [['firstName', 'ASC'], ['lastName', 'ASC']],
+      limit: 20
+    });
+
+    res.json({ candidates });
+  } catch (error) {
+    console.error('Get staff candidates error:', error);
+    res.status(500).json({ error: 'Server error.' });
+  }
+});
+
+// @route   POST /api/courses/:id/staff
+// @desc    Add a co-trainer or assistant to a course
+// @access  Private (Course lead or Super Admin)
+router.post('/', [
+  auth,
+  param('id').isUUID(),
+  body('userId').isUUID().withMessage('Valid user ID is required'),
+  body('role').isIn(['co_trainer', 'assistant']).withMessage('Role must be co_trainer or assistant'),
+  body('revenueShare').optional({ nullable: true }).isFloat({ min: 0, max: 100 }).withMessage('Revenue share must be between 0 and 100')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const course = await Course.findByPk(req.params.id);
+    if (!course) {
+      return res.status(404).json({ error: 'Course not found.' });
+    }
+
+    if (!hasCoursePermission(req.user, course, 'course:manage')) {
+      return res.status(403).json({ error: 'Not authorized to manage the staff of this course.' });
+    }
+
+    const { userId, role } = req.body;
+    const revenueShare = req.body.revenueShare ? parseFloat(req.body.revenueShare) : null;
+
+    const user = await User.findByPk(userId);
+    if (!user) {
+      return res.status(404).json({ error: 'User not found.' });
+    }
+    if (user.role !== 'trainer' || !user.isActive) {
+      return res.status(400).json({ error: 'Only active trainers can be added as course staff.' });
+    }
+
+    const existing = await CourseStaff.findOne({ where: { courseId: course.id, userId } });
+    if (existing || course.trainerId === userId) {
+      return res.status(400).json({ error: 'The user is already staff of this course.' });
+    }
+
+    const shareError = await validateRevenueShare(course.id, role, revenueShare);
+    if (shareError) {
+      return res.status(400).json({ error: shareError });
+    }
+
+    const member = await CourseStaff.create({
+      courseId: course.id,
+      userId,
+      role,
+      revenueShare,
+      addedBy: req.user.id
+    });
+    const created = await CourseStaff.findByPk(member.id, { include: staffIncludes });
+
+    res.status(201).json({
+      message: 'Staff member added successfully.',
+      member: serializeMember(created, await getRevenueShares(course))
+    });
+  } catch (error) {
+    console.error('Add course staff error:', error);
+    res.status(500).json({ error: 'Server error.' });
+  }
+});
+
+// @route   PUT /api/courses/:id/staff/:staffId
+// @desc    Change a staff member's role or revenue share (the lead changes through assign-trainer)
+// @access  Private (Course lead or Super Admin)
+router.put('/:staffId', [
+  auth,
+  param('id').isUUID(),
+  param('staffId').isUUID(),
+  body('role').optional().isIn(['co_trainer', 'assistant']).withMessage('Role must be co_trainer or assistant'),
+  body('revenueShare').optional({ nullable: true }).isFloat({ min: 0, max: 100 }).withMessage('Revenue share must be between 0 and 100')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const course = await Course.findByPk(req.params.id);
+    if (!course) {
+      return res.status(404).json({ error: 'Course not found.' });
+    }
+
+    if (!hasCoursePermission(req.user, course, 'course:manage')) {
+      return res.status(403).json({ error: 'Not authorized to manage the staff of this course.' });
+    }
+
+    const member = await CourseStaff.findOne({ where: { id: req.params.staffId, courseId: course.id } });
+    if (!member) {
+      return res.status(404).json({ error: 'Staff member not found.' });
+    }
+    if (member.role === 'lead') {
+      return res.status(400).json({ error: 'The lead trainer cannot be edited here. Assign a different trainer instead.' });
+    }
+
+    const role = req.body.role || member.role;
+    let revenueShare = member.revenueShare === null ? null : parseFloat(member.revenueShare);
+    if (req.body.revenueShare !== undefined) {
+      revenueShare = req.body.revenueShare ? parseFloat(req.body.revenueShare) : null;
+    }
+    // Assistants do not see earnings, so they drop out of the split
+    if (!canReceiveShare(role)) {
+      revenueShare = null;
+    }
+
+    const shareError = await validateRevenueShare(course.id, role, revenueShare, member.id);
+    if (shareError) {
+      return res.status(400).json({ error: shareError });
+    }
+
+    await member.update({ role, revenueShare });
+    const updated = await CourseStaff.findByPk(member.id, { include: staffIncludes });
+
+    res.json({
+      message: 'Staff member updated successfully.',
+      member: serializeMember(updated, await getRevenueShares(course))
+    });
+  } catch (error) {
+    console.error('Update course staff error:', error);
+    res.status(500).json({ error: 'Server error.' });
+  }
+});
+
+// @route   DELETE /api/courses/:id/staff/:staffId
+// @desc    Remove a co-trainer or assistant from a course
+// @access  Private (Course lead or Super Admin)
+router.delete('/:staffId', [
+  auth,
+  param('id').isUUID(),
+  param('staffId').isUUID()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const course = await Course.findByPk(req.params.id);
+    if (!course) {
+      return res.status(404).json({ error: 'Course not found.' });
+    }
+
+    if (!hasCoursePermission(req.user, course, 'course:manage')) {
+      return res.status(403).json({ error: 'Not authorized to manage the staff of this course.' });
+    }
+
+    const member = await CourseStaff.findOne({ where: { id: req.params.staffId, courseId: course.id } });
+    if (!member) {
+      return res.status(404).json({ error: 'Staff member not found.' });
+    }
+    if (member.role === 'lead') {
+      return res.status(400).json({ error: 'The lead trainer cannot be removed. Assign a different trainer instead.' });
+    }
+
+    await member.destroy();
+
+    res.json({ message: 'Staff member removed successfully.' });
+  } catch (error) {
+    console.error('Remove course staff error:', error);
+    res.status(500).json({ error: 'Server error.' });
+  }
+});
+
+module.exports = router;
@@ -2,6 +2,7 @@ const express = require('express');
 const router = express.Router();
 const { CourseStats, Course, Enrollment, CourseContent } = require('../models');
 const { auth, requireTrainer } = require('../middleware/auth');
+const { hasCoursePermission } = require('../middleware/courseAccess');
 
 // Get course statistics by course ID
 router.get('/:courseId', auth, async (req, res) => {
@@ -52,7 +53,7 @@ router.put('/:courseId', auth, requireTrainer, async (req, res) => {
       return res.status(404).json({ error: 'Course not found' });
     }
     
-    if (course.trainerId !== req.user.id) {
+    if (!hasCoursePermission(req.user, course, 'course:manage')) {
       return res.status(403).json({ error: 'Not authorized to update this course' });
     }
 
@@ -88,7 +89,7 @@ router.post('/:courseId', auth, requireTrainer, async (req, res) => {
       return res.status(404).json({ error: 'Course not found' });
     }
     
-    if (course.trainerId !== req.user.id) {
+    if (!hasCoursePermission(req.user, course, 'course:manage')) {
       return res.status(403).json({ error: 'Not authorized to create stats for this course' });
     }
 
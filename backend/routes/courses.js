@@ -2,7 +2,10 @@ const express = require('express');
 const { body, validationResult } = require('express-validator');
 const { Course, User, Enrollment } = require('../models');
 const { auth, requireSuperAdmin, requireTrainer } = require('../middleware/auth');
-const { requireEnrollment } = require('../middleware/courseAccess');
+const { requireEnrollment, hasCoursePermission } = require('../middleware/courseAccess');
+const { sequelize } = require('../config/database');
+const { loadStaffMemberships, staffCourseWhere, setLeadTrainer } = require('../utils/courseStaff');
+const { CORE_EVENTS, CORE_HOOKS, runBeforeHook, emitCoreEvent, sendVetoResponse } = require('../utils/coreEvents');
 const multer = require('multer');
 const path = require('path');
 const fs = require('fs');
@@ -252,7 +255,8 @@ router.post('/', [
       recordForFutureStudents
     } = req.body;
 
-    const course = await Course.create({
+    // Plugins may adjust the course fields or reject the course
+    const courseData = await runBeforeHook(CORE_HOOKS.BEFORE_COURSE_SAVE, {
       title,
       description,
       shortDescription,
@@ -272,10 +276,23 @@ router.post('/', [
       location,
       allowRecording,
       recordForReplay,
-      recordForFutureStudents,
+      recordForFutureStudents
+    }, req);
+
+    const course = await Course.create({
+      ...courseData,
       trainerId: req.user.id,
       isPublished: true // Auto-publish for all users
     });
+    await setLeadTrainer(course.id, req.user.id, { addedBy: req.user.id });
+
+    emitCoreEvent(CORE_EVENTS.COURSE_CREATED, {
+      courseId: course.id,
+      title: course.title,
+      trainerId: course.trainerId,
+      price: parseFloat(course.price),
+      isPublished: course.isPublished
+    }, req, CORE_HOOKS.AFTER_COURSE_SAVE);
 
     const courseWithTrainer = await Course.findByPk(course.id, {
       include: [
@@ -292,6 +309,9 @@ router.post('/', [
       course: courseWithTrainer
     });
   } catch (error) {
+    if (sendVetoResponse(res, error)) {
+      return;
+    }
     console.error('Create course error:', error);
     res.status(500).json({ error: 'Server error.' });
   }
@@ -322,13 +342,24 @@ router.put('/:id', [
     }
 
     // Check permissions
-    if (req.user.role !== 'super_admin' && course.trainerId !== req.user.id) {
+    if (!hasCoursePermission(req.user, course, 'course:manage')) {
       return res.status(403).json({ error: 'Not authorized to update this course.' });
     }
 
-    const updateData = req.body;
+    // Plugins may adjust the changes or reject them (data.id identifies the course)
+    const { id, ...updateData } = await runBeforeHook(CORE_HOOKS.BEFORE_COURSE_SAVE, {
+      ...req.body,
+      id: course.id
+    }, req);
     await course.update(updateData);
 
+    emitCoreEvent(CORE_EVENTS.COURSE_UPDATED, {
+      courseId: course.id,
+      title: course.title,
+      trainerId: course.trainerId,
+      changes: Object.keys(updateData)
+    }, req, CORE_HOOKS.AFTER_COURSE_SAVE);
+
     const updatedCourse = await Course.findByPk(course.id, {
       include: [
         {
@@ -344,6 +375,9 @@ router.put('/:id', [
       course: updatedCourse
     });
   } catch (error) {
+    if (sendVetoResponse(res, error)) {
+      return;
+    }
     console.error('Update course error:', error);
     res.status(500).json({ error: 'Server error.' });
   }
@@ -360,12 +394,18 @@ router.delete('/:id', auth, async (req, res) => {
     }
 
     // Check permissions
-    if (req.user.role !== 'super_admin' && course.trainerId !== req.user.id) {
+    if (!hasCoursePermission(req.user, course, 'course:manage')) {
       return res.status(403).json({ error: 'Not authorized to delete this course.' });
     }
 
     await course.destroy();
 
+    emitCoreEvent(CORE_EVENTS.COURSE_DELETED, {
+      courseId: course.id,
+      title: course.title,
+      trainerId: course.trainerId
+    }, req);
+
     res.json({ message: 'Course deleted successfully.' });
   } catch (error) {
     console.error('Delete course error:', error);
@@ -392,12 +432,19 @@ router.put('/:id/publish', [
     }
 
     // Check permissions
-    if (req.user.role !== 'super_admin' && course.trainerId !== req.user.id) {
+    if (!hasCoursePermission(req.user, course, 'course:manage')) {
       return res.status(403).json({ error: 'Not authorized to update this course.' });
     }
 
     await course.update({ isPublished: req.body.isPublished });
 
+    emitCoreEvent(CORE_EVENTS.COURSE_PUBLISHED, {
+      courseId: course.id,
+      title: course.title,
+      trainerId: course.trainerId,
+      isPublished: course.isPublished
+    }, req);
+
     res.json({
       message: `Course ${req.body.isPublished ? 'published' : 'unpublished'} successfully.`,
       course: {
@@ -450,7 +497,7 @@ router.post('/:id/thumbnail', [auth, requireTrainer, uploadCourseImage.single('i
     }
 
     // Check permissions
-    if (req.user.role !== 'super_admin' && course.trainerId !== req.user.id) {
+    if (!hasCoursePermission(req.user, course, 'course:manage')) {
       return res.status(403).json({ error: 'Not authorized to update this course.' });
     }
 
@@ -576,8 +623,11 @@ router.put('/:id/assign-trainer', [
       return res.status(400).json({ error: 'Selected trainer account is inactive.' });
     }
 
-    // Update the course with the new trainer
-    await course.update({ trainerId });
+    // Update the course with the new trainer, who becomes its lead
+    await sequelize.transaction(async (transaction) => {
+      await course.update({ trainerId }, { transaction });
+      await setLeadTrainer(course.id, trainerId, { addedBy: req.user.id, transaction });
+    });
 
     const updatedCourse = await Course.findByPk(course.id, {
       include: [
@@ -638,7 +688,11 @@ router.get('/trainer/:trainerId', auth, async (req, res) => {
     }
     
     const offset = (page - 1) * limit;
-    const whereClause = { trainerId };
+    // Courses the trainer leads or teaches as co-trainer or assistant
+    const staffMember = trainerId === req.user.id
+      ? req.user
+      : { id: trainerId, courseStaff: await loadStaffMemberships(trainerId) };
+    const whereClause = { [require('sequelize').Op.and]: [staffCourseWhere(staffMember)] };
     
     // Apply filters
     if (isPublished !== undefined) {
@@ -694,7 +748,7 @@ router.get('/stats/overview', auth, async (req, res) => {
     
     const whereClause = {};
     if (req.user.role === 'trainer') {
-      whereClause.trainerId = req.user.id;
+      Object.assign(whereClause, staffCourseWhere(req.user));
     }
 
     const totalCourses = await Course.count({ where: whereClause });
@@ -5,12 +5,19 @@ const AttendanceRecord = require('../models/AttendanceRecord');
 const ClassroomSession = require('../models/ClassroomSession');
 const Course = require('../models/Course');
 const User = require('../models/User');
+const { verifyCode } = require('../utils/attendanceQr');
+const { assessCheckIn, getRejectionMessage } = require('../utils/attendanceLocation');
+const { getArrivalStatus, hasLeftEarly, getDuration } = require('../utils/attendanceStatus');
 const router = express.Router();
 
 // Device-based check in
 router.post('/device/checkin', [
   body('sessionId').isUUID().withMessage('Valid session ID is required'),
-  body('deviceId').isString().withMessage('Device ID is required')
+  body('deviceId').isString().withMessage('Device ID is required'),
+  body('code').isString().withMessage('QR code is required'),
+  body('latitude').optional({ nullable: true }).isFloat({ min: -90, max: 90 }).toFloat().withMessage('Invalid latitude'),
+  body('longitude').optional({ nullable: true }).isFloat({ min: -180, max: 180 }).toFloat().withMessage('Invalid longitude'),
+  body('accuracy').optional({ nullable: true }).isFloat({ min: 0 }).toFloat().withMessage('Invalid location accuracy')
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -18,7 +25,7 @@ router.post('/device/checkin', [
       return res.status(400).json({ errors: errors.array() });
     }
 
-    const { sessionId, deviceId } = req.body;
+    const { sessionId, deviceId, code } = req.body;
 
     // Find the session
     const session = await ClassroomSession.findByPk(sessionId, {
@@ -29,12 +36,16 @@ router.post('/device/checkin', [
       return res.status(404).json({ error: 'Session not found' });
     }
 
+    // Only the code on the screen right now (or the one just before it) is accepted
+    if (new Date() > session.qrCodeExpiry || !verifyCode(session, code)) {
+      return res.status(400).json({ error: 'This QR code is no longer valid. Scan the code currently shown in the classroom.' });
+    }
+
     // Check if already checked in
     const existingCheckin = await AttendanceRecord.findOne({
       where: {
         sessionId,
-        deviceId,
-        status: 'checked_in'
+        deviceId
       }
     });
 
@@ -42,12 +53,21 @@ router.post('/device/checkin', [
       return res.status(400).json({ error: 'Already checked in for this session' });
     }
 
+    // Check-ins from outside the venue are rejected or flagged for the trainer
+    const location = assessCheckIn(session, req);
+    if (location.rejected) {
+      return res.status(403).json({ error: getRejectionMessage(location.reasons), reasons: location.reasons });
+    }
+
     // Create check-in record
+    const checkInTime = new Date();
     const attendanceRecord = await AttendanceRecord.create({
       sessionId,
       deviceId,
-      status: 'checked_in',
-      checkInTime: new Date()
+      status: getArrivalStatus(session, checkInTime),
+      isPresent: true,
+      checkInTime,
+      ...location.fields
     });
 
     res.status(201).json({
@@ -55,7 +75,8 @@ router.post('/device/checkin', [
       attendanceRecord: {
         id: attendanceRecord.id,
         status: attendanceRecord.status,
-        checkInTime: attendanceRecord.checkInTime
+        checkInTime: attendanceRecord.checkInTime,
+        isFlagged: attendanceRecord.isFlagged
       }
     });
 
@@ -68,7 +89,8 @@ router.post('/device/checkin', [
 // Device-based check out
 router.post('/device/checkout', [
   body('sessionId').isUUID().withMessage('Valid session ID is required'),
-  body('deviceId').isString().withMessage('Device ID is required')
+  body('deviceId').isString().withMessage('Device ID is required'),
+  body('code').isString().withMessage('QR code is required')
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -76,25 +98,37 @@ router.post('/device/checkout', [
       return res.status(400).json({ errors: errors.array() });
     }
 
-    const { sessionId, deviceId } = req.body;
+    const { sessionId, deviceId, code } = req.body;
+
+    const session = await ClassroomSession.findByPk(sessionId);
+    if (!session) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+
+    if (new Date() > session.qrCodeExpiry || !verifyCode(session, code)) {
+      return res.status(400).json({ error: 'This QR code is no longer valid. Scan the code currently shown in the classroom.' });
+    }
 
     // Find existing check-in record
     const attendanceRecord = await AttendanceRecord.findOne({
       where: {
         sessionId,
         deviceId,
-        status: 'checked_in'
+        checkOutTime: null
       }
     });
 
-    if (!attendanceRecord) {
+    if (!attendanceRecord || !attendanceRecord.checkInTime) {
       return res.status(400).json({ error: 'No active check-in found for this device' });
     }
 
     // Update to checked out
+    const checkOutTime = new Date();
     await attendanceRecord.update({
-      status: 'checked_out',
-      checkOutTime: new Date()
+      status: hasLeftEarly(session, checkOutTime) ? 'left_early' : attendanceRecord.status,
+      checkOutTime,
+      checkOutMethod: 'qr_code',
+      duration: getDuration(attendanceRecord.checkInTime, checkOutTime)
     });
 
     res.json({
@@ -103,7 +137,8 @@ router.post('/device/checkout', [
         id: attendanceRecord.id,
         status: attendanceRecord.status,
         checkInTime: attendanceRecord.checkInTime,
-        checkOutTime: attendanceRecord.checkOutTime
+        checkOutTime: attendanceRecord.checkOutTime,
+        duration: attendanceRecord.duration
       }
     });
 
@@ -153,7 +188,7 @@ router.get('/device/:deviceId/history', async (req, res) => {
     const attendanceHistory = await AttendanceRecord.findAll({
       where: { deviceId },
       include: [
-        { model: ClassroomSession, as: 'ClassroomSession' },
+        { model: ClassroomSession, as: 'ClassroomSession', attributes: { exclude: ['qrSecret'] } },
         { model: User, as: 'User' }
       ],
       order: [['checkInTime', 'DESC']]
@@ -2,9 +2,53 @@ const express = require('express');
 const { body, param, validationResult } = require('express-validator');
 const { Enrollment, Course, User } = require('../models');
 const { auth, requireTrainer } = require('../middleware/auth');
+const { hasCoursePermission } = require('../middleware/courseAccess');
+const { loadStaffMemberships, staffCourseWhere } = require('../utils/courseStaff');
+const { issueCertificateIfEligible } = require('../utils/certificates');
+const { CORE_EVENTS, CORE_HOOKS, runBeforeHook, emitCoreEvent, sendVetoResponse } = require('../utils/coreEvents');
 
 const router = express.Router();
 
+const enrollmentEventData = (enrollment, extra = {}) => ({
+  enrollmentId: enrollment.id,
+  userId: enrollment.userId,
+  courseId: enrollment.courseId,
+  status: enrollment.status,
+  ...extra
+});
+
+// Runs the before-enrollment hooks; plugins may change status, paymentStatus and notes or veto
+const prepareEnrollment = async (fields, req) => {
+  const enrollmentData = await runBeforeHook(CORE_HOOKS.BEFORE_ENROLLMENT_CREATE, fields, req);
+  return {
+    userId: fields.userId,
+    courseId: fields.courseId,
+    status: enrollmentData.status,
+    paymentStatus: enrollmentData.paymentStatus,
+    paymentAmount: fields.paymentAmount,
+    notes: enrollmentData.notes
+  };
+};
+
+const emitEnrollmentCreated = (enrollment, course, req) => {
+  emitCoreEvent(CORE_EVENTS.ENROLLMENT_CREATED, enrollmentEventData(enrollment, {
+    coursePrice: parseFloat(course.price)
+  }), req);
+};
+
+const emitEnrollmentStatusEvents = (enrollment, previousStatus, req) => {
+  emitCoreEvent(CORE_EVENTS.ENROLLMENT_UPDATED, enrollmentEventData(enrollment, { previousStatus }), req);
+
+  if (enrollment.status === previousStatus) {
+    return;
+  }
+  if (enrollment.status === 'completed') {
+    emitCoreEvent(CORE_EVENTS.ENROLLMENT_COMPLETED, enrollmentEventData(enrollment), req);
+  } else if (enrollment.status === 'cancelled') {
+    emitCoreEvent(CORE_EVENTS.ENROLLMENT_CANCELLED, enrollmentEventData(enrollment), req);
+  }
+};
+
 // @route   GET /api/enrollments
 // @desc    Get all enrollments (filtered by user role)
 // @access  Private
@@ -151,8 +195,8 @@ router.get('/course/:courseId/trainees', auth, async (req, res) => {
       return res.status(404).json({ error: 'Course not found.' });
     }
 
-    // Check if user is trainer of this course or super admin
-    if (req.user.role !== 'super_admin' && course.trainerId !== req.user.id) {
+    // Check if user is staff of this course or super admin
+    if (!hasCoursePermission(req.user, course, 'course:view')) {
       return res.status(403).json({ error: 'Not authorized to view trainees for this course.' });
     }
 
@@ -263,9 +307,12 @@ router.get('/trainer/:trainerId', auth, async (req, res) => {
     
     const offset = (page - 1) * limit;
     
-    // Get trainer's courses
+    // Get the courses the trainer teaches as lead, co-trainer or assistant
+    const staffMember = trainerId === req.user.id
+      ? req.user
+      : { id: trainerId, courseStaff: await loadStaffMemberships(trainerId) };
     const trainerCourses = await Course.findAll({
-      where: { trainerId },
+      where: staffCourseWhere(staffMember),
       attributes: ['id']
     });
     
@@ -419,14 +466,15 @@ router.post('/', [
       }
     }
 
-    const enrollment = await Enrollment.create({
+    const enrollment = await Enrollment.create(await prepareEnrollment({
       userId: req.user.id,
       courseId,
       status: 'pending',
       paymentStatus: course.price > 0 ? 'pending' : 'paid',
       paymentAmount: paymentAmount || course.price,
       notes
-    });
+    }, req));
+    emitEnrollmentCreated(enrollment, course, req);
 
     const enrollmentWithDetails = await Enrollment.findByPk(enrollment.id, {
       include: [
@@ -454,6 +502,9 @@ router.post('/', [
       enrollment: enrollmentWithDetails
     });
   } catch (error) {
+    if (sendVetoResponse(res, error)) {
+      return;
+    }
     console.error('Create enrollment error:', error);
     res.status(500).json({ error: 'Server error.' });
   }
@@ -487,8 +538,7 @@ router.put('/:id/status', [
     }
 
     // Check permissions
-    const canUpdate = req.user.role === 'super_admin' || 
-                     enrollment.course.trainerId === req.user.id ||
+    const canUpdate = hasCoursePermission(req.user, enrollment.course, 'course:manage') ||
                      enrollment.userId === req.user.id;
 
     if (!canUpdate) {
@@ -506,7 +556,9 @@ router.put('/:id/status', [
       updateData.notes = notes;
     }
 
+    const previousStatus = enrollment.status;
     await enrollment.update(updateData);
+    emitEnrollmentStatusEvents(enrollment, previousStatus, req);
 
     res.json({
       message: 'Enrollment status updated successfully.',
@@ -547,8 +599,7 @@ router.put('/:id/payment', [
     }
 
     // Check permissions
-    const canUpdate = req.user.role === 'super_admin' || 
-                     enrollment.course.trainerId === req.user.id;
+    const canUpdate = hasCoursePermission(req.user, enrollment.course, 'course:manage');
 
     if (!canUpdate) {
       return res.status(403).json({ error: 'Not authorized to update payment status.' });
@@ -608,8 +659,7 @@ router.put('/:id/progress', [
     }
 
     // Check permissions
-    const canUpdate = req.user.role === 'super_admin' || 
-                     enrollment.course.trainerId === req.user.id ||
+    const canUpdate = hasCoursePermission(req.user, enrollment.course, 'course:grade') ||
                      enrollment.userId === req.user.id;
 
     if (!canUpdate) {
@@ -618,6 +668,7 @@ router.put('/:id/progress', [
 
     const { progress } = req.body;
     await enrollment.update({ progress });
+    await issueCertificateIfEligible(enrollment);
 
     res.json({
       message: 'Progress updated successfully.',
@@ -648,15 +699,16 @@ router.delete('/:id', auth, async (req, res) => {
     }
 
     // Check permissions
-    const canCancel = req.user.role === 'super_admin' || 
-                     enrollment.course.trainerId === req.user.id ||
+    const canCancel = hasCoursePermission(req.user, enrollment.course, 'course:manage') ||
                      enrollment.userId === req.user.id;
 
     if (!canCancel) {
       return res.status(403).json({ error: 'Not authorized to cancel this enrollment.' });
     }
 
+    const previousStatus = enrollment.status;
     await enrollment.update({ status: 'cancelled' });
+    emitEnrollmentStatusEvents(enrollment, previousStatus, req);
 
     res.json({ message: 'Enrollment cancelled successfully.' });
   } catch (error) {
@@ -672,10 +724,10 @@ router.get('/stats/overview', auth, async (req, res) => {
   try {
     const whereClause = {};
     
-    // If trainer, only show their course enrollments
+    // If trainer, only show enrollments of the courses they teach
     if (req.user.role === 'trainer') {
       const trainerCourses = await Course.findAll({
-        where: { trainerId: req.user.id },
+        where: staffCourseWhere(req.user),
         attributes: ['id']
       });
       whereClause.courseId = trainerCourses.map(c => c.id);
@@ -701,7 +753,7 @@ router.get('/stats/overview', auth, async (req, res) => {
     let myStudents = 0;
     if (req.user.role === 'trainer') {
       const trainerCourses = await Course.findAll({
-        where: { trainerId: req.user.id },
+        where: staffCourseWhere(req.user),
         attributes: ['id']
       });
       
@@ -773,8 +825,8 @@ router.post('/bulk', [
       return res.status(404).json({ error: 'Course not found.' });
     }
 
-    // Check if user is trainer of this course or super admin
-    if (req.user.role !== 'super_admin' && course.trainerId !== req.user.id) {
+    // Check if user manages this course or is super admin
+    if (!hasCoursePermission(req.user, course, 'course:manage')) {
       return res.status(403).json({ error: 'Not authorized to enroll trainees to this course.' });
     }
 
@@ -808,19 +860,24 @@ router.post('/bulk', [
       return res.status(400).json({ error: 'All selected trainees are already enrolled in this course.' });
     }
 
+    // Run plugin hooks for every trainee first, so a veto leaves no partial enrollment
+    const enrollmentFields = [];
+    for (const traineeId of newTraineeIds) {
+      enrollmentFields.push(await prepareEnrollment({
+        userId: traineeId,
+        courseId,
+        status,
+        paymentStatus: course.price > 0 ? 'pending' : 'paid',
+        paymentAmount: course.price,
+        notes
+      }, req));
+    }
+
     // Create enrollments
     const enrollments = await Promise.all(
-      newTraineeIds.map(traineeId => 
-        Enrollment.create({
-          userId: traineeId,
-          courseId,
-          status,
-          paymentStatus: course.price > 0 ? 'pending' : 'paid',
-          paymentAmount: course.price,
-          notes
-        })
-      )
+      enrollmentFields.map(fields => Enrollment.create(fields))
     );
+    enrollments.forEach(enrollment => emitEnrollmentCreated(enrollment, course, req));
 
     // Get enrollment details with user and course info
     const enrollmentsWithDetails = await Enrollment.findAll({
@@ -851,6 +908,9 @@ router.post('/bulk', [
       skipped: existingTraineeIds.length
     });
   } catch (error) {
+    if (sendVetoResponse(res, error)) {
+      return;
+    }
     console.error('Bulk enrollment error:', error);
     res.status(500).json({ error: 'Server error.' });
   }
@@ -880,8 +940,8 @@ router.post('/assign', [
       return res.status(404).json({ error: 'Course not found.' });
     }
 
-    // Check if user is trainer of this course or super admin
-    if (req.user.role !== 'super_admin' && course.trainerId !== req.user.id) {
+    // Check if user manages this course or is super admin
+    if (!hasCoursePermission(req.user, course, 'course:manage')) {
       return res.status(403).json({ error: 'Not authorized to assign trainees to this course.' });
     }
 
@@ -910,14 +970,15 @@ router.post('/assign', [
       }
     }
 
-    const enrollment = await Enrollment.create({
+    const enrollment = await Enrollment.create(await prepareEnrollment({
       userId: traineeId,
       courseId,
       status,
       paymentStatus: course.price > 0 ? 'pending' : 'paid',
       paymentAmount: course.price,
       notes
-    });
+    }, req));
+    emitEnrollmentCreated(enrollment, course, req);
 
     const enrollmentWithDetails = await Enrollment.findByPk(enrollment.id, {
       include: [
@@ -945,6 +1006,9 @@ router.post('/assign', [
       enrollment: enrollmentWithDetails
     });
   } catch (error) {
+    if (sendVetoResponse(res, error)) {
+      return;
+    }
     console.error('Assign trainee error:', error);
     res.status(500).json({ error: 'Server error.' });
   }
@@ -986,7 +1050,7 @@ router.delete('/:id', [
     // Check if user has permission to remove this enrollment
     if (req.user.role === 'trainer') {
       const course = await Course.findByPk(enrollment.courseId);
-      if (!course || course.trainerId !== req.user.id) {
+      if (!course || !hasCoursePermission(req.user, course, 'course:manage')) {
         return res.status(403).json({ error: 'You can only remove enrollments from your own courses.' });
       }
     }
@@ -1049,7 +1113,7 @@ router.delete('/bulk/remove', [
     // Check permissions for each enrollment
     if (req.user.role === 'trainer') {
       const unauthorizedEnrollments = enrollments.filter(
-        enrollment => enrollment.course.trainerId !== req.user.id
+        enrollment => !hasCoursePermission(req.user, enrollment.course, 'course:manage')
       );
       
       if (unauthorizedEnrollments.length > 0) {
@@ -1123,7 +1187,7 @@ router.get('/course/:courseId/trainee/:traineeId', [
 
     // Check permissions
     if (req.user.role === 'trainer') {
-      if (enrollment.course.trainerId !== req.user.id) {
+      if (!hasCoursePermission(req.user, enrollment.course, 'course:view')) {
         return res.status(403).json({ error: 'You can only view trainees from your own courses.' });
       }
     }
@@ -3,9 +3,13 @@ const { auth } = require('../middleware/auth');
 const { Enrollment, Course, User } = require('../models');
 const { Op } = require('sequelize');
 const { sequelize } = require('../config/database');
+const { getStaffRole, staffCourseWhere, getRevenueShares } = require('../utils/courseStaff');
 
 const router = express.Router();
 
+// Paid enrollments still count after the trainee completes the course
+const PAID_ENROLLMENT_STATUSES = ['active', 'completed'];
+
 // Include currency routes from financial plugin
 const currencyRoutes = require('../plugins/financial-plugin/routes/currencies');
 router.use('/', currencyRoutes);
@@ -16,7 +20,7 @@ router.get('/dashboard', auth, async (req, res) => {
     // Calculate total revenue from enrollments
     const totalRevenue = await Enrollment.sum('paymentAmount', {
       where: {
-        status: 'active',
+        status: PAID_ENROLLMENT_STATUSES,
         paymentAmount: { [Op.gt]: 0 }
       }
     }) || 0;
@@ -24,7 +28,7 @@ router.get('/dashboard', auth, async (req, res) => {
     // Count total payments
     const totalPayments = await Enrollment.count({
       where: {
-        status: 'active',
+        status: PAID_ENROLLMENT_STATUSES,
         paymentAmount: { [Op.gt]: 0 }
       }
     });
@@ -34,7 +38,7 @@ router.get('/dashboard', auth, async (req, res) => {
       include: [{
         model: Enrollment,
         as: 'enrollments',
-        where: { status: 'active' },
+        where: { status: PAID_ENROLLMENT_STATUSES },
         required: true
       }]
     });
@@ -46,7 +50,7 @@ router.get('/dashboard', auth, async (req, res) => {
     // Get recent activity (recent enrollments)
     const recentActivity = await Enrollment.findAll({
       where: {
-        status: 'active',
+        status: PAID_ENROLLMENT_STATUSES,
         paymentAmount: { [Op.gt]: 0 }
       },
       include: [{
@@ -86,7 +90,7 @@ router.get('/payments', auth, async (req, res) => {
   try {
     const payments = await Enrollment.findAll({
       where: {
-        status: 'active',
+        status: PAID_ENROLLMENT_STATUSES,
         paymentAmount: { [Op.gt]: 0 }
       },
       include: [{
@@ -119,7 +123,7 @@ router.get('/revenue', auth, async (req, res) => {
     // Total revenue
     const totalRevenue = await Enrollment.sum('paymentAmount', {
       where: {
-        status: 'active',
+        status: PAID_ENROLLMENT_STATUSES,
         paymentAmount: { [Op.gt]: 0 }
       }
     }) || 0;
@@ -131,7 +135,7 @@ router.get('/revenue', auth, async (req, res) => {
 
     const monthlyRevenue = await Enrollment.sum('paymentAmount', {
       where: {
-        status: 'active',
+        status: PAID_ENROLLMENT_STATUSES,
         paymentAmount: { [Op.gt]: 0 },
         createdAt: {
           [Op.between]: [startOfMonth, endOfMonth]
@@ -145,7 +149,7 @@ router.get('/revenue', auth, async (req, res) => {
 
     const previousMonthRevenue = await Enrollment.sum('paymentAmount', {
       where: {
-        status: 'active',
+        status: PAID_ENROLLMENT_STATUSES,
         paymentAmount: { [Op.gt]: 0 },
         createdAt: {
           [Op.between]: [previousMonthStart, previousMonthEnd]
@@ -164,7 +168,7 @@ router.get('/revenue', auth, async (req, res) => {
         [sequelize.fn('SUM', sequelize.col('paymentAmount')), 'revenue']
       ],
       where: {
-        status: 'active',
+        status: PAID_ENROLLMENT_STATUSES,
         paymentAmount: { [Op.gt]: 0 }
       },
       include: [{
@@ -214,10 +218,10 @@ router.get('/earnings', auth, async (req, res) => {
     const userId = req.user.id;
     console.log('Fetching earnings for user:', userId);
     
-    // Get courses created by the trainer
+    // Get the courses the user leads or co-teaches; each pays out the user's revenue share
     const trainerCourses = await Course.findAll({
-      where: { trainerId: userId },
-      attributes: ['id', 'title']
+      where: staffCourseWhere(req.user, 'course:earnings'),
+      attributes: ['id', 'title', 'trainerId']
     });
     
     console.log('Found courses:', trainerCourses.length);
@@ -234,63 +238,66 @@ router.get('/earnings', auth, async (req, res) => {
     const courseIds = trainerCourses.map(course => course.id);
     console.log('Course IDs:', courseIds);
     
-    // Calculate total earnings from enrollments in trainer's courses
-    const totalEarnings = await Enrollment.sum('paymentAmount', {
-      where: {
-        courseId: { [Op.in]: courseIds },
-        status: 'active',
-        paymentAmount: { [Op.gt]: 0 }
-      }
-    }) || 0;
-    
-    console.log('Total earnings:', totalEarnings);
+    const shareByCourse = new Map();
+    for (const course of trainerCourses) {
+      const shares = await getRevenueShares(course);
+      shareByCourse.set(course.id, (shares.get(userId) || 0) / 100);
+    }
     
-    // Calculate monthly earnings (current month)
+    // Calculate monthly earnings window (current month)
     const currentDate = new Date();
     const startOfMonth = new Date(currentDate.getFullYear(), currentDate.getMonth(), 1);
     const endOfMonth = new Date(currentDate.getFullYear(), currentDate.getMonth() + 1, 0);
     
-    const monthlyEarnings = await Enrollment.sum('paymentAmount', {
-      where: {
-        courseId: { [Op.in]: courseIds },
-        status: 'active',
-        paymentAmount: { [Op.gt]: 0 },
-        createdAt: {
-          [Op.between]: [startOfMonth, endOfMonth]
-        }
-      }
-    }) || 0;
-    
-    console.log('Monthly earnings:', monthlyEarnings);
-    
-    // Get earnings by course - simplified approach
+    // Get earnings by course, split by the user's revenue share
+    let totalEarnings = 0;
+    let monthlyEarnings = 0;
     const courseEarnings = [];
     for (const course of trainerCourses) {
-      const courseEarning = await Enrollment.sum('paymentAmount', {
+      const share = shareByCourse.get(course.id);
+      const courseRevenue = await Enrollment.sum('paymentAmount', {
         where: {
           courseId: course.id,
-          status: 'active',
+          status: PAID_ENROLLMENT_STATUSES,
           paymentAmount: { [Op.gt]: 0 }
         }
       }) || 0;
       
+      const courseMonthlyRevenue = await Enrollment.sum('paymentAmount', {
+        where: {
+          courseId: course.id,
+          status: PAID_ENROLLMENT_STATUSES,
+          paymentAmount: { [Op.gt]: 0 },
+          createdAt: {
+            [Op.between]: [startOfMonth, endOfMonth]
+          }
+        }
+      }) || 0;
+      
       const enrollmentCount = await Enrollment.count({
         where: {
           courseId: course.id,
-          status: 'active',
+          status: PAID_ENROLLMENT_STATUSES,
           paymentAmount: { [Op.gt]: 0 }
         }
       });
       
+      const earnings = parseFloat(courseRevenue) * share;
+      totalEarnings += earnings;
+      monthlyEarnings += parseFloat(courseMonthlyRevenue) * share;
+      
       courseEarnings.push({
         courseId: course.id,
         courseTitle: course.title,
-        earnings: parseFloat(courseEarning),
+        earnings,
+        courseRevenue: parseFloat(courseRevenue),
+        revenueShare: share * 100,
+        staffRole: getStaffRole(req.user, course),
         enrollmentCount: enrollmentCount
       });
     }
     
-    console.log('Course earnings query completed');
+    console.log('Total earnings:', totalEarnings, 'Monthly earnings:', monthlyEarnings);
     
     const formattedCourseEarnings = courseEarnings.sort((a, b) => b.earnings - a.earnings);
     
@@ -298,7 +305,7 @@ router.get('/earnings', auth, async (req, res) => {
     const recentEarnings = await Enrollment.findAll({
       where: {
         courseId: { [Op.in]: courseIds },
-        status: 'active',
+        status: PAID_ENROLLMENT_STATUSES,
         paymentAmount: { [Op.gt]: 0 }
       },
       order: [['createdAt', 'DESC']],
@@ -320,7 +327,7 @@ router.get('/earnings', auth, async (req, res) => {
         id: enrollment.id,
         studentName: user ? `${user.firstName} ${user.lastName}` : 'Unknown User',
         courseTitle: course ? course.title : 'Unknown Course',
-        amount: enrollment.paymentAmount,
+        amount: parseFloat(enrollment.paymentAmount) * shareByCourse.get(enrollment.courseId),
         date: enrollment.createdAt
       });
     }
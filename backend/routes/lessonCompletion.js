@@ -3,6 +3,9 @@ const { body, validationResult } = require('express-validator');
 const { LessonCompletion, CourseContent, Enrollment } = require('../models');
 const { auth } = require('../middleware/auth');
 const { requirePaidEnrollment, requireEnrollment, requireCourseAccess } = require('../middleware/courseAccess');
+const { recalculateEnrollmentProgress } = require('../utils/courseProgress');
+const { issueCertificateIfEligible } = require('../utils/certificates');
+const { CORE_EVENTS, CORE_HOOKS, runBeforeHook, emitCoreEvent, sendVetoResponse } = require('../utils/coreEvents');
 
 const router = express.Router();
 
@@ -44,6 +47,7 @@ router.get('/:courseId/progress', auth, requireCourseAccess, async (req, res) =>
     // Update enrollment progress if enrollment exists
     if (enrollment) {
       await enrollment.update({ progress });
+      await issueCertificateIfEligible(enrollment);
     }
 
     res.json({
@@ -82,7 +86,8 @@ router.post('/:courseId/:contentId', [
 
     const { courseId, contentId } = req.params;
     const userId = req.user.id;
-    const { isCompleted, progress, timeSpent } = req.body;
+    const { isCompleted, progress } = req.body;
+    let { timeSpent } = req.body;
 
     // Check if user is enrolled in the course
     const enrollment = await Enrollment.findOne({
@@ -102,6 +107,17 @@ router.post('/:courseId/:contentId', [
       return res.status(404).json({ error: 'Course content not found.' });
     }
 
+    // Plugins may adjust the time spent or veto completing the lesson
+    if (isCompleted === true) {
+      const completionData = await runBeforeHook(CORE_HOOKS.BEFORE_LESSON_COMPLETE, {
+        userId,
+        courseId,
+        contentId,
+        timeSpent
+      }, req);
+      timeSpent = completionData.timeSpent;
+    }
+
     // Find or create lesson completion record
     let lessonCompletion = await LessonCompletion.findOne({
       where: { userId, courseId, contentId }
@@ -138,23 +154,23 @@ router.post('/:courseId/:contentId', [
       updateData.timeSpent = lessonCompletion.timeSpent + timeSpent;
     }
 
+    const wasCompleted = lessonCompletion.isCompleted;
     await lessonCompletion.update(updateData);
 
-    // Recalculate overall course progress
-    const allCourseContents = await CourseContent.findAll({
-      where: { courseId, isPublished: true }
-    });
-
-    const allLessonCompletions = await LessonCompletion.findAll({
-      where: { userId, courseId }
-    });
-
-    const totalLessons = allCourseContents.length;
-    const completedLessons = allLessonCompletions.filter(lc => lc.isCompleted).length;
-    const overallProgress = totalLessons > 0 ? Math.round((completedLessons / totalLessons) * 100) : 0;
+    if (lessonCompletion.isCompleted && !wasCompleted) {
+      emitCoreEvent(CORE_EVENTS.LESSON_COMPLETED, {
+        completionId: lessonCompletion.id,
+        userId,
+        courseId,
+        contentId,
+        timeSpent: lessonCompletion.timeSpent
+      }, req);
+    } else if (!lessonCompletion.isCompleted && wasCompleted) {
+      emitCoreEvent(CORE_EVENTS.LESSON_UNCOMPLETED, { userId, courseId, contentId }, req);
+    }
 
-    // Update enrollment progress
-    await enrollment.update({ progress: overallProgress });
+    // Recalculate overall course progress
+    const overallProgress = await recalculateEnrollmentProgress(enrollment, req);
 
     res.json({
       message: 'Lesson completion updated successfully.',
@@ -168,6 +184,9 @@ router.post('/:courseId/:contentId', [
       overallProgress
     });
   } catch (error) {
+    if (sendVetoResponse(res, error)) {
+      return;
+    }
     console.error('Update lesson completion error:', error);
     res.status(500).json({ error: 'Server error.' });
   }
@@ -0,0 +1,93 @@
+const express = require('express');
+const { param, query, validationResult } = require('express-validator');
+const { Notification } = require('../models');
+const { auth } = require('../middleware/auth');
+
+const router = express.Router();
+
+// @route   GET /api/notifications
+// @desc    Get the current user's notifications (newest first) and unread count
+// @access  Private
+router.get('/', [
+  auth,
+  query('unreadOnly').optional().isBoolean(),
+  query('limit').optional().isInt({ min: 1, max: 100 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const whereClause = { userId: req.user.id };
+    if (req.query.unreadOnly === 'true') {
+      whereClause.isRead = false;
+    }
+
+    const notifications = await Notification.findAll({
+      where: whereClause,
+      order: [['createdAt', 'DESC']],
+      limit: parseInt(req.query.limit, 10) || 20
+    });
+
+    const unreadCount = await Notification.count({
+      where: { userId: req.user.id, isRead: false }
+    });
+
+    res.json({ notifications, unreadCount });
+  } catch (error) {
+    console.error('Get notifications error:', error);
+    res.status(500).json({ error: 'Server error.' });
+  }
+});
+
+// @route   PUT /api/notifications/read-all
+// @desc    Mark all of the current user's notifications as read
+// @access  Private
+router.put('/read-all', auth, async (req, res) => {
+  try {
+    await Notification.update(
+      { isRead: true, readAt: new Date() },
+      { where: { userId: req.user.id, isRead: false } }
+    );
+
+    res.json({ message: 'All notifications marked as read.' });
+  } catch (error) {
+    console.error('Mark all notifications read error:', error);
+    res.status(500).json({ error: 'Server error.' });
+  }
+});
+
+// @route   PUT /api/notifications/:id/read
+// @desc    Mark a notification as read
+// @access  Private (Notification owner)
+router.put('/:id/read', [
+  auth,
+  param('id').isUUID()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const notification = await Notification.findOne({
+      where: { id: req.params.id, userId: req.user.id }
+    });
+
+    if (!notification) {
+      return res.status(404).json({ error: 'Notification not found.' });
+    }
+
+    if (!notification.isRead) {
+      await notification.update({ isRead: true, readAt: new Date() });
+    }
+
+    res.json({ notification });
+  } catch (error) {
+    console.error('Mark notification read error:', error);
+    res.status(500).json({ error: 'Server error.' });
+  }
+});
+
+module.exports = router;
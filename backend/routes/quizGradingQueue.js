@@ -0,0 +1,237 @@
+const express = require('express');
+const { body, param, query, validationResult } = require('express-validator');
+const { Op } = require('sequelize');
+const { QuizAttempt, QuizQuestion, CourseContent, Course, Enrollment, User } = require('../models');
+const { auth, requireTrainer, hasPermission } = require('../middleware/auth');
+const permissionManager = require('../core/permission-manager');
+const { AUTO_GRADED_TYPES, getPassingScore, summarizeResults } = require('../utils/quizGrading');
+const { markLessonCompleted } = require('../utils/courseProgress');
+const { hasStaffCapability, staffCourseWhere } = require('../utils/courseStaff');
+const { createNotification } = require('../utils/notifications');
+
+const router = express.Router();
+
+// Course staff can grade attempts for courses they teach; Super Admins can grade everything,
+// roles granted course:grade the courses they hold it on
+const canGradeAttempt = (user, attempt) => {
+  return user.role === 'super_admin' ||
+    (attempt.course && hasStaffCapability(user, attempt.course, 'course:grade')) ||
+    hasPermission(user, 'course:grade', attempt.courseId);
+};
+
+// Free-text and uploaded answers with the question they belong to
+const getManualItems = (attempt) => {
+  const questionsById = new Map((attempt.content?.questions || []).map(question => [question.id, question]));
+
+  return (attempt.results || [])
+    .filter(result => !AUTO_GRADED_TYPES.includes(result.questionType))
+    .map(result => {
+      const question = questionsById.get(result.questionId);
+      return {
+        ...result,
+        question: question ? question.question : null
+      };
+    });
+};
+
+// @route   GET /api/quiz-grading/queue
+// @desc    List quiz attempts with text/file answers awaiting review across the trainer's courses
+// @access  Private (Trainers and Super Admins)
+router.get('/queue', [
+  auth,
+  requireTrainer,
+  query('courseId').optional().isUUID()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const courseWhere = {};
+    const gradableCourses = permissionManager.getPermissionCourses(req.user, 'course:grade');
+    if (!gradableCourses.all) {
+      Object.assign(courseWhere, staffCourseWhere(req.user, 'course:grade', gradableCourses.courseIds));
+    }
+    if (req.query.courseId) {
+      courseWhere.id = req.query.courseId;
+    }
+
+    const attempts = await QuizAttempt.findAll({
+      where: { status: 'pending_review' },
+      attributes: { exclude: ['questionOrder'] },
+      include: [
+        {
+          model: Course,
+          as: 'course',
+          where: courseWhere,
+          attributes: ['id', 'title', 'trainerId']
+        },
+        {
+          model: CourseContent,
+          as: 'content',
+          attributes: ['id', 'title'],
+          include: [{
+            model: QuizQuestion,
+            as: 'questions',
+            attributes: ['id', 'question', 'questionType', 'points'],
+            where: { questionType: { [Op.notIn]: AUTO_GRADED_TYPES } },
+            required: false
+          }]
+        },
+        {
+          model: User,
+          as: 'user',
+          attributes: ['id', 'firstName', 'lastName', 'email']
+        }
+      ],
+      order: [['submittedAt', 'ASC']] // Oldest first
+    });
+
+    const items = attempts.map(attempt => ({
+      attemptId: attempt.id,
+      attemptNumber: attempt.attemptNumber,
+      submittedAt: attempt.submittedAt,
+      earnedPoints: attempt.earnedPoints,
+      totalPoints: attempt.totalPoints,
+      user: attempt.user,
+      course: { id: attempt.course.id, title: attempt.course.title },
+      content: { id: attempt.content?.id, title: attempt.content?.title },
+      manualItems: getManualItems(attempt)
+    }));
+
+    res.json({
+      items,
+      totalPendingAnswers: items.reduce((sum, item) => (
+        sum + item.manualItems.filter(manualItem => manualItem.status === 'pending_review').length
+      ), 0)
+    });
+  } catch (error) {
+    console.error('Get grading queue error:', error);
+    res.status(500).json({ error: 'Server error.' });
+  }
+});
+
+// @route   PUT /api/quiz-grading/attempts/:attemptId
+// @desc    Grade free-text/file answers (partial points and comments); finalizes the attempt when nothing is left to review
+// @access  Private (Course trainer or Super Admin)
+router.put('/attempts/:attemptId', [
+  auth,
+  requireTrainer,
+  param('attemptId').isUUID(),
+  body('grades').isArray({ min: 1 }),
+  body('grades.*.questionId').isUUID(),
+  body('grades.*.pointsAwarded').isFloat({ min: 0 }),
+  body('grades.*.comment').optional({ nullable: true }).isString().isLength({ max: 2000 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const attempt = await QuizAttempt.findByPk(req.params.attemptId, {
+      include: [
+        { model: Course, as: 'course', attributes: ['id', 'title', 'trainerId'] },
+        { model: CourseContent, as: 'content', attributes: ['id', 'title', 'quizData'] }
+      ]
+    });
+
+    if (!attempt) {
+      return res.status(404).json({ error: 'Quiz attempt not found.' });
+    }
+
+    if (!canGradeAttempt(req.user, attempt)) {
+      return res.status(403).json({ error: 'Not authorized to grade this attempt.' });
+    }
+
+    if (attempt.status !== 'pending_review') {
+      return res.status(400).json({ error: 'This attempt has no answers awaiting review.' });
+    }
+
+    const gradedAt = new Date();
+    // Copy the results so Sequelize detects the JSONB change
+    const results = (attempt.results || []).map(result => ({ ...result }));
+
+    for (const grade of req.body.grades) {
+      const result = results.find(r => r.questionId === grade.questionId);
+      if (!result || AUTO_GRADED_TYPES.includes(result.questionType)) {
+        return res.status(400).json({ error: 'Only text and file upload answers in this attempt can be graded manually.' });
+      }
+
+      const pointsAwarded = parseFloat(grade.pointsAwarded);
+      if (pointsAwarded > result.points) {
+        return res.status(400).json({ error: `Points awarded cannot exceed the question's ${result.points} points.` });
+      }
+
+      Object.assign(result, {
+        status: 'graded',
+        pointsAwarded,
+        isCorrect: pointsAwarded >= result.points,
+        comment: grade.comment !== undefined ? grade.comment : (result.comment || null),
+        gradedBy: req.user.id,
+        gradedAt
+      });
+    }
+
+    const summary = summarizeResults(results);
+    const isComplete = summary.pendingCount === 0;
+    const passingScore = getPassingScore(attempt.content || {});
+    const passed = isComplete && summary.score >= passingScore;
+
+    await attempt.update({
+      results,
+      earnedPoints: summary.earnedPoints,
+      totalPoints: summary.totalPoints,
+      score: summary.score,
+      correctCount: summary.correctCount,
+      status: isComplete ? 'graded' : 'pending_review',
+      passed
+    });
+
+    if (isComplete) {
+      if (passed) {
+        const enrollment = await Enrollment.findOne({
+          where: { userId: attempt.userId, courseId: attempt.courseId }
+        });
+        if (enrollment) {
+          await markLessonCompleted(enrollment, attempt.contentId, req);
+        }
+      }
+
+      await createNotification({
+        userId: attempt.userId,
+        type: 'quiz_graded',
+        title: `Quiz graded: ${attempt.content?.title || 'Quiz'}`,
+        message: `Your attempt #${attempt.attemptNumber} scored ${summary.score}% and ${passed ? 'passed' : 'did not pass'} (passing score ${passingScore}%).`,
+        link: `/courses/${attempt.courseId}/learn?content=${attempt.contentId}`,
+        data: {
+          courseId: attempt.courseId,
+          contentId: attempt.contentId,
+          attemptId: attempt.id,
+          score: summary.score,
+          passed
+        }
+      });
+    }
+
+    res.json({
+      message: isComplete ? 'Attempt graded. The trainee has been notified.' : 'Grades saved. Some answers still need review.',
+      attempt: {
+        id: attempt.id,
+        status: attempt.status,
+        earnedPoints: summary.earnedPoints,
+        totalPoints: summary.totalPoints,
+        score: summary.score,
+        pendingReview: summary.pendingCount,
+        passingScore,
+        passed
+      }
+    });
+  } catch (error) {
+    console.error('Grade quiz attempt error:', error);
+    res.status(500).json({ error: 'Server error.' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,269 @@
+const express = require('express');
+const { body, param, query, validationResult } = require('express-validator');
+const { Role, UserRole, User, Course } = require('../models');
+const { auth, requireSuperAdmin } = require('../middleware/auth');
+const permissionManager = require('../core/permission-manager');
+
+const router = express.Router();
+
+// Permission names that are not in the catalogue (loaded plugins and core permissions)
+const getUnknownPermissions = (permissions) => {
+  const known = new Set(permissionManager.getCatalogue().map(permission => permission.name));
+  return permissions.filter(permission => !known.has(permission));
+};
+
+const roleWithPermissions = (role) => ({
+  ...role,
+  permissions: permissionManager.getRolePermissions(role.name)
+});
+
+const assignmentIncludes = [
+  { model: Role, as: 'role', attributes: ['id', 'name', 'displayName', 'baseRole'] },
+  { model: User, as: 'user', attributes: ['id', 'firstName', 'lastName', 'email', 'role'] },
+  { model: Course, as: 'course', attributes: ['id', 'title'] }
+];
+
+// @route   GET /api/roles
+// @desc    Get custom roles with their permissions and number of assignments
+// @access  Private (Super Admin)
+router.get('/', auth, requireSuperAdmin, async (req, res) => {
+  try {
+    const counts = await UserRole.count({ group: ['roleId'] });
+    const countByRole = new Map(counts.map(row => [row.roleId, parseInt(row.count)]));
+
+    const roles = permissionManager.getCustomRoles().map(role => ({
+      ...roleWithPermissions(role),
+      assignmentCount: countByRole.get(role.id) || 0
+    }));
+
+    res.json({ roles });
+  } catch (error) {
+    console.error('Get roles error:', error);
+    res.status(500).json({ error: 'Server error.' });
+  }
+});
+
+// @route   POST /api/roles
+// @desc    Create a custom role
+// @access  Private (Super Admin)
+router.post('/', [
+  auth,
+  requireSuperAdmin,
+  body('name').matches(/^[a-z][a-z0-9_]{1,49}$/).withMessage('Name must be 2-50 lowercase letters, numbers or underscores, starting with a letter'),
+  body('displayName').trim().isLength({ min: 2, max: 100 }).withMessage('Display name must be between 2 and 100 characters'),
+  body('description').optional({ nullable: true }).isString(),
+  body('baseRole').isIn(['trainer', 'trainee']).withMessage('Base role must be trainer or trainee'),
+  body('permissions').optional().isArray().withMessage('Permissions must be an array')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { name, displayName, description, baseRole, permissions = [] } = req.body;
+
+    if (permissionManager.isRoleName(name)) {
+      return res.status(400).json({ error: `Role '${name}' already exists.` });
+    }
+
+    const unknown = getUnknownPermissions(permissions);
+    if (unknown.length > 0) {
+      return res.status(400).json({ error: `Unknown permissions: ${unknown.join(', ')}` });
+    }
+
+    const role = await permissionManager.createRole(
+      { name, displayName, description, baseRole, permissions },
+      req.user.id
+    );
+
+    res.status(201).json({ message: 'Role created successfully.', role });
+  } catch (error) {
+    console.error('Create role error:', error);
+    res.status(500).json({ error: 'Server error.' });
+  }
+});
+
+// @route   PUT /api/roles/:name
+// @desc    Update a custom role's details and, when given, its permissions
+// @access  Private (Super Admin)
+router.put('/:name', [
+  auth,
+  requireSuperAdmin,
+  body('displayName').optional().trim().isLength({ min: 2, max: 100 }).withMessage('Display name must be between 2 and 100 characters'),
+  body('description').optional({ nullable: true }).isString(),
+  body('baseRole').optional().isIn(['trainer', 'trainee']).withMessage('Base role must be trainer or trainee'),
+  body('permissions').optional().isArray().withMessage('Permissions must be an array')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { name } = req.params;
+    if (!permissionManager.getCustomRole(name)) {
+      return res.status(404).json({ error: 'Role not found.' });
+    }
+
+    const { displayName, description, baseRole, permissions } = req.body;
+
+    if (permissions) {
+      const unknown = getUnknownPermissions(permissions);
+      if (unknown.length > 0) {
+        return res.status(400).json({ error: `Unknown permissions: ${unknown.join(', ')}` });
+      }
+    }
+
+    const changes = {};
+    if (displayName !== undefined) changes.displayName = displayName;
+    if (description !== undefined) changes.description = description;
+    if (baseRole !== undefined) changes.baseRole = baseRole;
+
+    const role = await permissionManager.updateRole(name, changes);
+    if (permissions) {
+      await permissionManager.setRolePermissions(name, permissions, req.user.id);
+    }
+
+    res.json({ message: 'Role updated successfully.', role: roleWithPermissions(role) });
+  } catch (error) {
+    console.error('Update role error:', error);
+    res.status(500).json({ error: 'Server error.' });
+  }
+});
+
+// @route   DELETE /api/roles/:name
+// @desc    Delete a custom role with its permissions and assignments
+// @access  Private (Super Admin)
+router.delete('/:name', auth, requireSuperAdmin, async (req, res) => {
+  try {
+    const { name } = req.params;
+    if (!permissionManager.getCustomRole(name)) {
+      return res.status(404).json({ error: 'Role not found.' });
+    }
+
+    await permissionManager.deleteRole(name);
+
+    res.json({ message: 'Role deleted successfully.' });
+  } catch (error) {
+    console.error('Delete role error:', error);
+    res.status(500).json({ error: 'Server error.' });
+  }
+});
+
+// @route   GET /api/roles/assignments
+// @desc    Get custom role assignments, optionally filtered by user, role or course
+// @access  Private (Super Admin)
+router.get('/assignments', [
+  auth,
+  requireSuperAdmin,
+  query('userId').optional().isUUID(),
+  query('roleId').optional().isUUID(),
+  query('courseId').optional().isUUID()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const whereClause = {};
+    ['userId', 'roleId', 'courseId'].forEach(field => {
+      if (req.query[field]) {
+        whereClause[field] = req.query[field];
+      }
+    });
+
+    const assignments = await UserRole.findAll({
+      where: whereClause,
+      include: assignmentIncludes,
+      order: [['createdAt', 'DESC']]
+    });
+
+    res.json({ assignments });
+  } catch (error) {
+    console.error('Get role assignments error:', error);
+    res.status(500).json({ error: 'Server error.' });
+  }
+});
+
+// @route   POST /api/roles/assignments
+// @desc    Assign a custom role to a user, everywhere or on one course
+// @access  Private (Super Admin)
+router.post('/assignments', [
+  auth,
+  requireSuperAdmin,
+  body('userId').isUUID().withMessage('Valid user ID is required'),
+  body('roleId').isUUID().withMessage('Valid role ID is required'),
+  body('courseId').optional({ nullable: true }).isUUID().withMessage('Course ID must be valid')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { userId, roleId } = req.body;
+    const courseId = req.body.courseId || null;
+
+    const [user, role, course] = await Promise.all([
+      User.findByPk(userId),
+      Role.findByPk(roleId),
+      courseId ? Course.findByPk(courseId) : null
+    ]);
+
+    if (!user) {
+      return res.status(404).json({ error: 'User not found.' });
+    }
+    if (!role) {
+      return res.status(404).json({ error: 'Role not found.' });
+    }
+    if (courseId && !course) {
+      return res.status(404).json({ error: 'Course not found.' });
+    }
+
+    // The unique index does not catch duplicates without a course (NULL values differ)
+    const existing = await UserRole.findOne({ where: { userId, roleId, courseId } });
+    if (existing) {
+      return res.status(400).json({ error: 'The user already has this role.' });
+    }
+
+    const assignment = await UserRole.create({ userId, roleId, courseId, assignedBy: req.user.id });
+    const created = await UserRole.findByPk(assignment.id, { include: assignmentIncludes });
+
+    res.status(201).json({ message: 'Role assigned successfully.', assignment: created });
+  } catch (error) {
+    console.error('Assign role error:', error);
+    res.status(500).json({ error: 'Server error.' });
+  }
+});
+
+// @route   DELETE /api/roles/assignments/:id
+// @desc    Remove a custom role assignment
+// @access  Private (Super Admin)
+router.delete('/assignments/:id', [
+  auth,
+  requireSuperAdmin,
+  param('id').isUUID()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const assignment = await UserRole.findByPk(req.params.id);
+    if (!assignment) {
+      return res.status(404).json({ error: 'Role assignment not found.' });
+    }
+
+    await assignment.destroy();
+
+    res.json({ message: 'Role assignment removed successfully.' });
+  } catch (error) {
+    console.error('Remove role assignment error:', error);
+    res.status(500).json({ error: 'Server error.' });
+  }
+});
+
+module.exports = router;
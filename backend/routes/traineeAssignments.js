@@ -1,7 +1,8 @@
 const express = require('express');
 const { param, validationResult } = require('express-validator');
-const { Enrollment, Course, User, Assignment } = require('../models');
+const { Enrollment, Course, User, Assignment, AssignmentSubmission } = require('../models');
 const { auth, requireTrainer } = require('../middleware/auth');
+const { hasCoursePermission } = require('../middleware/courseAccess');
 
 const router = express.Router();
 
@@ -38,7 +39,7 @@ router.get('/:courseId/:traineeId', [
 
     // Check permissions
     if (req.user.role === 'trainer') {
-      if (enrollment.course.trainerId !== req.user.id) {
+      if (!hasCoursePermission(req.user, enrollment.course, 'course:view')) {
         return res.status(403).json({ error: 'You can only view assignments for your own courses.' });
       }
     }
@@ -49,35 +50,64 @@ router.get('/:courseId/:traineeId', [
       order: [['dueDate', 'ASC']]
     });
 
-    // Calculate basic statistics
-    const total = assignments.length;
-    const completed = 0; // No submission system yet
-    const pending = total; // All assignments are pending without submission system
-    const overdue = assignments.filter(assignment => {
-      if (!assignment.dueDate) return false;
-      return new Date(assignment.dueDate) < new Date();
-    }).length;
+    const submissions = await AssignmentSubmission.findAll({
+      where: {
+        userId: traineeId,
+        assignmentId: assignments.map(assignment => assignment.id)
+      }
+    });
+    const submissionsByAssignment = new Map(submissions.map(submission => [submission.assignmentId, submission]));
 
     // Format assignment list
     const assignmentList = assignments.map(assignment => {
-      const isOverdue = assignment.dueDate && new Date(assignment.dueDate) < new Date();
-      
+      const submission = submissionsByAssignment.get(assignment.id);
+      const isOverdue = !submission && assignment.dueDate && new Date(assignment.dueDate) < new Date();
+
+      let status = 'not-started';
+      if (submission) {
+        status = submission.status === 'graded' ? 'completed' : 'submitted';
+      } else if (isOverdue) {
+        status = 'overdue';
+      }
+
       return {
         id: assignment.id,
         title: assignment.title,
         description: assignment.description,
         points: assignment.maxScore,
         dueDate: assignment.dueDate,
-        status: isOverdue ? 'overdue' : 'not-started',
-        submission: null // No submission system yet
+        allowLateSubmission: assignment.allowLateSubmission,
+        latePenalty: assignment.latePenalty,
+        status,
+        submission: submission ? {
+          id: submission.id,
+          content: submission.content,
+          attachments: submission.attachments,
+          submittedAt: submission.submittedAt,
+          isLate: submission.isLate,
+          status: submission.status,
+          score: submission.score,
+          latePenaltyApplied: submission.latePenaltyApplied,
+          grade: submission.finalScore,
+          feedback: submission.feedback,
+          gradedAt: submission.gradedAt
+        } : null
       };
     });
 
+    // Calculate statistics
+    const total = assignments.length;
+    const completed = submissions.length;
+    const pending = total - completed;
+    const overdue = assignmentList.filter(assignment => assignment.status === 'overdue').length;
+    const graded = submissions.filter(submission => submission.status === 'graded').length;
+
     res.json({
       total,
       completed,
       pending,
       overdue,
+      graded,
       list: assignmentList
     });
 
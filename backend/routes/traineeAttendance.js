@@ -2,6 +2,7 @@ const express = require('express');
 const { param, validationResult } = require('express-validator');
 const { Enrollment, Course, User, Attendance } = require('../models');
 const { auth, requireTrainer } = require('../middleware/auth');
+const { hasCoursePermission } = require('../middleware/courseAccess');
 
 const router = express.Router();
 
@@ -38,7 +39,7 @@ router.get('/:courseId/:traineeId', [
 
     // Check permissions
     if (req.user.role === 'trainer') {
-      if (enrollment.course.trainerId !== req.user.id) {
+      if (!hasCoursePermission(req.user, enrollment.course, 'course:view')) {
         return res.status(403).json({ error: 'You can only view attendance for your own courses.' });
       }
     }
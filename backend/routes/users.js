@@ -2,6 +2,7 @@ const express = require('express');
 const { body, validationResult } = require('express-validator');
 const { User } = require('../models');
 const { auth, requireSuperAdmin, requireTrainer } = require('../middleware/auth');
+const { CORE_EVENTS, CORE_HOOKS, runBeforeHook, emitCoreEvent } = require('../utils/coreEvents');
 const multer = require('multer');
 const path = require('path');
 const fs = require('fs');
@@ -141,6 +142,11 @@ router.put('/:id', [
 
     await user.update(updateData);
 
+    emitCoreEvent(CORE_EVENTS.USER_UPDATED, {
+      userId: user.id,
+      changes: Object.keys(updateData)
+    }, req);
+
     res.json({
       message: 'User updated successfully.',
       user: {
@@ -207,6 +213,12 @@ router.delete('/:id', auth, requireSuperAdmin, async (req, res) => {
 
     await user.destroy();
 
+    emitCoreEvent(CORE_EVENTS.USER_DELETED, {
+      userId: user.id,
+      email: user.email,
+      role: user.role
+    }, req);
+
     res.json({ message: 'User deleted successfully.' });
   } catch (error) {
     console.error('Delete user error:', error);
@@ -319,18 +331,35 @@ router.post('/import', [
               const defaultPassword = req.body.defaultPassword || 'changeme123';
               const hashedPassword = await bcrypt.hash(defaultPassword, 10);
 
-              // Create user
-              await User.create({
+              // Plugins may adjust the row or reject it (a veto is reported as a row error)
+              const userData = await runBeforeHook(CORE_HOOKS.BEFORE_USER_CREATE, {
                 firstName: row.firstName.trim(),
                 lastName: row.lastName.trim(),
                 email: row.email.toLowerCase().trim(),
                 phone: row.phone ? row.phone.trim() : null,
+                role: 'trainee',
+                isActive: true
+              }, req);
+
+              // Create user
+              const user = await User.create({
+                firstName: userData.firstName,
+                lastName: userData.lastName,
+                email: userData.email,
+                phone: userData.phone,
                 password: hashedPassword,
                 role: 'trainee',
-                isActive: true,
+                isActive: userData.isActive,
                 requiresPasswordChange: true // Flag for first login password change
               });
 
+              emitCoreEvent(CORE_EVENTS.USER_CREATED, {
+                userId: user.id,
+                email: user.email,
+                role: user.role,
+                source: 'import'
+              }, req, CORE_HOOKS.AFTER_USER_CREATE);
+
               created++;
             } catch (error) {
               errors.push(`Row ${rowNumber}: ${error.message}`);
@@ -0,0 +1,318 @@
+const express = require('express');
+const { body, param, query, validationResult } = require('express-validator');
+const { Webhook, WebhookDelivery } = require('../models');
+const { auth, requireSuperAdmin } = require('../middleware/auth');
+const webhookDispatcher = require('../core/webhook-dispatcher');
+
+const router = express.Router();
+
+// Event type names that are not in the event catalogue
+const getUnknownEvents = (events) => {
+  const known = new Set(webhookDispatcher.getEventTypes());
+  return events.filter(event => !known.has(event));
+};
+
+// The secret is only returned when it is created or rotated
+const serializeWebhook = (webhook, stats = {}) => {
+  const { secret, ...data } = webhook.toJSON();
+  return { ...data, secretHint: `${secret.slice(0, 10)}…`, ...stats };
+};
+
+const webhookValidators = (optional) => {
+  const field = (name) => (optional ? body(name).optional() : body(name));
+  return [
+    field('name').trim().isLength({ min: 2, max: 100 }).withMessage('Name must be between 2 and 100 characters'),
+    field('url').isURL({ protocols: ['http', 'https'], require_protocol: true, require_tld: false }).withMessage('URL must be a valid http or https URL'),
+    field('events').isArray({ min: 1 }).withMessage('Select at least one event'),
+    body('description').optional({ nullable: true }).isString(),
+    body('isActive').optional().isBoolean()
+  ];
+};
+
+// @route   GET /api/webhooks
+// @desc    Get the webhooks with delivery counts by status
+// @access  Private (Super Admin)
+router.get('/', auth, requireSuperAdmin, async (req, res) => {
+  try {
+    const [webhooks, counts] = await Promise.all([
+      Webhook.findAll({ order: [['createdAt', 'DESC']] }),
+      WebhookDelivery.count({ group: ['webhookId', 'status'] })
+    ]);
+
+    const statsByWebhook = new Map();
+    counts.forEach(row => {
+      const stats = statsByWebhook.get(row.webhookId) || { succeeded: 0, pending: 0, failed: 0 };
+      stats[row.status] = parseInt(row.count);
+      statsByWebhook.set(row.webhookId, stats);
+    });
+
+    res.json({
+      webhooks: webhooks.map(webhook => serializeWebhook(webhook, {
+        deliveryStats: statsByWebhook.get(webhook.id) || { succeeded: 0, pending: 0, failed: 0 }
+      }))
+    });
+  } catch (error) {
+    console.error('Get webhooks error:', error);
+    res.status(500).json({ error: 'Server error.' });
+  }
+});
+
+// @route   GET /api/webhooks/events
+// @desc    Get the event types webhooks can subscribe to
+// @access  Private (Super Admin)
+router.get('/events', auth, requireSuperAdmin, (req, res) => {
+  res.json({ events: webhookDispatcher.getEventTypes() });
+});
+
+// @route   POST /api/webhooks
+// @desc    Create a webhook; the response holds its signing secret
+// @access  Private (Super Admin)
+router.post('/', [
+  auth,
+  requireSuperAdmin,
+  ...webhookValidators(false)
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { name, url, events, description, isActive } = req.body;
+
+    const unknown = getUnknownEvents(events);
+    if (unknown.length > 0) {
+      return res.status(400).json({ error: `Unknown events: ${unknown.join(', ')}` });
+    }
+
+    const webhook = await Webhook.create({
+      name,
+      url,
+      events: [...new Set(events)],
+      description,
+      isActive: isActive !== undefined ? isActive : true,
+      secret: webhookDispatcher.generateSecret(),
+      createdBy: req.user.id
+    });
+
+    res.status(201).json({
+      message: 'Webhook created successfully.',
+      webhook: serializeWebhook(webhook),
+      secret: webhook.secret
+    });
+  } catch (error) {
+    console.error('Create webhook error:', error);
+    res.status(500).json({ error: 'Server error.' });
+  }
+});
+
+// @route   PUT /api/webhooks/:id
+// @desc    Update a webhook
+// @access  Private (Super Admin)
+router.put('/:id', [
+  auth,
+  requireSuperAdmin,
+  param('id').isUUID(),
+  ...webhookValidators(true)
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const webhook = await Webhook.findByPk(req.params.id);
+    if (!webhook) {
+      return res.status(404).json({ error: 'Webhook not found.' });
+    }
+
+    const { name, url, events, description, isActive } = req.body;
+    const changes = {};
+    if (name !== undefined) changes.name = name;
+    if (url !== undefined) changes.url = url;
+    if (description !== undefined) changes.description = description;
+    if (isActive !== undefined) changes.isActive = isActive;
+    if (events !== undefined) {
+      const unknown = getUnknownEvents(events);
+      if (unknown.length > 0) {
+        return res.status(400).json({ error: `Unknown events: ${unknown.join(', ')}` });
+      }
+      changes.events = [...new Set(events)];
+    }
+
+    await webhook.update(changes);
+
+    res.json({ message: 'Webhook updated successfully.', webhook: serializeWebhook(webhook) });
+  } catch (error) {
+    console.error('Update webhook error:', error);
+    res.status(500).json({ error: 'Server error.' });
+  }
+});
+
+// @route   DELETE /api/webhooks/:id
+// @desc    Delete a webhook with its delivery log
+// @access  Private (Super Admin)
+router.delete('/:id', [
+  auth,
+  requireSuperAdmin,
+  param('id').isUUID()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const webhook = await Webhook.findByPk(req.params.id);
+    if (!webhook) {
+      return res.status(404).json({ error: 'Webhook not found.' });
+    }
+
+    await WebhookDelivery.destroy({ where: { webhookId: webhook.id } });
+    await webhook.destroy();
+
+    res.json({ message: 'Webhook deleted successfully.' });
+  } catch (error) {
+    console.error('Delete webhook error:', error);
+    res.status(500).json({ error: 'Server error.' });
+  }
+});
+
+// @route   POST /api/webhooks/:id/rotate-secret
+// @desc    Replace a webhook's signing secret
+// @access  Private (Super Admin)
+router.post('/:id/rotate-secret', [
+  auth,
+  requireSuperAdmin,
+  param('id').isUUID()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const webhook = await Webhook.findByPk(req.params.id);
+    if (!webhook) {
+      return res.status(404).json({ error: 'Webhook not found.' });
+    }
+
+    await webhook.update({ secret: webhookDispatcher.generateSecret() });
+
+    res.json({
+      message: 'Webhook secret rotated. Update the receiver before the next delivery.',
+      webhook: serializeWebhook(webhook),
+      secret: webhook.secret
+    });
+  } catch (error) {
+    console.error('Rotate webhook secret error:', error);
+    res.status(500).json({ error: 'Server error.' });
+  }
+});
+
+// @route   POST /api/webhooks/:id/test
+// @desc    Send a webhook:test event to a webhook and return the delivery
+// @access  Private (Super Admin)
+router.post('/:id/test', [
+  auth,
+  requireSuperAdmin,
+  param('id').isUUID()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const webhook = await Webhook.findByPk(req.params.id);
+    if (!webhook) {
+      return res.status(404).json({ error: 'Webhook not found.' });
+    }
+
+    const delivery = await webhookDispatcher.sendTest(webhook, req.user);
+
+    res.json({
+      message: delivery.status === 'succeeded' ? 'Test delivery succeeded.' : `Test delivery failed: ${delivery.error}`,
+      delivery
+    });
+  } catch (error) {
+    console.error('Test webhook error:', error);
+    res.status(500).json({ error: 'Server error.' });
+  }
+});
+
+// @route   GET /api/webhooks/:id/deliveries
+// @desc    Get a webhook's delivery log, newest first
+// @access  Private (Super Admin)
+router.get('/:id/deliveries', [
+  auth,
+  requireSuperAdmin,
+  param('id').isUUID(),
+  query('status').optional().isIn(['pending', 'succeeded', 'failed']),
+  query('page').optional().isInt({ min: 1 }),
+  query('limit').optional().isInt({ min: 1, max: 100 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { status, page = 1, limit = 20 } = req.query;
+    const offset = (page - 1) * limit;
+
+    const whereClause = { webhookId: req.params.id };
+    if (status) whereClause.status = status;
+
+    const { count, rows: deliveries } = await WebhookDelivery.findAndCountAll({
+      where: whereClause,
+      order: [['createdAt', 'DESC']],
+      limit: parseInt(limit),
+      offset: parseInt(offset)
+    });
+
+    res.json({
+      deliveries,
+      pagination: {
+        currentPage: parseInt(page),
+        totalPages: Math.ceil(count / limit),
+        totalItems: count,
+        itemsPerPage: parseInt(limit)
+      }
+    });
+  } catch (error) {
+    console.error('Get webhook deliveries error:', error);
+    res.status(500).json({ error: 'Server error.' });
+  }
+});
+
+// @route   POST /api/webhooks/deliveries/:deliveryId/redeliver
+// @desc    Send a delivery's payload again as a new delivery
+// @access  Private (Super Admin)
+router.post('/deliveries/:deliveryId/redeliver', [
+  auth,
+  requireSuperAdmin,
+  param('deliveryId').isUUID()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const delivery = await webhookDispatcher.redeliver(req.params.deliveryId);
+    if (!delivery) {
+      return res.status(404).json({ error: 'Delivery not found.' });
+    }
+
+    res.json({
+      message: delivery.status === 'succeeded' ? 'Redelivery succeeded.' : `Redelivery failed: ${delivery.error}`,
+      delivery
+    });
+  } catch (error) {
+    console.error('Redeliver webhook error:', error);
+    res.status(500).json({ error: 'Server error.' });
+  }
+});
+
+module.exports = router;
@@ -1,40 +1,16 @@
 const { sequelize } = require('../config/database');
-const { LessonCompletion, CourseSection, Course } = require('../models');
+const migrationRunner = require('../core/migration-runner');
+require('../models');
 
 const setupDatabase = async () => {
   try {
     console.log('🔄 Setting up database...');
     
-    // Sync all models
-    await sequelize.sync({ alter: true });
-    console.log('✅ Database synchronized successfully');
-    
-    // Create lesson_completions table if it doesn't exist
-    try {
-      await LessonCompletion.sync({ alter: true });
-      console.log('✅ Lesson completions table created/updated');
-    } catch (error) {
-      console.log('⚠️ Lesson completions table already exists or error:', error.message);
-    }
-
-    // Create course_sections table if it doesn't exist
-    try {
-      await CourseSection.sync({ alter: true });
-      console.log('✅ Course sections table created/updated');
-    } catch (error) {
-      console.log('⚠️ Course sections table already exists or error:', error.message);
-    }
+    await sequelize.authenticate();
 
-    // Create/update courses table with Course Type fields
-    try {
-      await Course.sync({ alter: true });
-      console.log('✅ Courses table created/updated with Course Type fields');
-      console.log('   - courseType (online/classroom/hybrid)');
-      console.log('   - location (for classroom/hybrid courses)');
-      console.log('   - allowRecording, recordForReplay, recordForFutureStudents');
-    } catch (error) {
-      console.log('⚠️ Courses table already exists or error:', error.message);
-    }
+    // Create the base schema on a new database and run pending core migrations
+    await migrationRunner.runCoreMigrations();
+    console.log('✅ Database migrated successfully');
     
     console.log('🎉 Database setup completed successfully!');
     console.log('🚀 Course Type system is now available:');
@@ -48,4 +24,4 @@ const setupDatabase = async () => {
   }
 };
 
-setupDatabase(); 
\ No newline at end of file
+setupDatabase();
@@ -0,0 +1,50 @@
+// Local receiver for testing outgoing webhooks (core/webhook-dispatcher.js).
+// Usage: WEBHOOK_SECRET=whsec_... node scripts/webhook-receiver.js [port]
+// Point a webhook at http://localhost:<port>/ and watch the deliveries arrive.
+// Set FAIL_STATUS=500 to answer with an error and exercise the retries.
+const http = require('http');
+const crypto = require('crypto');
+
+const port = parseInt(process.argv[2]) || 4000;
+const secret = process.env.WEBHOOK_SECRET;
+const failStatus = parseInt(process.env.FAIL_STATUS) || null;
+const TOLERANCE_SECONDS = 5 * 60;
+
+const verifySignature = (headers, body) => {
+  const timestamp = headers['x-courseworx-timestamp'];
+  const signature = headers['x-courseworx-signature'] || '';
+  if (!secret) {
+    return 'not checked (WEBHOOK_SECRET not set)';
+  }
+  if (!timestamp || Math.abs(Date.now() / 1000 - parseInt(timestamp)) > TOLERANCE_SECONDS) {
+    return 'INVALID (timestamp missing or too old)';
+  }
+
+  const expected = `sha256=${crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')}`;
+  const valid = expected.length === signature.length &&
+    crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(signature));
+  return valid ? 'valid' : 'INVALID';
+};
+
+const server = http.createServer((req, res) => {
+  let body = '';
+  req.setEncoding('utf8');
+  req.on('data', chunk => { body += chunk; });
+  req.on('end', () => {
+    console.log(`\n📨 ${req.method} ${req.url} - ${req.headers['x-courseworx-event']} (delivery ${req.headers['x-courseworx-delivery']})`);
+    console.log(`   Signature: ${verifySignature(req.headers, body)}`);
+    try {
+      console.log(JSON.stringify(JSON.parse(body), null, 2));
+    } catch (error) {
+      console.log(body);
+    }
+
+    const status = failStatus || 200;
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ received: status < 300 }));
+  });
+});
+
+server.listen(port, () => {
+  console.log(`🎧 Webhook receiver listening on http://localhost:${port}/`);
+});
@@ -11,11 +11,18 @@ require('./models');
 // Plugin System
 const pluginLoader = require('./core/plugin-loader');
 const pluginEventSystem = require('./core/plugin-events');
+const migrationRunner = require('./core/migration-runner');
+const permissionManager = require('./core/permission-manager');
+const webhookDispatcher = require('./core/webhook-dispatcher');
 
 // Core Routes
 const authRoutes = require('./routes/auth');
 const userRoutes = require('./routes/users');
+const roleRoutes = require('./routes/roles');
+const webhookRoutes = require('./routes/webhooks');
+const calendarRoutes = require('./routes/calendar');
 const courseRoutes = require('./routes/courses');
+const courseStaffRoutes = require('./routes/courseStaff');
 const courseContentRoutes = require('./routes/courseContent');
 const courseSectionRoutes = require('./routes/courseSections');
 const enrollmentRoutes = require('./routes/enrollments');
@@ -23,6 +30,7 @@ const attendanceRoutes = require('./routes/attendance');
 const deviceAttendanceRoutes = require('./routes/deviceAttendance');
 const classroomSessionRoutes = require('./routes/classroomSessions');
 const assignmentRoutes = require('./routes/assignments');
+const assignmentSubmissionRoutes = require('./routes/assignmentSubmissions');
 const lessonCompletionRoutes = require('./routes/lessonCompletion');
 const courseStatsRoutes = require('./routes/courseStats');
 const userNotesRoutes = require('./routes/userNotes');
@@ -32,10 +40,19 @@ const traineeProgressRoutes = require('./routes/traineeProgress');
 const traineeAttendanceRoutes = require('./routes/traineeAttendance');
 const traineeAssignmentsRoutes = require('./routes/traineeAssignments');
 const traineeNotesRoutes = require('./routes/traineeNotes');
+const quizGradingQueueRoutes = require('./routes/quizGradingQueue');
+const notificationRoutes = require('./routes/notifications');
+const certificateRoutes = require('./routes/certificates');
 
 const app = express();
 const PORT = process.env.PORT || 5000;
 
+// Behind a reverse proxy, take the client address (checked by classroom IP restrictions) from X-Forwarded-For
+if (process.env.TRUST_PROXY) {
+  const proxyHops = Number(process.env.TRUST_PROXY);
+  app.set('trust proxy', Number.isInteger(proxyHops) ? proxyHops : process.env.TRUST_PROXY);
+}
+
 // Global CORS configuration
 const corsOptions = {
   origin: function (origin, callback) {
@@ -121,7 +138,13 @@ app.use(helmet({
   contentSecurityPolicy: false
 }));
 
-app.use(express.json({ limit: '10mb' }));
+app.use(express.json({
+  limit: '10mb',
+  // Keep the raw body so payment webhooks can verify their signatures
+  verify: (req, res, buf) => {
+    req.rawBody = buf;
+  }
+}));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
 // Static files - completely disable CORS and serve directly
@@ -149,6 +172,10 @@ app.use('/api/core', coreApiRoutes);
 // Core Application Routes
 app.use('/api/auth', authRoutes);
 app.use('/api/users', userRoutes);
+app.use('/api/roles', roleRoutes);
+app.use('/api/webhooks', webhookRoutes);
+app.use('/api/calendar', calendarRoutes);
+app.use('/api/courses/:id/staff', courseStaffRoutes);
 app.use('/api/courses', courseRoutes);
 app.use('/api/course-content', courseContentRoutes);
 app.use('/api/course-sections', courseSectionRoutes);
@@ -156,10 +183,14 @@ app.use('/api/enrollments', enrollmentRoutes);
 app.use('/api/attendance', attendanceRoutes);
 app.use('/api/device-attendance', deviceAttendanceRoutes);
 app.use('/api/classroom-sessions', classroomSessionRoutes);
+app.use('/api/assignments/:id/submissions', assignmentSubmissionRoutes);
 app.use('/api/assignments', assignmentRoutes);
 app.use('/api/lesson-completion', lessonCompletionRoutes);
 app.use('/api/course-stats', courseStatsRoutes);
 app.use('/api/user-notes', userNotesRoutes);
+app.use('/api/quiz-grading', quizGradingQueueRoutes);
+app.use('/api/notifications', notificationRoutes);
+app.use('/api/certificates', certificateRoutes);
 
 // Trainee detail routes
 app.use('/api/trainee-progress', traineeProgressRoutes);
@@ -206,11 +237,14 @@ const startServer = async () => {
     await sequelize.authenticate();
     console.log('✅ Database connection established successfully.');
     
-    // Sync database (in development)
-    if (process.env.NODE_ENV === 'development') {
-      await sequelize.sync({ alter: true });
-      console.log('✅ Database synchronized.');
-    }
+    // Bring the schema up to date (core/migration-runner.js)
+    await migrationRunner.runCoreMigrations();
+    
+    // Load the permissions granted to roles
+    await permissionManager.load();
+    
+    // Send core events to the configured outgoing webhooks
+    webhookDispatcher.start();
     
     // Initialize Plugin System
     console.log('🔌 Initializing plugin system...');
@@ -221,26 +255,17 @@ const startServer = async () => {
       res.status(404).json({ error: 'Route not found' });
     });
     
-    // Register core hook points
-    pluginEventSystem.registerHook('before:user:create', async (data, context) => {
-      console.log('🔗 Hook: before:user:create', { userId: data.id, email: data.email });
-      return data;
-    });
-    
-    pluginEventSystem.registerHook('after:user:create', async (data, context) => {
-      console.log('🔗 Hook: after:user:create', { userId: data.id, email: data.email });
-      return data;
-    });
-    
-    pluginEventSystem.registerHook('before:course:save', async (data, context) => {
-      console.log('🔗 Hook: before:course:save', { courseId: data.id, title: data.title });
-      return data;
-    });
-    
-    pluginEventSystem.registerHook('after:course:save', async (data, context) => {
-      console.log('🔗 Hook: after:course:save', { courseId: data.id, title: data.title });
-      return data;
-    });
+    // Register core hook points (catalogue in core/plugin-events.js)
+    const { CORE_HOOKS } = pluginEventSystem;
+    [
+      CORE_HOOKS.BEFORE_USER_CREATE,
+      CORE_HOOKS.AFTER_USER_CREATE,
+      CORE_HOOKS.BEFORE_COURSE_SAVE,
+      CORE_HOOKS.AFTER_COURSE_SAVE,
+      CORE_HOOKS.BEFORE_ENROLLMENT_CREATE,
+      CORE_HOOKS.BEFORE_LESSON_COMPLETE,
+      CORE_HOOKS.BEFORE_ATTENDANCE_CHECKIN
+    ].forEach(hookPoint => pluginEventSystem.registerHook(hookPoint));
     
     app.listen(PORT, '0.0.0.0', () => {
       console.log(`🚀 Server running on port ${PORT}`);
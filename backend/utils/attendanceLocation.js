@@ -0,0 +1,175 @@
+const net = require('net');
+
+const EARTH_RADIUS_METERS = 6371000;
+// GPS accuracy counted in the trainee's favour, so a weak fix at the door still passes
+const MAX_ACCURACY_ALLOWANCE = 100;
+
+/**
+ * Great-circle distance between two points
+ * @param {number} lat1 - Latitude of the first point
+ * @param {number} lon1 - Longitude of the first point
+ * @param {number} lat2 - Latitude of the second point
+ * @param {number} lon2 - Longitude of the second point
+ * @returns {number} - Distance in meters
+ */
+const distanceInMeters = (lat1, lon1, lat2, lon2) => {
+  const toRadians = (degrees) => (degrees * Math.PI) / 180;
+  const dLat = toRadians(lat2 - lat1);
+  const dLon = toRadians(lon2 - lon1);
+  const a = Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRadians(lat1)) * Math.cos(toRadians(lat2)) * Math.sin(dLon / 2) ** 2;
+  return 2 * EARTH_RADIUS_METERS * Math.asin(Math.sqrt(a));
+};
+
+/**
+ * Strips the IPv6 prefix Node puts in front of IPv4 client addresses
+ * @param {string} ip - Address from req.ip
+ * @returns {string} - Plain address
+ */
+const normalizeIp = (ip) => (ip || '').replace(/^::ffff:/i, '');
+
+/**
+ * Parses an allowed range: a single address or CIDR such as 10.20.0.0/16
+ * @param {string} range - Range
+ * @returns {Object|null} - { address, prefix, family }, or null if invalid
+ */
+const parseIpRange = (range) => {
+  if (typeof range !== 'string') {
+    return null;
+  }
+
+  const [address, prefixValue] = range.trim().split('/');
+  const version = net.isIP(address);
+  if (!version) {
+    return null;
+  }
+
+  const family = version === 4 ? 'ipv4' : 'ipv6';
+  const maxPrefix = version === 4 ? 32 : 128;
+  const prefix = prefixValue === undefined ? maxPrefix : Number(prefixValue);
+  if (!Number.isInteger(prefix) || prefix < 0 || prefix > maxPrefix) {
+    return null;
+  }
+
+  return { address, prefix, family };
+};
+
+/**
+ * Checks whether an address is in one of the allowed ranges
+ * @param {string} ip - Client address
+ * @param {Array} ranges - Allowed ranges
+ * @returns {boolean} - Whether the address is allowed
+ */
+const isIpAllowed = (ip, ranges) => {
+  const address = normalizeIp(ip);
+  const version = net.isIP(address);
+  if (!version) {
+    return false;
+  }
+
+  const blockList = new net.BlockList();
+  ranges.map(parseIpRange).filter(Boolean).forEach(({ address: rangeAddress, prefix, family }) => {
+    blockList.addSubnet(rangeAddress, prefix, family);
+  });
+  return blockList.check(address, version === 4 ? 'ipv4' : 'ipv6');
+};
+
+/**
+ * Whether a session restricts where trainees can check in from
+ * @param {Object} session - ClassroomSession
+ * @returns {boolean}
+ */
+const hasLocationRules = (session) => (
+  session.geofenceRadius !== null && session.geofenceRadius !== undefined
+) || (Array.isArray(session.allowedIpRanges) && session.allowedIpRanges.length > 0);
+
+/**
+ * Checks a check-in against the session's geofence and allowed IP ranges
+ * @param {Object} session - ClassroomSession
+ * @param {Object} check - { latitude, longitude, accuracy, ip }
+ * @returns {Object} - { reasons: [{ code, message }], distance } with no reasons when the check-in passes
+ */
+const checkLocation = (session, { latitude, longitude, accuracy, ip }) => {
+  const reasons = [];
+  let distance = null;
+
+  if (session.geofenceRadius !== null && session.geofenceRadius !== undefined) {
+    if (latitude === undefined || latitude === null || longitude === undefined || longitude === null) {
+      reasons.push({ code: 'location_missing', message: 'No location was shared' });
+    } else {
+      distance = Math.round(distanceInMeters(
+        parseFloat(session.geofenceLatitude),
+        parseFloat(session.geofenceLongitude),
+        parseFloat(latitude),
+        parseFloat(longitude)
+      ));
+      const allowance = Math.min(parseFloat(accuracy) || 0, MAX_ACCURACY_ALLOWANCE);
+      if (distance > session.geofenceRadius + allowance) {
+        reasons.push({
+          code: 'outside_geofence',
+          message: `${distance} m from the venue (allowed ${session.geofenceRadius} m)`
+        });
+      }
+    }
+  }
+
+  if (Array.isArray(session.allowedIpRanges) && session.allowedIpRanges.length > 0 &&
+    !isIpAllowed(ip, session.allowedIpRanges)) {
+    reasons.push({
+      code: 'ip_not_allowed',
+      message: `Network address ${normalizeIp(ip) || 'unknown'} is not on the venue network`
+    });
+  }
+
+  return { reasons, distance };
+};
+
+/**
+ * Checks a check-in request and builds the location fields saved on its
+ * attendance record
+ * @param {Object} session - ClassroomSession
+ * @param {Object} req - Request with optional latitude, longitude and accuracy in the body
+ * @returns {Object} - { rejected, reasons, fields }
+ */
+const assessCheckIn = (session, req) => {
+  const { latitude, longitude, accuracy } = req.body;
+  const { reasons, distance } = checkLocation(session, { latitude, longitude, accuracy, ip: req.ip });
+  const hasPosition = latitude !== undefined && latitude !== null && longitude !== undefined && longitude !== null;
+
+  return {
+    rejected: reasons.length > 0 && session.locationPolicy === 'reject',
+    reasons,
+    fields: {
+      latitude: hasPosition ? latitude : null,
+      longitude: hasPosition ? longitude : null,
+      locationAccuracy: hasPosition && accuracy !== undefined && accuracy !== null ? Math.round(accuracy) : null,
+      distanceFromVenue: distance,
+      ipAddress: normalizeIp(req.ip) || null,
+      deviceInfo: (req.get('User-Agent') || '').slice(0, 500) || null,
+      isFlagged: reasons.length > 0,
+      flagReasons: reasons,
+      reviewDecision: null,
+      reviewedBy: null,
+      reviewedAt: null
+    }
+  };
+};
+
+/**
+ * The error returned when a session rejects a check-in from outside the venue
+ * @param {Array} reasons - Reasons from checkLocation
+ * @returns {string} - Error message
+ */
+const getRejectionMessage = (reasons) =>
+  `Check-in is only possible from the classroom: ${reasons.map(reason => reason.message).join('; ')}`;
+
+module.exports = {
+  distanceInMeters,
+  normalizeIp,
+  parseIpRange,
+  isIpAllowed,
+  hasLocationRules,
+  checkLocation,
+  assessCheckIn,
+  getRejectionMessage
+};
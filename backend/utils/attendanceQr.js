@@ -0,0 +1,137 @@
+const crypto = require('crypto');
+const QRCode = require('qrcode');
+const { getFrontendURL } = require('./getServerIP');
+
+const DEFAULT_ROTATION_SECONDS = 30;
+
+/**
+ * Generates the secret a session's rotating check-in codes are signed with
+ * @returns {string} - Hex secret
+ */
+const generateQrSecret = () => crypto.randomBytes(32).toString('hex');
+
+/**
+ * The join page URL for a session, without a code
+ * @param {string} sessionId - Session ID
+ * @returns {string} - Join URL
+ */
+const getJoinUrl = (sessionId) => {
+  const baseUrl = process.env.FRONTEND_URL || getFrontendURL(3000);
+  return `${baseUrl}/attendance/join/${sessionId}`;
+};
+
+const getRotationMs = (session) => (session.qrRotationSeconds || DEFAULT_ROTATION_SECONDS) * 1000;
+
+/**
+ * Signs a time step of a session; the nonce is only valid for that step
+ * @param {Object} session - ClassroomSession with qrSecret
+ * @param {number} step - Time step (rotations since the epoch)
+ * @returns {string} - Nonce
+ */
+const signStep = (session, step) => crypto
+  .createHmac('sha256', session.qrSecret)
+  .update(`${session.id}.${step}`)
+  .digest('hex')
+  .slice(0, 20);
+
+/**
+ * The check-in code currently shown for a session
+ * @param {Object} session - ClassroomSession with qrSecret
+ * @param {Date} now - Current time
+ * @returns {Object} - { code, url, rotatesAt }
+ */
+const getCurrentCode = (session, now = new Date()) => {
+  const rotationMs = getRotationMs(session);
+  const step = Math.floor(now.getTime() / rotationMs);
+  const code = `${step}.${signStep(session, step)}`;
+
+  return {
+    code,
+    url: `${getJoinUrl(session.id)}?code=${code}`,
+    rotatesAt: new Date((step + 1) * rotationMs)
+  };
+};
+
+/**
+ * Renders the current check-in code as a QR image
+ * @param {Object} session - ClassroomSession with qrSecret
+ * @returns {Promise<Object>} - { code, url, rotatesAt, qrCodeImage }
+ */
+const renderCurrentQrCode = async (session) => {
+  const current = getCurrentCode(session);
+  const qrCodeImage = await QRCode.toDataURL(current.url);
+  return { ...current, qrCodeImage };
+};
+
+/**
+ * Checks a scanned code: only the current code and the one before it are
+ * accepted, so a code photographed and passed on stops working within two
+ * rotations
+ * @param {Object} session - ClassroomSession with qrSecret
+ * @param {string} code - Code from the QR ("<step>.<nonce>")
+ * @param {Date} now - Current time
+ * @returns {boolean} - Whether the code is valid
+ */
+const verifyCode = (session, code, now = new Date()) => {
+  if (!session.qrSecret || typeof code !== 'string') {
+    return false;
+  }
+
+  const [stepValue, nonce] = code.split('.');
+  const step = parseInt(stepValue);
+  const currentStep = Math.floor(now.getTime() / getRotationMs(session));
+  if (!nonce || Number.isNaN(step) || (step !== currentStep && step !== currentStep - 1)) {
+    return false;
+  }
+
+  // Compare bytes: a nonce with multibyte characters has more bytes than characters
+  const expected = Buffer.from(signStep(session, step));
+  const received = Buffer.from(nonce);
+  return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+};
+
+/**
+ * Reads the session ID and code from scanned QR data: a join URL, a
+ * "<sessionId>:<code>" pair or JSON with sessionId and code
+ * @param {string} qrCodeData - Scanned data
+ * @returns {Object|null} - { sessionId, code }, or null if unreadable
+ */
+const parseQrCodeData = (qrCodeData) => {
+  if (typeof qrCodeData !== 'string') {
+    return null;
+  }
+
+  const data = qrCodeData.trim();
+  try {
+    const url = new URL(data);
+    const match = url.pathname.match(/\/attendance\/join\/([0-9a-f-]{36})\/?$/i);
+    if (match) {
+      return { sessionId: match[1], code: url.searchParams.get('code') };
+    }
+    // Other URLs fall through: a "<sessionId>:<code>" pair parses as a URL when the ID starts with a letter
+  } catch (error) {
+    // Not a URL, try the other formats
+  }
+
+  try {
+    const parsed = JSON.parse(data);
+    if (parsed && parsed.sessionId) {
+      return { sessionId: parsed.sessionId, code: parsed.code || null };
+    }
+  } catch (error) {
+    // Not JSON either
+  }
+
+  const pair = data.match(/^([0-9a-f-]{36}):(.+)$/i);
+  return pair ? { sessionId: pair[1], code: pair[2] } : null;
+};
+
+module.exports = {
+  DEFAULT_ROTATION_SECONDS,
+  generateQrSecret,
+  getJoinUrl,
+  getCurrentCode,
+  renderCurrentQrCode,
+  verifyCode,
+  parseQrCodeData
+};
@@ -0,0 +1,154 @@
+const { Op } = require('sequelize');
+const { sequelize } = require('../config/database');
+const { AttendanceRecord, Enrollment } = require('../models');
+const { CORE_EVENTS, emitCoreEvent } = require('./coreEvents');
+
+const DEFAULT_LATE_GRACE_MINUTES = 10;
+const DEFAULT_EARLY_LEAVE_GRACE_MINUTES = 10;
+
+/**
+ * Start and end of a session as dates (server time zone)
+ * @param {Object} session - ClassroomSession
+ * @returns {Object} - { start, end }
+ */
+const getSessionTimes = (session) => ({
+  start: new Date(`${session.sessionDate}T${session.startTime}`),
+  end: new Date(`${session.sessionDate}T${session.endTime}`)
+});
+
+const getGraceMs = (minutes, defaultMinutes) =>
+  (minutes === null || minutes === undefined ? defaultMinutes : minutes) * 60 * 1000;
+
+/**
+ * Whether a check-in counts as on time or late
+ * @param {Object} session - ClassroomSession
+ * @param {Date} checkInTime - Check-in time
+ * @returns {string} - 'present' or 'late'
+ */
+const getArrivalStatus = (session, checkInTime) => {
+  const { start } = getSessionTimes(session);
+  const graceMs = getGraceMs(session.lateGraceMinutes, DEFAULT_LATE_GRACE_MINUTES);
+  return new Date(checkInTime) > new Date(start.getTime() + graceMs) ? 'late' : 'present';
+};
+
+/**
+ * Whether a check-out was before the session ended (beyond the grace period)
+ * @param {Object} session - ClassroomSession
+ * @param {Date} checkOutTime - Check-out time
+ * @returns {boolean}
+ */
+const hasLeftEarly = (session, checkOutTime) => {
+  const { end } = getSessionTimes(session);
+  const graceMs = getGraceMs(session.earlyLeaveGraceMinutes, DEFAULT_EARLY_LEAVE_GRACE_MINUTES);
+  return new Date(checkOutTime) < new Date(end.getTime() - graceMs);
+};
+
+/**
+ * Minutes between check-in and check-out
+ * @param {Date} checkInTime - Check-in time
+ * @param {Date} checkOutTime - Check-out time
+ * @returns {number} - Duration in minutes, never negative
+ */
+const getDuration = (checkInTime, checkOutTime) =>
+  Math.max(Math.round((new Date(checkOutTime) - new Date(checkInTime)) / (1000 * 60)), 0);
+
+/**
+ * Marks a session completed and settles its attendance: each check-in gets its
+ * final status and duration (trainees who never checked out are counted until
+ * the session ended), and every active enrollee without a check-in is
+ * recorded absent and announced with attendance:missed
+ * @param {Object} session - ClassroomSession
+ * @param {Object} req - Express request (for the acting user)
+ * @returns {Promise<Object>} - { present, late, leftEarly, absent }
+ */
+const closeOutSession = async (session, req) => {
+  const { end } = getSessionTimes(session);
+  const summary = { present: 0, late: 0, leftEarly: 0, absent: 0 };
+  const missed = [];
+
+  await sequelize.transaction(async (transaction) => {
+    await session.update({ status: 'completed' }, { transaction });
+
+    const records = await AttendanceRecord.findAll({
+      where: { sessionId: session.id },
+      transaction
+    });
+
+    for (const record of records) {
+      // No check-in, or a check-in the trainer rejected
+      if (!record.checkInTime || record.reviewDecision === 'rejected') {
+        if (record.status !== 'absent' || record.isPresent) {
+          await record.update({ status: 'absent', isPresent: false, duration: null }, { transaction });
+          if (record.traineeId) {
+            missed.push(record);
+          }
+        }
+        summary.absent++;
+        continue;
+      }
+
+      // Keep the arrival status set at check-in (plugins may have changed it)
+      let status = ['present', 'late'].includes(record.status)
+        ? record.status
+        : getArrivalStatus(session, record.checkInTime);
+      if (record.checkOutTime && hasLeftEarly(session, record.checkOutTime)) {
+        status = 'left_early';
+      }
+
+      const duration = record.checkOutTime
+        ? getDuration(record.checkInTime, record.checkOutTime)
+        : getDuration(record.checkInTime, end);
+
+      await record.update({ status, duration, isPresent: true }, { transaction });
+      summary[status === 'left_early' ? 'leftEarly' : status]++;
+    }
+
+    const recordedTrainees = new Set(records.map(record => record.traineeId).filter(Boolean));
+    const enrollments = await Enrollment.findAll({
+      where: {
+        courseId: session.courseId,
+        status: ['active', 'completed'],
+        enrolledAt: { [Op.lte]: end }
+      },
+      attributes: ['userId'],
+      transaction
+    });
+
+    for (const { userId } of enrollments) {
+      if (recordedTrainees.has(userId)) {
+        continue;
+      }
+
+      const record = await AttendanceRecord.create({
+        sessionId: session.id,
+        traineeId: userId,
+        checkInMethod: 'admin',
+        status: 'absent',
+        isPresent: false
+      }, { transaction });
+      missed.push(record);
+      summary.absent++;
+    }
+  });
+
+  missed.forEach(record => {
+    emitCoreEvent(CORE_EVENTS.ATTENDANCE_MISSED, {
+      attendanceId: record.id,
+      sessionId: session.id,
+      userId: record.traineeId,
+      courseId: session.courseId
+    }, req);
+  });
+
+  return summary;
+};
+
+module.exports = {
+  DEFAULT_LATE_GRACE_MINUTES,
+  DEFAULT_EARLY_LEAVE_GRACE_MINUTES,
+  getSessionTimes,
+  getArrivalStatus,
+  hasLeftEarly,
+  getDuration,
+  closeOutSession
+};
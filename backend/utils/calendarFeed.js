@@ -0,0 +1,156 @@
+const crypto = require('crypto');
+const { Op } = require('sequelize');
+const { Assignment, ClassroomSession, Course, Enrollment } = require('../models');
+const { loadStaffMemberships, staffCourseWhere } = require('./courseStaff');
+const { getSessionTimes } = require('./attendanceStatus');
+const { getFrontendURL } = require('./getServerIP');
+const { buildCalendar } = require('./icalendar');
+
+// Recent past events stay in the feed so calendars pick up late changes and cancellations
+const FEED_PAST_DAYS = 30;
+const UID_DOMAIN = 'courseworx';
+
+/**
+ * Generates the secret token of a calendar feed URL
+ * @returns {string} - Hex token
+ */
+const generateFeedToken = () => crypto.randomBytes(32).toString('hex');
+
+const getCourseUrl = (courseId) => `${process.env.FRONTEND_URL || getFrontendURL(3000)}/courses/${courseId}`;
+
+/**
+ * Gets the courses a user's feed covers: active and completed enrollments and every course they teach
+ * @param {Object} user - User
+ * @returns {Promise<Object>} - { courses, taughtCourseIds }
+ */
+const getFeedCourses = async (user) => {
+  const [enrollments, courseStaff] = await Promise.all([
+    Enrollment.findAll({
+      where: { userId: user.id, status: ['active', 'completed'] },
+      attributes: ['courseId']
+    }),
+    loadStaffMemberships(user.id)
+  ]);
+
+  const taughtCourses = await Course.findAll({
+    where: staffCourseWhere({ id: user.id, courseStaff }),
+    attributes: ['id']
+  });
+  const taughtCourseIds = new Set(taughtCourses.map(course => course.id));
+  const courseIds = [...new Set([...enrollments.map(enrollment => enrollment.courseId), ...taughtCourseIds])];
+
+  const courses = courseIds.length === 0 ? [] : await Course.findAll({
+    where: { id: { [Op.in]: courseIds } },
+    attributes: ['id', 'title', 'startDate', 'endDate', 'updatedAt']
+  });
+
+  return { courses, taughtCourseIds };
+};
+
+const sessionToEvent = (session, course) => {
+  const { start, end } = getSessionTimes(session);
+  const cancelled = session.status === 'cancelled';
+  const description = [
+    course.title,
+    session.notes,
+    cancelled && session.cancellationReason ? `Cancelled: ${session.cancellationReason}` : null
+  ].filter(Boolean).join('\n\n');
+
+  return {
+    uid: `session-${session.id}@${UID_DOMAIN}`,
+    start,
+    end,
+    summary: `${cancelled ? 'Cancelled: ' : ''}${course.title} - Classroom session`,
+    description,
+    location: [session.location, session.roomNumber].filter(Boolean).join(', '),
+    url: getCourseUrl(course.id),
+    status: cancelled ? 'CANCELLED' : 'CONFIRMED',
+    lastModified: session.updatedAt
+  };
+};
+
+const assignmentToEvent = (assignment, course) => ({
+  uid: `assignment-${assignment.id}@${UID_DOMAIN}`,
+  start: assignment.dueDate,
+  summary: `Due: ${assignment.title} (${course.title})`,
+  description: `${course.title}\n\n${assignment.description}`,
+  url: getCourseUrl(course.id),
+  lastModified: assignment.updatedAt
+});
+
+const courseDateToEvents = (course) => [
+  course.startDate && {
+    uid: `course-start-${course.id}@${UID_DOMAIN}`,
+    allDay: true,
+    start: course.startDate,
+    summary: `${course.title} starts`,
+    url: getCourseUrl(course.id),
+    lastModified: course.updatedAt
+  },
+  course.endDate && {
+    uid: `course-end-${course.id}@${UID_DOMAIN}`,
+    allDay: true,
+    start: course.endDate,
+    summary: `${course.title} ends`,
+    url: getCourseUrl(course.id),
+    lastModified: course.updatedAt
+  }
+].filter(Boolean);
+
+/**
+ * Builds a user's calendar feed: classroom sessions (cancelled ones with
+ * STATUS:CANCELLED), assignment due dates and course start and end dates of
+ * the courses they are enrolled in or teach. Unpublished assignments are only
+ * included for the courses the user teaches.
+ * @param {Object} user - User
+ * @returns {Promise<string>} - The .ics content
+ */
+const buildUserCalendar = async (user) => {
+  const { courses, taughtCourseIds } = await getFeedCourses(user);
+  const coursesById = new Map(courses.map(course => [course.id, course]));
+  const courseIds = [...coursesById.keys()];
+
+  const since = new Date();
+  since.setDate(since.getDate() - FEED_PAST_DAYS);
+  since.setHours(0, 0, 0, 0);
+  const sinceDate = `${since.getFullYear()}-${String(since.getMonth() + 1).padStart(2, '0')}-${String(since.getDate()).padStart(2, '0')}`;
+
+  const [sessions, assignments] = courseIds.length === 0 ? [[], []] : await Promise.all([
+    ClassroomSession.findAll({
+      where: {
+        courseId: { [Op.in]: courseIds },
+        sessionDate: { [Op.gte]: sinceDate }
+      },
+      attributes: { exclude: ['qrSecret'] },
+      order: [['sessionDate', 'ASC'], ['startTime', 'ASC']]
+    }),
+    Assignment.findAll({
+      where: {
+        courseId: { [Op.in]: courseIds },
+        dueDate: { [Op.gte]: since },
+        [Op.or]: [
+          { isPublished: true },
+          { courseId: { [Op.in]: [...taughtCourseIds] } }
+        ]
+      },
+      attributes: ['id', 'courseId', 'title', 'description', 'dueDate', 'updatedAt'],
+      order: [['dueDate', 'ASC']]
+    })
+  ]);
+
+  return buildCalendar({
+    name: `CourseWorx - ${user.firstName} ${user.lastName}`,
+    events: [
+      ...courses.flatMap(courseDateToEvents),
+      ...sessions.map(session => sessionToEvent(session, coursesById.get(session.courseId))),
+      ...assignments.map(assignment => assignmentToEvent(assignment, coursesById.get(assignment.courseId)))
+    ]
+  });
+};
+
+module.exports = {
+  FEED_PAST_DAYS,
+  generateFeedToken,
+  getFeedCourses,
+  buildUserCalendar
+};
@@ -0,0 +1,270 @@
+/**
+ * Certificate Template Utilities
+ * Renders CourseContent.certificateTemplate layouts into PDF certificates.
+ *
+ * Template shape (all positions and sizes are percentages of the page so layouts
+ * are independent of the PDF resolution):
+ * {
+ *   page: { size: 'A4', orientation: 'landscape' },
+ *   background: { color: '#ffffff', imageUrl: '/uploads/...' },
+ *   border: { color: '#1e3a8a', width: 6 },
+ *   elements: [
+ *     { type: 'text', text: '{{traineeName}}', x, y, width, fontSize, color, align, bold, italic },
+ *     { type: 'image', role: 'logo' | 'signature' | 'image', imageUrl: '/uploads/...', x, y, width, height }
+ *   ]
+ * }
+ */
+
+const path = require('path');
+const fs = require('fs');
+const PDFDocument = require('pdfkit');
+
+const UPLOADS_DIR = path.join(__dirname, '../uploads');
+
+// Placeholders that can be used inside text elements
+const CERTIFICATE_PLACEHOLDERS = [
+  'traineeName',
+  'courseTitle',
+  'trainerName',
+  'completionDate',
+  'serial',
+  'verificationUrl'
+];
+
+const DEFAULT_CERTIFICATE_TEMPLATE = {
+  page: { size: 'A4', orientation: 'landscape' },
+  background: { color: '#ffffff', imageUrl: null },
+  border: { color: '#1e3a8a', width: 6 },
+  elements: [
+    { type: 'text', text: 'Certificate of Completion', x: 10, y: 14, width: 80, fontSize: 36, color: '#1e3a8a', align: 'center', bold: true },
+    { type: 'text', text: 'This is to certify that', x: 10, y: 30, width: 80, fontSize: 16, color: '#374151', align: 'center' },
+    { type: 'text', text: '{{traineeName}}', x: 10, y: 38, width: 80, fontSize: 32, color: '#111827', align: 'center', bold: true },
+    { type: 'text', text: 'has successfully completed the course', x: 10, y: 52, width: 80, fontSize: 16, color: '#374151', align: 'center' },
+    { type: 'text', text: '{{courseTitle}}', x: 10, y: 59, width: 80, fontSize: 24, color: '#1e3a8a', align: 'center', bold: true },
+    { type: 'text', text: 'Trainer: {{trainerName}}', x: 10, y: 76, width: 35, fontSize: 14, color: '#374151', align: 'center' },
+    { type: 'text', text: 'Date: {{completionDate}}', x: 55, y: 76, width: 35, fontSize: 14, color: '#374151', align: 'center' },
+    { type: 'text', text: 'Certificate No. {{serial}} - Verify at {{verificationUrl}}', x: 5, y: 90, width: 90, fontSize: 10, color: '#6b7280', align: 'center' }
+  ]
+};
+
+/**
+ * Replaces {{placeholder}} tokens with certificate data
+ * @param {string} text - Text containing placeholders
+ * @param {Object} data - Placeholder values
+ * @returns {string} - Text with placeholders filled in
+ */
+const fillPlaceholders = (text, data) => {
+  return String(text || '').replace(/{{\s*(\w+)\s*}}/g, (match, key) => (
+    data[key] !== undefined && data[key] !== null ? String(data[key]) : ''
+  ));
+};
+
+const MAX_TEMPLATE_ELEMENTS = 50;
+
+const clampNumber = (value, min, max, fallback) => {
+  const number = parseFloat(value);
+  if (!Number.isFinite(number)) {
+    return fallback;
+  }
+  return Math.min(Math.max(number, min), max);
+};
+
+const isColor = (value) => typeof value === 'string' && /^#[0-9a-fA-F]{3,8}$/.test(value);
+
+/**
+ * Keeps only the supported template properties (as saved by the certificate designer)
+ * @param {Object} template - Raw template from the request body
+ * @returns {Object} - Sanitized template
+ */
+const sanitizeCertificateTemplate = (template) => {
+  if (!template || typeof template !== 'object') {
+    return {};
+  }
+
+  const page = template.page || {};
+  const background = template.background || {};
+  const border = template.border || {};
+  const elements = Array.isArray(template.elements) ? template.elements.slice(0, MAX_TEMPLATE_ELEMENTS) : [];
+
+  return {
+    page: {
+      size: 'A4',
+      orientation: page.orientation === 'portrait' ? 'portrait' : 'landscape'
+    },
+    background: {
+      color: isColor(background.color) ? background.color : '#ffffff',
+      imageUrl: typeof background.imageUrl === 'string' ? background.imageUrl : null
+    },
+    border: {
+      color: isColor(border.color) ? border.color : '#1e3a8a',
+      width: clampNumber(border.width, 0, 30, 0)
+    },
+    elements: elements
+      .filter(element => element && ['text', 'image'].includes(element.type))
+      .map(element => {
+        const base = {
+          id: typeof element.id === 'string' ? element.id.slice(0, 50) : undefined,
+          type: element.type,
+          x: clampNumber(element.x, 0, 100, 0),
+          y: clampNumber(element.y, 0, 100, 0),
+          width: clampNumber(element.width, 1, 100, 30)
+        };
+
+        if (element.type === 'image') {
+          return {
+            ...base,
+            role: ['logo', 'signature'].includes(element.role) ? element.role : 'image',
+            imageUrl: typeof element.imageUrl === 'string' ? element.imageUrl : null,
+            height: element.height ? clampNumber(element.height, 1, 100, null) : null
+          };
+        }
+
+        return {
+          ...base,
+          text: String(element.text || '').slice(0, 500),
+          fontSize: clampNumber(element.fontSize, 6, 96, 14),
+          color: isColor(element.color) ? element.color : '#111827',
+          align: ['left', 'center', 'right'].includes(element.align) ? element.align : 'left',
+          bold: element.bold === true,
+          italic: element.italic === true
+        };
+      })
+  };
+};
+
+/**
+ * Returns the template to render: the stored template when it has elements, otherwise the default layout
+ * @param {Object} template - CourseContent.certificateTemplate
+ * @returns {Object} - Template with page, background, border and elements
+ */
+const resolveTemplate = (template) => {
+  if (!template || !Array.isArray(template.elements) || template.elements.length === 0) {
+    return DEFAULT_CERTIFICATE_TEMPLATE;
+  }
+
+  return {
+    ...DEFAULT_CERTIFICATE_TEMPLATE,
+    ...template,
+    page: { ...DEFAULT_CERTIFICATE_TEMPLATE.page, ...(template.page || {}) },
+    background: { ...DEFAULT_CERTIFICATE_TEMPLATE.background, ...(template.background || {}) }
+  };
+};
+
+/**
+ * Maps an uploaded image URL to a file on disk. Only JPEG/PNG files inside uploads/ are allowed.
+ * @param {string} imageUrl - URL such as /uploads/certificates/logo.png
+ * @returns {string|null} - Absolute file path, or null if the image can't be used
+ */
+const resolveUploadedImage = (imageUrl) => {
+  if (!imageUrl || typeof imageUrl !== 'string' || !imageUrl.startsWith('/uploads/')) {
+    return null;
+  }
+
+  const filePath = path.normalize(path.join(UPLOADS_DIR, imageUrl.replace(/^\/uploads\//, '')));
+  if (!filePath.startsWith(UPLOADS_DIR + path.sep)) {
+    return null;
+  }
+
+  if (!['.jpg', '.jpeg', '.png'].includes(path.extname(filePath).toLowerCase())) {
+    return null;
+  }
+
+  return fs.existsSync(filePath) ? filePath : null;
+};
+
+const getFontName = (element) => {
+  if (element.bold && element.italic) return 'Helvetica-BoldOblique';
+  if (element.bold) return 'Helvetica-Bold';
+  if (element.italic) return 'Helvetica-Oblique';
+  return 'Helvetica';
+};
+
+/**
+ * Renders a certificate template to a PDF
+ * @param {Object} template - Certificate template (see shape above)
+ * @param {Object} data - Placeholder values (traineeName, courseTitle, ...)
+ * @returns {Promise<Buffer>} - PDF file contents
+ */
+const renderCertificatePdf = (template, data) => {
+  const layout = resolveTemplate(template);
+
+  return new Promise((resolve, reject) => {
+    try {
+      const doc = new PDFDocument({
+        size: layout.page.size || 'A4',
+        layout: layout.page.orientation === 'portrait' ? 'portrait' : 'landscape',
+        margin: 0,
+        info: {
+          Title: fillPlaceholders('Certificate - {{courseTitle}}', data),
+          Author: 'CourseWorx'
+        }
+      });
+
+      const chunks = [];
+      doc.on('data', chunk => chunks.push(chunk));
+      doc.on('end', () => resolve(Buffer.concat(chunks)));
+      doc.on('error', reject);
+
+      const pageWidth = doc.page.width;
+      const pageHeight = doc.page.height;
+      const toX = (percent) => (parseFloat(percent) || 0) / 100 * pageWidth;
+      const toY = (percent) => (parseFloat(percent) || 0) / 100 * pageHeight;
+
+      // Background
+      if (layout.background.color) {
+        doc.rect(0, 0, pageWidth, pageHeight).fill(layout.background.color);
+      }
+      const backgroundImage = resolveUploadedImage(layout.background.imageUrl);
+      if (backgroundImage) {
+        doc.image(backgroundImage, 0, 0, { width: pageWidth, height: pageHeight });
+      }
+
+      // Border
+      if (layout.border && layout.border.width > 0) {
+        const inset = 20;
+        doc.lineWidth(layout.border.width)
+          .strokeColor(layout.border.color || '#000000')
+          .rect(inset, inset, pageWidth - inset * 2, pageHeight - inset * 2)
+          .stroke();
+      }
+
+      layout.elements.forEach(element => {
+        if (element.type === 'image') {
+          const imagePath = resolveUploadedImage(element.imageUrl);
+          if (!imagePath) {
+            return;
+          }
+          const options = {};
+          if (element.width) options.width = toX(element.width);
+          if (element.height) options.height = toY(element.height);
+          doc.image(imagePath, toX(element.x), toY(element.y), options);
+          return;
+        }
+
+        if (element.type === 'text') {
+          doc.font(getFontName(element))
+            .fontSize(parseFloat(element.fontSize) || 14)
+            .fillColor(element.color || '#111827')
+            .text(fillPlaceholders(element.text, data), toX(element.x), toY(element.y), {
+              width: toX(element.width || 100 - (parseFloat(element.x) || 0)),
+              align: ['left', 'center', 'right'].includes(element.align) ? element.align : 'left',
+              lineBreak: true
+            });
+        }
+      });
+
+      doc.end();
+    } catch (error) {
+      reject(error);
+    }
+  });
+};
+
+module.exports = {
+  CERTIFICATE_PLACEHOLDERS,
+  DEFAULT_CERTIFICATE_TEMPLATE,
+  fillPlaceholders,
+  sanitizeCertificateTemplate,
+  resolveTemplate,
+  renderCertificatePdf
+};
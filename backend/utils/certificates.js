@@ -0,0 +1,156 @@
+const crypto = require('crypto');
+const { Certificate, Course, CourseContent, CourseStats, User } = require('../models');
+const { resolveTemplate, renderCertificatePdf } = require('./certificateTemplate');
+const { createNotification } = require('./notifications');
+const { getFrontendURL } = require('./getServerIP');
+const { CORE_EVENTS, emitCoreEvent } = require('./coreEvents');
+
+/**
+ * Generates a certificate serial such as CX-2026-3F9A1C07B2
+ * @returns {string} - Serial number
+ */
+const generateSerial = () => {
+  const year = new Date().getFullYear();
+  return `CX-${year}-${crypto.randomBytes(5).toString('hex').toUpperCase()}`;
+};
+
+/**
+ * Public URL where a certificate can be verified
+ * @param {string} serial - Certificate serial
+ * @returns {string} - Verification URL
+ */
+const getVerificationUrl = (serial) => {
+  const baseUrl = process.env.FRONTEND_URL || getFrontendURL(3000);
+  return `${baseUrl}/certificates/verify/${serial}`;
+};
+
+/**
+ * Placeholder values for rendering an issued certificate
+ * @param {Object} certificate - Certificate instance
+ * @returns {Object} - Data for renderCertificatePdf
+ */
+const getCertificateData = (certificate) => ({
+  traineeName: certificate.traineeName,
+  courseTitle: certificate.courseTitle,
+  trainerName: certificate.trainerName || '',
+  completionDate: new Date(certificate.completionDate).toLocaleDateString('en-US', {
+    year: 'numeric',
+    month: 'long',
+    day: 'numeric'
+  }),
+  serial: certificate.serial,
+  verificationUrl: getVerificationUrl(certificate.serial)
+});
+
+/**
+ * Renders an issued certificate as a PDF using the template captured at issue time
+ * @param {Object} certificate - Certificate instance
+ * @returns {Promise<Buffer>} - PDF file contents
+ */
+const renderIssuedCertificate = (certificate) => {
+  return renderCertificatePdf(certificate.templateSnapshot, getCertificateData(certificate));
+};
+
+/**
+ * Issues a certificate for an enrollment (returns the existing one if already issued)
+ * @param {Object} enrollment - Enrollment instance
+ * @returns {Promise<Object>} - Certificate instance
+ */
+const issueCertificate = async (enrollment) => {
+  const existing = await Certificate.findOne({ where: { enrollmentId: enrollment.id } });
+  if (existing) {
+    return existing;
+  }
+
+  const [user, course] = await Promise.all([
+    User.findByPk(enrollment.userId, { attributes: ['id', 'firstName', 'lastName'] }),
+    Course.findByPk(enrollment.courseId, {
+      include: [{ model: User, as: 'trainer', attributes: ['id', 'firstName', 'lastName'] }]
+    })
+  ]);
+
+  if (!user || !course) {
+    throw new Error('Cannot issue certificate: user or course not found');
+  }
+
+  // The first published certificate item in the course provides the layout
+  const certificateContent = await CourseContent.findOne({
+    where: { courseId: course.id, type: 'certificate', isPublished: true },
+    order: [['order', 'ASC']]
+  });
+
+  const issuedAt = new Date();
+  let serial = generateSerial();
+  while (await Certificate.count({ where: { serial } }) > 0) {
+    serial = generateSerial();
+  }
+
+  const certificate = await Certificate.create({
+    serial,
+    enrollmentId: enrollment.id,
+    userId: user.id,
+    courseId: course.id,
+    contentId: certificateContent ? certificateContent.id : null,
+    traineeName: `${user.firstName} ${user.lastName}`.trim(),
+    courseTitle: course.title,
+    trainerName: course.trainer ? `${course.trainer.firstName} ${course.trainer.lastName}`.trim() : null,
+    completionDate: enrollment.completedAt || issuedAt,
+    issuedAt,
+    templateSnapshot: resolveTemplate(certificateContent?.certificateTemplate)
+  });
+
+  await enrollment.update({ certificateIssued: true, certificateIssuedAt: issuedAt });
+
+  await createNotification({
+    userId: user.id,
+    type: 'certificate_issued',
+    title: `Certificate issued: ${course.title}`,
+    message: `Congratulations on completing the course! Your certificate number is ${serial}.`,
+    link: `/courses/${course.id}/learn`,
+    data: { courseId: course.id, certificateId: certificate.id, serial }
+  });
+
+  emitCoreEvent(CORE_EVENTS.CERTIFICATE_ISSUED, {
+    certificateId: certificate.id,
+    serial,
+    enrollmentId: enrollment.id,
+    userId: user.id,
+    courseId: course.id
+  });
+
+  return certificate;
+};
+
+/**
+ * Issues a certificate once an enrollment reaches 100% progress, unless the course has certificates turned off.
+ * Failures are logged so they never break the progress update that triggered them.
+ * @param {Object} enrollment - Enrollment instance
+ * @returns {Promise<Object|null>} - Issued certificate, or null when not eligible
+ */
+const issueCertificateIfEligible = async (enrollment) => {
+  if (!enrollment || enrollment.progress < 100 || enrollment.certificateIssued ||
+      !['active', 'completed'].includes(enrollment.status)) {
+    return null;
+  }
+
+  try {
+    const stats = await CourseStats.findOne({ where: { courseId: enrollment.courseId } });
+    if (stats && stats.certificateAvailable === false) {
+      return null;
+    }
+
+    return await issueCertificate(enrollment);
+  } catch (error) {
+    console.error('Issue certificate error:', error);
+    return null;
+  }
+};
+
+module.exports = {
+  generateSerial,
+  getVerificationUrl,
+  getCertificateData,
+  renderIssuedCertificate,
+  issueCertificate,
+  issueCertificateIfEligible
+};
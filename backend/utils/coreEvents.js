@@ -0,0 +1,65 @@
+const pluginEventSystem = require('../core/plugin-events');
+
+const { CORE_EVENTS, CORE_HOOKS, HookVetoError } = pluginEventSystem;
+
+// Acting user passed to plugins as context.user
+const buildContext = (req) => (req && req.user
+  ? { user: { id: req.user.id, role: req.user.role } }
+  : {});
+
+/**
+ * Runs plugin "before" hooks for a core action.
+ * Hooks may return a modified payload; a veto throws a HookVetoError
+ * that the route turns into a 403 with sendVetoResponse.
+ * @param {string} hookPoint - One of CORE_HOOKS
+ * @param {Object} data - Payload the action is about to use
+ * @param {Object} req - Express request (for the acting user)
+ * @returns {Promise<Object>} - Payload after all hooks
+ */
+const runBeforeHook = (hookPoint, data, req) => pluginEventSystem.executeHooks(hookPoint, data, buildContext(req));
+
+/**
+ * Emits a core event (and optionally runs an "after" hook point) once an action succeeded.
+ * Events are best-effort: plugin failures are logged and never break the calling request.
+ * @param {string} eventType - One of CORE_EVENTS
+ * @param {Object} data - Event payload (plain values only)
+ * @param {Object} req - Express request (for the acting user)
+ * @param {string} afterHook - Optional CORE_HOOKS "after" point to run with the same payload
+ */
+const emitCoreEvent = (eventType, data, req, afterHook = null) => {
+  const context = buildContext(req);
+
+  pluginEventSystem.emitEvent(eventType, data, context).catch(error => {
+    console.error(`Core event ${eventType} error:`, error);
+  });
+
+  if (afterHook) {
+    pluginEventSystem.executeHooks(afterHook, data, context).catch(error => {
+      console.error(`Core hook ${afterHook} error:`, error);
+    });
+  }
+};
+
+/**
+ * Responds with 403 when a plugin vetoed the action.
+ * @param {Object} res - Express response
+ * @param {Error} error - Error caught by the route
+ * @returns {boolean} - True when a response was sent
+ */
+const sendVetoResponse = (res, error) => {
+  if (!(error instanceof HookVetoError)) {
+    return false;
+  }
+
+  res.status(403).json({ error: error.message, vetoedBy: error.pluginName });
+  return true;
+};
+
+module.exports = {
+  CORE_EVENTS,
+  CORE_HOOKS,
+  buildContext,
+  runBeforeHook,
+  emitCoreEvent,
+  sendVetoResponse
+};
@@ -0,0 +1,90 @@
+const { CourseContent, LessonCompletion } = require('../models');
+const { issueCertificateIfEligible } = require('./certificates');
+const { CORE_EVENTS, emitCoreEvent } = require('./coreEvents');
+
+/**
+ * Recalculates a trainee's overall course progress from their lesson completions
+ * and stores it on the enrollment. When an active enrollment reaches 100% it is
+ * marked completed (emitting ENROLLMENT_COMPLETED) and the certificate is issued;
+ * if new lessons later bring it below 100% it becomes active again.
+ * @param {Object} enrollment - Enrollment instance
+ * @param {Object} req - Express request (for the acting user in plugin events)
+ * @returns {Promise<number>} - Overall progress percentage (0-100)
+ */
+const recalculateEnrollmentProgress = async (enrollment, req = null) => {
+  const { userId, courseId } = enrollment;
+
+  const totalLessons = await CourseContent.count({
+    where: { courseId, isPublished: true }
+  });
+
+  const completedLessons = await LessonCompletion.count({
+    where: { userId, courseId, isCompleted: true }
+  });
+
+  const overallProgress = totalLessons > 0 ? Math.min(100, Math.round((completedLessons / totalLessons) * 100)) : 0;
+
+  const previousStatus = enrollment.status;
+  const updateData = { progress: overallProgress };
+  if (overallProgress === 100 && previousStatus === 'active') {
+    updateData.status = 'completed';
+    updateData.completedAt = new Date();
+  } else if (overallProgress < 100 && enrollment.progress === 100 && previousStatus === 'completed') {
+    updateData.status = 'active';
+    updateData.completedAt = null;
+  }
+
+  await enrollment.update(updateData);
+  await issueCertificateIfEligible(enrollment);
+
+  if (enrollment.status !== previousStatus) {
+    const eventData = {
+      enrollmentId: enrollment.id,
+      userId,
+      courseId,
+      status: enrollment.status
+    };
+    emitCoreEvent(CORE_EVENTS.ENROLLMENT_UPDATED, { ...eventData, previousStatus }, req);
+    if (enrollment.status === 'completed') {
+      emitCoreEvent(CORE_EVENTS.ENROLLMENT_COMPLETED, eventData, req);
+    }
+  }
+
+  return overallProgress;
+};
+
+/**
+ * Marks a lesson as completed for a trainee (creating the completion record if needed)
+ * and refreshes the enrollment progress
+ * @param {Object} enrollment - Enrollment instance
+ * @param {string} contentId - Course content ID
+ * @param {Object} req - Express request (for the acting user in plugin events)
+ * @returns {Promise<Object>} - { lessonCompletion, overallProgress }
+ */
+const markLessonCompleted = async (enrollment, contentId, req = null) => {
+  const { userId, courseId } = enrollment;
+  const now = new Date();
+
+  const [lessonCompletion] = await LessonCompletion.findOrCreate({
+    where: { userId, courseId, contentId },
+    defaults: { userId, courseId, contentId, isCompleted: false, progress: 0, timeSpent: 0 }
+  });
+
+  if (!lessonCompletion.isCompleted) {
+    await lessonCompletion.update({
+      isCompleted: true,
+      completedAt: now,
+      progress: 100,
+      lastAccessedAt: now
+    });
+  }
+
+  const overallProgress = await recalculateEnrollmentProgress(enrollment, req);
+
+  return { lessonCompletion, overallProgress };
+};
+
+module.exports = {
+  recalculateEnrollmentProgress,
+  markLessonCompleted
+};
@@ -0,0 +1,144 @@
+const { Op } = require('sequelize');
+const { CourseStaff } = require('../models');
+
+// Staff roles on a course and what each of them may do there.
+// Capability names match the core permissions, so custom roles can be granted them too.
+const STAFF_ROLES = ['lead', 'co_trainer', 'assistant'];
+const STAFF_CAPABILITIES = {
+  lead: ['course:manage', 'course:edit-content', 'course:grade', 'course:attendance', 'course:earnings'],
+  co_trainer: ['course:edit-content', 'course:grade', 'course:attendance', 'course:earnings'],
+  assistant: ['course:grade', 'course:attendance']
+};
+
+/**
+ * Loads the courses a user is staff on (set as req.user.courseStaff by the auth middleware)
+ * @param {string} userId - User ID
+ * @returns {Promise<Array>} - { courseId, role, revenueShare }
+ */
+const loadStaffMemberships = async (userId) => {
+  const memberships = await CourseStaff.findAll({
+    where: { userId },
+    attributes: ['courseId', 'role', 'revenueShare']
+  });
+  return memberships.map(membership => ({
+    courseId: membership.courseId,
+    role: membership.role,
+    revenueShare: membership.revenueShare === null ? null : parseFloat(membership.revenueShare)
+  }));
+};
+
+/**
+ * Gets a user's staff role on a course. The course trainer (trainerId) is always its lead.
+ * @param {Object} user - User with courseStaff loaded
+ * @param {Object} course - Course with id and trainerId
+ * @returns {string|null} - 'lead', 'co_trainer', 'assistant' or null
+ */
+const getStaffRole = (user, course) => {
+  if (!user || !course) {
+    return null;
+  }
+  if (course.trainerId && course.trainerId === user.id) {
+    return 'lead';
+  }
+  const membership = (user.courseStaff || []).find(candidate => candidate.courseId === course.id);
+  return membership ? membership.role : null;
+};
+
+/**
+ * Checks whether a user teaches a course in any staff role
+ * @param {Object} user - User with courseStaff loaded
+ * @param {Object} course - Course with id and trainerId
+ * @returns {boolean}
+ */
+const isCourseStaff = (user, course) => getStaffRole(user, course) !== null;
+
+/**
+ * Checks whether a user's staff role on a course includes a capability (every member may view the course)
+ * @param {Object} user - User with courseStaff loaded
+ * @param {Object} course - Course with id and trainerId
+ * @param {string} capability - e.g. 'course:grade'
+ * @returns {boolean}
+ */
+const hasStaffCapability = (user, course, capability) => {
+  const role = getStaffRole(user, course);
+  if (!role) {
+    return false;
+  }
+  return capability === 'course:view' || STAFF_CAPABILITIES[role].includes(capability);
+};
+
+/**
+ * Builds a Course where clause matching the courses a user is staff on
+ * @param {Object} user - User with courseStaff loaded
+ * @param {string} [capability] - Only courses where the user's staff role has this capability
+ * @param {Array} [extraCourseIds] - Further course IDs to include (e.g. from custom roles)
+ * @returns {Object} - Sequelize where clause
+ */
+const staffCourseWhere = (user, capability = null, extraCourseIds = []) => {
+  const courseIds = (user.courseStaff || [])
+    .filter(membership => !capability || capability === 'course:view' || STAFF_CAPABILITIES[membership.role].includes(capability))
+    .map(membership => membership.courseId);
+
+  return {
+    [Op.or]: [
+      { trainerId: user.id },
+      { id: { [Op.in]: [...new Set([...courseIds, ...extraCourseIds])] } }
+    ]
+  };
+};
+
+/**
+ * Makes a user the lead of a course, replacing the previous lead's staff entry
+ * (the caller updates course.trainerId)
+ * @param {string} courseId - Course ID
+ * @param {string} userId - New lead trainer
+ * @param {Object} [options] - { addedBy, transaction }
+ */
+const setLeadTrainer = async (courseId, userId, { addedBy = null, transaction } = {}) => {
+  await CourseStaff.destroy({
+    where: {
+      courseId,
+      [Op.or]: [{ role: 'lead' }, { userId }]
+    },
+    transaction
+  });
+  await CourseStaff.create({ courseId, userId, role: 'lead', revenueShare: null, addedBy }, { transaction });
+};
+
+/**
+ * Gets the revenue share (percentage) of every staff member of a course.
+ * The lead receives whatever the other members' shares leave over.
+ * @param {Object} course - Course with id and trainerId
+ * @returns {Promise<Map>} - Revenue share by user ID
+ */
+const getRevenueShares = async (course) => {
+  const staff = await CourseStaff.findAll({ where: { courseId: course.id } });
+  const shares = new Map();
+  let othersTotal = 0;
+
+  staff
+    .filter(member => member.role !== 'lead' && member.userId !== course.trainerId)
+    .forEach(member => {
+      const share = parseFloat(member.revenueShare) || 0;
+      shares.set(member.userId, share);
+      othersTotal += share;
+    });
+
+  if (course.trainerId) {
+    shares.set(course.trainerId, Math.max(0, 100 - othersTotal));
+  }
+
+  return shares;
+};
+
+module.exports = {
+  STAFF_ROLES,
+  STAFF_CAPABILITIES,
+  loadStaffMemberships,
+  getStaffRole,
+  isCourseStaff,
+  hasStaffCapability,
+  staffCourseWhere,
+  setLeadTrainer,
+  getRevenueShares
+};
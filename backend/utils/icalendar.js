@@ -0,0 +1,136 @@
+// Minimal iCalendar (RFC 5545) writer for the calendar feeds
+
+const PRODUCT_ID = '-//CourseWorx//Calendar Feed//EN';
+const MAX_LINE_OCTETS = 75;
+
+const pad = (value) => String(value).padStart(2, '0');
+
+/**
+ * Escapes a text value (commas, semicolons, backslashes and line breaks)
+ * @param {string} value - Text
+ * @returns {string} - Escaped text
+ */
+const escapeText = (value) => String(value)
+  .replace(/\\/g, '\\\\')
+  .replace(/;/g, '\\;')
+  .replace(/,/g, '\\,')
+  .replace(/\r?\n/g, '\\n');
+
+/**
+ * Folds a content line into lines of at most 75 octets, without splitting a character
+ * @param {string} line - Content line
+ * @returns {string} - Folded line joined with CRLF and a space
+ */
+const foldLine = (line) => {
+  const parts = [];
+  let current = '';
+  let octets = 0;
+
+  for (const character of line) {
+    const size = Buffer.byteLength(character);
+    // Continuation lines start with a space, which counts towards their length
+    const limit = parts.length === 0 ? MAX_LINE_OCTETS : MAX_LINE_OCTETS - 1;
+    if (octets + size > limit) {
+      parts.push(current);
+      current = '';
+      octets = 0;
+    }
+    current += character;
+    octets += size;
+  }
+  parts.push(current);
+
+  return parts.join('\r\n ');
+};
+
+/**
+ * Formats a moment as a UTC date-time, e.g. 20260105T083000Z
+ * @param {Date} date - Date
+ * @returns {string}
+ */
+const formatDateTime = (date) => {
+  const value = new Date(date);
+  return `${value.getUTCFullYear()}${pad(value.getUTCMonth() + 1)}${pad(value.getUTCDate())}` +
+    `T${pad(value.getUTCHours())}${pad(value.getUTCMinutes())}${pad(value.getUTCSeconds())}Z`;
+};
+
+/**
+ * Formats the calendar day of a date (server time zone), e.g. 20260105
+ * @param {Date} date - Date
+ * @returns {string}
+ */
+const formatDate = (date) => {
+  const value = new Date(date);
+  return `${value.getFullYear()}${pad(value.getMonth() + 1)}${pad(value.getDate())}`;
+};
+
+const buildEvent = (event, now) => {
+  const lines = [
+    'BEGIN:VEVENT',
+    `UID:${event.uid}`,
+    `DTSTAMP:${formatDateTime(event.lastModified || now)}`
+  ];
+
+  if (event.allDay) {
+    const nextDay = new Date(event.start);
+    nextDay.setDate(nextDay.getDate() + 1);
+    lines.push(`DTSTART;VALUE=DATE:${formatDate(event.start)}`);
+    lines.push(`DTEND;VALUE=DATE:${formatDate(nextDay)}`);
+  } else {
+    lines.push(`DTSTART:${formatDateTime(event.start)}`);
+    if (event.end) {
+      lines.push(`DTEND:${formatDateTime(event.end)}`);
+    }
+  }
+
+  lines.push(`SUMMARY:${escapeText(event.summary)}`);
+  if (event.description) {
+    lines.push(`DESCRIPTION:${escapeText(event.description)}`);
+  }
+  if (event.location) {
+    lines.push(`LOCATION:${escapeText(event.location)}`);
+  }
+  if (event.url) {
+    lines.push(`URL:${event.url}`);
+  }
+  lines.push(`STATUS:${event.status || 'CONFIRMED'}`);
+  if (event.lastModified) {
+    lines.push(`LAST-MODIFIED:${formatDateTime(event.lastModified)}`);
+  }
+  lines.push('END:VEVENT');
+
+  return lines;
+};
+
+/**
+ * Builds an iCalendar document
+ * @param {Object} calendar - { name, events }, where each event has uid, start, summary and
+ *   optionally end, allDay, description, location, url, status (CONFIRMED or CANCELLED) and lastModified
+ * @returns {string} - The .ics content
+ */
+const buildCalendar = ({ name, events }) => {
+  const now = new Date();
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODUCT_ID}`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeText(name)}`,
+    // Ask subscribed calendars to check for changes every hour
+    'REFRESH-INTERVAL;VALUE=DURATION:PT1H',
+    'X-PUBLISHED-TTL:PT1H',
+    ...events.flatMap(event => buildEvent(event, now)),
+    'END:VCALENDAR'
+  ];
+
+  return `${lines.map(foldLine).join('\r\n')}\r\n`;
+};
+
+module.exports = {
+  escapeText,
+  foldLine,
+  formatDateTime,
+  formatDate,
+  buildCalendar
+};
@@ -0,0 +1,20 @@
+const { Notification } = require('../models');
+
+/**
+ * Creates an in-app notification for a user.
+ * Notifications are best-effort: a failure is logged and never breaks the calling request.
+ * @param {Object} notification - { userId, type, title, message, link, data }
+ * @returns {Promise<Object|null>} - Created notification, or null on failure
+ */
+const createNotification = async ({ userId, type, title, message = null, link = null, data = {} }) => {
+  try {
+    return await Notification.create({ userId, type, title, message, link, data });
+  } catch (error) {
+    console.error('Create notification error:', error);
+    return null;
+  }
+};
+
+module.exports = {
+  createNotification
+};
@@ -0,0 +1,59 @@
+const path = require('path');
+const crypto = require('crypto');
+
+// Trainee uploads only their owner and course graders may read. Unlike
+// uploads/ this folder is not served statically; routes send the files after
+// checking access.
+const PRIVATE_UPLOADS_DIR = path.join(__dirname, '../private-uploads');
+
+/**
+ * Gets a folder inside the private uploads folder
+ * @param {...string} parts - Path segments (e.g. 'quiz-answers', contentId, userId)
+ * @returns {string} - Absolute folder path
+ */
+const getPrivateDir = (...parts) => path.join(PRIVATE_UPLOADS_DIR, ...parts);
+
+/**
+ * Creates a file name that cannot be guessed, keeping the original extension
+ * @param {string} originalName - Name of the uploaded file
+ * @returns {string} - Stored file name
+ */
+const createPrivateFileName = (originalName) => {
+  const extension = path.extname(originalName || '').toLowerCase();
+  return `${Date.now()}_${crypto.randomBytes(16).toString('hex')}${extension}`;
+};
+
+/**
+ * Checks a stored file name from a URL so it cannot leave its folder
+ * @param {string} fileName - File name from the request
+ * @returns {boolean} - True if it is a plain file name
+ */
+const isPrivateFileName = (fileName) => (
+  typeof fileName === 'string' && /^[\w.-]+$/.test(fileName) && path.basename(fileName) === fileName && !fileName.startsWith('.')
+);
+
+/**
+ * Sends a private file as a download with its original name
+ * @param {Object} res - Express response
+ * @param {string} filePath - Absolute path of the stored file
+ * @param {Object} file - { fileName, fileType } recorded at upload, if known
+ */
+const sendPrivateFile = (res, filePath, file = {}) => {
+  const fileName = String(file.fileName || path.basename(filePath)).replace(/["\\\r\n]/g, '_');
+  res.set({
+    'Content-Disposition': `attachment; filename="${fileName}"`,
+    'Cache-Control': 'private, no-store'
+  });
+  // Without a recorded type, sendFile picks one from the extension
+  if (file.fileType) {
+    res.type(file.fileType);
+  }
+  res.sendFile(filePath);
+};
+
+module.exports = {
+  getPrivateDir,
+  createPrivateFileName,
+  isPrivateFileName,
+  sendPrivateFile
+};
@@ -0,0 +1,262 @@
+/**
+ * Quiz Grading Utilities
+ * Auto-grades quiz answers against QuizQuestion.correctAnswer and applies
+ * the per-quiz rules stored in CourseContent.quizData
+ */
+
+const DEFAULT_PASSING_SCORE = 70;
+
+// Allowance for network latency when checking a timed attempt's deadline
+const TIME_LIMIT_GRACE_SECONDS = 30;
+
+// Question types that can be graded automatically
+const AUTO_GRADED_TYPES = ['single_choice', 'multiple_choice', 'true_false'];
+
+/**
+ * Normalizes an answer (string, boolean, number or array) into a sorted array of trimmed strings
+ * @param {*} value - Raw answer value
+ * @returns {string[]} - Normalized answer values
+ */
+const normalizeAnswer = (value) => {
+  if (value === undefined || value === null || value === '') {
+    return [];
+  }
+
+  const values = Array.isArray(value) ? value : [value];
+  return values
+    .filter(v => v !== undefined && v !== null && v !== '')
+    .map(v => String(v).trim())
+    .sort();
+};
+
+/**
+ * Checks a single auto-graded answer
+ * @param {Object} question - QuizQuestion instance
+ * @param {*} answer - The trainee's answer
+ * @returns {boolean} - Whether the answer is correct
+ */
+const isAnswerCorrect = (question, answer) => {
+  const given = normalizeAnswer(answer);
+  const expected = normalizeAnswer(question.correctAnswer);
+
+  if (given.length === 0 || expected.length === 0) {
+    return false;
+  }
+
+  switch (question.questionType) {
+    case 'true_false':
+      return given[0].toLowerCase() === expected[0].toLowerCase();
+    case 'single_choice':
+      return given.length === 1 && expected.includes(given[0]);
+    case 'multiple_choice':
+      // All correct options and nothing else must be selected
+      return given.length === expected.length && given.every((v, i) => v === expected[i]);
+    default:
+      return false;
+  }
+};
+
+/**
+ * Returns the passing percentage configured for a quiz
+ * @param {Object} content - CourseContent instance
+ * @returns {number} - Passing percentage (0-100)
+ */
+const getPassingScore = (content) => {
+  const passingScore = parseFloat(content.quizData?.passingScore);
+  return Number.isFinite(passingScore) ? passingScore : DEFAULT_PASSING_SCORE;
+};
+
+/**
+ * Reads the per-quiz rules from CourseContent.quizData
+ * @param {Object} content - CourseContent instance
+ * @returns {Object} - { maxAttempts, timeLimit, passingScore, shuffleQuestions, shuffleOptions }
+ */
+const getQuizSettings = (content) => {
+  const quizData = content.quizData || {};
+  const maxAttempts = parseInt(quizData.maxAttempts, 10);
+  const timeLimit = parseInt(quizData.timeLimit, 10);
+
+  return {
+    maxAttempts: maxAttempts > 0 ? maxAttempts : null, // null = unlimited
+    timeLimit: timeLimit > 0 ? timeLimit : null, // minutes, null = untimed
+    passingScore: getPassingScore(content),
+    shuffleQuestions: quizData.shuffleQuestions === true || quizData.shuffleQuestions === 'true',
+    shuffleOptions: quizData.shuffleOptions === true || quizData.shuffleOptions === 'true'
+  };
+};
+
+/**
+ * Returns a shuffled copy of an array (Fisher-Yates)
+ * @param {Array} items - Items to shuffle
+ * @returns {Array} - Shuffled copy
+ */
+const shuffle = (items) => {
+  const result = [...items];
+  for (let i = result.length - 1; i > 0; i--) {
+    const j = Math.floor(Math.random() * (i + 1));
+    [result[i], result[j]] = [result[j], result[i]];
+  }
+  return result;
+};
+
+/**
+ * Builds the question/option order for a new attempt so it stays stable if the trainee reloads
+ * @param {Object[]} questions - QuizQuestion instances (in authored order)
+ * @param {Object} settings - Quiz settings from getQuizSettings
+ * @returns {Object} - { questionIds, options: { [questionId]: string[] } }
+ */
+const buildAttemptLayout = (questions, settings) => {
+  const orderedQuestions = settings.shuffleQuestions ? shuffle(questions) : questions;
+  const options = {};
+
+  orderedQuestions.forEach(question => {
+    if (Array.isArray(question.options) && question.options.length > 0) {
+      options[question.id] = settings.shuffleOptions ? shuffle(question.options) : question.options;
+    }
+  });
+
+  return {
+    questionIds: orderedQuestions.map(question => question.id),
+    options
+  };
+};
+
+/**
+ * Orders questions according to an attempt layout and strips the answer key
+ * @param {Object[]} questions - QuizQuestion instances
+ * @param {Object} layout - Attempt layout from buildAttemptLayout
+ * @returns {Object[]} - Questions safe to send to a trainee
+ */
+const applyAttemptLayout = (questions, layout) => {
+  const questionsById = new Map(questions.map(question => [question.id, question]));
+  const questionIds = layout?.questionIds?.length ? layout.questionIds : questions.map(question => question.id);
+
+  return questionIds
+    .filter(questionId => questionsById.has(questionId))
+    .map(questionId => {
+      const question = questionsById.get(questionId);
+      return {
+        id: question.id,
+        question: question.question,
+        questionType: question.questionType,
+        options: layout?.options?.[question.id] || question.options || [],
+        points: question.points,
+        isRequired: question.isRequired
+      };
+    });
+};
+
+/**
+ * Returns when a timed attempt expires
+ * @param {Object} attempt - QuizAttempt instance
+ * @param {Object} settings - Quiz settings from getQuizSettings
+ * @returns {Date|null} - Expiry time, or null for untimed quizzes
+ */
+const getAttemptExpiry = (attempt, settings) => {
+  if (!settings.timeLimit) {
+    return null;
+  }
+  return new Date(new Date(attempt.startedAt).getTime() + settings.timeLimit * 60 * 1000);
+};
+
+/**
+ * Checks whether a timed attempt is past its deadline (including the grace period)
+ * @param {Object} attempt - QuizAttempt instance
+ * @param {Object} settings - Quiz settings from getQuizSettings
+ * @param {Date} now - Current time
+ * @returns {boolean} - Whether the attempt has expired
+ */
+const isAttemptExpired = (attempt, settings, now = new Date()) => {
+  const expiresAt = getAttemptExpiry(attempt, settings);
+  if (!expiresAt) {
+    return false;
+  }
+  return now.getTime() > expiresAt.getTime() + TIME_LIMIT_GRACE_SECONDS * 1000;
+};
+
+/**
+ * Totals up per-question results (auto-graded and manually graded alike)
+ * @param {Object[]} results - Per-question results from gradeQuiz
+ * @returns {Object} - { earnedPoints, totalPoints, score, correctCount, pendingCount }
+ */
+const summarizeResults = (results) => {
+  let earnedPoints = 0;
+  let totalPoints = 0;
+  let correctCount = 0;
+  let pendingCount = 0;
+
+  results.forEach(result => {
+    totalPoints += result.points || 0;
+    earnedPoints += result.pointsAwarded || 0;
+    if (result.status === 'pending_review') {
+      pendingCount += 1;
+    } else if (result.isCorrect) {
+      correctCount += 1;
+    }
+  });
+
+  const score = totalPoints > 0 ? Math.round((earnedPoints / totalPoints) * 10000) / 100 : 0;
+
+  return { earnedPoints, totalPoints, score, correctCount, pendingCount };
+};
+
+/**
+ * Grades a set of answers for a quiz
+ * @param {Object[]} questions - QuizQuestion instances
+ * @param {Object} answers - Map of questionId -> answer
+ * @returns {Object} - Grading summary with per-question results
+ */
+const gradeQuiz = (questions, answers = {}) => {
+  const results = questions.map(question => {
+    const answer = answers[question.id];
+    const points = question.points || 0;
+
+    if (!AUTO_GRADED_TYPES.includes(question.questionType)) {
+      return {
+        questionId: question.id,
+        questionType: question.questionType,
+        answer: answer !== undefined ? answer : null,
+        status: 'pending_review',
+        isCorrect: null,
+        points,
+        pointsAwarded: 0,
+        explanation: question.explanation || null
+      };
+    }
+
+    const isCorrect = isAnswerCorrect(question, answer);
+
+    return {
+      questionId: question.id,
+      questionType: question.questionType,
+      answer: answer !== undefined ? answer : null,
+      status: 'graded',
+      isCorrect,
+      points,
+      pointsAwarded: isCorrect ? points : 0,
+      explanation: question.explanation || null
+    };
+  });
+
+  return {
+    results,
+    ...summarizeResults(results),
+    totalQuestions: questions.length
+  };
+};
+
+module.exports = {
+  DEFAULT_PASSING_SCORE,
+  TIME_LIMIT_GRACE_SECONDS,
+  AUTO_GRADED_TYPES,
+  normalizeAnswer,
+  isAnswerCorrect,
+  getPassingScore,
+  getQuizSettings,
+  buildAttemptLayout,
+  applyAttemptLayout,
+  getAttemptExpiry,
+  isAttemptExpired,
+  summarizeResults,
+  gradeQuiz
+};
@@ -0,0 +1,50 @@
+const MAX_OCCURRENCES = 200;
+// Stop looking for dates this far after the start, even if the rule could go on
+const MAX_SPAN_DAYS = 3 * 366;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const parseDate = (value) => {
+  const [year, month, day] = value.split('-').map(Number);
+  return Date.UTC(year, month - 1, day);
+};
+
+const formatDate = (time) => new Date(time).toISOString().slice(0, 10);
+
+/**
+ * Lists the dates of a recurrence rule. Excluded dates (e.g. holidays) are
+ * skipped and do not count towards `count`.
+ * @param {Object} rule - { startDate, frequency ('daily' | 'weekly'), interval, daysOfWeek (0 = Sunday), endDate, count, excludedDates }
+ * @returns {Array} - Dates as 'YYYY-MM-DD'; one more than MAX_OCCURRENCES when the rule produces too many
+ */
+const expandRecurrence = ({ startDate, frequency, interval = 1, daysOfWeek = [], endDate = null, count = null, excludedDates = [] }) => {
+  const start = parseDate(startDate);
+  const until = endDate ? parseDate(endDate) : start + MAX_SPAN_DAYS * DAY_MS;
+  const limit = Math.min(count || MAX_OCCURRENCES + 1, MAX_OCCURRENCES + 1);
+  const excluded = new Set(excludedDates);
+  const weekdays = daysOfWeek.length > 0 ? daysOfWeek.map(Number) : [new Date(start).getUTCDay()];
+  // Weeks are counted from the Sunday before the start date
+  const firstWeekStart = start - new Date(start).getUTCDay() * DAY_MS;
+  const dates = [];
+
+  for (let time = start; time <= until && dates.length < limit; time += DAY_MS) {
+    let matches;
+    if (frequency === 'daily') {
+      matches = Math.round((time - start) / DAY_MS) % interval === 0;
+    } else {
+      const week = Math.floor(Math.round((time - firstWeekStart) / DAY_MS) / 7);
+      matches = week % interval === 0 && weekdays.includes(new Date(time).getUTCDay());
+    }
+
+    const date = formatDate(time);
+    if (matches && !excluded.has(date)) {
+      dates.push(date);
+    }
+  }
+
+  return dates;
+};
+
+module.exports = {
+  MAX_OCCURRENCES,
+  expandRecurrence
+};
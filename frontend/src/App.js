@@ -34,9 +34,14 @@ import AttendanceTracker from './pages/AttendanceTracker';
 import ClassroomSessions from './pages/ClassroomSessions';
 import AttendanceDashboard from './pages/AttendanceDashboard';
 import AttendanceJoin from './pages/AttendanceJoin';
+import AttendanceKiosk from './pages/AttendanceKiosk';
+import QuizGradingQueue from './pages/QuizGradingQueue';
+import CertificateVerify from './pages/CertificateVerify';
+import RoleManagement from './pages/admin/RoleManagement';
+import Webhooks from './pages/admin/Webhooks';
 
 const PrivateRoute = ({ children, allowedRoles = [] }) => {
-  const { user, loading, setupRequired } = useAuth();
+  const { user, loading, setupRequired, hasRole } = useAuth();
 
   if (loading) {
     return <LoadingSpinner />;
@@ -51,7 +56,7 @@ const PrivateRoute = ({ children, allowedRoles = [] }) => {
     return <Navigate to="/login" replace />;
   }
 
-  if (allowedRoles.length > 0 && !allowedRoles.includes(user.role)) {
+  if (allowedRoles.length > 0 && !hasRole(allowedRoles)) {
     return <Navigate to="/dashboard" replace />;
   }
 
@@ -91,6 +96,17 @@ const AppRoutes = () => {
       {/* Public homepage route */}
       <Route path="/" element={<Home />} />
 
+      {/* Public certificate verification */}
+      <Route path="/certificates/verify" element={<CertificateVerify />} />
+      <Route path="/certificates/verify/:serial" element={<CertificateVerify />} />
+
+      {/* Check-in kiosk for the classroom screen - No Layout Header */}
+      <Route path="/courses/:courseId/sessions/:sessionId/kiosk" element={
+        <PrivateRoute allowedRoles={['super_admin', 'trainer']}>
+          <AttendanceKiosk />
+        </PrivateRoute>
+      } />
+
       {/* Course Learning Page - No Layout Header */}
       <Route path="/courses/:id/learn" element={
         <PrivateRoute>
@@ -162,6 +178,16 @@ const AppRoutes = () => {
             <Users />
           </PrivateRoute>
         } />
+        <Route path="/admin/roles" element={
+          <PrivateRoute allowedRoles={['super_admin']}>
+            <RoleManagement />
+          </PrivateRoute>
+        } />
+        <Route path="/admin/webhooks" element={
+          <PrivateRoute allowedRoles={['super_admin']}>
+            <Webhooks />
+          </PrivateRoute>
+        } />
         <Route path="/plugin-management" element={
           <PrivateRoute allowedRoles={['super_admin']}>
             <PluginManagement />
@@ -193,6 +219,11 @@ const AppRoutes = () => {
             <Payouts />
           </PrivateRoute>
         } />
+        <Route path="/trainer/quiz-grading" element={
+          <PrivateRoute allowedRoles={['trainer', 'super_admin']}>
+            <QuizGradingQueue />
+          </PrivateRoute>
+        } />
         
         {/* Financial routes */}
         <Route path="/checkout" element={<Checkout />} />
@@ -0,0 +1,206 @@
+import React, { useState } from 'react';
+import { useQuery, useMutation, useQueryClient } from 'react-query';
+import {
+  CheckCircleIcon,
+  XCircleIcon,
+  DocumentMagnifyingGlassIcon
+} from '@heroicons/react/24/outline';
+import toast from 'react-hot-toast';
+import api from '../utils/api';
+import LoadingSpinner from './LoadingSpinner';
+
+const STATUS_FILTERS = [
+  { value: 'under_review', label: 'Receipt uploaded' },
+  { value: 'awaiting_receipt', label: 'Awaiting receipt' },
+  { value: 'all', label: 'All pending' }
+];
+
+const formatDate = (dateString) => new Date(dateString).toLocaleDateString('en-US', {
+  year: 'numeric',
+  month: 'short',
+  day: 'numeric',
+  hour: '2-digit',
+  minute: '2-digit'
+});
+
+// Super admin review queue for pending bank transfer / pay-at-center orders
+const BankTransferQueue = () => {
+  const queryClient = useQueryClient();
+  const [status, setStatus] = useState('under_review');
+  const [rejecting, setRejecting] = useState(null);
+  const [rejectionReason, setRejectionReason] = useState('');
+
+  const { data: orders = [], isLoading } = useQuery(
+    ['bank-transfers', status],
+    () => api.get('/financial/orders/admin/bank-transfers', { params: { status } }).then(res => res.data.orders),
+    { refetchOnWindowFocus: false }
+  );
+
+  const onReviewed = (message) => {
+    toast.success(message);
+    setRejecting(null);
+    setRejectionReason('');
+    queryClient.invalidateQueries('bank-transfers');
+  };
+
+  const onReviewError = (error) => {
+    toast.error(error.response?.data?.error || error.response?.data?.errors?.[0]?.msg || 'Failed to review transfer');
+  };
+
+  const approveMutation = useMutation(
+    (orderId) => api.post(`/financial/orders/admin/bank-transfers/${orderId}/approve`),
+    {
+      onSuccess: () => onReviewed('Transfer approved and courses unlocked'),
+      onError: onReviewError
+    }
+  );
+
+  const rejectMutation = useMutation(
+    ({ orderId, reason }) => api.post(`/financial/orders/admin/bank-transfers/${orderId}/reject`, { reason }),
+    {
+      onSuccess: () => onReviewed('Transfer rejected'),
+      onError: onReviewError
+    }
+  );
+
+  const handleViewReceipt = async (order) => {
+    try {
+      const response = await api.get(`/financial/orders/${order.id}/receipt`, {
+        responseType: 'blob'
+      });
+      const url = window.URL.createObjectURL(response.data);
+      window.open(url, '_blank', 'noopener');
+      setTimeout(() => window.URL.revokeObjectURL(url), 60000);
+    } catch (error) {
+      toast.error('Failed to open receipt');
+    }
+  };
+
+  const handleApprove = (order) => {
+    if (window.confirm(`Approve the transfer for order ${order.orderNumber}? The trainee will get access to the courses.`)) {
+      approveMutation.mutate(order.id);
+    }
+  };
+
+  const handleReject = (e) => {
+    e.preventDefault();
+    rejectMutation.mutate({ orderId: rejecting, reason: rejectionReason });
+  };
+
+  const isReviewing = approveMutation.isLoading || rejectMutation.isLoading;
+
+  return (
+    <div className="bg-white shadow rounded-lg">
+      <div className="px-4 py-5 sm:p-6">
+        <div className="flex items-center justify-between mb-6">
+          <div>
+            <h3 className="text-lg leading-6 font-medium text-gray-900 mb-1">Bank Transfers</h3>
+            <p className="text-sm text-gray-500">
+              Check each receipt against your bank statement before approving. Approval marks the order paid and unlocks its courses.
+            </p>
+          </div>
+          <select
+            value={status}
+            onChange={(e) => setStatus(e.target.value)}
+            className="input-field w-auto"
+          >
+            {STATUS_FILTERS.map(filter => (
+              <option key={filter.value} value={filter.value}>{filter.label}</option>
+            ))}
+          </select>
+        </div>
+
+        {isLoading ? (
+          <div className="flex justify-center py-8">
+            <LoadingSpinner />
+          </div>
+        ) : orders.length === 0 ? (
+          <p className="text-sm text-gray-500 text-center py-8">No bank transfers waiting for review.</p>
+        ) : (
+          <div className="space-y-4">
+            {orders.map(order => (
+              <div key={order.id} className="border border-gray-200 rounded-lg p-4">
+                <div className="flex items-start justify-between">
+                  <div className="text-sm">
+                    <p className="font-medium text-gray-900">
+                      {order.orderNumber} - ${order.finalAmount.toFixed(2)}
+                    </p>
+                    <p className="text-gray-600">
+                      {order.user ? `${order.user.firstName} ${order.user.lastName} (${order.user.email})` : 'Unknown user'}
+                    </p>
+                    <p className="text-gray-500">
+                      Ordered {formatDate(order.createdAt)} - {order.items?.length || 0} course{(order.items?.length || 0) !== 1 ? 's' : ''}
+                    </p>
+                    {order.bankTransfer.receipt ? (
+                      <p className="text-gray-500">Receipt uploaded {formatDate(order.bankTransfer.receipt.uploadedAt)}</p>
+                    ) : (
+                      <p className="text-yellow-700">No receipt uploaded yet</p>
+                    )}
+                  </div>
+                  <div className="flex items-center space-x-2">
+                    {order.bankTransfer.receipt && (
+                      <button
+                        type="button"
+                        onClick={() => handleViewReceipt(order)}
+                        className="btn-secondary flex items-center"
+                      >
+                        <DocumentMagnifyingGlassIcon className="h-4 w-4 mr-1" />
+                        Receipt
+                      </button>
+                    )}
+                    <button
+                      type="button"
+                      onClick={() => handleApprove(order)}
+                      disabled={isReviewing}
+                      className="btn-primary flex items-center disabled:opacity-50"
+                    >
+                      <CheckCircleIcon className="h-4 w-4 mr-1" />
+                      Approve
+                    </button>
+                    <button
+                      type="button"
+                      onClick={() => setRejecting(rejecting === order.id ? null : order.id)}
+                      disabled={isReviewing}
+                      className="btn-secondary flex items-center text-red-600 disabled:opacity-50"
+                    >
+                      <XCircleIcon className="h-4 w-4 mr-1" />
+                      Reject
+                    </button>
+                  </div>
+                </div>
+
+                {rejecting === order.id && (
+                  <form onSubmit={handleReject} className="mt-4 flex items-end space-x-2">
+                    <div className="flex-1">
+                      <label className="block text-sm font-medium text-gray-700 mb-1">
+                        Reason (shown to the trainee)
+                      </label>
+                      <input
+                        type="text"
+                        value={rejectionReason}
+                        onChange={(e) => setRejectionReason(e.target.value)}
+                        minLength={5}
+                        maxLength={500}
+                        className="input-field"
+                        required
+                      />
+                    </div>
+                    <button
+                      type="submit"
+                      disabled={isReviewing}
+                      className="btn-primary bg-red-600 hover:bg-red-700 disabled:opacity-50"
+                    >
+                      Confirm Rejection
+                    </button>
+                  </form>
+                )}
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default BankTransferQueue;
@@ -0,0 +1,129 @@
+import React from 'react';
+import { useQuery, useMutation, useQueryClient } from 'react-query';
+import { toast } from 'react-hot-toast';
+import { CalendarDaysIcon, ClipboardDocumentIcon } from '@heroicons/react/24/outline';
+import { calendarAPI } from '../services/api';
+
+// Private iCalendar link for subscribing to sessions, deadlines and course dates in a calendar app
+const CalendarFeedPanel = () => {
+  const queryClient = useQueryClient();
+
+  const { data, isLoading, error } = useQuery(['calendar-feed'], calendarAPI.getFeed);
+  const feed = data?.feed;
+
+  const onSuccess = (result) => {
+    toast.success(result.message);
+    queryClient.invalidateQueries(['calendar-feed']);
+  };
+  const onError = (mutationError) => {
+    toast.error(mutationError.response?.data?.error || 'Failed to update the calendar link');
+  };
+
+  const createMutation = useMutation(calendarAPI.createFeed, { onSuccess, onError });
+  const deleteMutation = useMutation(calendarAPI.deleteFeed, { onSuccess, onError });
+
+  const handleCopy = async () => {
+    try {
+      await navigator.clipboard.writeText(feed.url);
+      toast.success('Calendar link copied');
+    } catch (copyError) {
+      toast.error('Could not copy the link. Select it and copy it manually.');
+    }
+  };
+
+  const handleReset = () => {
+    if (window.confirm('Reset the calendar link? Calendars subscribed with the current link will stop updating.')) {
+      createMutation.mutate();
+    }
+  };
+
+  const handleTurnOff = () => {
+    if (window.confirm('Turn off the calendar link? Calendars subscribed with it will stop updating.')) {
+      deleteMutation.mutate();
+    }
+  };
+
+  if (isLoading) {
+    return <p className="text-sm text-gray-500">Loading calendar link...</p>;
+  }
+
+  if (error) {
+    return <p className="text-sm text-red-600">Failed to load the calendar link</p>;
+  }
+
+  return (
+    <div className="space-y-4">
+      <div className="flex items-start">
+        <CalendarDaysIcon className="h-6 w-6 text-primary-600 mr-3 flex-shrink-0" />
+        <p className="text-sm text-gray-600">
+          Subscribe to your classroom sessions, assignment due dates and course start and end dates in
+          Google Calendar, Outlook or your phone's calendar. Cancelled sessions are marked as cancelled.
+          Calendar apps check for changes every few hours.
+        </p>
+      </div>
+
+      {feed ? (
+        <>
+          <div>
+            <label htmlFor="calendarFeedUrl" className="block text-sm font-medium text-gray-700">
+              Calendar link
+            </label>
+            <div className="mt-1 flex space-x-2">
+              <input
+                id="calendarFeedUrl"
+                type="text"
+                readOnly
+                value={feed.url}
+                onFocus={(e) => e.target.select()}
+                className="input-field font-mono text-xs"
+              />
+              <button type="button" onClick={handleCopy} className="btn-secondary flex items-center">
+                <ClipboardDocumentIcon className="h-4 w-4 mr-1" />
+                Copy
+              </button>
+            </div>
+            <p className="text-xs text-gray-500 mt-1">
+              Keep this link private: anyone who has it can see your schedule.
+              {feed.lastAccessedAt
+                ? ` Last fetched ${new Date(feed.lastAccessedAt).toLocaleString()}.`
+                : ' Not fetched by a calendar yet.'}
+            </p>
+          </div>
+
+          <div className="flex flex-wrap gap-3">
+            <a href={feed.url.replace(/^https?:/, 'webcal:')} className="btn-primary">
+              Open in calendar app
+            </a>
+            <button
+              type="button"
+              onClick={handleReset}
+              disabled={createMutation.isLoading}
+              className="btn-secondary"
+            >
+              Reset link
+            </button>
+            <button
+              type="button"
+              onClick={handleTurnOff}
+              disabled={deleteMutation.isLoading}
+              className="text-sm text-red-600 hover:text-red-800"
+            >
+              Turn off
+            </button>
+          </div>
+        </>
+      ) : (
+        <button
+          type="button"
+          onClick={() => createMutation.mutate()}
+          disabled={createMutation.isLoading}
+          className="btn-primary"
+        >
+          {createMutation.isLoading ? 'Creating...' : 'Create calendar link'}
+        </button>
+      )}
+    </div>
+  );
+};
+
+export default CalendarFeedPanel;
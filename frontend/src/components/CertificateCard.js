@@ -0,0 +1,79 @@
+import React from 'react';
+import { useQuery } from 'react-query';
+import { AcademicCapIcon, ArrowDownTrayIcon } from '@heroicons/react/24/outline';
+import toast from 'react-hot-toast';
+import { certificatesAPI } from '../services/api';
+
+// Shows the trainee's certificate for a course, or what's needed to earn it
+const CertificateCard = ({ courseId, progress = 0 }) => {
+  const isComplete = progress >= 100;
+
+  const { data, isLoading } = useQuery(
+    ['my-certificates', courseId, isComplete],
+    () => certificatesAPI.getMine({ courseId }),
+    { enabled: !!courseId }
+  );
+
+  const certificate = data?.certificates?.[0];
+
+  const handleDownload = async () => {
+    try {
+      const response = await certificatesAPI.download(certificate.id);
+      const url = window.URL.createObjectURL(new Blob([response.data], { type: 'application/pdf' }));
+      const link = document.createElement('a');
+      link.href = url;
+      link.setAttribute('download', `certificate-${certificate.serial}.pdf`);
+      document.body.appendChild(link);
+      link.click();
+      link.remove();
+      window.URL.revokeObjectURL(url);
+    } catch (error) {
+      console.error('Failed to download certificate:', error);
+      toast.error('Failed to download certificate.');
+    }
+  };
+
+  if (isLoading) {
+    return null;
+  }
+
+  if (!certificate) {
+    return (
+      <div className="bg-gradient-to-r from-green-50 to-blue-50 p-6 rounded-lg border border-green-200">
+        <div className="flex items-center space-x-2">
+          <AcademicCapIcon className="h-5 w-5 text-green-600" />
+          <span className="text-sm font-medium text-green-800">
+            {isComplete
+              ? 'Your certificate is being prepared'
+              : `Get certificate by completing entire course (${progress}% done)`}
+          </span>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="bg-gradient-to-r from-green-50 to-blue-50 p-6 rounded-lg border border-green-200">
+      <div className="flex flex-wrap items-center justify-between gap-4">
+        <div className="flex items-center space-x-3">
+          <AcademicCapIcon className="h-8 w-8 text-green-600" />
+          <div>
+            <p className="text-sm font-semibold text-green-800">Certificate earned</p>
+            <p className="text-xs text-gray-600">
+              No. {certificate.serial} · Issued {new Date(certificate.issuedAt).toLocaleDateString()}
+            </p>
+          </div>
+        </div>
+        <button
+          onClick={handleDownload}
+          className="flex items-center space-x-2 bg-green-600 text-white px-4 py-2 rounded-lg hover:bg-green-700 transition-colors"
+        >
+          <ArrowDownTrayIcon className="h-4 w-4" />
+          <span>Download PDF</span>
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default CertificateCard;
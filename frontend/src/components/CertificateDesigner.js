@@ -0,0 +1,556 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { useQuery } from 'react-query';
+import {
+  PlusIcon,
+  PhotoIcon,
+  TrashIcon,
+  EyeIcon,
+  DocumentArrowDownIcon,
+} from '@heroicons/react/24/outline';
+import toast from 'react-hot-toast';
+import { coursesAPI, courseContentAPI } from '../services/api';
+import { useAuth } from '../contexts/AuthContext';
+import { getMediaUrl } from '../utils/imageUtils';
+
+// Mirrors DEFAULT_CERTIFICATE_TEMPLATE in backend/utils/certificateTemplate.js.
+// Positions and sizes are percentages of the page; font sizes are PDF points.
+export const DEFAULT_CERTIFICATE_TEMPLATE = {
+  page: { size: 'A4', orientation: 'landscape' },
+  background: { color: '#ffffff', imageUrl: null },
+  border: { color: '#1e3a8a', width: 6 },
+  elements: [
+    { id: 'title', type: 'text', text: 'Certificate of Completion', x: 10, y: 14, width: 80, fontSize: 36, color: '#1e3a8a', align: 'center', bold: true },
+    { id: 'intro', type: 'text', text: 'This is to certify that', x: 10, y: 30, width: 80, fontSize: 16, color: '#374151', align: 'center' },
+    { id: 'trainee', type: 'text', text: '{{traineeName}}', x: 10, y: 38, width: 80, fontSize: 32, color: '#111827', align: 'center', bold: true },
+    { id: 'completed', type: 'text', text: 'has successfully completed the course', x: 10, y: 52, width: 80, fontSize: 16, color: '#374151', align: 'center' },
+    { id: 'course', type: 'text', text: '{{courseTitle}}', x: 10, y: 59, width: 80, fontSize: 24, color: '#1e3a8a', align: 'center', bold: true },
+    { id: 'trainer', type: 'text', text: 'Trainer: {{trainerName}}', x: 10, y: 76, width: 35, fontSize: 14, color: '#374151', align: 'center' },
+    { id: 'date', type: 'text', text: 'Date: {{completionDate}}', x: 55, y: 76, width: 35, fontSize: 14, color: '#374151', align: 'center' },
+    { id: 'serial', type: 'text', text: 'Certificate No. {{serial}} - Verify at {{verificationUrl}}', x: 5, y: 90, width: 90, fontSize: 10, color: '#6b7280', align: 'center' }
+  ]
+};
+
+const PLACEHOLDERS = [
+  { key: 'traineeName', label: 'Trainee Name' },
+  { key: 'courseTitle', label: 'Course Title' },
+  { key: 'trainerName', label: 'Trainer Name' },
+  { key: 'completionDate', label: 'Completion Date' },
+  { key: 'serial', label: 'Certificate No.' },
+  { key: 'verificationUrl', label: 'Verification URL' }
+];
+
+// A4 page width in PDF points, used to scale font sizes onto the canvas
+const PAGE_WIDTH_POINTS = { landscape: 841.89, portrait: 595.28 };
+// Matches the border inset used by the PDF renderer
+const BORDER_INSET_POINTS = 20;
+
+const withDefaults = (template) => {
+  if (!template || !Array.isArray(template.elements) || template.elements.length === 0) {
+    return DEFAULT_CERTIFICATE_TEMPLATE;
+  }
+  return {
+    ...DEFAULT_CERTIFICATE_TEMPLATE,
+    ...template,
+    page: { ...DEFAULT_CERTIFICATE_TEMPLATE.page, ...(template.page || {}) },
+    background: { ...DEFAULT_CERTIFICATE_TEMPLATE.background, ...(template.background || {}) },
+    border: { ...DEFAULT_CERTIFICATE_TEMPLATE.border, ...(template.border || {}) }
+  };
+};
+
+const fillPlaceholders = (text, data) => {
+  return String(text || '').replace(/{{\s*(\w+)\s*}}/g, (match, key) => (data[key] !== undefined ? data[key] : match));
+};
+
+const newElementId = () => `el_${Date.now().toString(36)}_${Math.random().toString(36).slice(2, 6)}`;
+
+const CertificateDesigner = ({ courseId, template, onChange }) => {
+  const { user } = useAuth();
+  const layout = withDefaults(template);
+  const canvasRef = useRef(null);
+  const dragRef = useRef(null);
+  const [canvasWidth, setCanvasWidth] = useState(0);
+  const [selectedId, setSelectedId] = useState(null);
+  const [showSampleData, setShowSampleData] = useState(false);
+  const [uploadingTarget, setUploadingTarget] = useState(null);
+  const [previewLoading, setPreviewLoading] = useState(false);
+
+  const { data: courseData } = useQuery(
+    ['course', courseId],
+    () => coursesAPI.getById(courseId),
+    { enabled: !!courseId }
+  );
+
+  const course = courseData?.course;
+  const sampleData = {
+    traineeName: user ? `${user.firstName} ${user.lastName}` : '',
+    courseTitle: course?.title || '',
+    trainerName: course?.trainer ? `${course.trainer.firstName} ${course.trainer.lastName}` : '',
+    completionDate: new Date().toLocaleDateString('en-US', { year: 'numeric', month: 'long', day: 'numeric' }),
+    serial: 'CX-PREVIEW',
+    verificationUrl: `${window.location.origin}/certificates/verify/CX-PREVIEW`
+  };
+
+  const orientation = layout.page.orientation === 'portrait' ? 'portrait' : 'landscape';
+  const scale = canvasWidth / PAGE_WIDTH_POINTS[orientation];
+  const selectedElement = layout.elements.find(element => element.id === selectedId);
+
+  // Keep the font scale in sync with the rendered canvas width
+  useEffect(() => {
+    const updateWidth = () => {
+      if (canvasRef.current) {
+        setCanvasWidth(canvasRef.current.offsetWidth);
+      }
+    };
+    updateWidth();
+    window.addEventListener('resize', updateWidth);
+    return () => window.removeEventListener('resize', updateWidth);
+  }, [orientation]);
+
+  const updateLayout = (changes) => {
+    onChange({ ...layout, ...changes });
+  };
+
+  const updateElement = (id, changes) => {
+    updateLayout({
+      elements: layout.elements.map(element => (element.id === id ? { ...element, ...changes } : element))
+    });
+  };
+
+  // Dragging: track the pointer on the window so fast moves don't drop the element
+  useEffect(() => {
+    const handleMouseMove = (e) => {
+      const drag = dragRef.current;
+      if (!drag || !canvasRef.current) {
+        return;
+      }
+      const rect = canvasRef.current.getBoundingClientRect();
+      const x = Math.min(Math.max(drag.startX + ((e.clientX - drag.mouseX) / rect.width) * 100, 0), 100);
+      const y = Math.min(Math.max(drag.startY + ((e.clientY - drag.mouseY) / rect.height) * 100, 0), 100);
+      drag.onMove(Math.round(x * 10) / 10, Math.round(y * 10) / 10);
+    };
+    const handleMouseUp = () => {
+      dragRef.current = null;
+    };
+
+    window.addEventListener('mousemove', handleMouseMove);
+    window.addEventListener('mouseup', handleMouseUp);
+    return () => {
+      window.removeEventListener('mousemove', handleMouseMove);
+      window.removeEventListener('mouseup', handleMouseUp);
+    };
+  }, []);
+
+  const startDrag = (e, element) => {
+    e.preventDefault();
+    e.stopPropagation();
+    setSelectedId(element.id);
+    dragRef.current = {
+      mouseX: e.clientX,
+      mouseY: e.clientY,
+      startX: element.x,
+      startY: element.y,
+      onMove: (x, y) => updateElement(element.id, { x, y })
+    };
+  };
+
+  const addTextElement = (text = 'New text') => {
+    const element = {
+      id: newElementId(),
+      type: 'text',
+      text,
+      x: 30,
+      y: 45,
+      width: 40,
+      fontSize: 16,
+      color: '#111827',
+      align: 'center',
+      bold: false,
+      italic: false
+    };
+    updateLayout({ elements: [...layout.elements, element] });
+    setSelectedId(element.id);
+  };
+
+  const insertPlaceholder = (key) => {
+    const token = `{{${key}}}`;
+    if (selectedElement?.type === 'text') {
+      updateElement(selectedElement.id, { text: `${selectedElement.text}${selectedElement.text ? ' ' : ''}${token}` });
+    } else {
+      addTextElement(token);
+    }
+  };
+
+  const uploadImage = async (file, target) => {
+    if (!file) {
+      return;
+    }
+    if (!['image/jpeg', 'image/png'].includes(file.type)) {
+      toast.error('Certificate images must be JPEG or PNG.');
+      return;
+    }
+
+    setUploadingTarget(target);
+    try {
+      const response = await courseContentAPI.uploadFile(courseId, 'image', file);
+      const { fileUrl } = response.data;
+
+      if (target === 'background') {
+        updateLayout({ background: { ...layout.background, imageUrl: fileUrl } });
+      } else {
+        const element = {
+          id: newElementId(),
+          type: 'image',
+          role: target,
+          imageUrl: fileUrl,
+          x: target === 'logo' ? 44 : 60,
+          y: target === 'logo' ? 3 : 68,
+          width: target === 'logo' ? 12 : 20,
+          height: null
+        };
+        updateLayout({ elements: [...layout.elements, element] });
+        setSelectedId(element.id);
+      }
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Failed to upload image.');
+    } finally {
+      setUploadingTarget(null);
+    }
+  };
+
+  const removeSelectedElement = () => {
+    updateLayout({ elements: layout.elements.filter(element => element.id !== selectedId) });
+    setSelectedId(null);
+  };
+
+  const handlePreviewPdf = async () => {
+    setPreviewLoading(true);
+    try {
+      const response = await courseContentAPI.previewCertificate(courseId, layout);
+      const url = window.URL.createObjectURL(new Blob([response.data], { type: 'application/pdf' }));
+      window.open(url, '_blank');
+      // Give the new tab time to load the PDF before releasing it
+      setTimeout(() => window.URL.revokeObjectURL(url), 60000);
+    } catch (error) {
+      console.error('Certificate preview error:', error);
+      toast.error('Failed to generate the certificate preview.');
+    } finally {
+      setPreviewLoading(false);
+    }
+  };
+
+  const renderElement = (element) => {
+    const isSelected = element.id === selectedId;
+    const style = {
+      left: `${element.x}%`,
+      top: `${element.y}%`,
+      width: `${element.width}%`
+    };
+
+    if (element.type === 'image') {
+      return (
+        <div
+          key={element.id}
+          onMouseDown={(e) => startDrag(e, element)}
+          className={`absolute cursor-move ${isSelected ? 'ring-2 ring-blue-500' : 'hover:ring-1 hover:ring-blue-300'}`}
+          style={{ ...style, height: element.height ? `${element.height}%` : undefined }}
+        >
+          <img
+            src={getMediaUrl(element.imageUrl)}
+            alt={element.role}
+            draggable={false}
+            className="w-full h-full object-contain pointer-events-none"
+          />
+        </div>
+      );
+    }
+
+    return (
+      <div
+        key={element.id}
+        onMouseDown={(e) => startDrag(e, element)}
+        className={`absolute cursor-move leading-tight whitespace-pre-wrap ${isSelected ? 'ring-2 ring-blue-500' : 'hover:ring-1 hover:ring-blue-300'}`}
+        style={{
+          ...style,
+          fontSize: `${(element.fontSize || 14) * scale}px`,
+          color: element.color,
+          textAlign: element.align,
+          fontWeight: element.bold ? 700 : 400,
+          fontStyle: element.italic ? 'italic' : 'normal',
+          fontFamily: 'Helvetica, Arial, sans-serif'
+        }}
+      >
+        {showSampleData ? fillPlaceholders(element.text, sampleData) : element.text}
+      </div>
+    );
+  };
+
+  return (
+    <div className="space-y-4">
+      {/* Toolbar */}
+      <div className="flex flex-wrap items-center gap-2">
+        <button type="button" onClick={() => addTextElement()} className="btn-secondary flex items-center text-sm">
+          <PlusIcon className="h-4 w-4 mr-1" />
+          Text
+        </button>
+        {['logo', 'signature', 'background'].map(target => (
+          <label key={target} className="btn-secondary flex items-center text-sm cursor-pointer">
+            <PhotoIcon className="h-4 w-4 mr-1" />
+            {uploadingTarget === target ? 'Uploading...' : target.charAt(0).toUpperCase() + target.slice(1)}
+            <input
+              type="file"
+              accept="image/jpeg,image/png"
+              className="hidden"
+              disabled={!!uploadingTarget}
+              onChange={(e) => {
+                uploadImage(e.target.files[0], target);
+                e.target.value = '';
+              }}
+            />
+          </label>
+        ))}
+        <label className="flex items-center text-sm text-gray-700 ml-auto">
+          <input
+            type="checkbox"
+            checked={showSampleData}
+            onChange={(e) => setShowSampleData(e.target.checked)}
+            className="h-4 w-4 text-blue-600 focus:ring-blue-500 border-gray-300 rounded mr-2"
+          />
+          <EyeIcon className="h-4 w-4 mr-1" />
+          Sample data
+        </label>
+        <button
+          type="button"
+          onClick={handlePreviewPdf}
+          disabled={previewLoading}
+          className="btn-secondary flex items-center text-sm disabled:opacity-50"
+        >
+          <DocumentArrowDownIcon className="h-4 w-4 mr-1" />
+          {previewLoading ? 'Rendering...' : 'Preview PDF'}
+        </button>
+      </div>
+
+      {/* Canvas */}
+      <div
+        ref={canvasRef}
+        onMouseDown={() => setSelectedId(null)}
+        className="relative w-full overflow-hidden border border-gray-300 shadow-inner select-none"
+        style={{
+          aspectRatio: orientation === 'portrait' ? '210 / 297' : '297 / 210',
+          backgroundColor: layout.background.color || '#ffffff',
+          backgroundImage: layout.background.imageUrl ? `url(${getMediaUrl(layout.background.imageUrl)})` : undefined,
+          backgroundSize: '100% 100%'
+        }}
+      >
+        {layout.border?.width > 0 && (
+          <div
+            className="absolute pointer-events-none"
+            style={{
+              inset: `${BORDER_INSET_POINTS * scale}px`,
+              border: `${layout.border.width * scale}px solid ${layout.border.color}`
+            }}
+          />
+        )}
+        {layout.elements.map(renderElement)}
+      </div>
+
+      {/* Placeholders */}
+      <div>
+        <p className="text-sm font-medium text-gray-700 mb-2">Placeholders</p>
+        <div className="flex flex-wrap gap-2">
+          {PLACEHOLDERS.map(placeholder => (
+            <button
+              key={placeholder.key}
+              type="button"
+              onClick={() => insertPlaceholder(placeholder.key)}
+              className="px-2 py-1 text-xs rounded bg-blue-50 text-blue-700 hover:bg-blue-100"
+              title={`Insert {{${placeholder.key}}}`}
+            >
+              {placeholder.label}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+        {/* Page settings */}
+        <div className="p-4 border border-gray-200 rounded-lg bg-gray-50 space-y-3">
+          <h4 className="text-sm font-semibold text-gray-900">Page</h4>
+          <div className="grid grid-cols-2 gap-3">
+            <div>
+              <label className="block text-xs font-medium text-gray-700 mb-1">Orientation</label>
+              <select
+                value={orientation}
+                onChange={(e) => updateLayout({ page: { ...layout.page, orientation: e.target.value } })}
+                className="input-field"
+              >
+                <option value="landscape">Landscape</option>
+                <option value="portrait">Portrait</option>
+              </select>
+            </div>
+            <div>
+              <label className="block text-xs font-medium text-gray-700 mb-1">Background</label>
+              <input
+                type="color"
+                value={layout.background.color || '#ffffff'}
+                onChange={(e) => updateLayout({ background: { ...layout.background, color: e.target.value } })}
+                className="h-10 w-full border border-gray-300 rounded"
+              />
+            </div>
+            <div>
+              <label className="block text-xs font-medium text-gray-700 mb-1">Border Color</label>
+              <input
+                type="color"
+                value={layout.border?.color || '#1e3a8a'}
+                onChange={(e) => updateLayout({ border: { ...layout.border, color: e.target.value } })}
+                className="h-10 w-full border border-gray-300 rounded"
+              />
+            </div>
+            <div>
+              <label className="block text-xs font-medium text-gray-700 mb-1">Border Width</label>
+              <input
+                type="number"
+                min="0"
+                max="30"
+                value={layout.border?.width ?? 0}
+                onChange={(e) => updateLayout({ border: { ...layout.border, width: Number(e.target.value) } })}
+                className="input-field"
+              />
+            </div>
+          </div>
+          <div className="flex gap-3">
+            {layout.background.imageUrl && (
+              <button
+                type="button"
+                onClick={() => updateLayout({ background: { ...layout.background, imageUrl: null } })}
+                className="text-xs text-red-600 hover:text-red-800"
+              >
+                Remove background image
+              </button>
+            )}
+            <button
+              type="button"
+              onClick={() => {
+                onChange(DEFAULT_CERTIFICATE_TEMPLATE);
+                setSelectedId(null);
+              }}
+              className="text-xs text-gray-600 hover:text-gray-900"
+            >
+              Reset to default layout
+            </button>
+          </div>
+        </div>
+
+        {/* Selected element settings */}
+        <div className="p-4 border border-gray-200 rounded-lg bg-gray-50 space-y-3">
+          <div className="flex items-center justify-between">
+            <h4 className="text-sm font-semibold text-gray-900">
+              {selectedElement ? (selectedElement.type === 'image' ? `Image (${selectedElement.role})` : 'Text') : 'Element'}
+            </h4>
+            {selectedElement && (
+              <button
+                type="button"
+                onClick={removeSelectedElement}
+                className="text-red-600 hover:text-red-800"
+                title="Remove element"
+              >
+                <TrashIcon className="h-4 w-4" />
+              </button>
+            )}
+          </div>
+
+          {!selectedElement && (
+            <p className="text-xs text-gray-500">Click an element on the certificate to edit it, or drag it to reposition.</p>
+          )}
+
+          {selectedElement?.type === 'text' && (
+            <>
+              <textarea
+                rows={2}
+                value={selectedElement.text}
+                onChange={(e) => updateElement(selectedElement.id, { text: e.target.value })}
+                className="input-field"
+              />
+              <div className="grid grid-cols-3 gap-3">
+                <div>
+                  <label className="block text-xs font-medium text-gray-700 mb-1">Size</label>
+                  <input
+                    type="number"
+                    min="6"
+                    max="96"
+                    value={selectedElement.fontSize}
+                    onChange={(e) => updateElement(selectedElement.id, { fontSize: Number(e.target.value) })}
+                    className="input-field"
+                  />
+                </div>
+                <div>
+                  <label className="block text-xs font-medium text-gray-700 mb-1">Color</label>
+                  <input
+                    type="color"
+                    value={selectedElement.color || '#111827'}
+                    onChange={(e) => updateElement(selectedElement.id, { color: e.target.value })}
+                    className="h-10 w-full border border-gray-300 rounded"
+                  />
+                </div>
+                <div>
+                  <label className="block text-xs font-medium text-gray-700 mb-1">Align</label>
+                  <select
+                    value={selectedElement.align || 'left'}
+                    onChange={(e) => updateElement(selectedElement.id, { align: e.target.value })}
+                    className="input-field"
+                  >
+                    <option value="left">Left</option>
+                    <option value="center">Center</option>
+                    <option value="right">Right</option>
+                  </select>
+                </div>
+              </div>
+              <div className="flex gap-4">
+                <label className="flex items-center text-sm text-gray-700">
+                  <input
+                    type="checkbox"
+                    checked={!!selectedElement.bold}
+                    onChange={(e) => updateElement(selectedElement.id, { bold: e.target.checked })}
+                    className="h-4 w-4 text-blue-600 focus:ring-blue-500 border-gray-300 rounded mr-2"
+                  />
+                  Bold
+                </label>
+                <label className="flex items-center text-sm text-gray-700">
+                  <input
+                    type="checkbox"
+                    checked={!!selectedElement.italic}
+                    onChange={(e) => updateElement(selectedElement.id, { italic: e.target.checked })}
+                    className="h-4 w-4 text-blue-600 focus:ring-blue-500 border-gray-300 rounded mr-2"
+                  />
+                  Italic
+                </label>
+              </div>
+            </>
+          )}
+
+          {selectedElement && (
+            <div className="grid grid-cols-4 gap-3">
+              {['x', 'y', 'width', ...(selectedElement.type === 'image' ? ['height'] : [])].map(field => (
+                <div key={field}>
+                  <label className="block text-xs font-medium text-gray-700 mb-1">{field.toUpperCase()} %</label>
+                  <input
+                    type="number"
+                    min="0"
+                    max="100"
+                    step="0.5"
+                    value={selectedElement[field] ?? ''}
+                    onChange={(e) => updateElement(selectedElement.id, {
+                      [field]: e.target.value === '' ? null : Number(e.target.value)
+                    })}
+                    className="input-field"
+                  />
+                </div>
+              ))}
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default CertificateDesigner;
@@ -0,0 +1,235 @@
+import React, { useState } from 'react';
+import { useQuery, useMutation, useQueryClient } from 'react-query';
+import { toast } from 'react-hot-toast';
+import { UserGroupIcon, TrashIcon } from '@heroicons/react/24/outline';
+import { courseStaffAPI } from '../services/api';
+
+const ROLE_LABELS = {
+  lead: 'Lead',
+  co_trainer: 'Co-trainer',
+  assistant: 'Assistant'
+};
+
+const CAPABILITY_LABELS = {
+  'course:manage': 'manage course',
+  'course:edit-content': 'edit content',
+  'course:grade': 'grade',
+  'course:attendance': 'attendance',
+  'course:earnings': 'earnings'
+};
+
+const ROLE_BADGES = {
+  lead: 'bg-blue-100 text-blue-800',
+  co_trainer: 'bg-green-100 text-green-800',
+  assistant: 'bg-gray-100 text-gray-800'
+};
+
+// Co-trainers and assistants of a course; the lead trainer and super admins manage them
+const CourseStaffPanel = ({ courseId }) => {
+  const queryClient = useQueryClient();
+  const [search, setSearch] = useState('');
+  const [newMember, setNewMember] = useState({ userId: '', role: 'assistant', revenueShare: '' });
+
+  const { data, isLoading, error } = useQuery(
+    ['course-staff', courseId],
+    () => courseStaffAPI.getAll(courseId),
+    { enabled: !!courseId, retry: false }
+  );
+
+  const canManage = !!data?.canManage;
+
+  const { data: candidatesData } = useQuery(
+    ['course-staff-candidates', courseId, search],
+    () => courseStaffAPI.getCandidates(courseId, search),
+    { enabled: canManage, keepPreviousData: true }
+  );
+
+  const onSuccess = (result) => {
+    toast.success(result.message);
+    queryClient.invalidateQueries(['course-staff', courseId]);
+    queryClient.invalidateQueries(['course-staff-candidates', courseId]);
+  };
+  const onError = (mutationError) => {
+    toast.error(mutationError.response?.data?.error || 'Failed to update course staff');
+  };
+
+  const addMutation = useMutation((member) => courseStaffAPI.add(courseId, member), {
+    onSuccess: (result) => {
+      onSuccess(result);
+      setNewMember({ userId: '', role: 'assistant', revenueShare: '' });
+    },
+    onError
+  });
+
+  const updateMutation = useMutation(
+    ({ staffId, changes }) => courseStaffAPI.update(courseId, staffId, changes),
+    { onSuccess, onError }
+  );
+
+  const removeMutation = useMutation((staffId) => courseStaffAPI.remove(courseId, staffId), {
+    onSuccess,
+    onError
+  });
+
+  // Trainers who are not staff of the course get a 403 and see nothing
+  if (isLoading || error) {
+    return null;
+  }
+
+  const staff = data?.staff || [];
+  const candidates = candidatesData?.candidates || [];
+
+  const handleAdd = (event) => {
+    event.preventDefault();
+    if (!newMember.userId) {
+      toast.error('Select a trainer to add');
+      return;
+    }
+    addMutation.mutate({
+      userId: newMember.userId,
+      role: newMember.role,
+      revenueShare: newMember.role === 'co_trainer' && newMember.revenueShare !== ''
+        ? parseFloat(newMember.revenueShare)
+        : null
+    });
+  };
+
+  const handleRemove = (member) => {
+    const name = `${member.user?.firstName} ${member.user?.lastName}`;
+    if (window.confirm(`Remove ${name} from the course staff?`)) {
+      removeMutation.mutate(member.id);
+    }
+  };
+
+  const handleShareBlur = (member, value) => {
+    const revenueShare = value === '' ? null : parseFloat(value);
+    if (revenueShare !== member.revenueShare) {
+      updateMutation.mutate({ staffId: member.id, changes: { revenueShare } });
+    }
+  };
+
+  return (
+    <div className="card mt-6">
+      <div className="flex items-center mb-4">
+        <UserGroupIcon className="h-5 w-5 text-gray-500 mr-2" />
+        <h3 className="text-lg font-medium text-gray-900">Course Staff</h3>
+      </div>
+
+      <ul className="divide-y divide-gray-200">
+        {staff.map((member) => (
+          <li key={member.id} className="py-3">
+            <div className="flex items-center justify-between">
+              <div>
+                <p className="text-sm font-medium text-gray-900">
+                  {member.user?.firstName} {member.user?.lastName}
+                </p>
+                <p className="text-xs text-gray-500">
+                  {member.capabilities.map((capability) => CAPABILITY_LABELS[capability]).join(', ')}
+                </p>
+              </div>
+              <div className="flex items-center space-x-2">
+                {canManage && member.role !== 'lead' ? (
+                  <select
+                    value={member.role}
+                    onChange={(e) => updateMutation.mutate({ staffId: member.id, changes: { role: e.target.value } })}
+                    disabled={updateMutation.isLoading}
+                    className="text-xs border-gray-300 rounded-md"
+                  >
+                    <option value="co_trainer">{ROLE_LABELS.co_trainer}</option>
+                    <option value="assistant">{ROLE_LABELS.assistant}</option>
+                  </select>
+                ) : (
+                  <span className={`px-2 py-0.5 rounded-full text-xs font-medium ${ROLE_BADGES[member.role]}`}>
+                    {ROLE_LABELS[member.role]}
+                  </span>
+                )}
+                {canManage && member.role !== 'lead' && (
+                  <button
+                    onClick={() => handleRemove(member)}
+                    disabled={removeMutation.isLoading}
+                    className="text-red-500 hover:text-red-700"
+                    title="Remove from staff"
+                  >
+                    <TrashIcon className="h-4 w-4" />
+                  </button>
+                )}
+              </div>
+            </div>
+            {member.role !== 'assistant' && (
+              <div className="mt-1 flex items-center text-xs text-gray-500">
+                <span className="mr-2">Revenue share:</span>
+                {canManage && member.role === 'co_trainer' ? (
+                  <input
+                    type="number"
+                    min="0"
+                    max="100"
+                    step="0.01"
+                    defaultValue={member.revenueShare}
+                    key={`${member.id}-${member.revenueShare}`}
+                    onBlur={(e) => handleShareBlur(member, e.target.value)}
+                    className="w-20 text-xs border-gray-300 rounded-md py-0.5"
+                  />
+                ) : (
+                  <span className="text-gray-900">{member.revenueShare}</span>
+                )}
+                <span className="ml-1">%</span>
+              </div>
+            )}
+          </li>
+        ))}
+      </ul>
+
+      {canManage && (
+        <form onSubmit={handleAdd} className="mt-4 pt-4 border-t border-gray-200 space-y-3">
+          <h4 className="text-sm font-medium text-gray-900">Add staff member</h4>
+          <input
+            type="text"
+            value={search}
+            onChange={(e) => setSearch(e.target.value)}
+            placeholder="Search trainers..."
+            className="input-field"
+          />
+          <select
+            value={newMember.userId}
+            onChange={(e) => setNewMember({ ...newMember, userId: e.target.value })}
+            className="input-field"
+          >
+            <option value="">Select a trainer</option>
+            {candidates.map((candidate) => (
+              <option key={candidate.id} value={candidate.id}>
+                {candidate.firstName} {candidate.lastName} ({candidate.email})
+              </option>
+            ))}
+          </select>
+          <div className="flex space-x-2">
+            <select
+              value={newMember.role}
+              onChange={(e) => setNewMember({ ...newMember, role: e.target.value })}
+              className="input-field"
+            >
+              <option value="co_trainer">{ROLE_LABELS.co_trainer}</option>
+              <option value="assistant">{ROLE_LABELS.assistant}</option>
+            </select>
+            {newMember.role === 'co_trainer' && (
+              <input
+                type="number"
+                min="0"
+                max="100"
+                step="0.01"
+                value={newMember.revenueShare}
+                onChange={(e) => setNewMember({ ...newMember, revenueShare: e.target.value })}
+                placeholder="Share %"
+                className="input-field w-28"
+              />
+            )}
+          </div>
+          <button type="submit" disabled={addMutation.isLoading} className="btn-primary w-full">
+            {addMutation.isLoading ? 'Adding...' : 'Add to Staff'}
+          </button>
+        </form>
+      )}
+    </div>
+  );
+};
+
+export default CourseStaffPanel;
@@ -0,0 +1,78 @@
+import React, { useState } from 'react';
+import { useQuery } from 'react-query';
+import { useNavigate } from 'react-router-dom';
+import { CalendarDaysIcon } from '@heroicons/react/24/outline';
+import toast from 'react-hot-toast';
+import api from '../utils/api';
+import LoadingSpinner from './LoadingSpinner';
+
+const formatPrice = (price) => new Intl.NumberFormat('en-US', {
+  style: 'currency',
+  currency: 'USD',
+}).format(price);
+
+// "Pay in installments" options for a paid course; starting a plan goes to checkout for the first installment
+const InstallmentPlanOptions = ({ courseId }) => {
+  const navigate = useNavigate();
+  const [startingPlanId, setStartingPlanId] = useState(null);
+
+  const { data: plans = [] } = useQuery(
+    ['installment-plans', courseId],
+    () => api.get(`/financial/installments/plans/course/${courseId}`).then(res => res.data.plans),
+    {
+      enabled: !!courseId,
+      retry: false,
+      refetchOnWindowFocus: false
+    }
+  );
+
+  const activePlans = plans.filter(plan => plan.isActive);
+
+  const handleStartPlan = async (plan) => {
+    setStartingPlanId(plan.id);
+    try {
+      const response = await api.post(`/financial/installments/plans/${plan.id}/purchase`);
+      navigate(`/checkout?installment=${response.data.firstInstallmentId}`);
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Failed to start installment plan');
+      setStartingPlanId(null);
+    }
+  };
+
+  if (activePlans.length === 0) {
+    return null;
+  }
+
+  return (
+    <div className="mt-4 text-left">
+      <p className="text-sm font-medium text-gray-700 mb-2 flex items-center">
+        <CalendarDaysIcon className="h-4 w-4 mr-1" />
+        Or pay in installments
+      </p>
+      <div className="space-y-2">
+        {activePlans.map(plan => (
+          <button
+            key={plan.id}
+            type="button"
+            onClick={() => handleStartPlan(plan)}
+            disabled={!!startingPlanId}
+            className="w-full border border-gray-200 rounded-lg p-3 text-left hover:border-primary-500 hover:bg-primary-50 disabled:opacity-50"
+          >
+            {startingPlanId === plan.id ? (
+              <LoadingSpinner size="sm" />
+            ) : (
+              <>
+                <span className="block text-sm font-medium text-gray-900">{plan.name}</span>
+                <span className="block text-xs text-gray-500">
+                  {formatPrice(plan.amounts[0])} today, then {plan.numberOfInstallments - 1} payment{plan.numberOfInstallments > 2 ? 's' : ''} of {formatPrice(plan.amounts[1])} every {plan.intervalDays} days
+                </span>
+              </>
+            )}
+          </button>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+export default InstallmentPlanOptions;
@@ -0,0 +1,193 @@
+import React, { useState } from 'react';
+import { useQuery, useMutation, useQueryClient } from 'react-query';
+import { CalendarDaysIcon, PlusIcon } from '@heroicons/react/24/outline';
+import toast from 'react-hot-toast';
+import api from '../utils/api';
+import LoadingSpinner from './LoadingSpinner';
+
+const EMPTY_PLAN = {
+  name: '',
+  numberOfInstallments: 3,
+  intervalDays: 30,
+  gracePeriodDays: 7
+};
+
+// Trainer / super admin management of the installment plans offered for a paid course
+const InstallmentPlansManager = ({ courseId }) => {
+  const queryClient = useQueryClient();
+  const [showForm, setShowForm] = useState(false);
+  const [newPlan, setNewPlan] = useState(EMPTY_PLAN);
+
+  const { data: plans = [], isLoading } = useQuery(
+    ['installment-plans', courseId],
+    () => api.get(`/financial/installments/plans/course/${courseId}`).then(res => res.data.plans),
+    {
+      enabled: !!courseId,
+      refetchOnWindowFocus: false
+    }
+  );
+
+  const onError = (error) => {
+    toast.error(error.response?.data?.error || error.response?.data?.errors?.[0]?.msg || 'Failed to save installment plan');
+  };
+
+  const createMutation = useMutation(
+    (plan) => api.post('/financial/installments/plans', { ...plan, courseId }),
+    {
+      onSuccess: () => {
+        toast.success('Installment plan created');
+        setShowForm(false);
+        setNewPlan(EMPTY_PLAN);
+        queryClient.invalidateQueries(['installment-plans', courseId]);
+      },
+      onError
+    }
+  );
+
+  const toggleMutation = useMutation(
+    (plan) => (plan.isActive
+      ? api.delete(`/financial/installments/plans/${plan.id}`)
+      : api.put(`/financial/installments/plans/${plan.id}`, { isActive: true })),
+    {
+      onSuccess: () => queryClient.invalidateQueries(['installment-plans', courseId]),
+      onError
+    }
+  );
+
+  const handleChange = (e) => {
+    const { name, value, type } = e.target;
+    setNewPlan(prev => ({
+      ...prev,
+      [name]: type === 'number' ? parseInt(value, 10) || 0 : value
+    }));
+  };
+
+  const handleCreate = (e) => {
+    e.preventDefault();
+    createMutation.mutate(newPlan);
+  };
+
+  if (!courseId) {
+    return (
+      <p className="text-sm text-gray-500">Save the course first to offer installment plans.</p>
+    );
+  }
+
+  return (
+    <div className="space-y-4">
+      {isLoading ? (
+        <LoadingSpinner size="sm" />
+      ) : plans.length === 0 ? (
+        <p className="text-sm text-gray-500">No installment plans yet. Trainees pay the full price at checkout.</p>
+      ) : (
+        <div className="space-y-2">
+          {plans.map(plan => (
+            <div key={plan.id} className="flex items-center justify-between border border-gray-200 rounded-lg p-3">
+              <div className="flex items-center">
+                <CalendarDaysIcon className="h-5 w-5 text-gray-400 mr-3" />
+                <div>
+                  <p className={`text-sm font-medium ${plan.isActive ? 'text-gray-900' : 'text-gray-400'}`}>
+                    {plan.name}{!plan.isActive && ' (inactive)'}
+                  </p>
+                  <p className="text-xs text-gray-500">
+                    {plan.numberOfInstallments} payments every {plan.intervalDays} days, {plan.gracePeriodDays} day grace period
+                    {plan.amounts && ` - ${plan.amounts.map(amount => amount.toFixed(2)).join(' / ')}`}
+                  </p>
+                </div>
+              </div>
+              <button
+                type="button"
+                onClick={() => toggleMutation.mutate(plan)}
+                disabled={toggleMutation.isLoading}
+                className="btn-secondary text-xs disabled:opacity-50"
+              >
+                {plan.isActive ? 'Deactivate' : 'Activate'}
+              </button>
+            </div>
+          ))}
+        </div>
+      )}
+
+      {showForm ? (
+        <form onSubmit={handleCreate} className="border border-gray-200 rounded-lg p-4 space-y-4">
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Plan name</label>
+            <input
+              type="text"
+              name="name"
+              value={newPlan.name}
+              onChange={handleChange}
+              className="input-field"
+              placeholder="e.g., 3 monthly payments"
+              maxLength={100}
+              required
+            />
+          </div>
+          <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Installments</label>
+              <input
+                type="number"
+                name="numberOfInstallments"
+                value={newPlan.numberOfInstallments}
+                onChange={handleChange}
+                className="input-field"
+                min="2"
+                max="24"
+                required
+              />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Days between payments</label>
+              <input
+                type="number"
+                name="intervalDays"
+                value={newPlan.intervalDays}
+                onChange={handleChange}
+                className="input-field"
+                min="1"
+                max="365"
+                required
+              />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Grace period (days)</label>
+              <input
+                type="number"
+                name="gracePeriodDays"
+                value={newPlan.gracePeriodDays}
+                onChange={handleChange}
+                className="input-field"
+                min="0"
+                max="90"
+                required
+              />
+            </div>
+          </div>
+          <p className="text-xs text-gray-500">
+            Course access is suspended when an installment is unpaid after the grace period, and restored once it is paid.
+          </p>
+          <div className="flex justify-end space-x-2">
+            <button type="button" onClick={() => setShowForm(false)} className="btn-secondary">
+              Cancel
+            </button>
+            <button type="submit" disabled={createMutation.isLoading} className="btn-primary disabled:opacity-50">
+              {createMutation.isLoading ? 'Saving...' : 'Create Plan'}
+            </button>
+          </div>
+        </form>
+      ) : (
+        <button
+          type="button"
+          onClick={() => setShowForm(true)}
+          className="btn-secondary flex items-center"
+        >
+          <PlusIcon className="h-4 w-4 mr-1" />
+          Add Installment Plan
+        </button>
+      )}
+    </div>
+  );
+};
+
+export default InstallmentPlansManager;
@@ -3,6 +3,8 @@ import { Outlet, useNavigate, useLocation } from 'react-router-dom';
 import { useAuth } from '../contexts/AuthContext';
 import PasswordChangeModal from './PasswordChangeModal';
 import ShoppingCart from './ShoppingCart';
+import NotificationBell from './NotificationBell';
+import PluginSlot from './PluginSlot';
 import {
   HomeIcon,
   AcademicCapIcon,
@@ -15,10 +17,13 @@ import {
   BanknotesIcon,
   ShoppingCartIcon,
   CalendarDaysIcon,
+  ClipboardDocumentCheckIcon,
+  ShieldCheckIcon,
+  BoltIcon,
 } from '@heroicons/react/24/outline';
 
 const Layout = () => {
-  const { user, logout, isSuperAdmin } = useAuth();
+  const { user, logout, isSuperAdmin, hasRole } = useAuth();
   const navigate = useNavigate();
   const location = useLocation();
   const [showPasswordModal, setShowPasswordModal] = useState(false);
@@ -50,10 +55,13 @@ const Layout = () => {
     { name: 'Courses', href: '/courses', icon: AcademicCapIcon },
     ...(user?.role === 'trainee' ? [{ name: 'Attendance Tracker', href: '/attendance/tracker', icon: CalendarDaysIcon }] : []),
     ...(isSuperAdmin ? [{ name: 'Users', href: '/users', icon: UsersIcon }] : []),
+    ...(isSuperAdmin ? [{ name: 'Roles', href: '/admin/roles', icon: ShieldCheckIcon }] : []),
+    ...(isSuperAdmin ? [{ name: 'Webhooks', href: '/admin/webhooks', icon: BoltIcon }] : []),
     ...(isSuperAdmin ? [{ name: 'Plugin Management', href: '/plugin-management', icon: PuzzlePieceIcon }] : []),
     ...(isSuperAdmin ? [{ name: 'Financial Dashboard', href: '/financial-dashboard', icon: CurrencyDollarIcon }] : []),
     ...(isSuperAdmin ? [{ name: 'Currency Management', href: '/admin/currencies', icon: CurrencyDollarIcon }] : []),
     ...(user?.role === 'trainer' ? [{ name: 'My Earnings', href: '/trainer/earnings', icon: BanknotesIcon }] : []),
+    ...(hasRole(['trainer', 'super_admin']) ? [{ name: 'Quiz Grading', href: '/trainer/quiz-grading', icon: ClipboardDocumentCheckIcon }] : []),
   ];
 
   const handleLogout = () => {
@@ -116,6 +124,10 @@ const Layout = () => {
             </button>
           )}
           
+          <PluginSlot name="header-actions" className="flex items-center gap-x-2" />
+
+          <NotificationBell />
+
           <div className="hidden lg:block lg:h-6 lg:w-px lg:bg-gray-200" />
           
           <div className="relative user-menu">
@@ -0,0 +1,111 @@
+import React, { useState, useEffect } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { useQuery, useMutation, useQueryClient } from 'react-query';
+import { BellIcon } from '@heroicons/react/24/outline';
+import { notificationsAPI } from '../services/api';
+
+const NotificationBell = () => {
+  const navigate = useNavigate();
+  const queryClient = useQueryClient();
+  const [open, setOpen] = useState(false);
+
+  const { data } = useQuery(
+    ['notifications'],
+    () => notificationsAPI.getAll({ limit: 10 }),
+    { refetchInterval: 60000 }
+  );
+
+  const markReadMutation = useMutation(
+    (id) => notificationsAPI.markRead(id),
+    { onSuccess: () => queryClient.invalidateQueries(['notifications']) }
+  );
+
+  const markAllReadMutation = useMutation(
+    () => notificationsAPI.markAllRead(),
+    { onSuccess: () => queryClient.invalidateQueries(['notifications']) }
+  );
+
+  // Close dropdown when clicking outside
+  useEffect(() => {
+    const handleClickOutside = (event) => {
+      if (open && !event.target.closest('.notification-menu')) {
+        setOpen(false);
+      }
+    };
+
+    document.addEventListener('mousedown', handleClickOutside);
+    return () => {
+      document.removeEventListener('mousedown', handleClickOutside);
+    };
+  }, [open]);
+
+  const notifications = data?.notifications || [];
+  const unreadCount = data?.unreadCount || 0;
+
+  const handleNotificationClick = (notification) => {
+    if (!notification.isRead) {
+      markReadMutation.mutate(notification.id);
+    }
+    setOpen(false);
+    if (notification.link) {
+      navigate(notification.link);
+    }
+  };
+
+  return (
+    <div className="relative notification-menu">
+      <button
+        onClick={() => setOpen(!open)}
+        className="p-2 text-gray-600 hover:text-gray-900 relative"
+        title="Notifications"
+      >
+        <BellIcon className="h-6 w-6" />
+        {unreadCount > 0 && (
+          <span className="absolute top-1 right-1 inline-flex items-center justify-center h-4 min-w-[1rem] px-1 text-xs font-bold text-white bg-red-500 rounded-full">
+            {unreadCount > 9 ? '9+' : unreadCount}
+          </span>
+        )}
+      </button>
+
+      {open && (
+        <div className="absolute right-0 mt-2 w-80 rounded-md shadow-lg bg-white ring-1 ring-black ring-opacity-5 z-50">
+          <div className="flex items-center justify-between px-4 py-2 border-b border-gray-100">
+            <span className="text-sm font-semibold text-gray-900">Notifications</span>
+            {unreadCount > 0 && (
+              <button
+                onClick={() => markAllReadMutation.mutate()}
+                className="text-xs text-primary-600 hover:text-primary-800"
+              >
+                Mark all as read
+              </button>
+            )}
+          </div>
+          {notifications.length === 0 ? (
+            <p className="px-4 py-6 text-sm text-center text-gray-500">No notifications yet</p>
+          ) : (
+            <ul className="max-h-96 overflow-y-auto divide-y divide-gray-100">
+              {notifications.map((notification) => (
+                <li key={notification.id}>
+                  <button
+                    onClick={() => handleNotificationClick(notification)}
+                    className={`w-full text-left px-4 py-3 hover:bg-gray-50 ${notification.isRead ? '' : 'bg-primary-50'}`}
+                  >
+                    <p className="text-sm font-medium text-gray-900">{notification.title}</p>
+                    {notification.message && (
+                      <p className="text-xs text-gray-600 mt-1">{notification.message}</p>
+                    )}
+                    <p className="text-xs text-gray-400 mt-1">
+                      {new Date(notification.createdAt).toLocaleString()}
+                    </p>
+                  </button>
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default NotificationBell;
@@ -0,0 +1,194 @@
+import React, { useState } from 'react';
+import { useMutation } from 'react-query';
+import { toast } from 'react-hot-toast';
+import {
+  ArrowUpTrayIcon,
+  CheckCircleIcon,
+  ExclamationTriangleIcon,
+  XCircleIcon
+} from '@heroicons/react/24/outline';
+import { pluginInstallAPI } from '../services/api';
+
+// Upload a zipped plugin, review the validation report, then confirm the install
+const PluginInstallModal = ({ onClose, onInstalled }) => {
+  const [file, setFile] = useState(null);
+  const [report, setReport] = useState(null);
+
+  const stageMutation = useMutation(
+    (pluginFile) => pluginInstallAPI.stage(pluginFile),
+    {
+      onSuccess: (data) => setReport(data),
+      onError: (error) => {
+        toast.error(error.response?.data?.error || 'Failed to upload plugin package');
+      }
+    }
+  );
+
+  const installMutation = useMutation(
+    (stagingId) => pluginInstallAPI.confirm(stagingId),
+    {
+      onSuccess: (data) => {
+        toast.success(data.message || 'Plugin installed successfully');
+        onInstalled();
+        onClose();
+      },
+      onError: (error) => {
+        toast.error(error.response?.data?.error || 'Failed to install plugin');
+        setReport(null);
+        setFile(null);
+      }
+    }
+  );
+
+  const handleClose = () => {
+    // Staged packages are removed on the server as well
+    if (report && !installMutation.isLoading) {
+      pluginInstallAPI.discard(report.stagingId).catch(() => {});
+    }
+    onClose();
+  };
+
+  const handleUpload = (e) => {
+    e.preventDefault();
+    if (file) {
+      stageMutation.mutate(file);
+    }
+  };
+
+  const isBusy = stageMutation.isLoading || installMutation.isLoading;
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
+      <div className="bg-white rounded-lg max-w-2xl w-full mx-4 max-h-[90vh] overflow-y-auto">
+        <div className="p-6 border-b border-gray-200">
+          <div className="flex items-center justify-between">
+            <h2 className="text-xl font-semibold text-gray-900">Install Plugin</h2>
+            <button
+              onClick={handleClose}
+              disabled={installMutation.isLoading}
+              className="text-gray-400 hover:text-gray-600"
+            >
+              <XCircleIcon className="h-6 w-6" />
+            </button>
+          </div>
+        </div>
+
+        {!report ? (
+          <form onSubmit={handleUpload} className="p-6 space-y-4">
+            <p className="text-sm text-gray-600">
+              Upload a plugin packaged as a .zip file. It is validated before anything is installed.
+            </p>
+            <input
+              type="file"
+              accept=".zip"
+              onChange={(e) => setFile(e.target.files[0] || null)}
+              className="block w-full text-sm text-gray-700"
+            />
+            <div className="flex justify-end space-x-2">
+              <button type="button" onClick={handleClose} className="btn-secondary">
+                Cancel
+              </button>
+              <button
+                type="submit"
+                disabled={!file || isBusy}
+                className="btn-primary flex items-center disabled:opacity-50"
+              >
+                <ArrowUpTrayIcon className="h-4 w-4 mr-1" />
+                {stageMutation.isLoading ? 'Validating...' : 'Upload and Validate'}
+              </button>
+            </div>
+          </form>
+        ) : (
+          <div className="p-6 space-y-4">
+            <div>
+              <h3 className="text-lg font-semibold text-gray-900">
+                {report.plugin.name} <span className="text-sm font-normal text-gray-500">v{report.plugin.version}</span>
+              </h3>
+              {report.plugin.description && (
+                <p className="text-sm text-gray-600">{report.plugin.description}</p>
+              )}
+              {report.plugin.author && (
+                <p className="text-xs text-gray-500 mt-1">Author: {report.plugin.author}</p>
+              )}
+              {report.installedVersion && (
+                <p className="text-sm text-yellow-700 mt-2">
+                  Version {report.installedVersion} is installed and will be replaced.
+                </p>
+              )}
+            </div>
+
+            {report.plugin.permissions.length > 0 && (
+              <div>
+                <h4 className="text-sm font-medium text-gray-500 mb-2">Requested permissions</h4>
+                <div className="flex flex-wrap gap-2">
+                  {report.plugin.permissions.map((permission) => (
+                    <span key={permission} className="bg-blue-100 text-blue-800 text-xs px-2 py-1 rounded-full">
+                      {permission}
+                    </span>
+                  ))}
+                </div>
+              </div>
+            )}
+
+            {report.canInstall ? (
+              <div className="flex items-center text-sm text-green-700 bg-green-50 rounded-md p-3">
+                <CheckCircleIcon className="h-5 w-5 mr-2" />
+                The plugin passed validation.
+              </div>
+            ) : (
+              <div className="bg-red-50 rounded-md p-3">
+                <div className="flex items-center text-sm font-medium text-red-700 mb-2">
+                  <XCircleIcon className="h-5 w-5 mr-2" />
+                  The plugin cannot be installed
+                </div>
+                <ul className="list-disc list-inside text-sm text-red-700 space-y-1">
+                  {report.errors.map((error) => (
+                    <li key={error}>{error}</li>
+                  ))}
+                  {report.missingDependencies.map((dependency) => (
+                    <li key={dependency}>Missing dependency: the npm module "{dependency}" is not installed</li>
+                  ))}
+                </ul>
+              </div>
+            )}
+
+            {report.warnings.length > 0 && (
+              <div className="bg-yellow-50 rounded-md p-3">
+                <div className="flex items-center text-sm font-medium text-yellow-800 mb-2">
+                  <ExclamationTriangleIcon className="h-5 w-5 mr-2" />
+                  Warnings
+                </div>
+                <ul className="list-disc list-inside text-sm text-yellow-800 space-y-1">
+                  {report.warnings.map((warning) => (
+                    <li key={warning}>{warning}</li>
+                  ))}
+                </ul>
+              </div>
+            )}
+
+            <div className="flex justify-end space-x-2">
+              <button
+                type="button"
+                onClick={handleClose}
+                disabled={installMutation.isLoading}
+                className="btn-secondary disabled:opacity-50"
+              >
+                Cancel
+              </button>
+              <button
+                type="button"
+                onClick={() => installMutation.mutate(report.stagingId)}
+                disabled={!report.canInstall || isBusy}
+                className="btn-primary disabled:opacity-50"
+              >
+                {installMutation.isLoading ? 'Installing...' : 'Install Plugin'}
+              </button>
+            </div>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default PluginInstallModal;
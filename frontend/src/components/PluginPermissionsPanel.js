@@ -0,0 +1,134 @@
+import React from 'react';
+import { useQuery, useMutation, useQueryClient } from 'react-query';
+import { toast } from 'react-hot-toast';
+import { ShieldCheckIcon } from '@heroicons/react/24/outline';
+import { permissionsAPI } from '../services/api';
+
+const formatRole = (role) => role.charAt(0).toUpperCase() + role.slice(1).replace(/_/g, ' ');
+
+// Grant plugin-declared permissions to roles (super admins hold all of them)
+const PluginPermissionsPanel = () => {
+  const queryClient = useQueryClient();
+
+  const { data, isLoading, error } = useQuery('role-permissions', permissionsAPI.getAll);
+
+  const updateMutation = useMutation(
+    ({ role, permissions }) => permissionsAPI.setRolePermissions(role, permissions),
+    {
+      onSuccess: (result) => {
+        toast.success(result.message || 'Permissions updated');
+        queryClient.invalidateQueries('role-permissions');
+        queryClient.invalidateQueries('ui-config');
+      },
+      onError: (mutationError) => {
+        toast.error(mutationError.response?.data?.error || 'Failed to update permissions');
+      }
+    }
+  );
+
+  if (isLoading) {
+    return (
+      <div className="bg-white rounded-lg shadow-sm border border-gray-200 p-6 text-sm text-gray-500">
+        Loading permissions...
+      </div>
+    );
+  }
+
+  if (error) {
+    return (
+      <div className="bg-white rounded-lg shadow-sm border border-gray-200 p-6 text-sm text-red-600">
+        Failed to load permissions: {error.response?.data?.error || error.message}
+      </div>
+    );
+  }
+
+  const { permissions = [], roles = [] } = data || {};
+  const knownPermissions = new Set(permissions.map((permission) => permission.name));
+  const permissionsByPlugin = permissions.reduce((groups, permission) => {
+    (groups[permission.plugin] = groups[permission.plugin] || []).push(permission);
+    return groups;
+  }, {});
+
+  const handleToggle = (role, permissionName) => {
+    // Only send permissions of loaded plugins; the server keeps the others
+    const current = role.permissions.filter((name) => knownPermissions.has(name));
+    const next = current.includes(permissionName)
+      ? current.filter((name) => name !== permissionName)
+      : [...current, permissionName];
+    updateMutation.mutate({ role: role.role, permissions: next });
+  };
+
+  return (
+    <div className="bg-white rounded-lg shadow-sm border border-gray-200">
+      <div className="p-6 border-b border-gray-200 flex items-center space-x-3">
+        <div className="bg-blue-100 rounded-lg p-2">
+          <ShieldCheckIcon className="h-6 w-6 text-blue-600" />
+        </div>
+        <div>
+          <h2 className="text-lg font-semibold text-gray-900">Plugin Permissions</h2>
+          <p className="text-sm text-gray-500">
+            Super admins hold every permission. Grant permissions to other roles here.
+          </p>
+        </div>
+      </div>
+
+      {permissions.length === 0 ? (
+        <p className="p-6 text-sm text-gray-500">No loaded plugin declares permissions.</p>
+      ) : (
+        <div className="overflow-x-auto">
+          <table className="min-w-full divide-y divide-gray-200">
+            <thead className="bg-gray-50">
+              <tr>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                  Permission
+                </th>
+                {roles.map((role) => (
+                  <th
+                    key={role.role}
+                    className="px-6 py-3 text-center text-xs font-medium text-gray-500 uppercase tracking-wider"
+                  >
+                    {role.displayName || formatRole(role.role)}
+                  </th>
+                ))}
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-200">
+              {Object.entries(permissionsByPlugin).map(([plugin, pluginPermissions]) => (
+                <React.Fragment key={plugin}>
+                  <tr className="bg-gray-50">
+                    <td colSpan={roles.length + 1} className="px-6 py-2 text-sm font-medium text-gray-700">
+                      {plugin}
+                    </td>
+                  </tr>
+                  {pluginPermissions.map((permission) => (
+                    <tr key={permission.name}>
+                      <td className="px-6 py-3">
+                        <div className="text-sm font-mono text-gray-900">{permission.name}</div>
+                        {permission.description && (
+                          <div className="text-xs text-gray-500">{permission.description}</div>
+                        )}
+                      </td>
+                      {roles.map((role) => (
+                        <td key={role.role} className="px-6 py-3 text-center">
+                          <input
+                            type="checkbox"
+                            checked={role.permissions.includes(permission.name)}
+                            onChange={() => handleToggle(role, permission.name)}
+                            disabled={updateMutation.isLoading}
+                            className="h-4 w-4 text-blue-600 border-gray-300 rounded"
+                          />
+                        </td>
+                      ))}
+                    </tr>
+                  ))}
+                </React.Fragment>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default PluginPermissionsPanel;
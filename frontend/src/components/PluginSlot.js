@@ -0,0 +1,89 @@
+import React from 'react';
+import api from '../services/api';
+import { usePluginSlots } from '../hooks/usePluginSlots';
+import { getSlotComponent } from '../plugins/slotComponents';
+
+// Backend origin for plugin iframe paths such as /api/my-plugin/panel
+const backendOrigin = api.defaults.baseURL.replace(/\/api\/?$/, '');
+
+// Fill {courseId}-style placeholders in an iframe URL from the slot context
+const buildIframeUrl = (url, context) => {
+  const filledUrl = url.replace(/\{(\w+)\}/g, (match, key) => (
+    context[key] !== undefined ? encodeURIComponent(context[key]) : ''
+  ));
+  return filledUrl.startsWith('/') ? `${backendOrigin}${filledUrl}` : filledUrl;
+};
+
+// Keeps a failing plugin component from breaking the page it is rendered in
+class SlotErrorBoundary extends React.Component {
+  constructor(props) {
+    super(props);
+    this.state = { hasError: false };
+  }
+
+  static getDerivedStateFromError() {
+    return { hasError: true };
+  }
+
+  componentDidCatch(error) {
+    console.error(`Plugin ${this.props.plugin} failed to render in a UI slot:`, error);
+  }
+
+  render() {
+    if (this.state.hasError) {
+      return null;
+    }
+    return this.props.children;
+  }
+}
+
+// Renders one slot entry: a bundled plugin component or a sandboxed iframe panel
+export const PluginSlotEntry = ({ entry, context = {} }) => {
+  if (entry.type === 'iframe') {
+    return (
+      <iframe
+        src={buildIframeUrl(entry.url, context)}
+        title={entry.title || entry.plugin}
+        sandbox="allow-scripts allow-forms allow-popups"
+        className="w-full border-0"
+        style={{ height: entry.height || 300 }}
+      />
+    );
+  }
+
+  const Component = getSlotComponent(entry.component);
+  if (!Component) {
+    console.warn(`Plugin ${entry.plugin} uses unknown slot component: ${entry.component}`);
+    return null;
+  }
+
+  return (
+    <SlotErrorBoundary plugin={entry.plugin}>
+      <Component context={context} config={entry} />
+    </SlotErrorBoundary>
+  );
+};
+
+// Renders everything enabled plugins registered for a named slot (nothing when the slot is empty)
+const PluginSlot = ({ name, context = {}, className = '', itemClassName = '', showTitles = false }) => {
+  const entries = usePluginSlots(name);
+
+  if (entries.length === 0) {
+    return null;
+  }
+
+  return (
+    <div className={className}>
+      {entries.map((entry) => (
+        <div key={entry.id} className={itemClassName}>
+          {showTitles && entry.title && (
+            <h3 className="text-lg font-medium text-gray-900 mb-4">{entry.title}</h3>
+          )}
+          <PluginSlotEntry entry={entry} context={context} />
+        </div>
+      ))}
+    </div>
+  );
+};
+
+export default PluginSlot;
@@ -0,0 +1,31 @@
+import React from 'react';
+import toast from 'react-hot-toast';
+import { PaperClipIcon } from '@heroicons/react/24/outline';
+import { privateFilesAPI } from '../services/api';
+
+// Opens a private upload ({ fileName, fileUrl }) in a new tab after fetching it with the user's token
+const PrivateFileLink = ({ file, className = 'text-primary-600 hover:text-primary-800' }) => {
+  const handleOpen = async () => {
+    try {
+      const response = await privateFilesAPI.get(file.fileUrl);
+      const url = window.URL.createObjectURL(response.data);
+      window.open(url, '_blank', 'noopener');
+      setTimeout(() => window.URL.revokeObjectURL(url), 60000);
+    } catch (error) {
+      toast.error('Failed to open file');
+    }
+  };
+
+  return (
+    <button
+      type="button"
+      onClick={handleOpen}
+      className={`inline-flex items-center text-sm ${className}`}
+    >
+      <PaperClipIcon className="h-4 w-4 mr-1" />
+      {file.fileName}
+    </button>
+  );
+};
+
+export default PrivateFileLink;
@@ -0,0 +1,377 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { useQuery, useMutation, useQueryClient } from 'react-query';
+import { ClockIcon } from '@heroicons/react/24/outline';
+import toast from 'react-hot-toast';
+import { courseContentAPI } from '../services/api';
+import LoadingSpinner from './LoadingSpinner';
+import PrivateFileLink from './PrivateFileLink';
+
+const formatCountdown = (totalSeconds) => {
+  const minutes = Math.floor(totalSeconds / 60);
+  const seconds = totalSeconds % 60;
+  return `${minutes}:${String(seconds).padStart(2, '0')}`;
+};
+
+const ATTEMPT_STATUS_LABELS = {
+  in_progress: 'In progress',
+  pending_review: 'Awaiting review',
+  graded: 'Graded',
+  expired: 'Expired'
+};
+
+const getSecondsUntil = (expiresAt) => {
+  return Math.max(Math.floor((new Date(expiresAt).getTime() - Date.now()) / 1000), 0);
+};
+
+// Trainee quiz runner: attempts, time limits and shuffling are enforced by the server,
+// this component only reflects the rules it returns
+const QuizPlayer = ({ courseId, content, onPassed }) => {
+  const queryClient = useQueryClient();
+  const [activeAttempt, setActiveAttempt] = useState(null);
+  const [questions, setQuestions] = useState([]);
+  const [answers, setAnswers] = useState({});
+  const [result, setResult] = useState(null);
+  const [secondsLeft, setSecondsLeft] = useState(null);
+  const [uploadingQuestionId, setUploadingQuestionId] = useState(null);
+  const autoSubmittedRef = useRef(false);
+
+  const attemptsQueryKey = ['quiz-attempts', courseId, content.id];
+
+  const { data: attemptsData, isLoading } = useQuery(
+    attemptsQueryKey,
+    () => courseContentAPI.getQuizAttempts(courseId, content.id),
+    { enabled: !!courseId && !!content.id }
+  );
+
+  const rules = result?.rules || attemptsData?.rules;
+  const inProgressAttempt = attemptsData?.inProgressAttempt;
+
+  const startQuizMutation = useMutation(
+    () => courseContentAPI.startQuiz(courseId, content.id),
+    {
+      onSuccess: (data) => {
+        autoSubmittedRef.current = false;
+        setActiveAttempt(data.attempt);
+        setQuestions(data.questions);
+        setAnswers({});
+        setResult(null);
+        setSecondsLeft(data.attempt.expiresAt ? getSecondsUntil(data.attempt.expiresAt) : null);
+      },
+      onError: (error) => {
+        toast.error(error.response?.data?.error || 'Failed to start quiz.');
+        queryClient.invalidateQueries(attemptsQueryKey);
+      }
+    }
+  );
+
+  const submitQuizMutation = useMutation(
+    (attemptAnswers) => courseContentAPI.submitQuiz(courseId, content.id, {
+      attemptId: activeAttempt?.id,
+      answers: attemptAnswers
+    }).then(res => res.data),
+    {
+      onSuccess: (data) => {
+        setResult(data);
+        setActiveAttempt(null);
+        setSecondsLeft(null);
+        queryClient.invalidateQueries(attemptsQueryKey);
+        if (data.passed) {
+          toast.success('Quiz passed!');
+          if (onPassed) {
+            onPassed(data);
+          }
+        } else {
+          toast.success('Quiz submitted successfully!');
+        }
+      },
+      onError: (error) => {
+        toast.error(error.response?.data?.error || 'Failed to submit quiz. Please try again.');
+        if (error.response?.data?.expired) {
+          setActiveAttempt(null);
+          setQuestions([]);
+          setSecondsLeft(null);
+        }
+        queryClient.invalidateQueries(attemptsQueryKey);
+      }
+    }
+  );
+
+  // Countdown for timed attempts, driven by the server-issued expiry time
+  useEffect(() => {
+    if (!activeAttempt?.expiresAt) {
+      return undefined;
+    }
+
+    const interval = setInterval(() => {
+      setSecondsLeft(getSecondsUntil(activeAttempt.expiresAt));
+    }, 1000);
+
+    return () => clearInterval(interval);
+  }, [activeAttempt]);
+
+  // Submit whatever has been answered when the timer runs out
+  useEffect(() => {
+    if (secondsLeft === 0 && activeAttempt && !autoSubmittedRef.current) {
+      autoSubmittedRef.current = true;
+      toast('Time is up. Submitting your answers...');
+      submitQuizMutation.mutate(answers);
+    }
+  }, [secondsLeft, activeAttempt, answers, submitQuizMutation]);
+
+  const setAnswer = (questionId, value) => {
+    setAnswers(prev => ({ ...prev, [questionId]: value }));
+  };
+
+  const handleFileAnswer = async (questionId, file) => {
+    if (!file) {
+      return;
+    }
+
+    setUploadingQuestionId(questionId);
+    try {
+      const data = await courseContentAPI.uploadQuizAnswerFile(courseId, content.id, file);
+      setAnswer(questionId, data.file);
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Failed to upload file.');
+    } finally {
+      setUploadingQuestionId(null);
+    }
+  };
+
+  const renderQuestionInput = (question) => {
+    const currentAnswer = answers[question.id];
+    const disabled = !activeAttempt;
+
+    if (question.questionType === 'file_upload') {
+      return (
+        <div className="space-y-2">
+          <input
+            type="file"
+            disabled={disabled || uploadingQuestionId === question.id}
+            onChange={(e) => handleFileAnswer(question.id, e.target.files[0])}
+            className="block w-full text-sm text-gray-700"
+          />
+          {uploadingQuestionId === question.id && (
+            <p className="text-sm text-gray-500">Uploading...</p>
+          )}
+          {currentAnswer?.fileUrl && (
+            <PrivateFileLink file={currentAnswer} className="text-blue-600 hover:text-blue-800" />
+          )}
+        </div>
+      );
+    }
+
+    if (question.questionType === 'text') {
+      return (
+        <textarea
+          value={currentAnswer || ''}
+          onChange={(e) => setAnswer(question.id, e.target.value)}
+          disabled={disabled}
+          className="w-full h-32 p-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500 resize-none"
+          placeholder="Type your answer..."
+        />
+      );
+    }
+
+    if (question.questionType === 'multiple_choice') {
+      const selected = Array.isArray(currentAnswer) ? currentAnswer : [];
+      return (
+        <div className="space-y-3">
+          {(question.options || []).map((option, oIndex) => (
+            <label key={oIndex} className="flex items-center space-x-3 cursor-pointer">
+              <input
+                type="checkbox"
+                value={option}
+                checked={selected.includes(option)}
+                disabled={disabled}
+                onChange={(e) => setAnswer(
+                  question.id,
+                  e.target.checked ? [...selected, option] : selected.filter(o => o !== option)
+                )}
+                className="h-4 w-4 text-blue-600 focus:ring-blue-500 border-gray-300 rounded"
+              />
+              <span className="text-gray-700">{option}</span>
+            </label>
+          ))}
+        </div>
+      );
+    }
+
+    const options = question.questionType === 'true_false'
+      ? [{ value: 'true', label: 'True' }, { value: 'false', label: 'False' }]
+      : (question.options || []).map(option => ({ value: option, label: option }));
+
+    return (
+      <div className="space-y-3">
+        {options.map((option, oIndex) => (
+          <label key={oIndex} className="flex items-center space-x-3 cursor-pointer">
+            <input
+              type="radio"
+              name={`question-${question.id}`}
+              value={option.value}
+              checked={currentAnswer === option.value}
+              disabled={disabled}
+              onChange={(e) => setAnswer(question.id, e.target.value)}
+              className="h-4 w-4 text-blue-600 focus:ring-blue-500 border-gray-300"
+            />
+            <span className="text-gray-700">{option.label}</span>
+          </label>
+        ))}
+      </div>
+    );
+  };
+
+  if (isLoading) {
+    return <LoadingSpinner size="md" />;
+  }
+
+  const noAttemptsLeft = rules?.remainingAttempts === 0 && !inProgressAttempt;
+  const pastAttempts = (attemptsData?.attempts || []).filter(attempt => attempt.status !== 'in_progress');
+  const questionTextById = new Map((content.questions || []).map(question => [question.id, question.question]));
+
+  return (
+    <div className="space-y-6">
+      {/* Quiz Rules */}
+      {rules && (
+        <div className="bg-gray-50 border border-gray-200 rounded-lg p-4 text-sm text-gray-700 flex flex-wrap gap-x-6 gap-y-2">
+          <span>Passing score: <strong>{rules.passingScore}%</strong></span>
+          <span>Time limit: <strong>{rules.timeLimit ? `${rules.timeLimit} minutes` : 'None'}</strong></span>
+          <span>
+            Attempts: <strong>
+              {rules.maxAttempts ? `${rules.attemptsUsed} of ${rules.maxAttempts} used` : `${rules.attemptsUsed} used (unlimited)`}
+            </strong>
+          </span>
+        </div>
+      )}
+
+      {!activeAttempt && (
+        <div className="flex items-center justify-between">
+          {noAttemptsLeft ? (
+            <p className="text-red-600">You have used all attempts for this quiz.</p>
+          ) : (
+            <button
+              onClick={() => startQuizMutation.mutate()}
+              disabled={startQuizMutation.isLoading}
+              className="bg-blue-600 text-white px-6 py-3 rounded-lg hover:bg-blue-700 transition-colors disabled:opacity-50"
+            >
+              {startQuizMutation.isLoading
+                ? 'Starting...'
+                : inProgressAttempt ? 'Resume Attempt' : result ? 'Try Again' : 'Start Quiz'}
+            </button>
+          )}
+        </div>
+      )}
+
+      {activeAttempt && secondsLeft !== null && (
+        <div className={`sticky top-0 z-10 flex items-center justify-end space-x-2 p-3 rounded-lg border ${
+          secondsLeft <= 60 ? 'bg-red-50 border-red-200 text-red-700' : 'bg-blue-50 border-blue-200 text-blue-700'
+        }`}>
+          <ClockIcon className="h-5 w-5" />
+          <span className="font-medium">Time remaining: {formatCountdown(secondsLeft)}</span>
+        </div>
+      )}
+
+      {questions.length > 0 && (
+        <div className="space-y-6">
+          {questions.map((question, qIndex) => {
+            const questionResult = result?.results?.find(r => r.questionId === question.id);
+            return (
+              <div key={question.id} className="bg-white border border-gray-200 rounded-lg p-6">
+                <h4 className="text-lg font-medium text-gray-900 mb-4">
+                  Question {qIndex + 1}: {question.question}
+                </h4>
+
+                {renderQuestionInput(question)}
+
+                {questionResult && (
+                  <div className={`mt-4 p-3 rounded-lg text-sm ${
+                    questionResult.status === 'pending_review' ? 'bg-yellow-50 text-yellow-800' :
+                    questionResult.isCorrect ? 'bg-green-50 text-green-800' : 'bg-red-50 text-red-800'
+                  }`}>
+                    <p className="font-medium">
+                      {questionResult.status === 'pending_review'
+                        ? 'Awaiting trainer review'
+                        : questionResult.isCorrect ? 'Correct' : 'Incorrect'}
+                      {' '}({questionResult.pointsAwarded}/{questionResult.points} points)
+                    </p>
+                    {questionResult.explanation && (
+                      <p className="mt-1">{questionResult.explanation}</p>
+                    )}
+                  </div>
+                )}
+              </div>
+            );
+          })}
+
+          {activeAttempt && (
+            <div className="flex justify-end">
+              <button
+                onClick={() => submitQuizMutation.mutate(answers)}
+                disabled={submitQuizMutation.isLoading}
+                className="bg-blue-600 text-white px-6 py-3 rounded-lg hover:bg-blue-700 transition-colors disabled:opacity-50"
+              >
+                {submitQuizMutation.isLoading ? 'Submitting...' : 'Submit Quiz'}
+              </button>
+            </div>
+          )}
+        </div>
+      )}
+
+      {/* Quiz Results Display */}
+      {result && (
+        <div className={`border rounded-lg p-4 ${
+          result.passed ? 'bg-green-50 border-green-200' : 'bg-yellow-50 border-yellow-200'
+        }`}>
+          <h4 className={`text-lg font-semibold mb-2 ${
+            result.passed ? 'text-green-800' : 'text-yellow-800'
+          }`}>
+            Quiz Results - {result.passed ? 'Passed' : 'Not Passed'}
+          </h4>
+          <div className={result.passed ? 'text-green-700' : 'text-yellow-700'}>
+            <p>Score: {result.score}% ({result.earnedPoints}/{result.totalPoints} points)</p>
+            <p>Correct Answers: {result.correctAnswers}</p>
+            <p>Total Questions: {result.totalQuestions}</p>
+            <p>Passing Score: {result.passingScore}%</p>
+            {result.pendingReview > 0 && (
+              <p>{result.pendingReview} answer(s) awaiting trainer review</p>
+            )}
+          </div>
+        </div>
+      )}
+
+      {/* Attempt History */}
+      {pastAttempts.length > 0 && (
+        <div className="border border-gray-200 rounded-lg p-4">
+          <h4 className="text-lg font-semibold text-gray-900 mb-3">Your Attempts</h4>
+          <div className="space-y-3">
+            {pastAttempts.map((attempt) => {
+              const comments = (attempt.results || []).filter(r => r.comment);
+              return (
+                <div key={attempt.id} className="text-sm">
+                  <div className="flex flex-wrap items-center gap-x-4 text-gray-700">
+                    <span className="font-medium">Attempt #{attempt.attemptNumber}</span>
+                    <span>{ATTEMPT_STATUS_LABELS[attempt.status] || attempt.status}</span>
+                    {attempt.status !== 'expired' && <span>Score: {attempt.score}%</span>}
+                    {attempt.status === 'graded' && (
+                      <span className={attempt.passed ? 'text-green-700' : 'text-red-600'}>
+                        {attempt.passed ? 'Passed' : 'Not passed'}
+                      </span>
+                    )}
+                  </div>
+                  {comments.map((result) => (
+                    <p key={result.questionId} className="mt-1 ml-4 text-gray-600">
+                      <span className="font-medium">{questionTextById.get(result.questionId) || 'Question'}:</span>{' '}
+                      {result.comment} ({result.pointsAwarded}/{result.points} points)
+                    </p>
+                  ))}
+                </div>
+              );
+            })}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default QuizPlayer;
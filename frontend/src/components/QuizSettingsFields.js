@@ -0,0 +1,104 @@
+import React from 'react';
+
+// Defaults mirror the backend (utils/quizGrading.js): unlimited attempts, no time limit, 70% to pass
+export const DEFAULT_QUIZ_SETTINGS = {
+  maxAttempts: '',
+  timeLimit: '',
+  passingScore: 70,
+  shuffleQuestions: false,
+  shuffleOptions: false
+};
+
+const QuizSettingsFields = ({ quizData, onChange }) => {
+  const settings = { ...DEFAULT_QUIZ_SETTINGS, ...(quizData || {}) };
+
+  const handleChange = (e) => {
+    const { name, value, type, checked } = e.target;
+    let nextValue = value;
+    if (type === 'checkbox') {
+      nextValue = checked;
+    } else if (value !== '') {
+      nextValue = Number(value);
+    }
+    onChange({ ...settings, [name]: nextValue });
+  };
+
+  return (
+    <div className="p-4 border border-gray-200 rounded-lg bg-gray-50 space-y-4">
+      <h4 className="text-sm font-semibold text-gray-900">Quiz Rules</h4>
+      <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-1">
+            Maximum Attempts
+          </label>
+          <input
+            type="number"
+            name="maxAttempts"
+            min="0"
+            max="100"
+            value={settings.maxAttempts}
+            onChange={handleChange}
+            placeholder="Unlimited"
+            className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+          />
+        </div>
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-1">
+            Time Limit (minutes)
+          </label>
+          <input
+            type="number"
+            name="timeLimit"
+            min="0"
+            max="1440"
+            value={settings.timeLimit}
+            onChange={handleChange}
+            placeholder="No limit"
+            className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+          />
+        </div>
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-1">
+            Passing Score (%)
+          </label>
+          <input
+            type="number"
+            name="passingScore"
+            min="0"
+            max="100"
+            value={settings.passingScore}
+            onChange={handleChange}
+            className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+          />
+        </div>
+      </div>
+      <div className="flex flex-wrap gap-6">
+        <label className="flex items-center">
+          <input
+            type="checkbox"
+            name="shuffleQuestions"
+            checked={!!settings.shuffleQuestions}
+            onChange={handleChange}
+            className="h-4 w-4 text-blue-600 focus:ring-blue-500 border-gray-300 rounded"
+          />
+          <span className="ml-2 text-sm text-gray-700">Shuffle questions</span>
+        </label>
+        <label className="flex items-center">
+          <input
+            type="checkbox"
+            name="shuffleOptions"
+            checked={!!settings.shuffleOptions}
+            onChange={handleChange}
+            className="h-4 w-4 text-blue-600 focus:ring-blue-500 border-gray-300 rounded"
+          />
+          <span className="ml-2 text-sm text-gray-700">Shuffle answer options</span>
+        </label>
+      </div>
+      <p className="text-xs text-gray-500">
+        Leave attempts or time limit empty for no restriction. Limits are enforced by the server.
+      </p>
+    </div>
+  );
+};
+
+export default QuizSettingsFields;
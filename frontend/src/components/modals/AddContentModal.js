@@ -1,8 +1,11 @@
 import React from 'react';
 import { getFileAcceptString } from '../../utils/contentUtils';
 import RichTextEditor from '../RichTextEditor';
+import QuizSettingsFields from '../QuizSettingsFields';
+import CertificateDesigner from '../CertificateDesigner';
 
 const AddContentModal = ({
+  courseId,
   showModal,
   onClose,
   contentForm,
@@ -19,7 +22,7 @@ const AddContentModal = ({
 
   return (
     <div className="fixed inset-0 z-50 flex items-center justify-center bg-black bg-opacity-40">
-      <div className="bg-white rounded-lg shadow-lg p-6 w-full max-w-2xl max-h-[90vh] overflow-y-auto">
+      <div className={`bg-white rounded-lg shadow-lg p-6 w-full ${contentForm.type === 'certificate' ? 'max-w-5xl' : 'max-w-2xl'} max-h-[90vh] overflow-y-auto`}>
         <div className="flex justify-between items-center mb-6">
           <h2 className="text-xl font-bold text-gray-900">Add Course Content</h2>
           <button
@@ -195,10 +198,28 @@ const AddContentModal = ({
                     Quiz questions can be added after creating the quiz content.
                   </p>
                 </div>
+                <QuizSettingsFields
+                  quizData={contentForm.quizData}
+                  onChange={(quizData) => handleContentFormChange({ target: { name: 'quizData', value: quizData } })}
+                />
               </div>
             </div>
           )}
 
+          {/* Certificate Layout */}
+          {contentForm.type === 'certificate' && (
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">
+                Certificate Layout
+              </label>
+              <CertificateDesigner
+                courseId={courseId}
+                template={contentForm.certificateTemplate}
+                onChange={(certificateTemplate) => handleContentFormChange({ target: { name: 'certificateTemplate', value: certificateTemplate } })}
+              />
+            </div>
+          )}
+
           {/* File Upload for Document, Image, Video */}
           {['document', 'image', 'video'].includes(contentForm.type) && (
             <div>
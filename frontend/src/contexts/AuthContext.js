@@ -143,6 +143,16 @@ export const AuthProvider = ({ children }) => {
     }
   };
 
+  // Custom roles pass role checks when they are listed or based on a listed built-in role
+  const hasRole = useCallback((roles) => {
+    if (!user) {
+      return false;
+    }
+    return roles.includes(user.role) || (user.customRoles || []).some((assignment) => (
+      roles.includes(assignment.role) || roles.includes(assignment.baseRole)
+    ));
+  }, [user]);
+
   const value = {
     user,
     loading,
@@ -152,6 +162,7 @@ export const AuthProvider = ({ children }) => {
     updateProfile,
     changePassword,
     updateUser,
+    hasRole,
     isAuthenticated: !!user,
     isSuperAdmin: user?.role === 'super_admin',
     isTrainer: user?.role === 'trainer',
@@ -2,6 +2,7 @@ import { useState, useCallback, useEffect } from 'react';
 import { useMutation, useQueryClient } from 'react-query';
 import { courseContentAPI } from '../services/api';
 import toast from 'react-hot-toast';
+import { DEFAULT_QUIZ_SETTINGS } from '../components/QuizSettingsFields';
 
 export const useContentManagement = (courseId) => {
   const queryClient = useQueryClient();
@@ -17,7 +18,9 @@ export const useContentManagement = (courseId) => {
     isPublished: true,
     articleContent: '',
     url: '',
-    sectionId: null
+    sectionId: null,
+    quizData: { ...DEFAULT_QUIZ_SETTINGS },
+    certificateTemplate: {}
   });
 
   const [editingContent, setEditingContent] = useState(null);
@@ -129,7 +132,9 @@ export const useContentManagement = (courseId) => {
       isPublished: true,
       articleContent: '',
       url: '',
-      sectionId: null
+      sectionId: null,
+      quizData: { ...DEFAULT_QUIZ_SETTINGS },
+      certificateTemplate: {}
     });
     // Don't reset selectedFile here - it should persist until content is created
     console.log('🔄 resetContentForm called - selectedFile preserved:', selectedFile?.name || 'null');
@@ -162,6 +167,16 @@ export const useContentManagement = (courseId) => {
       delete data.articleContent; // Remove the form field
     }
     
+    // Quiz rules only apply to quiz content
+    if (contentForm.type !== 'quiz') {
+      delete data.quizData;
+    }
+
+    // Certificate layouts only apply to certificate content
+    if (contentForm.type !== 'certificate') {
+      delete data.certificateTemplate;
+    }
+    
     // If image/video and url is provided, set fileUrl
     if ((contentForm.type === 'image' || contentForm.type === 'video') && contentForm.url) {
       data.fileUrl = contentForm.url;
@@ -284,6 +299,16 @@ export const useContentManagement = (courseId) => {
     // since it's only used in the frontend form
     delete data.articleContent;
     
+    // Quiz rules only apply to quiz content
+    if (contentForm.type !== 'quiz') {
+      delete data.quizData;
+    }
+
+    // Certificate layouts only apply to certificate content
+    if (contentForm.type !== 'certificate') {
+      delete data.certificateTemplate;
+    }
+    
     try {
       return new Promise((resolve, reject) => {
         updateContentMutation.mutate({
@@ -357,7 +382,9 @@ export const useContentManagement = (courseId) => {
       isPublished: content.isPublished,
       articleContent: content.content || content.articleContent || '',
       url: content.fileUrl || '',
-      sectionId: content.sectionId
+      sectionId: content.sectionId,
+      quizData: { ...DEFAULT_QUIZ_SETTINGS, ...(content.quizData || {}) },
+      certificateTemplate: content.certificateTemplate || {}
     });
   }, []);
 
@@ -0,0 +1,25 @@
+import { useQuery } from 'react-query';
+import { useAuth } from '../contexts/AuthContext';
+import { coreAPI } from '../services/api';
+
+// UI configuration from the plugin system (menu items, slot entries) for the current role
+export const usePluginUiConfig = () => {
+  const { user } = useAuth();
+
+  return useQuery(
+    ['ui-config', user?.role],
+    () => coreAPI.getUiConfig(),
+    {
+      enabled: !!user,
+      staleTime: 5 * 60 * 1000,
+      retry: false,
+      refetchOnWindowFocus: false
+    }
+  );
+};
+
+// Entries that enabled plugins registered for a named UI slot
+export const usePluginSlots = (slotName) => {
+  const { data: uiConfig } = usePluginUiConfig();
+  return uiConfig?.slots?.[slotName] || [];
+};
@@ -1,6 +1,7 @@
 import React, { useState } from 'react';
 import { useParams } from 'react-router-dom';
-import { useQuery } from 'react-query';
+import { useQuery, useMutation, useQueryClient } from 'react-query';
+import toast from 'react-hot-toast';
 import {
   UserGroupIcon,
   ClockIcon,
@@ -9,13 +10,15 @@ import {
   ExclamationTriangleIcon,
   CalendarDaysIcon,
   MapPinIcon,
-  ArrowLeftIcon
+  ArrowLeftIcon,
+  ShieldExclamationIcon
 } from '@heroicons/react/24/outline';
 import LoadingSpinner from '../components/LoadingSpinner';
 import api from '../utils/api';
 
 const AttendanceDashboard = () => {
   const { courseId, sessionId } = useParams();
+  const queryClient = useQueryClient();
   const [selectedTab, setSelectedTab] = useState('overview');
 
   // Fetch session attendance
@@ -36,6 +39,20 @@ const AttendanceDashboard = () => {
     }
   );
 
+  // Accept or reject a check-in flagged for its location
+  const reviewMutation = useMutation(
+    ({ recordId, decision }) => api.patch(`/classroom-sessions/${sessionId}/attendance/${recordId}/review`, { decision }),
+    {
+      onSuccess: (response) => {
+        queryClient.invalidateQueries(['session-attendance', sessionId]);
+        toast.success(response.data.message);
+      },
+      onError: (error) => {
+        toast.error(error.response?.data?.error || 'Failed to review check-in');
+      }
+    }
+  );
+
   const formatTime = (timeString) => {
     if (!timeString) return 'N/A';
     return new Date(timeString).toLocaleTimeString();
@@ -62,7 +79,7 @@ const AttendanceDashboard = () => {
   };
 
   const calculateStats = () => {
-    if (!attendanceData?.attendance) return { total: 0, present: 0, late: 0, absent: 0, leftEarly: 0 };
+    if (!attendanceData?.attendance) return { total: 0, present: 0, late: 0, absent: 0, leftEarly: 0, flagged: 0 };
 
     const attendance = attendanceData.attendance;
     const total = attendance.length;
@@ -70,11 +87,13 @@ const AttendanceDashboard = () => {
     const late = attendance.filter(a => a.status === 'late').length;
     const absent = attendance.filter(a => a.status === 'absent').length;
     const leftEarly = attendance.filter(a => a.status === 'left_early').length;
+    const flagged = attendance.filter(a => a.isFlagged && !a.reviewDecision).length;
 
-    return { total, present, late, absent, leftEarly };
+    return { total, present, late, absent, leftEarly, flagged };
   };
 
   const stats = calculateStats();
+  const flaggedRecords = attendanceData?.attendance?.filter(a => a.isFlagged) || [];
 
   if (isLoading) return <LoadingSpinner />;
   if (error) return <div className="text-center py-8 text-red-600">Error loading attendance data</div>;
@@ -217,6 +236,21 @@ const AttendanceDashboard = () => {
               >
                 Detailed List
               </button>
+              <button
+                onClick={() => setSelectedTab('flagged')}
+                className={`py-4 px-1 border-b-2 font-medium text-sm flex items-center ${
+                  selectedTab === 'flagged'
+                    ? 'border-primary-500 text-primary-600'
+                    : 'border-transparent text-gray-500 hover:text-gray-700 hover:border-gray-300'
+                }`}
+              >
+                Flagged Check-ins
+                {stats.flagged > 0 && (
+                  <span className="ml-2 px-2 py-0.5 text-xs font-medium rounded-full bg-red-100 text-red-700">
+                    {stats.flagged}
+                  </span>
+                )}
+              </button>
             </nav>
           </div>
 
@@ -342,6 +376,12 @@ const AttendanceDashboard = () => {
                               <span className={`ml-2 px-2 py-1 text-xs font-medium rounded-full ${getStatusColor(record.status)}`}>
                                 {record.status.replace('_', ' ').toUpperCase()}
                               </span>
+                              {record.isFlagged && (
+                                <ShieldExclamationIcon
+                                  className={`h-5 w-5 ml-2 ${record.reviewDecision ? 'text-gray-400' : 'text-red-500'}`}
+                                  title={record.flagReasons?.map(reason => reason.message).join('; ')}
+                                />
+                              )}
                             </div>
                           </td>
                           <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
@@ -360,6 +400,83 @@ const AttendanceDashboard = () => {
                 </div>
               </div>
             )}
+
+            {selectedTab === 'flagged' && (
+              <div>
+                <h3 className="text-lg font-medium text-gray-900 mb-1">Flagged Check-ins</h3>
+                <p className="text-sm text-gray-600 mb-4">
+                  These check-ins came from outside the session's geofence or venue network.
+                  Accept them, or reject them to mark the trainee absent.
+                </p>
+                {flaggedRecords.length === 0 ? (
+                  <div className="text-center py-8">
+                    <ShieldExclamationIcon className="h-12 w-12 text-gray-400 mx-auto mb-4" />
+                    <p className="text-gray-600">No flagged check-ins for this session</p>
+                  </div>
+                ) : (
+                  <div className="space-y-4">
+                    {flaggedRecords.map((record) => (
+                      <div key={record.id} className="border border-gray-200 rounded-lg p-4">
+                        <div className="flex items-start justify-between">
+                          <div>
+                            <p className="text-sm font-medium text-gray-900">
+                              {record.User ? `${record.User.firstName} ${record.User.lastName}` : `Device ${record.deviceId}`}
+                            </p>
+                            <p className="text-sm text-gray-500">
+                              Checked in at {formatTime(record.checkInTime)}
+                            </p>
+                          </div>
+                          {record.reviewDecision ? (
+                            <span className={`px-2 py-1 text-xs font-medium rounded-full ${
+                              record.reviewDecision === 'accepted' ? 'text-green-600 bg-green-100' : 'text-red-600 bg-red-100'
+                            }`}>
+                              {record.reviewDecision === 'accepted' ? 'Accepted' : 'Rejected'}
+                              {record.reviewer && ` by ${record.reviewer.firstName} ${record.reviewer.lastName}`}
+                            </span>
+                          ) : (
+                            <div className="flex space-x-2">
+                              <button
+                                onClick={() => reviewMutation.mutate({ recordId: record.id, decision: 'accepted' })}
+                                disabled={reviewMutation.isLoading}
+                                className="btn-secondary text-sm"
+                              >
+                                Accept
+                              </button>
+                              <button
+                                onClick={() => reviewMutation.mutate({ recordId: record.id, decision: 'rejected' })}
+                                disabled={reviewMutation.isLoading}
+                                className="px-3 py-2 text-sm font-medium text-white bg-red-600 rounded-lg hover:bg-red-700 disabled:opacity-50"
+                              >
+                                Reject
+                              </button>
+                            </div>
+                          )}
+                        </div>
+                        <ul className="mt-3 space-y-1">
+                          {record.flagReasons?.map((reason) => (
+                            <li key={reason.code} className="flex items-center text-sm text-red-700">
+                              <ExclamationTriangleIcon className="h-4 w-4 mr-2 flex-shrink-0" />
+                              {reason.message}
+                            </li>
+                          ))}
+                        </ul>
+                        <div className="mt-3 grid grid-cols-1 md:grid-cols-3 gap-2 text-xs text-gray-500">
+                          <span>IP address: {record.ipAddress || 'Unknown'}</span>
+                          <span>
+                            Location: {record.latitude !== null && record.longitude !== null
+                              ? `${record.latitude}, ${record.longitude}${record.locationAccuracy !== null ? ` (±${record.locationAccuracy} m)` : ''}`
+                              : 'Not shared'}
+                          </span>
+                          {record.deviceInfo && (
+                            <span className="truncate" title={record.deviceInfo}>Device: {record.deviceInfo}</span>
+                          )}
+                        </div>
+                      </div>
+                    ))}
+                  </div>
+                )}
+              </div>
+            )}
           </div>
         </div>
       </div>
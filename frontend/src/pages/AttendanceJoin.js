@@ -1,6 +1,7 @@
 import React, { useState, useEffect } from 'react';
-import { useParams, useNavigate } from 'react-router-dom';
+import { useParams, useNavigate, useSearchParams } from 'react-router-dom';
 import { useQuery, useMutation } from 'react-query';
+import toast from 'react-hot-toast';
 import api from '../utils/api';
 import { 
   QrCodeIcon, 
@@ -13,8 +14,24 @@ import {
   DevicePhoneMobileIcon
 } from '@heroicons/react/24/outline';
 
+// Browser location for the session's geofence; check-in goes ahead without it if unavailable
+const getCurrentPosition = () => new Promise((resolve) => {
+  if (!navigator.geolocation) {
+    resolve(null);
+    return;
+  }
+  navigator.geolocation.getCurrentPosition(
+    (position) => resolve(position.coords),
+    () => resolve(null),
+    { enableHighAccuracy: true, timeout: 10000, maximumAge: 60000 }
+  );
+});
+
 const AttendanceJoin = () => {
   const { sessionId } = useParams();
+  const [searchParams] = useSearchParams();
+  // Rotating code from the kiosk QR; only the current or previous code is accepted
+  const code = searchParams.get('code');
   const navigate = useNavigate();
   const [isCheckingIn, setIsCheckingIn] = useState(false);
   const [deviceId, setDeviceId] = useState(null);
@@ -93,13 +110,19 @@ const AttendanceJoin = () => {
       const response = await api.post('/attendance/checkin', checkInData);
       return response.data;
     },
-    onSuccess: () => {
+    onSuccess: (data) => {
       setIsCheckingIn(false);
+      if (data.attendance?.isFlagged) {
+        toast(data.message, { icon: '⚠️', duration: 4000 });
+        setTimeout(() => window.location.reload(), 4000);
+        return;
+      }
       // Refresh attendance data
       window.location.reload();
     },
     onError: (error) => {
       console.error('Check-in failed:', error);
+      toast.error(error.response?.data?.error || 'Check-in failed');
       setIsCheckingIn(false);
     }
   });
@@ -109,6 +132,7 @@ const AttendanceJoin = () => {
     mutationFn: async () => {
       const response = await api.post('/attendance/checkout', {
         sessionId,
+        code,
         deviceId
       });
       return response.data;
@@ -116,6 +140,9 @@ const AttendanceJoin = () => {
     onSuccess: () => {
       // Refresh attendance data
       window.location.reload();
+    },
+    onError: (error) => {
+      toast.error(error.response?.data?.error || 'Check-out failed');
     }
   });
 
@@ -123,10 +150,15 @@ const AttendanceJoin = () => {
     if (!deviceId) return;
     
     setIsCheckingIn(true);
+    const coords = await getCurrentPosition();
     checkInMutation.mutate({
       sessionId,
+      code,
       deviceId,
-      checkInMethod: 'qr_code'
+      checkInMethod: 'qr_code',
+      latitude: coords ? coords.latitude : null,
+      longitude: coords ? coords.longitude : null,
+      accuracy: coords ? coords.accuracy : null
     });
   };
 
@@ -136,8 +168,8 @@ const AttendanceJoin = () => {
   };
 
   const handleLogin = () => {
-    // Store the session ID to redirect back after login
-    localStorage.setItem('courseworx_attendance_redirect', sessionId);
+    // Store the session ID (and scanned code) to redirect back after login
+    localStorage.setItem('courseworx_attendance_redirect', `${sessionId}${window.location.search}`);
     navigate('/login');
   };
 
@@ -251,12 +283,29 @@ const AttendanceJoin = () => {
             </div>
           )}
 
+          {!code && (
+            <div className="mb-6 p-4 bg-yellow-50 border border-yellow-200 rounded-lg">
+              <p className="text-sm text-yellow-700">
+                Scan the QR code shown on the classroom screen to check in or out.
+              </p>
+            </div>
+          )}
+
+          {session?.geofenceRadius && !isCheckedIn && !isCheckedOut && (
+            <div className="mb-6 p-4 bg-blue-50 border border-blue-200 rounded-lg">
+              <p className="text-sm text-blue-700">
+                Check-in for this session is only possible from the classroom. Allow location
+                access when your browser asks, or your check-in may be reviewed by the trainer.
+              </p>
+            </div>
+          )}
+
           {/* Actions */}
           <div className="space-y-3">
             {!isCheckedIn && !isCheckedOut && (
               <button
                 onClick={handleCheckIn}
-                disabled={isCheckingIn}
+                disabled={isCheckingIn || !code}
                 className="w-full btn-primary flex items-center justify-center"
               >
                 {isCheckingIn ? (
@@ -276,6 +325,7 @@ const AttendanceJoin = () => {
             {isCheckedIn && !isCheckedOut && (
               <button
                 onClick={handleCheckOut}
+                disabled={!code}
                 className="w-full btn-secondary flex items-center justify-center"
               >
                 <ClockIcon className="h-5 w-5 mr-2" />
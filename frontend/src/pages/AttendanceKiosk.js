@@ -0,0 +1,143 @@
+/**
+ * Attendance Kiosk
+ *
+ * Full-screen check-in display for the classroom projector. The QR code
+ * rotates every few seconds and only the current or previous code is
+ * accepted, so a photo of the screen stops working almost right away.
+ */
+
+import React, { useEffect, useState } from 'react';
+import { useParams, useNavigate } from 'react-router-dom';
+import { useQuery } from 'react-query';
+import {
+  ArrowLeftIcon,
+  ArrowsPointingOutIcon,
+  MapPinIcon,
+  ClockIcon
+} from '@heroicons/react/24/outline';
+import LoadingSpinner from '../components/LoadingSpinner';
+import api from '../utils/api';
+
+const AttendanceKiosk = () => {
+  const { courseId, sessionId } = useParams();
+  const navigate = useNavigate();
+  const [secondsLeft, setSecondsLeft] = useState(null);
+
+  // Refetch right after the code rotates, timed by the server clock
+  const { data, isLoading, error } = useQuery(
+    ['session-qr-code', sessionId],
+    () => api.get(`/classroom-sessions/${sessionId}/qr-code`).then(res => ({
+      ...res.data,
+      receivedAt: Date.now()
+    })),
+    {
+      enabled: !!sessionId,
+      refetchInterval: (qrData) => (
+        qrData ? Math.max(new Date(qrData.rotatesAt) - new Date(qrData.serverTime), 1000) + 250 : false
+      ),
+      refetchIntervalInBackground: true
+    }
+  );
+
+  useEffect(() => {
+    if (!data) {
+      return undefined;
+    }
+
+    const rotatesInMs = new Date(data.rotatesAt) - new Date(data.serverTime);
+    const tick = () => {
+      const remaining = rotatesInMs - (Date.now() - data.receivedAt);
+      setSecondsLeft(Math.max(Math.ceil(remaining / 1000), 0));
+    };
+    tick();
+    const timer = setInterval(tick, 1000);
+    return () => clearInterval(timer);
+  }, [data]);
+
+  const enterFullscreen = () => {
+    if (document.documentElement.requestFullscreen) {
+      document.documentElement.requestFullscreen();
+    }
+  };
+
+  if (isLoading) {
+    return <LoadingSpinner />;
+  }
+
+  if (error) {
+    return (
+      <div className="min-h-screen flex items-center justify-center bg-gray-50">
+        <div className="text-center">
+          <p className="text-lg text-gray-700 mb-4">
+            {error.response?.data?.error || 'Failed to load the session QR code'}
+          </p>
+          <button onClick={() => navigate(`/courses/${courseId}/sessions`)} className="btn-primary">
+            Back to Sessions
+          </button>
+        </div>
+      </div>
+    );
+  }
+
+  const { session, qrCodeImage } = data;
+  const rotationSeconds = session.qrRotationSeconds;
+
+  return (
+    <div className="min-h-screen bg-white flex flex-col">
+      <div className="flex items-center justify-between px-6 py-4 border-b border-gray-200">
+        <button
+          onClick={() => navigate(`/courses/${courseId}/sessions`)}
+          className="flex items-center text-gray-500 hover:text-gray-700"
+        >
+          <ArrowLeftIcon className="h-5 w-5 mr-1" />
+          Sessions
+        </button>
+        <button
+          onClick={enterFullscreen}
+          className="flex items-center text-gray-500 hover:text-gray-700"
+          title="Full screen"
+        >
+          <ArrowsPointingOutIcon className="h-5 w-5 mr-1" />
+          Full screen
+        </button>
+      </div>
+
+      <div className="flex-1 flex flex-col items-center justify-center p-8 text-center">
+        <h1 className="text-4xl font-bold text-gray-900 mb-2">{session.courseTitle}</h1>
+        <div className="flex items-center justify-center space-x-6 text-xl text-gray-600 mb-8">
+          <span className="flex items-center">
+            <ClockIcon className="h-6 w-6 mr-2" />
+            {session.startTime} - {session.endTime}
+          </span>
+          {session.location && (
+            <span className="flex items-center">
+              <MapPinIcon className="h-6 w-6 mr-2" />
+              {session.location}{session.roomNumber ? `, ${session.roomNumber}` : ''}
+            </span>
+          )}
+        </div>
+
+        <img
+          src={qrCodeImage}
+          alt="Check-in QR code"
+          className="border rounded-lg shadow-lg"
+          style={{ width: 'min(70vh, 90vw)', height: 'min(70vh, 90vw)' }}
+        />
+
+        <div className="w-full max-w-md mt-6">
+          <div className="h-2 bg-gray-200 rounded-full overflow-hidden">
+            <div
+              className="h-2 bg-blue-600 transition-all duration-1000 ease-linear"
+              style={{ width: `${secondsLeft !== null ? (secondsLeft / rotationSeconds) * 100 : 100}%` }}
+            />
+          </div>
+          <p className="text-lg text-gray-600 mt-3">
+            Scan to check in · new code in {secondsLeft !== null ? secondsLeft : rotationSeconds}s
+          </p>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default AttendanceKiosk;
@@ -0,0 +1,110 @@
+import React, { useState } from 'react';
+import { useParams, useNavigate } from 'react-router-dom';
+import { useQuery } from 'react-query';
+import {
+  AcademicCapIcon,
+  CheckCircleIcon,
+  XCircleIcon,
+} from '@heroicons/react/24/outline';
+import LoadingSpinner from '../components/LoadingSpinner';
+import { certificatesAPI } from '../services/api';
+
+// Public page for employers and others to confirm a certificate is genuine
+const CertificateVerify = () => {
+  const { serial } = useParams();
+  const navigate = useNavigate();
+  const [serialInput, setSerialInput] = useState(serial || '');
+
+  const { data, isLoading, error } = useQuery(
+    ['certificate-verify', serial],
+    () => certificatesAPI.verify(serial),
+    { enabled: !!serial, retry: false }
+  );
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    const value = serialInput.trim();
+    if (value) {
+      navigate(`/certificates/verify/${value}`);
+    }
+  };
+
+  const certificate = data?.certificate;
+
+  return (
+    <div className="min-h-screen bg-gray-50 flex items-center justify-center px-4 py-12">
+      <div className="w-full max-w-lg">
+        <div className="text-center mb-8">
+          <AcademicCapIcon className="mx-auto h-12 w-12 text-primary-600" />
+          <h1 className="mt-4 text-3xl font-bold text-gray-900">Verify a Certificate</h1>
+          <p className="mt-2 text-gray-600">Enter the certificate number printed on the certificate.</p>
+        </div>
+
+        <form onSubmit={handleSubmit} className="flex gap-2 mb-8">
+          <input
+            type="text"
+            value={serialInput}
+            onChange={(e) => setSerialInput(e.target.value)}
+            placeholder="e.g. CX-2026-3F9A1C07B2"
+            className="input-field flex-1"
+          />
+          <button type="submit" className="btn-primary">
+            Verify
+          </button>
+        </form>
+
+        {serial && isLoading && (
+          <div className="flex justify-center">
+            <LoadingSpinner size="md" />
+          </div>
+        )}
+
+        {serial && !isLoading && certificate && (
+          <div className="card border border-green-200">
+            <div className="flex items-center space-x-2 mb-4">
+              <CheckCircleIcon className="h-6 w-6 text-green-600" />
+              <h2 className="text-lg font-semibold text-green-800">Valid certificate</h2>
+            </div>
+            <dl className="space-y-2 text-sm">
+              <div className="flex justify-between">
+                <dt className="text-gray-500">Certificate No.</dt>
+                <dd className="font-medium text-gray-900">{certificate.serial}</dd>
+              </div>
+              <div className="flex justify-between">
+                <dt className="text-gray-500">Awarded to</dt>
+                <dd className="font-medium text-gray-900">{certificate.traineeName}</dd>
+              </div>
+              <div className="flex justify-between">
+                <dt className="text-gray-500">Course</dt>
+                <dd className="font-medium text-gray-900">{certificate.courseTitle}</dd>
+              </div>
+              {certificate.trainerName && (
+                <div className="flex justify-between">
+                  <dt className="text-gray-500">Trainer</dt>
+                  <dd className="font-medium text-gray-900">{certificate.trainerName}</dd>
+                </div>
+              )}
+              <div className="flex justify-between">
+                <dt className="text-gray-500">Completed on</dt>
+                <dd className="font-medium text-gray-900">{new Date(certificate.completionDate).toLocaleDateString()}</dd>
+              </div>
+            </dl>
+          </div>
+        )}
+
+        {serial && !isLoading && error && (
+          <div className="card border border-red-200">
+            <div className="flex items-center space-x-2">
+              <XCircleIcon className="h-6 w-6 text-red-600" />
+              <h2 className="text-lg font-semibold text-red-800">
+                {error.response?.data?.error || 'Unable to verify this certificate.'}
+              </h2>
+            </div>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default CertificateVerify;
@@ -1,12 +1,13 @@
 import React, { useState, useEffect } from 'react';
 import { useQuery, useMutation, useQueryClient } from 'react-query';
-import { useNavigate } from 'react-router-dom';
+import { useNavigate, useSearchParams } from 'react-router-dom';
 import { 
   CreditCardIcon, 
   LockClosedIcon,
   CheckIcon,
   ExclamationTriangleIcon,
-  ArrowLeftIcon
+  ArrowLeftIcon,
+  BuildingLibraryIcon
 } from '@heroicons/react/24/outline';
 import api from '../utils/api';
 import LoadingSpinner from '../components/LoadingSpinner';
@@ -14,6 +15,9 @@ import LoadingSpinner from '../components/LoadingSpinner';
 const Checkout = () => {
   const navigate = useNavigate();
   const queryClient = useQueryClient();
+  const [searchParams] = useSearchParams();
+  // Paying one installment of an installment plan instead of the cart
+  const installmentId = searchParams.get('installment');
   const [paymentMethod, setPaymentMethod] = useState('card');
   const [billingInfo, setBillingInfo] = useState({
     firstName: '',
@@ -33,39 +37,113 @@ const Checkout = () => {
   });
   const [isProcessing, setIsProcessing] = useState(false);
   const [error, setError] = useState('');
+  // Pending card authentication (3D Secure) for the mock gateway
+  const [authChallenge, setAuthChallenge] = useState(null);
 
   // Fetch cart data
   const { data: cart, isLoading: cartLoading, error: cartError } = useQuery(
     'cart',
     () => api.get('/financial/cart').then(res => res.data),
     {
+      enabled: !installmentId,
       onError: () => {
         navigate('/cart');
       }
     }
   );
 
-  // Create payment intent mutation
+  const { data: installment, isLoading: installmentLoading, error: installmentError } = useQuery(
+    ['installment', installmentId],
+    () => api.get(`/financial/installments/${installmentId}`).then(res => res.data.installment),
+    { enabled: !!installmentId, retry: false }
+  );
+
+  // Active payment gateway (mock gateway provides test cards)
+  const { data: gatewayData } = useQuery(
+    'payment-gateway',
+    () => api.get('/financial/checkout/gateway').then(res => res.data),
+    { retry: false }
+  );
+
+  const isMockGateway = gatewayData?.gateway === 'mock';
+  const testCards = gatewayData?.config?.testCards || [];
+  const cardEnabled = !gatewayData || Boolean(gatewayData.gateway);
+  const bankTransfer = gatewayData?.bankTransfer;
+
+  // Sites without a working card gateway only take bank transfers
+  useEffect(() => {
+    if (gatewayData && !gatewayData.gateway && gatewayData.bankTransfer?.enabled) {
+      setPaymentMethod('bank_transfer');
+    }
+  }, [gatewayData]);
+
+  const handlePaymentSuccess = (paymentData) => {
+    // Clear cart and redirect to success page
+    queryClient.invalidateQueries('cart');
+    queryClient.invalidateQueries('installment-schedules');
+    navigate('/orders?success=true');
+  };
+
+  const confirmPayment = async (confirmData) => {
+    try {
+      const response = await api.post('/financial/checkout/confirm', confirmData);
+
+      if (response.data.success) {
+        setAuthChallenge(null);
+        handlePaymentSuccess(response.data);
+      } else if (response.data.requiresAction) {
+        setAuthChallenge({
+          orderId: confirmData.orderId,
+          paymentIntentId: response.data.paymentIntent.id
+        });
+      } else {
+        setError('Your payment is still being processed. Check My Orders for updates.');
+        setIsProcessing(false);
+      }
+    } catch (err) {
+      setAuthChallenge(null);
+      setError(err.response?.data?.error || 'Payment failed');
+      setIsProcessing(false);
+    }
+  };
+
+  // Create payment intent mutation (installments are paid through their own endpoint)
   const createPaymentIntentMutation = useMutation(
-    (paymentData) => api.post('/financial/checkout/create-intent', paymentData),
+    (paymentData) => (installmentId
+      ? api.post(`/financial/installments/${installmentId}/pay`, { ...paymentData, paymentMethod: 'card' })
+      : api.post('/financial/checkout/create-intent', paymentData)),
     {
       onSuccess: (response) => {
-        // Handle successful payment intent creation
-        console.log('Payment intent created:', response.data);
-        // In a real implementation, you would integrate with Stripe Elements here
-        handlePaymentSuccess(response.data);
+        const { order, paymentIntent } = response.data;
+        confirmPayment({ orderId: order.id, paymentIntentId: paymentIntent.id });
       },
       onError: (error) => {
-        setError(error.response?.data?.message || 'Failed to create payment intent');
+        setError(error.response?.data?.error || 'Failed to create payment intent');
         setIsProcessing(false);
       }
     }
   );
 
-  const handlePaymentSuccess = (paymentData) => {
-    // Clear cart and redirect to success page
-    queryClient.invalidateQueries('cart');
-    navigate('/orders?success=true');
+  // Bank transfer orders stay pending until an admin approves the uploaded receipt
+  const bankTransferMutation = useMutation(
+    () => (installmentId
+      ? api.post(`/financial/installments/${installmentId}/pay`, { paymentMethod: 'bank_transfer' })
+      : api.post('/financial/checkout/bank-transfer')),
+    {
+      onSuccess: (response) => {
+        queryClient.invalidateQueries('cart');
+        queryClient.invalidateQueries('installment-schedules');
+        navigate(`/orders?bankTransfer=${response.data.order.id}`);
+      },
+      onError: (error) => {
+        setError(error.response?.data?.error || 'Failed to place order');
+        setIsProcessing(false);
+      }
+    }
+  );
+
+  const handleAuthChallenge = (authenticated) => {
+    confirmPayment({ ...authChallenge, authenticated });
   };
 
   const handleSubmit = async (e) => {
@@ -83,15 +161,23 @@ const Checkout = () => {
         throw new Error('Please fill in all card details');
       }
 
-      // Create payment intent
-      const paymentData = {
+      if (paymentMethod === 'bank_transfer') {
+        bankTransferMutation.mutate();
+        return;
+      }
+
+      // Create payment intent. Card details are never sent to our server; the mock
+      // gateway picks its outcome from the test card number instead.
+      const paymentData = installmentId ? {} : {
         billingInfo,
         paymentMethod,
         cartId: cart.id
       };
 
-      if (paymentMethod === 'card') {
-        paymentData.cardInfo = cardInfo;
+      if (paymentMethod === 'card' && isMockGateway) {
+        const cardNumber = cardInfo.number.replace(/\s+/g, '');
+        const testCard = testCards.find(card => card.number === cardNumber);
+        paymentData.paymentMethodId = testCard ? testCard.paymentMethodId : 'pm_mock_success';
       }
 
       createPaymentIntentMutation.mutate(paymentData);
@@ -124,7 +210,33 @@ const Checkout = () => {
     return v;
   };
 
-  if (cartLoading) {
+  if (installmentId) {
+    if (installmentLoading) {
+      return (
+        <div className="min-h-screen bg-gray-50 flex items-center justify-center">
+          <LoadingSpinner size="lg" />
+        </div>
+      );
+    }
+
+    if (installmentError || !installment || installment.status !== 'scheduled') {
+      return (
+        <div className="min-h-screen bg-gray-50 flex items-center justify-center">
+          <div className="text-center">
+            <ExclamationTriangleIcon className="h-12 w-12 text-yellow-500 mx-auto mb-4" />
+            <h2 className="text-xl font-semibold text-gray-900 mb-2">Installment Not Payable</h2>
+            <p className="text-gray-600 mb-4">This installment was not found or has already been paid.</p>
+            <button
+              onClick={() => navigate('/orders')}
+              className="bg-blue-600 text-white px-6 py-2 rounded-md hover:bg-blue-700"
+            >
+              View My Orders
+            </button>
+          </div>
+        </div>
+      );
+    }
+  } else if (cartLoading) {
     return (
       <div className="min-h-screen bg-gray-50 flex items-center justify-center">
         <LoadingSpinner size="lg" />
@@ -132,7 +244,7 @@ const Checkout = () => {
     );
   }
 
-  if (cartError || !cart || !cart.items || cart.items.length === 0) {
+  if (!installmentId && (cartError || !cart || !cart.items || cart.items.length === 0)) {
     return (
       <div className="min-h-screen bg-gray-50 flex items-center justify-center">
         <div className="text-center">
@@ -178,17 +290,32 @@ const Checkout = () => {
                   Payment Method
                 </label>
                 <div className="space-y-2">
-                  <label className="flex items-center">
-                    <input
-                      type="radio"
-                      value="card"
-                      checked={paymentMethod === 'card'}
-                      onChange={(e) => setPaymentMethod(e.target.value)}
-                      className="mr-3"
-                    />
-                    <CreditCardIcon className="h-5 w-5 mr-2" />
-                    Credit/Debit Card
-                  </label>
+                  {cardEnabled && (
+                    <label className="flex items-center">
+                      <input
+                        type="radio"
+                        value="card"
+                        checked={paymentMethod === 'card'}
+                        onChange={(e) => setPaymentMethod(e.target.value)}
+                        className="mr-3"
+                      />
+                      <CreditCardIcon className="h-5 w-5 mr-2" />
+                      Credit/Debit Card
+                    </label>
+                  )}
+                  {bankTransfer?.enabled && (
+                    <label className="flex items-center">
+                      <input
+                        type="radio"
+                        value="bank_transfer"
+                        checked={paymentMethod === 'bank_transfer'}
+                        onChange={(e) => setPaymentMethod(e.target.value)}
+                        className="mr-3"
+                      />
+                      <BuildingLibraryIcon className="h-5 w-5 mr-2" />
+                      Bank Transfer / Pay at Training Center
+                    </label>
+                  )}
                 </div>
               </div>
 
@@ -289,6 +416,19 @@ const Checkout = () => {
               {paymentMethod === 'card' && (
                 <div className="space-y-4">
                   <h3 className="text-lg font-medium text-gray-900">Card Information</h3>
+
+                  {isMockGateway && testCards.length > 0 && (
+                    <div className="bg-yellow-50 border border-yellow-200 rounded-md p-3 text-xs text-yellow-800">
+                      <p className="font-medium mb-1">Test mode - no real payment is taken. Test cards:</p>
+                      <ul className="space-y-0.5">
+                        {testCards.map(card => (
+                          <li key={card.number}>
+                            <span className="font-mono">{formatCardNumber(card.number)}</span> - {card.description}
+                          </li>
+                        ))}
+                      </ul>
+                    </div>
+                  )}
                   
                   <div>
                     <label className="block text-sm font-medium text-gray-700 mb-1">
@@ -351,6 +491,20 @@ const Checkout = () => {
                 </div>
               )}
 
+              {/* Bank Transfer Instructions */}
+              {paymentMethod === 'bank_transfer' && (
+                <div className="bg-blue-50 border border-blue-200 rounded-md p-4 text-sm text-blue-900">
+                  <p className="font-medium mb-2">How to pay</p>
+                  {bankTransfer?.instructions && (
+                    <p className="whitespace-pre-line mb-2">{bankTransfer.instructions}</p>
+                  )}
+                  <p className="text-blue-800">
+                    After placing the order, use your order number as the transfer reference and upload
+                    the receipt from My Orders. Your courses are unlocked once the payment is approved.
+                  </p>
+                </div>
+              )}
+
               {/* Error Message */}
               {error && (
                 <div className="bg-red-50 border border-red-200 rounded-md p-4">
@@ -370,12 +524,12 @@ const Checkout = () => {
                 {isProcessing ? (
                   <>
                     <LoadingSpinner size="sm" className="mr-2" />
-                    Processing Payment...
+                    {paymentMethod === 'bank_transfer' ? 'Placing Order...' : 'Processing Payment...'}
                   </>
                 ) : (
                   <>
                     <LockClosedIcon className="h-5 w-5 mr-2" />
-                    Complete Purchase
+                    {paymentMethod === 'bank_transfer' ? 'Place Order' : 'Complete Purchase'}
                   </>
                 )}
               </button>
@@ -386,56 +540,86 @@ const Checkout = () => {
           <div className="bg-white rounded-lg shadow-sm p-6">
             <h2 className="text-xl font-semibold text-gray-900 mb-6">Order Summary</h2>
             
-            {/* Cart Items */}
-            <div className="space-y-4 mb-6">
-              {cart.items.map((item) => (
-                <div key={item.id} className="flex items-center space-x-4">
+            {installmentId ? (
+              <div className="space-y-2">
+                <div className="flex items-center space-x-4 mb-4">
                   <div className="h-12 w-12 bg-gradient-to-br from-blue-500 to-purple-600 rounded-lg flex items-center justify-center">
                     <span className="text-white font-bold">
-                      {item.course?.title?.charAt(0) || 'C'}
+                      {installment.course?.title?.charAt(0) || 'C'}
                     </span>
                   </div>
                   <div className="flex-1 min-w-0">
                     <h3 className="text-sm font-medium text-gray-900 truncate">
-                      {item.course?.title || 'Course'}
+                      {installment.course?.title || 'Course'}
                     </h3>
                     <p className="text-sm text-gray-500">
-                      Qty: {item.quantity} × ${item.price?.toFixed(2) || '0.00'}
+                      Installment {installment.sequenceNumber} of {installment.numberOfInstallments}
                     </p>
                   </div>
-                  <div className="text-sm font-medium text-gray-900">
-                    ${(item.price * item.quantity)?.toFixed(2) || '0.00'}
-                  </div>
                 </div>
-              ))}
-            </div>
-
-            {/* Price Breakdown */}
-            <div className="space-y-2 border-t border-gray-200 pt-4">
-              <div className="flex justify-between text-sm">
-                <span>Subtotal:</span>
-                <span>${cart.subtotal?.toFixed(2) || '0.00'}</span>
-              </div>
-              
-              {cart.discount > 0 && (
-                <div className="flex justify-between text-sm text-green-600">
-                  <span>Discount:</span>
-                  <span>-${cart.discount?.toFixed(2) || '0.00'}</span>
+                <div className="flex justify-between text-sm text-gray-600">
+                  <span>Course price:</span>
+                  <span>${installment.totalAmount?.toFixed(2) || '0.00'}</span>
                 </div>
-              )}
-              
-              {cart.tax > 0 && (
+                <div className="flex justify-between text-lg font-semibold border-t border-gray-200 pt-2">
+                  <span>Due now:</span>
+                  <span>${installment.amount?.toFixed(2) || '0.00'}</span>
+                </div>
+              </div>
+            ) : (
+              <>
+              {/* Cart Items */}
+              <div className="space-y-4 mb-6">
+                {cart.items.map((item) => (
+                  <div key={item.id} className="flex items-center space-x-4">
+                    <div className="h-12 w-12 bg-gradient-to-br from-blue-500 to-purple-600 rounded-lg flex items-center justify-center">
+                      <span className="text-white font-bold">
+                        {item.course?.title?.charAt(0) || 'C'}
+                      </span>
+                    </div>
+                    <div className="flex-1 min-w-0">
+                      <h3 className="text-sm font-medium text-gray-900 truncate">
+                        {item.course?.title || 'Course'}
+                      </h3>
+                      <p className="text-sm text-gray-500">
+                        Qty: {item.quantity} × ${item.price?.toFixed(2) || '0.00'}
+                      </p>
+                    </div>
+                    <div className="text-sm font-medium text-gray-900">
+                      ${(item.price * item.quantity)?.toFixed(2) || '0.00'}
+                    </div>
+                  </div>
+                ))}
+              </div>
+
+              {/* Price Breakdown */}
+              <div className="space-y-2 border-t border-gray-200 pt-4">
                 <div className="flex justify-between text-sm">
-                  <span>Tax:</span>
-                  <span>${cart.tax?.toFixed(2) || '0.00'}</span>
+                  <span>Subtotal:</span>
+                  <span>${cart.subtotal?.toFixed(2) || '0.00'}</span>
                 </div>
-              )}
               
-              <div className="flex justify-between text-lg font-semibold border-t border-gray-200 pt-2">
-                <span>Total:</span>
-                <span>${cart.total?.toFixed(2) || '0.00'}</span>
+                {cart.discount > 0 && (
+                  <div className="flex justify-between text-sm text-green-600">
+                    <span>Discount:</span>
+                    <span>-${cart.discount?.toFixed(2) || '0.00'}</span>
+                  </div>
+                )}
+              
+                {cart.tax > 0 && (
+                  <div className="flex justify-between text-sm">
+                    <span>Tax:</span>
+                    <span>${cart.tax?.toFixed(2) || '0.00'}</span>
+                  </div>
+                )}
+              
+                <div className="flex justify-between text-lg font-semibold border-t border-gray-200 pt-2">
+                  <span>Total:</span>
+                  <span>${cart.total?.toFixed(2) || '0.00'}</span>
+                </div>
               </div>
-            </div>
+              </>
+            )}
 
             {/* Security Notice */}
             <div className="mt-6 bg-green-50 border border-green-200 rounded-md p-4">
@@ -452,6 +636,35 @@ const Checkout = () => {
           </div>
         </div>
       </div>
+
+      {/* Simulated 3D Secure challenge (mock gateway) */}
+      {authChallenge && (
+        <div className="fixed inset-0 z-50 flex items-center justify-center bg-black bg-opacity-40">
+          <div className="bg-white rounded-lg shadow-lg p-6 w-full max-w-sm text-center">
+            <LockClosedIcon className="h-10 w-10 text-blue-600 mx-auto mb-3" />
+            <h2 className="text-lg font-semibold text-gray-900 mb-2">Confirm your payment</h2>
+            <p className="text-sm text-gray-600 mb-6">
+              Your bank needs to verify this purchase. This is a simulated 3D Secure check.
+            </p>
+            <div className="flex space-x-3">
+              <button
+                type="button"
+                onClick={() => handleAuthChallenge(false)}
+                className="flex-1 bg-gray-200 text-gray-800 py-2 px-4 rounded-md hover:bg-gray-300"
+              >
+                Fail
+              </button>
+              <button
+                type="button"
+                onClick={() => handleAuthChallenge(true)}
+                className="flex-1 bg-blue-600 text-white py-2 px-4 rounded-md hover:bg-blue-700"
+              >
+                Authenticate
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
     </div>
   );
 };
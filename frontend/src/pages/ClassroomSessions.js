@@ -15,35 +15,80 @@ import {
   PlayIcon,
   StopIcon,
   CheckCircleIcon,
-  XMarkIcon
+  XMarkIcon,
+  XCircleIcon,
+  ArrowPathIcon
 } from '@heroicons/react/24/outline';
 import LoadingSpinner from '../components/LoadingSpinner';
 import toast from 'react-hot-toast';
 import api from '../utils/api';
 
+const SESSIONS_PER_PAGE = 20;
+
+const WEEKDAYS = [
+  { value: 1, label: 'Mon' },
+  { value: 2, label: 'Tue' },
+  { value: 3, label: 'Wed' },
+  { value: 4, label: 'Thu' },
+  { value: 5, label: 'Fri' },
+  { value: 6, label: 'Sat' },
+  { value: 0, label: 'Sun' }
+];
+
+const emptyForm = {
+  sessionDate: '',
+  startTime: '',
+  endTime: '',
+  location: '',
+  roomNumber: '',
+  maxCapacity: '',
+  qrRotationSeconds: '30',
+  lateGraceMinutes: '10',
+  earlyLeaveGraceMinutes: '10',
+  notes: '',
+  geofenceLatitude: '',
+  geofenceLongitude: '',
+  geofenceRadius: '',
+  allowedIpRanges: '',
+  locationPolicy: 'flag',
+  // Recurrence
+  repeat: 'none',
+  interval: '1',
+  daysOfWeek: [],
+  ends: 'count',
+  count: '10',
+  endDate: '',
+  excludedDates: []
+};
+
+// Empty optional fields are left out rather than sent as ''
+const withoutEmptyValues = (data) => Object.fromEntries(
+  Object.entries(data).filter(([, value]) => value !== '')
+);
+
 const ClassroomSessions = () => {
   const { courseId } = useParams();
   const navigate = useNavigate();
   const { user } = useAuth();
   const queryClient = useQueryClient();
-  const [showQRCode, setShowQRCode] = useState(null);
   const [showCreateForm, setShowCreateForm] = useState(false);
-  const [formData, setFormData] = useState({
-    sessionDate: '',
-    startTime: '',
-    endTime: '',
-    location: '',
-    roomNumber: '',
-    maxCapacity: '',
-    notes: ''
-  });
+  const [formData, setFormData] = useState(emptyForm);
+  const [excludedDateInput, setExcludedDateInput] = useState('');
+  const [page, setPage] = useState(1);
+  const [editingSession, setEditingSession] = useState(null);
+  const [editData, setEditData] = useState({});
+  const [cancellingSession, setCancellingSession] = useState(null);
+  const [cancelData, setCancelData] = useState({ scope: 'this', reason: '' });
 
   // Fetch classroom sessions
   const { data: sessionsData, isLoading, error } = useQuery(
-    ['classroom-sessions', courseId],
-    () => api.get(`/classroom-sessions/course/${courseId}`).then(res => res.data),
+    ['classroom-sessions', courseId, page],
+    () => api.get(`/classroom-sessions/course/${courseId}`, {
+      params: { page, limit: SESSIONS_PER_PAGE }
+    }).then(res => res.data),
     {
-      enabled: !!courseId
+      enabled: !!courseId,
+      keepPreviousData: true
     }
   );
 
@@ -58,21 +103,14 @@ const ClassroomSessions = () => {
 
   // Create session mutation
   const createSessionMutation = useMutation(
-    (sessionData) => api.post('/classroom-sessions', sessionData),
+    ({ recurring, ...sessionData }) => api.post(recurring ? '/classroom-sessions/series' : '/classroom-sessions', sessionData),
     {
       onSuccess: (response) => {
         queryClient.invalidateQueries(['classroom-sessions', courseId]);
         setShowCreateForm(false);
-        setFormData({
-          sessionDate: '',
-          startTime: '',
-          endTime: '',
-          location: '',
-          roomNumber: '',
-          maxCapacity: '',
-          notes: ''
-        });
-        toast.success('Classroom session created successfully');
+        setFormData(emptyForm);
+        setExcludedDateInput('');
+        toast.success(response.data.message || 'Classroom session created successfully');
       },
       onError: (error) => {
         toast.error(error.response?.data?.error || 'Failed to create session');
@@ -84,9 +122,9 @@ const ClassroomSessions = () => {
   const updateStatusMutation = useMutation(
     ({ sessionId, status }) => api.patch(`/classroom-sessions/${sessionId}/status`, { status }),
     {
-      onSuccess: () => {
+      onSuccess: (response) => {
         queryClient.invalidateQueries(['classroom-sessions', courseId]);
-        toast.success('Session status updated');
+        toast.success(response.data.message);
       },
       onError: (error) => {
         toast.error(error.response?.data?.error || 'Failed to update status');
@@ -94,29 +132,46 @@ const ClassroomSessions = () => {
     }
   );
 
-  // Delete session mutation
-  const deleteSessionMutation = useMutation(
-    (sessionId) => api.delete(`/classroom-sessions/${sessionId}`),
+  // Edit a session, or it and the following sessions of its series
+  const updateSessionMutation = useMutation(
+    ({ sessionId, ...sessionData }) => api.put(`/classroom-sessions/${sessionId}`, sessionData),
     {
-      onSuccess: () => {
+      onSuccess: (response) => {
         queryClient.invalidateQueries(['classroom-sessions', courseId]);
-        toast.success('Session deleted successfully');
+        setEditingSession(null);
+        toast.success(response.data.message);
       },
       onError: (error) => {
-        toast.error(error.response?.data?.error || 'Failed to delete session');
+        toast.error(error.response?.data?.error || 'Failed to update session');
       }
     }
   );
 
-  // Get QR code mutation
-  const getQRCodeMutation = useMutation(
-    (sessionId) => api.get(`/classroom-sessions/${sessionId}/qr-code`).then(res => res.data),
+  // Cancel a session, or it and the following sessions of its series; enrolled trainees are notified
+  const cancelSessionMutation = useMutation(
+    ({ sessionId, ...cancelOptions }) => api.post(`/classroom-sessions/${sessionId}/cancel`, cancelOptions),
     {
-      onSuccess: (data) => {
-        setShowQRCode(data);
+      onSuccess: (response) => {
+        queryClient.invalidateQueries(['classroom-sessions', courseId]);
+        setCancellingSession(null);
+        toast.success(`${response.data.message}. ${response.data.notifiedCount} trainees notified.`);
       },
       onError: (error) => {
-        toast.error(error.response?.data?.error || 'Failed to generate QR code');
+        toast.error(error.response?.data?.error || 'Failed to cancel session');
+      }
+    }
+  );
+
+  // Delete session mutation
+  const deleteSessionMutation = useMutation(
+    (sessionId) => api.delete(`/classroom-sessions/${sessionId}`),
+    {
+      onSuccess: () => {
+        queryClient.invalidateQueries(['classroom-sessions', courseId]);
+        toast.success('Session deleted successfully');
+      },
+      onError: (error) => {
+        toast.error(error.response?.data?.error || 'Failed to delete session');
       }
     }
   );
@@ -129,11 +184,128 @@ const ClassroomSessions = () => {
     }));
   };
 
+  const handleUseMyLocation = () => {
+    if (!navigator.geolocation) {
+      toast.error('Your browser cannot share its location');
+      return;
+    }
+    navigator.geolocation.getCurrentPosition(
+      (position) => {
+        setFormData(prev => ({
+          ...prev,
+          geofenceLatitude: position.coords.latitude.toFixed(6),
+          geofenceLongitude: position.coords.longitude.toFixed(6),
+          geofenceRadius: prev.geofenceRadius || '100'
+        }));
+      },
+      () => toast.error('Could not get your location'),
+      { enableHighAccuracy: true, timeout: 10000 }
+    );
+  };
+
+  const toggleWeekday = (day) => {
+    setFormData(prev => ({
+      ...prev,
+      daysOfWeek: prev.daysOfWeek.includes(day)
+        ? prev.daysOfWeek.filter(selected => selected !== day)
+        : [...prev.daysOfWeek, day]
+    }));
+  };
+
+  const handleAddExcludedDate = () => {
+    if (!excludedDateInput || formData.excludedDates.includes(excludedDateInput)) return;
+    setFormData(prev => ({
+      ...prev,
+      excludedDates: [...prev.excludedDates, excludedDateInput].sort()
+    }));
+    setExcludedDateInput('');
+  };
+
+  const handleRemoveExcludedDate = (date) => {
+    setFormData(prev => ({
+      ...prev,
+      excludedDates: prev.excludedDates.filter(excluded => excluded !== date)
+    }));
+  };
+
   const handleSubmit = (e) => {
     e.preventDefault();
-    createSessionMutation.mutate({
+    const {
+      geofenceLatitude, geofenceLongitude, geofenceRadius, allowedIpRanges,
+      repeat, interval, daysOfWeek, ends, count, endDate, excludedDates, sessionDate,
+      ...sessionData
+    } = formData;
+    const hasGeofence = geofenceLatitude !== '' || geofenceLongitude !== '' || geofenceRadius !== '';
+    const payload = {
       courseId,
-      ...formData
+      ...withoutEmptyValues(sessionData),
+      ...(hasGeofence && { geofenceLatitude, geofenceLongitude, geofenceRadius }),
+      allowedIpRanges: allowedIpRanges.split(/[\n,]/).map(range => range.trim()).filter(Boolean)
+    };
+
+    if (repeat === 'none') {
+      createSessionMutation.mutate({ ...payload, sessionDate });
+      return;
+    }
+
+    createSessionMutation.mutate({
+      ...payload,
+      recurring: true,
+      startDate: sessionDate,
+      frequency: repeat,
+      interval,
+      daysOfWeek: repeat === 'weekly' ? daysOfWeek : [],
+      ...(ends === 'count' ? { count } : { endDate }),
+      excludedDates
+    });
+  };
+
+  const handleOpenEdit = (session) => {
+    setEditingSession(session);
+    setEditData({
+      scope: 'this',
+      sessionDate: session.sessionDate,
+      startTime: session.startTime.slice(0, 5),
+      endTime: session.endTime.slice(0, 5),
+      location: session.location || '',
+      roomNumber: session.roomNumber || '',
+      maxCapacity: session.maxCapacity || '',
+      notes: session.notes || ''
+    });
+  };
+
+  const handleEditChange = (e) => {
+    const { name, value } = e.target;
+    setEditData(prev => ({
+      ...prev,
+      [name]: value
+    }));
+  };
+
+  const handleEditSubmit = (e) => {
+    e.preventDefault();
+    const { scope, sessionDate, maxCapacity, ...sessionData } = editData;
+    updateSessionMutation.mutate({
+      sessionId: editingSession.id,
+      scope,
+      ...sessionData,
+      maxCapacity: maxCapacity === '' ? null : maxCapacity,
+      // The date only changes for a single session
+      ...(scope === 'this' && sessionDate !== editingSession.sessionDate && { sessionDate })
+    });
+  };
+
+  const handleOpenCancel = (session) => {
+    setCancellingSession(session);
+    setCancelData({ scope: 'this', reason: '' });
+  };
+
+  const handleCancelSubmit = (e) => {
+    e.preventDefault();
+    cancelSessionMutation.mutate({
+      sessionId: cancellingSession.id,
+      scope: cancelData.scope,
+      reason: cancelData.reason || null
     });
   };
 
@@ -147,6 +319,10 @@ const ClassroomSessions = () => {
     }
   };
 
+  const handleOpenKiosk = (sessionId) => {
+    navigate(`/courses/${courseId}/sessions/${sessionId}/kiosk`);
+  };
+
   const handleViewAttendance = (sessionId) => {
     navigate(`/courses/${courseId}/sessions/${sessionId}/attendance`);
   };
@@ -223,6 +399,12 @@ const ClassroomSessions = () => {
                       <ClockIcon className="h-4 w-4 mr-1" />
                       <span>{formatTime(session.startTime)} - {formatTime(session.endTime)}</span>
                     </div>
+                    {session.seriesId && (
+                      <div className="flex items-center text-sm text-purple-600" title="Part of a recurring schedule">
+                        <ArrowPathIcon className="h-4 w-4 mr-1" />
+                        Recurring
+                      </div>
+                    )}
                   </div>
 
                   <div className="grid grid-cols-1 md:grid-cols-3 gap-4 mb-4">
@@ -248,13 +430,17 @@ const ClassroomSessions = () => {
                   {session.notes && (
                     <p className="text-gray-600 text-sm mb-4">{session.notes}</p>
                   )}
+
+                  {session.status === 'cancelled' && session.cancellationReason && (
+                    <p className="text-red-600 text-sm mb-4">Cancelled: {session.cancellationReason}</p>
+                  )}
                 </div>
 
                 <div className="flex items-center space-x-2">
                   <button
-                    onClick={() => getQRCodeMutation.mutate(session.id)}
+                    onClick={() => handleOpenKiosk(session.id)}
                     className="p-2 text-gray-400 hover:text-gray-600"
-                    title="View QR Code"
+                    title="Open Check-in Kiosk"
                   >
                     <QrCodeIcon className="h-5 w-5" />
                   </button>
@@ -265,6 +451,24 @@ const ClassroomSessions = () => {
                   >
                     <EyeIcon className="h-5 w-5" />
                   </button>
+                  {session.status === 'scheduled' && (
+                    <>
+                      <button
+                        onClick={() => handleOpenEdit(session)}
+                        className="p-2 text-gray-400 hover:text-gray-600"
+                        title="Edit Session"
+                      >
+                        <PencilIcon className="h-5 w-5" />
+                      </button>
+                      <button
+                        onClick={() => handleOpenCancel(session)}
+                        className="p-2 text-orange-400 hover:text-orange-600"
+                        title="Cancel Session"
+                      >
+                        <XCircleIcon className="h-5 w-5" />
+                      </button>
+                    </>
+                  )}
                   {session.status === 'scheduled' && (
                     <button
                       onClick={() => handleStatusChange(session.id, 'in_progress')}
@@ -297,10 +501,34 @@ const ClassroomSessions = () => {
         )}
       </div>
 
+      {sessionsData?.totalPages > 1 && (
+        <div className="flex items-center justify-between mt-6">
+          <p className="text-sm text-gray-600">
+            Page {sessionsData.currentPage} of {sessionsData.totalPages} ({sessionsData.totalCount} sessions)
+          </p>
+          <div className="flex space-x-2">
+            <button
+              onClick={() => setPage(prev => prev - 1)}
+              disabled={page <= 1}
+              className="btn-secondary"
+            >
+              Previous
+            </button>
+            <button
+              onClick={() => setPage(prev => prev + 1)}
+              disabled={page >= sessionsData.totalPages}
+              className="btn-secondary"
+            >
+              Next
+            </button>
+          </div>
+        </div>
+      )}
+
       {/* Create Session Modal */}
       {showCreateForm && (
         <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
-          <div className="bg-white rounded-lg max-w-md w-full mx-4">
+          <div className="bg-white rounded-lg max-w-md w-full mx-4 max-h-[90vh] overflow-y-auto">
             <div className="flex items-center justify-between p-6 border-b">
               <h3 className="text-lg font-semibold text-gray-900">Create Classroom Session</h3>
               <button
@@ -314,7 +542,7 @@ const ClassroomSessions = () => {
             <form onSubmit={handleSubmit} className="p-6 space-y-4">
               <div>
                 <label className="block text-sm font-medium text-gray-700 mb-1">
-                  Session Date *
+                  {formData.repeat === 'none' ? 'Session Date *' : 'First Session Date *'}
                 </label>
                 <input
                   type="date"
@@ -355,6 +583,154 @@ const ClassroomSessions = () => {
                 </div>
               </div>
 
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">
+                  Repeat
+                </label>
+                <select
+                  name="repeat"
+                  value={formData.repeat}
+                  onChange={handleInputChange}
+                  className="input-field"
+                >
+                  <option value="none">Does not repeat</option>
+                  <option value="weekly">Weekly</option>
+                  <option value="daily">Every few days</option>
+                </select>
+              </div>
+
+              {formData.repeat !== 'none' && (
+                <div className="space-y-4 p-4 bg-gray-50 rounded-lg">
+                  <div className="flex items-center space-x-2">
+                    <span className="text-sm text-gray-700">Every</span>
+                    <input
+                      type="number"
+                      name="interval"
+                      value={formData.interval}
+                      onChange={handleInputChange}
+                      className="input-field w-20"
+                      min="1"
+                      max="52"
+                      required
+                    />
+                    <span className="text-sm text-gray-700">
+                      {formData.repeat === 'weekly' ? 'week(s)' : 'day(s)'}
+                    </span>
+                  </div>
+
+                  {formData.repeat === 'weekly' && (
+                    <div>
+                      <p className="text-sm text-gray-700 mb-2">On</p>
+                      <div className="flex flex-wrap gap-2">
+                        {WEEKDAYS.map(day => (
+                          <button
+                            key={day.value}
+                            type="button"
+                            onClick={() => toggleWeekday(day.value)}
+                            className={`px-3 py-1 rounded-full text-sm border ${
+                              formData.daysOfWeek.includes(day.value)
+                                ? 'bg-blue-600 text-white border-blue-600'
+                                : 'bg-white text-gray-700 border-gray-300'
+                            }`}
+                          >
+                            {day.label}
+                          </button>
+                        ))}
+                      </div>
+                      <p className="text-xs text-gray-500 mt-1">
+                        Leave empty to repeat on the weekday of the first session.
+                      </p>
+                    </div>
+                  )}
+
+                  <div>
+                    <p className="text-sm text-gray-700 mb-2">Ends</p>
+                    <div className="space-y-2">
+                      <label className="flex items-center space-x-2 text-sm text-gray-700">
+                        <input
+                          type="radio"
+                          name="ends"
+                          value="count"
+                          checked={formData.ends === 'count'}
+                          onChange={handleInputChange}
+                        />
+                        <span>After</span>
+                        <input
+                          type="number"
+                          name="count"
+                          value={formData.count}
+                          onChange={handleInputChange}
+                          className="input-field w-20"
+                          min="1"
+                          max="200"
+                          disabled={formData.ends !== 'count'}
+                          required={formData.ends === 'count'}
+                        />
+                        <span>sessions</span>
+                      </label>
+                      <label className="flex items-center space-x-2 text-sm text-gray-700">
+                        <input
+                          type="radio"
+                          name="ends"
+                          value="date"
+                          checked={formData.ends === 'date'}
+                          onChange={handleInputChange}
+                        />
+                        <span>On</span>
+                        <input
+                          type="date"
+                          name="endDate"
+                          value={formData.endDate}
+                          onChange={handleInputChange}
+                          className="input-field"
+                          min={formData.sessionDate}
+                          disabled={formData.ends !== 'date'}
+                          required={formData.ends === 'date'}
+                        />
+                      </label>
+                    </div>
+                  </div>
+
+                  <div>
+                    <p className="text-sm text-gray-700 mb-2">Skip dates (holidays)</p>
+                    <div className="flex space-x-2">
+                      <input
+                        type="date"
+                        value={excludedDateInput}
+                        onChange={(e) => setExcludedDateInput(e.target.value)}
+                        className="input-field"
+                      />
+                      <button
+                        type="button"
+                        onClick={handleAddExcludedDate}
+                        className="btn-secondary"
+                      >
+                        Add
+                      </button>
+                    </div>
+                    {formData.excludedDates.length > 0 && (
+                      <div className="flex flex-wrap gap-2 mt-2">
+                        {formData.excludedDates.map(date => (
+                          <span key={date} className="flex items-center px-2 py-1 bg-white border rounded-full text-xs text-gray-700">
+                            {new Date(`${date}T00:00:00`).toLocaleDateString()}
+                            <button
+                              type="button"
+                              onClick={() => handleRemoveExcludedDate(date)}
+                              className="ml-1 text-gray-400 hover:text-gray-600"
+                            >
+                              <XMarkIcon className="h-3 w-3" />
+                            </button>
+                          </span>
+                        ))}
+                      </div>
+                    )}
+                    <p className="text-xs text-gray-500 mt-1">
+                      Skipped dates do not count towards the number of sessions.
+                    </p>
+                  </div>
+                </div>
+              )}
+
               <div>
                 <label className="block text-sm font-medium text-gray-700 mb-1">
                   Location
@@ -399,6 +775,145 @@ const ClassroomSessions = () => {
                 </div>
               </div>
 
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">
+                  QR Code Rotation
+                </label>
+                <select
+                  name="qrRotationSeconds"
+                  value={formData.qrRotationSeconds}
+                  onChange={handleInputChange}
+                  className="input-field"
+                >
+                  <option value="15">Every 15 seconds</option>
+                  <option value="30">Every 30 seconds</option>
+                  <option value="60">Every minute</option>
+                </select>
+                <p className="text-xs text-gray-500 mt-1">
+                  The kiosk shows a new check-in code at this interval; older codes stop working.
+                </p>
+              </div>
+
+              <div className="grid grid-cols-2 gap-4">
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">
+                    Late After (min)
+                  </label>
+                  <input
+                    type="number"
+                    name="lateGraceMinutes"
+                    value={formData.lateGraceMinutes}
+                    onChange={handleInputChange}
+                    className="input-field"
+                    min="0"
+                    max="120"
+                  />
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">
+                    Early Leave Grace (min)
+                  </label>
+                  <input
+                    type="number"
+                    name="earlyLeaveGraceMinutes"
+                    value={formData.earlyLeaveGraceMinutes}
+                    onChange={handleInputChange}
+                    className="input-field"
+                    min="0"
+                    max="120"
+                  />
+                </div>
+              </div>
+              <p className="text-xs text-gray-500 -mt-2">
+                Check-ins later than this after the start are marked late, and check-outs earlier than
+                this before the end are marked left early. Completing the session marks everyone else absent.
+              </p>
+
+              <div className="border-t pt-4">
+                <div className="flex items-center justify-between mb-1">
+                  <label className="block text-sm font-medium text-gray-700">
+                    Check-in Geofence
+                  </label>
+                  <button
+                    type="button"
+                    onClick={handleUseMyLocation}
+                    className="flex items-center text-sm text-blue-600 hover:text-blue-800"
+                  >
+                    <MapPinIcon className="h-4 w-4 mr-1" />
+                    Use my location
+                  </button>
+                </div>
+                <div className="grid grid-cols-3 gap-2">
+                  <input
+                    type="number"
+                    name="geofenceLatitude"
+                    value={formData.geofenceLatitude}
+                    onChange={handleInputChange}
+                    className="input-field"
+                    placeholder="Latitude"
+                    step="any"
+                    min="-90"
+                    max="90"
+                  />
+                  <input
+                    type="number"
+                    name="geofenceLongitude"
+                    value={formData.geofenceLongitude}
+                    onChange={handleInputChange}
+                    className="input-field"
+                    placeholder="Longitude"
+                    step="any"
+                    min="-180"
+                    max="180"
+                  />
+                  <input
+                    type="number"
+                    name="geofenceRadius"
+                    value={formData.geofenceRadius}
+                    onChange={handleInputChange}
+                    className="input-field"
+                    placeholder="Radius (m)"
+                    min="10"
+                    max="10000"
+                  />
+                </div>
+                <p className="text-xs text-gray-500 mt-1">
+                  Optional. Trainees must share a location within this radius of the venue.
+                </p>
+              </div>
+
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">
+                  Allowed Networks
+                </label>
+                <textarea
+                  name="allowedIpRanges"
+                  value={formData.allowedIpRanges}
+                  onChange={handleInputChange}
+                  className="input-field font-mono text-sm"
+                  rows="2"
+                  placeholder="203.0.113.0/24"
+                />
+                <p className="text-xs text-gray-500 mt-1">
+                  Optional. IP addresses or CIDR ranges of the venue network, one per line.
+                </p>
+              </div>
+
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">
+                  Check-ins From Elsewhere
+                </label>
+                <select
+                  name="locationPolicy"
+                  value={formData.locationPolicy}
+                  onChange={handleInputChange}
+                  className="input-field"
+                >
+                  <option value="flag">Allow and flag for review</option>
+                  <option value="reject">Reject</option>
+                </select>
+              </div>
+
               <div>
                 <label className="block text-sm font-medium text-gray-700 mb-1">
                   Notes
@@ -426,7 +941,9 @@ const ClassroomSessions = () => {
                   disabled={createSessionMutation.isLoading}
                   className="btn-primary"
                 >
-                  {createSessionMutation.isLoading ? 'Creating...' : 'Create Session'}
+                  {createSessionMutation.isLoading
+                    ? 'Creating...'
+                    : formData.repeat === 'none' ? 'Create Session' : 'Create Sessions'}
                 </button>
               </div>
             </form>
@@ -434,50 +951,245 @@ const ClassroomSessions = () => {
         </div>
       )}
 
-      {/* QR Code Modal */}
-      {showQRCode && (
+      {/* Edit Session Modal */}
+      {editingSession && (
         <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
-          <div className="bg-white rounded-lg max-w-4xl w-full mx-4">
-            <div className="flex items-center justify-between p-8 border-b">
-              <h3 className="text-2xl font-semibold text-gray-900 leading-tight">
-                {showQRCode.session.courseTitle}
-              </h3>
+          <div className="bg-white rounded-lg max-w-md w-full mx-4 max-h-[90vh] overflow-y-auto">
+            <div className="flex items-center justify-between p-6 border-b">
+              <h3 className="text-lg font-semibold text-gray-900">Edit Session</h3>
               <button
-                onClick={() => setShowQRCode(null)}
+                onClick={() => setEditingSession(null)}
                 className="text-gray-400 hover:text-gray-600"
               >
-                <XMarkIcon className="h-8 w-8" />
+                <XMarkIcon className="h-6 w-6" />
               </button>
             </div>
 
-            <div className="p-8 text-center">
-              <div className="mb-6">
-                <p className="text-lg text-gray-600">
-                  {new Date(showQRCode.session.sessionDate).toLocaleDateString('en-US', { 
-                    weekday: 'long', 
-                    year: 'numeric', 
-                    month: 'long', 
-                    day: 'numeric' 
-                  })} at {showQRCode.session.startTime}
-                </p>
-                {showQRCode.session.location && (
-                  <p className="text-lg text-gray-600">{showQRCode.session.location}</p>
+            <form onSubmit={handleEditSubmit} className="p-6 space-y-4">
+              {editingSession.seriesId && (
+                <div className="space-y-2">
+                  <label className="flex items-center space-x-2 text-sm text-gray-700">
+                    <input
+                      type="radio"
+                      name="scope"
+                      value="this"
+                      checked={editData.scope === 'this'}
+                      onChange={handleEditChange}
+                    />
+                    <span>This session only</span>
+                  </label>
+                  <label className="flex items-center space-x-2 text-sm text-gray-700">
+                    <input
+                      type="radio"
+                      name="scope"
+                      value="following"
+                      checked={editData.scope === 'following'}
+                      onChange={handleEditChange}
+                    />
+                    <span>This and following scheduled sessions</span>
+                  </label>
+                </div>
+              )}
+
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">
+                  Session Date
+                </label>
+                <input
+                  type="date"
+                  name="sessionDate"
+                  value={editData.sessionDate}
+                  onChange={handleEditChange}
+                  className="input-field"
+                  disabled={editData.scope === 'following'}
+                  required
+                />
+                {editData.scope === 'following' && (
+                  <p className="text-xs text-gray-500 mt-1">The date can only be changed for a single session.</p>
                 )}
               </div>
 
-              <div className="mb-6">
-                <img
-                  src={showQRCode.qrCodeImage}
-                  alt="QR Code"
-                  className="mx-auto border rounded-lg shadow-lg"
-                  style={{ width: '500px', height: '500px' }}
+              <div className="grid grid-cols-2 gap-4">
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">
+                    Start Time
+                  </label>
+                  <input
+                    type="time"
+                    name="startTime"
+                    value={editData.startTime}
+                    onChange={handleEditChange}
+                    className="input-field"
+                    required
+                  />
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">
+                    End Time
+                  </label>
+                  <input
+                    type="time"
+                    name="endTime"
+                    value={editData.endTime}
+                    onChange={handleEditChange}
+                    className="input-field"
+                    required
+                  />
+                </div>
+              </div>
+
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">
+                  Location
+                </label>
+                <input
+                  type="text"
+                  name="location"
+                  value={editData.location}
+                  onChange={handleEditChange}
+                  className="input-field"
                 />
               </div>
 
-              <p className="text-lg text-gray-600">
-                Scan the QR code for attendance and classroom login
-              </p>
+              <div className="grid grid-cols-2 gap-4">
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">
+                    Room Number
+                  </label>
+                  <input
+                    type="text"
+                    name="roomNumber"
+                    value={editData.roomNumber}
+                    onChange={handleEditChange}
+                    className="input-field"
+                  />
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">
+                    Max Capacity
+                  </label>
+                  <input
+                    type="number"
+                    name="maxCapacity"
+                    value={editData.maxCapacity}
+                    onChange={handleEditChange}
+                    className="input-field"
+                    min="1"
+                  />
+                </div>
+              </div>
+
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">
+                  Notes
+                </label>
+                <textarea
+                  name="notes"
+                  value={editData.notes}
+                  onChange={handleEditChange}
+                  className="input-field"
+                  rows="3"
+                />
+              </div>
+
+              <div className="flex justify-end space-x-3 pt-4">
+                <button
+                  type="button"
+                  onClick={() => setEditingSession(null)}
+                  className="btn-secondary"
+                >
+                  Close
+                </button>
+                <button
+                  type="submit"
+                  disabled={updateSessionMutation.isLoading}
+                  className="btn-primary"
+                >
+                  {updateSessionMutation.isLoading ? 'Saving...' : 'Save Changes'}
+                </button>
+              </div>
+            </form>
+          </div>
+        </div>
+      )}
+
+      {/* Cancel Session Modal */}
+      {cancellingSession && (
+        <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
+          <div className="bg-white rounded-lg max-w-md w-full mx-4">
+            <div className="flex items-center justify-between p-6 border-b">
+              <h3 className="text-lg font-semibold text-gray-900">Cancel Session</h3>
+              <button
+                onClick={() => setCancellingSession(null)}
+                className="text-gray-400 hover:text-gray-600"
+              >
+                <XMarkIcon className="h-6 w-6" />
+              </button>
             </div>
+
+            <form onSubmit={handleCancelSubmit} className="p-6 space-y-4">
+              <p className="text-sm text-gray-700">
+                {new Date(cancellingSession.sessionDate).toLocaleDateString()}, {formatTime(cancellingSession.startTime)} - {formatTime(cancellingSession.endTime)}
+              </p>
+
+              {cancellingSession.seriesId && (
+                <div className="space-y-2">
+                  <label className="flex items-center space-x-2 text-sm text-gray-700">
+                    <input
+                      type="radio"
+                      name="cancelScope"
+                      checked={cancelData.scope === 'this'}
+                      onChange={() => setCancelData(prev => ({ ...prev, scope: 'this' }))}
+                    />
+                    <span>This session only</span>
+                  </label>
+                  <label className="flex items-center space-x-2 text-sm text-gray-700">
+                    <input
+                      type="radio"
+                      name="cancelScope"
+                      checked={cancelData.scope === 'following'}
+                      onChange={() => setCancelData(prev => ({ ...prev, scope: 'following' }))}
+                    />
+                    <span>This and following scheduled sessions</span>
+                  </label>
+                </div>
+              )}
+
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">
+                  Reason
+                </label>
+                <textarea
+                  value={cancelData.reason}
+                  onChange={(e) => setCancelData(prev => ({ ...prev, reason: e.target.value }))}
+                  className="input-field"
+                  rows="3"
+                  maxLength={500}
+                  placeholder="Shown to trainees in the notification"
+                />
+              </div>
+
+              <p className="text-xs text-gray-500">
+                Trainees enrolled in this course will be notified.
+              </p>
+
+              <div className="flex justify-end space-x-3 pt-4">
+                <button
+                  type="button"
+                  onClick={() => setCancellingSession(null)}
+                  className="btn-secondary"
+                >
+                  Keep Session
+                </button>
+                <button
+                  type="submit"
+                  disabled={cancelSessionMutation.isLoading}
+                  className="px-4 py-2 text-sm font-medium text-white bg-red-600 rounded-lg hover:bg-red-700 disabled:opacity-50"
+                >
+                  {cancelSessionMutation.isLoading ? 'Cancelling...' : 'Cancel Session'}
+                </button>
+              </div>
+            </form>
           </div>
         </div>
       )}
@@ -191,6 +191,7 @@ const CourseContent = () => {
 
       {/* Modals */}
       <AddContentModal
+        courseId={id}
         showModal={showAddContentModal}
         onClose={handleCloseAddContentModal}
         contentForm={contentManagement.contentForm}
@@ -1,6 +1,6 @@
 import React, { useState, useEffect } from 'react';
 import { useParams, useSearchParams } from 'react-router-dom';
-import { useQuery, useMutation } from 'react-query';
+import { useQuery, useMutation, useQueryClient } from 'react-query';
 import { coursesAPI, lessonCompletionAPI, courseSectionAPI, courseContentAPI, courseStatsAPI, userNotesAPI } from '../services/api';
 import {
   DocumentIcon,
@@ -20,6 +20,8 @@ import { useAuth } from '../contexts/AuthContext';
 import toast from 'react-hot-toast';
 import { getFileServingUrl, getBestImageUrl, getMediaUrl } from '../utils/imageUtils';
 import ProfessionalVideoPlayer from '../components/ProfessionalVideoPlayer';
+import QuizPlayer from '../components/QuizPlayer';
+import CertificateCard from '../components/CertificateCard';
 
 
 
@@ -34,9 +36,8 @@ const CourseContentViewer = () => {
   const { id } = useParams();
   const [searchParams] = useSearchParams();
   const { user } = useAuth();
+  const queryClient = useQueryClient();
   const [selectedContent, setSelectedContent] = useState(null);
-  const [quizAnswers, setQuizAnswers] = useState({});
-  const [quizResults, setQuizResults] = useState({});
   const [videoProgress, setVideoProgress] = useState({});
   const [courseProgress, setCourseProgress] = useState({
     progress: 0,
@@ -156,21 +157,6 @@ const CourseContentViewer = () => {
     }
   );
 
-  // Quiz submission mutation
-  const submitQuizMutation = useMutation(
-    (data) => lessonCompletionAPI.submitQuiz(data),
-    {
-      onSuccess: (data) => {
-        setQuizResults(data);
-        toast.success('Quiz submitted successfully!');
-      },
-      onError: (error) => {
-        toast.error('Failed to submit quiz. Please try again.');
-        console.error('Quiz submission error:', error);
-      }
-    }
-  );
-
   // Mark lesson as completed
   const markCompletedMutation = useMutation(
     (data) => lessonCompletionAPI.markCompleted(data),
@@ -302,16 +288,6 @@ const CourseContentViewer = () => {
     }
   };
 
-  const handleQuizSubmit = (contentId) => {
-    const answers = quizAnswers[contentId] || {};
-    submitQuizMutation.mutate({
-      courseId: id,
-      contentId,
-      userId: user?.id,
-      answers
-    });
-  };
-
   const handleNotesChange = (contentId, tabType, value) => {
     setCurrentNote(value);
   };
@@ -670,66 +646,57 @@ const CourseContentViewer = () => {
             )}
             
             {content.questions && content.questions.length > 0 ? (
-              <div className="space-y-6">
-                {content.questions.map((question, qIndex) => (
-                  <div key={question.id} className="bg-white border border-gray-200 rounded-lg p-6">
-                    <h4 className="text-lg font-medium text-gray-900 mb-4">
-                      Question {qIndex + 1}: {question.question}
-                    </h4>
-                    
-                    <div className="space-y-3">
-                      {question.options.map((option, oIndex) => (
-                        <label key={oIndex} className="flex items-center space-x-3 cursor-pointer">
-                          <input
-                            type="radio"
-                            name={`question-${question.id}`}
-                            value={option}
-                            onChange={(e) => {
-                              setQuizAnswers(prev => ({
-                                ...prev,
-                                [content.id]: {
-                                  ...prev[content.id],
-                                  [question.id]: e.target.value
-                                }
-                              }));
-                            }}
-                            className="h-4 w-4 text-blue-600 focus:ring-blue-500 border-gray-300"
-                          />
-                          <span className="text-gray-700">{option}</span>
-                        </label>
-                      ))}
+              user?.role === 'trainee' ? (
+                <QuizPlayer
+                  courseId={id}
+                  content={content}
+                  onPassed={() => queryClient.invalidateQueries(['course-progress', id])}
+                />
+              ) : (
+                <div className="space-y-6">
+                  {/* Read-only preview for trainers and admins */}
+                  {content.questions.map((question, qIndex) => (
+                    <div key={question.id} className="bg-white border border-gray-200 rounded-lg p-6">
+                      <h4 className="text-lg font-medium text-gray-900 mb-4">
+                        Question {qIndex + 1}: {question.question}
+                      </h4>
+                      {question.options && question.options.length > 0 && (
+                        <ul className="list-disc list-inside space-y-1 text-gray-700">
+                          {question.options.map((option, oIndex) => (
+                            <li key={oIndex}>{option}</li>
+                          ))}
+                        </ul>
+                      )}
                     </div>
-                  </div>
-                ))}
-                
-                                 <div className="flex justify-end">
-                   <button
-                     onClick={() => handleQuizSubmit(content.id)}
-                     disabled={submitQuizMutation.isLoading}
-                     className="bg-blue-600 text-white px-6 py-3 rounded-lg hover:bg-blue-700 transition-colors disabled:opacity-50"
-                   >
-                     {submitQuizMutation.isLoading ? 'Submitting...' : 'Submit Quiz'}
-                   </button>
-                 </div>
-                 
-                 {/* Quiz Results Display */}
-                 {quizResults[content.id] && (
-                   <div className="mt-6 bg-green-50 border border-green-200 rounded-lg p-4">
-                     <h4 className="text-lg font-semibold text-green-800 mb-2">Quiz Results</h4>
-                     <div className="text-green-700">
-                       <p>Score: {quizResults[content.id].score || 'N/A'}</p>
-                       <p>Correct Answers: {quizResults[content.id].correctAnswers || 'N/A'}</p>
-                       <p>Total Questions: {quizResults[content.id].totalQuestions || 'N/A'}</p>
-                     </div>
-                   </div>
-                 )}
-              </div>
+                  ))}
+                </div>
+              )
             ) : (
               <p className="text-gray-500">No questions available for this quiz.</p>
             )}
           </div>
         );
 
+      case 'certificate':
+        return (
+          <div className="space-y-6">
+            <h3 className="text-2xl font-semibold flex items-center space-x-2">
+              <CertificateIcon className="h-8 w-8 text-green-600" />
+              {content.title}
+            </h3>
+            {content.description && (
+              <p className="text-gray-600">{content.description}</p>
+            )}
+            {user?.role === 'trainee' ? (
+              <CertificateCard courseId={id} progress={courseProgress.progress} />
+            ) : (
+              <p className="text-gray-500">
+                Trainees receive this certificate automatically when they complete the course.
+              </p>
+            )}
+          </div>
+        );
+
       case 'article':
         return (
           <div className="space-y-4">
@@ -1109,7 +1076,10 @@ const CourseContentViewer = () => {
                             {courseStats.certificateAvailable ? 'Available' : 'Not Available'}
                           </span>
                         </div>
-                        {courseStats.certificateAvailable && (
+                        {courseStats.certificateAvailable && user?.role === 'trainee' && (
+                          <CertificateCard courseId={id} progress={courseProgress.progress} />
+                        )}
+                        {courseStats.certificateAvailable && user?.role !== 'trainee' && (
                           <div className="bg-gradient-to-r from-green-50 to-blue-50 p-6 rounded-lg border border-green-200">
                             <div className="flex items-center space-x-2">
                               <CertificateIcon className="h-5 w-5 text-green-600" />
@@ -1207,6 +1177,7 @@ const CourseContentViewer = () => {
 
       {user?.role === 'trainer' && contentManagement && (
         <AddContentModal
+          courseId={id}
           showModal={showAddContentModal}
           onClose={() => {
             setShowAddContentModal(false);
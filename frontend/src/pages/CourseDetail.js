@@ -22,6 +22,9 @@ import {
 } from '@heroicons/react/24/outline';
 import LoadingSpinner from '../components/LoadingSpinner';
 import TrainerAssignmentModal from '../components/TrainerAssignmentModal';
+import InstallmentPlanOptions from '../components/InstallmentPlanOptions';
+import PluginSlot from '../components/PluginSlot';
+import CourseStaffPanel from '../components/CourseStaffPanel';
 import toast from 'react-hot-toast';
 
 const CourseDetail = () => {
@@ -77,6 +80,7 @@ const CourseDetail = () => {
   const isEnrolled = userEnrollment && ['active', 'pending', 'completed'].includes(userEnrollment.status);
   const isActiveEnrollment = userEnrollment && userEnrollment.status === 'active';
   const isPendingEnrollment = userEnrollment && userEnrollment.status === 'pending';
+  const isSuspendedEnrollment = userEnrollment && !!userEnrollment.suspendedAt;
 
   const enrollmentMutation = useMutation(
     (data) => enrollmentsAPI.create(data),
@@ -428,6 +432,25 @@ const CourseDetail = () => {
                           >
                             {enrolling ? <LoadingSpinner size="sm" /> : 'Complete Payment'}
                           </button>
+                          {parseFloat(courseData.price) > 0 && (
+                            <InstallmentPlanOptions courseId={id} />
+                          )}
+                        </>
+                      ) : isSuspendedEnrollment ? (
+                        <>
+                          <div className="flex items-center justify-center w-full bg-red-100 text-red-800 py-2 px-4 rounded-lg mb-2">
+                            <AcademicCapIcon className="h-5 w-5 mr-2" />
+                            <span className="font-medium">Access Suspended</span>
+                          </div>
+                          <div className="text-sm text-gray-600 mb-3">
+                            {userEnrollment.suspensionReason || 'Your access to this course is suspended'}
+                          </div>
+                          <Link
+                            to="/orders"
+                            className="w-full btn-primary inline-block text-center"
+                          >
+                            View Payments
+                          </Link>
                         </>
                       ) : (
                         <>
@@ -477,6 +500,9 @@ const CourseDetail = () => {
                           </>
                         )}
                       </button>
+                      {parseFloat(courseData.price) > 0 && (
+                        <InstallmentPlanOptions courseId={id} />
+                      )}
                     </div>
                   )}
                 </>
@@ -571,6 +597,18 @@ const CourseDetail = () => {
               </div>
             )}
           </div>
+
+          {/* Co-trainers and assistants - visible to course staff and admins */}
+          {(isTrainer || isSuperAdmin) && <CourseStaffPanel courseId={id} />}
+
+          {/* Plugin panels */}
+          <PluginSlot
+            name="course-detail-sidebar"
+            context={{ courseId: id }}
+            className="mt-6 space-y-6"
+            itemClassName="card"
+            showTitles
+          />
         </div>
       </div>
 
@@ -20,6 +20,8 @@ import {
 import LoadingSpinner from '../components/LoadingSpinner';
 import TrainerAssignmentModal from '../components/TrainerAssignmentModal';
 import CourseCurrencyConfig from '../components/CourseCurrencyConfig';
+import InstallmentPlansManager from '../components/InstallmentPlansManager';
+import PluginSlot from '../components/PluginSlot';
 import RichTextEditor from '../components/RichTextEditor';
 import toast from 'react-hot-toast';
 
@@ -243,6 +245,17 @@ const CourseManagement = () => {
             />
           </div>
         )}
+
+        {/* Installment Plans */}
+        {!formData.isFree && (
+          <div className="mt-6">
+            <h3 className="text-md font-medium text-gray-900 mb-4">Installment Plans</h3>
+            <div className="text-sm text-gray-600 mb-4">
+              Let trainees pay for this course in several payments instead of the full price at once.
+            </div>
+            <InstallmentPlansManager courseId={isEditMode ? id : null} />
+          </div>
+        )}
       </div>
     );
   };
@@ -1100,16 +1113,27 @@ const CourseManagement = () => {
     <div className="min-h-screen bg-gray-50 py-8">
       <div className="max-w-6xl mx-auto px-4 sm:px-6 lg:px-8">
         {/* Header */}
-        <div className="mb-8">
-          <h1 className="text-3xl font-bold text-gray-900 flex items-center">
-            {isEditMode ? (
-              <BookOpenIcon className="h-8 w-8 mr-3 text-primary-600" />
-            ) : (
-              <PlusIcon className="h-8 w-8 mr-3 text-primary-600" />
-            )}
-            {isEditMode && courseData?.course?.title ? courseData.course.title : pageTitle}
-          </h1>
-          <p className="mt-2 text-gray-600">{pageSubtitle}</p>
+        <div className="mb-8 flex items-start justify-between">
+          <div>
+            <h1 className="text-3xl font-bold text-gray-900 flex items-center">
+              {isEditMode ? (
+                <BookOpenIcon className="h-8 w-8 mr-3 text-primary-600" />
+              ) : (
+                <PlusIcon className="h-8 w-8 mr-3 text-primary-600" />
+              )}
+              {isEditMode && courseData?.course?.title ? courseData.course.title : pageTitle}
+            </h1>
+            <p className="mt-2 text-gray-600">{pageSubtitle}</p>
+          </div>
+
+          {/* Plugin toolbar */}
+          {isEditMode && (
+            <PluginSlot
+              name="course-editor-toolbar"
+              context={{ courseId: id }}
+              className="flex items-center space-x-2"
+            />
+          )}
         </div>
 
         {/* Wizard Tabs */}
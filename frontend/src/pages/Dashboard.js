@@ -11,6 +11,7 @@ import {
   BookOpenIcon,
 } from '@heroicons/react/24/outline';
 import LoadingSpinner from '../components/LoadingSpinner';
+import PluginSlot from '../components/PluginSlot';
 import { useState } from 'react';
 import toast from 'react-hot-toast';
 import { Link } from 'react-router-dom';
@@ -388,6 +389,13 @@ const Dashboard = () => {
       {isSuperAdmin && renderSuperAdminDashboard()}
       {isTrainer && renderTrainerDashboard()}
       {isTrainee && renderTraineeDashboard()}
+
+      <PluginSlot
+        name="dashboard-widgets"
+        className="grid grid-cols-1 lg:grid-cols-2 gap-6 mt-6"
+        itemClassName="card"
+        showTitles
+      />
     </div>
   );
 };
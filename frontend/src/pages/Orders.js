@@ -1,6 +1,6 @@
 import React, { useState } from 'react';
 import { useQuery } from 'react-query';
-import { useSearchParams } from 'react-router-dom';
+import { useNavigate, useSearchParams } from 'react-router-dom';
 import { 
   ClipboardDocumentListIcon,
   CheckCircleIcon,
@@ -8,20 +8,197 @@ import {
   ClockIcon,
   EyeIcon,
   ArrowDownTrayIcon,
+  ArrowUpTrayIcon,
+  BuildingLibraryIcon,
+  CalendarDaysIcon,
   ExclamationTriangleIcon
 } from '@heroicons/react/24/outline';
 import api from '../utils/api';
 import LoadingSpinner from '../components/LoadingSpinner';
+import toast from 'react-hot-toast';
+
+// Orders that have been paid have an invoice
+const INVOICEABLE_STATUSES = ['paid', 'refunded'];
+
+const BANK_TRANSFER_STATUS_LABELS = {
+  awaiting_receipt: 'Waiting for your transfer receipt',
+  under_review: 'Receipt received - payment under review',
+  approved: 'Payment approved',
+  rejected: 'Payment rejected'
+};
+
+const SCHEDULE_STATUS_LABELS = {
+  pending: 'Waiting for first payment',
+  active: 'In progress',
+  completed: 'Paid in full',
+  cancelled: 'Cancelled'
+};
+
+// Installment plans the user is paying off, with a shortcut to pay the next installment
+const InstallmentSchedules = () => {
+  const navigate = useNavigate();
+
+  const { data: schedules = [] } = useQuery(
+    'installment-schedules',
+    () => api.get('/financial/installments/my').then(res => res.data.schedules),
+    { refetchOnWindowFocus: false }
+  );
+
+  const visibleSchedules = schedules.filter(schedule => schedule.status !== 'cancelled');
+
+  if (visibleSchedules.length === 0) {
+    return null;
+  }
+
+  return (
+    <div className="mb-8">
+      <h2 className="text-xl font-semibold text-gray-900 mb-4 flex items-center">
+        <CalendarDaysIcon className="h-6 w-6 mr-2" />
+        Installment Plans
+      </h2>
+      <div className="space-y-4">
+        {visibleSchedules.map(schedule => (
+          <div key={schedule.id} className="bg-white rounded-lg shadow-sm border border-gray-200 p-6">
+            <div className="flex items-center justify-between mb-4">
+              <div>
+                <h3 className="text-lg font-medium text-gray-900">{schedule.course?.title || 'Course'}</h3>
+                <p className="text-sm text-gray-500">
+                  ${schedule.totalAmount.toFixed(2)} in {schedule.numberOfInstallments} installments
+                </p>
+              </div>
+              <span className="px-2 py-1 text-xs font-medium rounded-full bg-gray-100 text-gray-800">
+                {SCHEDULE_STATUS_LABELS[schedule.status] || schedule.status}
+              </span>
+            </div>
+            <div className="divide-y divide-gray-100">
+              {schedule.installments.filter(installment => installment.status !== 'cancelled').map(installment => (
+                <div key={installment.id} className="flex items-center justify-between py-2 text-sm">
+                  <span className="text-gray-900">
+                    {installment.sequenceNumber}. ${installment.amount.toFixed(2)}
+                  </span>
+                  <span className={installment.overdue && installment.status === 'scheduled' ? 'text-red-600' : 'text-gray-500'}>
+                    {installment.status === 'paid'
+                      ? `Paid ${new Date(installment.paidAt).toLocaleDateString()}`
+                      : `${installment.overdue ? 'Overdue since' : 'Due'} ${new Date(installment.dueDate).toLocaleDateString()}`}
+                  </span>
+                  {installment.payable ? (
+                    <button
+                      type="button"
+                      onClick={() => navigate(`/checkout?installment=${installment.id}`)}
+                      className="btn-primary text-xs"
+                    >
+                      Pay now
+                    </button>
+                  ) : (
+                    <span className="w-16" />
+                  )}
+                </div>
+              ))}
+            </div>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+// Payment instructions and receipt upload for bank transfer orders
+const BankTransferPanel = ({ order, onUploaded }) => {
+  const [isUploading, setIsUploading] = useState(false);
+  const { bankTransfer } = order;
+
+  const handleReceiptChange = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+
+    const formData = new FormData();
+    formData.append('receipt', file);
+
+    setIsUploading(true);
+    try {
+      await api.post(`/financial/orders/${order.id}/receipt`, formData, {
+        headers: { 'Content-Type': 'multipart/form-data' }
+      });
+      toast.success('Receipt uploaded');
+      onUploaded();
+    } catch (error) {
+      toast.error(error.response?.data?.error || 'Failed to upload receipt');
+    } finally {
+      setIsUploading(false);
+    }
+  };
+
+  const handleViewReceipt = async () => {
+    try {
+      const response = await api.get(`/financial/orders/${order.id}/receipt`, {
+        responseType: 'blob'
+      });
+      const url = window.URL.createObjectURL(response.data);
+      window.open(url, '_blank', 'noopener');
+      setTimeout(() => window.URL.revokeObjectURL(url), 60000);
+    } catch (error) {
+      toast.error('Failed to open receipt');
+    }
+  };
+
+  return (
+    <div className="mt-4 border-t border-gray-200 pt-4">
+      <div className="flex items-start space-x-3">
+        <BuildingLibraryIcon className="h-5 w-5 text-blue-500 mt-0.5" />
+        <div className="flex-1 text-sm">
+          <p className="font-medium text-gray-900">
+            Bank transfer - {BANK_TRANSFER_STATUS_LABELS[bankTransfer.status] || bankTransfer.status}
+          </p>
+          <p className="text-gray-600 mt-1">
+            Reference: <span className="font-mono">{bankTransfer.reference}</span>
+          </p>
+          {order.status === 'pending' && bankTransfer.instructions && (
+            <p className="text-gray-600 mt-2 whitespace-pre-line">{bankTransfer.instructions}</p>
+          )}
+          {bankTransfer.status === 'rejected' && bankTransfer.rejectionReason && (
+            <p className="text-red-600 mt-2">Reason: {bankTransfer.rejectionReason}</p>
+          )}
+          <div className="mt-3 flex items-center space-x-3">
+            {order.status === 'pending' && (
+              <label className={`btn-secondary inline-flex items-center cursor-pointer ${isUploading ? 'opacity-50 pointer-events-none' : ''}`}>
+                <ArrowUpTrayIcon className="h-4 w-4 mr-2" />
+                {isUploading ? 'Uploading...' : bankTransfer.receipt ? 'Replace Receipt' : 'Upload Receipt'}
+                <input
+                  type="file"
+                  accept="application/pdf,image/jpeg,image/png,image/webp"
+                  className="hidden"
+                  onChange={handleReceiptChange}
+                  disabled={isUploading}
+                />
+              </label>
+            )}
+            {bankTransfer.receipt && (
+              <button
+                type="button"
+                onClick={handleViewReceipt}
+                className="text-blue-600 hover:text-blue-800"
+              >
+                View receipt ({bankTransfer.receipt.originalName})
+              </button>
+            )}
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
 
 const Orders = () => {
   const [searchParams] = useSearchParams();
   const [selectedOrder, setSelectedOrder] = useState(null);
   const [showSuccess, setShowSuccess] = useState(searchParams.get('success') === 'true');
+  const placedBankTransferId = searchParams.get('bankTransfer');
 
   // Fetch orders
   const { data: orders, isLoading, error, refetch } = useQuery(
     'orders',
-    () => api.get('/financial/orders').then(res => res.data),
+    () => api.get('/financial/orders').then(res => res.data.orders),
     {
       refetchOnWindowFocus: false
     }
@@ -30,6 +207,7 @@ const Orders = () => {
   const getStatusIcon = (status) => {
     switch (status) {
       case 'completed':
+      case 'paid':
         return <CheckCircleIcon className="h-5 w-5 text-green-500" />;
       case 'pending':
         return <ClockIcon className="h-5 w-5 text-yellow-500" />;
@@ -44,6 +222,7 @@ const Orders = () => {
   const getStatusColor = (status) => {
     switch (status) {
       case 'completed':
+      case 'paid':
         return 'bg-green-100 text-green-800';
       case 'pending':
         return 'bg-yellow-100 text-yellow-800';
@@ -69,22 +248,23 @@ const Orders = () => {
     setSelectedOrder(order);
   };
 
-  const handleDownloadInvoice = async (orderId) => {
+  const handleDownloadInvoice = async (order) => {
     try {
-      const response = await api.get(`/financial/orders/${orderId}/invoice`, {
+      const response = await api.get(`/financial/orders/${order.id}/invoice`, {
         responseType: 'blob'
       });
       
-      const url = window.URL.createObjectURL(new Blob([response.data]));
+      const url = window.URL.createObjectURL(new Blob([response.data], { type: 'application/pdf' }));
       const link = document.createElement('a');
       link.href = url;
-      link.setAttribute('download', `invoice-${orderId}.pdf`);
+      link.setAttribute('download', `invoice-${order.orderNumber}.pdf`);
       document.body.appendChild(link);
       link.click();
       link.remove();
       window.URL.revokeObjectURL(url);
     } catch (error) {
       console.error('Failed to download invoice:', error);
+      toast.error('Failed to download invoice');
     }
   };
 
@@ -141,6 +321,24 @@ const Orders = () => {
           </div>
         )}
 
+        {/* Bank Transfer Placed Message */}
+        {placedBankTransferId && (
+          <div className="mb-6 bg-blue-50 border border-blue-200 rounded-md p-4">
+            <div className="flex">
+              <BuildingLibraryIcon className="h-5 w-5 text-blue-400 mr-2" />
+              <div>
+                <p className="text-sm text-blue-800 font-medium">Order Placed</p>
+                <p className="text-sm text-blue-600 mt-1">
+                  Complete the bank transfer using your order number as the reference, then upload the receipt below.
+                  Your courses will be unlocked once the payment is approved.
+                </p>
+              </div>
+            </div>
+          </div>
+        )}
+
+        <InstallmentSchedules />
+
         {/* Orders List */}
         {!orders || orders.length === 0 ? (
           <div className="text-center py-12">
@@ -183,7 +381,7 @@ const Orders = () => {
                   <div className="flex items-center space-x-4">
                     <div className="text-right">
                       <p className="text-lg font-semibold text-gray-900">
-                        ${order.total?.toFixed(2) || '0.00'}
+                        ${order.finalAmount?.toFixed(2) || '0.00'}
                       </p>
                       <p className="text-sm text-gray-500">
                         {order.items?.length || 0} item{(order.items?.length || 0) !== 1 ? 's' : ''}
@@ -199,9 +397,9 @@ const Orders = () => {
                         <EyeIcon className="h-5 w-5" />
                       </button>
                       
-                      {order.status === 'completed' && (
+                      {INVOICEABLE_STATUSES.includes(order.status) && (
                         <button
-                          onClick={() => handleDownloadInvoice(order.id)}
+                          onClick={() => handleDownloadInvoice(order)}
                           className="p-2 text-gray-400 hover:text-gray-600"
                           title="Download Invoice"
                         >
@@ -212,6 +410,10 @@ const Orders = () => {
                   </div>
                 </div>
 
+                {order.bankTransfer && (
+                  <BankTransferPanel order={order} onUploaded={refetch} />
+                )}
+
                 {/* Order Items Preview */}
                 {order.items && order.items.length > 0 && (
                   <div className="mt-4 border-t border-gray-200 pt-4">
@@ -363,9 +565,9 @@ const Orders = () => {
 
                   {/* Actions */}
                   <div className="border-t border-gray-200 pt-6 flex justify-end space-x-4">
-                    {selectedOrder.status === 'completed' && (
+                    {INVOICEABLE_STATUSES.includes(selectedOrder.status) && (
                       <button
-                        onClick={() => handleDownloadInvoice(selectedOrder.id)}
+                        onClick={() => handleDownloadInvoice(selectedOrder)}
                         className="bg-blue-600 text-white px-4 py-2 rounded-md hover:bg-blue-700 flex items-center"
                       >
                         <ArrowDownTrayIcon className="h-4 w-4 mr-2" />
@@ -7,13 +7,23 @@ import {
   XCircleIcon,
   ArrowPathIcon,
   InformationCircleIcon,
-  ChartBarIcon
+  ArrowUpTrayIcon
 } from '@heroicons/react/24/outline';
 import api from '../services/api';
+import PluginInstallModal from '../components/PluginInstallModal';
+import PluginPermissionsPanel from '../components/PluginPermissionsPanel';
+
+// Circuit breaker states reported by /core/stats
+const HEALTH_BADGES = {
+  healthy: { label: 'Healthy', className: 'bg-green-100 text-green-800' },
+  degraded: { label: 'Failing', className: 'bg-yellow-100 text-yellow-800' },
+  tripped: { label: 'Auto-disabled', className: 'bg-red-100 text-red-800' }
+};
 
 const PluginManagement = () => {
   const [selectedPlugin, setSelectedPlugin] = useState(null);
   const [showDetails, setShowDetails] = useState(false);
+  const [showInstall, setShowInstall] = useState(false);
   const queryClient = useQueryClient();
 
   // Function to clear cache and refetch
@@ -54,6 +64,7 @@ const PluginManagement = () => {
     () => api.get('/core/stats'),
     {
       retry: false,
+      refetchInterval: 30000,
       onError: (error) => {
         console.error('Failed to fetch plugin stats:', error);
       }
@@ -67,6 +78,7 @@ const PluginManagement = () => {
       onSuccess: () => {
         toast.success('Plugin enabled successfully');
         queryClient.invalidateQueries('plugins');
+        queryClient.invalidateQueries('plugin-stats');
       },
       onError: (error) => {
         toast.error('Failed to enable plugin');
@@ -149,6 +161,41 @@ const PluginManagement = () => {
     return enabled ? 'Enabled' : 'Disabled';
   };
 
+  const getHealth = (pluginName) => stats.plugins?.[pluginName];
+  const selectedHealth = selectedPlugin && getHealth(selectedPlugin.name);
+
+  const renderHealthBadge = (health) => {
+    const badge = HEALTH_BADGES[health.status] || HEALTH_BADGES.healthy;
+    return (
+      <span className={`text-xs px-2 py-0.5 rounded-full ${badge.className}`}>
+        {badge.label}
+      </span>
+    );
+  };
+
+  const renderHealthSummary = (health) => (
+    <div className="mt-4 space-y-2">
+      <div className="flex items-center justify-between">
+        {renderHealthBadge(health)}
+        <span className="text-xs text-gray-500">
+          {health.calls} calls · {health.failures} errors
+          {health.averageDuration !== null && ` · avg ${health.averageDuration} ms`}
+        </span>
+      </div>
+      {health.status === 'tripped' && (
+        <p className="text-xs text-red-700">
+          Disabled after repeated failures. Fix the cause, then enable it again.
+        </p>
+      )}
+      {health.lastError && (
+        <p className="text-xs text-red-600 break-words">
+          Last error in {health.lastError.target}: {health.lastError.message}
+        </p>
+      )}
+    </div>
+  );
+
+
   if (isLoading) {
     return (
       <div className="flex items-center justify-center min-h-screen">
@@ -190,6 +237,13 @@ const PluginManagement = () => {
                  <div className="text-sm text-gray-500">Enabled</div>
                  <div className="text-2xl font-bold text-green-600">{stats.registry?.enabledPlugins || plugins.filter(p => p.enabled).length}</div>
                </div>
+               <button
+                 onClick={() => setShowInstall(true)}
+                 className="flex items-center bg-green-600 text-white px-4 py-2 rounded-md hover:bg-green-700 transition-colors"
+               >
+                 <ArrowUpTrayIcon className="h-4 w-4 mr-2" />
+                 Install Plugin
+               </button>
                <button
                  onClick={clearCacheAndRefetch}
                  className="bg-blue-500 text-white px-4 py-2 rounded-md hover:bg-blue-600 transition-colors"
@@ -232,6 +286,8 @@ const PluginManagement = () => {
                     Author: {plugin.author}
                   </span>
                 </div>
+
+                {getHealth(plugin.name) && renderHealthSummary(getHealth(plugin.name))}
               </div>
 
               {/* Plugin Actions */}
@@ -291,8 +347,24 @@ const PluginManagement = () => {
             </p>
           </div>
         )}
+
+        {/* Plugin Permissions */}
+        <div className="mt-8">
+          <PluginPermissionsPanel />
+        </div>
       </div>
 
+      {/* Plugin Install Modal */}
+      {showInstall && (
+        <PluginInstallModal
+          onClose={() => setShowInstall(false)}
+          onInstalled={() => {
+            queryClient.invalidateQueries('plugins');
+            queryClient.invalidateQueries('plugin-stats');
+          }}
+        />
+      )}
+
       {/* Plugin Details Modal */}
       {showDetails && selectedPlugin && (
         <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
@@ -337,6 +409,51 @@ const PluginManagement = () => {
                   </div>
                 </div>
 
+                {selectedHealth && (
+                  <div>
+                    <div className="flex items-center space-x-2 mb-2">
+                      <h3 className="text-sm font-medium text-gray-500">Health</h3>
+                      {renderHealthBadge(selectedHealth)}
+                    </div>
+                    <div className="grid grid-cols-3 gap-4 bg-gray-50 rounded-lg p-4 text-sm">
+                      <div>
+                        <div className="text-gray-500">Calls</div>
+                        <div className="text-gray-900">{selectedHealth.calls}</div>
+                      </div>
+                      <div>
+                        <div className="text-gray-500">Errors</div>
+                        <div className="text-gray-900">{selectedHealth.failures}</div>
+                      </div>
+                      <div>
+                        <div className="text-gray-500">Timeouts</div>
+                        <div className="text-gray-900">{selectedHealth.timeouts}</div>
+                      </div>
+                      <div>
+                        <div className="text-gray-500">Average latency</div>
+                        <div className="text-gray-900">
+                          {selectedHealth.averageDuration !== null ? `${selectedHealth.averageDuration} ms` : '—'}
+                        </div>
+                      </div>
+                      <div>
+                        <div className="text-gray-500">Slowest call</div>
+                        <div className="text-gray-900">{selectedHealth.maxDuration} ms</div>
+                      </div>
+                      <div>
+                        <div className="text-gray-500">Failures in a row</div>
+                        <div className="text-gray-900">
+                          {selectedHealth.consecutiveFailures} / {stats.sandbox?.failureThreshold}
+                        </div>
+                      </div>
+                    </div>
+                    {selectedHealth.lastError && (
+                      <div className="mt-2 text-sm text-red-600 break-words">
+                        Last error ({new Date(selectedHealth.lastError.at).toLocaleString()}) in{' '}
+                        {selectedHealth.lastError.target}: {selectedHealth.lastError.message}
+                      </div>
+                    )}
+                  </div>
+                )}
+
                 {selectedPlugin.metadata?.courseworx?.permissions && (
                   <div>
                     <h3 className="text-sm font-medium text-gray-500 mb-2">Permissions</h3>
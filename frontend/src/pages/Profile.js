@@ -2,6 +2,7 @@ import React, { useState } from 'react';
 import { useAuth } from '../contexts/AuthContext';
 import { EyeIcon, EyeSlashIcon } from '@heroicons/react/24/outline';
 import LoadingSpinner from '../components/LoadingSpinner';
+import CalendarFeedPanel from '../components/CalendarFeedPanel';
 
 const Profile = () => {
   const { user, updateProfile, changePassword } = useAuth();
@@ -69,6 +70,7 @@ const Profile = () => {
   const tabs = [
     { id: 'profile', name: 'Profile Information' },
     { id: 'password', name: 'Change Password' },
+    { id: 'calendar', name: 'Calendar' },
   ];
 
   return (
@@ -301,6 +303,9 @@ const Profile = () => {
                 </div>
               </form>
             )}
+
+            {/* Calendar Feed Tab */}
+            {activeTab === 'calendar' && <CalendarFeedPanel />}
           </div>
         </div>
       </div>
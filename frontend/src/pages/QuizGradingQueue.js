@@ -0,0 +1,234 @@
+import React, { useState } from 'react';
+import { useQuery, useMutation, useQueryClient } from 'react-query';
+import {
+  ClipboardDocumentCheckIcon,
+  UserIcon,
+} from '@heroicons/react/24/outline';
+import LoadingSpinner from '../components/LoadingSpinner';
+import PrivateFileLink from '../components/PrivateFileLink';
+import toast from 'react-hot-toast';
+import { quizGradingAPI } from '../services/api';
+
+const QuizGradingQueue = () => {
+  const queryClient = useQueryClient();
+  const [selectedCourse, setSelectedCourse] = useState('all');
+  // Draft grades keyed by attemptId -> questionId -> { pointsAwarded, comment }
+  const [gradeDrafts, setGradeDrafts] = useState({});
+
+  const { data, isLoading } = useQuery(
+    ['quiz-grading-queue'],
+    () => quizGradingAPI.getQueue()
+  );
+
+  const gradeMutation = useMutation(
+    ({ attemptId, grades }) => quizGradingAPI.gradeAttempt(attemptId, grades),
+    {
+      onSuccess: (result, { attemptId }) => {
+        toast.success(result.message || 'Grades saved.');
+        setGradeDrafts(prev => {
+          const next = { ...prev };
+          delete next[attemptId];
+          return next;
+        });
+        queryClient.invalidateQueries(['quiz-grading-queue']);
+      },
+      onError: (error) => {
+        toast.error(error.response?.data?.error || 'Failed to save grades.');
+      }
+    }
+  );
+
+  const items = data?.items || [];
+  const courses = Array.from(
+    new Map(items.map(item => [item.course.id, item.course])).values()
+  );
+  const visibleItems = selectedCourse === 'all'
+    ? items
+    : items.filter(item => item.course.id === selectedCourse);
+
+  const getDraft = (attemptId, manualItem) => {
+    const draft = gradeDrafts[attemptId]?.[manualItem.questionId];
+    return {
+      pointsAwarded: draft?.pointsAwarded ?? (manualItem.status === 'graded' ? manualItem.pointsAwarded : ''),
+      comment: draft?.comment ?? (manualItem.comment || '')
+    };
+  };
+
+  const updateDraft = (attemptId, manualItem, field, value) => {
+    setGradeDrafts(prev => ({
+      ...prev,
+      [attemptId]: {
+        ...prev[attemptId],
+        [manualItem.questionId]: {
+          ...getDraft(attemptId, manualItem),
+          [field]: value
+        }
+      }
+    }));
+  };
+
+  const handleSaveGrades = (item) => {
+    const grades = item.manualItems
+      .map(manualItem => ({ questionId: manualItem.questionId, ...getDraft(item.attemptId, manualItem) }))
+      .filter(grade => grade.pointsAwarded !== '')
+      .map(grade => ({
+        questionId: grade.questionId,
+        pointsAwarded: parseFloat(grade.pointsAwarded),
+        comment: grade.comment || null
+      }));
+
+    if (grades.length === 0) {
+      toast.error('Enter points for at least one answer.');
+      return;
+    }
+
+    gradeMutation.mutate({ attemptId: item.attemptId, grades });
+  };
+
+  const renderAnswer = (manualItem) => {
+    const { answer } = manualItem;
+
+    if (answer === null || answer === undefined || answer === '') {
+      return <p className="text-sm italic text-gray-500">No answer submitted</p>;
+    }
+
+    if (manualItem.questionType === 'file_upload' && typeof answer === 'object') {
+      return <PrivateFileLink file={answer} />;
+    }
+
+    return <p className="text-sm text-gray-800 whitespace-pre-wrap">{String(answer)}</p>;
+  };
+
+  if (isLoading) {
+    return (
+      <div className="flex justify-center items-center h-64">
+        <LoadingSpinner size="lg" />
+      </div>
+    );
+  }
+
+  return (
+    <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
+      {/* Header */}
+      <div className="mb-8">
+        <h1 className="text-3xl font-bold text-gray-900">Quiz Grading</h1>
+        <p className="text-gray-600 mt-2">
+          Review free-text and uploaded quiz answers. Attempt scores are finalized once every answer is graded.
+        </p>
+      </div>
+
+      <div className="flex flex-wrap items-center justify-between gap-4 mb-6">
+        <div className="card flex items-center">
+          <ClipboardDocumentCheckIcon className="h-8 w-8 text-primary-600" />
+          <div className="ml-4">
+            <p className="text-sm font-medium text-gray-500">Answers Awaiting Review</p>
+            <p className="text-2xl font-semibold text-gray-900">{data?.totalPendingAnswers || 0}</p>
+          </div>
+        </div>
+
+        {courses.length > 1 && (
+          <select
+            value={selectedCourse}
+            onChange={(e) => setSelectedCourse(e.target.value)}
+            className="block w-full max-w-xs rounded-md border-gray-300 shadow-sm focus:border-primary-500 focus:ring-primary-500 sm:text-sm"
+          >
+            <option value="all">All Courses</option>
+            {courses.map((course) => (
+              <option key={course.id} value={course.id}>
+                {course.title}
+              </option>
+            ))}
+          </select>
+        )}
+      </div>
+
+      {visibleItems.length === 0 ? (
+        <div className="card text-center py-12">
+          <ClipboardDocumentCheckIcon className="mx-auto h-12 w-12 text-gray-400" />
+          <h3 className="mt-2 text-sm font-medium text-gray-900">Nothing to grade</h3>
+          <p className="mt-1 text-sm text-gray-500">All quiz answers have been reviewed.</p>
+        </div>
+      ) : (
+        <div className="space-y-6">
+          {visibleItems.map((item) => (
+            <div key={item.attemptId} className="card">
+              <div className="flex flex-wrap items-start justify-between gap-2 mb-4">
+                <div>
+                  <h3 className="text-lg font-semibold text-gray-900">{item.content.title}</h3>
+                  <p className="text-sm text-gray-500">{item.course.title}</p>
+                </div>
+                <div className="text-right text-sm text-gray-600">
+                  <p className="flex items-center justify-end">
+                    <UserIcon className="h-4 w-4 mr-1" />
+                    {item.user?.firstName} {item.user?.lastName}
+                  </p>
+                  <p>Attempt #{item.attemptNumber} · {item.submittedAt ? new Date(item.submittedAt).toLocaleString() : '—'}</p>
+                  <p>Auto-graded so far: {item.earnedPoints}/{item.totalPoints} points</p>
+                </div>
+              </div>
+
+              <div className="space-y-4">
+                {item.manualItems.map((manualItem) => {
+                  const draft = getDraft(item.attemptId, manualItem);
+                  return (
+                    <div key={manualItem.questionId} className="border border-gray-200 rounded-lg p-4">
+                      <div className="flex items-start justify-between mb-2">
+                        <p className="font-medium text-gray-900">{manualItem.question || 'Question'}</p>
+                        <span className={`ml-4 px-2 py-1 text-xs rounded-full whitespace-nowrap ${
+                          manualItem.status === 'graded' ? 'bg-green-100 text-green-800' : 'bg-yellow-100 text-yellow-800'
+                        }`}>
+                          {manualItem.status === 'graded' ? 'Graded' : 'Needs review'}
+                        </span>
+                      </div>
+                      <div className="bg-gray-50 rounded p-3 mb-3">
+                        {renderAnswer(manualItem)}
+                      </div>
+                      <div className="grid grid-cols-1 md:grid-cols-4 gap-3">
+                        <div>
+                          <label className="block text-sm font-medium text-gray-700 mb-1">
+                            Points (max {manualItem.points})
+                          </label>
+                          <input
+                            type="number"
+                            min="0"
+                            max={manualItem.points}
+                            step="0.5"
+                            value={draft.pointsAwarded}
+                            onChange={(e) => updateDraft(item.attemptId, manualItem, 'pointsAwarded', e.target.value)}
+                            className="input-field"
+                          />
+                        </div>
+                        <div className="md:col-span-3">
+                          <label className="block text-sm font-medium text-gray-700 mb-1">Comment</label>
+                          <textarea
+                            rows={2}
+                            value={draft.comment}
+                            onChange={(e) => updateDraft(item.attemptId, manualItem, 'comment', e.target.value)}
+                            className="input-field"
+                            placeholder="Feedback for the trainee (optional)"
+                          />
+                        </div>
+                      </div>
+                    </div>
+                  );
+                })}
+              </div>
+
+              <div className="flex justify-end mt-4">
+                <button
+                  onClick={() => handleSaveGrades(item)}
+                  disabled={gradeMutation.isLoading}
+                  className="btn-primary disabled:opacity-50"
+                >
+                  {gradeMutation.isLoading && gradeMutation.variables?.attemptId === item.attemptId ? 'Saving...' : 'Save Grades'}
+                </button>
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default QuizGradingQueue;
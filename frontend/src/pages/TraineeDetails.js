@@ -1,8 +1,8 @@
 import React, { useState } from 'react';
 import { useParams, useNavigate } from 'react-router-dom';
-import { useQuery } from 'react-query';
+import { useQuery, useMutation, useQueryClient } from 'react-query';
 import { useAuth } from '../contexts/AuthContext';
-import { coursesAPI, enrollmentsAPI, traineeProgressAPI, traineeAttendanceAPI, traineeAssignmentsAPI, userNotesAPI } from '../services/api';
+import { coursesAPI, enrollmentsAPI, traineeProgressAPI, traineeAttendanceAPI, traineeAssignmentsAPI, assignmentSubmissionsAPI, userNotesAPI } from '../services/api';
 import {
   ArrowLeftIcon,
   UserIcon,
@@ -20,16 +20,24 @@ import {
   EyeIcon,
   PencilIcon,
   StarIcon,
-  TrophyIcon
+  TrophyIcon,
+  PuzzlePieceIcon
 } from '@heroicons/react/24/outline';
 import LoadingSpinner from '../components/LoadingSpinner';
+import PrivateFileLink from '../components/PrivateFileLink';
+import { PluginSlotEntry } from '../components/PluginSlot';
+import { usePluginSlots } from '../hooks/usePluginSlots';
 import toast from 'react-hot-toast';
 
 const TraineeDetails = () => {
   const { courseId, traineeId } = useParams();
   const navigate = useNavigate();
   const { user } = useAuth();
+  const queryClient = useQueryClient();
   const [activeTab, setActiveTab] = useState('overview');
+  const pluginTabs = usePluginSlots('trainee-details-tabs');
+  const [gradingAssignmentId, setGradingAssignmentId] = useState(null);
+  const [gradeForm, setGradeForm] = useState({ score: '', feedback: '' });
 
   // Get course details
   const { data: course, isLoading: courseLoading } = useQuery(
@@ -73,6 +81,41 @@ const TraineeDetails = () => {
     { enabled: !!courseId && !!traineeId }
   );
 
+  // Grade a submission
+  const gradeMutation = useMutation(
+    ({ assignmentId, submissionId, data }) => assignmentSubmissionsAPI.grade(assignmentId, submissionId, data),
+    {
+      onSuccess: () => {
+        queryClient.invalidateQueries(['trainee-assignments', courseId, traineeId]);
+        toast.success('Submission graded successfully');
+        setGradingAssignmentId(null);
+      },
+      onError: (error) => {
+        toast.error(error.response?.data?.error || 'Failed to grade submission');
+      },
+    }
+  );
+
+  const startGrading = (assignment) => {
+    setGradingAssignmentId(assignment.id);
+    setGradeForm({
+      score: assignment.submission.score ?? '',
+      feedback: assignment.submission.feedback || ''
+    });
+  };
+
+  const handleGradeSubmit = (e, assignment) => {
+    e.preventDefault();
+    gradeMutation.mutate({
+      assignmentId: assignment.id,
+      submissionId: assignment.submission.id,
+      data: {
+        score: parseFloat(gradeForm.score),
+        feedback: gradeForm.feedback
+      }
+    });
+  };
+
   const isLoading = courseLoading || traineeLoading || progressLoading || attendanceLoading || assignmentsLoading || notesLoading;
 
   if (isLoading) {
@@ -102,9 +145,12 @@ const TraineeDetails = () => {
     { id: 'progress', name: 'Progress', icon: AcademicCapIcon },
     { id: 'attendance', name: 'Attendance', icon: CalendarDaysIcon },
     { id: 'assignments', name: 'Assignments', icon: DocumentTextIcon },
-    { id: 'communication', name: 'Communication', icon: ChatBubbleLeftRightIcon }
+    { id: 'communication', name: 'Communication', icon: ChatBubbleLeftRightIcon },
+    ...pluginTabs.map(entry => ({ id: entry.id, name: entry.title, icon: PuzzlePieceIcon }))
   ];
 
+  const activePluginTab = pluginTabs.find(entry => entry.id === activeTab);
+
   const getStatusColor = (status) => {
     switch (status) {
       case 'active': return 'bg-green-100 text-green-800';
@@ -451,17 +497,96 @@ const TraineeDetails = () => {
               </div>
               {assignment.submission && (
                 <div className="mt-4 p-4 bg-gray-50 rounded-lg">
-                  <h5 className="font-medium text-gray-900">Submission</h5>
-                  <p className="text-sm text-gray-600 mt-1">{assignment.submission.content}</p>
+                  <div className="flex items-center justify-between">
+                    <h5 className="font-medium text-gray-900">Submission</h5>
+                    {assignment.submission.isLate && (
+                      <span className="inline-flex items-center px-2 py-0.5 rounded-full text-xs font-medium bg-red-100 text-red-800">
+                        Late
+                      </span>
+                    )}
+                  </div>
+                  {assignment.submission.content && (
+                    <p className="text-sm text-gray-600 mt-1 whitespace-pre-line">{assignment.submission.content}</p>
+                  )}
+                  {assignment.submission.attachments?.length > 0 && (
+                    <div className="mt-2 space-y-1">
+                      {assignment.submission.attachments.map((attachment, fileIndex) => (
+                        <div key={fileIndex}>
+                          <PrivateFileLink file={attachment} />
+                        </div>
+                      ))}
+                    </div>
+                  )}
                   <div className="mt-2 text-xs text-gray-500">
                     Submitted: {new Date(assignment.submission.submittedAt).toLocaleString()}
                   </div>
-                  {assignment.submission.grade && (
+                  {assignment.submission.grade != null && (
                     <div className="mt-2">
                       <span className="font-medium">Grade: </span>
                       <span className="text-primary-600 font-bold">{assignment.submission.grade}/{assignment.points}</span>
+                      {parseFloat(assignment.submission.latePenaltyApplied) > 0 && (
+                        <span className="ml-2 text-xs text-gray-500">
+                          ({assignment.submission.score} before {assignment.submission.latePenaltyApplied}% late penalty)
+                        </span>
+                      )}
                     </div>
                   )}
+                  {assignment.submission.feedback && (
+                    <div className="mt-2 text-sm text-gray-700">
+                      <span className="font-medium">Feedback: </span>
+                      {assignment.submission.feedback}
+                    </div>
+                  )}
+
+                  {gradingAssignmentId === assignment.id ? (
+                    <form onSubmit={(e) => handleGradeSubmit(e, assignment)} className="mt-4 space-y-3">
+                      <div>
+                        <label className="block text-sm font-medium text-gray-700">
+                          Score (out of {assignment.points})
+                        </label>
+                        <input
+                          type="number"
+                          min="0"
+                          max={assignment.points}
+                          step="0.5"
+                          required
+                          value={gradeForm.score}
+                          onChange={(e) => setGradeForm({ ...gradeForm, score: e.target.value })}
+                          className="input-field mt-1 w-32"
+                        />
+                        {assignment.submission.isLate && parseFloat(assignment.latePenalty) > 0 && (
+                          <p className="mt-1 text-xs text-gray-500">
+                            A {assignment.latePenalty}% late penalty will be applied automatically.
+                          </p>
+                        )}
+                      </div>
+                      <div>
+                        <label className="block text-sm font-medium text-gray-700">Feedback</label>
+                        <textarea
+                          rows={3}
+                          value={gradeForm.feedback}
+                          onChange={(e) => setGradeForm({ ...gradeForm, feedback: e.target.value })}
+                          className="input-field mt-1"
+                        />
+                      </div>
+                      <div className="flex space-x-2">
+                        <button type="submit" className="btn-primary" disabled={gradeMutation.isLoading}>
+                          {gradeMutation.isLoading ? 'Saving...' : 'Save Grade'}
+                        </button>
+                        <button type="button" className="btn-secondary" onClick={() => setGradingAssignmentId(null)}>
+                          Cancel
+                        </button>
+                      </div>
+                    </form>
+                  ) : (
+                    <button
+                      onClick={() => startGrading(assignment)}
+                      className="btn-secondary mt-4"
+                    >
+                      <PencilIcon className="h-4 w-4 mr-2" />
+                      {assignment.submission.status === 'graded' ? 'Update Grade' : 'Grade Submission'}
+                    </button>
+                  )}
                 </div>
               )}
             </div>
@@ -574,6 +699,9 @@ const TraineeDetails = () => {
           {activeTab === 'attendance' && renderAttendance()}
           {activeTab === 'assignments' && renderAssignments()}
           {activeTab === 'communication' && renderCommunication()}
+          {activePluginTab && (
+            <PluginSlotEntry entry={activePluginTab} context={{ courseId, traineeId }} />
+          )}
         </div>
       </div>
     </div>
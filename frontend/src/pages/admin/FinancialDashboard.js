@@ -7,13 +7,36 @@ import {
   ArrowTrendingUpIcon,
   BanknotesIcon,
   UserGroupIcon,
-  CalendarIcon
+  CalendarIcon,
+  DocumentTextIcon,
+  ArrowDownTrayIcon,
+  BuildingLibraryIcon
 } from '@heroicons/react/24/outline';
+import toast from 'react-hot-toast';
 import api from '../../utils/api';
+import { useAuth } from '../../contexts/AuthContext';
 import LoadingSpinner from '../../components/LoadingSpinner';
+import BankTransferQueue from '../../components/BankTransferQueue';
+
+// Local YYYY-MM-DD for date inputs (toISOString would shift to UTC)
+const toDateInputValue = (date) => [
+  date.getFullYear(),
+  String(date.getMonth() + 1).padStart(2, '0'),
+  String(date.getDate()).padStart(2, '0')
+].join('-');
 
 const FinancialDashboard = () => {
+  const { isSuperAdmin } = useAuth();
   const [activeTab, setActiveTab] = useState('dashboard');
+  const [invoiceExport, setInvoiceExport] = useState(() => {
+    const today = new Date();
+    return {
+      startDate: toDateInputValue(new Date(today.getFullYear(), today.getMonth(), 1)),
+      endDate: toDateInputValue(today),
+      format: 'pdf'
+    };
+  });
+  const [exportingInvoices, setExportingInvoices] = useState(false);
 
   // Fetch financial dashboard data
   const { data: dashboardData, isLoading: dashboardLoading, error: dashboardError } = useQuery(
@@ -69,9 +92,54 @@ const FinancialDashboard = () => {
   const tabs = [
     { id: 'dashboard', name: 'Dashboard', icon: ChartBarIcon },
     { id: 'payments', name: 'Payments', icon: CreditCardIcon },
-    { id: 'revenue', name: 'Revenue', icon: ArrowTrendingUpIcon }
+    { id: 'revenue', name: 'Revenue', icon: ArrowTrendingUpIcon },
+    ...(isSuperAdmin ? [
+      { id: 'bank-transfers', name: 'Bank Transfers', icon: BuildingLibraryIcon },
+      { id: 'invoices', name: 'Invoices', icon: DocumentTextIcon }
+    ] : [])
   ];
 
+  const handleInvoiceExportChange = (e) => {
+    const { name, value } = e.target;
+    setInvoiceExport(prev => ({ ...prev, [name]: value }));
+  };
+
+  const handleExportInvoices = async (e) => {
+    e.preventDefault();
+    setExportingInvoices(true);
+    try {
+      const response = await api.get('/financial/orders/admin/invoices/export', {
+        params: invoiceExport,
+        responseType: 'blob'
+      });
+
+      const type = invoiceExport.format === 'csv' ? 'text/csv' : 'application/pdf';
+      const url = window.URL.createObjectURL(new Blob([response.data], { type }));
+      const link = document.createElement('a');
+      link.href = url;
+      link.setAttribute('download', `invoices-${invoiceExport.startDate}-to-${invoiceExport.endDate}.${invoiceExport.format}`);
+      document.body.appendChild(link);
+      link.click();
+      link.remove();
+      window.URL.revokeObjectURL(url);
+    } catch (error) {
+      console.error('Failed to export invoices:', error);
+      // Errors come back as a blob because of the responseType
+      let message = 'Failed to export invoices';
+      if (error.response?.data instanceof Blob) {
+        try {
+          const body = JSON.parse(await error.response.data.text());
+          message = body.error || body.errors?.[0]?.msg || message;
+        } catch (parseError) {
+          // Keep the generic message
+        }
+      }
+      toast.error(message);
+    } finally {
+      setExportingInvoices(false);
+    }
+  };
+
   if (dashboardLoading) {
     return (
       <div className="flex items-center justify-center min-h-screen">
@@ -350,6 +418,68 @@ const FinancialDashboard = () => {
             </div>
           </div>
         )}
+
+        {/* Bank Transfers Tab */}
+        {activeTab === 'bank-transfers' && isSuperAdmin && (
+          <BankTransferQueue />
+        )}
+
+        {/* Invoices Tab */}
+        {activeTab === 'invoices' && isSuperAdmin && (
+          <div className="bg-white shadow rounded-lg">
+            <div className="px-4 py-5 sm:p-6">
+              <h3 className="text-lg leading-6 font-medium text-gray-900 mb-1">Export Invoices</h3>
+              <p className="text-sm text-gray-500 mb-6">
+                Download every invoice dated within a range as a single PDF (one invoice per page) or as a CSV for accounting.
+              </p>
+              <form onSubmit={handleExportInvoices} className="grid grid-cols-1 md:grid-cols-4 gap-4 items-end">
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">From</label>
+                  <input
+                    type="date"
+                    name="startDate"
+                    value={invoiceExport.startDate}
+                    onChange={handleInvoiceExportChange}
+                    className="input-field"
+                    required
+                  />
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">To</label>
+                  <input
+                    type="date"
+                    name="endDate"
+                    value={invoiceExport.endDate}
+                    min={invoiceExport.startDate}
+                    onChange={handleInvoiceExportChange}
+                    className="input-field"
+                    required
+                  />
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">Format</label>
+                  <select
+                    name="format"
+                    value={invoiceExport.format}
+                    onChange={handleInvoiceExportChange}
+                    className="input-field"
+                  >
+                    <option value="pdf">PDF</option>
+                    <option value="csv">CSV</option>
+                  </select>
+                </div>
+                <button
+                  type="submit"
+                  disabled={exportingInvoices}
+                  className="btn-primary flex items-center justify-center disabled:opacity-50"
+                >
+                  <ArrowDownTrayIcon className="h-5 w-5 mr-2" />
+                  {exportingInvoices ? 'Exporting...' : 'Export'}
+                </button>
+              </form>
+            </div>
+          </div>
+        )}
       </div>
     </div>
   );
@@ -0,0 +1,455 @@
+/**
+ * Role Management Page
+ *
+ * Super Admins define custom roles (e.g. teaching assistant) with a set of
+ * permissions and assign them to users, everywhere or on a single course.
+ */
+
+import React, { useState } from 'react';
+import { useQuery, useMutation, useQueryClient } from 'react-query';
+import { toast } from 'react-hot-toast';
+import {
+  ShieldCheckIcon,
+  PlusIcon,
+  PencilIcon,
+  TrashIcon,
+  XMarkIcon,
+  UserPlusIcon
+} from '@heroicons/react/24/outline';
+import { rolesAPI, permissionsAPI, usersAPI, coursesAPI } from '../../services/api';
+
+const emptyRoleForm = {
+  name: '',
+  displayName: '',
+  description: '',
+  baseRole: 'trainee',
+  permissions: []
+};
+
+const emptyAssignmentForm = {
+  userId: '',
+  roleId: '',
+  courseId: ''
+};
+
+const getErrorMessage = (error, fallback) => (
+  error.response?.data?.error || error.response?.data?.errors?.[0]?.msg || fallback
+);
+
+const RoleManagement = () => {
+  const queryClient = useQueryClient();
+  const [showRoleForm, setShowRoleForm] = useState(false);
+  const [editingRole, setEditingRole] = useState(null);
+  const [roleForm, setRoleForm] = useState(emptyRoleForm);
+  const [assignmentForm, setAssignmentForm] = useState(emptyAssignmentForm);
+  const [userSearch, setUserSearch] = useState('');
+  const [courseSearch, setCourseSearch] = useState('');
+
+  const { data: rolesData, isLoading: rolesLoading } = useQuery('custom-roles', rolesAPI.getAll);
+  const { data: permissionsData } = useQuery('role-permissions', permissionsAPI.getAll);
+  const { data: assignmentsData, isLoading: assignmentsLoading } = useQuery(
+    'role-assignments',
+    () => rolesAPI.getAssignments()
+  );
+  const { data: usersData } = useQuery(
+    ['role-assignment-users', userSearch],
+    () => usersAPI.getAll({ search: userSearch, limit: 20 }),
+    { enabled: userSearch.length >= 2, keepPreviousData: true }
+  );
+  const { data: coursesData } = useQuery(
+    ['role-assignment-courses', courseSearch],
+    () => coursesAPI.getAll({ search: courseSearch, limit: 20 }),
+    { keepPreviousData: true }
+  );
+
+  const roles = rolesData?.roles || [];
+  const assignments = assignmentsData?.assignments || [];
+  const catalogue = permissionsData?.permissions || [];
+  const users = usersData?.data?.users || [];
+  const courses = coursesData?.courses || [];
+
+  const invalidateRoles = () => {
+    queryClient.invalidateQueries('custom-roles');
+    queryClient.invalidateQueries('role-permissions');
+    queryClient.invalidateQueries('role-assignments');
+  };
+
+  const closeRoleForm = () => {
+    setShowRoleForm(false);
+    setEditingRole(null);
+    setRoleForm(emptyRoleForm);
+  };
+
+  const saveRoleMutation = useMutation(
+    (form) => (editingRole
+      ? rolesAPI.update(editingRole.name, {
+        displayName: form.displayName,
+        description: form.description,
+        baseRole: form.baseRole,
+        permissions: form.permissions
+      })
+      : rolesAPI.create(form)),
+    {
+      onSuccess: (data) => {
+        toast.success(data.message);
+        invalidateRoles();
+        closeRoleForm();
+      },
+      onError: (error) => toast.error(getErrorMessage(error, 'Failed to save role'))
+    }
+  );
+
+  const deleteRoleMutation = useMutation(rolesAPI.delete, {
+    onSuccess: (data) => {
+      toast.success(data.message);
+      invalidateRoles();
+    },
+    onError: (error) => toast.error(getErrorMessage(error, 'Failed to delete role'))
+  });
+
+  const assignMutation = useMutation(rolesAPI.assign, {
+    onSuccess: (data) => {
+      toast.success(data.message);
+      setAssignmentForm(emptyAssignmentForm);
+      setUserSearch('');
+      invalidateRoles();
+    },
+    onError: (error) => toast.error(getErrorMessage(error, 'Failed to assign role'))
+  });
+
+  const unassignMutation = useMutation(rolesAPI.unassign, {
+    onSuccess: (data) => {
+      toast.success(data.message);
+      invalidateRoles();
+    },
+    onError: (error) => toast.error(getErrorMessage(error, 'Failed to remove assignment'))
+  });
+
+  const openCreateForm = () => {
+    setEditingRole(null);
+    setRoleForm(emptyRoleForm);
+    setShowRoleForm(true);
+  };
+
+  const openEditForm = (role) => {
+    setEditingRole(role);
+    setRoleForm({
+      name: role.name,
+      displayName: role.displayName,
+      description: role.description || '',
+      baseRole: role.baseRole,
+      // Permissions of plugins that are not loaded cannot be sent back
+      permissions: role.permissions.filter((name) => catalogue.some((permission) => permission.name === name))
+    });
+    setShowRoleForm(true);
+  };
+
+  const handleDeleteRole = (role) => {
+    if (window.confirm(`Delete the role "${role.displayName}"? It is removed from ${role.assignmentCount} user(s).`)) {
+      deleteRoleMutation.mutate(role.name);
+    }
+  };
+
+  const togglePermission = (name) => {
+    setRoleForm((form) => ({
+      ...form,
+      permissions: form.permissions.includes(name)
+        ? form.permissions.filter((permission) => permission !== name)
+        : [...form.permissions, name]
+    }));
+  };
+
+  const handleRoleSubmit = (e) => {
+    e.preventDefault();
+    saveRoleMutation.mutate(roleForm);
+  };
+
+  const handleAssignSubmit = (e) => {
+    e.preventDefault();
+    assignMutation.mutate({
+      userId: assignmentForm.userId,
+      roleId: assignmentForm.roleId,
+      courseId: assignmentForm.courseId || null
+    });
+  };
+
+  return (
+    <div className="space-y-6">
+      <div className="flex items-center justify-between">
+        <div>
+          <h1 className="text-2xl font-bold text-gray-900">Roles</h1>
+          <p className="text-gray-600">
+            Custom roles add permissions to users on top of their trainer or trainee account.
+          </p>
+        </div>
+        <button onClick={openCreateForm} className="btn-primary flex items-center">
+          <PlusIcon className="h-4 w-4 mr-1" />
+          New Role
+        </button>
+      </div>
+
+      {/* Custom roles */}
+      <div className="card">
+        {rolesLoading ? (
+          <p className="text-sm text-gray-500">Loading roles...</p>
+        ) : roles.length === 0 ? (
+          <div className="text-center py-8">
+            <ShieldCheckIcon className="h-12 w-12 text-gray-400 mx-auto mb-2" />
+            <p className="text-gray-600">No custom roles yet.</p>
+          </div>
+        ) : (
+          <div className="divide-y divide-gray-200">
+            {roles.map((role) => (
+              <div key={role.id} className="py-4 flex items-start justify-between">
+                <div>
+                  <div className="flex items-center space-x-2">
+                    <h3 className="text-lg font-medium text-gray-900">{role.displayName}</h3>
+                    <span className="text-xs font-mono text-gray-500">{role.name}</span>
+                    <span className="bg-gray-100 text-gray-700 text-xs px-2 py-0.5 rounded-full capitalize">
+                      {role.baseRole} access
+                    </span>
+                  </div>
+                  {role.description && <p className="text-sm text-gray-600 mt-1">{role.description}</p>}
+                  <div className="flex flex-wrap gap-1 mt-2">
+                    {role.permissions.length === 0 ? (
+                      <span className="text-xs text-gray-500">No permissions</span>
+                    ) : role.permissions.map((permission) => (
+                      <span key={permission} className="bg-blue-100 text-blue-800 text-xs px-2 py-0.5 rounded-full font-mono">
+                        {permission}
+                      </span>
+                    ))}
+                  </div>
+                  <p className="text-xs text-gray-500 mt-2">Assigned to {role.assignmentCount} user(s)</p>
+                </div>
+                <div className="flex space-x-2">
+                  <button onClick={() => openEditForm(role)} className="text-blue-600 hover:text-blue-800" title="Edit role">
+                    <PencilIcon className="h-5 w-5" />
+                  </button>
+                  <button onClick={() => handleDeleteRole(role)} className="text-red-600 hover:text-red-800" title="Delete role">
+                    <TrashIcon className="h-5 w-5" />
+                  </button>
+                </div>
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+
+      {/* Assignments */}
+      <div className="card space-y-4">
+        <h2 className="text-lg font-semibold text-gray-900">Assignments</h2>
+
+        <form onSubmit={handleAssignSubmit} className="grid grid-cols-1 md:grid-cols-4 gap-3 items-end">
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">User</label>
+            <input
+              type="text"
+              value={userSearch}
+              onChange={(e) => setUserSearch(e.target.value)}
+              placeholder="Search by name or email"
+              className="input-field mb-2"
+            />
+            <select
+              value={assignmentForm.userId}
+              onChange={(e) => setAssignmentForm({ ...assignmentForm, userId: e.target.value })}
+              className="input-field"
+              required
+            >
+              <option value="">Select user</option>
+              {users.map((user) => (
+                <option key={user.id} value={user.id}>
+                  {user.firstName} {user.lastName} ({user.email})
+                </option>
+              ))}
+            </select>
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Role</label>
+            <select
+              value={assignmentForm.roleId}
+              onChange={(e) => setAssignmentForm({ ...assignmentForm, roleId: e.target.value })}
+              className="input-field"
+              required
+            >
+              <option value="">Select role</option>
+              {roles.map((role) => (
+                <option key={role.id} value={role.id}>{role.displayName}</option>
+              ))}
+            </select>
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Course</label>
+            <input
+              type="text"
+              value={courseSearch}
+              onChange={(e) => setCourseSearch(e.target.value)}
+              placeholder="Search courses"
+              className="input-field mb-2"
+            />
+            <select
+              value={assignmentForm.courseId}
+              onChange={(e) => setAssignmentForm({ ...assignmentForm, courseId: e.target.value })}
+              className="input-field"
+            >
+              <option value="">All courses</option>
+              {courses.map((course) => (
+                <option key={course.id} value={course.id}>{course.title}</option>
+              ))}
+            </select>
+          </div>
+          <button
+            type="submit"
+            disabled={assignMutation.isLoading}
+            className="btn-primary flex items-center justify-center disabled:opacity-50"
+          >
+            <UserPlusIcon className="h-4 w-4 mr-1" />
+            Assign Role
+          </button>
+        </form>
+
+        {assignmentsLoading ? (
+          <p className="text-sm text-gray-500">Loading assignments...</p>
+        ) : assignments.length === 0 ? (
+          <p className="text-sm text-gray-500">No users have a custom role.</p>
+        ) : (
+          <div className="overflow-x-auto">
+            <table className="min-w-full divide-y divide-gray-200">
+              <thead className="bg-gray-50">
+                <tr>
+                  <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">User</th>
+                  <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Role</th>
+                  <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Course</th>
+                  <th className="px-4 py-2" />
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-gray-200">
+                {assignments.map((assignment) => (
+                  <tr key={assignment.id}>
+                    <td className="px-4 py-2 text-sm text-gray-900">
+                      {assignment.user?.firstName} {assignment.user?.lastName}
+                      <div className="text-xs text-gray-500">{assignment.user?.email}</div>
+                    </td>
+                    <td className="px-4 py-2 text-sm text-gray-900">{assignment.role?.displayName}</td>
+                    <td className="px-4 py-2 text-sm text-gray-600">{assignment.course?.title || 'All courses'}</td>
+                    <td className="px-4 py-2 text-right">
+                      <button
+                        onClick={() => unassignMutation.mutate(assignment.id)}
+                        disabled={unassignMutation.isLoading}
+                        className="text-red-600 hover:text-red-800"
+                        title="Remove assignment"
+                      >
+                        <TrashIcon className="h-5 w-5" />
+                      </button>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </div>
+
+      {/* Role form modal */}
+      {showRoleForm && (
+        <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
+          <div className="bg-white rounded-lg max-w-2xl w-full mx-4 max-h-[90vh] overflow-y-auto">
+            <div className="p-6 border-b border-gray-200 flex items-center justify-between">
+              <h2 className="text-xl font-semibold text-gray-900">
+                {editingRole ? `Edit ${editingRole.displayName}` : 'New Role'}
+              </h2>
+              <button onClick={closeRoleForm} className="text-gray-400 hover:text-gray-600">
+                <XMarkIcon className="h-6 w-6" />
+              </button>
+            </div>
+            <form onSubmit={handleRoleSubmit} className="p-6 space-y-4">
+              <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">Display Name</label>
+                  <input
+                    type="text"
+                    value={roleForm.displayName}
+                    onChange={(e) => setRoleForm({ ...roleForm, displayName: e.target.value })}
+                    className="input-field"
+                    placeholder="Teaching Assistant"
+                    required
+                  />
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">Name</label>
+                  <input
+                    type="text"
+                    value={roleForm.name}
+                    onChange={(e) => setRoleForm({ ...roleForm, name: e.target.value })}
+                    className="input-field font-mono"
+                    placeholder="teaching_assistant"
+                    pattern="[a-z][a-z0-9_]{1,49}"
+                    disabled={!!editingRole}
+                    required
+                  />
+                </div>
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Description</label>
+                <textarea
+                  value={roleForm.description}
+                  onChange={(e) => setRoleForm({ ...roleForm, description: e.target.value })}
+                  className="input-field"
+                  rows={2}
+                />
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Access Level</label>
+                <select
+                  value={roleForm.baseRole}
+                  onChange={(e) => setRoleForm({ ...roleForm, baseRole: e.target.value })}
+                  className="input-field"
+                >
+                  <option value="trainee">Trainee pages</option>
+                  <option value="trainer">Trainer pages</option>
+                </select>
+                <p className="text-xs text-gray-500 mt-1">
+                  Pages and routes open to this built-in role are open to the custom role as well.
+                </p>
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">Permissions</label>
+                <div className="border border-gray-200 rounded-md divide-y divide-gray-200 max-h-64 overflow-y-auto">
+                  {catalogue.map((permission) => (
+                    <label key={permission.name} className="flex items-start p-2 space-x-2 cursor-pointer">
+                      <input
+                        type="checkbox"
+                        checked={roleForm.permissions.includes(permission.name)}
+                        onChange={() => togglePermission(permission.name)}
+                        className="mt-1 h-4 w-4 text-blue-600 border-gray-300 rounded"
+                      />
+                      <span>
+                        <span className="block text-sm font-mono text-gray-900">{permission.name}</span>
+                        {permission.description && (
+                          <span className="block text-xs text-gray-500">{permission.description}</span>
+                        )}
+                      </span>
+                    </label>
+                  ))}
+                </div>
+              </div>
+              <div className="flex justify-end space-x-2">
+                <button type="button" onClick={closeRoleForm} className="btn-secondary">
+                  Cancel
+                </button>
+                <button
+                  type="submit"
+                  disabled={saveRoleMutation.isLoading}
+                  className="btn-primary disabled:opacity-50"
+                >
+                  {saveRoleMutation.isLoading ? 'Saving...' : 'Save Role'}
+                </button>
+              </div>
+            </form>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default RoleManagement;
@@ -0,0 +1,517 @@
+/**
+ * Webhooks Page
+ *
+ * Super Admins send core events (enrollments, completions, certificates,
+ * attendance...) to external systems as signed HTTP POSTs, and inspect or
+ * redeliver every delivery from the log.
+ */
+
+import React, { useState } from 'react';
+import { useQuery, useMutation, useQueryClient } from 'react-query';
+import { toast } from 'react-hot-toast';
+import {
+  BoltIcon,
+  PlusIcon,
+  PencilIcon,
+  TrashIcon,
+  XMarkIcon,
+  PaperAirplaneIcon,
+  ArrowPathIcon,
+  KeyIcon
+} from '@heroicons/react/24/outline';
+import { webhooksAPI } from '../../services/api';
+
+const emptyWebhookForm = {
+  name: '',
+  url: '',
+  description: '',
+  events: [],
+  isActive: true
+};
+
+const STATUS_BADGES = {
+  succeeded: 'bg-green-100 text-green-800',
+  pending: 'bg-yellow-100 text-yellow-800',
+  failed: 'bg-red-100 text-red-800'
+};
+
+const getErrorMessage = (error, fallback) => (
+  error.response?.data?.error || error.response?.data?.errors?.[0]?.msg || fallback
+);
+
+const Webhooks = () => {
+  const queryClient = useQueryClient();
+  const [showForm, setShowForm] = useState(false);
+  const [editingWebhook, setEditingWebhook] = useState(null);
+  const [form, setForm] = useState(emptyWebhookForm);
+  const [selectedWebhookId, setSelectedWebhookId] = useState(null);
+  const [statusFilter, setStatusFilter] = useState('');
+  const [page, setPage] = useState(1);
+  const [expandedDeliveryId, setExpandedDeliveryId] = useState(null);
+  const [revealedSecret, setRevealedSecret] = useState(null);
+
+  const { data: webhooksData, isLoading } = useQuery('webhooks', webhooksAPI.getAll);
+  const { data: eventsData } = useQuery('webhook-events', webhooksAPI.getEvents);
+  const { data: deliveriesData, isLoading: deliveriesLoading } = useQuery(
+    ['webhook-deliveries', selectedWebhookId, statusFilter, page],
+    () => webhooksAPI.getDeliveries(selectedWebhookId, { status: statusFilter || undefined, page }),
+    { enabled: !!selectedWebhookId, keepPreviousData: true }
+  );
+
+  const webhooks = webhooksData?.webhooks || [];
+  const eventTypes = eventsData?.events || [];
+  const deliveries = deliveriesData?.deliveries || [];
+  const pagination = deliveriesData?.pagination;
+  const selectedWebhook = webhooks.find((webhook) => webhook.id === selectedWebhookId);
+
+  const refreshWebhooks = () => {
+    queryClient.invalidateQueries('webhooks');
+    queryClient.invalidateQueries('webhook-deliveries');
+  };
+
+  const saveMutation = useMutation(
+    (data) => (editingWebhook ? webhooksAPI.update(editingWebhook.id, data) : webhooksAPI.create(data)),
+    {
+      onSuccess: (result) => {
+        toast.success(result.message);
+        if (result.secret) {
+          setRevealedSecret({ name: result.webhook.name, secret: result.secret });
+        }
+        closeForm();
+        refreshWebhooks();
+      },
+      onError: (error) => toast.error(getErrorMessage(error, 'Failed to save webhook'))
+    }
+  );
+
+  const deleteMutation = useMutation(webhooksAPI.delete, {
+    onSuccess: (result, id) => {
+      toast.success(result.message);
+      if (id === selectedWebhookId) {
+        setSelectedWebhookId(null);
+      }
+      refreshWebhooks();
+    },
+    onError: (error) => toast.error(getErrorMessage(error, 'Failed to delete webhook'))
+  });
+
+  const toggleMutation = useMutation(
+    (webhook) => webhooksAPI.update(webhook.id, { isActive: !webhook.isActive }),
+    {
+      onSuccess: (result) => {
+        toast.success(result.message);
+        refreshWebhooks();
+      },
+      onError: (error) => toast.error(getErrorMessage(error, 'Failed to update webhook'))
+    }
+  );
+
+  const rotateMutation = useMutation(webhooksAPI.rotateSecret, {
+    onSuccess: (result) => {
+      toast.success(result.message);
+      setRevealedSecret({ name: result.webhook.name, secret: result.secret });
+      refreshWebhooks();
+    },
+    onError: (error) => toast.error(getErrorMessage(error, 'Failed to rotate secret'))
+  });
+
+  const deliveryResultHandlers = {
+    onSuccess: (result) => {
+      if (result.delivery.status === 'succeeded') {
+        toast.success(result.message);
+      } else {
+        toast.error(result.message);
+      }
+      refreshWebhooks();
+    },
+    onError: (error) => toast.error(getErrorMessage(error, 'Delivery failed'))
+  };
+
+  const testMutation = useMutation(webhooksAPI.test, deliveryResultHandlers);
+  const redeliverMutation = useMutation(webhooksAPI.redeliver, deliveryResultHandlers);
+
+  const openCreateForm = () => {
+    setEditingWebhook(null);
+    setForm(emptyWebhookForm);
+    setShowForm(true);
+  };
+
+  const openEditForm = (webhook) => {
+    setEditingWebhook(webhook);
+    setForm({
+      name: webhook.name,
+      url: webhook.url,
+      description: webhook.description || '',
+      events: webhook.events,
+      isActive: webhook.isActive
+    });
+    setShowForm(true);
+  };
+
+  const closeForm = () => {
+    setShowForm(false);
+    setEditingWebhook(null);
+    setForm(emptyWebhookForm);
+  };
+
+  const toggleEvent = (eventType) => {
+    setForm((current) => ({
+      ...current,
+      events: current.events.includes(eventType)
+        ? current.events.filter((name) => name !== eventType)
+        : [...current.events, eventType]
+    }));
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    if (form.events.length === 0) {
+      toast.error('Select at least one event');
+      return;
+    }
+    saveMutation.mutate(form);
+  };
+
+  const handleDelete = (webhook) => {
+    if (window.confirm(`Delete the webhook "${webhook.name}" and its delivery log?`)) {
+      deleteMutation.mutate(webhook.id);
+    }
+  };
+
+  const handleRotate = (webhook) => {
+    if (window.confirm(`Rotate the secret of "${webhook.name}"? The receiver must be updated with the new secret.`)) {
+      rotateMutation.mutate(webhook.id);
+    }
+  };
+
+  const selectWebhook = (webhookId) => {
+    setSelectedWebhookId(webhookId);
+    setStatusFilter('');
+    setPage(1);
+    setExpandedDeliveryId(null);
+  };
+
+  return (
+    <div className="space-y-6">
+      <div className="flex items-center justify-between">
+        <div>
+          <h1 className="text-2xl font-bold text-gray-900">Webhooks</h1>
+          <p className="text-gray-600">
+            Send CourseWorx events to external systems as signed JSON requests.
+          </p>
+        </div>
+        <button onClick={openCreateForm} className="btn-primary flex items-center">
+          <PlusIcon className="h-4 w-4 mr-1" />
+          New Webhook
+        </button>
+      </div>
+
+      {revealedSecret && (
+        <div className="bg-yellow-50 border border-yellow-200 rounded-lg p-4 flex items-start justify-between">
+          <div>
+            <p className="text-sm font-medium text-yellow-800">
+              Signing secret for {revealedSecret.name}. It is shown only once.
+            </p>
+            <code className="block mt-2 text-sm font-mono text-gray-900 break-all">{revealedSecret.secret}</code>
+            <p className="text-xs text-yellow-700 mt-2">
+              Verify the X-CourseWorx-Signature header: sha256 HMAC of "timestamp.body" with this secret,
+              where timestamp is the X-CourseWorx-Timestamp header.
+            </p>
+          </div>
+          <button onClick={() => setRevealedSecret(null)} className="text-yellow-700 hover:text-yellow-900">
+            <XMarkIcon className="h-5 w-5" />
+          </button>
+        </div>
+      )}
+
+      {/* Webhooks */}
+      <div className="card">
+        {isLoading ? (
+          <p className="text-sm text-gray-500">Loading webhooks...</p>
+        ) : webhooks.length === 0 ? (
+          <div className="text-center py-8">
+            <BoltIcon className="h-12 w-12 text-gray-400 mx-auto mb-2" />
+            <p className="text-gray-600">No webhooks yet.</p>
+          </div>
+        ) : (
+          <div className="divide-y divide-gray-200">
+            {webhooks.map((webhook) => (
+              <div
+                key={webhook.id}
+                className={`py-4 px-2 flex items-start justify-between rounded-md ${webhook.id === selectedWebhookId ? 'bg-blue-50' : ''}`}
+              >
+                <button onClick={() => selectWebhook(webhook.id)} className="text-left flex-1">
+                  <div className="flex items-center space-x-2">
+                    <h3 className="text-lg font-medium text-gray-900">{webhook.name}</h3>
+                    <span className={`text-xs px-2 py-0.5 rounded-full ${webhook.isActive ? 'bg-green-100 text-green-800' : 'bg-gray-100 text-gray-700'}`}>
+                      {webhook.isActive ? 'Active' : 'Paused'}
+                    </span>
+                  </div>
+                  <p className="text-sm font-mono text-gray-600 break-all">{webhook.url}</p>
+                  {webhook.description && <p className="text-sm text-gray-600 mt-1">{webhook.description}</p>}
+                  <div className="flex flex-wrap gap-1 mt-2">
+                    {webhook.events.map((eventType) => (
+                      <span key={eventType} className="bg-blue-100 text-blue-800 text-xs px-2 py-0.5 rounded-full font-mono">
+                        {eventType}
+                      </span>
+                    ))}
+                  </div>
+                  <p className="text-xs text-gray-500 mt-2">
+                    {webhook.deliveryStats.succeeded} succeeded · {webhook.deliveryStats.pending} retrying · {webhook.deliveryStats.failed} failed
+                  </p>
+                </button>
+                <div className="flex space-x-2 ml-4">
+                  <button
+                    onClick={() => testMutation.mutate(webhook.id)}
+                    disabled={testMutation.isLoading}
+                    className="text-blue-600 hover:text-blue-800"
+                    title="Send test event"
+                  >
+                    <PaperAirplaneIcon className="h-5 w-5" />
+                  </button>
+                  <button onClick={() => handleRotate(webhook)} className="text-gray-600 hover:text-gray-800" title="Rotate secret">
+                    <KeyIcon className="h-5 w-5" />
+                  </button>
+                  <button
+                    onClick={() => toggleMutation.mutate(webhook)}
+                    disabled={toggleMutation.isLoading}
+                    className="text-sm text-gray-600 hover:text-gray-800"
+                  >
+                    {webhook.isActive ? 'Pause' : 'Resume'}
+                  </button>
+                  <button onClick={() => openEditForm(webhook)} className="text-blue-600 hover:text-blue-800" title="Edit webhook">
+                    <PencilIcon className="h-5 w-5" />
+                  </button>
+                  <button onClick={() => handleDelete(webhook)} className="text-red-600 hover:text-red-800" title="Delete webhook">
+                    <TrashIcon className="h-5 w-5" />
+                  </button>
+                </div>
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+
+      {/* Delivery log */}
+      {selectedWebhook && (
+        <div className="card space-y-4">
+          <div className="flex items-center justify-between">
+            <h2 className="text-lg font-semibold text-gray-900">Deliveries: {selectedWebhook.name}</h2>
+            <select
+              value={statusFilter}
+              onChange={(e) => {
+                setStatusFilter(e.target.value);
+                setPage(1);
+              }}
+              className="input-field w-40"
+            >
+              <option value="">All statuses</option>
+              <option value="succeeded">Succeeded</option>
+              <option value="pending">Retrying</option>
+              <option value="failed">Failed</option>
+            </select>
+          </div>
+
+          {deliveriesLoading ? (
+            <p className="text-sm text-gray-500">Loading deliveries...</p>
+          ) : deliveries.length === 0 ? (
+            <p className="text-sm text-gray-500">No deliveries yet.</p>
+          ) : (
+            <div className="overflow-x-auto">
+              <table className="min-w-full divide-y divide-gray-200">
+                <thead className="bg-gray-50">
+                  <tr>
+                    <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Event</th>
+                    <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Status</th>
+                    <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Attempts</th>
+                    <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Response</th>
+                    <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Created</th>
+                    <th className="px-4 py-2" />
+                  </tr>
+                </thead>
+                <tbody className="divide-y divide-gray-200">
+                  {deliveries.map((delivery) => (
+                    <React.Fragment key={delivery.id}>
+                      <tr
+                        className="cursor-pointer hover:bg-gray-50"
+                        onClick={() => setExpandedDeliveryId(expandedDeliveryId === delivery.id ? null : delivery.id)}
+                      >
+                        <td className="px-4 py-2 text-sm font-mono text-gray-900">
+                          {delivery.eventType}
+                          {delivery.redeliveryOf && <span className="ml-2 text-xs text-gray-500 font-sans">(redelivery)</span>}
+                        </td>
+                        <td className="px-4 py-2">
+                          <span className={`text-xs px-2 py-0.5 rounded-full ${STATUS_BADGES[delivery.status]}`}>
+                            {delivery.status === 'pending' ? 'retrying' : delivery.status}
+                          </span>
+                        </td>
+                        <td className="px-4 py-2 text-sm text-gray-600">
+                          {delivery.attempts}
+                          {delivery.status === 'pending' && delivery.nextAttemptAt && (
+                            <div className="text-xs text-gray-500">
+                              next {new Date(delivery.nextAttemptAt).toLocaleTimeString()}
+                            </div>
+                          )}
+                        </td>
+                        <td className="px-4 py-2 text-sm text-gray-600">
+                          {delivery.responseStatus ? `HTTP ${delivery.responseStatus}` : '—'}
+                          {delivery.duration !== null && <span className="text-xs text-gray-500"> · {delivery.duration} ms</span>}
+                        </td>
+                        <td className="px-4 py-2 text-sm text-gray-600">{new Date(delivery.createdAt).toLocaleString()}</td>
+                        <td className="px-4 py-2 text-right">
+                          <button
+                            onClick={(e) => {
+                              e.stopPropagation();
+                              redeliverMutation.mutate(delivery.id);
+                            }}
+                            disabled={redeliverMutation.isLoading}
+                            className="text-blue-600 hover:text-blue-800 inline-flex items-center text-sm"
+                            title="Send this payload again"
+                          >
+                            <ArrowPathIcon className="h-4 w-4 mr-1" />
+                            Redeliver
+                          </button>
+                        </td>
+                      </tr>
+                      {expandedDeliveryId === delivery.id && (
+                        <tr>
+                          <td colSpan={6} className="px-4 py-3 bg-gray-50 space-y-2">
+                            {delivery.error && <p className="text-sm text-red-600">{delivery.error}</p>}
+                            <div>
+                              <p className="text-xs font-medium text-gray-500 uppercase mb-1">Payload</p>
+                              <pre className="text-xs bg-white border border-gray-200 rounded p-2 overflow-x-auto">
+                                {JSON.stringify(delivery.payload, null, 2)}
+                              </pre>
+                            </div>
+                            {delivery.responseBody && (
+                              <div>
+                                <p className="text-xs font-medium text-gray-500 uppercase mb-1">Response</p>
+                                <pre className="text-xs bg-white border border-gray-200 rounded p-2 overflow-x-auto">
+                                  {delivery.responseBody}
+                                </pre>
+                              </div>
+                            )}
+                          </td>
+                        </tr>
+                      )}
+                    </React.Fragment>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+
+          {pagination && pagination.totalPages > 1 && (
+            <div className="flex items-center justify-between">
+              <button
+                onClick={() => setPage(page - 1)}
+                disabled={page <= 1}
+                className="btn-secondary disabled:opacity-50"
+              >
+                Previous
+              </button>
+              <span className="text-sm text-gray-600">
+                Page {pagination.currentPage} of {pagination.totalPages}
+              </span>
+              <button
+                onClick={() => setPage(page + 1)}
+                disabled={page >= pagination.totalPages}
+                className="btn-secondary disabled:opacity-50"
+              >
+                Next
+              </button>
+            </div>
+          )}
+        </div>
+      )}
+
+      {/* Webhook form modal */}
+      {showForm && (
+        <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
+          <div className="bg-white rounded-lg max-w-2xl w-full mx-4 max-h-[90vh] overflow-y-auto">
+            <div className="p-6 border-b border-gray-200 flex items-center justify-between">
+              <h2 className="text-xl font-semibold text-gray-900">
+                {editingWebhook ? `Edit ${editingWebhook.name}` : 'New Webhook'}
+              </h2>
+              <button onClick={closeForm} className="text-gray-400 hover:text-gray-600">
+                <XMarkIcon className="h-6 w-6" />
+              </button>
+            </div>
+            <form onSubmit={handleSubmit} className="p-6 space-y-4">
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Name</label>
+                <input
+                  type="text"
+                  value={form.name}
+                  onChange={(e) => setForm({ ...form, name: e.target.value })}
+                  className="input-field"
+                  placeholder="HR system"
+                  required
+                />
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Payload URL</label>
+                <input
+                  type="url"
+                  value={form.url}
+                  onChange={(e) => setForm({ ...form, url: e.target.value })}
+                  className="input-field font-mono"
+                  placeholder="https://hr.example.com/courseworx/webhook"
+                  required
+                />
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Description</label>
+                <textarea
+                  value={form.description}
+                  onChange={(e) => setForm({ ...form, description: e.target.value })}
+                  className="input-field"
+                  rows={2}
+                />
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">Events</label>
+                <div className="border border-gray-200 rounded-md grid grid-cols-1 md:grid-cols-2 gap-1 p-2 max-h-64 overflow-y-auto">
+                  {eventTypes.map((eventType) => (
+                    <label key={eventType} className="flex items-center space-x-2 cursor-pointer">
+                      <input
+                        type="checkbox"
+                        checked={form.events.includes(eventType)}
+                        onChange={() => toggleEvent(eventType)}
+                        className="h-4 w-4 text-blue-600 border-gray-300 rounded"
+                      />
+                      <span className="text-sm font-mono text-gray-900">{eventType}</span>
+                    </label>
+                  ))}
+                </div>
+              </div>
+              <label className="flex items-center space-x-2">
+                <input
+                  type="checkbox"
+                  checked={form.isActive}
+                  onChange={(e) => setForm({ ...form, isActive: e.target.checked })}
+                  className="h-4 w-4 text-blue-600 border-gray-300 rounded"
+                />
+                <span className="text-sm text-gray-700">Active</span>
+              </label>
+              <div className="flex justify-end space-x-2">
+                <button type="button" onClick={closeForm} className="btn-secondary">
+                  Cancel
+                </button>
+                <button
+                  type="submit"
+                  disabled={saveMutation.isLoading}
+                  className="btn-primary disabled:opacity-50"
+                >
+                  {saveMutation.isLoading ? 'Saving...' : 'Save Webhook'}
+                </button>
+              </div>
+            </form>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default Webhooks;
@@ -0,0 +1,10 @@
+// React components that plugins can place in UI slots with
+// { "type": "component", "component": "<Name>" } in their manifest.
+// Plugin frontend code is bundled with the app, so each component is registered here by name.
+const slotComponents = {};
+
+export const registerSlotComponent = (name, component) => {
+  slotComponents[name] = component;
+};
+
+export const getSlotComponent = (name) => slotComponents[name] || null;
@@ -182,8 +182,21 @@ export const courseContentAPI = {
   },
   addQuizQuestions: (courseId, contentId, questions) => 
     api.post(`/course-content/${courseId}/content/${contentId}/questions`, { questions }),
+  previewCertificate: (courseId, certificateTemplate) =>
+    api.post(`/course-content/${courseId}/certificate-preview`, { certificateTemplate }, { responseType: 'blob' }),
+  startQuiz: (courseId, contentId) =>
+    api.post(`/course-content/${courseId}/content/${contentId}/start`).then(res => res.data),
   submitQuiz: (courseId, contentId, data) => 
     api.post(`/course-content/${courseId}/content/${contentId}/submit`, data),
+  uploadQuizAnswerFile: (courseId, contentId, file) => {
+    const formData = new FormData();
+    formData.append('file', file);
+    return api.post(`/course-content/${courseId}/content/${contentId}/answer-files`, formData, {
+      headers: { 'Content-Type': 'multipart/form-data' },
+    }).then(res => res.data);
+  },
+  getQuizAttempts: (courseId, contentId) =>
+    api.get(`/course-content/${courseId}/content/${contentId}/attempts`).then(res => res.data),
 };
 
 // Course Sections API
@@ -240,6 +253,44 @@ export const assignmentsAPI = {
   getMy: (params) => api.get('/assignments/my', { params }),
 };
 
+// Assignment Submissions API
+export const assignmentSubmissionsAPI = {
+  submit: (assignmentId, { content, files = [] }) => {
+    const formData = new FormData();
+    if (content) {
+      formData.append('content', content);
+    }
+    files.forEach(file => formData.append('files', file));
+    return api.post(`/assignments/${assignmentId}/submissions`, formData, {
+      headers: { 'Content-Type': 'multipart/form-data' },
+    });
+  },
+  getAll: (assignmentId) => api.get(`/assignments/${assignmentId}/submissions`).then(res => res.data),
+  getById: (assignmentId, submissionId) => api.get(`/assignments/${assignmentId}/submissions/${submissionId}`).then(res => res.data),
+  grade: (assignmentId, submissionId, data) => api.put(`/assignments/${assignmentId}/submissions/${submissionId}/grade`, data),
+};
+
+// Quiz Grading Queue API
+export const quizGradingAPI = {
+  getQueue: (params) => api.get('/quiz-grading/queue', { params }).then(res => res.data),
+  gradeAttempt: (attemptId, grades) => api.put(`/quiz-grading/attempts/${attemptId}`, { grades }).then(res => res.data),
+};
+
+// Certificates API
+export const certificatesAPI = {
+  getMine: (params) => api.get('/certificates/my', { params }).then(res => res.data),
+  download: (id) => api.get(`/certificates/${id}/download`, { responseType: 'blob' }),
+  verify: (serial) => api.get(`/certificates/verify/${encodeURIComponent(serial)}`).then(res => res.data),
+  issue: (enrollmentId) => api.post(`/certificates/issue/${enrollmentId}`).then(res => res.data),
+};
+
+// Notifications API
+export const notificationsAPI = {
+  getAll: (params) => api.get('/notifications', { params }).then(res => res.data),
+  markRead: (id) => api.put(`/notifications/${id}/read`).then(res => res.data),
+  markAllRead: () => api.put('/notifications/read-all').then(res => res.data),
+};
+
 // Lesson Completion API
 export const lessonCompletionAPI = {
   getProgress: (courseId) => api.get(`/lesson-completion/${courseId}/progress`).then(res => res.data),
@@ -286,4 +337,74 @@ export const traineeAssignmentsAPI = {
   getTraineeAssignments: (courseId, traineeId) => api.get(`/trainee-assignments/${courseId}/${traineeId}`).then(res => res.data),
 };
 
+// Core plugin system API
+export const coreAPI = {
+  getUiConfig: () => api.get('/core/ui-config').then(res => res.data.data),
+};
+
+// Plugin install API (uploads are validated in staging before they are installed)
+export const pluginInstallAPI = {
+  stage: (file) => {
+    const formData = new FormData();
+    formData.append('plugin', file);
+    return api.post('/core/plugins/install', formData, {
+      headers: { 'Content-Type': 'multipart/form-data' },
+      timeout: 60000,
+    }).then(res => res.data.data);
+  },
+  confirm: (stagingId) =>
+    api.post(`/core/plugins/install/${stagingId}/confirm`, {}, { timeout: 60000 }).then(res => res.data),
+  discard: (stagingId) => api.delete(`/core/plugins/install/${stagingId}`),
+};
+
+// Permission API (plugin-declared permissions granted to roles)
+export const permissionsAPI = {
+  getAll: () => api.get('/core/permissions').then(res => res.data.data),
+  setRolePermissions: (role, permissions) =>
+    api.put(`/core/permissions/roles/${role}`, { permissions }).then(res => res.data),
+};
+
+// Custom roles API (admin-defined roles assigned to users, optionally per course)
+export const rolesAPI = {
+  getAll: () => api.get('/roles').then(res => res.data),
+  create: (data) => api.post('/roles', data).then(res => res.data),
+  update: (name, data) => api.put(`/roles/${name}`, data).then(res => res.data),
+  delete: (name) => api.delete(`/roles/${name}`).then(res => res.data),
+  getAssignments: (params) => api.get('/roles/assignments', { params }).then(res => res.data),
+  assign: (data) => api.post('/roles/assignments', data).then(res => res.data),
+  unassign: (id) => api.delete(`/roles/assignments/${id}`).then(res => res.data),
+};
+
+export const courseStaffAPI = {
+  getAll: (courseId) => api.get(`/courses/${courseId}/staff`).then(res => res.data),
+  getCandidates: (courseId, search) => api.get(`/courses/${courseId}/staff/candidates`, { params: { search } }).then(res => res.data),
+  add: (courseId, data) => api.post(`/courses/${courseId}/staff`, data).then(res => res.data),
+  update: (courseId, staffId, data) => api.put(`/courses/${courseId}/staff/${staffId}`, data).then(res => res.data),
+  remove: (courseId, staffId) => api.delete(`/courses/${courseId}/staff/${staffId}`).then(res => res.data),
+};
+
+export const webhooksAPI = {
+  getAll: () => api.get('/webhooks').then(res => res.data),
+  getEvents: () => api.get('/webhooks/events').then(res => res.data),
+  create: (data) => api.post('/webhooks', data).then(res => res.data),
+  update: (id, data) => api.put(`/webhooks/${id}`, data).then(res => res.data),
+  delete: (id) => api.delete(`/webhooks/${id}`).then(res => res.data),
+  rotateSecret: (id) => api.post(`/webhooks/${id}/rotate-secret`).then(res => res.data),
+  test: (id) => api.post(`/webhooks/${id}/test`).then(res => res.data),
+  getDeliveries: (id, params) => api.get(`/webhooks/${id}/deliveries`, { params }).then(res => res.data),
+  redeliver: (deliveryId) => api.post(`/webhooks/deliveries/${deliveryId}/redeliver`).then(res => res.data),
+};
+
+export const calendarAPI = {
+  getFeed: () => api.get('/calendar/feed').then(res => res.data),
+  createFeed: () => api.post('/calendar/feed').then(res => res.data),
+  deleteFeed: () => api.delete('/calendar/feed').then(res => res.data),
+};
+
+// Private uploads (quiz file answers, assignment submissions) need the auth header,
+// so they are fetched as blobs; fileUrl is the API path returned with the file
+export const privateFilesAPI = {
+  get: (fileUrl) => api.get(fileUrl.replace(/^\/api/, ''), { responseType: 'blob' }),
+};
+
 export default api; 
\ No newline at end of file